@@ -4,12 +4,15 @@ Gemini API を安全に呼び出すためのサーバー
 """
 
 from fastapi import FastAPI, HTTPException
+from fastapi.concurrency import run_in_threadpool
 from fastapi.middleware.cors import CORSMiddleware
 from pydantic import BaseModel
-from typing import Optional
+from typing import List, Optional, Union
 import google.generativeai as genai
 import os
 import base64
+import json
+import urllib.request
 from dotenv import load_dotenv
 
 # 環境変数を読み込む
@@ -45,12 +48,16 @@ class CommentRequest(BaseModel):
     focus_point: str = "表情"
     context_match: str = "ブースの雰囲気"
     image_base64: Optional[str] = None  # オプション: 画像データ
+    provider: Optional[Union[str, List[str]]] = None  # 試行順（"auto" / ID / IDの配列）
+    templates: Optional[List[str]] = None  # クライアントのテンプレート集で有効なもの（ルールベース用）
+    language: str = "ja"  # コメントの言語（ja / en / zh / ko）
 
 
 class CommentResponse(BaseModel):
     """コメント生成レスポンス"""
     comment: str
-    source: str  # "ai" or "rule_based"
+    source: str  # 応答したプロバイダー: "gemini" / "openai" / "rule_based"
+    attempts: List[dict] = []  # 失敗したプロバイダーとエラー
 
 
 class HealthResponse(BaseModel):
@@ -59,8 +66,8 @@ class HealthResponse(BaseModel):
     api_configured: bool
 
 
-# ルールベースのフォールバック用テンプレート
-FALLBACK_TEMPLATES = {
+# ルールベースのフォールバック用テンプレート（app/comment-templates.json がない場合）
+DEFAULT_FALLBACK_TEMPLATES = {
     "笑顔": [
         "爽やかな笑顔がブースの雰囲気にぴったりでした✨",
         "自然な笑顔がとても魅力的でした✨",
@@ -94,15 +101,51 @@ FALLBACK_TEMPLATES = {
 }
 
 
-def generate_fallback_comment(expression_type: str) -> str:
-    """ルールベースでフォールバックコメントを生成"""
+# ブラウザ・Netlify Functions と共有するテンプレート集
+TEMPLATE_LIBRARY_PATH = os.getenv(
+    "COMMENT_TEMPLATES_PATH",
+    os.path.join(os.path.dirname(os.path.abspath(__file__)), "..", "app", "comment-templates.json"),
+)
+
+
+def load_fallback_templates(path: str) -> dict:
+    """テンプレート集から表情別のテンプレートを読み込む"""
+    try:
+        with open(path, encoding="utf-8") as f:
+            library = json.load(f)
+    except (OSError, ValueError) as e:
+        print(f"[Templates] {path} を読み込めません（内蔵のテンプレートを使用）: {e}")
+        return DEFAULT_FALLBACK_TEMPLATES
+
+    templates: dict = {}
+    for template in library.get("templates", []):
+        # フォールバックは日本語のテンプレートだけ（他の言語はクライアントが templates で送る）
+        if template.get("language", "ja") != "ja":
+            continue
+        if template.get("group") == "expression" and template.get("text"):
+            templates.setdefault(template["key"], []).append(template["text"])
+    return templates or DEFAULT_FALLBACK_TEMPLATES
+
+
+FALLBACK_TEMPLATES = load_fallback_templates(TEMPLATE_LIBRARY_PATH)
+
+
+def generate_fallback_comment(expression_type: str, requested: Optional[List[str]] = None) -> str:
+    """ルールベースでフォールバックコメントを生成（requested があればその中から選ぶ）"""
     import random
-    templates = FALLBACK_TEMPLATES.get(expression_type, FALLBACK_TEMPLATES["笑顔"])
+    templates = [t for t in (requested or []) if t and t.strip()]
+    if not templates:
+        templates = FALLBACK_TEMPLATES.get(expression_type) or FALLBACK_TEMPLATES.get("笑顔") or DEFAULT_FALLBACK_TEMPLATES["笑顔"]
     return random.choice(templates)
 
 
+# 日本語以外で出力するときの言語名
+LANGUAGE_NAMES = {"en": "English", "zh": "简体中文", "ko": "한국어"}
+
+
 def build_prompt(request: CommentRequest, has_image: bool) -> str:
     """Gemini用のプロンプトを構築"""
+    language_name = LANGUAGE_NAMES.get(request.language)
     prompt = f"""あなたはイベント写真の一言コメントを書くプロです。
 {'この写真を見て、' if has_image else ''}以下のルールで1行コメントを1つだけ生成してください：
 
@@ -134,9 +177,120 @@ def build_prompt(request: CommentRequest, has_image: bool) -> str:
 
 【出力形式】
 コメントのみを1行で出力（説明不要）"""
+    if language_name:
+        # 文字数・形式のルールは日本語向けなので、言語の指定を優先させる
+        prompt += f"""
+
+【出力言語】
+- コメントは{language_name}で書く（日本語は使わない）
+- 文字数と「〇〇が△△にぴったり」形式のルールは{language_name}として自然な長さ・言い回しに置き換える
+- 最後に✨を付ける"""
     return prompt
 
 
+DEFAULT_PROVIDER_ORDER = "gemini,openai,rule_based"
+PROVIDER_IDS = ("gemini", "openai", "rule_based")
+
+
+def provider_timeout() -> float:
+    """プロバイダー呼び出しのタイムアウト（秒）"""
+    try:
+        value = float(os.getenv("COMMENT_PROVIDER_TIMEOUT_MS", "20000"))
+    except ValueError:
+        value = 20000
+    return (value if value > 0 else 20000) / 1000
+
+
+def parse_image_data(image_base64: str):
+    """data URL または base64 を (mime_type, base64) に分解"""
+    if image_base64.startswith('data:'):
+        header, image_data = image_base64.split(',', 1)
+        return header.split(':')[1].split(';')[0], image_data
+    return "image/jpeg", image_base64
+
+
+def sanitize_comment(text: Optional[str]) -> str:
+    """モデルの出力から1行コメントを取り出す"""
+    for line in (text or "").splitlines():
+        line = line.strip()
+        if line:
+            return line.strip('"\'「」『』').strip()
+    return ""
+
+
+def resolve_provider_order(requested, default_order: str) -> List[str]:
+    """
+    プロバイダーの試行順を決める（netlify/shared/comment-providers.js と同じ規則）
+    - 配列ならその順のみ、文字列なら既定の順の先頭に置く
+    - 未知のIDは無視し、最後は必ず rule_based
+    """
+    def to_list(value):
+        items = value if isinstance(value, list) else str(value or "").split(",")
+        return [str(item).strip() for item in items if str(item).strip() and str(item).strip() != "auto"]
+
+    order = to_list(requested) if isinstance(requested, list) else to_list(requested) + to_list(default_order)
+    resolved = []
+    for provider_id in order:
+        if provider_id in PROVIDER_IDS and provider_id not in resolved and provider_id != "rule_based":
+            resolved.append(provider_id)
+    return resolved + ["rule_based"]
+
+
+def generate_with_gemini(request: CommentRequest) -> str:
+    """Gemini で生成"""
+    model = genai.GenerativeModel(os.getenv("GEMINI_MODEL", "gemini-2.0-flash-exp"))
+    has_image = bool(request.image_base64)
+    prompt = build_prompt(request, has_image)
+
+    if has_image:
+        mime_type, image_data = parse_image_data(request.image_base64)
+        response = model.generate_content(
+            [{"mime_type": mime_type, "data": base64.b64decode(image_data)}, prompt],
+            request_options={"timeout": provider_timeout()}
+        )
+    else:
+        response = model.generate_content(prompt, request_options={"timeout": provider_timeout()})
+    return response.text
+
+
+def generate_with_openai_compatible(request: CommentRequest) -> str:
+    """OpenAI 互換の /chat/completions（Ollama / llama.cpp など）で生成"""
+    url = os.getenv("OPENAI_COMPAT_BASE_URL", "").rstrip("/") + "/chat/completions"
+    # テキストのみのローカルモデル向けに画像送信を無効化できる
+    has_image = bool(request.image_base64) and os.getenv("OPENAI_COMPAT_VISION") != "false"
+    prompt = build_prompt(request, has_image)
+    content = prompt
+    if has_image:
+        mime_type, image_data = parse_image_data(request.image_base64)
+        content = [
+            {"type": "text", "text": prompt},
+            {"type": "image_url", "image_url": {"url": f"data:{mime_type};base64,{image_data}"}},
+        ]
+
+    headers = {"Content-Type": "application/json"}
+    if os.getenv("OPENAI_COMPAT_API_KEY"):
+        headers["Authorization"] = f"Bearer {os.getenv('OPENAI_COMPAT_API_KEY')}"
+
+    body = json.dumps({
+        "model": os.getenv("OPENAI_COMPAT_MODEL", "llama3.2"),
+        "messages": [{"role": "user", "content": content}],
+        "temperature": 0.8,
+        "max_tokens": 120,
+    }).encode("utf-8")
+    http_request = urllib.request.Request(url, data=body, headers=headers, method="POST")
+    with urllib.request.urlopen(http_request, timeout=provider_timeout()) as response:
+        result = json.loads(response.read().decode("utf-8"))
+    return result["choices"][0]["message"]["content"]
+
+
+# プロバイダー: (利用可能か, 生成関数)
+PROVIDERS = {
+    "gemini": (lambda: bool(GEMINI_API_KEY), generate_with_gemini),
+    "openai": (lambda: bool(os.getenv("OPENAI_COMPAT_BASE_URL")), generate_with_openai_compatible),
+    "rule_based": (lambda: True, lambda request: generate_fallback_comment(request.expression_type, request.templates)),
+}
+
+
 @app.get("/health", response_model=HealthResponse)
 async def health_check():
     """ヘルスチェック"""
@@ -150,65 +304,32 @@ async def health_check():
 async def generate_comment(request: CommentRequest):
     """
     一言コメントを生成
-    
-    - 画像がある場合: Gemini Vision APIで分析して生成
-    - 画像がない場合: テキスト情報のみで生成
-    - APIエラー時: ルールベースでフォールバック
+
+    - provider で指定した順（未指定は COMMENT_PROVIDERS）にプロバイダーを試す
+    - 失敗したら次へ進み、最後はルールベースでフォールバック
+    - source には実際に応答したプロバイダーを返す
+    - コメントのルール（rules / proper_nouns）と直近のコメント（recent_comments）は受け取らず、
+      生成結果の検査と作り直しはブラウザ側（app/comment-validator.js / app/comment-ledger.js）で行う
     """
-    
-    if not GEMINI_API_KEY:
-        # API未設定の場合はルールベースで生成
-        comment = generate_fallback_comment(request.expression_type)
-        return CommentResponse(comment=comment, source="rule_based")
-    
-    try:
-        # Geminiモデルを初期化
-        model = genai.GenerativeModel('gemini-2.0-flash-exp')
-        
-        # 画像の有無を確認
-        has_image = bool(request.image_base64)
-        
-        # プロンプトを構築
-        prompt = build_prompt(request, has_image)
-        
-        if has_image:
-            # 画像付きリクエスト
-            # Base64から画像データを抽出
-            if request.image_base64.startswith('data:'):
-                # data:image/jpeg;base64,xxxx 形式の場合
-                header, image_data = request.image_base64.split(',', 1)
-                mime_type = header.split(':')[1].split(';')[0]
-            else:
-                # 純粋なbase64の場合
-                image_data = request.image_base64
-                mime_type = "image/jpeg"
-            
-            image_bytes = base64.b64decode(image_data)
-            
-            # 画像を含むコンテンツを生成
-            response = model.generate_content([
-                {
-                    "mime_type": mime_type,
-                    "data": image_bytes
-                },
-                prompt
-            ])
-        else:
-            # テキストのみのリクエスト
-            response = model.generate_content(prompt)
-        
-        # レスポンスからテキストを抽出
-        if response.text:
-            comment = response.text.strip()
-            return CommentResponse(comment=comment, source="ai")
-        else:
-            raise ValueError("Empty response from API")
-            
-    except Exception as e:
-        print(f"Gemini API error: {e}")
-        # エラー時はルールベースでフォールバック
-        comment = generate_fallback_comment(request.expression_type)
-        return CommentResponse(comment=comment, source="rule_based")
+    order = resolve_provider_order(request.provider, os.getenv("COMMENT_PROVIDERS", DEFAULT_PROVIDER_ORDER))
+    attempts = []
+
+    for provider_id in order:
+        is_available, generate = PROVIDERS[provider_id]
+        if not is_available():
+            continue
+        try:
+            # プロバイダーの呼び出し（Gemini SDK / urllib）はブロッキングのためスレッドプールで実行する
+            comment = sanitize_comment(await run_in_threadpool(generate, request))
+            if not comment:
+                raise ValueError("Empty response")
+            return CommentResponse(comment=comment, source=provider_id, attempts=attempts)
+        except Exception as e:
+            print(f"{provider_id} provider error: {e}")
+            attempts.append({"provider": provider_id, "error": str(e)})
+
+    comment = generate_fallback_comment(request.expression_type, request.templates)
+    return CommentResponse(comment=comment, source="rule_based", attempts=attempts)
 
 
 @app.get("/")
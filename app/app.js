@@ -8,17 +8,51 @@ import { stateManager } from './state-manager.js';
 import { parse, validateAccount } from './bulk-text-parser.js';
 import { NavigationController } from './navigation-controller.js';
 import { initBatchUI, openBatchGenerateModal, openBatchSendModal } from './batch-ui.js';
+import { initScheduleUI, openScheduleModal } from './schedule-ui.js';
+import { initBackupUI } from './backup-ui.js';
+import { initPersonImportUI } from './person-import-ui.js';
+import { postScheduler, formatScheduledAt } from './post-scheduler.js';
+import { replacePrimaryImage, resolveThreadParentForSend, detachThreadChildren } from './post-composition.js';
+import {
+    initCompositionUI,
+    renderEditImages,
+    renderThreadParentOptions,
+    readThreadParentSelection,
+    getCompositionBadgesHTML
+} from './composition-ui.js';
 import { initDragDrop, getDragDropManager } from './drag-drop.js';
+import { formatQueueNumber } from './queue-number.js';
+import { imageStore, hasImageRefs } from './image-store.js';
+import { VirtualList } from './virtual-list.js';
 import { keyboardShortcuts } from './keyboard-shortcuts.js';
 import './event-patterns.js';
 import './comment-rules.js';
 import './storage-adapter.js';
-import './person-database.js';
+import { PersonDatabase } from './person-database.js';
+import { commentLedger, getEventKey, getPendingComments, DEFAULT_SIMILARITY_THRESHOLD } from './comment-ledger.js';
+import { getCommentRules, getRulesKey, normalizeCommentRules, validateComment, collectProperNouns, isLengthExempt } from './comment-validator.js';
+import { FEATURE_OPTIONS, FEATURE_LABELS, normalizeImageFeatures, analyzeImage, toTemplateFeatures } from './image-analysis.js';
 import './autocomplete-engine.js';
 import './autocomplete-ui.js';
 import './template-database.js';
 import './template-ui.js';
-import './history-database.js';
+import { recordSentPost } from './history-database.js';
+import { commentTemplateLibrary } from './comment-template-library.js';
+import { initCommentTemplateUI } from './comment-template-ui.js';
+import { initContentFilterUI } from './content-filter-ui.js';
+import { LANGUAGES, TARGET_LANGUAGES, normalizeTargetLanguages } from './post-i18n.js';
+import { renderPostTemplates } from './post-layout.js';
+import { postLayoutDatabase } from './post-layout-database.js';
+import { normalizeEventInfo, resolvePostEvent, resolvePublishEvent, buildPostTemplates } from './post-templates.js';
+import { initPostLayoutUI } from './post-layout-ui.js';
+import { DEFAULT_HASHTAG_BUDGET, normalizeHashtagBudget } from './hashtag-recommender.js';
+import { initHashtagUI, renderEditHashtags, readEditHashtags, getEditHashtagsText } from './hashtag-ui.js';
+import { normalizeAccountField, withNormalizedMentions, ensureMentionsAcknowledged, createMentionLookup } from './mention-checker.js';
+import { initMentionUI, renderEditMentions, readEditMentions } from './mention-ui.js';
+import { ConsentError, ensurePostConsent, overridePostConsent } from './consent-guard.js';
+import { ensureContentAllowed, describeFindings, getUnacknowledgedFindings, acknowledgeFindings } from './content-filter.js';
+import { initConsentUI, renderEditConsent } from './consent-ui.js';
+import { OVERFLOW_STRATEGIES, DEFAULT_OVERFLOW_STRATEGY, measurePostTemplates, fitPostTemplates, describeOverflow, normalizeOverflowStrategy } from './x-text-counter.js';
 import './history-ui.js';
 import './inline-edit.js';
 import './status-indicator.js';
@@ -29,6 +63,17 @@ import './focus-manager.js';
 import './touch-gestures.js';
 import './event-database.js';
 import './batch-processor.js';
+import { createPublisher, getTextLimit } from './publishers.js';
+import './x-publisher.js';
+import './bluesky-publisher.js';
+import './mastodon-publisher.js';
+import './misskey-publisher.js';
+import { DEFAULT_WEBHOOK_TEMPLATE, parseWebhookTemplate, parseWebhookHeaders } from './webhook-publisher.js';
+import { initWebhookUI } from './webhook-ui.js';
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, createRequestRetry } from './retry-policy.js';
+import { deadLetterQueue } from './dead-letter-queue.js';
+import { DEFAULT_RATE_LIMITS } from './rate-limiter.js';
+import { DEFAULT_CONCURRENCY, normalizeConcurrency } from './batch-processor.js';
 
 // ========================================
 // State Management
@@ -45,7 +90,7 @@ const AppState = {
         hashtags: ''
     },
 
-    // 投稿キュー（最大10件）
+    // 投稿キュー（件数上限なし、画像は IndexedDB に退避）
     postQueue: [],
     currentEditIndex: null,
 
@@ -62,27 +107,62 @@ const AppState = {
     },
 
     settings: {
-        makeWebhookUrl: ''
+        publisher: 'make',
+        makeWebhookUrl: '',
+        xAccessToken: '',
+        xApiBaseUrl: '',
+        blueskyIdentifier: '',
+        blueskyAppPassword: '',
+        blueskyServiceUrl: '',
+        mastodonInstanceUrl: '',
+        mastodonAccessToken: '',
+        mastodonVisibility: 'public',
+        mastodonSpoilerText: '',
+        misskeyInstanceUrl: '',
+        misskeyAccessToken: '',
+        misskeyVisibility: 'public',
+        misskeyCw: '',
+        // 汎用 Webhook（webhook-publisher.js）。対応表が空欄なら既定の対応表
+        webhookUrl: '',
+        webhookHeaders: '',
+        webhookSecret: '',
+        webhookTemplate: '',
+        commentProvider: 'auto',
+        // image-analyzer Worker のURL（空欄は解析しない）
+        imageAnalyzerUrl: '',
+        // 新しい投稿の翻訳先の言語（post-i18n.js）
+        postLanguages: [],
+        // 投稿アカウントごとのコメントのルール（comment-validator.js）
+        postingAccount: '',
+        commentRules: {},
+        retry: { ...DEFAULT_RETRY_POLICY },
+        batchConcurrency: DEFAULT_CONCURRENCY,
+        // X の文字数が上限を超えたときの調整方法（x-text-counter.js）
+        overflowStrategy: DEFAULT_OVERFLOW_STRATEGY,
+        // 投稿ごとのハッシュタグの上限（hashtag-recommender.js）
+        hashtagBudget: DEFAULT_HASHTAG_BUDGET,
+        // メンションするアカウントが X に存在するかを送信前に確かめる（mention-checker.js）
+        mentionLookup: false,
+        rateLimits: {
+            gemini: DEFAULT_RATE_LIMITS.gemini.perMinute,
+            make: DEFAULT_RATE_LIMITS.make.perMinute
+        }
     }
 };
 
-function normalizeEventInfo(raw = {}) {
-    return {
-        eventEn: raw.eventEn || '',
-        eventJp: raw.eventJp || '',
-        date: raw.date || '',
-        venue: raw.venue || '',
-        category: raw.category || 'ブース',
-        hashtags: raw.hashtags || ''
-    };
-}
-
 function getEventInfoForPost(post) {
-    if (post && post.eventInfo && (post.eventInfo.eventEn || post.eventInfo.eventJp)) {
-        return normalizeEventInfo(post.eventInfo);
-    }
+    return resolvePostEvent(post, AppState.eventInfo);
+}
 
-    return normalizeEventInfo(AppState.eventInfo || {});
+/**
+ * コメントの生成で避けるコメント（送信済みの台帳と、キューにある他の未送信の投稿のコメント）
+ * @param {string} ledgerKey - 台帳のキー
+ * @param {string} [exceptId] - コメントを作り直す投稿
+ * @returns {Array<string>}
+ */
+function getUsedComments(ledgerKey, exceptId = null) {
+    const pending = getPendingComments(AppState.postQueue, ledgerKey, { defaultEvent: AppState.eventInfo, exceptId });
+    return commentLedger.getRecentComments(ledgerKey, { pending });
 }
 
 // 投稿アイテムのファクトリ関数
@@ -97,7 +177,20 @@ function createPostItem(overrides = {}) {
         personName: '',
         personAccount: '',
         aiComment: '',
-        status: 'draft', // draft | ready | sent | failed
+        // 画像解析の特徴（image-analysis.js）
+        imageFeatures: null,
+        // 翻訳先の言語と言語ごとのコメント（post-i18n.js）
+        targetLanguages: normalizeTargetLanguages(AppState.settings.postLanguages),
+        localizedComments: {},
+        status: 'draft', // draft | ready | scheduled | sent | failed
+        scheduledAt: null,
+        images: [], // [{ base64, alt }]（最大4枚、空の場合は imageBase64 を使用）
+        threadParentId: null, // スレッドの返信先の投稿ID
+        hashtags: null, // 編集画面で選んだハッシュタグ（null はおすすめから自動で選ぶ）
+        mentionAcknowledged: [], // 編集画面で確認済みにしたメンションの警告
+        contentAcknowledged: [], // 確認して送信する warn の表現（content-filter.js）
+        consentOverride: null, // 要確認の人物の確認を省いた記録（consent-guard.js）
+        pendingReplies: null, // 本体の投稿後に失敗したスレッドの続き（再送信では続きだけを投稿する）
         createdAt: Date.now(),
         updatedAt: Date.now(),
         ...overrides
@@ -106,11 +199,6 @@ function createPostItem(overrides = {}) {
 
 // キューに投稿を追加
 function addToQueue(postData = {}) {
-    if (AppState.postQueue.length >= 10) {
-        showToast('投稿キューは最大10件です', 'error');
-        return null;
-    }
-
     // 前の状態を保存
     const previousState = {
         postQueue: [...AppState.postQueue]
@@ -144,7 +232,12 @@ function removeFromQueue(index) {
             postQueue: [...AppState.postQueue]
         };
 
-        AppState.postQueue.splice(index, 1);
+        const [removed] = AppState.postQueue.splice(index, 1);
+
+        // 削除した投稿への返信はスレッドの先頭に戻す
+        if (removed) {
+            detachThreadChildren(AppState.postQueue, removed.id);
+        }
 
         // アンドゥスタックに追加
         const newState = {
@@ -177,6 +270,20 @@ function updateQueueItem(index, updates) {
     }
 }
 
+/**
+ * 投稿を現在の位置で更新（送信の待機中に並べ替え・削除・予約のディスパッチがあっても別の投稿を更新しない）
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {Object} updates
+ * @returns {number} - 更新した位置（キューから削除されていた場合は -1 で、更新しない）
+ */
+function updateQueuedPost(post, updates) {
+    const index = AppState.postQueue.indexOf(post);
+    if (index >= 0) {
+        updateQueueItem(index, updates);
+    }
+    return index;
+}
+
 // ========================================
 // Multiple Event Batch Parser
 // ========================================
@@ -235,10 +342,7 @@ function parseMultipleEvents(text) {
         blocks = trimmedText.split(/\n{3,}/).filter(b => b.trim());
     }
 
-    // 最大10件まで
-    const maxBlocks = blocks.slice(0, 10);
-
-    for (const block of maxBlocks) {
+    for (const block of blocks) {
         const parsed = parseEventBlock(block.trim());
         if (parsed && (parsed.eventEn || parsed.eventJp || parsed.venue)) {
             events.push(parsed);
@@ -317,43 +421,6 @@ function parseEventBlock(block) {
     return result;
 }
 
-function getAvailableQueueSlots() {
-    let available = 10 - AppState.postQueue.length;
-    if (available > 0) {
-        return available;
-    }
-
-    const shouldClear = confirm('投稿キューがいっぱいです。既存の投稿をクリアして追加しますか？');
-    if (!shouldClear) {
-        showToast('追加をキャンセルしました', 'info');
-        return 0;
-    }
-
-    const previousState = {
-        postQueue: [...AppState.postQueue]
-    };
-
-    AppState.postQueue = [];
-    AppState.currentEditIndex = null;
-
-    if (navigationController) {
-        navigationController.savedQueueState = null;
-    }
-
-    if (window.selectionModeManager && window.selectionModeManager.isSelectionMode) {
-        window.selectionModeManager.exitSelectionMode();
-    }
-
-    const newState = {
-        postQueue: [...AppState.postQueue]
-    };
-    stateManager.pushUndo('CLEAR_QUEUE', previousState, newState);
-
-    renderPostQueue();
-    closeEditModal();
-    return 10;
-}
-
 function setAppEventInfoFromEvents(events) {
     if (!Array.isArray(events) || events.length === 0) {
         return;
@@ -385,24 +452,8 @@ function addBatchEventsToQueue(text) {
         return 0;
     }
 
-    const available = getAvailableQueueSlots();
-    if (available <= 0) {
-        return 0;
-    }
-
-    const toAdd = events.slice(0, available);
-
-    if (toAdd.length === 0) {
-        showToast('追加できる空きがありません', 'warning');
-        return 0;
-    }
-
-    if (toAdd.length < events.length) {
-        showToast(`最大10件のため、${toAdd.length}件のみ追加します`, 'warning');
-    }
-
     let addedCount = 0;
-    for (const event of toAdd) {
+    for (const event of events) {
         const normalized = normalizeEventInfo(event);
         // イベント情報を投稿キューに追加（各イベントごとに EventInfo をセット）
         const created = addToQueue({
@@ -430,7 +481,20 @@ function addBatchEventsToQueue(text) {
 // Post Queue Rendering
 // ========================================
 
-const QUEUE_NUMBER_EMOJIS = ['①', '②', '③', '④', '⑤', '⑥', '⑦', '⑧', '⑨', '⑩'];
+// 件数が多い場合は表示範囲のアイテムだけを描画する
+let queueVirtualList = null;
+
+function getQueueVirtualList(container) {
+    if (!queueVirtualList || queueVirtualList.container !== container) {
+        if (queueVirtualList) queueVirtualList.destroy();
+        queueVirtualList = new VirtualList({
+            container,
+            renderItem: (index) => createQueueItemElement(AppState.postQueue[index], index),
+            onRendered: initializeQueueInteractions
+        });
+    }
+    return queueVirtualList;
+}
 
 function renderPostQueue() {
     const container = DOM.postQueue;
@@ -440,7 +504,7 @@ function renderPostQueue() {
 
     // Update count
     if (DOM.queueCount) {
-        DOM.queueCount.textContent = `${AppState.postQueue.length} / 10`;
+        DOM.queueCount.textContent = `${AppState.postQueue.length}件`;
     }
 
     // Update FAB count
@@ -452,148 +516,178 @@ function renderPostQueue() {
     }
 
     // Show/hide empty state
-    if (AppState.postQueue.length === 0) {
-        if (emptyState) emptyState.style.display = 'block';
-        // Remove all queue items
-        container.querySelectorAll('.queue-item').forEach(el => el.remove());
-        return;
+    if (emptyState) {
+        emptyState.style.display = AppState.postQueue.length === 0 ? 'block' : 'none';
     }
 
-    if (emptyState) emptyState.style.display = 'none';
-
-    // Remove existing items
-    container.querySelectorAll('.queue-item').forEach(el => el.remove());
+    // Render visible items
+    getQueueVirtualList(container).render(AppState.postQueue.length);
 
-    // Render each item
-    AppState.postQueue.forEach((post, index) => {
-        const item = document.createElement('div');
-        item.className = `queue-item ${post.status}`;
-        item.dataset.index = index;
+    // 予約状態を保存（送信済み・削除済みの投稿を予約から外す）
+    postScheduler.persist();
 
-        // Add selection mode class if active
-        const isSelectionMode = window.selectionModeManager && window.selectionModeManager.isSelectionMode;
-        const isSelected = window.selectionModeManager && window.selectionModeManager.isSelected(index);
+    // 画像を IndexedDB に退避
+    scheduleQueueImageOffload();
+}
 
-        if (isSelectionMode) {
-            item.classList.add('selection-mode');
-            if (isSelected) {
-                item.classList.add('selected');
-            }
-        }
+/**
+ * 送信先の文字数が上限を超えている投稿のバッジHTML（送信時の調整方法を title に表示）
+ * @param {Object} post
+ * @param {import('./x-text-counter.js').TextLimit} limit - 送信先の上限
+ * @returns {string}
+ */
+function getOverLengthBadgeHTML(post, limit) {
+    const longest = Math.max(0, ...measurePostTemplates(generatePostTemplatesForItem(post), limit).map(entry => entry.weightedLength));
+    if (longest <= limit.max) return '';
 
-        const thumbnailContent = post.imageBase64
-            ? `<img src="${post.imageBase64}" alt="Thumbnail">`
-            : `<span class="queue-thumbnail-placeholder">📷</span>`;
-
-        const statusClass = post.status || 'draft';
-        const statusText = window.statusIndicator
-            ? window.statusIndicator.getStatusText(post.status || 'draft')
-            : (post.status === 'sent' ? '送信済' : post.status === 'ready' ? '準備完了' : post.status === 'failed' ? '失敗' : '下書き');
-
-        // Get warning icon if missing required fields
-        const warningIcon = window.statusIndicator
-            ? window.statusIndicator.getWarningIconHTML(post)
-            : '';
-
-        // Add checkbox if in selection mode
-        const checkboxHTML = isSelectionMode
-            ? `<div class="queue-checkbox">
-                <input type="checkbox" ${isSelected ? 'checked' : ''} />
-               </div>`
-            : '';
-
-        item.innerHTML = `
-            ${checkboxHTML}
-            <div class="queue-number">${QUEUE_NUMBER_EMOJIS[index]}</div>
-            <div class="queue-thumbnail">${thumbnailContent}</div>
-            <div class="queue-info">
-                <div class="queue-booth">${post.boothName || '未設定'}</div>
-                <div class="queue-person">${post.personName ? post.personName + ' さん' : '名前未設定'}</div>
-                <div class="queue-comment">${post.aiComment || 'コメント未設定'}</div>
-            </div>
-            <div class="queue-actions">
-                <button class="queue-edit-btn" title="編集">✏️</button>
-                <button class="queue-preview-editor-btn" title="SNSプレビュー編集">🎨</button>
-                <button class="queue-send-btn" title="送信">📤</button>
-                <button class="queue-delete-btn" title="削除">🗑️</button>
-            </div>
-            <div class="queue-status ${statusClass}">${statusText}</div>
-            ${warningIcon}
-        `;
+    const strategy = OVERFLOW_STRATEGIES[normalizeOverflowStrategy(AppState.settings.overflowStrategy)];
+    return `<div class="queue-badges"><span class="queue-badge queue-over-length" title="${limit.label} の文字数が上限を超えています（送信時: ${strategy}）">✂️ ${longest}/${limit.max}</span></div>`;
+}
 
-        // Apply status-based styling (including stale draft highlighting)
-        if (window.statusIndicator) {
-            window.statusIndicator.applyStatusStyling(item, post);
+/**
+ * キューアイテムの要素を作成
+ * @param {Object} post
+ * @param {number} index
+ * @returns {HTMLElement}
+ */
+function createQueueItemElement(post, index) {
+    const item = document.createElement('div');
+    item.className = `queue-item ${post.status}`;
+    item.dataset.index = index;
+
+    // Add selection mode class if active
+    const isSelectionMode = window.selectionModeManager && window.selectionModeManager.isSelectionMode;
+    const isSelected = window.selectionModeManager && window.selectionModeManager.isSelected(index);
+
+    if (isSelectionMode) {
+        item.classList.add('selection-mode');
+        if (isSelected) {
+            item.classList.add('selected');
         }
+    }
 
-        // Event listeners for checkbox (if in selection mode)
-        if (isSelectionMode) {
-            const checkbox = item.querySelector('.queue-checkbox input');
-            if (checkbox) {
-                checkbox.addEventListener('change', (e) => {
-                    e.stopPropagation();
-                    if (window.selectionModeManager) {
-                        window.selectionModeManager.toggleSelection(index);
-                    }
-                });
-            }
-        }
+    const thumbnailSrc = post.imageBase64 || post.thumbnail;
+    const thumbnailContent = thumbnailSrc
+        ? `<img src="${thumbnailSrc}" alt="Thumbnail">`
+        : `<span class="queue-thumbnail-placeholder">📷</span>`;
+
+    const statusClass = post.status || 'draft';
+    const statusText = window.statusIndicator
+        ? window.statusIndicator.getStatusText(post.status || 'draft')
+        : (post.status === 'sent' ? '送信済' : post.status === 'ready' ? '準備完了' : post.status === 'failed' ? '失敗' : '下書き');
+
+    // Get warning icon if missing required fields
+    const warningIcon = window.statusIndicator
+        ? window.statusIndicator.getWarningIconHTML(post)
+        : '';
+
+    // Add checkbox if in selection mode
+    const checkboxHTML = isSelectionMode
+        ? `<div class="queue-checkbox">
+            <input type="checkbox" ${isSelected ? 'checked' : ''} />
+           </div>`
+        : '';
+
+    item.innerHTML = `
+        ${checkboxHTML}
+        <div class="queue-number">${formatQueueNumber(index)}</div>
+        <div class="queue-thumbnail">${thumbnailContent}</div>
+        <div class="queue-info">
+            <div class="queue-booth">${post.boothName || '未設定'}</div>
+            <div class="queue-person">${post.personName ? post.personName + ' さん' : '名前未設定'}</div>
+            <div class="queue-comment">${post.aiComment || 'コメント未設定'}</div>
+            ${getCompositionBadgesHTML(post, AppState.postQueue)}
+            ${getOverLengthBadgeHTML(post, getTextLimit(createPublisher(AppState.settings)))}
+        </div>
+        <div class="queue-actions">
+            <button class="queue-edit-btn" title="編集">✏️</button>
+            <button class="queue-preview-editor-btn" title="SNSプレビュー編集">🎨</button>
+            <button class="queue-send-btn" title="送信">📤</button>
+            <button class="queue-delete-btn" title="削除">🗑️</button>
+        </div>
+        <div class="queue-status ${statusClass}">${statusText}</div>
+        ${post.status === 'scheduled' && post.scheduledAt ? `<div class="queue-scheduled-at" title="予約時刻">⏰ ${formatScheduledAt(post.scheduledAt)}</div>` : ''}
+        ${warningIcon}
+    `;
 
-        // Event listeners
-        item.querySelector('.queue-edit-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            openEditModal(index);
-        });
+    // Apply status-based styling (including stale draft highlighting)
+    if (window.statusIndicator) {
+        window.statusIndicator.applyStatusStyling(item, post);
+    }
 
-        // Preview Editor button
-        const previewEditorBtn = item.querySelector('.queue-preview-editor-btn');
-        if (previewEditorBtn) {
-            previewEditorBtn.addEventListener('click', (e) => {
+    // Event listeners for checkbox (if in selection mode)
+    if (isSelectionMode) {
+        const checkbox = item.querySelector('.queue-checkbox input');
+        if (checkbox) {
+            checkbox.addEventListener('change', (e) => {
                 e.stopPropagation();
-                if (window.openPreviewEditor) {
-                    window.openPreviewEditor(index);
+                if (window.selectionModeManager) {
+                    window.selectionModeManager.toggleSelection(index);
                 }
             });
         }
+    }
 
-        item.querySelector('.queue-send-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            sendQueueItem(index);
-        });
+    // Event listeners
+    item.querySelector('.queue-edit-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        openEditModal(index);
+    });
 
-        item.querySelector('.queue-delete-btn').addEventListener('click', (e) => {
+    // Preview Editor button
+    const previewEditorBtn = item.querySelector('.queue-preview-editor-btn');
+    if (previewEditorBtn) {
+        previewEditorBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            removeFromQueue(index);
-        });
-
-        // Click on item to edit (but not if inline editing or in selection mode)
-        item.addEventListener('click', (e) => {
-            // Don't open modal if clicking on an inline editable field or if currently editing
-            if (e.target.classList.contains('inline-editable') ||
-                e.target.closest('.inline-editable') ||
-                (typeof inlineEditManager !== 'undefined' && inlineEditManager.isEditing())) {
-                return;
+            if (window.openPreviewEditor) {
+                window.openPreviewEditor(index);
             }
+        });
+    }
 
-            // Don't open modal if in selection mode - just toggle selection
-            if (isSelectionMode) {
-                if (window.selectionModeManager) {
-                    window.selectionModeManager.toggleSelection(index);
-                }
-                return;
-            }
+    item.querySelector('.queue-send-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        sendQueueItem(index);
+    });
 
-            openEditModal(index);
-        });
+    item.querySelector('.queue-delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeFromQueue(index);
+    });
 
-        container.appendChild(item);
+    // Click on item to edit (but not if inline editing or in selection mode)
+    item.addEventListener('click', (e) => {
+        // Don't open modal if clicking on an inline editable field or if currently editing
+        if (e.target.classList.contains('inline-editable') ||
+            e.target.closest('.inline-editable') ||
+            (typeof inlineEditManager !== 'undefined' && inlineEditManager.isEditing())) {
+            return;
+        }
 
-        // Initialize inline editing for this item
-        if (typeof inlineEditManager !== 'undefined') {
-            inlineEditManager.initializeQueueItem(item, index);
+        // Don't open modal if in selection mode - just toggle selection
+        if (isSelectionMode) {
+            if (window.selectionModeManager) {
+                window.selectionModeManager.toggleSelection(index);
+            }
+            return;
         }
+
+        openEditModal(index);
     });
 
+    // Initialize inline editing for this item
+    if (typeof inlineEditManager !== 'undefined') {
+        inlineEditManager.initializeQueueItem(item, index);
+    }
+
+    return item;
+}
+
+/**
+ * 描画されたアイテムにドラッグ&ドロップ等を設定
+ * @param {HTMLElement} container
+ */
+function initializeQueueInteractions(container) {
     // Initialize drag and drop for all items
     if (dragDropManager) {
         dragDropManager.initializeQueue(container);
@@ -610,6 +704,41 @@ function renderPostQueue() {
     }
 }
 
+// キュー画像の退避（連続した変更をまとめる）
+let imageOffloadTimer = null;
+
+function scheduleQueueImageOffload() {
+    clearTimeout(imageOffloadTimer);
+    imageOffloadTimer = setTimeout(offloadQueueImages, 1000);
+}
+
+/**
+ * キューの画像（base64）を IndexedDB に退避してサムネイルに置き換える
+ * 編集中の投稿は対象外
+ */
+async function offloadQueueImages() {
+    const editingPosts = new Set([
+        AppState.postQueue[AppState.currentEditIndex],
+        AppState.postQueue[window.previewEditor?.currentPostIndex]
+    ].filter(Boolean));
+
+    let changed = false;
+    for (const post of [...AppState.postQueue]) {
+        if (editingPosts.has(post)) continue;
+        try {
+            changed = (await imageStore.offloadPostImages(post)) || changed;
+        } catch (error) {
+            console.warn('[App] Failed to offload images:', error);
+        }
+    }
+
+    // インライン編集中は描画し直さない（表示中の画像はそのまま使える）
+    const isInlineEditing = typeof inlineEditManager !== 'undefined' && inlineEditManager.isEditing();
+    if (changed && !isInlineEditing) {
+        renderPostQueue();
+    }
+}
+
 // Make functions globally accessible for drag-drop module and keyboard shortcuts
 window.renderPostQueue = renderPostQueue;
 window.addToQueue = addToQueue;
@@ -643,7 +772,7 @@ function updateFloatingActionBar() {
 
     // Update queue count
     if (DOM.fabQueueCount) {
-        DOM.fabQueueCount.textContent = `${AppState.postQueue.length} / 10`;
+        DOM.fabQueueCount.textContent = `${AppState.postQueue.length}件`;
     }
 }
 
@@ -667,17 +796,11 @@ function openEditModal(index) {
 
     // Set modal title
     if (DOM.editModalTitle) {
-        DOM.editModalTitle.textContent = `✏️ 投稿を編集 - ${QUEUE_NUMBER_EMOJIS[index]}`;
+        DOM.editModalTitle.textContent = `✏️ 投稿を編集 - ${formatQueueNumber(index)}`;
     }
 
     // Set image
-    if (DOM.editImagePreview) {
-        if (post.imageBase64) {
-            DOM.editImagePreview.innerHTML = `<img src="${post.imageBase64}" alt="Preview">`;
-        } else {
-            DOM.editImagePreview.innerHTML = `<span class="photo-placeholder">📷 写真をドロップ</span>`;
-        }
-    }
+    renderEditImagePreview(post);
 
     // Set form values
     if (DOM.editBoothName) DOM.editBoothName.value = post.boothName || '';
@@ -686,6 +809,15 @@ function openEditModal(index) {
     if (DOM.editPersonName) DOM.editPersonName.value = post.personName || '';
     if (DOM.editPersonAccount) DOM.editPersonAccount.value = post.personAccount || '';
     if (DOM.editAiComment) DOM.editAiComment.value = post.aiComment || '';
+    renderEditImageFeatures(post.imageFeatures);
+    renderEditLanguages(post);
+
+    // Images (alt text) and thread parent
+    renderEditImages();
+    renderThreadParentOptions();
+    renderEditHashtags();
+    renderEditMentions();
+    renderEditConsent();
 
     // Update status badge
     updateEditStatusBadge(post.status);
@@ -725,6 +857,33 @@ function openEditModal(index) {
 
     // Update real-time preview
     updateRealtimePreview();
+
+    // IndexedDB に退避済みの画像を読み込んでから表示し直す
+    if (hasImageRefs(post)) {
+        imageStore.loadPostImages(post).then(() => {
+            if (AppState.currentEditIndex !== index || AppState.postQueue[index] !== post) return;
+            renderEditImagePreview(post);
+            renderEditImages();
+            updateEditPreview();
+        }).catch(error => {
+            console.warn('[App] Failed to load images:', error);
+        });
+    }
+}
+
+/**
+ * 編集モーダルの画像プレビューを描画（読み込み前はサムネイル）
+ * @param {Object} post
+ */
+function renderEditImagePreview(post) {
+    if (!DOM.editImagePreview) return;
+
+    const src = post.imageBase64 || post.thumbnail;
+    if (src) {
+        DOM.editImagePreview.innerHTML = `<img src="${src}" alt="Preview">`;
+    } else {
+        DOM.editImagePreview.innerHTML = `<span class="photo-placeholder">📷 写真をドロップ</span>`;
+    }
 }
 
 function closeEditModal() {
@@ -738,20 +897,42 @@ function saveEditModal() {
     const index = AppState.currentEditIndex;
     if (index === null || index < 0) return;
 
+    // 予約済みの投稿は編集後も予約を維持する
+    const nextStatus = AppState.postQueue[index]?.status === 'scheduled' ? 'scheduled' : 'ready';
+
+    const threadSelection = readThreadParentSelection();
+    if (threadSelection.error) {
+        showToast(threadSelection.error, 'error');
+        return;
+    }
+
+    const mentions = readEditMentions();
+    // アカウントの表記を @foo に揃える（mention-checker.js）
+    const boothAccount = normalizeAccountField(DOM.editBoothAccount?.value);
+    const personAccount = normalizeAccountField(DOM.editPersonAccount?.value);
+    if (DOM.editBoothAccount) DOM.editBoothAccount.value = boothAccount;
+    if (DOM.editPersonAccount) DOM.editPersonAccount.value = personAccount;
+
     const updates = {
         boothName: DOM.editBoothName?.value || '',
-        boothAccount: DOM.editBoothAccount?.value || '',
+        boothAccount,
         personRole: DOM.editPersonRole?.value || 'モデル',
         personName: DOM.editPersonName?.value || '',
-        personAccount: DOM.editPersonAccount?.value || '',
+        personAccount,
+        personAccounts: resolvePersonAccounts(personAccount),
         aiComment: DOM.editAiComment?.value || '',
-        status: 'ready'
+        imageFeatures: readEditImageFeatures(),
+        ...readEditLanguages(),
+        ...readEditHashtags(),
+        ...mentions,
+        threadParentId: threadSelection.threadParentId,
+        status: nextStatus
     };
 
     updateQueueItem(index, updates);
 
     // Update status badge and switch to preview
-    updateEditStatusBadge('ready');
+    updateEditStatusBadge(nextStatus);
     switchEditMode('preview');
     updateEditPreviewFull();
 
@@ -836,116 +1017,384 @@ function copyPreviewText(elementId) {
     });
 }
 
-function updateEditPreview() {
-    if (!DOM.editPreviewContent) return;
+/**
+ * 画像の特徴を編集モーダルのチップに表示
+ * @param {Object|null} features
+ */
+function renderEditImageFeatures(features) {
+    const container = DOM.editImageFeatures;
+    if (!container) return;
 
-    const index = AppState.currentEditIndex;
-    const post = index !== null && index >= 0 ? AppState.postQueue[index] : null;
-    const event = getEventInfoForPost(post);
-    const boothName = DOM.editBoothName?.value || '';
-    const boothAccount = DOM.editBoothAccount?.value || '';
-    const personRole = DOM.editPersonRole?.value || 'モデル';
-    const personName = DOM.editPersonName?.value || '';
-    const personAccount = DOM.editPersonAccount?.value || '';
-    const aiComment = DOM.editAiComment?.value || '';
+    container.dataset.source = features?.source || '';
+    container.dataset.impression = features?.impression || '';
+    container.dataset.confidence = features?.confidence ?? '';
+    container.innerHTML = Object.entries(FEATURE_OPTIONS).map(([name, options]) => `
+        <label class="feature-chip ${features?.[name] ? 'is-set' : ''}">
+            ${FEATURE_LABELS[name]}
+            <select data-feature="${name}">
+                <option value="">—</option>
+                ${options.map(option => `<option value="${option}" ${features?.[name] === option ? 'selected' : ''}>${option}</option>`).join('')}
+            </select>
+        </label>
+    `).join('') + (features?.impression ? `<span class="feature-impression">「${escapeHtml(features.impression)}」</span>` : '');
+
+    container.querySelectorAll('select[data-feature]').forEach(select => {
+        select.addEventListener('change', () => {
+            container.dataset.source = 'manual';
+            select.closest('.feature-chip')?.classList.toggle('is-set', !!select.value);
+            if (select.dataset.feature === 'expression' && select.value && DOM.editExpressionType) {
+                DOM.editExpressionType.value = select.value;
+            }
+        });
+    });
+
+    if (features?.expression && DOM.editExpressionType) {
+        DOM.editExpressionType.value = features.expression;
+    }
+}
+
+/**
+ * 編集モーダルのチップから画像の特徴を読み取る
+ * @returns {Object|null}
+ */
+function readEditImageFeatures() {
+    const container = DOM.editImageFeatures;
+    if (!container) return null;
+
+    const raw = {
+        impression: container.dataset.impression || '',
+        confidence: container.dataset.source === 'manual' ? 1 : Number(container.dataset.confidence)
+    };
+    container.querySelectorAll('select[data-feature]').forEach(select => {
+        raw[select.dataset.feature] = select.value;
+    });
+    return normalizeImageFeatures(raw, container.dataset.source || 'manual');
+}
+
+/**
+ * 翻訳先の言語と言語ごとのコメントを編集モーダルに表示
+ * @param {Object} post
+ */
+function renderEditLanguages(post) {
+    const container = DOM.editPostLanguages;
+    if (!container) return;
+
+    const selected = normalizeTargetLanguages(post.targetLanguages);
+    container.innerHTML = TARGET_LANGUAGES.map(language => `
+        <div class="post-language ${selected.includes(language) ? 'is-selected' : ''}" data-language="${language}">
+            <div class="post-language-header">
+                <label>
+                    <input type="checkbox" data-action="toggle" ${selected.includes(language) ? 'checked' : ''}>
+                    ${LANGUAGES[language].label}
+                </label>
+                <button class="btn btn-ghost btn-small" data-action="generate" type="button">✨ 生成</button>
+            </div>
+            <textarea data-action="comment" rows="2" placeholder="${LANGUAGES[language].label} のコメント">${escapeHtml(post.localizedComments?.[language] || '')}</textarea>
+        </div>
+    `).join('');
+}
+
+/**
+ * 編集モーダルから翻訳先の言語と言語ごとのコメントを読み取る
+ * @returns {{ targetLanguages: Array<string>, localizedComments: Object<string, string> }|{}}
+ */
+function readEditLanguages() {
+    const container = DOM.editPostLanguages;
+    if (!container) return {};
+
+    const targetLanguages = [];
+    const localizedComments = {};
+    container.querySelectorAll('.post-language[data-language]').forEach(row => {
+        const language = row.dataset.language;
+        if (row.querySelector('[data-action="toggle"]')?.checked) targetLanguages.push(language);
+        const comment = row.querySelector('[data-action="comment"]')?.value.trim();
+        if (comment) localizedComments[language] = comment;
+    });
+    return { targetLanguages: normalizeTargetLanguages(targetLanguages), localizedComments };
+}
 
-    const preview = `📸 ${event.eventEn} – ${event.eventJp}
-${event.date}｜${event.venue}
+/**
+ * 編集モーダルで1言語分のコメントをルールベースで生成
+ * @param {string} language
+ * @param {HTMLTextAreaElement} textarea
+ */
+function generateEditLocalizedComment(language, textarea) {
+    const post = AppState.postQueue[AppState.currentEditIndex];
+    const eventKey = getEventKey(getEventInfoForPost(post));
+    // 言語ごとに別の台帳で重複を避ける（batch-processor.js と同じ）
+    const comment = window.generateRuleBasedComment({
+        expressionType: DOM.editExpressionType?.value || '笑顔',
+        ...toTemplateFeatures(readEditImageFeatures()),
+        language,
+        exclude: getUsedComments(`${eventKey}|${language}`, post?.id)
+    });
+    textarea.value = comment;
+}
 
-◼︎ ${event.category}
-${boothName}${boothAccount ? `（${boothAccount}）` : ''}
+/**
+ * 編集中のコメントがルールに違反していれば警告を表示
+ */
+function updateEditCommentWarnings() {
+    if (!DOM.editCommentWarnings) return;
+
+    const comment = DOM.editAiComment?.value || '';
+    const post = AppState.currentEditIndex !== null ? AppState.postQueue[AppState.currentEditIndex] : null;
+    const { violations } = comment.trim()
+        ? validateComment(comment, getCommentRules(AppState.settings), {
+            properNouns: collectProperNouns({
+                boothName: DOM.editBoothName?.value,
+                personName: DOM.editPersonName?.value,
+                eventInfo: getEventInfoForPost(post)
+            })
+        })
+        : { violations: [] };
+    // テンプレート集から選んだコメントは文字数を検査しない
+    const source = commentTemplateLibrary.identify(comment) ? 'rule_based' : 'edited';
+    const shown = violations.filter(v => !isLengthExempt(v, source));
 
-◼︎ ${personRole}
-${personName ? `${personName} さん` : '※お名前調査中'}
-${personAccount}
+    DOM.editCommentWarnings.innerHTML = shown.map(v => `<li>${escapeHtml(v.message)}</li>`).join('');
+    DOM.editCommentWarnings.hidden = shown.length === 0;
+}
 
-${aiComment}
+/**
+ * 編集フォームの入力値で投稿文（X）を描画（編集画面・リアルタイムプレビュー）
+ * @returns {string}
+ */
+function renderEditFormPreview() {
+    const index = AppState.currentEditIndex;
+    const post = index !== null && index >= 0 ? AppState.postQueue[index] : null;
+    const personAccount = DOM.editPersonAccount?.value || '';
+    const draft = withNormalizedMentions({
+        ...post,
+        boothName: DOM.editBoothName?.value || '',
+        boothAccount: DOM.editBoothAccount?.value || '',
+        personRole: DOM.editPersonRole?.value || 'モデル',
+        personName: DOM.editPersonName?.value || '',
+        personAccount,
+        personAccounts: resolvePersonAccounts(personAccount),
+        aiComment: DOM.editAiComment?.value || ''
+    });
+    // ハッシュタグは編集画面で選んでいるもの
+    const event = { ...getEventInfoForPost(post), hashtags: getEditHashtagsText() };
+    return renderPostTemplates(draft, event, { layout: postLayoutDatabase.resolve(event) }).x1;
+}
 
-${event.hashtags}`.trim();
+function updateEditPreview() {
+    updateEditCommentWarnings();
+    if (!DOM.editPreviewContent) return;
 
-    DOM.editPreviewContent.textContent = preview;
+    DOM.editPreviewContent.textContent = renderEditFormPreview();
 }
 
 // ========================================
 // Queue Item Actions
 // ========================================
 
-async function sendQueueItem(index) {
+/**
+ * キューの投稿を送信
+ * 予約投稿のディスパッチャーと手動の送信が同じ投稿を重ねて送らないように、
+ * 確認の前に status を 'sending' にして保存し、送信中の投稿は送らない
+ * @param {number} index - 投稿インデックス
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=true] - false の場合は確認ダイアログを出さない（予約投稿のディスパッチャー）
+ * @returns {Promise<boolean>} - 送信に成功した場合true
+ */
+async function sendQueueItem(index, options = {}) {
     const post = AppState.postQueue[index];
-    if (!post) return;
+    if (!post) return false;
+    if (post.status === 'sending') {
+        showToast(`${formatQueueNumber(index)} は送信中です`, 'info');
+        return false;
+    }
 
-    const webhookUrl = AppState.settings.makeWebhookUrl;
-    if (!webhookUrl) {
-        showToast('Make.com Webhook URLを設定してください', 'error');
-        return;
+    const previousStatus = post.status;
+    updateQueueItem(index, { status: 'sending' });
+    stateManager.save();
+    postScheduler.persist();
+
+    try {
+        return await publishQueueItem(index, options);
+    } finally {
+        // 送信前の確認で中止した場合は元の状態に戻す
+        const currentIndex = AppState.postQueue.indexOf(post);
+        if (currentIndex >= 0 && post.status === 'sending') {
+            updateQueueItem(currentIndex, { status: previousStatus });
+        }
+        stateManager.save();
     }
+}
 
-    const event = getEventInfoForPost(post);
-    const templates = generatePostTemplatesForItem(post);
+/**
+ * 送信前の確認を行い、投稿を送信先に送る（sendQueueItem から呼ぶ）
+ * @param {number} index - 投稿インデックス
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=true]
+ * @returns {Promise<boolean>}
+ */
+async function publishQueueItem(index, { interactive = true } = {}) {
+    const post = AppState.postQueue[index];
 
-    const payload = {
-        timestamp: new Date().toISOString(),
-        event: event,
-        photo: {
-            base64: post.imageBase64
-        },
-        person: {
-            name: post.personName,
-            role: post.personRole,
-            account: post.personAccount
-        },
-        booth: {
-            name: post.boothName,
-            account: post.boothAccount
-        },
-        posts: {
-            x1: templates.x1,
-            x2: templates.x2,
-            instagram: templates.ig
+    const publisher = createPublisher(AppState.settings);
+    if (!publisher.isConfigured()) {
+        showToast(publisher.notConfiguredMessage, 'error');
+        return false;
+    }
+
+    let parent;
+    try {
+        parent = resolveThreadParentForSend(AppState.postQueue, post);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return false;
+    }
+
+    const event = getPublishEventForPost(post);
+    // 送信先の文字数の上限を超える投稿文は設定に従って調整する（x-text-counter.js）
+    const templates = fitPostTemplates(
+        generatePostTemplatesForItem(post),
+        post,
+        normalizeOverflowStrategy(AppState.settings.overflowStrategy),
+        getTextLimit(publisher)
+    );
+    const overLength = templates.overflow.find(entry => !entry.fitted);
+    if (overLength) {
+        showToast(`文字数が上限を超えています: ${describeOverflow(overLength)}`, 'error');
+        return false;
+    }
+
+    // NGワード・個人情報（content-filter.js）: block のルールに一致すれば送信しない、warn は確認する
+    // 予約投稿のディスパッチャーは確認できないため、予約時に確認していない warn は送信しない
+    try {
+        const warnings = getUnacknowledgedFindings(ensureContentAllowed(post, templates), post.contentAcknowledged);
+        if (warnings.length > 0) {
+            if (!interactive) {
+                showToast(`確認していない表現が含まれているため送信しません: ${describeFindings(warnings).join('、')}`, 'error');
+                return false;
+            }
+            if (!confirm(`確認が必要な表現が含まれています:\n${describeFindings(warnings).join('\n')}\n\n送信しますか？`)) {
+                showToast('送信を中止しました', 'info');
+                return false;
+            }
+            updateQueuedPost(post, { contentAcknowledged: acknowledgeFindings(post, warnings) });
         }
-    };
+    } catch (error) {
+        showToast(error.message, 'error');
+        return false;
+    }
 
+    // メンションの警告は編集画面で確認済みにするまで送信しない（mention-checker.js）
     try {
-        const response = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+        await ensureMentionsAcknowledged(post, { lookup: createMentionLookup(AppState.settings) });
+    } catch (error) {
+        showToast(error.message, 'error');
+        return false;
+    }
 
-        if (response.ok) {
-            updateQueueItem(index, { status: 'sent' });
-            showToast(`${QUEUE_NUMBER_EMOJIS[index]} を送信しました`, 'success');
-        } else {
-            throw new Error('Webhook request failed');
+    // 掲載の同意（consent-guard.js）: 掲載NGは送信しない、要確認は承認の内容を入力したときだけ送信する
+    try {
+        ensurePostConsent(post);
+    } catch (error) {
+        if (!(error instanceof ConsentError) || error.status !== 'ask' || !interactive) {
+            showToast(error.message, 'error');
+            return false;
         }
+        const reason = prompt(`${error.message}\n\n事務所などの承認を得ている場合は、承認の内容（誰から・いつ）を入力してください`);
+        if (!reason || !reason.trim()) {
+            showToast('送信を中止しました', 'info');
+            return false;
+        }
+        updateQueuedPost(post, {
+            consentOverride: overridePostConsent(post, error.check, { reason, source: 'send' })
+        });
+    }
+
+    try {
+        // IndexedDB に退避済みの画像を読み込んだコピーを送信する
+        const sendable = await imageStore.hydratePostImages(post);
+        // 5xx・ネットワークエラーは投稿を作成する前のリクエストだけを再試行する
+        const retry = createRequestRetry({
+            policy: normalizeRetryPolicy(AppState.settings.retry),
+            onRetry: ({ attempt, delay }) => {
+                showToast(`送信に失敗しました。${Math.ceil(delay / 1000)}秒後に再試行します (${attempt})`, 'warning');
+            }
+        });
+        const published = await publisher.publish(sendable, { event, templates, parent, retry });
+        deadLetterQueue.remove(post.id);
+        const updates = {
+            status: 'sent',
+            publishedPlatform: published.platform,
+            publishedId: published.postId,
+            publishedUrl: published.url,
+            publishedVisibility: published.visibility || null,
+            pendingReplies: null
+        };
+        // 送信の待機中に並べ替え・削除された場合があるため、位置を探し直す
+        const currentIndex = updateQueuedPost(post, updates);
+        recordSentPost({ ...post, ...updates }, event);
+        showToast(currentIndex >= 0 ? `${formatQueueNumber(currentIndex)} を送信しました` : '送信しました', 'success');
+        return true;
     } catch (error) {
         console.error('Send error:', error);
-        updateQueueItem(index, { status: 'failed' });
-        showToast('送信に失敗しました', 'error');
+        // 続きだけ失敗した場合は、再送信で残りの続きだけを投稿できるように保存する
+        updateQueuedPost(post, { status: 'failed', ...(error.partial ? { pendingReplies: error.partial } : {}) });
+        deadLetterQueue.add(post, error);
+        if (error.partial) {
+            showToast(`本体は投稿済みです。スレッドの続き（残り${error.partial.replies.length}件）の投稿に失敗しました。再送信すると続きだけを投稿します`, 'error');
+        } else {
+            showToast(error.status ? `送信に失敗しました (HTTP ${error.status})` : '送信に失敗しました', 'error');
+        }
+        return false;
     }
 }
 
-function generatePostTemplatesForItem(post) {
-    const event = getEventInfoForPost(post);
-    const hashtags = event.hashtags || '';
-
-    // ドラフト (X1) テンプレートのみ生成
-    const x1 = `📸 ${event.eventEn} – ${event.eventJp}
-${event.date}｜${event.venue}
-
-◼︎ ${event.category}
-${post.boothName}${post.boothAccount ? `（${post.boothAccount}）` : ''}
-
-◼︎ ${post.personRole}
-${post.personName ? `${post.personName} さん` : '※お名前調査中'}
-${post.personAccount}
+/**
+ * 投稿のイベント情報（hashtags は投稿に付けるハッシュタグ）
+ * @param {Object} post
+ * @returns {Object}
+ */
+function getPublishEventForPost(post) {
+    return resolvePublishEvent(post, { defaultEvent: AppState.eventInfo, budget: AppState.settings.hashtagBudget });
+}
 
-${post.aiComment}
+/**
+ * 汎用 Webhook の送信内容の確認に使う投稿（最初の未送信の投稿、なければ先頭）と送信コンテキスト
+ * @returns {Promise<{post: Object, context: Object, label: string}|null>}
+ */
+async function getWebhookPreviewPost() {
+    const unsent = AppState.postQueue.findIndex(post => post.status !== 'sent');
+    const index = unsent >= 0 ? unsent : 0;
+    const post = AppState.postQueue[index];
+    if (!post) return null;
 
-${hashtags}`.trim();
+    let parent = null;
+    try {
+        parent = resolveThreadParentForSend(AppState.postQueue, post);
+    } catch (error) {
+        // 返信先が未送信の場合は返信先なしで確認する
+    }
+    return {
+        post: await imageStore.hydratePostImages(post),
+        context: {
+            event: getPublishEventForPost(post),
+            templates: fitPostTemplates(
+                generatePostTemplatesForItem(post),
+                post,
+                normalizeOverflowStrategy(AppState.settings.overflowStrategy),
+                getTextLimit(createPublisher(AppState.settings))
+            ),
+            parent
+        },
+        label: formatQueueNumber(index)
+    };
+}
 
-    // 後方互換性のため x2, ig も同じ値を返す
-    return { x1, x2: x1, ig: x1, draft: x1 };
+/**
+ * 投稿の送信先ごとの投稿文（post-templates.js）
+ * @param {Object} post
+ * @returns {Object}
+ */
+function generatePostTemplatesForItem(post) {
+    return buildPostTemplates(post, { defaultEvent: AppState.eventInfo, budget: AppState.settings.hashtagBudget });
 }
 
 function clearAllQueue() {
@@ -993,35 +1442,63 @@ async function handlePhotoForQueue(file) {
         return;
     }
 
-    if (AppState.postQueue.length >= 10) {
-        showToast('投稿キューは最大10件です', 'error');
-        return;
-    }
-
     const reader = new FileReader();
     reader.onload = async (e) => {
         const compressed = await compressImage(e.target.result);
-        addToQueue({
+        const post = addToQueue({
             imageFile: file,
             imageBase64: compressed
         });
         showToast('写真を追加しました', 'success');
+        // 解析は待たずに続ける（終わったら投稿に特徴を保存）
+        analyzePostImage(post, compressed);
     };
     reader.readAsDataURL(file);
 }
 
-async function handleMultiplePhotosForQueue(files) {
-    const filesArray = Array.from(files);
-    const imageFiles = filesArray.filter(f => f.type.startsWith('image/'));
+/**
+ * 写真を解析して投稿に特徴を保存
+ * @param {Object} post - キューの投稿
+ * @param {string} imageBase64
+ * @param {Object} [options]
+ * @param {boolean} [options.notify] - 結果をトーストで知らせるか
+ * @returns {Promise<Object|null>} - 保存した特徴
+ */
+async function analyzePostImage(post, imageBase64, { notify = false } = {}) {
+    const url = AppState.settings.imageAnalyzerUrl;
+    if (!url || !post || !imageBase64) {
+        if (notify) showToast('設定で画像解析 Worker URL を入力してください', 'warning');
+        return null;
+    }
 
-    const available = 10 - AppState.postQueue.length;
-    const toAdd = imageFiles.slice(0, available);
+    try {
+        const features = await analyzeImage(imageBase64, { url, category: getEventInfoForPost(post).category });
+        const index = AppState.postQueue.findIndex(item => item.id === post.id);
+        if (!features || index < 0) {
+            if (notify) showToast('画像の特徴を判定できませんでした', 'warning');
+            return null;
+        }
+        // 解析中に手で直した特徴は上書きしない
+        if (!notify && AppState.postQueue[index].imageFeatures?.source === 'manual') return null;
 
-    if (toAdd.length < imageFiles.length) {
-        showToast(`最大10件のため、${toAdd.length}件のみ追加します`, 'warning');
+        updateQueueItem(index, { imageFeatures: features });
+        if (AppState.currentEditIndex === index) {
+            renderEditImageFeatures(features);
+        }
+        if (notify) showToast('画像の特徴を判定しました', 'success');
+        return features;
+    } catch (error) {
+        console.warn('[App] Image analysis failed:', error);
+        if (notify) showToast('画像の解析に失敗しました', 'error');
+        return null;
     }
+}
+
+async function handleMultiplePhotosForQueue(files) {
+    const filesArray = Array.from(files);
+    const imageFiles = filesArray.filter(f => f.type.startsWith('image/'));
 
-    for (const file of toAdd) {
+    for (const file of imageFiles) {
         await handlePhotoForQueue(file);
     }
 }
@@ -1092,7 +1569,41 @@ const DOM = {
     settingsModal: document.getElementById('settings-modal'),
     openSettingsBtn: document.getElementById('open-settings'),
     closeSettingsBtn: document.getElementById('close-settings'),
+    publisherSelect: document.getElementById('publisher-select'),
     makeWebhookUrl: document.getElementById('make-webhook-url'),
+    xAccessToken: document.getElementById('x-access-token'),
+    xApiBaseUrl: document.getElementById('x-api-base-url'),
+    blueskyIdentifier: document.getElementById('bluesky-identifier'),
+    blueskyAppPassword: document.getElementById('bluesky-app-password'),
+    blueskyServiceUrl: document.getElementById('bluesky-service-url'),
+    mastodonInstanceUrl: document.getElementById('mastodon-instance-url'),
+    mastodonAccessToken: document.getElementById('mastodon-access-token'),
+    mastodonVisibility: document.getElementById('mastodon-visibility'),
+    mastodonSpoilerText: document.getElementById('mastodon-spoiler-text'),
+    misskeyInstanceUrl: document.getElementById('misskey-instance-url'),
+    misskeyAccessToken: document.getElementById('misskey-access-token'),
+    misskeyVisibility: document.getElementById('misskey-visibility'),
+    misskeyCw: document.getElementById('misskey-cw'),
+    webhookUrl: document.getElementById('webhook-url'),
+    webhookHeaders: document.getElementById('webhook-headers'),
+    webhookSecret: document.getElementById('webhook-secret'),
+    webhookTemplate: document.getElementById('webhook-template'),
+    retryMaxRetries: document.getElementById('retry-max-retries'),
+    retryBaseDelay: document.getElementById('retry-base-delay'),
+    retryJitter: document.getElementById('retry-jitter'),
+    commentProvider: document.getElementById('comment-provider'),
+    imageAnalyzerUrl: document.getElementById('image-analyzer-url'),
+    postLanguages: document.getElementById('post-languages'),
+    postingAccount: document.getElementById('posting-account'),
+    commentMinLength: document.getElementById('comment-min-length'),
+    commentMaxLength: document.getElementById('comment-max-length'),
+    commentBannedWords: document.getElementById('comment-banned-words'),
+    batchConcurrency: document.getElementById('batch-concurrency'),
+    overflowStrategy: document.getElementById('overflow-strategy'),
+    hashtagBudget: document.getElementById('hashtag-budget'),
+    mentionLookup: document.getElementById('mention-lookup'),
+    geminiRpm: document.getElementById('gemini-rpm'),
+    webhookRpm: document.getElementById('webhook-rpm'),
     saveSettingsBtn: document.getElementById('save-settings-btn'),
 
     // Toast
@@ -1131,7 +1642,11 @@ const DOM = {
     editPersonAccount: document.getElementById('edit-person-account'),
     editExpressionType: document.getElementById('edit-expression-type'),
     editAiComment: document.getElementById('edit-ai-comment'),
+    editCommentWarnings: document.getElementById('edit-comment-warnings'),
+    editImageFeatures: document.getElementById('edit-image-features'),
+    editAnalyzeImageBtn: document.getElementById('edit-analyze-image-btn'),
     editGenerateCommentBtn: document.getElementById('edit-generate-comment-btn'),
+    editPostLanguages: document.getElementById('edit-post-languages'),
     editPreviewContent: document.getElementById('edit-preview-content'),
     cancelEditBtn: document.getElementById('cancel-edit-btn'),
     saveEditBtn: document.getElementById('save-edit-btn'),
@@ -1160,6 +1675,24 @@ function initApp() {
     initStateManager();
     initEventListeners();
     initBatchUI();
+    initScheduleUI();
+    initBackupUI();
+    initPersonImportUI();
+    initCommentTemplateUI();
+    initContentFilterUI();
+    initPostLayoutUI();
+    initCompositionUI({ compressImage });
+    initHashtagUI({
+        getEventForPost: getEventInfoForPost,
+        getBudget: () => AppState.settings.hashtagBudget,
+        onChange: () => {
+            updateEditPreview();
+            updateRealtimePreview();
+        }
+    });
+    initMentionUI({ getLookup: () => createMentionLookup(AppState.settings) });
+    initWebhookUI({ getPreviewPost: getWebhookPreviewPost });
+    initConsentUI();
     initFocusManager();
     updatePreview();
 
@@ -1220,17 +1753,35 @@ function initStateManager() {
         AppState.selectedIndices = savedState.selectedIndices || [];
         AppState.currentEditIndex = savedState.editingIndex;
 
+        // 予約投稿を復元（キューの復元後、描画前に行う）
+        postScheduler.restore();
+
+        // 送信中に閉じた投稿は投稿済みか分からないため、自動では送り直さず失敗として確認してもらう
+        const interrupted = AppState.postQueue.filter(post => post.status === 'sending');
+        interrupted.forEach(post => { post.status = 'failed'; });
+
         // UIを更新
         navigationController.goToStep(AppState.currentStep, { force: true });
         renderPostQueue();
         updatePreview();
 
-        showToast('前回の作業を復元しました', 'info');
+        showToast(interrupted.length > 0
+            ? `送信中に中断された投稿が${interrupted.length}件あります。投稿先で確認してから再送信してください`
+            : '前回の作業を復元しました', interrupted.length > 0 ? 'warning' : 'info');
+    } else if (postScheduler.restore() > 0) {
+        // 作業状態が期限切れでも予約投稿は復元する
+        renderPostQueue();
     }
 
+    // 退避済み画像のサムネイルを作り直し、使われなくなった画像を削除
+    restoreQueueImages();
+
     // 自動保存を開始
     stateManager.startAutoSave();
 
+    // 予約投稿のディスパッチャーを開始
+    postScheduler.start();
+
     // ブラウザ終了時の処理を設定
     stateManager.setupBeforeUnload();
 
@@ -1244,16 +1795,154 @@ function initStateManager() {
     console.log('[App] StateManager, NavigationController, and DragDropManager initialized');
 }
 
+/**
+ * 復元したキューの画像を準備（サムネイル作成・不要な画像の削除）
+ */
+async function restoreQueueImages() {
+    try {
+        await imageStore.prune(AppState.postQueue);
+
+        let changed = false;
+        for (const post of [...AppState.postQueue]) {
+            changed = (await imageStore.ensureThumbnail(post)) || changed;
+        }
+        if (changed) {
+            renderPostQueue();
+        }
+    } catch (error) {
+        console.warn('[App] Failed to restore queue images:', error);
+    }
+}
+
 function loadSettings() {
     const savedSettings = localStorage.getItem('autoPostSettings');
     if (savedSettings) {
-        AppState.settings = JSON.parse(savedSettings);
+        AppState.settings = { ...AppState.settings, ...JSON.parse(savedSettings) };
         DOM.makeWebhookUrl.value = AppState.settings.makeWebhookUrl || '';
-    }
+        DOM.publisherSelect.value = AppState.settings.publisher || 'make';
+        DOM.xAccessToken.value = AppState.settings.xAccessToken || '';
+        DOM.xApiBaseUrl.value = AppState.settings.xApiBaseUrl || '';
+        DOM.blueskyIdentifier.value = AppState.settings.blueskyIdentifier || '';
+        DOM.blueskyAppPassword.value = AppState.settings.blueskyAppPassword || '';
+        DOM.blueskyServiceUrl.value = AppState.settings.blueskyServiceUrl || '';
+        DOM.mastodonInstanceUrl.value = AppState.settings.mastodonInstanceUrl || '';
+        DOM.mastodonAccessToken.value = AppState.settings.mastodonAccessToken || '';
+        DOM.mastodonVisibility.value = AppState.settings.mastodonVisibility || 'public';
+        DOM.mastodonSpoilerText.value = AppState.settings.mastodonSpoilerText || '';
+        DOM.misskeyInstanceUrl.value = AppState.settings.misskeyInstanceUrl || '';
+        DOM.misskeyAccessToken.value = AppState.settings.misskeyAccessToken || '';
+        DOM.misskeyVisibility.value = AppState.settings.misskeyVisibility || 'public';
+        DOM.misskeyCw.value = AppState.settings.misskeyCw || '';
+        DOM.webhookUrl.value = AppState.settings.webhookUrl || '';
+        DOM.webhookHeaders.value = AppState.settings.webhookHeaders || '';
+        DOM.webhookSecret.value = AppState.settings.webhookSecret || '';
+    }
+    DOM.webhookTemplate.value = AppState.settings.webhookTemplate || DEFAULT_WEBHOOK_TEMPLATE;
+    DOM.commentProvider.value = AppState.settings.commentProvider || 'auto';
+    DOM.imageAnalyzerUrl.value = AppState.settings.imageAnalyzerUrl || '';
+    const postLanguages = normalizeTargetLanguages(AppState.settings.postLanguages);
+    DOM.postLanguages?.querySelectorAll('input[data-language]').forEach(input => {
+        input.checked = postLanguages.includes(input.dataset.language);
+    });
+    DOM.postingAccount.value = AppState.settings.postingAccount || '';
+    renderCommentRuleFields(DOM.postingAccount.value);
+    const retry = normalizeRetryPolicy(AppState.settings.retry);
+    DOM.retryMaxRetries.value = retry.maxRetries;
+    DOM.retryBaseDelay.value = retry.baseDelayMs / 1000;
+    DOM.retryJitter.value = Math.round(retry.jitter * 100);
+    DOM.batchConcurrency.value = normalizeConcurrency(AppState.settings.batchConcurrency);
+    if (DOM.overflowStrategy) DOM.overflowStrategy.value = normalizeOverflowStrategy(AppState.settings.overflowStrategy);
+    if (DOM.hashtagBudget) DOM.hashtagBudget.value = normalizeHashtagBudget(AppState.settings.hashtagBudget);
+    if (DOM.mentionLookup) DOM.mentionLookup.checked = !!AppState.settings.mentionLookup;
+    DOM.geminiRpm.value = AppState.settings.rateLimits?.gemini ?? DEFAULT_RATE_LIMITS.gemini.perMinute;
+    DOM.webhookRpm.value = AppState.settings.rateLimits?.make ?? DEFAULT_RATE_LIMITS.make.perMinute;
+    updatePublisherFields();
+}
+
+/**
+ * 投稿アカウントのコメントのルールを設定欄に表示
+ * @param {string} account
+ */
+function renderCommentRuleFields(account) {
+    const rules = getCommentRules(AppState.settings, account);
+    DOM.commentMinLength.value = rules.minLength;
+    DOM.commentMaxLength.value = rules.maxLength;
+    DOM.commentBannedWords.value = rules.bannedWords.join(', ');
+}
+
+/**
+ * 選択中のパブリッシャーに応じて設定欄を切り替え
+ */
+function updatePublisherFields() {
+    const selected = DOM.publisherSelect.value || 'make';
+    document.querySelectorAll('[data-publisher-settings]').forEach(section => {
+        section.style.display = section.dataset.publisherSettings === selected ? 'block' : 'none';
+    });
 }
 
 function saveSettings() {
+    // 汎用 Webhook の対応表・ヘッダーが読めない場合は保存しない
+    try {
+        parseWebhookTemplate(DOM.webhookTemplate.value);
+        parseWebhookHeaders(DOM.webhookHeaders.value);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    AppState.settings.publisher = DOM.publisherSelect.value || 'make';
     AppState.settings.makeWebhookUrl = DOM.makeWebhookUrl.value;
+    AppState.settings.xAccessToken = DOM.xAccessToken.value.trim();
+    AppState.settings.xApiBaseUrl = DOM.xApiBaseUrl.value.trim();
+    AppState.settings.blueskyIdentifier = DOM.blueskyIdentifier.value.trim();
+    AppState.settings.blueskyAppPassword = DOM.blueskyAppPassword.value.trim();
+    AppState.settings.blueskyServiceUrl = DOM.blueskyServiceUrl.value.trim();
+    AppState.settings.mastodonInstanceUrl = DOM.mastodonInstanceUrl.value.trim();
+    AppState.settings.mastodonAccessToken = DOM.mastodonAccessToken.value.trim();
+    AppState.settings.mastodonVisibility = DOM.mastodonVisibility.value || 'public';
+    AppState.settings.mastodonSpoilerText = DOM.mastodonSpoilerText.value.trim();
+    AppState.settings.misskeyInstanceUrl = DOM.misskeyInstanceUrl.value.trim();
+    AppState.settings.misskeyAccessToken = DOM.misskeyAccessToken.value.trim();
+    AppState.settings.misskeyVisibility = DOM.misskeyVisibility.value || 'public';
+    AppState.settings.misskeyCw = DOM.misskeyCw.value.trim();
+    AppState.settings.webhookUrl = DOM.webhookUrl.value.trim();
+    AppState.settings.webhookHeaders = DOM.webhookHeaders.value.trim();
+    AppState.settings.webhookSecret = DOM.webhookSecret.value;
+    AppState.settings.webhookTemplate = DOM.webhookTemplate.value.trim() === DEFAULT_WEBHOOK_TEMPLATE ? '' : DOM.webhookTemplate.value.trim();
+    AppState.settings.commentProvider = DOM.commentProvider.value || 'auto';
+    AppState.settings.imageAnalyzerUrl = DOM.imageAnalyzerUrl.value.trim();
+    AppState.settings.postLanguages = normalizeTargetLanguages(
+        [...(DOM.postLanguages?.querySelectorAll('input[data-language]:checked') || [])].map(input => input.dataset.language)
+    );
+    AppState.settings.postingAccount = DOM.postingAccount.value.trim();
+    const commentRules = normalizeCommentRules({
+        minLength: DOM.commentMinLength.value,
+        maxLength: DOM.commentMaxLength.value,
+        bannedWords: DOM.commentBannedWords.value
+    });
+    AppState.settings.commentRules = {
+        ...AppState.settings.commentRules,
+        [getRulesKey(AppState.settings.postingAccount)]: {
+            minLength: commentRules.minLength,
+            maxLength: commentRules.maxLength,
+            bannedWords: commentRules.bannedWords
+        }
+    };
+    AppState.settings.retry = normalizeRetryPolicy({
+        ...AppState.settings.retry,
+        maxRetries: DOM.retryMaxRetries.value,
+        baseDelayMs: DOM.retryBaseDelay.value === '' ? '' : Number(DOM.retryBaseDelay.value) * 1000,
+        jitter: DOM.retryJitter.value === '' ? '' : Number(DOM.retryJitter.value) / 100
+    });
+    AppState.settings.batchConcurrency = normalizeConcurrency(DOM.batchConcurrency.value);
+    AppState.settings.overflowStrategy = normalizeOverflowStrategy(DOM.overflowStrategy?.value);
+    AppState.settings.hashtagBudget = normalizeHashtagBudget(DOM.hashtagBudget?.value);
+    AppState.settings.mentionLookup = !!DOM.mentionLookup?.checked;
+    AppState.settings.rateLimits = {
+        ...AppState.settings.rateLimits,
+        gemini: Math.max(0, Number(DOM.geminiRpm.value) || 0),
+        make: Math.max(0, Number(DOM.webhookRpm.value) || 0)
+    };
     localStorage.setItem('autoPostSettings', JSON.stringify(AppState.settings));
     showToast('設定を保存しました', 'success');
     DOM.settingsModal.classList.remove('active');
@@ -1322,20 +2011,17 @@ function initEventListeners() {
             if (hasEventName) {
                 parseResult.innerHTML = `<span class="success">✓ ${result.matched.length}項目を検出しました</span>`;
 
-                const available = getAvailableQueueSlots();
-                if (available > 0) {
-                    saveEventInfo();
-                    const post = addToQueue({
-                        boothName: '',
-                        personName: '',
-                        aiComment: '',
-                        status: 'draft'
-                    });
-
-                    if (post) {
-                        showToast('イベント情報を解析して投稿を作成しました', 'success');
-                        goToStep(2, { preserveQueue: false, force: true });
-                    }
+                saveEventInfo();
+                const post = addToQueue({
+                    boothName: '',
+                    personName: '',
+                    aiComment: '',
+                    status: 'draft'
+                });
+
+                if (post) {
+                    showToast('イベント情報を解析して投稿を作成しました', 'success');
+                    goToStep(2, { preserveQueue: false, force: true });
                 }
             } else {
                 parseResult.innerHTML = `<span class="warning">⚠ イベント名を検出できませんでした</span>`;
@@ -1544,8 +2230,9 @@ function initEventListeners() {
                 // Update queue item
                 const index = AppState.currentEditIndex;
                 if (index !== null && index >= 0) {
-                    AppState.postQueue[index].imageBase64 = compressed;
+                    Object.assign(AppState.postQueue[index], replacePrimaryImage(AppState.postQueue[index], compressed));
                     AppState.postQueue[index].imageFile = file;
+                    renderEditImages();
                 }
             };
             reader.readAsDataURL(file);
@@ -1567,7 +2254,12 @@ function initEventListeners() {
     if (DOM.editGenerateCommentBtn) {
         DOM.editGenerateCommentBtn.addEventListener('click', async () => {
             const expressionType = DOM.editExpressionType?.value || '笑顔';
-            const comment = window.generateRuleBasedComment({ expressionType });
+            const post = AppState.postQueue[AppState.currentEditIndex];
+            const comment = window.generateRuleBasedComment({
+                expressionType,
+                ...toTemplateFeatures(readEditImageFeatures()),
+                exclude: getUsedComments(getEventKey(getEventInfoForPost(post)), post?.id)
+            });
             if (DOM.editAiComment) {
                 DOM.editAiComment.value = comment;
                 updateEditPreview();
@@ -1576,6 +2268,39 @@ function initEventListeners() {
         });
     }
 
+    // Edit localized comments
+    DOM.editPostLanguages?.addEventListener('change', (e) => {
+        if (e.target.dataset.action !== 'toggle') return;
+        e.target.closest('.post-language')?.classList.toggle('is-selected', e.target.checked);
+    });
+    DOM.editPostLanguages?.addEventListener('click', (e) => {
+        const row = e.target.closest('button[data-action="generate"]')?.closest('.post-language');
+        if (!row) return;
+        const toggle = row.querySelector('[data-action="toggle"]');
+        if (toggle && !toggle.checked) {
+            toggle.checked = true;
+            row.classList.add('is-selected');
+        }
+        generateEditLocalizedComment(row.dataset.language, row.querySelector('[data-action="comment"]'));
+        showToast(`${LANGUAGES[row.dataset.language].label} のコメントを生成しました`, 'success');
+    });
+
+    // Edit image analysis
+    if (DOM.editAnalyzeImageBtn) {
+        DOM.editAnalyzeImageBtn.addEventListener('click', async () => {
+            const post = AppState.postQueue[AppState.currentEditIndex];
+            if (!post) return;
+            DOM.editAnalyzeImageBtn.disabled = true;
+            try {
+                // IndexedDB に退避済みの画像も読み込んでから解析する
+                const { imageBase64 } = await imageStore.hydratePostImages(post);
+                await analyzePostImage(post, imageBase64, { notify: true });
+            } finally {
+                DOM.editAnalyzeImageBtn.disabled = false;
+            }
+        });
+    }
+
     // Apply booth to all button
     const applyBoothToAllBtn = document.getElementById('apply-booth-to-all-btn');
     if (applyBoothToAllBtn) {
@@ -1594,6 +2319,8 @@ function initEventListeners() {
         DOM.settingsModal.classList.remove('active');
     });
     DOM.saveSettingsBtn.addEventListener('click', saveSettings);
+    DOM.publisherSelect.addEventListener('change', updatePublisherFields);
+    DOM.postingAccount.addEventListener('change', () => renderCommentRuleFields(DOM.postingAccount.value));
 
     // Close modal on background click
     DOM.settingsModal.addEventListener('click', (e) => {
@@ -1918,8 +2645,14 @@ function nextPhoto() {
 // 本番環境: /api/ が /.netlify/functions/ にリダイレクト
 const API_BASE_URL = '/.netlify/functions';
 
+// レスポンスの source（応答したプロバイダー）の表示名
+const COMMENT_PROVIDER_LABELS = {
+    gemini: 'Gemini',
+    openai: 'OpenAI互換'
+};
+
 /**
- * コメントを生成（FastAPI経由でGemini APIを呼び出し）
+ * コメントを生成（Netlify Functions の generate-comment が設定の順にプロバイダーを呼び出す）
  * APIエラー時はルールベースにフォールバック
  */
 async function generateComment() {
@@ -1931,6 +2664,16 @@ async function generateComment() {
     const boothName = DOM.boothName?.value || 'ブース';
     const category = AppState.eventInfo?.category || 'ブース';
     const imageBase64 = AppState.photoData?.imageBase64 || null;
+    const eventKey = getEventKey(AppState.eventInfo);
+    // Step 2 の投稿はまだキューにないため、キューの全ての未送信の投稿のコメントを避ける
+    const pending = getPendingComments(AppState.postQueue, eventKey, { defaultEvent: AppState.eventInfo });
+    const regenerate = (exclude) => window.generateRuleBasedComment({ expressionType, category, exclude });
+    const rules = getCommentRules(AppState.settings);
+    const properNouns = collectProperNouns({
+        boothName: DOM.boothName?.value,
+        personName: DOM.personName?.value,
+        eventInfo: AppState.eventInfo
+    });
 
     console.log('Generating comment with:', { expressionType, focusPoint, contextMatch, role });
 
@@ -1940,7 +2683,7 @@ async function generateComment() {
     DOM.generateCommentBtn.innerHTML = '<span class="btn-icon">⏳</span> 生成中...';
 
     try {
-        // FastAPI バックエンドを呼び出し
+        // コメント生成API（netlify/functions/generate-comment.js）を呼び出し
         const response = await fetch(`${API_BASE_URL}/generate-comment`, {
             method: 'POST',
             headers: {
@@ -1953,7 +2696,16 @@ async function generateComment() {
                 expression_type: expressionType,
                 focus_point: focusPoint,
                 context_match: contextMatch,
-                image_base64: imageBase64
+                image_base64: imageBase64,
+                provider: AppState.settings.commentProvider || 'auto',
+                // 同じイベントで使ったコメントは避ける
+                recent_comments: commentLedger.getRecentComments(eventKey, { pending }),
+                similarity_threshold: DEFAULT_SIMILARITY_THRESHOLD,
+                // ルール違反は指摘を添えてサーバー側で作り直す
+                rules,
+                proper_nouns: properNouns,
+                // ルールベースはテンプレート集で有効なものから選ぶ
+                templates: commentTemplateLibrary.getActive('expression', expressionType).map(template => template.text)
             })
         });
 
@@ -1962,14 +2714,21 @@ async function generateComment() {
         }
 
         const data = await response.json();
+        const { valid } = validateComment(data.comment, rules, {
+            properNouns,
+            inputWords: [expressionType, focusPoint, contextMatch, role, category]
+        });
+        const accepted = commentLedger.accept(eventKey, data.comment, data.source, regenerate, { rejected: !valid, pending });
 
-        DOM.aiComment.value = data.comment;
+        DOM.aiComment.value = accepted.comment;
         updatePreview();
 
-        if (data.source === 'ai') {
-            showToast('AIでコメントを生成しました', 'success');
-        } else {
+        if (accepted.replaced) {
+            showToast('ルール違反または使用済みのコメントと似ていたため、ルールベースで作り直しました', 'warning');
+        } else if (accepted.source === 'rule_based') {
             showToast('ルールベースでコメントを生成しました', 'success');
+        } else {
+            showToast(`AIでコメントを生成しました（${COMMENT_PROVIDER_LABELS[data.source] || data.source}）`, 'success');
         }
 
     } catch (error) {
@@ -1980,7 +2739,9 @@ async function generateComment() {
             expressionType: expressionType,
             focusPoint: focusPoint,
             contextMatch: contextMatch,
-            role: role
+            role: role,
+            category: category,
+            exclude: commentLedger.getRecentComments(eventKey, { pending })
         });
 
         DOM.aiComment.value = comment;
@@ -1998,58 +2759,32 @@ async function generateComment() {
 // Post Template Generation
 // ========================================
 
+/**
+ * 人物データベースからプラットフォームごとのアカウントを取得
+ * @param {string} personAccount - 入力された X のアカウント
+ * @returns {Object<string, string>|null}
+ */
+function resolvePersonAccounts(personAccount) {
+    const person = personAccount ? new PersonDatabase().findByHandle(personAccount) : null;
+    return person ? { ...person.accounts } : null;
+}
+
+/**
+ * Step 2 の入力値で投稿文を描画
+ * @returns {{ x1: string, x2: string, ig: string }}
+ */
 function generatePostTemplates() {
-    const event = AppState.eventInfo;
     // DOM要素がnullの場合（Step 1時など）は空文字を使用
-    const boothName = DOM.boothName?.value || '';
-    const boothAccount = DOM.boothAccount?.value || '';
-    const personRole = DOM.personRole?.value || 'モデル';
-    const personName = DOM.personName?.value || '';
     const personAccount = DOM.personAccount?.value || '';
-    const aiComment = DOM.aiComment?.value || '';
-    const hashtags = event.hashtags || '';
-
-    // Extract main hashtag for X2
-    const hashtagsArray = hashtags.split(' ').filter(h => h.startsWith('#'));
-    const mainHashtag = hashtagsArray[0] || '';
-
-    // X Account 1 (Full template)
-    const x1 = `📸 ${event.eventEn} – ${event.eventJp}
-${event.date}｜${event.venue}
-
-◼︎ ${event.category}
-${boothName}${boothAccount ? `（${boothAccount}）` : ''}
-
-◼︎ ${personRole}
-${personName ? `${personName} さん` : '※お名前調査中'}
-${personAccount}
-
-${aiComment}
-
-${hashtags}`.trim();
-
-    // X Account 2 (Simplified)
-    const x2 = `📸 ${event.eventEn}
-${event.date}｜${event.venue}
-
-${boothName}
-${personName ? `${personName} さん` : ''} ${personAccount}
-
-${aiComment}
-
-${mainHashtag}`.trim();
-
-    // Instagram (Visual focus, more hashtags)
-    const igHashtags = hashtags + ' #portrait #ポートレート #eventphoto';
-    const ig = `📸 ${event.eventEn} – ${event.eventJp}
-
-${boothName}
-${personName ? `${personName} さん` : ''}
-
-${aiComment}
-
-${igHashtags}`.trim();
-
+    const { x1, x2, ig } = generatePostTemplatesForItem({
+        boothName: DOM.boothName?.value || '',
+        boothAccount: DOM.boothAccount?.value || '',
+        personRole: DOM.personRole?.value || 'モデル',
+        personName: DOM.personName?.value || '',
+        personAccount,
+        personAccounts: resolvePersonAccounts(personAccount),
+        aiComment: DOM.aiComment?.value || ''
+    });
     return { x1, x2, ig };
 }
 
@@ -2318,29 +3053,19 @@ function applyParsedEntries() {
     }
 
     const entries = currentParseResult.entries;
-    const availableSlots = getAvailableQueueSlots();
-    if (availableSlots <= 0) {
-        return;
-    }
-
-    if (entries.length > availableSlots) {
-        showToast(`キューに空きが${availableSlots}件しかありません`, 'warning');
-    }
-
-    const entriesToAdd = entries.slice(0, availableSlots);
-
-    if (entriesToAdd.length === 0) {
-        showToast('追加できる空きがありません', 'warning');
+    if (entries.length === 0) {
+        showToast('追加するエントリがありません', 'warning');
         return;
     }
 
     let addedCount = 0;
-    for (const entry of entriesToAdd) {
+    for (const entry of entries) {
         const created = addToQueue({
             boothName: entry.boothName || '',
-            boothAccount: entry.boothAccount || '',
+            boothAccount: normalizeAccountField(entry.boothAccount),
             personName: entry.personName || '',
-            personAccount: entry.personAccount || '',
+            personAccount: normalizeAccountField(entry.personAccount),
+            personAccounts: resolvePersonAccounts(entry.personAccount),
             personRole: entry.role || 'モデル',
             aiComment: ''
         });
@@ -2384,7 +3109,7 @@ function escapeHtml(text) {
 // Bulk Parser Event Listeners
 // ========================================
 
-document.addEventListener('DOMContentLoaded', () => {
+function initBulkParserListeners() {
     // Close parser modal
     const closeParserBtn = document.getElementById('close-parser-modal');
     if (closeParserBtn) {
@@ -2419,7 +3144,14 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         quickAddSection.appendChild(bulkParseBtn);
     }
-});
+}
+
+// ストレージ初期化（IndexedDB）を待つ間に DOMContentLoaded が発火済みの場合もある
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBulkParserListeners);
+} else {
+    initBulkParserListeners();
+}
 
 
 // ========================================
@@ -2608,7 +3340,11 @@ function autoSaveEditModal() {
         personRole: DOM.editPersonRole?.value || 'モデル',
         personName: DOM.editPersonName?.value || '',
         personAccount: DOM.editPersonAccount?.value || '',
-        aiComment: DOM.editAiComment?.value || ''
+        personAccounts: resolvePersonAccounts(DOM.editPersonAccount?.value),
+        aiComment: DOM.editAiComment?.value || '',
+        imageFeatures: readEditImageFeatures(),
+        ...readEditLanguages(),
+        ...readEditMentions()
     };
 
     // Update without triggering full re-render
@@ -2672,31 +3408,7 @@ function updateRealtimePreview() {
     const previewElement = document.getElementById('realtime-preview-text');
     if (!previewElement) return;
 
-    const index = AppState.currentEditIndex;
-    const post = index !== null && index >= 0 ? AppState.postQueue[index] : null;
-    const event = getEventInfoForPost(post);
-    const boothName = DOM.editBoothName?.value || '';
-    const boothAccount = DOM.editBoothAccount?.value || '';
-    const personRole = DOM.editPersonRole?.value || 'モデル';
-    const personName = DOM.editPersonName?.value || '';
-    const personAccount = DOM.editPersonAccount?.value || '';
-    const aiComment = DOM.editAiComment?.value || '';
-
-    const preview = `📸 ${event.eventEn} – ${event.eventJp}
-${event.date}｜${event.venue}
-
-◼︎ ${event.category}
-${boothName}${boothAccount ? `（${boothAccount}）` : ''}
-
-◼︎ ${personRole}
-${personName ? `${personName} さん` : '※お名前調査中'}
-${personAccount}
-
-${aiComment}
-
-${event.hashtags}`.trim();
-
-    previewElement.textContent = preview;
+    previewElement.textContent = renderEditFormPreview();
 }
 
 // ========================================
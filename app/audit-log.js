@@ -0,0 +1,99 @@
+/**
+ * Audit Log
+ * 後から確認が必要な操作（掲載の同意の確認を省いた送信・同意の変更）を記録する
+ *
+ * - 新しい順に MAX_AUDIT_ENTRIES 件まで保持する
+ * - バックアップに含める（backup-manager.js）
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+
+const AUDIT_LOG_KEY = 'autopost_audit_log';
+const MAX_AUDIT_ENTRIES = 1000;
+
+/**
+ * AuditEntry の型定義
+ * @typedef {Object} AuditEntry
+ * @property {string} id - 一意のID
+ * @property {string} action - 'consent_override' | 'consent_changed'
+ * @property {number} createdAt - 記録した日時
+ * @property {string} [postId] - 対象の投稿ID
+ * @property {Array<{id: string, name: string, status: string}>} [persons] - 対象の人物
+ * @property {string} [previousStatus] - 変更前の同意（consent_changed）
+ * @property {string} [reason] - 理由・メモ
+ * @property {string} [source] - 操作した画面（'send' | 'batch' | 'schedule' | 'edit'）
+ */
+
+/**
+ * Generate unique ID
+ * @returns {string}
+ */
+function generateAuditId() {
+    return `audit_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * AuditLog クラス
+ * 記録は追記のみ（更新・個別の削除はしない）
+ */
+class AuditLog {
+    /**
+     * Load entries from localStorage
+     * @private
+     * @returns {Array<AuditEntry>}
+     */
+    _load() {
+        const entries = storageGet(AUDIT_LOG_KEY, []);
+        if (!Array.isArray(entries)) {
+            console.warn('[AuditLog] Invalid data format, resetting to empty array');
+            return [];
+        }
+        return entries.filter(entry => entry && typeof entry === 'object');
+    }
+
+    /**
+     * Save entries to localStorage
+     * @private
+     * @param {Array<AuditEntry>} entries
+     */
+    _save(entries) {
+        storageSet(AUDIT_LOG_KEY, entries);
+    }
+
+    /**
+     * 操作を記録
+     * @param {string} action
+     * @param {Object} [details] - postId, persons, reason, source など
+     * @returns {AuditEntry}
+     */
+    record(action, details = {}) {
+        const entry = {
+            ...details,
+            id: generateAuditId(),
+            action,
+            createdAt: Date.now()
+        };
+        this._save([entry, ...this._load()].slice(0, MAX_AUDIT_ENTRIES));
+        console.log(`[AuditLog] ${action}`, details.postId || '');
+        return entry;
+    }
+
+    /**
+     * 記録を取得（新しい順）
+     * @param {Object} [filter]
+     * @param {string} [filter.action]
+     * @param {string} [filter.postId]
+     * @returns {Array<AuditEntry>}
+     */
+    getAll({ action, postId } = {}) {
+        return this._load()
+            .filter(entry => (!action || entry.action === action) && (!postId || entry.postId === postId))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+}
+
+// Singleton instance
+const auditLog = new AuditLog();
+
+// Export for use in other modules
+export { AuditLog, auditLog, AUDIT_LOG_KEY, MAX_AUDIT_ENTRIES };
@@ -5,7 +5,7 @@
  * Requirements: 4.1, 4.2
  */
 
-import { PersonDatabase } from './person-database.js';
+import { PersonDatabase, findMatchedTerm, getPersonHandle, normalizeNameKey } from './person-database.js';
 
 /**
  * Suggestion の型定義
@@ -22,7 +22,8 @@ import { PersonDatabase } from './person-database.js';
  * FieldValues の型定義
  * @typedef {Object} FieldValues
  * @property {string} [personName] - 人物名
- * @property {string} [personAccount] - 人物アカウント
+ * @property {string} [personAccount] - 人物アカウント（X）
+ * @property {Object<string, string>} [personAccounts] - 人物のプラットフォームごとのアカウント
  * @property {string} [role] - 役割
  * @property {string} [boothName] - ブース名
  * @property {string} [boothAccount] - ブースアカウント
@@ -93,6 +94,7 @@ class AutoCompleteEngine {
 
     /**
      * 人物名の候補を取得
+     * 名前・別名・読み・各アカウントのいずれかに一致した人物を返す
      * @private
      * @param {string} query - 検索クエリ
      * @param {number} limit - 最大件数
@@ -101,23 +103,36 @@ class AutoCompleteEngine {
     _getPersonNameSuggestions(query, limit) {
         const persons = this.personDatabase.search(query, limit);
         
-        return persons.map(person => ({
-            value: person.name,
-            label: person.name,
-            secondary: person.account ? `@${person.account}` : '',
-            source: 'person',
-            confidence: this._calculateConfidence(query, person.name, person.useCount),
-            metadata: {
-                id: person.id,
-                account: person.account,
-                role: person.role,
-                lastUsed: person.lastUsed
-            }
-        }));
+        return persons.map(person => {
+            const matchedTerm = findMatchedTerm(person, query) || person.name;
+            // 名前以外（別名・読み）で一致した場合は一致した表記を補助情報に出す
+            const matchedAlias = matchedTerm !== person.name && !Object.values(person.accounts || {}).includes(matchedTerm)
+                ? matchedTerm
+                : '';
+            const handle = getPersonHandle(person, 'x');
+
+            return {
+                value: person.name,
+                label: person.name,
+                secondary: [matchedAlias, handle ? `@${handle}` : ''].filter(Boolean).join(' · '),
+                source: 'person',
+                confidence: this._calculateConfidence(query, matchedTerm, person.useCount),
+                metadata: {
+                    id: person.id,
+                    account: handle,
+                    accounts: { ...person.accounts },
+                    role: person.role,
+                    lastUsed: person.lastUsed,
+                    useCount: person.useCount,
+                    matchedAlias
+                }
+            };
+        });
     }
 
     /**
      * アカウント名の候補を取得
+     * X 以外のアカウントで一致した場合も、値は X のアカウントを返す（なければ一致したアカウント）
      * @private
      * @param {string} query - 検索クエリ
      * @param {number} limit - 最大件数
@@ -128,19 +143,26 @@ class AutoCompleteEngine {
         const cleanQuery = query.replace(/^@/, '');
         const persons = this.personDatabase.search(cleanQuery, limit);
         
-        return persons.map(person => ({
-            value: person.account,
-            label: `@${person.account}`,
-            secondary: person.name,
-            source: 'person',
-            confidence: this._calculateConfidence(cleanQuery, person.account, person.useCount),
-            metadata: {
-                id: person.id,
-                name: person.name,
-                role: person.role,
-                lastUsed: person.lastUsed
-            }
-        }));
+        return persons.map(person => {
+            const matchedTerm = findMatchedTerm(person, cleanQuery) || person.account;
+            const handle = getPersonHandle(person, 'x') || matchedTerm;
+
+            return {
+                value: handle,
+                label: `@${handle}`,
+                secondary: person.name,
+                source: 'person',
+                confidence: this._calculateConfidence(cleanQuery, matchedTerm, person.useCount),
+                metadata: {
+                    id: person.id,
+                    name: person.name,
+                    accounts: { ...person.accounts },
+                    role: person.role,
+                    lastUsed: person.lastUsed,
+                    useCount: person.useCount
+                }
+            };
+        });
     }
 
     /**
@@ -177,6 +199,13 @@ class AutoCompleteEngine {
             return Math.floor(baseScore + useBonus);
         }
         
+        // 表記ゆれ（全角/半角・カタカナ/ひらがな・空白）を吸収して再判定
+        const queryKey = normalizeNameKey(query);
+        const targetKey = normalizeNameKey(target);
+        if (queryKey && (queryKey !== normalizedQuery || targetKey !== normalizedTarget)) {
+            return this._calculateConfidence(queryKey, targetKey, useCount);
+        }
+
         // マッチしない場合: 0点
         return 0;
     }
@@ -201,6 +230,9 @@ class AutoCompleteEngine {
             if (suggestion.metadata.account) {
                 fieldValues.personAccount = suggestion.metadata.account;
             }
+            if (suggestion.metadata.accounts) {
+                fieldValues.personAccounts = { ...suggestion.metadata.accounts };
+            }
             if (suggestion.metadata.role) {
                 fieldValues.role = suggestion.metadata.role;
             }
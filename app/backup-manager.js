@@ -0,0 +1,415 @@
+/**
+ * Backup Manager
+ * ローカルのデータベース（人物・テンプレート・イベント・履歴・使用済みコメント・コメントテンプレート・投稿文のレイアウト・ハッシュタグの選択・監査ログ・NGワードのフィルタ・設定）を1つのファイルに書き出し/復元する
+ *
+ * - 形式はバージョン付き JSON（画像は data URL のまま含める）
+ * - 復元は merge（既存を残して統合）と overwrite（バックアップで置き換え）の2モード
+ * - 古いバージョンのバックアップは migrateBackup で現在の形式に変換してから復元する
+ * - next-app の vectorStore（画像の類似検索DB）は next-app 側で書き出し/復元する（このアプリでは skipped として報告）
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+import { MAX_PERSON_RECORDS } from './person-database.js';
+import { MAX_HISTORY_RECORDS } from './history-database.js';
+import { MAX_RECENT_EVENTS } from './event-database.js';
+import { LEDGER_KEY, MAX_LEDGER_EVENTS, MAX_COMMENTS_PER_EVENT } from './comment-ledger.js';
+import { TEMPLATE_LIBRARY_KEY } from './comment-template-library.js';
+import { POST_LAYOUTS_KEY } from './post-layout-database.js';
+import { HASHTAG_STATS_KEY } from './hashtag-recommender.js';
+import { AUDIT_LOG_KEY, MAX_AUDIT_ENTRIES } from './audit-log.js';
+import { CONTENT_FILTER_KEY } from './content-filter.js';
+
+const BACKUP_FORMAT = 'autopost-backup';
+const BACKUP_VERSION = 1;
+const SETTINGS_KEY = 'autoPostSettings';
+
+// バックアップに含めない設定（認証情報）
+const CREDENTIAL_SETTINGS = ['xAccessToken', 'blueskyAppPassword', 'mastodonAccessToken', 'misskeyAccessToken', 'makeWebhookUrl', 'webhookUrl', 'webhookHeaders', 'webhookSecret'];
+
+/**
+ * レコード型セクションの定義
+ * identify: 同一レコードの判定キー、limit: 各データベースの上限、merge: 同一レコードの統合（既定は mergeRecord）
+ */
+const RECORD_SECTIONS = {
+    persons: {
+        key: 'autopost_persons',
+        // 別のPCで登録した同じ人物は ID が異なるためアカウントで判定する
+        identify: (record) => (record.account ? `account:${String(record.account).toLowerCase()}` : `id:${record.id}`),
+        limit: MAX_PERSON_RECORDS
+    },
+    boothTemplates: { key: 'autopost_booth_templates' },
+    fieldTemplates: { key: 'autopost_field_templates' },
+    recentEvents: { key: 'autopost_recent_events', limit: MAX_RECENT_EVENTS },
+    history: { key: 'autopost_history', limit: MAX_HISTORY_RECORDS },
+    commentLedger: {
+        key: LEDGER_KEY,
+        limit: MAX_LEDGER_EVENTS,
+        // 両方のコメントを古い順に並べ直し、1イベントの上限まで残す
+        merge: (current, incoming) => {
+            const merged = mergeRecord(current, incoming);
+            merged.comments = [...(merged.comments || [])]
+                .sort((a, b) => (Number(a?.usedAt) || 0) - (Number(b?.usedAt) || 0))
+                .slice(-MAX_COMMENTS_PER_EVENT);
+            return merged;
+        }
+    },
+    // 標準のコメントテンプレートへの変更と追加したテンプレート
+    commentTemplates: { key: TEMPLATE_LIBRARY_KEY },
+    // 投稿文のレイアウト
+    postLayouts: { key: POST_LAYOUTS_KEY },
+    // 掲載の同意の確認を省いた送信・同意の変更
+    auditLog: { key: AUDIT_LOG_KEY, limit: MAX_AUDIT_ENTRIES },
+    // 標準のフィルタのルールへの変更と追加したルール
+    contentFilter: { key: CONTENT_FILTER_KEY }
+};
+
+// 値型セクションの定義
+const VALUE_SECTIONS = {
+    currentEvent: { key: 'autopost_current_event' },
+    // ハッシュタグを選んだ・外した回数
+    hashtagStats: { key: HASHTAG_STATS_KEY }
+};
+
+/**
+ * バックアップのエラー
+ */
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+/**
+ * レコードの更新時刻（新しい方を残す判定に使う）
+ * @param {Object} record
+ * @returns {number}
+ */
+function recordTimestamp(record) {
+    if (!record || typeof record !== 'object') return 0;
+    return Math.max(
+        Number(record.updatedAt) || 0,
+        Number(record.lastUsed) || 0,
+        Number(record.sentAt) || 0,
+        Number(record.createdAt) || 0
+    );
+}
+
+/**
+ * 2つの配列の和（オブジェクトの要素は内容が同じものを1つにする）
+ * @param {Array} current
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+function unionArrays(current, incoming) {
+    const byKey = new Map();
+    [...(current || []), ...(incoming || [])].forEach(value => {
+        const key = value && typeof value === 'object' ? JSON.stringify(value) : value;
+        if (!byKey.has(key)) byKey.set(key, value);
+    });
+    return [...byKey.values()];
+}
+
+/**
+ * 同一レコードを統合（新しい方を基準に、使用回数は大きい方、配列の項目は両方の和）
+ * 新しい方で空の項目（読み・別名・使用済みコメントなど）は古い方の値を残す
+ * @param {Object} current
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+function mergeRecord(current, incoming) {
+    const [newer, older] = recordTimestamp(incoming) > recordTimestamp(current)
+        ? [incoming, current]
+        : [current, incoming];
+    const merged = { ...older, ...pickNonEmpty(newer), id: current.id };
+
+    if (typeof current.useCount === 'number' || typeof incoming.useCount === 'number') {
+        merged.useCount = Math.max(current.useCount || 0, incoming.useCount || 0);
+    }
+    Object.keys(merged).forEach(key => {
+        if (Array.isArray(current[key]) || Array.isArray(incoming[key])) {
+            merged[key] = unionArrays(current[key], incoming[key]);
+        }
+    });
+    return merged;
+}
+
+/**
+ * レコード配列を統合
+ * @param {Array<Object>} existing - 既存のレコード
+ * @param {Array<Object>} incoming - バックアップのレコード
+ * @param {Object} [options]
+ * @param {Function} [options.identify] - 同一判定キー
+ * @param {number} [options.limit] - 上限（新しい順に残す）
+ * @param {Function} [options.merge] - 同一レコードの統合
+ * @returns {{records: Array<Object>, added: number, updated: number}}
+ */
+function mergeRecords(existing, incoming, { identify = (record) => `id:${record.id}`, limit, merge = mergeRecord } = {}) {
+    const byKey = new Map();
+    (existing || []).forEach(record => {
+        if (record && typeof record === 'object') byKey.set(identify(record), record);
+    });
+
+    let added = 0;
+    let updated = 0;
+    (incoming || []).forEach(record => {
+        if (!record || typeof record !== 'object') return;
+        const key = identify(record);
+        const current = byKey.get(key);
+        if (!current) {
+            byKey.set(key, record);
+            added++;
+        } else if (JSON.stringify(current) !== JSON.stringify(record)) {
+            byKey.set(key, merge(current, record));
+            updated++;
+        }
+    });
+
+    return { records: applyLimit([...byKey.values()], limit), added, updated };
+}
+
+/**
+ * 上限を超えた古いレコードを除く（新しい順）
+ * 上限のないセクション（テンプレート・フィルタのルールなど）はユーザーが並べた順のまま返す
+ * @param {Array<Object>} records
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+function applyLimit(records, limit) {
+    if (!limit) return [...records];
+    return [...records].sort((a, b) => recordTimestamp(b) - recordTimestamp(a)).slice(0, limit);
+}
+
+/**
+ * 保存されている設定を取得
+ * @returns {Object}
+ */
+function loadSettings() {
+    const settings = storageGet(SETTINGS_KEY, {});
+    return settings && typeof settings === 'object' ? settings : {};
+}
+
+/**
+ * 設定を保存（app.js は localStorage から直接読むため localStorage に書く）
+ * @param {Object} settings
+ */
+function saveSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * バックアップを作成
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCredentials] - アクセストークン等を含めるか
+ * @param {number} [options.now] - 作成時刻
+ * @returns {Object} - バックアップ
+ */
+function createBackup({ includeCredentials = false, now = Date.now() } = {}) {
+    const data = {};
+
+    Object.entries(RECORD_SECTIONS).forEach(([name, { key }]) => {
+        const records = storageGet(key, []);
+        data[name] = Array.isArray(records) ? records : [];
+    });
+    Object.entries(VALUE_SECTIONS).forEach(([name, { key }]) => {
+        data[name] = storageGet(key, null);
+    });
+
+    const settings = { ...loadSettings() };
+    if (!includeCredentials) {
+        CREDENTIAL_SETTINGS.forEach(name => delete settings[name]);
+    }
+    data.settings = settings;
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date(now).toISOString(),
+        source: 'app',
+        data
+    };
+}
+
+/**
+ * 旧形式（バージョンなし）: ストレージのキーと値をそのまま並べたダンプ
+ * @param {Object} dump
+ * @returns {Object} - version 1
+ */
+function migrateLegacyDump(dump) {
+    const data = {};
+    Object.entries({ ...RECORD_SECTIONS, ...VALUE_SECTIONS }).forEach(([name, { key }]) => {
+        if (key in dump) data[name] = dump[key];
+    });
+    if (dump[SETTINGS_KEY]) data.settings = dump[SETTINGS_KEY];
+
+    return {
+        format: BACKUP_FORMAT,
+        version: 1,
+        createdAt: null,
+        source: 'legacy',
+        data
+    };
+}
+
+// バージョンごとの変換（version → version + 1）
+const MIGRATIONS = {
+    0: migrateLegacyDump
+};
+
+/**
+ * バックアップを現在の形式に変換
+ * @param {Object} archive
+ * @returns {Object}
+ * @throws {BackupError} - 形式が不正、または新しすぎるバージョンの場合
+ */
+function migrateBackup(archive) {
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+        throw new BackupError('バックアップの形式が正しくありません');
+    }
+
+    let current = archive;
+    let version = archive.format === BACKUP_FORMAT ? Number(archive.version) : 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new BackupError('バックアップのバージョンが不明です');
+    }
+    if (version > BACKUP_VERSION) {
+        throw new BackupError(`このバックアップ（v${version}）は新しいバージョンのアプリで作成されています`);
+    }
+
+    while (version < BACKUP_VERSION) {
+        current = MIGRATIONS[version](current);
+        version = current.version;
+    }
+
+    if (!current.data || typeof current.data !== 'object') {
+        throw new BackupError('バックアップにデータが含まれていません');
+    }
+    return current;
+}
+
+/**
+ * バックアップファイルの内容を読み込む
+ * @param {string} text - JSON
+ * @returns {Object} - 現在の形式のバックアップ
+ * @throws {BackupError}
+ */
+function parseBackup(text) {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch (error) {
+        throw new BackupError('バックアップファイルを読み込めません（JSON ではありません）');
+    }
+    return migrateBackup(archive);
+}
+
+/**
+ * バックアップから復元
+ * @param {Object} archive - バックアップ（古い形式も可）
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'merge' | 'overwrite'
+ * @returns {{mode: string, sections: Object, skipped: Array<string>}} - セクションごとの件数
+ * @throws {BackupError}
+ */
+function restoreBackup(archive, { mode = 'merge' } = {}) {
+    if (mode !== 'merge' && mode !== 'overwrite') {
+        throw new BackupError(`不明な復元モードです: ${mode}`);
+    }
+
+    const { data } = migrateBackup(archive);
+    const sections = {};
+    const skipped = [];
+
+    Object.entries(RECORD_SECTIONS).forEach(([name, section]) => {
+        if (!(name in data)) return;
+        if (!Array.isArray(data[name])) {
+            skipped.push(name);
+            return;
+        }
+
+        if (mode === 'overwrite') {
+            const records = applyLimit(data[name], section.limit);
+            storageSet(section.key, records);
+            sections[name] = { added: records.length, updated: 0, total: records.length };
+        } else {
+            const existing = storageGet(section.key, []);
+            const result = mergeRecords(Array.isArray(existing) ? existing : [], data[name], section);
+            storageSet(section.key, result.records);
+            sections[name] = { added: result.added, updated: result.updated, total: result.records.length };
+        }
+    });
+
+    Object.entries(VALUE_SECTIONS).forEach(([name, { key }]) => {
+        if (!(name in data) || data[name] === null) return;
+        // merge では既存の値を優先する
+        if (mode === 'overwrite' || storageGet(key, null) === null) {
+            storageSet(key, data[name]);
+            sections[name] = { added: 1, updated: 0, total: 1 };
+        }
+    });
+
+    if (data.settings && typeof data.settings === 'object') {
+        const existing = loadSettings();
+        // バックアップに含まれない認証情報は既存の値を残す
+        const settings = mode === 'overwrite'
+            ? { ...existing, ...data.settings }
+            : { ...data.settings, ...pickNonEmpty(existing) };
+        saveSettings(settings);
+        sections.settings = { added: 0, updated: 1, total: Object.keys(settings).length };
+    }
+
+    // このアプリで扱わないセクション（next-app の vectorStore 等）
+    Object.keys(data).forEach(name => {
+        if (!(name in RECORD_SECTIONS) && !(name in VALUE_SECTIONS) && name !== 'settings') {
+            skipped.push(name);
+        }
+    });
+
+    console.log(`[BackupManager] Restored backup (${mode})`, sections);
+    return { mode, sections, skipped };
+}
+
+/**
+ * 空でない値だけを取り出す
+ * @param {Object} object
+ * @returns {Object}
+ */
+function pickNonEmpty(object) {
+    return Object.fromEntries(
+        Object.entries(object).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+}
+
+/**
+ * バックアップを JSON に変換
+ * @param {Object} archive
+ * @returns {string}
+ */
+function serializeBackup(archive) {
+    return JSON.stringify(archive, null, 2);
+}
+
+/**
+ * バックアップのファイル名
+ * @param {number} [now]
+ * @returns {string} - autopost-backup-YYYYMMDD-HHmm.json
+ */
+function getBackupFileName(now = Date.now()) {
+    const date = new Date(now);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `autopost-backup-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}.json`;
+}
+
+// Export for use in other modules
+export {
+    BackupError,
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    createBackup,
+    parseBackup,
+    migrateBackup,
+    restoreBackup,
+    mergeRecords,
+    serializeBackup,
+    getBackupFileName
+};
@@ -0,0 +1,274 @@
+/**
+ * Backup Manager Tests
+ * バックアップの書き出し・復元（merge / overwrite）・旧形式の変換
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    BackupError,
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    createBackup,
+    parseBackup,
+    restoreBackup,
+    mergeRecords,
+    serializeBackup,
+    getBackupFileName
+} from './backup-manager.js';
+import { storageGet, storageSet } from './storage-adapter.js';
+import { LEDGER_KEY } from './comment-ledger.js';
+
+const person = (id, account, extra = {}) => ({
+    id,
+    name: `name-${id}`,
+    account,
+    role: 'cosplayer',
+    events: [],
+    createdAt: 1000,
+    updatedAt: 1000,
+    useCount: 1,
+    ...extra
+});
+
+describe('BackupManager', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('createBackup', () => {
+        it('should include all databases with format and version', () => {
+            storageSet('autopost_persons', [person('p1', '@alice')]);
+            storageSet('autopost_booth_templates', [{ id: 'b1', boothName: 'Booth' }]);
+            storageSet('autopost_history', [{ id: 'h1', sentAt: 5 }]);
+            storageSet('autopost_current_event', { eventEn: 'Expo' });
+            localStorage.setItem('autoPostSettings', JSON.stringify({ eventEn: 'Expo' }));
+
+            const archive = createBackup({ now: Date.UTC(2026, 0, 2) });
+
+            expect(archive.format).toBe(BACKUP_FORMAT);
+            expect(archive.version).toBe(BACKUP_VERSION);
+            expect(archive.createdAt).toBe('2026-01-02T00:00:00.000Z');
+            expect(archive.data.persons).toHaveLength(1);
+            expect(archive.data.boothTemplates).toEqual([{ id: 'b1', boothName: 'Booth' }]);
+            expect(archive.data.fieldTemplates).toEqual([]);
+            expect(archive.data.history).toHaveLength(1);
+            expect(archive.data.currentEvent).toEqual({ eventEn: 'Expo' });
+            expect(archive.data.settings).toEqual({ eventEn: 'Expo' });
+        });
+
+        it('should strip credentials unless requested', () => {
+            localStorage.setItem('autoPostSettings', JSON.stringify({
+                eventEn: 'Expo',
+                xAccessToken: 'secret',
+                makeWebhookUrl: 'https://hook.example.com/abc'
+            }));
+
+            expect(createBackup().data.settings).toEqual({ eventEn: 'Expo' });
+            expect(createBackup({ includeCredentials: true }).data.settings.xAccessToken).toBe('secret');
+        });
+    });
+
+    describe('round trip', () => {
+        it('should restore the same data after overwrite', () => {
+            storageSet('autopost_persons', [person('p1', '@alice'), person('p2', '@bob')]);
+            storageSet('autopost_field_templates', [{ id: 'f1', fieldName: 'Field' }]);
+            const text = serializeBackup(createBackup());
+
+            localStorage.clear();
+            restoreBackup(parseBackup(text), { mode: 'overwrite' });
+
+            expect(storageGet('autopost_persons', []).map(p => p.id).sort()).toEqual(['p1', 'p2']);
+            expect(storageGet('autopost_field_templates', [])).toEqual([{ id: 'f1', fieldName: 'Field' }]);
+        });
+    });
+
+    describe('restoreBackup - merge', () => {
+        it('should deduplicate persons by account and keep the newer record', () => {
+            storageSet('autopost_persons', [person('local', '@Alice', { name: 'Old', updatedAt: 1000, useCount: 5, events: ['A'] })]);
+            const archive = createBackup();
+            archive.data.persons = [person('remote', '@alice', { name: 'New', updatedAt: 2000, useCount: 2, events: ['B'] })];
+
+            const result = restoreBackup(archive, { mode: 'merge' });
+            const persons = storageGet('autopost_persons', []);
+
+            expect(persons).toHaveLength(1);
+            expect(persons[0]).toMatchObject({ id: 'local', name: 'New', useCount: 5 });
+            expect(persons[0].events.sort()).toEqual(['A', 'B']);
+            expect(result.sections.persons).toMatchObject({ added: 0, updated: 1 });
+        });
+
+        it('should keep the older person\'s aliases, readings and tags', () => {
+            storageSet('autopost_persons', [person('local', '@alice', {
+                aliases: ['アリス'],
+                readings: ['ありす'],
+                tags: ['#Alice'],
+                note: 'ブースの常連',
+                updatedAt: 1000
+            })]);
+            const archive = createBackup();
+            archive.data.persons = [person('remote', '@alice', {
+                aliases: ['Alice'],
+                readings: [],
+                tags: ['#Alice', '#コスプレ'],
+                note: '',
+                updatedAt: 2000
+            })];
+
+            restoreBackup(archive, { mode: 'merge' });
+            const [merged] = storageGet('autopost_persons', []);
+
+            expect(merged.aliases).toEqual(['アリス', 'Alice']);
+            expect(merged.readings).toEqual(['ありす']);
+            expect(merged.tags).toEqual(['#Alice', '#コスプレ']);
+            expect(merged.note).toBe('ブースの常連');
+        });
+
+        it('should keep the used comments of both ledger records in order', () => {
+            const comment = (text, usedAt) => ({ text, source: 'sent', usedAt });
+            storageSet(LEDGER_KEY, [{ id: 'tas2026', comments: [comment('a', 1), comment('c', 3)], lastUsed: 3 }]);
+            const archive = createBackup();
+            archive.data.commentLedger = [{ id: 'tas2026', comments: [comment('a', 1), comment('b', 2), comment('d', 4)], lastUsed: 4 }];
+
+            const result = restoreBackup(archive, { mode: 'merge' });
+            const [merged] = storageGet(LEDGER_KEY, []);
+
+            expect(merged.comments.map(entry => entry.text)).toEqual(['a', 'b', 'c', 'd']);
+            expect(merged.lastUsed).toBe(4);
+            expect(result.sections.commentLedger).toMatchObject({ added: 0, updated: 1 });
+        });
+
+        it('should keep the order of sections without a limit and append new records', () => {
+            storageSet('autopost_booth_templates', [
+                { id: 'b', name: 'B', updatedAt: 1000 },
+                { id: 'a', name: 'A', updatedAt: 3000 }
+            ]);
+            const archive = createBackup();
+            archive.data.boothTemplates = [
+                { id: 'c', name: 'C', updatedAt: 5000 },
+                { id: 'b', name: 'B2', updatedAt: 2000 }
+            ];
+
+            restoreBackup(archive, { mode: 'merge' });
+
+            expect(storageGet('autopost_booth_templates', []).map(record => record.name)).toEqual(['B2', 'A', 'C']);
+        });
+
+        it('should keep existing settings and current event', () => {
+            localStorage.setItem('autoPostSettings', JSON.stringify({ eventEn: 'Local', xAccessToken: 'token' }));
+            storageSet('autopost_current_event', { eventEn: 'Local' });
+
+            restoreBackup({
+                format: BACKUP_FORMAT,
+                version: 1,
+                data: { settings: { eventEn: 'Remote', eventJp: 'リモート' }, currentEvent: { eventEn: 'Remote' } }
+            });
+
+            expect(JSON.parse(localStorage.getItem('autoPostSettings'))).toEqual({
+                eventEn: 'Local',
+                eventJp: 'リモート',
+                xAccessToken: 'token'
+            });
+            expect(storageGet('autopost_current_event', null)).toEqual({ eventEn: 'Local' });
+        });
+
+        it('should report sections this app does not handle', () => {
+            const result = restoreBackup({
+                format: BACKUP_FORMAT,
+                version: 1,
+                data: { vectorStore: [{ id: 'img_1' }] }
+            });
+            expect(result.skipped).toEqual(['vectorStore']);
+        });
+    });
+
+    describe('restoreBackup - overwrite', () => {
+        it('should replace records but keep credentials missing from the backup', () => {
+            storageSet('autopost_persons', [person('p1', '@alice')]);
+            localStorage.setItem('autoPostSettings', JSON.stringify({ eventEn: 'Local', xAccessToken: 'token' }));
+
+            restoreBackup({
+                format: BACKUP_FORMAT,
+                version: 1,
+                data: { persons: [person('p9', '@zed')], settings: { eventEn: 'Remote' } }
+            }, { mode: 'overwrite' });
+
+            expect(storageGet('autopost_persons', []).map(p => p.id)).toEqual(['p9']);
+            expect(JSON.parse(localStorage.getItem('autoPostSettings'))).toEqual({ eventEn: 'Remote', xAccessToken: 'token' });
+        });
+
+        it('should apply the history limit', () => {
+            const history = Array.from({ length: 150 }, (_, i) => ({ id: `h${i}`, sentAt: i }));
+            restoreBackup({ format: BACKUP_FORMAT, version: 1, data: { history } }, { mode: 'overwrite' });
+
+            const restored = storageGet('autopost_history', []);
+            expect(restored).toHaveLength(100);
+            expect(restored[0].id).toBe('h149');
+        });
+
+        it('should reject unknown modes', () => {
+            expect(() => restoreBackup({ format: BACKUP_FORMAT, version: 1, data: {} }, { mode: 'replace' }))
+                .toThrow(BackupError);
+        });
+    });
+
+    describe('migration', () => {
+        it('should convert a legacy key/value dump', () => {
+            const legacy = {
+                autopost_persons: [person('p1', '@alice')],
+                autopost_recent_events: [{ eventEn: 'Expo', lastUsed: 1 }],
+                autoPostSettings: { eventEn: 'Expo' }
+            };
+
+            const archive = parseBackup(JSON.stringify(legacy));
+
+            expect(archive.version).toBe(BACKUP_VERSION);
+            expect(archive.source).toBe('legacy');
+            expect(archive.data.persons).toHaveLength(1);
+            expect(archive.data.recentEvents).toHaveLength(1);
+            expect(archive.data.settings).toEqual({ eventEn: 'Expo' });
+        });
+
+        it('should reject backups from a newer version', () => {
+            const text = JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1, data: {} });
+            expect(() => parseBackup(text)).toThrow(/新しいバージョン/);
+        });
+
+        it('should reject invalid JSON', () => {
+            expect(() => parseBackup('not json')).toThrow(BackupError);
+            expect(() => parseBackup('[]')).toThrow(BackupError);
+        });
+    });
+
+    describe('mergeRecords', () => {
+        it('should be idempotent when merging the same records twice', () => {
+            fc.assert(
+                fc.property(
+                    fc.uniqueArray(
+                        fc.record({
+                            id: fc.string({ minLength: 1, maxLength: 8 }),
+                            updatedAt: fc.integer({ min: 0, max: 1e6 })
+                        }),
+                        { selector: r => r.id, maxLength: 30 }
+                    ),
+                    (records) => {
+                        const once = mergeRecords([], records);
+                        const twice = mergeRecords(once.records, records);
+
+                        expect(once.added).toBe(records.length);
+                        expect(twice.added).toBe(0);
+                        expect(twice.updated).toBe(0);
+                        expect(twice.records).toHaveLength(records.length);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('getBackupFileName', () => {
+        it('should include date and time', () => {
+            expect(getBackupFileName(new Date(2026, 2, 4, 5, 6).getTime())).toBe('autopost-backup-20260304-0506.json');
+        });
+    });
+});
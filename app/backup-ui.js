@@ -0,0 +1,122 @@
+/**
+ * Backup UI
+ * 設定モーダルのバックアップ書き出し/復元
+ */
+
+import {
+    createBackup,
+    parseBackup,
+    restoreBackup,
+    serializeBackup,
+    getBackupFileName
+} from './backup-manager.js';
+import { storageFlush } from './storage-adapter.js';
+
+const SECTION_LABELS = {
+    persons: '人物',
+    boothTemplates: 'ブーステンプレート',
+    fieldTemplates: 'フィールドテンプレート',
+    recentEvents: '最近のイベント',
+    currentEvent: '現在のイベント',
+    history: '履歴',
+    commentLedger: '使用済みコメント',
+    commentTemplates: 'コメントテンプレート',
+    postLayouts: '投稿文のレイアウト',
+    auditLog: '監査ログ',
+    contentFilter: 'NGワードのフィルタ',
+    hashtagStats: 'ハッシュタグの選択',
+    settings: '設定'
+};
+
+/**
+ * トーストを表示
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type) {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * バックアップをファイルとしてダウンロード
+ */
+function exportBackup() {
+    const includeCredentials = document.getElementById('backup-include-credentials')?.checked || false;
+    const archive = createBackup({ includeCredentials });
+
+    const blob = new Blob([serializeBackup(archive)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getBackupFileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    notify('バックアップを書き出しました', 'success');
+}
+
+/**
+ * 復元結果のメッセージ
+ * @param {Object} result - restoreBackup の戻り値
+ * @returns {string}
+ */
+function formatRestoreSummary(result) {
+    const lines = Object.entries(result.sections).map(([name, counts]) => {
+        const label = SECTION_LABELS[name] || name;
+        return name === 'settings' ? `${label}: 更新` : `${label}: 追加${counts.added}件 / 更新${counts.updated}件`;
+    });
+    if (result.skipped.length > 0) {
+        lines.push(`対象外: ${result.skipped.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 選択したファイルから復元
+ * @param {File} file
+ */
+async function importBackup(file) {
+    const mode = document.getElementById('backup-import-mode')?.value || 'merge';
+
+    try {
+        const archive = parseBackup(await file.text());
+        const modeLabel = mode === 'overwrite' ? '上書き（現在のデータは置き換えられます）' : '統合';
+        if (!confirm(`バックアップを${modeLabel}で復元しますか？\n作成日時: ${archive.createdAt || '不明'}`)) {
+            return;
+        }
+
+        const result = restoreBackup(archive, { mode });
+        await storageFlush();
+
+        alert(`復元しました。ページを再読み込みします。\n\n${formatRestoreSummary(result)}`);
+        window.location.reload();
+    } catch (error) {
+        console.error('[BackupUI] Failed to restore backup:', error);
+        notify(error.message || 'バックアップの復元に失敗しました', 'error');
+    }
+}
+
+/**
+ * バックアップUIを初期化
+ */
+export function initBackupUI() {
+    const exportBtn = document.getElementById('backup-export-btn');
+    const importBtn = document.getElementById('backup-import-btn');
+    const importInput = document.getElementById('backup-import-input');
+
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportBackup);
+    }
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files?.[0];
+            importInput.value = '';
+            if (file) importBackup(file);
+        });
+    }
+}
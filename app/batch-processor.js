@@ -4,6 +4,69 @@
  * Requirements: 6.1, 6.2, 6.3, 6.4, 12.1, 12.2, 12.3, 12.4, 12.5, 16.1, 16.2, 16.3, 16.4
  */
 
+import { createPublisher, getTextLimit } from './publishers.js';
+import './x-publisher.js';
+import './bluesky-publisher.js';
+import './mastodon-publisher.js';
+import './misskey-publisher.js';
+import { orderForThreads, resolveThreadParentForSend } from './post-composition.js';
+import { normalizeRetryPolicy, createRequestRetry } from './retry-policy.js';
+import { deadLetterQueue } from './dead-letter-queue.js';
+import { rateLimiters } from './rate-limiter.js';
+import { imageStore } from './image-store.js';
+import { stateManager } from './state-manager.js';
+import { ensureMentionsAcknowledged, createMentionLookup } from './mention-checker.js';
+import { ensurePostConsent } from './consent-guard.js';
+import { ensureContentAllowed } from './content-filter.js';
+import { commentLedger, getEventKey, getPendingComments, DEFAULT_SIMILARITY_THRESHOLD } from './comment-ledger.js';
+import { getCommentRules, getLanguageRules, validateComment, collectProperNouns } from './comment-validator.js';
+import { toTemplateFeatures } from './image-analysis.js';
+import { commentTemplateLibrary } from './comment-template-library.js';
+import { recordSentPost } from './history-database.js';
+import { PRIMARY_LANGUAGE, normalizeTargetLanguages } from './post-i18n.js';
+import { resolvePublishEvent, buildPostTemplates } from './post-templates.js';
+import { fitPostTemplates, describeOverflow, normalizeOverflowStrategy } from './x-text-counter.js';
+
+// デフォルトの同時実行数
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+
+// コメント生成APIがレート制限（429）を返したときに待って送り直す回数
+const MAX_RATE_LIMIT_RETRIES = 3;
+// 429 に待つ時間が付いていない場合の待機時間
+const DEFAULT_RATE_LIMIT_RETRY_AFTER_MS = 30000;
+
+/**
+ * 同時実行数を 1〜MAX_CONCURRENCY に丸める
+ * @param {*} value
+ * @returns {number}
+ */
+function normalizeConcurrency(value) {
+    const number = Math.floor(Number(value));
+    if (!Number.isFinite(number) || number < 1) {
+        return DEFAULT_CONCURRENCY;
+    }
+    return Math.min(MAX_CONCURRENCY, number);
+}
+
+/**
+ * 投稿を現在の位置で更新（送信の待機中に並べ替え・削除・予約のディスパッチがあっても別の投稿を更新しない）
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {Object} updates
+ * @returns {boolean} - キューに残っていて更新したか
+ */
+function updateQueuedPost(post, updates) {
+    const index = window.AppState.postQueue.indexOf(post);
+    if (index < 0) return false;
+
+    if (typeof window.updateQueueItem === 'function') {
+        window.updateQueueItem(index, updates);
+    } else {
+        Object.assign(post, updates);
+    }
+    return true;
+}
+
 /**
  * バッチ処理の進捗情報
  * @typedef {Object} BatchProgress
@@ -35,12 +98,51 @@ class BatchProcessor {
      * @param {Array<number>} indices - 処理対象のインデックス配列
      * @param {Function} onProgress - 進捗コールバック
      * @param {Object} options - オプション
+     * @param {number} [options.concurrency] - 同時実行数（省略時は設定値）
      * @returns {Promise<BatchResult>}
+     * Gemini のレート制限のトークンは投稿ごとではなく、コメント生成APIへのリクエストごとに取得する（requestComment）
      */
     async generateComments(indices, onProgress, options = {}) {
         this.cancelled = false;
         this.currentOperation = 'generateComments';
 
+        const settings = window.AppState?.settings || {};
+
+        const result = await this.runPool(
+            indices,
+            (index) => this.generateSingleComment(index, options),
+            {
+                concurrency: options.concurrency ?? settings.batchConcurrency,
+                onProgress,
+                fallbackError: 'コメント生成に失敗しました',
+                label: 'Comment generation'
+            }
+        );
+
+        this.currentOperation = null;
+        return result;
+    }
+
+    /**
+     * インデックスをワーカープールで処理
+     * 各アイテムの開始前にレートリミッターのトークンを取得する
+     * @param {Array<number>} indices - 処理対象のインデックス配列
+     * @param {Function} task - (index) => Promise
+     * @param {Object} options
+     * @param {number} [options.concurrency] - 同時実行数
+     * @param {TokenBucket} [options.limiter] - レートリミッター
+     * @param {Function} [options.onProgress] - 進捗コールバック
+     * @param {string} [options.fallbackError] - エラーメッセージが無い場合の表示
+     * @param {string} [options.label] - ログ用の処理名
+     * @returns {Promise<BatchResult>}
+     */
+    async runPool(indices, task, {
+        concurrency = DEFAULT_CONCURRENCY,
+        limiter = null,
+        onProgress = null,
+        fallbackError = '処理に失敗しました',
+        label = 'Batch'
+    } = {}) {
         const result = {
             success: 0,
             failed: 0,
@@ -48,56 +150,56 @@ class BatchProcessor {
         };
 
         const total = indices.length;
+        const workerCount = Math.min(total, normalizeConcurrency(concurrency));
+        let nextPosition = 0;
+        let completed = 0;
 
-        for (let i = 0; i < indices.length; i++) {
-            // キャンセルチェック
-            if (this.cancelled) {
-                console.log('[BatchProcessor] Comment generation cancelled');
-                break;
+        const reportProgress = (current) => {
+            if (onProgress) {
+                onProgress({ total, completed, failed: result.failed, current });
             }
+        };
 
-            const index = indices[i];
-            const progress = {
-                total,
-                completed: i,
-                failed: result.failed,
-                current: index
-            };
+        const worker = async () => {
+            while (nextPosition < total) {
+                // キャンセルチェック（レート制限の待機中も含む）
+                if (this.cancelled) break;
+                // トークンを取る前に処理する投稿を確保する（残りがないワーカーがトークンを消費しないように）
+                const index = indices[nextPosition++];
+                if (limiter && !(await limiter.acquire(() => this.cancelled))) break;
+
+                // 進捗を通知
+                reportProgress(index);
+
+                try {
+                    await task(index);
+                    result.success++;
+                } catch (error) {
+                    console.error(`[BatchProcessor] ${label} failed for index ${index}:`, error);
+                    result.failed++;
+                    result.errors.push({
+                        index,
+                        error: error.message || fallbackError,
+                        status: error.status ?? null
+                    });
+                    // エラーが発生しても継続
+                }
 
-            // 進捗を通知
-            if (onProgress) {
-                onProgress(progress);
+                completed++;
             }
+        };
 
-            try {
-                // コメント生成を実行
-                await this.generateSingleComment(index, options);
-                result.success++;
-            } catch (error) {
-                console.error(`[BatchProcessor] Failed to generate comment for index ${index}:`, error);
-                result.failed++;
-                result.errors.push({
-                    index,
-                    error: error.message || 'コメント生成に失敗しました'
-                });
-                // エラーが発生しても継続
-            }
+        await Promise.all(Array.from({ length: workerCount }, worker));
 
-            // 最終進捗を通知
-            if (i === indices.length - 1) {
-                const finalProgress = {
-                    total,
-                    completed: i + 1,
-                    failed: result.failed,
-                    current: -1
-                };
-                if (onProgress) {
-                    onProgress(finalProgress);
-                }
-            }
+        if (this.cancelled) {
+            console.log(`[BatchProcessor] ${label} cancelled`);
+        }
+
+        // 最終進捗を通知
+        if (total > 0 && completed === total) {
+            reportProgress(-1);
         }
 
-        this.currentOperation = null;
         return result;
     }
 
@@ -119,65 +221,157 @@ class BatchProcessor {
         }
 
         // 既にコメントがある場合はスキップ（オプションで上書き可能）
-        if (post.aiComment && !options.overwrite) {
+        // 翻訳先の言語のコメントは、まだないものだけ作る
+        const languages = normalizeTargetLanguages(post.targetLanguages)
+            .filter(language => options.overwrite || !post.localizedComments?.[language]);
+        if (post.aiComment && !options.overwrite && languages.length === 0) {
             console.log(`[BatchProcessor] Skipping index ${index} - comment already exists`);
             return;
         }
 
-        // コメント生成パラメータ
-        const expressionType = options.expressionType || '笑顔';
-        const focusPoint = options.focusPoint || '表情';
-        const contextMatch = options.contextMatch || 'ブースの雰囲気';
+        // コメント生成パラメータ（表情の指定がなければ画像解析の結果を使う）
+        const features = post.imageFeatures || null;
+        // 同じイベントで使ったコメントを避ける（投稿ごとのイベントがあればそちらを優先）
+        const eventInfo = (post.eventInfo?.eventEn || post.eventInfo?.eventJp) ? post.eventInfo : window.AppState.eventInfo;
+        const context = {
+            post,
+            features,
+            expressionType: options.expressionType || features?.expression || '笑顔',
+            focusPoint: options.focusPoint || '表情',
+            contextMatch: options.contextMatch || 'ブースの雰囲気',
+            category: post.eventInfo?.category || window.AppState.eventInfo?.category || 'ブース',
+            eventKey: getEventKey(eventInfo),
+            rules: getCommentRules(window.AppState.settings || {}),
+            properNouns: collectProperNouns({ boothName: post.boothName, personName: post.personName, eventInfo })
+        };
+
+        const updates = {};
+        if (!post.aiComment || options.overwrite) {
+            updates.aiComment = await this.requestComment(context, PRIMARY_LANGUAGE);
+        }
+        if (languages.length > 0) {
+            const localizedComments = { ...(post.localizedComments || {}) };
+            for (const language of languages) {
+                localizedComments[language] = await this.requestComment(context, language);
+            }
+            updates.localizedComments = localizedComments;
+        }
+
+        // コメントを更新
+        if (typeof window.updateQueueItem === 'function') {
+            window.updateQueueItem(index, updates);
+        } else {
+            Object.assign(post, updates);
+        }
+    }
+
+    /**
+     * 1言語分のコメントをAPIで生成（失敗時はルールベース）
+     * @param {Object} context - generateSingleComment で組み立てた生成パラメータ
+     * @param {string} language - 'ja' | 'en' | 'zh' | 'ko'
+     * @returns {Promise<string>}
+     */
+    async requestComment(context, language) {
+        const { post, features, expressionType, focusPoint, contextMatch, category, properNouns } = context;
+        // 言語ごとに別の台帳で重複を避ける
+        const eventKey = language === PRIMARY_LANGUAGE ? context.eventKey : `${context.eventKey}|${language}`;
+        // 台帳には送信時に記録するため、キューにある他の未送信の投稿のコメントも避ける
+        const getPending = () => getPendingComments(window.AppState?.postQueue, eventKey, {
+            defaultEvent: window.AppState?.eventInfo,
+            exceptId: post.id
+        });
+        const rules = getLanguageRules(context.rules, language);
+        const regenerate = (exclude) => this.generateRuleBasedComment({
+            expressionType,
+            focusPoint,
+            contextMatch,
+            category,
+            role: post.personRole || 'モデル',
+            ...toTemplateFeatures(features),
+            language,
+            exclude
+        });
 
-        // API経由でコメント生成
-        const API_BASE_URL = '/.netlify/functions';
-        
         try {
+            // IndexedDB に退避済みの画像を読み込む
+            const { imageBase64 } = await imageStore.hydratePostImages(post);
+            const data = await this.postCommentRequest({
+                booth_name: post.boothName || '',
+                role: post.personRole || 'モデル',
+                category,
+                expression_type: expressionType,
+                focus_point: focusPoint,
+                context_match: contextMatch,
+                image_base64: imageBase64 || null,
+                image_features: features,
+                provider: window.AppState?.settings?.commentProvider || 'auto',
+                recent_comments: commentLedger.getRecentComments(eventKey, { pending: getPending() }),
+                similarity_threshold: DEFAULT_SIMILARITY_THRESHOLD,
+                rules: context.rules,
+                proper_nouns: properNouns,
+                language,
+                templates: commentTemplateLibrary.getActive('expression', expressionType, language).map(template => template.text)
+            });
+            // ルール違反が残った場合や、並列実行中の他の投稿と似たコメントになった場合はここで作り直す
+            const { valid } = validateComment(data.comment, rules, {
+                properNouns,
+                language,
+                inputWords: [expressionType, focusPoint, contextMatch, category]
+            });
+            return commentLedger.accept(eventKey, data.comment, data.source, regenerate, { rejected: !valid, pending: getPending() }).comment;
+
+        } catch (error) {
+            // キャンセルした場合はコメントを書き込まない
+            if (this.cancelled) throw error;
+            console.error('[BatchProcessor] API call failed, using rule-based fallback:', error);
+            
+            // フォールバック: ルールベースでコメント生成
+            return regenerate(commentLedger.getRecentComments(eventKey, { pending: getPending() }));
+        }
+    }
+
+    /**
+     * コメント生成APIにリクエストを送る
+     * Gemini のレート制限のトークンをリクエストごとに取得し、サーバーが作り直しで送った分（requests）も使う
+     * 429 の場合は Retry-After のあいだ他の生成も止めてから送り直す
+     * @param {Object} body - リクエストボディ
+     * @returns {Promise<Object>} - レスポンスの JSON
+     */
+    async postCommentRequest(body) {
+        const API_BASE_URL = '/.netlify/functions';
+        const limiter = rateLimiters.get('gemini', window.AppState?.settings?.rateLimits);
+
+        for (let attempt = 0; ; attempt++) {
+            if (!(await limiter.acquire(() => this.cancelled))) {
+                throw new Error('キャンセルしました');
+            }
+
             const response = await fetch(`${API_BASE_URL}/generate-comment`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    booth_name: post.boothName || '',
-                    role: post.personRole || 'モデル',
-                    category: (post.eventInfo?.category || window.AppState.eventInfo?.category || 'ブース'),
-                    expression_type: expressionType,
-                    focus_point: focusPoint,
-                    context_match: contextMatch,
-                    image_base64: post.imageBase64 || null
-                })
+                body: JSON.stringify(body)
             });
 
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
+            let data = {};
+            try {
+                data = await response.json();
+            } catch (error) {
+                // 本文のないエラー応答
             }
+            limiter.consume((Number(data?.requests) || 1) - 1);
 
-            const data = await response.json();
-            
-            // コメントを更新
-            if (typeof window.updateQueueItem === 'function') {
-                window.updateQueueItem(index, { aiComment: data.comment });
-            } else {
-                post.aiComment = data.comment;
+            if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+                const retryAfter = Number(data?.retry_after_ms);
+                limiter.pause(Number.isFinite(retryAfter) ? retryAfter : DEFAULT_RATE_LIMIT_RETRY_AFTER_MS);
+                console.warn(`[BatchProcessor] Comment API rate limited, retrying (${attempt + 1}/${MAX_RATE_LIMIT_RETRIES})`);
+                continue;
             }
-
-        } catch (error) {
-            console.error('[BatchProcessor] API call failed, using rule-based fallback:', error);
-            
-            // フォールバック: ルールベースでコメント生成
-            const comment = this.generateRuleBasedComment({
-                expressionType,
-                focusPoint,
-                contextMatch,
-                role: post.personRole || 'モデル'
-            });
-
-            if (typeof window.updateQueueItem === 'function') {
-                window.updateQueueItem(index, { aiComment: comment });
-            } else {
-                post.aiComment = comment;
+            if (!response.ok) {
+                throw new Error(`API error: ${response.status}`);
             }
+            return data;
         }
     }
 
@@ -211,78 +405,61 @@ class BatchProcessor {
      * @param {Array<number>} indices - 処理対象のインデックス配列
      * @param {Function} onProgress - 進捗コールバック
      * @param {Object} options - オプション
+     * @param {Object} [options.retryPolicy] - 再試行ポリシー（省略時は設定値）
+     * @param {number} [options.concurrency] - 同時実行数（省略時は設定値）
      * @returns {Promise<BatchResult>}
      */
     async sendPosts(indices, onProgress, options = {}) {
         this.cancelled = false;
         this.currentOperation = 'sendPosts';
 
-        const result = {
-            success: 0,
-            failed: 0,
-            errors: []
-        };
+        const settings = window.AppState?.settings || {};
+        const queue = window.AppState?.postQueue || [];
 
-        const total = indices.length;
+        // スレッドの親が子より先に送信されるように並べ替え
+        indices = orderForThreads(queue, indices);
 
-        // Webhook URLを取得
-        const webhookUrl = window.AppState?.settings?.makeWebhookUrl;
-        if (!webhookUrl) {
-            throw new Error('Make.com Webhook URLが設定されていません');
+        // 送信先パブリッシャーを取得
+        const publisher = createPublisher(settings);
+        if (!publisher.isConfigured()) {
+            this.currentOperation = null;
+            throw new Error(publisher.notConfiguredMessage);
         }
 
-        for (let i = 0; i < indices.length; i++) {
-            // キャンセルチェック
-            if (this.cancelled) {
-                console.log('[BatchProcessor] Batch send cancelled');
-                break;
-            }
-
-            const index = indices[i];
-            const progress = {
-                total,
-                completed: i,
-                failed: result.failed,
-                current: index
-            };
+        // 再試行ポリシー
+        const retryPolicy = normalizeRetryPolicy(options.retryPolicy || settings.retry);
 
-            // 進捗を通知
-            if (onProgress) {
-                onProgress(progress);
-            }
-
-            try {
-                // 送信を実行
-                await this.sendSinglePost(index, webhookUrl);
-                result.success++;
-            } catch (error) {
-                console.error(`[BatchProcessor] Failed to send post at index ${index}:`, error);
-                result.failed++;
-                result.errors.push({
-                    index,
-                    error: error.message || '送信に失敗しました'
-                });
-                // エラーが発生しても継続
-            }
-
-            // レート制限のため少し待機
-            if (i < indices.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
+        // 送信を始める前の投稿（順番が来るまでに並べ替え・削除されても同じ投稿を送る）
+        const targets = new Map(indices.map(index => [index, queue[index]]));
 
-            // 最終進捗を通知
-            if (i === indices.length - 1) {
-                const finalProgress = {
-                    total,
-                    completed: i + 1,
-                    failed: result.failed,
-                    current: -1
-                };
-                if (onProgress) {
-                    onProgress(finalProgress);
+        // 並列送信時も返信は親の送信完了を待つ
+        const inFlight = new Map();
+        const sendWithParent = (index) => {
+            const post = targets.get(index);
+            const parentSend = post?.threadParentId ? inFlight.get(post.threadParentId) : null;
+            const send = (async () => {
+                if (parentSend) {
+                    await parentSend.catch(() => {});
                 }
+                const currentIndex = window.AppState.postQueue.indexOf(post);
+                if (currentIndex < 0) {
+                    throw new Error('投稿がキューから削除されました');
+                }
+                await this.sendSinglePost(currentIndex, publisher, retryPolicy);
+            })();
+            if (post) {
+                inFlight.set(post.id, send);
             }
-        }
+            return send;
+        };
+
+        const result = await this.runPool(indices, sendWithParent, {
+            concurrency: options.concurrency ?? settings.batchConcurrency,
+            limiter: rateLimiters.get(publisher.id, settings.rateLimits),
+            onProgress,
+            fallbackError: '送信に失敗しました',
+            label: 'Batch send'
+        });
 
         this.currentOperation = null;
         return result;
@@ -291,10 +468,11 @@ class BatchProcessor {
     /**
      * 単一の投稿を送信
      * @param {number} index - 投稿インデックス
-     * @param {string} webhookUrl - Webhook URL
+     * @param {Object} publisher - 送信先パブリッシャー（publishers.js）
+     * @param {Object} [retryPolicy] - 再試行ポリシー（retry-policy.js）
      * @returns {Promise<void>}
      */
-    async sendSinglePost(index, webhookUrl) {
+    async sendSinglePost(index, publisher, retryPolicy = normalizeRetryPolicy()) {
         if (!window.AppState || !window.AppState.postQueue) {
             throw new Error('AppState not available');
         }
@@ -304,76 +482,89 @@ class BatchProcessor {
             throw new Error(`Post at index ${index} not found`);
         }
 
-        // 既に送信済みの場合はスキップ
-        if (post.status === 'sent') {
-            console.log(`[BatchProcessor] Skipping index ${index} - already sent`);
+        // 既に送信済み・送信中（予約のディスパッチや手動の送信）の場合はスキップ
+        if (post.status === 'sent' || post.status === 'sending') {
+            console.log(`[BatchProcessor] Skipping index ${index} - already ${post.status}`);
             return;
         }
 
-        // ステータスを送信中に更新
-        if (typeof window.updateQueueItem === 'function') {
-            window.updateQueueItem(index, { status: 'sending' });
+        // 最初の await より前に送信中にする（確認の待機中に予約のディスパッチが同じ投稿を送らないように）
+        // リロード後も送り直さないように保存する
+        const previousStatus = post.status;
+        updateQueuedPost(post, { status: 'sending' });
+        stateManager.save();
+
+        try {
+            await this.publishPost(post, publisher, retryPolicy);
+        } finally {
+            // 送信前の確認で中止した場合は元の状態に戻す
+            if (post.status === 'sending' && updateQueuedPost(post, { status: previousStatus })) {
+                stateManager.save();
+            }
         }
+    }
 
-        // 投稿テンプレートを生成
-        const templates = this.generatePostTemplatesForItem(post);
-        const sourceEvent = post.eventInfo || window.AppState?.eventInfo || {};
-        const event = {
-            eventEn: sourceEvent.eventEn || '',
-            eventJp: sourceEvent.eventJp || '',
-            date: sourceEvent.date || '',
-            venue: sourceEvent.venue || '',
-            category: sourceEvent.category || 'ブース',
-            hashtags: sourceEvent.hashtags || ''
-        };
+    /**
+     * 送信前の確認を行い、送信中にした投稿を送信先に送る（sendSinglePost から呼ぶ）
+     * 待機中に投稿の位置が変わることがあるため、更新は投稿から位置を探し直して行う
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {Object} publisher - 送信先パブリッシャー（publishers.js）
+     * @param {Object} retryPolicy - 再試行ポリシー（retry-policy.js）
+     * @returns {Promise<void>}
+     */
+    async publishPost(post, publisher, retryPolicy) {
+        // スレッドの返信先（未送信ならエラー）
+        const parent = resolveThreadParentForSend(window.AppState.postQueue, post);
+
+        // 投稿テンプレートを生成（送信先の文字数の上限を超える投稿文は設定に従って調整）
+        const templates = fitPostTemplates(
+            this.generatePostTemplatesForItem(post),
+            post,
+            normalizeOverflowStrategy(window.AppState.settings?.overflowStrategy),
+            getTextLimit(publisher)
+        );
+        const overLength = templates.overflow.find(entry => !entry.fitted);
+        if (overLength) {
+            throw new Error(`文字数が上限を超えています: ${describeOverflow(overLength)}`);
+        }
 
-        const payload = {
-            timestamp: new Date().toISOString(),
-            event: event,
-            photo: {
-                base64: post.imageBase64
-            },
-            person: {
-                name: post.personName,
-                role: post.personRole,
-                account: post.personAccount
-            },
-            booth: {
-                name: post.boothName,
-                account: post.boothAccount
-            },
-            posts: {
-                x1: templates.x1,
-                x2: templates.x2,
-                instagram: templates.ig
-            }
-        };
+        // NGワード・個人情報の block のルールに一致する投稿は送信しない（warn は送信前の確認ダイアログで表示）
+        ensureContentAllowed(post, templates);
 
-        try {
-            const response = await fetch(webhookUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+        // メンションの警告は編集画面で確認済みにするまで送信しない
+        await ensureMentionsAcknowledged(post, { lookup: createMentionLookup(window.AppState.settings || {}) });
 
-            if (!response.ok) {
-                throw new Error(`Webhook request failed: ${response.status}`);
-            }
+        // 掲載NG、または確認を省いていない要確認の人物を含む投稿は送信しない
+        ensurePostConsent(post);
 
-            // ステータスを送信済みに更新
-            if (typeof window.updateQueueItem === 'function') {
-                window.updateQueueItem(index, { status: 'sent' });
-            } else {
-                post.status = 'sent';
-            }
+        // hashtags は投稿に付けるハッシュタグ（hashtag-recommender.js）
+        const event = resolvePublishEvent(post, this.getTemplateOptions());
+
+        try {
+            // IndexedDB に退避済みの画像を読み込んだコピーを送信する
+            const sendable = await imageStore.hydratePostImages(post);
+
+            // 5xx・ネットワークエラーのみ、投稿を作成する前のリクエストをバックオフしながら再試行
+            const retry = createRequestRetry({ policy: retryPolicy, shouldContinue: () => !this.cancelled });
+            const published = await publisher.publish(sendable, { event, templates, parent, retry });
+            deadLetterQueue.remove(post.id);
+
+            // ステータスを送信済みに更新（投稿先のID/URLも保存）
+            const updates = {
+                status: 'sent',
+                publishedPlatform: published.platform,
+                publishedId: published.postId,
+                publishedUrl: published.url,
+                publishedVisibility: published.visibility || null,
+                pendingReplies: null
+            };
+            updateQueuedPost(post, updates);
+            recordSentPost({ ...post, ...updates }, event);
 
         } catch (error) {
-            // ステータスを失敗に更新
-            if (typeof window.updateQueueItem === 'function') {
-                window.updateQueueItem(index, { status: 'failed' });
-            } else {
-                post.status = 'failed';
-            }
+            // ステータスを失敗に更新（続きだけ失敗した場合は再送信で残りの続きだけを投稿する）
+            updateQueuedPost(post, { status: 'failed', ...(error.partial ? { pendingReplies: error.partial } : {}) });
+            deadLetterQueue.add(post, error);
             throw error;
         }
     }
@@ -384,54 +575,18 @@ class BatchProcessor {
      * @returns {Object} - テンプレート
      */
     generatePostTemplatesForItem(post) {
-        const sourceEvent = post.eventInfo || window.AppState?.eventInfo || {};
-        const event = {
-            eventEn: sourceEvent.eventEn || '',
-            eventJp: sourceEvent.eventJp || '',
-            date: sourceEvent.date || '',
-            venue: sourceEvent.venue || '',
-            category: sourceEvent.category || 'ブース',
-            hashtags: sourceEvent.hashtags || ''
-        };
-        const hashtags = event.hashtags || '';
-        const hashtagsArray = hashtags.split(' ').filter(h => h.startsWith('#'));
-        const mainHashtag = hashtagsArray[0] || '';
-
-        const x1 = `📸 ${event.eventEn} – ${event.eventJp}
-${event.date}｜${event.venue}
-
-◼︎ ${event.category}
-${post.boothName}${post.boothAccount ? `（${post.boothAccount}）` : ''}
-
-◼︎ ${post.personRole}
-${post.personName ? `${post.personName} さん` : '※お名前調査中'}
-${post.personAccount}
-
-${post.aiComment}
-
-${hashtags}`.trim();
-
-        const x2 = `📸 ${event.eventEn}
-${event.date}｜${event.venue}
-
-${post.boothName}
-${post.personName ? `${post.personName} さん` : ''} ${post.personAccount}
-
-${post.aiComment}
-
-${mainHashtag}`.trim();
-
-        const igHashtags = hashtags + ' #portrait #ポートレート #eventphoto';
-        const ig = `📸 ${event.eventEn} – ${event.eventJp}
-
-${post.boothName}
-${post.personName ? `${post.personName} さん` : ''}
-
-${post.aiComment}
-
-${igHashtags}`.trim();
+        return buildPostTemplates(post, this.getTemplateOptions());
+    }
 
-        return { x1, x2, ig };
+    /**
+     * 投稿文の描画に使う全体のイベントとハッシュタグの上限（post-templates.js）
+     * @returns {{ defaultEvent: Object, budget: number|undefined }}
+     */
+    getTemplateOptions() {
+        return {
+            defaultEvent: window.AppState?.eventInfo || {},
+            budget: window.AppState?.settings?.hashtagBudget
+        };
     }
 
     /**
@@ -505,7 +660,7 @@ ${igHashtags}`.trim();
 const batchProcessor = new BatchProcessor();
 
 // Export for use in other modules
-export { BatchProcessor, batchProcessor };
+export { BatchProcessor, batchProcessor, normalizeConcurrency, DEFAULT_CONCURRENCY };
 
 // グローバルに公開
 if (typeof window !== 'undefined') {
@@ -31,7 +31,11 @@ describe('Batch Processor Property-Based Tests', () => {
                 hashtags: '#test'
             },
             settings: {
-                makeWebhookUrl: 'https://example.com/webhook'
+                makeWebhookUrl: 'https://example.com/webhook',
+                // 再試行は待機なしで行う
+                retry: { maxRetries: 2, baseDelayMs: 0 },
+                // レート制限なし
+                rateLimits: { gemini: 0, make: 0 }
             }
         };
         
@@ -5,6 +5,12 @@
  */
 
 import { batchProcessor } from './batch-processor.js';
+import { createPublisher, getTextLimit } from './publishers.js';
+import { deadLetterQueue } from './dead-letter-queue.js';
+import { formatQueueNumber } from './queue-number.js';
+import { OVERFLOW_STRATEGIES, fitPostTemplates, describeOverflow, normalizeOverflowStrategy } from './x-text-counter.js';
+import { checkPostConsent, isConsentOverridden, overridePostConsent } from './consent-guard.js';
+import { scanPost, getFilterSeverity, describeFindings, acknowledgeFindings } from './content-filter.js';
 
 /**
  * バッチコメント生成モーダルを開く
@@ -37,7 +43,7 @@ export function openBatchGenerateModal() {
             updateBatchProgress(progress);
         },
         {
-            expressionType: '笑顔',
+            // 表情は投稿ごとの画像解析の結果（なければ笑顔）
             focusPoint: '表情',
             contextMatch: 'ブースの雰囲気'
         }
@@ -53,14 +59,176 @@ export function openBatchGenerateModal() {
     });
 }
 
+/**
+ * 送信する投稿文（送信先の文字数の上限を超えるものは設定に従って調整）
+ * @param {number} index
+ * @returns {Object}
+ */
+function getSendTemplates(index) {
+    const post = window.AppState.postQueue[index];
+    const strategy = normalizeOverflowStrategy(window.AppState.settings?.overflowStrategy);
+    const limit = getTextLimit(createPublisher(window.AppState.settings || {}));
+    return fitPostTemplates(batchProcessor.generatePostTemplatesForItem(post), post, strategy, limit);
+}
+
+/**
+ * 送信先の文字数の上限を超える投稿文の一覧（送信時にどう調整するか）
+ * @param {Array<number>} indices
+ * @returns {Array<string>}
+ */
+function getOverLengthLines(indices) {
+    return indices.flatMap(index => getSendTemplates(index).overflow
+        .map(entry => `${formatQueueNumber(index)} ${describeOverflow(entry)}`));
+}
+
+/**
+ * NGワード・個人情報のフィルタに一致する投稿（content-filter.js）
+ * @param {Array<number>} indices
+ * @returns {{blocked: Array<string>, warned: Array<string>, blockedIndices: Set<number>, warnings: Map<number, Array<Object>>}}
+ *   - 投稿ごとの一覧の行と、warn の検査結果（確認したら post.contentAcknowledged に記録する）
+ */
+function getContentFilterChecks(indices) {
+    const result = { blocked: [], warned: [], blockedIndices: new Set(), warnings: new Map() };
+    indices.forEach(index => {
+        const findings = scanPost(window.AppState.postQueue[index], getSendTemplates(index));
+        const severity = getFilterSeverity(findings);
+        if (!severity) return;
+
+        const line = `${formatQueueNumber(index)} ${describeFindings(findings.filter(finding => finding.severity === severity)).join('、')}`;
+        if (severity === 'block') {
+            result.blocked.push(line);
+            result.blockedIndices.add(index);
+        } else {
+            result.warned.push(line);
+            result.warnings.set(index, findings);
+        }
+    });
+    return result;
+}
+
+/**
+ * 掲載の同意で送信を止める・確認する投稿（consent-guard.js）
+ * @param {Array<number>} indices
+ * @returns {{blocked: Array<Object>, needsApproval: Array<Object>}} - { index, post, check } の配列
+ */
+function getConsentChecks(indices) {
+    const checks = indices.map(index => {
+        const post = window.AppState.postQueue[index];
+        return { index, post, check: checkPostConsent(post) };
+    });
+    return {
+        blocked: checks.filter(({ check }) => check.status === 'never'),
+        needsApproval: checks.filter(({ post, check }) => check.status === 'ask' && !isConsentOverridden(post, check))
+    };
+}
+
+/**
+ * 同意の一覧の行
+ * @param {{index: number, check: Object}} entry
+ * @param {string} status
+ * @returns {string}
+ */
+function getConsentLine({ index, check }, status) {
+    const names = check.persons.filter(person => person.consent.status === status).map(person => person.name);
+    return `${formatQueueNumber(index)} ${names.join('、')}`;
+}
+
+/**
+ * 投稿を更新（window.updateQueueItem がなければ直接書き換える）
+ * @param {number} index
+ * @param {Object} updates
+ */
+function updatePost(index, updates) {
+    if (typeof window.updateQueueItem === 'function') {
+        window.updateQueueItem(index, updates);
+    } else {
+        Object.assign(window.AppState.postQueue[index], updates);
+    }
+}
+
+/**
+ * 送信前の確認（一括送信・失敗した投稿の再送信・予約投稿で共通）
+ * 掲載NGの人物・送信できない表現を含む投稿は除き、要確認の人物を含む投稿は承認の内容を入力したときだけ送る
+ * 確認した warn の表現と承認は投稿に記録する（予約投稿のディスパッチャーは確認ダイアログを出さずにこの記録で判断する）
+ * @param {Array<number>} indices - 送信しようとしている投稿
+ * @param {Object} options
+ * @param {Function} options.getMessage - (送信する件数) => 確認ダイアログの1行目
+ * @param {Array<string>} [options.details] - 1行目に続けて表示する行
+ * @param {string} [options.source] - 監査ログに残す操作（'batch' | 'schedule'）
+ * @returns {Array<number>} - 送信する投稿（中止した場合は空）
+ */
+export function confirmSend(indices, { getMessage, details = [], source = 'batch' }) {
+    // 掲載NGの人物・送信しない表現を含む投稿は送らない
+    const consent = getConsentChecks(indices);
+    const blocked = consent.blocked;
+    const blockedIndices = new Set(blocked.map(({ index }) => index));
+    const filtered = getContentFilterChecks(indices.filter(index => !blockedIndices.has(index)));
+    filtered.blockedIndices.forEach(index => blockedIndices.add(index));
+    const needsApproval = consent.needsApproval.filter(({ index }) => !blockedIndices.has(index));
+    let sendIndices = indices.filter(index => !blockedIndices.has(index));
+    if (sendIndices.length === 0) {
+        if (typeof window.showToast === 'function') {
+            window.showToast('掲載NGの人物または送信できない表現を含むため送信できる投稿がありません', 'error');
+        }
+        return [];
+    }
+
+    // 確認ダイアログ（X の文字数の上限を超える投稿と、送信時の調整を一緒に表示）
+    const overLength = getOverLengthLines(sendIndices);
+    const strategy = normalizeOverflowStrategy(window.AppState.settings?.overflowStrategy);
+    let message = getMessage(sendIndices.length);
+    if (details.length > 0) {
+        message += `\n\n${details.join('\n')}`;
+    }
+    if (overLength.length > 0) {
+        message += `\n\n文字数が上限を超える投稿（${OVERFLOW_STRATEGIES[strategy]}）:\n${overLength.join('\n')}`;
+    }
+    if (blocked.length > 0) {
+        message += `\n\n掲載NGの人物を含むため送信しない投稿:\n${blocked.map(entry => getConsentLine(entry, 'never')).join('\n')}`;
+    }
+    if (filtered.blocked.length > 0) {
+        message += `\n\n送信できない表現を含むため送信しない投稿:\n${filtered.blocked.join('\n')}`;
+    }
+    if (filtered.warned.length > 0) {
+        message += `\n\n確認が必要な表現を含む投稿:\n${filtered.warned.join('\n')}`;
+    }
+    if (needsApproval.length > 0) {
+        message += `\n\n掲載に承認が必要な人物を含む投稿:\n${needsApproval.map(entry => getConsentLine(entry, 'ask')).join('\n')}`;
+    }
+    const confirmed = confirm(message);
+    if (!confirmed) return [];
+
+    // 要確認の人物を含む投稿は承認の内容を入力したときだけ送る（監査ログに残す）
+    if (needsApproval.length > 0) {
+        const reason = prompt(`掲載に承認が必要な人物を含む投稿が${needsApproval.length}件あります。\n承認を得ている場合は、承認の内容（誰から・いつ）を入力してください。\n空欄の場合はこれらの投稿を除きます`);
+        if (reason && reason.trim()) {
+            needsApproval.forEach(({ index, post, check }) => {
+                updatePost(index, { consentOverride: overridePostConsent(post, check, { reason, source }) });
+            });
+        } else {
+            const skipped = new Set(needsApproval.map(({ index }) => index));
+            sendIndices = sendIndices.filter(index => !skipped.has(index));
+        }
+    }
+
+    // 全ての確認を終えて送る投稿だけ、確認が必要な表現を確認済みとして記録する
+    sendIndices.forEach(index => {
+        const findings = filtered.warnings.get(index);
+        if (findings) {
+            updatePost(index, { contentAcknowledged: acknowledgeFindings(window.AppState.postQueue[index], findings) });
+        }
+    });
+    return sendIndices;
+}
+
 /**
  * バッチ送信モーダルを開く
  */
 export function openBatchSendModal() {
-    // 未送信の投稿を取得
+    // 未送信の投稿を取得（予約済みはディスパッチャーが送信するため除外）
     const unsentIndices = window.AppState.postQueue
         .map((post, index) => ({ post, index }))
-        .filter(({ post }) => post.status !== 'sent')
+        .filter(({ post }) => post.status !== 'sent' && post.status !== 'scheduled')
         .map(({ index }) => index);
 
     if (unsentIndices.length === 0) {
@@ -70,16 +238,15 @@ export function openBatchSendModal() {
         return;
     }
 
-    // 確認ダイアログ
-    const confirmed = confirm(`${unsentIndices.length}件の投稿を送信しますか？`);
-    if (!confirmed) return;
+    const sendIndices = confirmSend(unsentIndices, { getMessage: count => `${count}件の投稿を送信しますか？` });
+    if (sendIndices.length === 0) return;
 
     // モーダルを表示
-    showBatchProgressModal('一括送信中...', unsentIndices.length);
+    showBatchProgressModal('一括送信中...', sendIndices.length);
 
     // バッチ処理を開始
     batchProcessor.sendPosts(
-        unsentIndices,
+        sendIndices,
         (progress) => {
             updateBatchProgress(progress);
         }
@@ -95,6 +262,204 @@ export function openBatchSendModal() {
     });
 }
 
+/**
+ * HTMLエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * 送信失敗の記録のステータス（HTTP ステータスまたはネットワークエラー）
+ * @param {import('./dead-letter-queue.js').DeadLetter} letter
+ * @returns {string}
+ */
+function formatDeadLetterStatus(letter) {
+    return letter.status ? `HTTP ${letter.status}` : 'ネットワークエラー';
+}
+
+/**
+ * 再送信の確認ダイアログに添える最後のエラー内容（ステータス・試行回数・レスポンスの先頭）
+ * @param {import('./dead-letter-queue.js').DeadLetter} letter
+ * @param {number} index
+ * @returns {string}
+ */
+function describeDeadLetter(letter, index) {
+    const line = `・${letter.label || `投稿 ${index + 1}`}: ${formatDeadLetterStatus(letter)}（${letter.attempts}回試行）`;
+    const body = letter.body.replace(/\s+/g, ' ').trim();
+    if (!body) return line;
+    return `${line}\n  ${body.length > 120 ? `${body.slice(0, 120)}…` : body}`;
+}
+
+/**
+ * 投稿を送信し、進捗モーダルに結果を表示（失敗した投稿の再送信で共通）
+ * @param {Array<number>} indices
+ * @param {Object} labels
+ * @param {string} labels.title - 送信中のタイトル
+ * @param {string} labels.doneTitle - 完了時のタイトル
+ * @param {string} labels.errorMessage - 例外時のトースト
+ */
+function sendWithProgress(indices, { title, doneTitle, errorMessage }) {
+    showBatchProgressModal(title, indices.length);
+
+    batchProcessor.sendPosts(
+        indices,
+        (progress) => {
+            updateBatchProgress(progress);
+        }
+    ).then((result) => {
+        showBatchResult(doneTitle, result);
+        renderDeadLetterList();
+    }).catch((error) => {
+        console.error('[BatchUI] Retry failed error:', error);
+        if (typeof window.showToast === 'function') {
+            window.showToast(error.message || errorMessage, 'error');
+        }
+        closeBatchProgressModal();
+    });
+}
+
+/**
+ * 失敗した投稿をまとめて再送信
+ */
+export function retryAllFailed() {
+    const failedIndices = window.AppState.postQueue
+        .map((post, index) => ({ post, index }))
+        .filter(({ post }) => post.status === 'failed')
+        .map(({ index }) => index);
+
+    if (failedIndices.length === 0) {
+        if (typeof window.showToast === 'function') {
+            window.showToast('失敗した投稿はありません', 'info');
+        }
+        return;
+    }
+
+    // 確認ダイアログ（最後のエラー内容を添える）
+    const details = failedIndices
+        .map(index => {
+            const post = window.AppState.postQueue[index];
+            const letter = deadLetterQueue.get(post.id);
+            return letter ? describeDeadLetter(letter, index) : null;
+        })
+        .filter(Boolean);
+    // 一括送信と同じ確認（掲載の同意・NGワードと個人情報）をしてから再送信する
+    const sendIndices = confirmSend(failedIndices, {
+        getMessage: count => `${count}件の失敗した投稿を再送信しますか？`,
+        details
+    });
+    if (sendIndices.length === 0) return;
+
+    sendWithProgress(sendIndices, {
+        title: '再送信中...',
+        doneTitle: '再送信完了',
+        errorMessage: '再送信中にエラーが発生しました'
+    });
+}
+
+/**
+ * 送信失敗の記録の一覧を描画（ステータス・レスポンス・試行回数と、1件ごとの再送信・破棄）
+ */
+function renderDeadLetterList() {
+    const tbody = document.getElementById('dead-letter-list');
+    if (!tbody) return;
+
+    const queue = window.AppState?.postQueue || [];
+    const letters = deadLetterQueue.getAll();
+    const empty = document.getElementById('dead-letter-empty');
+    if (empty) empty.style.display = letters.length === 0 ? '' : 'none';
+
+    tbody.innerHTML = letters.map(letter => {
+        const index = queue.findIndex(post => post.id === letter.postId);
+        const post = queue[index];
+        const canRetry = !!post && post.status !== 'sent' && post.status !== 'sending';
+        return `
+        <tr data-post-id="${escapeHtml(letter.postId)}">
+            <td>${index >= 0 ? formatQueueNumber(index) : '（キューにありません）'} ${escapeHtml(letter.label)}<br>
+                <small>${escapeHtml(letter.platform)} ${new Date(letter.failedAt).toLocaleString('ja-JP')}</small></td>
+            <td>${formatDeadLetterStatus(letter)}<br><small>${escapeHtml(letter.error)}</small></td>
+            <td>${letter.body ? `<pre>${escapeHtml(letter.body)}</pre>` : ''}</td>
+            <td>${letter.attempts}</td>
+            <td>
+                <button class="btn btn-ghost btn-small" data-action="retry" type="button" ${canRetry ? '' : 'disabled'}>🔁 再送</button>
+                <button class="btn btn-ghost btn-small" data-action="discard" type="button">🗑️ 破棄</button>
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+/**
+ * 送信失敗の記録の1件を再送信（一括送信と同じ確認をしてから送る）
+ * @param {string} postId
+ */
+function retryDeadLetter(postId) {
+    const index = window.AppState.postQueue.findIndex(post => post.id === postId);
+    const letter = deadLetterQueue.get(postId);
+    if (index < 0 || !letter) return;
+
+    const sendIndices = confirmSend([index], {
+        getMessage: () => `${formatQueueNumber(index)} の投稿を再送信しますか？`,
+        details: [describeDeadLetter(letter, index)]
+    });
+    if (sendIndices.length === 0) return;
+
+    closeDeadLetterModal();
+    sendWithProgress(sendIndices, {
+        title: '再送信中...',
+        doneTitle: '再送信完了',
+        errorMessage: '再送信中にエラーが発生しました'
+    });
+}
+
+/**
+ * 一覧のボタン操作
+ * @param {Event} e
+ */
+function handleDeadLetterClick(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = button?.closest('tr[data-post-id]');
+    if (!row) return;
+
+    if (button.dataset.action === 'retry') {
+        retryDeadLetter(row.dataset.postId);
+    } else if (button.dataset.action === 'discard') {
+        deadLetterQueue.remove(row.dataset.postId);
+        renderDeadLetterList();
+    }
+}
+
+/**
+ * 送信失敗の記録を全て破棄
+ */
+function clearDeadLetters() {
+    if (deadLetterQueue.getAll().length === 0) return;
+    if (!confirm('送信失敗の記録を全て破棄しますか？\n（キューの投稿は削除されません）')) return;
+    deadLetterQueue.clear();
+    renderDeadLetterList();
+}
+
+/**
+ * 送信失敗の記録モーダルを開く
+ */
+export function openDeadLetterModal() {
+    const modal = document.getElementById('dead-letter-modal');
+    if (!modal) return;
+
+    renderDeadLetterList();
+    modal.classList.add('active');
+}
+
+/**
+ * 送信失敗の記録モーダルを閉じる
+ */
+function closeDeadLetterModal() {
+    document.getElementById('dead-letter-modal')?.classList.remove('active');
+}
+
 /**
  * 一括ブース適用ダイアログを開く
  */
@@ -203,8 +568,7 @@ function updateBatchProgress(progress) {
 
     if (currentItem) {
         if (progress.current >= 0) {
-            const QUEUE_NUMBER_EMOJIS = ['①', '②', '③', '④', '⑤', '⑥', '⑦', '⑧', '⑨', '⑩'];
-            currentItem.textContent = `処理中: ${QUEUE_NUMBER_EMOJIS[progress.current] || progress.current + 1}`;
+            currentItem.textContent = `処理中: ${formatQueueNumber(progress.current)}`;
         } else {
             currentItem.textContent = '';
         }
@@ -233,9 +597,10 @@ function showBatchResult(title, result) {
         if (errorList) {
             errorList.innerHTML = result.errors
                 .map(err => {
-                    const QUEUE_NUMBER_EMOJIS = ['①', '②', '③', '④', '⑤', '⑥', '⑦', '⑧', '⑨', '⑩'];
-                    const label = QUEUE_NUMBER_EMOJIS[err.index] || `投稿 ${err.index + 1}`;
-                    return `<li>${label}: ${err.error}</li>`;
+                    const label = formatQueueNumber(err.index);
+                    const status = err.status ? ` (HTTP ${err.status})` : '';
+                    // エラーにはフィルタに一致した表現・メンション・サーバーの応答が含まれるためエスケープする
+                    return `<li>${label}: ${escapeHtml(err.error)}${status}</li>`;
                 })
                 .join('');
         }
@@ -279,6 +644,19 @@ export function initBatchUI() {
         });
     }
 
+    // 失敗を再送ボタン
+    const retryFailedBtn = document.getElementById('retry-failed-btn');
+    if (retryFailedBtn) {
+        retryFailedBtn.addEventListener('click', retryAllFailed);
+    }
+
+    // 送信失敗の記録
+    document.getElementById('dead-letter-btn')?.addEventListener('click', openDeadLetterModal);
+    document.getElementById('close-dead-letter')?.addEventListener('click', closeDeadLetterModal);
+    document.getElementById('close-dead-letter-btn')?.addEventListener('click', closeDeadLetterModal);
+    document.getElementById('dead-letter-clear-btn')?.addEventListener('click', clearDeadLetters);
+    document.getElementById('dead-letter-list')?.addEventListener('click', handleDeadLetterClick);
+
     // 閉じるボタン
     const closeBtn = document.getElementById('batch-close-btn');
     if (closeBtn) {
@@ -302,5 +680,7 @@ export function initBatchUI() {
 if (typeof window !== 'undefined') {
     window.openBatchGenerateModal = openBatchGenerateModal;
     window.openBatchSendModal = openBatchSendModal;
+    window.retryAllFailed = retryAllFailed;
+    window.openDeadLetterModal = openDeadLetterModal;
     window.openBulkApplyBoothDialog = openBulkApplyBoothDialog;
 }
@@ -0,0 +1,332 @@
+/**
+ * Bluesky Publisher
+ * AT Protocol の PDS に直接投稿するパブリッシャー
+ *
+ * 1. com.atproto.server.createSession でアプリパスワードからセッションを作成
+ * 2. com.atproto.repo.uploadBlob で写真（最大4枚）をアップロード
+ * 3. 本文のメンション・ハッシュタグから facets を組み立て（メンションは DID に解決）
+ * 4. com.atproto.repo.createRecord で app.bsky.feed.post を作成（スレッドの場合は親投稿への返信）
+ * 再試行（context.retry）は 1〜3 と返信先の取得に使い、投稿の作成は再試行しない
+ */
+
+import {
+    PublishError,
+    publisherRegistry,
+    dataUrlToBlob,
+    readResponseText,
+    runOnce
+} from './publishers.js';
+import { getPostImages } from './post-composition.js';
+
+const DEFAULT_BLUESKY_SERVICE_URL = 'https://bsky.social';
+
+// 本文の上限（書記素の数）
+const BLUESKY_MAX_GRAPHEMES = 300;
+
+// ハッシュタグの上限（# を除いた文字数）
+const MAX_TAG_LENGTH = 64;
+
+const MENTION_PATTERN = /(^|[\s(（「])@([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)+)/g;
+const HASHTAG_PATTERN = /(^|\s)[#＃]([^\s#＃]+)/gu;
+
+const encoder = new TextEncoder();
+
+/**
+ * UTF-8 のバイト位置（facets の index は UTF-8 のバイト数で数える）
+ * @param {string} text
+ * @param {number} index - 文字列の位置（UTF-16）
+ * @returns {number}
+ */
+function toByteIndex(text, index) {
+    return encoder.encode(text.slice(0, index)).length;
+}
+
+/**
+ * 書記素の数
+ * @param {string} text
+ * @returns {number}
+ */
+function countGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)).length;
+    }
+    return Array.from(text).length;
+}
+
+// bluesky の投稿文だけを投稿し、スレッドの続きは投稿しない
+const BLUESKY_TEXT_LIMIT = Object.freeze({
+    label: 'Bluesky',
+    targets: ['bluesky'],
+    max: BLUESKY_MAX_GRAPHEMES,
+    count: text => countGraphemes(String(text)),
+    replies: false,
+    localized: false
+});
+
+/**
+ * 本文からメンションとハッシュタグを取り出す
+ * @param {string} text
+ * @returns {Array<{ type: 'mention'|'tag', value: string, byteStart: number, byteEnd: number }>}
+ */
+function detectFacets(text) {
+    const found = [];
+
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        const start = match.index + match[1].length;
+        const end = start + 1 + match[2].length;
+        found.push({ type: 'mention', value: match[2].toLowerCase(), byteStart: toByteIndex(text, start), byteEnd: toByteIndex(text, end) });
+    }
+
+    for (const match of text.matchAll(HASHTAG_PATTERN)) {
+        // 末尾の句読点はタグに含めない
+        const tag = match[2].replace(/\p{P}+$/u, '');
+        if (!tag || /^\d+$/.test(tag) || tag.length > MAX_TAG_LENGTH) continue;
+        const start = match.index + match[1].length;
+        const end = start + 1 + tag.length;
+        found.push({ type: 'tag', value: tag, byteStart: toByteIndex(text, start), byteEnd: toByteIndex(text, end) });
+    }
+
+    return found.sort((a, b) => a.byteStart - b.byteStart);
+}
+
+/**
+ * AT URI から rkey を取り出す（at://did/collection/rkey）
+ * @param {string} uri
+ * @returns {string}
+ */
+function getRecordKey(uri) {
+    return String(uri || '').split('/').pop();
+}
+
+class BlueskyPublisher {
+    /**
+     * @param {Object} options
+     * @param {string} options.identifier - ハンドルまたはメールアドレス
+     * @param {string} options.appPassword - アプリパスワード（設定 → プライバシーとセキュリティ → アプリパスワード）
+     * @param {string} [options.serviceUrl] - PDS のURL（テスト時はモックサーバー）
+     * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+     */
+    constructor({ identifier = '', appPassword = '', serviceUrl = DEFAULT_BLUESKY_SERVICE_URL, fetchImpl = null } = {}) {
+        this.id = 'bluesky';
+        this.label = 'Bluesky';
+        this.textLimit = BLUESKY_TEXT_LIMIT;
+        this.identifier = identifier.replace(/^@/, '');
+        this.appPassword = appPassword;
+        this.serviceUrl = (serviceUrl || DEFAULT_BLUESKY_SERVICE_URL).replace(/\/+$/, '');
+        this.fetchImpl = fetchImpl;
+        this.session = null;
+        this.notConfiguredMessage = 'Bluesky のハンドルとアプリパスワードが設定されていません';
+    }
+
+    isConfigured() {
+        return !!this.identifier && !!this.appPassword;
+    }
+
+    /**
+     * XRPC リクエストを送り JSON を返す
+     * @param {string} method - NSID（com.atproto.repo.createRecord など）
+     * @param {Object} init - fetchのオプション
+     * @param {Object} [options]
+     * @param {Object} [options.query] - クエリパラメータ
+     * @param {boolean} [options.auth] - セッションのトークンを付けるか
+     * @returns {Promise<Object>}
+     */
+    async _request(method, init, { query = null, auth = true } = {}) {
+        const fetchFn = this.fetchImpl || globalThis.fetch;
+        const headers = { ...(init.headers || {}) };
+        if (auth) {
+            headers['Authorization'] = `Bearer ${this.session.accessJwt}`;
+        }
+        const search = query ? `?${new URLSearchParams(query)}` : '';
+
+        let response;
+        try {
+            response = await fetchFn(`${this.serviceUrl}/xrpc/${method}${search}`, { ...init, headers });
+        } catch (error) {
+            throw new PublishError(error.message || 'Network error', { platform: this.id, network: true });
+        }
+
+        const body = await readResponseText(response);
+
+        if (!response.ok) {
+            throw new PublishError(`Bluesky request failed: ${response.status} ${method}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+
+        try {
+            return body ? JSON.parse(body) : {};
+        } catch (error) {
+            throw new PublishError(`Bluesky returned invalid JSON: ${method}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+    }
+
+    /**
+     * アプリパスワードでセッションを作成（作成済みならそのまま使う）
+     * @returns {Promise<{ accessJwt: string, did: string, handle: string }>}
+     */
+    async createSession() {
+        if (this.session) return this.session;
+
+        const data = await this._request('com.atproto.server.createSession', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ identifier: this.identifier, password: this.appPassword })
+        }, { auth: false });
+
+        if (!data?.accessJwt || !data?.did) {
+            throw new PublishError('Bluesky did not return a session', { platform: this.id });
+        }
+        this.session = { accessJwt: data.accessJwt, did: data.did, handle: data.handle || this.identifier };
+        return this.session;
+    }
+
+    /**
+     * 画像をアップロードして blob を取得
+     * @param {string} imageDataUrl - data URL 形式の画像
+     * @returns {Promise<Object>} - blob（{ $type: 'blob', ref, mimeType, size }）
+     */
+    async uploadBlob(imageDataUrl) {
+        const blob = dataUrlToBlob(imageDataUrl);
+        const data = await this._request('com.atproto.repo.uploadBlob', {
+            method: 'POST',
+            headers: { 'Content-Type': blob.type },
+            body: blob
+        });
+
+        if (!data?.blob) {
+            throw new PublishError('Bluesky did not return a blob', { platform: this.id });
+        }
+        return data.blob;
+    }
+
+    /**
+     * ハンドルを DID に解決（解決できない場合は null）
+     * @param {string} handle - @なしのハンドル
+     * @returns {Promise<string|null>}
+     */
+    async resolveHandle(handle) {
+        try {
+            const data = await this._request('com.atproto.identity.resolveHandle', { method: 'GET' }, { query: { handle } });
+            return data?.did || null;
+        } catch (error) {
+            if (error.network || error.status >= 500) throw error;
+            return null;
+        }
+    }
+
+    /**
+     * 本文の facets を組み立てる（DID に解決できないメンションはリンクにしない）
+     * @param {string} text
+     * @returns {Promise<Array<Object>>}
+     */
+    async buildFacets(text) {
+        const facets = [];
+        for (const facet of detectFacets(text)) {
+            const index = { byteStart: facet.byteStart, byteEnd: facet.byteEnd };
+            if (facet.type === 'tag') {
+                facets.push({ index, features: [{ $type: 'app.bsky.richtext.facet#tag', tag: facet.value }] });
+                continue;
+            }
+            const did = await this.resolveHandle(facet.value);
+            if (did) {
+                facets.push({ index, features: [{ $type: 'app.bsky.richtext.facet#mention', did }] });
+            }
+        }
+        return facets;
+    }
+
+    /**
+     * 返信先の参照（root と parent の uri / cid）
+     * @param {string} parentUri - 親投稿の AT URI
+     * @returns {Promise<{ root: Object, parent: Object }>}
+     */
+    async getReplyRef(parentUri) {
+        const [, , repo, collection, rkey] = parentUri.split('/');
+        const data = await this._request('com.atproto.repo.getRecord', { method: 'GET' }, { query: { repo, collection, rkey } });
+        if (!data?.uri || !data?.cid) {
+            throw new PublishError('Bluesky did not return the parent post', { platform: this.id });
+        }
+        const parent = { uri: data.uri, cid: data.cid };
+        return { root: data.value?.reply?.root || parent, parent };
+    }
+
+    /**
+     * 投稿を送信
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {import('./publishers.js').PublishContext} context
+     * @returns {Promise<import('./publishers.js').PublishResult>}
+     */
+    async publish(post, { templates, parent = null, retry = runOnce }) {
+        if (!this.isConfigured()) {
+            throw new PublishError(this.notConfiguredMessage, { platform: this.id });
+        }
+
+        // Bluesky 用のアカウントで描画した本文（generatePostTemplatesForItem）
+        const text = templates.bluesky ?? templates.x1;
+        if (countGraphemes(text) > BLUESKY_MAX_GRAPHEMES) {
+            throw new PublishError(`Bluesky の投稿は${BLUESKY_MAX_GRAPHEMES}文字までです`, { platform: this.id });
+        }
+        if (parent && (parent.publishedPlatform !== this.id || !parent.publishedId)) {
+            throw new PublishError('返信先の投稿がBlueskyに投稿されていないためスレッドにできません', { platform: this.id });
+        }
+
+        const session = await retry(() => this.createSession());
+
+        const images = [];
+        for (const image of getPostImages(post)) {
+            images.push({ image: await retry(() => this.uploadBlob(image.base64)), alt: image.alt || '' });
+        }
+
+        const record = {
+            $type: 'app.bsky.feed.post',
+            text,
+            createdAt: new Date().toISOString(),
+            langs: ['ja']
+        };
+        const facets = await retry(() => this.buildFacets(text));
+        if (facets.length > 0) {
+            record.facets = facets;
+        }
+        if (images.length > 0) {
+            record.embed = { $type: 'app.bsky.embed.images', images };
+        }
+        if (parent) {
+            record.reply = await retry(() => this.getReplyRef(parent.publishedId));
+        }
+
+        const data = await this._request('com.atproto.repo.createRecord', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ repo: session.did, collection: 'app.bsky.feed.post', record })
+        });
+
+        if (!data?.uri) {
+            throw new PublishError('Bluesky did not return a post uri', { platform: this.id });
+        }
+
+        return {
+            platform: this.id,
+            postId: data.uri,
+            url: `https://bsky.app/profile/${session.handle}/post/${getRecordKey(data.uri)}`
+        };
+    }
+}
+
+publisherRegistry.register('bluesky', {
+    label: 'Bluesky',
+    create: (settings) => new BlueskyPublisher({
+        identifier: settings.blueskyIdentifier || '',
+        appPassword: settings.blueskyAppPassword || '',
+        serviceUrl: settings.blueskyServiceUrl || DEFAULT_BLUESKY_SERVICE_URL
+    })
+});
+
+// Export for use in other modules
+export { BlueskyPublisher, DEFAULT_BLUESKY_SERVICE_URL, BLUESKY_MAX_GRAPHEMES, detectFacets };
@@ -0,0 +1,166 @@
+// @vitest-environment node
+/**
+ * Tests for Bluesky Publisher
+ * ローカルのモックPDSに対して送信フローを検証
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { BlueskyPublisher, detectFacets } from './bluesky-publisher.js';
+import { PublishError, createPublisher } from './publishers.js';
+import { renderPostTemplates } from './post-layout.js';
+import { startMockBlueskyServer } from '../test/mock-bluesky-server.js';
+
+const samplePost = {
+    imageBase64: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==',
+    boothName: 'SEGA',
+    boothAccount: '@sega',
+    personRole: 'モデル',
+    personName: '世森 響',
+    personAccount: '@hibiki',
+    personAccounts: { x: 'hibiki', instagram: 'ig_hibiki', tiktok: '', bluesky: 'hibiki.bsky.social' },
+    aiComment: '笑顔が素敵でした✨'
+};
+
+const event = {
+    eventEn: 'Tokyo Game Show 2025',
+    eventJp: '東京ゲームショウ2025',
+    date: '2025.09.25',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#TGS2025 #東京ゲームショウ'
+};
+
+const sampleContext = {
+    event,
+    templates: {
+        x1: 'X の本文',
+        bluesky: '📸 東京ゲームショウ\n世森 響 さん @hibiki.bsky.social\n\n#TGS2025 #東京ゲームショウ'
+    }
+};
+
+/**
+ * UTF-8 のバイト位置で本文を切り出す
+ * @param {string} text
+ * @param {{ byteStart: number, byteEnd: number }} index
+ * @returns {string}
+ */
+function sliceBytes(text, { byteStart, byteEnd }) {
+    return new TextDecoder().decode(new TextEncoder().encode(text).slice(byteStart, byteEnd));
+}
+
+describe('BlueskyPublisher', () => {
+    let server;
+    const credentials = { identifier: '@photographer.bsky.social', appPassword: 'app-pass-word-1234' };
+
+    beforeEach(async () => {
+        server = await startMockBlueskyServer({ handles: { 'hibiki.bsky.social': 'did:plc:hibiki' } });
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('should upload the image with alt text and create a post with facets', async () => {
+        const publisher = new BlueskyPublisher({ ...credentials, serviceUrl: server.baseUrl });
+        const post = { ...samplePost, images: [{ base64: samplePost.imageBase64, alt: 'ブースの全景' }] };
+
+        const result = await publisher.publish(post, sampleContext);
+
+        expect(server.blobs).toHaveLength(1);
+        expect(server.blobs[0].mimeType).toBe('image/jpeg');
+        const [{ record }] = server.posts;
+        expect(record.text).toBe(sampleContext.templates.bluesky);
+        expect(record.embed).toEqual({
+            $type: 'app.bsky.embed.images',
+            images: [{ image: server.blobs[0], alt: 'ブースの全景' }]
+        });
+        expect(record.facets.map(facet => [sliceBytes(record.text, facet.index), facet.features[0]])).toEqual([
+            ['@hibiki.bsky.social', { $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:hibiki' }],
+            ['#TGS2025', { $type: 'app.bsky.richtext.facet#tag', tag: 'TGS2025' }],
+            ['#東京ゲームショウ', { $type: 'app.bsky.richtext.facet#tag', tag: '東京ゲームショウ' }]
+        ]);
+        expect(result).toEqual({
+            platform: 'bluesky',
+            postId: server.posts[0].uri,
+            url: `https://bsky.app/profile/photographer.bsky.social/post/${server.posts[0].uri.split('/').pop()}`
+        });
+    });
+
+    it('should leave mentions that do not resolve as plain text', async () => {
+        const publisher = new BlueskyPublisher({ ...credentials, serviceUrl: server.baseUrl });
+        const templates = { bluesky: '@unknown.bsky.social さん（@hibiki は X のアカウント）#1 #タグ。' };
+
+        await publisher.publish({}, { event, templates });
+
+        const { record } = server.posts[0];
+        expect(record.embed).toBeUndefined();
+        expect(record.facets).toEqual([
+            { index: expect.any(Object), features: [{ $type: 'app.bsky.richtext.facet#tag', tag: 'タグ' }] }
+        ]);
+        expect(sliceBytes(record.text, record.facets[0].index)).toBe('#タグ');
+    });
+
+    it('should reply to the parent post and keep the root of the thread', async () => {
+        const publisher = new BlueskyPublisher({ ...credentials, serviceUrl: server.baseUrl });
+
+        const root = await publisher.publish(samplePost, sampleContext);
+        const first = await publisher.publish(samplePost, { ...sampleContext, parent: { publishedPlatform: 'bluesky', publishedId: root.postId } });
+        await publisher.publish(samplePost, { ...sampleContext, parent: { publishedPlatform: 'bluesky', publishedId: first.postId } });
+
+        const [rootPost, firstPost, secondPost] = server.posts;
+        expect(firstPost.record.reply).toEqual({
+            root: { uri: rootPost.uri, cid: rootPost.cid },
+            parent: { uri: rootPost.uri, cid: rootPost.cid }
+        });
+        expect(secondPost.record.reply).toEqual({
+            root: { uri: rootPost.uri, cid: rootPost.cid },
+            parent: { uri: firstPost.uri, cid: firstPost.cid }
+        });
+        // セッションは1回だけ作成する
+        expect(server.requests.filter(r => r.path.endsWith('createSession'))).toHaveLength(1);
+    });
+
+    it('should refuse to reply to a parent that was not posted on Bluesky', async () => {
+        const publisher = new BlueskyPublisher({ ...credentials, serviceUrl: server.baseUrl });
+        const parent = { publishedPlatform: 'x', publishedId: '123' };
+
+        await expect(publisher.publish(samplePost, { ...sampleContext, parent })).rejects.toThrow(PublishError);
+        expect(server.requests).toHaveLength(0);
+    });
+
+    it('should surface authentication errors as PublishError', async () => {
+        const publisher = new BlueskyPublisher({ identifier: credentials.identifier, appPassword: 'wrong', serviceUrl: server.baseUrl });
+
+        const error = await publisher.publish(samplePost, sampleContext).catch(e => e);
+
+        expect(error).toBeInstanceOf(PublishError);
+        expect(error.status).toBe(401);
+        expect(error.body).toContain('AuthenticationRequired');
+        expect(server.posts).toHaveLength(0);
+    });
+
+    it('should refuse to publish without credentials or over the length limit', async () => {
+        await expect(new BlueskyPublisher({ serviceUrl: server.baseUrl }).publish(samplePost, sampleContext))
+            .rejects.toThrow('Bluesky のハンドルとアプリパスワードが設定されていません');
+
+        const publisher = new BlueskyPublisher({ ...credentials, serviceUrl: server.baseUrl });
+        await expect(publisher.publish(samplePost, { event, templates: { bluesky: '😀'.repeat(301) } })).rejects.toThrow(/300/);
+        expect(server.requests).toHaveLength(0);
+    });
+
+    it('should be created from the settings', () => {
+        const publisher = createPublisher({ publisher: 'bluesky', blueskyIdentifier: 'a.bsky.social', blueskyAppPassword: 'p' });
+        expect(publisher).toBeInstanceOf(BlueskyPublisher);
+        expect(publisher.isConfigured()).toBe(true);
+    });
+
+    it('should render the post text with the Bluesky handle from the person record', () => {
+        const text = renderPostTemplates(samplePost, event, { platform: 'bluesky' }).x1;
+
+        expect(text).toContain('世森 響 さん\n@hibiki.bsky.social');
+        expect(text).toContain('SEGA\n');
+        expect(text).not.toContain('@sega');
+        expect(renderPostTemplates({ ...samplePost, personAccounts: null }, event, { platform: 'bluesky' }).x1).not.toContain('@hibiki');
+        expect(detectFacets(text).map(facet => facet.value)).toEqual(['hibiki.bsky.social', 'TGS2025', '東京ゲームショウ']);
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * Comment Ledger
+ * イベントごとに使用済みの一言コメントを記録し、同じコメントや似たコメントの重複を防ぐ
+ *
+ * - 台帳には送信したコメントだけを記録する（recordSentPost から recordPost を呼ぶ）
+ * - 生成時は台帳のコメントに加えて、キューにある未送信の投稿のコメント（getPendingComments）も避ける
+ * - ルールベースのテンプレート選択では最近使ったコメントを除外する
+ * - AIの出力は正規化した編集距離で類似度を測り、しきい値を超えたら作り直す
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+import { DEFAULT_SIMILARITY_THRESHOLD, normalizeCommentText, editDistance, commentSimilarity } from './comment-similarity.js';
+
+const LEDGER_KEY = 'autopost_comment_ledger';
+// 保持するイベント数（最終使用の新しい順）
+const MAX_LEDGER_EVENTS = 20;
+// 1イベントあたりに保持するコメント数
+const MAX_COMMENTS_PER_EVENT = 200;
+// 除外・類似判定の対象にする直近のコメント数
+const RECENT_COMMENT_LIMIT = 30;
+
+/**
+ * イベント情報から台帳のキーを作る
+ * @param {Object} [eventInfo]
+ * @returns {string}
+ */
+function getEventKey(eventInfo = {}) {
+    if (eventInfo?.id) return String(eventInfo.id);
+    const name = normalizeCommentText(eventInfo?.eventEn || eventInfo?.eventJp || '');
+    if (!name) return 'default';
+    return `${name}|${eventInfo.date || ''}`;
+}
+
+/**
+ * キューにある未送信の投稿で使っているコメント
+ * @param {Array<Object>} queue - 投稿キュー
+ * @param {string} ledgerKey - 台帳のキー（言語ごとの台帳は `${イベントキー}|${言語}`）
+ * @param {Object} [options]
+ * @param {Object} [options.defaultEvent] - イベント情報のない投稿に使うイベント（AppState.eventInfo）
+ * @param {string} [options.exceptId] - 除く投稿（コメントを作り直す投稿自身）
+ * @returns {Array<string>}
+ */
+function getPendingComments(queue, ledgerKey, { defaultEvent = {}, exceptId = null } = {}) {
+    return (queue || [])
+        .filter(post => post && post.status !== 'sent' && (exceptId === null || post.id !== exceptId))
+        .map(post => {
+            const event = (post.eventInfo?.eventEn || post.eventInfo?.eventJp) ? post.eventInfo : defaultEvent;
+            const eventKey = getEventKey(event);
+            if (ledgerKey === eventKey) return post.aiComment;
+            if (ledgerKey.startsWith(`${eventKey}|`)) return post.localizedComments?.[ledgerKey.slice(eventKey.length + 1)];
+            return null;
+        })
+        .filter(comment => comment && String(comment).trim())
+        .map(comment => String(comment).trim());
+}
+
+/**
+ * 使用済みコメントのエントリ
+ * @typedef {Object} LedgerComment
+ * @property {string} text - コメント
+ * @property {string} source - 記録元（'sent' は送信した投稿）
+ * @property {number} usedAt - 使用時刻
+ */
+
+/**
+ * イベントごとの台帳
+ * @typedef {Object} LedgerRecord
+ * @property {string} id - イベントキー
+ * @property {Array<LedgerComment>} comments - 古い順
+ * @property {number} lastUsed - 最終使用時刻
+ */
+
+class CommentLedger {
+    constructor() {
+        this.records = this._load();
+    }
+
+    /**
+     * @private
+     * @returns {Array<LedgerRecord>}
+     */
+    _load() {
+        const records = storageGet(LEDGER_KEY, []);
+        if (!Array.isArray(records)) {
+            console.warn('[CommentLedger] Invalid ledger format, resetting to empty array');
+            return [];
+        }
+        return records.filter(record => record && record.id && Array.isArray(record.comments));
+    }
+
+    /**
+     * @private
+     * @returns {boolean}
+     */
+    _save() {
+        return storageSet(LEDGER_KEY, this.records);
+    }
+
+    /**
+     * @private
+     * @param {string} eventKey
+     * @returns {LedgerRecord|undefined}
+     */
+    _find(eventKey) {
+        return this.records.find(record => record.id === eventKey);
+    }
+
+    /**
+     * 直近に使ったコメント（古い順）
+     * @param {string} eventKey
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {Array<string>} [options.pending] - 未送信の投稿のコメント（getPendingComments）。台帳のコメントの後に加える
+     * @returns {Array<string>}
+     */
+    getRecentComments(eventKey, { limit = RECENT_COMMENT_LIMIT, pending = [] } = {}) {
+        const record = this._find(eventKey);
+        const sent = record ? record.comments.slice(-limit).map(entry => entry.text) : [];
+        return [...new Set([...sent, ...pending])];
+    }
+
+    /**
+     * 使用したコメントを記録
+     * @param {string} eventKey
+     * @param {string} text
+     * @param {string} [source]
+     * @returns {boolean}
+     */
+    record(eventKey, text, source = 'manual') {
+        if (!text || !String(text).trim()) return false;
+
+        const now = Date.now();
+        let record = this._find(eventKey);
+        if (!record) {
+            record = { id: eventKey, comments: [], lastUsed: now };
+            this.records.push(record);
+        }
+
+        record.comments.push({ text: String(text).trim(), source, usedAt: now });
+        if (record.comments.length > MAX_COMMENTS_PER_EVENT) {
+            record.comments = record.comments.slice(-MAX_COMMENTS_PER_EVENT);
+        }
+        record.lastUsed = now;
+
+        // 同時刻の場合も今回使ったイベントを先頭に残す
+        this.records = [record, ...this.records.filter(item => item !== record)]
+            .sort((a, b) => b.lastUsed - a.lastUsed)
+            .slice(0, MAX_LEDGER_EVENTS);
+        return this._save();
+    }
+
+    /**
+     * 送信した投稿のコメント（翻訳先の言語のコメントは言語ごとの台帳）を記録
+     * @param {string} eventKey
+     * @param {Object} post - aiComment / localizedComments
+     * @returns {boolean}
+     */
+    recordPost(eventKey, post) {
+        const recorded = this.record(eventKey, post?.aiComment, 'sent');
+        return Object.entries(post?.localizedComments || {})
+            .reduce((saved, [language, comment]) => this.record(`${eventKey}|${language}`, comment, 'sent') || saved, recorded);
+    }
+
+    /**
+     * 直近のコメントの中で最も似ているものを探す
+     * @param {string} eventKey
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.threshold] - この類似度以上を重複とする
+     * @param {Array<string>} [options.pending] - 未送信の投稿のコメント
+     * @returns {{ duplicate: boolean, similarity: number, match: string|null }}
+     */
+    checkDuplicate(eventKey, text, { threshold = DEFAULT_SIMILARITY_THRESHOLD, pending = [] } = {}) {
+        let best = { similarity: 0, match: null };
+        this.getRecentComments(eventKey, { pending }).forEach(comment => {
+            const similarity = commentSimilarity(text, comment);
+            if (similarity > best.similarity) {
+                best = { similarity, match: comment };
+            }
+        });
+        return { duplicate: best.similarity >= threshold, ...best };
+    }
+
+    /**
+     * 生成したコメントを照合する（記録は送信時）
+     * AIのコメントが直近のものと似ている場合（または rejected の場合）は
+     * regenerate（除外リストを受け取るルールベース生成）で置き換える
+     * @param {string} eventKey
+     * @param {string} text
+     * @param {string} source
+     * @param {Function} [regenerate] - (exclude: Array<string>) => string
+     * @param {Object} [options]
+     * @param {boolean} [options.rejected] - ルール違反などで使えないコメントか
+     * @param {Array<string>} [options.pending] - 未送信の投稿のコメント
+     * @returns {{ comment: string, source: string, replaced: boolean }}
+     */
+    accept(eventKey, text, source, regenerate, { rejected = false, pending = [] } = {}) {
+        if (source !== 'rule_based' && regenerate && (rejected || this.checkDuplicate(eventKey, text, { pending }).duplicate)) {
+            return { comment: regenerate(this.getRecentComments(eventKey, { pending })), source: 'rule_based', replaced: true };
+        }
+        return { comment: text, source, replaced: false };
+    }
+
+    /**
+     * イベントの台帳を削除
+     * @param {string} eventKey
+     * @returns {boolean}
+     */
+    clearEvent(eventKey) {
+        this.records = this.records.filter(record => record.id !== eventKey);
+        return this._save();
+    }
+
+    /**
+     * 全ての台帳を削除
+     * @returns {boolean}
+     */
+    clearAll() {
+        this.records = [];
+        return this._save();
+    }
+}
+
+// シングルトンインスタンス
+const commentLedger = new CommentLedger();
+
+export {
+    CommentLedger,
+    commentLedger,
+    normalizeCommentText,
+    editDistance,
+    commentSimilarity,
+    getEventKey,
+    getPendingComments,
+    LEDGER_KEY,
+    MAX_LEDGER_EVENTS,
+    MAX_COMMENTS_PER_EVENT,
+    RECENT_COMMENT_LIMIT,
+    DEFAULT_SIMILARITY_THRESHOLD
+};
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.commentLedger = commentLedger;
+}
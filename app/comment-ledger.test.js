@@ -0,0 +1,186 @@
+/**
+ * Comment Ledger Tests
+ * イベントごとの使用済みコメント台帳・類似度・テンプレートの除外
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    CommentLedger,
+    commentLedger,
+    commentSimilarity,
+    editDistance,
+    getEventKey,
+    getPendingComments,
+    MAX_COMMENTS_PER_EVENT,
+    MAX_LEDGER_EVENTS
+} from './comment-ledger.js';
+import { CommentRules, selectTemplate, generateRuleBasedComment } from './comment-rules.js';
+import { BatchProcessor } from './batch-processor.js';
+import { HistoryDatabase, recordSentPost } from './history-database.js';
+
+describe('CommentLedger', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        commentLedger.clearAll();
+    });
+
+    describe('similarity', () => {
+        it('should ignore whitespace, punctuation, emoji and width differences', () => {
+            expect(commentSimilarity('笑顔が素敵でした✨', '笑顔が素敵でした！ ✨')).toBe(1);
+            expect(commentSimilarity('ＡＢＣ', 'abc')).toBe(1);
+            expect(commentSimilarity('爽やかな笑顔がとても印象的でした✨', '爽やかな笑顔がとても魅力的でした✨')).toBeGreaterThan(0.8);
+            expect(commentSimilarity('凛とした表情がとても印象的でした✨', '衣装がライティングに映えていました✨')).toBeLessThan(0.5);
+        });
+
+        it('should be symmetric and bounded between 0 and 1', () => {
+            fc.assert(
+                fc.property(fc.string({ maxLength: 30 }), fc.string({ maxLength: 30 }), (a, b) => {
+                    const similarity = commentSimilarity(a, b);
+                    expect(similarity).toBeGreaterThanOrEqual(0);
+                    expect(similarity).toBeLessThanOrEqual(1);
+                    expect(similarity).toBe(commentSimilarity(b, a));
+                    expect(commentSimilarity(a, a)).toBe(1);
+                }),
+                { numRuns: 100 }
+            );
+        });
+
+        it('should compute edit distance by code point', () => {
+            expect(editDistance('kitten', 'sitting')).toBe(3);
+            expect(editDistance('😀a', 'a')).toBe(1);
+        });
+    });
+
+    describe('getEventKey', () => {
+        it('should prefer the event id and fall back to the event name and date', () => {
+            expect(getEventKey({ id: 'event_1', eventEn: 'TGS' })).toBe('event_1');
+            expect(getEventKey({ eventEn: 'Tokyo Game Show', date: '2025.09.25' }))
+                .toBe(getEventKey({ eventEn: ' tokyo game show ', date: '2025.09.25' }));
+            expect(getEventKey({ eventJp: '東京ゲームショウ', date: '2025.09.25' }))
+                .not.toBe(getEventKey({ eventJp: '東京ゲームショウ', date: '2025.09.26' }));
+            expect(getEventKey({})).toBe('default');
+        });
+    });
+
+    describe('record and checkDuplicate', () => {
+        it('should keep comments per event and persist them', () => {
+            commentLedger.record('a', '笑顔が素敵でした✨', 'gemini');
+            commentLedger.record('b', '衣装が映えていました✨', 'rule_based');
+
+            const reloaded = new CommentLedger();
+            expect(reloaded.getRecentComments('a')).toEqual(['笑顔が素敵でした✨']);
+            expect(reloaded.checkDuplicate('a', '笑顔が素敵でした！')).toMatchObject({ duplicate: true, match: '笑顔が素敵でした✨' });
+            expect(reloaded.checkDuplicate('b', '笑顔が素敵でした✨').duplicate).toBe(false);
+        });
+
+        it('should cap comments per event and the number of events', () => {
+            for (let i = 0; i < MAX_COMMENTS_PER_EVENT + 5; i++) {
+                commentLedger.record('a', `comment ${i}`);
+            }
+            for (let i = 0; i < MAX_LEDGER_EVENTS + 3; i++) {
+                commentLedger.record(`event ${i}`, 'x');
+            }
+
+            expect(commentLedger.records).toHaveLength(MAX_LEDGER_EVENTS);
+            expect(new CommentLedger().records.find(record => record.id === 'a')).toBeUndefined();
+            expect(commentLedger.records.every(record => record.comments.length <= MAX_COMMENTS_PER_EVENT)).toBe(true);
+        });
+
+        it('should replace a similar AI comment with a regenerated one', () => {
+            commentLedger.record('a', '爽やかな笑顔がとても印象的でした✨', 'gemini');
+            const regenerate = vi.fn(() => '衣装がライティングに映えていました✨');
+
+            const result = commentLedger.accept('a', '爽やかな笑顔がとても印象的でした！', 'gemini', regenerate);
+
+            expect(result).toEqual({ comment: '衣装がライティングに映えていました✨', source: 'rule_based', replaced: true });
+            expect(regenerate).toHaveBeenCalledWith(['爽やかな笑顔がとても印象的でした✨']);
+            // 記録は送信時のみ
+            expect(commentLedger.getRecentComments('a')).toHaveLength(1);
+        });
+
+        it('should also avoid comments of unsent posts in the queue', () => {
+            const eventInfo = { eventEn: 'Ledger Expo', date: '2025.01.01' };
+            const eventKey = getEventKey(eventInfo);
+            const queue = [
+                { id: 'p0', aiComment: '爽やかな笑顔がとても印象的でした✨', localizedComments: { en: 'A bright smile✨' }, status: 'ready' },
+                { id: 'p1', aiComment: '凛とした表情が素敵でした✨', status: 'sent' },
+                { id: 'p2', aiComment: '衣装が映えていました✨', eventInfo: { eventEn: 'Other Expo' }, status: 'draft' },
+                { id: 'p3', aiComment: '柔らかな雰囲気でした✨', status: 'draft' }
+            ];
+
+            expect(getPendingComments(queue, eventKey, { defaultEvent: eventInfo, exceptId: 'p3' }))
+                .toEqual(['爽やかな笑顔がとても印象的でした✨']);
+            expect(getPendingComments(queue, `${eventKey}|en`, { defaultEvent: eventInfo })).toEqual(['A bright smile✨']);
+
+            const pending = getPendingComments(queue, eventKey, { defaultEvent: eventInfo });
+            const regenerate = vi.fn(() => '衣装がライティングに映えていました✨');
+            const result = commentLedger.accept(eventKey, '爽やかな笑顔がとても印象的でした！', 'gemini', regenerate, { pending });
+
+            expect(result.replaced).toBe(true);
+            expect(regenerate).toHaveBeenCalledWith(pending);
+            expect(commentLedger.getRecentComments(eventKey)).toEqual([]);
+        });
+
+        it('should record the comments of a sent post', () => {
+            const event = { eventEn: 'Ledger Expo', date: '2025.01.01' };
+            const eventKey = getEventKey(event);
+
+            recordSentPost({ aiComment: '笑顔が素敵でした✨', localizedComments: { en: 'A lovely smile✨' } }, event, new HistoryDatabase());
+
+            expect(commentLedger.getRecentComments(eventKey)).toEqual(['笑顔が素敵でした✨']);
+            expect(commentLedger.getRecentComments(`${eventKey}|en`)).toEqual(['A lovely smile✨']);
+        });
+    });
+
+    describe('template exclusion', () => {
+        it('should never pick a recently used template while unused ones remain', () => {
+            const templates = CommentRules.expressionTemplates['クール'];
+            fc.assert(
+                fc.property(fc.subarray(templates, { maxLength: templates.length - 1 }), (exclude) => {
+                    const comment = selectTemplate({ expression: 'クール' }, { exclude });
+                    expect(exclude).not.toContain(comment);
+                }),
+                { numRuns: 100 }
+            );
+        });
+
+        it('should pick the least recently used template once all are used', () => {
+            const templates = CommentRules.expressionTemplates['笑顔'];
+            const exclude = [...templates].reverse();
+            const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+            try {
+                expect(generateRuleBasedComment({ expressionType: '笑顔', exclude })).toBe(exclude[0]);
+            } finally {
+                random.mockRestore();
+            }
+        });
+    });
+
+    describe('batch generation', () => {
+        it('should send recent comments and avoid duplicates across posts of the same event', async () => {
+            const eventInfo = { eventEn: 'Ledger Expo', date: '2025.01.01', category: 'ブース' };
+            const AppState = {
+                eventInfo,
+                settings: { rateLimits: { gemini: 0 } },
+                postQueue: [0, 1, 2].map(i => ({ id: `p${i}`, personRole: 'モデル', aiComment: '' }))
+            };
+            global.window = {
+                AppState,
+                generateRuleBasedComment,
+                updateQueueItem: (index, updates) => Object.assign(AppState.postQueue[index], updates)
+            };
+            global.fetch = vi.fn(async () => ({
+                ok: true,
+                json: async () => ({ comment: '爽やかな笑顔がブースの雰囲気にぴったりでした✨', source: 'gemini' })
+            }));
+
+            await new BatchProcessor().generateComments([0, 1, 2], () => {}, { concurrency: 1 });
+
+            const comments = AppState.postQueue.map(post => post.aiComment);
+            expect(new Set(comments).size).toBe(3);
+            expect(JSON.parse(global.fetch.mock.calls[1][1].body).recent_comments).toEqual([comments[0]]);
+            expect(commentLedger.getRecentComments(getEventKey(eventInfo))).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Comment Similarity
+ * 一言コメントの正規化と類似度（依存なし）
+ *
+ * - app/comment-ledger.js と netlify/shared/comment-providers.js が同じ判定を使うための共有モジュール
+ */
+
+// この類似度（0〜1）以上は重複とみなす
+const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * 類似度を測るためにコメントを正規化（空白・記号・絵文字を除く）
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeCommentText(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * 編集距離（レーベンシュタイン距離、コードポイント単位）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const source = [...a];
+    const target = [...b];
+    let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[target.length];
+}
+
+/**
+ * 2つのコメントの類似度（1 - 正規化した編集距離）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0〜1（1 が同一）
+ */
+function commentSimilarity(a, b) {
+    const left = normalizeCommentText(a);
+    const right = normalizeCommentText(b);
+    const length = Math.max([...left].length, [...right].length);
+    if (length === 0) return 1;
+    return 1 - editDistance(left, right) / length;
+}
+
+export {
+    DEFAULT_SIMILARITY_THRESHOLD,
+    normalizeCommentText,
+    editDistance,
+    commentSimilarity
+};
@@ -0,0 +1,354 @@
+/**
+ * Comment Template Library
+ * ルールベースの一言コメントのテンプレート集
+ *
+ * - 標準のテンプレートは comment-templates.json（netlify/shared/comment-providers.js と api/main.py も同じファイルを読む）
+ * - ユーザーの追加・無効化・タグ・文面の変更はローカルに保存し、標準のテンプレートに重ねて使う
+ * - テンプレートは ID とバージョン（文面を変えるたびに上がる）を持ち、履歴に使ったテンプレートを記録する
+ */
+
+import builtinLibrary from './comment-templates.json' with { type: 'json' };
+import { storageGet, storageSet } from './storage-adapter.js';
+import { LANGUAGES, PRIMARY_LANGUAGE } from './post-i18n.js';
+
+const TEMPLATE_LIBRARY_KEY = 'autopost_comment_templates';
+const LIBRARY_EXPORT_FORMAT = 'autopost-comment-templates';
+const MAX_CUSTOM_TEMPLATES = 500;
+
+// テンプレートのグループ（comment-rules.js の selectTemplate で使う）
+const TEMPLATE_GROUPS = {
+    expression: '表情',
+    pose: 'ポーズ',
+    lighting: 'ライティング',
+    category: 'カテゴリ',
+    outfit: '衣装'
+};
+
+/**
+ * テンプレート
+ * @typedef {Object} CommentTemplate
+ * @property {string} id - 'expression.smile.01' / 'custom_...'
+ * @property {number} version - 文面を変えるたびに上がる
+ * @property {string} group - TEMPLATE_GROUPS のキー
+ * @property {string} key - グループ内の分類（'笑顔' / '正面' など）
+ * @property {string} text - コメント
+ * @property {string} language - 'ja' | 'en' | 'zh' | 'ko'（post-i18n.js）
+ * @property {Array<string>} tags
+ * @property {boolean} disabled
+ * @property {boolean} builtin - comment-templates.json のテンプレートか
+ * @property {number} [updatedAt]
+ */
+
+/**
+ * Generate unique ID
+ * @returns {string}
+ */
+function generateTemplateId() {
+    return `custom_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * タグを整える（カンマ・読点区切りの文字列も受け付ける）
+ * @param {Array<string>|string} tags
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,、]/);
+    return [...new Set(list.map(tag => String(tag).trim().replace(/^#/, '')).filter(Boolean))];
+}
+
+/**
+ * テンプレートを検証して整える（不正なものは null）
+ * @param {Object} raw
+ * @param {Object} [defaults]
+ * @returns {CommentTemplate|null}
+ */
+function normalizeTemplate(raw, defaults = {}) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const template = { ...defaults, ...raw };
+    const text = String(template.text || '').trim();
+    const key = String(template.key || '').trim();
+    if (!template.id || !text || !key || !(template.group in TEMPLATE_GROUPS)) return null;
+
+    const version = Math.floor(Number(template.version));
+    return {
+        id: String(template.id),
+        version: Number.isFinite(version) && version > 0 ? version : 1,
+        group: template.group,
+        key,
+        text,
+        language: Object.hasOwn(LANGUAGES, template.language ?? '') ? template.language : PRIMARY_LANGUAGE,
+        tags: normalizeTags(template.tags),
+        disabled: !!template.disabled,
+        builtin: !!template.builtin,
+        ...(template.updatedAt ? { updatedAt: template.updatedAt } : {})
+    };
+}
+
+// 標準のテンプレート（ID → テンプレート）
+const BUILTIN_TEMPLATES = new Map(
+    (builtinLibrary.templates || [])
+        .map(raw => normalizeTemplate(raw, { builtin: true }))
+        .filter(Boolean)
+        .map(template => [template.id, template])
+);
+
+class CommentTemplateLibrary {
+    constructor() {
+        // 標準のテンプレートの変更と追加したテンプレート
+        this.entries = this._load();
+    }
+
+    /**
+     * @private
+     * @returns {Array<CommentTemplate>}
+     */
+    _load() {
+        const entries = storageGet(TEMPLATE_LIBRARY_KEY, []);
+        if (!Array.isArray(entries)) {
+            console.warn('[CommentTemplateLibrary] Invalid library format, resetting to empty array');
+            return [];
+        }
+        return entries
+            .map(entry => normalizeTemplate(entry, BUILTIN_TEMPLATES.get(entry?.id)))
+            .filter(Boolean);
+    }
+
+    /**
+     * @private
+     * @returns {boolean}
+     */
+    _save() {
+        return storageSet(TEMPLATE_LIBRARY_KEY, this.entries);
+    }
+
+    /**
+     * 標準のテンプレートに変更を重ねた全テンプレート（標準 → 追加の順）
+     * @returns {Array<CommentTemplate>}
+     */
+    getAll() {
+        const overrides = new Map(this.entries.map(entry => [entry.id, entry]));
+        const builtins = [...BUILTIN_TEMPLATES.values()].map(template => overrides.get(template.id) || template);
+        const custom = this.entries.filter(entry => !BUILTIN_TEMPLATES.has(entry.id));
+        return [...builtins, ...custom];
+    }
+
+    /**
+     * IDでテンプレートを取得
+     * @param {string} id
+     * @returns {CommentTemplate|null}
+     */
+    getById(id) {
+        return this.entries.find(entry => entry.id === id) || BUILTIN_TEMPLATES.get(id) || null;
+    }
+
+    /**
+     * 標準のテンプレートを変更したか（追加したテンプレートは常に true）
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isCustomized(id) {
+        return this.entries.some(entry => entry.id === id);
+    }
+
+    /**
+     * 有効なテンプレートを分類ごとにまとめる
+     * @param {string} group
+     * @param {Object} [options]
+     * @param {string} [options.tag] - このタグを持つものだけ
+     * @param {string} [options.language] - コメントの言語
+     * @returns {Object<string, Array<CommentTemplate>>}
+     */
+    getGroup(group, { tag = '', language = PRIMARY_LANGUAGE } = {}) {
+        const grouped = {};
+        this.getAll()
+            .filter(template => template.group === group && template.language === language
+                && !template.disabled && (!tag || template.tags.includes(tag)))
+            .forEach(template => {
+                (grouped[template.key] ||= []).push(template);
+            });
+        return grouped;
+    }
+
+    /**
+     * 有効なテンプレート
+     * @param {string} group
+     * @param {string} key
+     * @param {string} [language]
+     * @returns {Array<CommentTemplate>}
+     */
+    getActive(group, key, language = PRIMARY_LANGUAGE) {
+        return this.getGroup(group, { language })[key] || [];
+    }
+
+    /**
+     * コメントの元になったテンプレートを探す（無効化したものも含む）
+     * @param {string} text
+     * @returns {{ id: string, version: number }|null}
+     */
+    identify(text) {
+        const comment = String(text || '').trim();
+        if (!comment) return null;
+        const template = this.getAll().find(item => item.text === comment);
+        return template ? { id: template.id, version: template.version } : null;
+    }
+
+    /**
+     * テンプレートを追加
+     * @param {Object} data
+     * @param {string} data.group
+     * @param {string} data.key
+     * @param {string} data.text
+     * @param {string} [data.language]
+     * @param {Array<string>|string} [data.tags]
+     * @returns {CommentTemplate}
+     */
+    add(data) {
+        const template = normalizeTemplate({ ...data, id: generateTemplateId(), version: 1, builtin: false, updatedAt: Date.now() });
+        if (!template) {
+            throw new Error('group, key and text are required');
+        }
+        if (this.entries.filter(entry => !entry.builtin).length >= MAX_CUSTOM_TEMPLATES) {
+            throw new Error(`Cannot add more than ${MAX_CUSTOM_TEMPLATES} templates`);
+        }
+
+        this.entries.push(template);
+        this._save();
+        return template;
+    }
+
+    /**
+     * テンプレートを更新（文面を変えるとバージョンが上がる）
+     * @param {string} id
+     * @param {Object} updates - text / key / tags / disabled
+     * @returns {CommentTemplate|null}
+     */
+    update(id, updates) {
+        const current = this.getById(id);
+        if (!current) return null;
+
+        const textChanged = updates.text !== undefined && String(updates.text).trim() !== current.text;
+        const updated = normalizeTemplate({
+            ...current,
+            ...updates,
+            id: current.id,
+            group: current.group,
+            builtin: current.builtin,
+            version: textChanged ? current.version + 1 : current.version,
+            updatedAt: Date.now()
+        });
+        if (!updated) return null;
+
+        this.entries = [...this.entries.filter(entry => entry.id !== id), updated];
+        this._save();
+        return updated;
+    }
+
+    /**
+     * 有効/無効を切り替え
+     * @param {string} id
+     * @param {boolean} disabled
+     * @returns {CommentTemplate|null}
+     */
+    setDisabled(id, disabled) {
+        return this.update(id, { disabled });
+    }
+
+    /**
+     * テンプレートを削除（標準のテンプレートは変更を取り消す）
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        const initialLength = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.entries.length === initialLength) return false;
+        this._save();
+        return true;
+    }
+
+    /**
+     * 書き出し用のデータ（comment-templates.json と同じ形式）
+     * @returns {Object}
+     */
+    export() {
+        return {
+            format: LIBRARY_EXPORT_FORMAT,
+            libraryVersion: builtinLibrary.libraryVersion,
+            exportedAt: new Date().toISOString(),
+            templates: this.getAll().map(({ updatedAt, ...template }) => template)
+        };
+    }
+
+    /**
+     * 書き出したデータを取り込む
+     * 同じIDはバージョンが新しい場合だけ置き換え、IDのないものは追加する
+     * @param {Object|Array} data - export() の結果またはテンプレートの配列
+     * @returns {{ added: number, updated: number, skipped: number }}
+     */
+    import(data) {
+        const templates = Array.isArray(data) ? data : data?.templates;
+        if (!Array.isArray(templates)) {
+            throw new Error('Invalid template library format');
+        }
+
+        const result = { added: 0, updated: 0, skipped: 0 };
+        templates.forEach(raw => {
+            const current = raw?.id ? this.getById(raw.id) : null;
+            const template = normalizeTemplate({
+                ...raw,
+                id: raw?.id || generateTemplateId(),
+                builtin: BUILTIN_TEMPLATES.has(raw?.id),
+                updatedAt: Date.now()
+            }, current || {});
+            if (!template) {
+                result.skipped++;
+                return;
+            }
+
+            if (!current) {
+                this.entries.push(template);
+                result.added++;
+            } else if (template.version > current.version
+                || (template.version === current.version && template.text === current.text
+                    && (template.disabled !== current.disabled || template.tags.join() !== current.tags.join()))) {
+                this.entries = [...this.entries.filter(entry => entry.id !== template.id), { ...template, group: current.group }];
+                result.updated++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        this._save();
+        return result;
+    }
+
+    /**
+     * 変更と追加したテンプレートを全て削除
+     * @returns {boolean}
+     */
+    reset() {
+        this.entries = [];
+        return this._save();
+    }
+}
+
+// シングルトンインスタンス
+const commentTemplateLibrary = new CommentTemplateLibrary();
+
+export {
+    CommentTemplateLibrary,
+    commentTemplateLibrary,
+    normalizeTemplate,
+    normalizeTags,
+    BUILTIN_TEMPLATES,
+    TEMPLATE_GROUPS,
+    TEMPLATE_LIBRARY_KEY,
+    LIBRARY_EXPORT_FORMAT
+};
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.commentTemplateLibrary = commentTemplateLibrary;
+}
@@ -0,0 +1,131 @@
+/**
+ * Comment Template Library Tests
+ * 共有テンプレート集・ユーザーの変更・書き出し/取り込み・履歴への記録
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    CommentTemplateLibrary,
+    commentTemplateLibrary,
+    BUILTIN_TEMPLATES,
+    LIBRARY_EXPORT_FORMAT
+} from './comment-template-library.js';
+import { CommentRules, selectTemplate } from './comment-rules.js';
+import { HistoryDatabase, recordSentPost } from './history-database.js';
+import { TEMPLATES, selectTemplate as selectServerTemplate } from '../netlify/shared/comment-providers.js';
+
+describe('CommentTemplateLibrary', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        commentTemplateLibrary.reset();
+    });
+
+    describe('shared library', () => {
+        it('should give every built-in template a unique id and a version', () => {
+            const ids = [...BUILTIN_TEMPLATES.keys()];
+            expect(new Set(ids).size).toBe(ids.length);
+            BUILTIN_TEMPLATES.forEach(template => {
+                expect(template.version).toBeGreaterThanOrEqual(1);
+                expect(template.text.endsWith('✨')).toBe(true);
+            });
+        });
+
+        it('should serve the same templates to the browser and the serverless function', () => {
+            Object.entries(CommentRules.expressionTemplates).forEach(([key, templates]) => {
+                expect(TEMPLATES.expressions[key]).toEqual(templates);
+            });
+            expect(CommentRules.expressionTemplates['笑顔']).toHaveLength(20);
+        });
+
+        it('should let the server pick from the templates the client sends', () => {
+            expect(selectServerTemplate('笑顔', [], ['ユーザーが追加したテンプレートでした✨'])).toBe('ユーザーが追加したテンプレートでした✨');
+            expect(TEMPLATES.expressions['笑顔']).toContain(selectServerTemplate('笑顔', [], []));
+        });
+    });
+
+    describe('user changes', () => {
+        it('should never select a disabled template', () => {
+            const cool = commentTemplateLibrary.getActive('expression', 'クール');
+            fc.assert(
+                fc.property(fc.subarray(cool, { minLength: 1, maxLength: cool.length - 1 }), (disabled) => {
+                    commentTemplateLibrary.reset();
+                    disabled.forEach(template => commentTemplateLibrary.setDisabled(template.id, true));
+                    const comment = selectTemplate({ expression: 'クール', category: 'サーキット' });
+                    expect(disabled.map(template => template.text)).not.toContain(comment);
+                }),
+                { numRuns: 30 }
+            );
+        });
+
+        it('should fall back to the built-in templates when a whole category is disabled', () => {
+            commentTemplateLibrary.getAll()
+                .filter(template => template.group === 'expression')
+                .forEach(template => commentTemplateLibrary.setDisabled(template.id, true));
+
+            expect(CommentRules.expressionTemplates['笑顔']).toBeUndefined();
+            expect(typeof selectTemplate({ expression: 'クール' })).toBe('string');
+        });
+
+        it('should persist added templates and bump the version only when the text changes', () => {
+            const added = commentTemplateLibrary.add({ group: 'expression', key: 'クール', text: '静かな眼差しがとても印象的でした✨', tags: 'サーキット, #夜' });
+            expect(added).toMatchObject({ version: 1, tags: ['サーキット', '夜'], builtin: false });
+            expect(() => commentTemplateLibrary.add({ group: 'unknown', key: 'x', text: 'y' })).toThrow();
+
+            const builtin = BUILTIN_TEMPLATES.get('expression.cool.01');
+            expect(commentTemplateLibrary.update(builtin.id, { tags: ['定番'] }).version).toBe(1);
+            expect(commentTemplateLibrary.update(builtin.id, { text: '凛とした表情が会場でとても印象的でした✨' }).version).toBe(2);
+
+            const reloaded = new CommentTemplateLibrary();
+            expect(reloaded.getActive('expression', 'クール').map(template => template.text))
+                .toEqual(expect.arrayContaining(['静かな眼差しがとても印象的でした✨', '凛とした表情が会場でとても印象的でした✨']));
+            expect(reloaded.getById(builtin.id)).toMatchObject({ version: 2, tags: ['定番'] });
+
+            reloaded.remove(builtin.id);
+            expect(reloaded.getById(builtin.id)).toEqual(builtin);
+        });
+    });
+
+    describe('export and import', () => {
+        it('should round-trip changes and keep the newer version of each template', () => {
+            commentTemplateLibrary.add({ group: 'pose', key: '正面', text: '正面からの眼差しが力強かったです✨' });
+            commentTemplateLibrary.update('pose.front.01', { text: '正面からの表情が堂々としていました✨' });
+            commentTemplateLibrary.setDisabled('lighting.bright.01', true);
+            const exported = commentTemplateLibrary.export();
+            expect(exported.format).toBe(LIBRARY_EXPORT_FORMAT);
+
+            localStorage.clear();
+            const other = new CommentTemplateLibrary();
+            other.update('pose.front.01', { text: 'A' });
+            other.update('pose.front.01', { text: 'B' });
+
+            const result = other.import(exported);
+
+            expect(result).toMatchObject({ added: 1, updated: 1 });
+            expect(other.getById('pose.front.01')).toMatchObject({ version: 3, text: 'B' });
+            expect(other.getById('lighting.bright.01').disabled).toBe(true);
+            expect(other.getAll()).toHaveLength(commentTemplateLibrary.getAll().length);
+            expect(() => other.import({ foo: 1 })).toThrow();
+        });
+    });
+
+    describe('history', () => {
+        it('should record which template and version a sent comment came from', () => {
+            const template = commentTemplateLibrary.update('expression.smile.02', { text: '自然な笑顔が展示の雰囲気にぴったりでした✨' });
+            const database = new HistoryDatabase();
+
+            const record = recordSentPost(
+                { boothName: 'ブースA', aiComment: template.text, thumbnail: 'data:image/jpeg;base64,AA', imageBase64: 'data:image/jpeg;base64,FULL' },
+                { eventJp: '東京モーターショー', date: '2025.10.30' },
+                database
+            );
+            const manual = recordSentPost({ aiComment: '手で書いたコメントです✨' }, {}, database);
+
+            expect(record.postData.commentTemplate).toEqual({ id: 'expression.smile.02', version: 2 });
+            expect(record.postData.imageBase64).toBe('data:image/jpeg;base64,AA');
+            expect(record.eventName).toBe('東京モーターショー');
+            expect(manual.postData.commentTemplate).toBeNull();
+            expect(new HistoryDatabase().count()).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,242 @@
+/**
+ * Comment Template UI
+ * コメントテンプレート集の管理モーダル（追加・無効化・タグ・書き出し/取り込み）
+ */
+
+import { commentTemplateLibrary, TEMPLATE_GROUPS } from './comment-template-library.js';
+import { LANGUAGES } from './post-i18n.js';
+
+// 一覧の絞り込み
+const filters = {
+    group: '',
+    tag: '',
+    query: ''
+};
+
+/**
+ * トーストを表示
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type) {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * HTMLエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * 絞り込み条件に合うテンプレート
+ * @returns {Array<Object>}
+ */
+function getFilteredTemplates() {
+    const query = filters.query.trim();
+    const tag = filters.tag.trim().replace(/^#/, '');
+    return commentTemplateLibrary.getAll().filter(template =>
+        (!filters.group || template.group === filters.group)
+        && (!tag || template.tags.includes(tag))
+        && (!query || template.text.includes(query) || template.key.includes(query) || template.id.includes(query))
+    );
+}
+
+/**
+ * 分類の候補（追加フォームの datalist）を描画
+ */
+function renderKeyOptions() {
+    const datalist = document.getElementById('comment-template-key-options');
+    const group = document.getElementById('comment-template-new-group')?.value || 'expression';
+    if (!datalist) return;
+
+    const keys = [...new Set(commentTemplateLibrary.getAll()
+        .filter(template => template.group === group)
+        .map(template => template.key))];
+    datalist.innerHTML = keys.map(key => `<option value="${escapeHtml(key)}"></option>`).join('');
+}
+
+/**
+ * テンプレート一覧を描画
+ */
+function renderTemplateList() {
+    const tbody = document.getElementById('comment-template-list');
+    const summary = document.getElementById('comment-template-summary');
+    if (!tbody) return;
+
+    const templates = getFilteredTemplates();
+    const disabledCount = templates.filter(template => template.disabled).length;
+    if (summary) {
+        summary.textContent = `${templates.length}件${disabledCount ? `（無効 ${disabledCount}件）` : ''}`;
+    }
+
+    tbody.innerHTML = templates.map(template => `
+        <tr class="${template.disabled ? 'is-disabled' : ''}" data-template-id="${escapeHtml(template.id)}">
+            <td><input type="checkbox" data-action="toggle" ${template.disabled ? '' : 'checked'} title="使う"></td>
+            <td>${TEMPLATE_GROUPS[template.group]}<br><small>${escapeHtml(template.key)}${template.language === 'ja' ? '' : `（${LANGUAGES[template.language].label}）`}</small></td>
+            <td><input type="text" data-action="text" value="${escapeHtml(template.text)}"></td>
+            <td><input type="text" data-action="tags" value="${escapeHtml(template.tags.join(', '))}" placeholder="タグ"></td>
+            <td><small class="comment-template-id">${escapeHtml(template.id)}<br>v${template.version}</small></td>
+            <td>
+                ${template.builtin
+                    ? (commentTemplateLibrary.isCustomized(template.id)
+                        ? '<button class="btn btn-ghost btn-small" data-action="remove" type="button" title="標準に戻す">↩️</button>'
+                        : '')
+                    : '<button class="btn btn-ghost btn-small" data-action="remove" type="button" title="削除">🗑️</button>'}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * 一覧の操作
+ * @param {Event} e
+ */
+function handleListChange(e) {
+    const row = e.target.closest('tr[data-template-id]');
+    const action = e.target.dataset.action;
+    if (!row || !action) return;
+
+    const id = row.dataset.templateId;
+    if (action === 'toggle') {
+        commentTemplateLibrary.setDisabled(id, !e.target.checked);
+    } else if (action === 'text') {
+        if (!commentTemplateLibrary.update(id, { text: e.target.value })) {
+            notify('テンプレートの文面を入力してください', 'error');
+        }
+    } else if (action === 'tags') {
+        commentTemplateLibrary.update(id, { tags: e.target.value });
+    }
+    renderTemplateList();
+}
+
+/**
+ * 一覧のボタン操作
+ * @param {Event} e
+ */
+function handleListClick(e) {
+    const button = e.target.closest('button[data-action="remove"]');
+    const row = button?.closest('tr[data-template-id]');
+    if (!row) return;
+
+    commentTemplateLibrary.remove(row.dataset.templateId);
+    renderTemplateList();
+    renderKeyOptions();
+}
+
+/**
+ * テンプレートを追加
+ */
+function addTemplate() {
+    const textInput = document.getElementById('comment-template-new-text');
+    const keyInput = document.getElementById('comment-template-new-key');
+    const tagsInput = document.getElementById('comment-template-new-tags');
+
+    try {
+        commentTemplateLibrary.add({
+            group: document.getElementById('comment-template-new-group')?.value || 'expression',
+            key: keyInput?.value,
+            text: textInput?.value,
+            language: document.getElementById('comment-template-new-language')?.value || 'ja',
+            tags: tagsInput?.value
+        });
+    } catch (error) {
+        notify('分類と文面を入力してください', 'error');
+        return;
+    }
+
+    if (textInput) textInput.value = '';
+    renderTemplateList();
+    renderKeyOptions();
+    notify('テンプレートを追加しました', 'success');
+}
+
+/**
+ * テンプレート集を書き出す
+ */
+function exportTemplates() {
+    const content = JSON.stringify(commentTemplateLibrary.export(), null, 2);
+    const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `comment-templates-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 書き出したテンプレート集を取り込む
+ * @param {File} file
+ */
+async function importTemplates(file) {
+    try {
+        const result = commentTemplateLibrary.import(JSON.parse(await file.text()));
+        renderTemplateList();
+        renderKeyOptions();
+        notify(`テンプレートを取り込みました（追加${result.added}件 / 更新${result.updated}件 / スキップ${result.skipped}件）`, 'success');
+    } catch (error) {
+        console.error('[CommentTemplateUI] Import failed:', error);
+        notify('テンプレート集を読み込めませんでした', 'error');
+    }
+}
+
+/**
+ * 管理モーダルを開く
+ */
+function openTemplateModal() {
+    const modal = document.getElementById('comment-template-modal');
+    if (!modal) return;
+
+    renderTemplateList();
+    renderKeyOptions();
+    modal.classList.add('active');
+}
+
+/**
+ * 管理モーダルを閉じる
+ */
+function closeTemplateModal() {
+    document.getElementById('comment-template-modal')?.classList.remove('active');
+}
+
+/**
+ * コメントテンプレート管理UIを初期化
+ */
+export function initCommentTemplateUI() {
+    document.getElementById('comment-template-open-btn')?.addEventListener('click', openTemplateModal);
+    document.getElementById('close-comment-template')?.addEventListener('click', closeTemplateModal);
+    document.getElementById('close-comment-template-btn')?.addEventListener('click', closeTemplateModal);
+    document.getElementById('comment-template-add-btn')?.addEventListener('click', addTemplate);
+    document.getElementById('comment-template-export-btn')?.addEventListener('click', exportTemplates);
+    document.getElementById('comment-template-new-group')?.addEventListener('change', renderKeyOptions);
+
+    const tbody = document.getElementById('comment-template-list');
+    tbody?.addEventListener('change', handleListChange);
+    tbody?.addEventListener('click', handleListClick);
+
+    [['comment-template-group', 'group'], ['comment-template-tag-filter', 'tag'], ['comment-template-search', 'query']]
+        .forEach(([elementId, name]) => {
+            document.getElementById(elementId)?.addEventListener('input', (e) => {
+                filters[name] = e.target.value;
+                renderTemplateList();
+            });
+        });
+
+    const fileInput = document.getElementById('comment-template-import-input');
+    document.getElementById('comment-template-import-btn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (file) importTemplates(file);
+    });
+}
@@ -0,0 +1,255 @@
+/**
+ * Comment Validator
+ * 一言コメントがプロンプトのルール（1行・文字数・✨で終わる・固有名詞なし・スラングなし・主語「俺」なし）を
+ * 守っているかを検査する
+ *
+ * - 文字数と禁止ワードは投稿アカウントごとに設定できる（settings.commentRules）
+ * - netlify/shared/comment-providers.js もこのモジュールで生成結果を検査する
+ * - 文字数の規則はAIの出力に適用する。テンプレート集（comment-templates.json）には短い定型文があるため、
+ *   ルールベースのコメントは文字数を検査しない（isLengthExempt）
+ */
+
+const DEFAULT_COMMENT_RULES = {
+    minLength: 20,
+    maxLength: 35,
+    ending: '✨',
+    bannedWords: ['神', '優勝', 'バチバチ'],
+    // 禁止ワードを含むが問題のない語
+    allowedWords: ['神秘', '精神'],
+    bannedSubjects: ['俺']
+};
+
+// 日本語以外のコメントの文字数（禁止ワード・主語の規則は日本語のみ）
+const LANGUAGE_LENGTHS = {
+    en: { minLength: 30, maxLength: 100 },
+    zh: { minLength: 10, maxLength: 30 },
+    ko: { minLength: 15, maxLength: 50 }
+};
+
+// 設定のうちアカウント指定がないときに使うキー
+const DEFAULT_RULES_KEY = 'default';
+
+// 日本語のコメントで大文字の英単語でも固有名詞とみなさない一般的な略語
+const COMMON_ACRONYMS = ['OK', 'NG', 'LED', 'SNS', 'PR', 'CM', 'PC', 'VR', 'AR', 'AI', 'DJ', 'MC', 'EV', 'SUV', 'RQ', 'LIVE', 'NEW'];
+
+/**
+ * 違反
+ * @typedef {Object} CommentViolation
+ * @property {string} rule - 'multiline' | 'length' | 'ending' | 'banned_word' | 'subject' | 'proper_noun'
+ * @property {string} message - 表示用のメッセージ
+ * @property {string} [detail] - 該当した語など
+ */
+
+/**
+ * 文字列配列を整える（カンマ・読点・改行区切りの文字列も受け付ける）
+ * @param {Array<string>|string} value
+ * @returns {Array<string>}
+ */
+function toWordList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,、\n]/);
+    return [...new Set(list.map(word => String(word).trim()).filter(Boolean))];
+}
+
+/**
+ * ルールを既定値で補って整える
+ * @param {Object} [rules]
+ * @returns {typeof DEFAULT_COMMENT_RULES}
+ */
+function normalizeCommentRules(rules = {}) {
+    if (!rules || typeof rules !== 'object') rules = {};
+    const toLength = (value, fallback) => {
+        const number = Math.floor(Number(value));
+        return Number.isFinite(number) && number > 0 ? number : fallback;
+    };
+    const minLength = toLength(rules.minLength, DEFAULT_COMMENT_RULES.minLength);
+    const maxLength = Math.max(minLength, toLength(rules.maxLength, DEFAULT_COMMENT_RULES.maxLength));
+
+    return {
+        minLength,
+        maxLength,
+        ending: typeof rules.ending === 'string' ? rules.ending : DEFAULT_COMMENT_RULES.ending,
+        bannedWords: rules.bannedWords === undefined ? [...DEFAULT_COMMENT_RULES.bannedWords] : toWordList(rules.bannedWords),
+        allowedWords: rules.allowedWords === undefined ? [...DEFAULT_COMMENT_RULES.allowedWords] : toWordList(rules.allowedWords),
+        bannedSubjects: rules.bannedSubjects === undefined ? [...DEFAULT_COMMENT_RULES.bannedSubjects] : toWordList(rules.bannedSubjects)
+    };
+}
+
+/**
+ * 投稿アカウントをルールのキーに変換
+ * @param {string} account
+ * @returns {string}
+ */
+function getRulesKey(account) {
+    const key = String(account || '').normalize('NFKC').trim().replace(/^@/, '').toLowerCase();
+    return key || DEFAULT_RULES_KEY;
+}
+
+/**
+ * 設定から投稿アカウントのルールを取得（なければ既定のルール）
+ * @param {Object} [settings] - AppState.settings
+ * @param {string} [account] - 省略時は settings.postingAccount
+ * @returns {typeof DEFAULT_COMMENT_RULES}
+ */
+function getCommentRules(settings = {}, account = settings?.postingAccount) {
+    const profiles = settings?.commentRules || {};
+    return normalizeCommentRules(profiles[getRulesKey(account)] || profiles[DEFAULT_RULES_KEY] || {});
+}
+
+/**
+ * コメントの言語に合わせたルール（日本語はそのまま）
+ * @param {Object} [rules]
+ * @param {string} [language] - 'ja' | 'en' | 'zh' | 'ko'
+ * @returns {typeof DEFAULT_COMMENT_RULES}
+ */
+function getLanguageRules(rules = {}, language = 'ja') {
+    const resolved = normalizeCommentRules(rules);
+    const lengths = LANGUAGE_LENGTHS[language];
+    if (!lengths) return resolved;
+    return { ...resolved, ...lengths, bannedWords: [], allowedWords: [], bannedSubjects: [] };
+}
+
+/**
+ * 比較用に正規化（全角/半角・大文字/小文字の違いを無視）
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeForMatch(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * コメントを検査
+ * @param {string} text
+ * @param {Object} [rules] - normalizeCommentRules で補う
+ * @param {Object} [context]
+ * @param {Array<string>} [context.properNouns] - ブース名・人物名・イベント名など、含めてはいけない語
+ * @param {string} [context.language] - 英語では大文字で始まる語を固有名詞とみなさない
+ * @param {Array<string>} [context.inputWords] - ユーザーが入力した語（注目ポイント・マッチ先など）。大文字の英単語でも固有名詞とみなさない
+ * @returns {{ valid: boolean, violations: Array<CommentViolation> }}
+ */
+function validateComment(text, rules = {}, { properNouns = [], language = 'ja', inputWords = [] } = {}) {
+    const resolved = normalizeCommentRules(rules);
+    const comment = String(text || '').trim();
+    const violations = [];
+
+    if (/\r|\n/.test(comment)) {
+        violations.push({ rule: 'multiline', message: '1行にしてください' });
+    }
+
+    const length = [...comment].length;
+    if (length < resolved.minLength || length > resolved.maxLength) {
+        violations.push({
+            rule: 'length',
+            message: `${length}文字です（${resolved.minLength}〜${resolved.maxLength}文字）`,
+            detail: String(length)
+        });
+    }
+
+    if (resolved.ending && !comment.endsWith(resolved.ending)) {
+        violations.push({ rule: 'ending', message: `最後に${resolved.ending}を付けてください` });
+    }
+
+    // 問題のない語を除いてから禁止ワードを探す
+    let searchable = normalizeForMatch(comment);
+    resolved.allowedWords.forEach(word => {
+        searchable = searchable.split(normalizeForMatch(word)).join(' ');
+    });
+    resolved.bannedWords
+        .filter(word => searchable.includes(normalizeForMatch(word)))
+        .forEach(word => violations.push({ rule: 'banned_word', message: `「${word}」は使えません`, detail: word }));
+
+    resolved.bannedSubjects
+        .filter(word => comment.includes(word))
+        .forEach(word => violations.push({ rule: 'subject', message: `主語を「${word}」にしないでください`, detail: word }));
+
+    findProperNouns(comment, properNouns, { capitalized: language !== 'en', inputWords })
+        .forEach(word => violations.push({ rule: 'proper_noun', message: `固有名詞「${word}」が含まれています`, detail: word }));
+
+    return { valid: violations.length === 0, violations };
+}
+
+/**
+ * 固有名詞らしい語を探す
+ * - 指定された語（ブース名・人物名など、2文字以上）
+ * - 「」『』で囲まれた作品名
+ * - 大文字で始まる英単語（capitalized が false の場合を除く）。一般的な略語（COMMON_ACRONYMS）と
+ *   入力に含まれる語（inputWords）は除く
+ * @param {string} comment
+ * @param {Array<string>} properNouns
+ * @param {Object} [options]
+ * @param {boolean} [options.capitalized]
+ * @param {Array<string>} [options.inputWords]
+ * @returns {Array<string>}
+ */
+function findProperNouns(comment, properNouns = [], { capitalized = true, inputWords = [] } = {}) {
+    const normalized = normalizeForMatch(comment);
+    const found = toWordList(properNouns)
+        .filter(word => [...word].length >= 2 && normalized.includes(normalizeForMatch(word)));
+
+    for (const match of comment.matchAll(/[「『]([^」』]+)[」』]/g)) {
+        found.push(match[1]);
+    }
+    if (capitalized) {
+        const input = new Set(normalizeForMatch(toWordList(inputWords).join(' ')).split(/[^a-z0-9]+/));
+        for (const match of comment.normalize('NFKC').matchAll(/\b[A-Z][A-Za-z0-9]+\b/g)) {
+            const word = match[0];
+            if (COMMON_ACRONYMS.includes(word.toUpperCase())) continue;
+            // 入力にある語はAIが作った名前ではない（properNouns に含まれる語は上で検出済み）
+            if (input.has(normalizeForMatch(word))) continue;
+            found.push(word);
+        }
+    }
+    return [...new Set(found)];
+}
+
+/**
+ * 投稿から含めてはいけない固有名詞（ブース名・人物名・イベント名・会場）を集める
+ * @param {Object} [source]
+ * @param {string} [source.boothName]
+ * @param {string} [source.personName]
+ * @param {Object} [source.eventInfo]
+ * @returns {Array<string>}
+ */
+function collectProperNouns({ boothName, personName, eventInfo } = {}) {
+    return toWordList([boothName, personName, eventInfo?.eventEn, eventInfo?.eventJp, eventInfo?.venue].filter(Boolean));
+}
+
+/**
+ * 文字数の規則を適用しない違反か（テンプレート集から選んだコメント）
+ * @param {CommentViolation} violation
+ * @param {string} source - コメントの生成元（'rule_based' はテンプレート）
+ * @returns {boolean}
+ */
+function isLengthExempt(violation, source) {
+    return violation.rule === 'length' && source === 'rule_based';
+}
+
+/**
+ * 違反をプロンプトに添える指摘文にする
+ * @param {string} comment - 違反したコメント
+ * @param {Array<CommentViolation>} violations
+ * @returns {string}
+ */
+function formatViolationFeedback(comment, violations) {
+    return `前回の出力「${comment}」は次のルールに違反していました：${violations.map(v => v.message).join('／')}`;
+}
+
+export {
+    DEFAULT_COMMENT_RULES,
+    DEFAULT_RULES_KEY,
+    LANGUAGE_LENGTHS,
+    normalizeCommentRules,
+    getLanguageRules,
+    getRulesKey,
+    getCommentRules,
+    validateComment,
+    findProperNouns,
+    collectProperNouns,
+    isLengthExempt,
+    formatViolationFeedback
+};
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.validateComment = validateComment;
+}
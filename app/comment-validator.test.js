@@ -0,0 +1,152 @@
+/**
+ * Comment Validator Tests
+ * 一言コメントのルール検査と投稿アカウントごとのルール
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    DEFAULT_COMMENT_RULES,
+    validateComment,
+    getCommentRules,
+    normalizeCommentRules,
+    getLanguageRules,
+    collectProperNouns,
+    isLengthExempt,
+    formatViolationFeedback
+} from './comment-validator.js';
+import commentTemplates from './comment-templates.json' with { type: 'json' };
+import { generateRuleBasedComment } from './comment-rules.js';
+import { BatchProcessor } from './batch-processor.js';
+
+const rulesOf = (comment, ...args) => validateComment(comment, ...args).violations.map(v => v.rule);
+
+describe('CommentValidator', () => {
+    describe('validateComment', () => {
+        it('should accept a comment that follows every rule', () => {
+            expect(validateComment('爽やかな笑顔がブースの雰囲気にぴったりでした✨')).toEqual({ valid: true, violations: [] });
+        });
+
+        it('should report each violated rule', () => {
+            expect(rulesOf('笑顔が素敵でした')).toEqual(['length', 'ending']);
+            expect(rulesOf('俺的には神がかった笑顔でブースで優勝していました✨')).toEqual(['banned_word', 'banned_word', 'subject']);
+            expect(rulesOf('爽やかな笑顔がブースの雰囲気に\nぴったりでした✨')).toEqual(['multiline']);
+            expect(validateComment('爽やかな笑顔が『星の物語』の世界観にぴったりでした✨').violations)
+                .toEqual([{ rule: 'proper_noun', message: '固有名詞「星の物語」が含まれています', detail: '星の物語' }]);
+        });
+
+        it('should not flag allowed words that contain a banned word', () => {
+            expect(validateComment('神秘的な雰囲気がブースのライティングに映えていました✨').valid).toBe(true);
+        });
+
+        it('should flag given proper nouns and capitalized words regardless of width', () => {
+            const properNouns = collectProperNouns({ boothName: 'SEGA', personName: '世森 響', eventInfo: { eventJp: '東京ゲームショウ' } });
+            expect(validateComment('ＳＥＧＡらしい華やかな雰囲気がとても印象的でした✨', {}, { properNouns }).violations.map(v => v.detail))
+                .toEqual(['SEGA']);
+            expect(validateComment('世森 響さんの笑顔がブースの雰囲気にぴったりでした✨', {}, { properNouns }).valid).toBe(false);
+        });
+
+        it('should not flag common acronyms or input words as capitalized proper nouns', () => {
+            expect(validateComment('LEDに照らされた笑顔がSNS映えしそうでOKでした✨').valid).toBe(true);
+            expect(validateComment('Liveステージの熱気に笑顔がぴったりでした✨', {}, { inputWords: ['Liveステージ'] }).valid).toBe(true);
+            expect(validateComment('Lunaさんの笑顔がLEDの光にぴったりでした✨', {}, { inputWords: ['Liveステージ'] }).violations.map(v => v.detail))
+                .toEqual(['Luna']);
+        });
+
+        it('should count length by code point', () => {
+            fc.assert(
+                fc.property(fc.string({ maxLength: 40 }), fc.integer({ min: 1, max: 40 }), fc.integer({ min: 1, max: 40 }), (comment, min, max) => {
+                    const rules = { minLength: min, maxLength: max };
+                    const result = validateComment(comment, rules);
+
+                    const length = [...comment.trim()].length;
+                    const resolved = normalizeCommentRules(rules);
+                    const tooLongOrShort = length < resolved.minLength || length > resolved.maxLength;
+                    expect(result.violations.some(v => v.rule === 'length')).toBe(tooLongOrShort);
+                }),
+                { numRuns: 200 }
+            );
+        });
+    });
+
+    describe('shipped templates', () => {
+        it('should accept every built-in template with the default rules apart from the exempt length', () => {
+            const rejected = commentTemplates.templates
+                .map(({ id, text, language = 'ja' }) => ({
+                    id,
+                    violations: validateComment(text, getLanguageRules({}, language), { language }).violations
+                        .filter(violation => !isLengthExempt(violation, 'rule_based'))
+                }))
+                .filter(({ violations }) => violations.length > 0);
+
+            expect(rejected).toEqual([]);
+        });
+
+        it('should keep the 20〜35 character rule for AI comments', () => {
+            expect(DEFAULT_COMMENT_RULES).toMatchObject({ minLength: 20, maxLength: 35 });
+            const [violation] = validateComment('印象的な笑顔でした✨').violations;
+            expect(violation.rule).toBe('length');
+            expect(isLengthExempt(violation, 'gemini')).toBe(false);
+            expect(isLengthExempt(violation, 'rule_based')).toBe(true);
+        });
+    });
+
+    describe('per-account rules', () => {
+        it('should use the posting account rules and fall back to the default profile', () => {
+            const settings = {
+                postingAccount: '@Photo_Account',
+                commentRules: {
+                    default: { maxLength: 40 },
+                    photo_account: { minLength: 10, maxLength: 25, bannedWords: 'エモい、尊い' }
+                }
+            };
+
+            expect(getCommentRules(settings)).toMatchObject({ minLength: 10, maxLength: 25, bannedWords: ['エモい', '尊い'] });
+            expect(getCommentRules(settings, 'other')).toMatchObject({ minLength: 20, maxLength: 40, bannedWords: DEFAULT_COMMENT_RULES.bannedWords });
+            expect(getCommentRules({})).toEqual(normalizeCommentRules());
+            expect(validateComment('とてもエモい一枚でした✨', getCommentRules(settings)).violations.map(v => v.rule)).toEqual(['banned_word']);
+        });
+
+        it('should keep maxLength at least minLength', () => {
+            expect(normalizeCommentRules({ minLength: 30, maxLength: 10 })).toMatchObject({ minLength: 30, maxLength: 30 });
+            expect(normalizeCommentRules(null)).toEqual(normalizeCommentRules());
+        });
+    });
+
+    describe('batch generation', () => {
+        it('should send the account rules and replace a comment that still breaks them', async () => {
+            const AppState = {
+                eventInfo: { eventEn: 'Validator Expo', date: '2025.02.01', category: 'ブース' },
+                settings: { rateLimits: { gemini: 0 }, postingAccount: 'studio', commentRules: { studio: { maxLength: 30 } } },
+                postQueue: [{ id: 'p0', boothName: 'SEGA', personRole: 'モデル', aiComment: '' }]
+            };
+            global.window = {
+                AppState,
+                generateRuleBasedComment,
+                updateQueueItem: (index, updates) => Object.assign(AppState.postQueue[index], updates)
+            };
+            global.fetch = vi.fn(async () => ({
+                ok: true,
+                json: async () => ({ comment: 'SEGAブースで神がかった笑顔でした', source: 'gemini' })
+            }));
+
+            await new BatchProcessor().generateComments([0], () => {}, { overwrite: true });
+
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.rules).toMatchObject({ minLength: 20, maxLength: 30 });
+            expect(body.proper_nouns).toEqual(['SEGA', 'Validator Expo']);
+            expect(AppState.postQueue[0].aiComment).not.toBe('SEGAブースで神がかった笑顔でした');
+            expect(AppState.postQueue[0].aiComment).toMatch(/✨$/);
+        });
+    });
+
+    describe('formatViolationFeedback', () => {
+        it('should quote the comment and list every violation', () => {
+            const comment = '神でした';
+            const feedback = formatViolationFeedback(comment, validateComment(comment).violations);
+            expect(feedback).toContain('「神でした」');
+            expect(feedback).toContain('「神」は使えません');
+            expect(feedback).toContain('最後に✨を付けてください');
+        });
+    });
+});
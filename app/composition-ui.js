@@ -0,0 +1,264 @@
+/**
+ * Composition UI
+ * 編集モーダルの複数画像（ALTテキスト・焦点）とスレッド返信先のUI
+ */
+
+import {
+    MAX_IMAGES_PER_POST,
+    getPostImages,
+    addPostImage,
+    removePostImage,
+    setPostImageAlt,
+    setPostImageFocus,
+    getThreadParent,
+    validateThreadParent
+} from './post-composition.js';
+import { formatQueueNumber } from './queue-number.js';
+
+
+// 画像圧縮関数（app.js から注入）
+let compressImageFn = async (dataUrl) => dataUrl;
+
+/**
+ * HTMLエスケープ
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+/**
+ * 編集中の投稿を取得
+ * @returns {{post: Object|null, index: number}}
+ */
+function getEditingPost() {
+    const index = window.AppState?.currentEditIndex;
+    if (index === null || index === undefined || index < 0) {
+        return { post: null, index: -1 };
+    }
+    return { post: window.AppState.postQueue[index] || null, index };
+}
+
+/**
+ * 投稿の表示ラベル（番号 + ブース/名前）
+ * @param {Object} post
+ * @param {number} index
+ * @returns {string}
+ */
+function getPostLabel(post, index) {
+    const number = formatQueueNumber(index);
+    const name = post.personName ? `${post.personName} さん` : (post.boothName || '未設定');
+    return `${number} ${name}`;
+}
+
+/**
+ * 編集モーダルの画像リストを描画
+ */
+export function renderEditImages() {
+    const list = document.getElementById('edit-image-list');
+    const addBtn = document.getElementById('edit-add-image-btn');
+    const { post } = getEditingPost();
+    if (!list || !post) return;
+
+    const images = getPostImages(post);
+
+    list.innerHTML = images.map((image, i) => `
+        <div class="edit-image-item" data-image-index="${i}">
+            <img class="edit-image-thumb" data-image-index="${i}" src="${image.base64 || (i === 0 && post.thumbnail) || ''}" alt="${escapeHtml(image.alt)}"
+                title="クリックで焦点を設定（Mastodon のトリミング）" style="object-position: ${toObjectPosition(image.focus)}">
+            <input type="text" class="edit-image-alt" data-image-index="${i}"
+                placeholder="ALTテキスト（画像の説明）" value="${escapeHtml(image.alt)}" maxlength="1000">
+            <button class="edit-image-remove" data-image-index="${i}" title="削除">✕</button>
+        </div>
+    `).join('');
+
+    if (addBtn) {
+        addBtn.disabled = images.length >= MAX_IMAGES_PER_POST;
+    }
+}
+
+/**
+ * 焦点を CSS の object-position に変換（サムネイルで切り抜かれ方を確認できる）
+ * @param {{x: number, y: number}} [focus]
+ * @returns {string}
+ */
+function toObjectPosition(focus) {
+    const x = ((focus?.x ?? 0) + 1) / 2;
+    const y = (1 - (focus?.y ?? 0)) / 2;
+    return `${Math.round(x * 100)}% ${Math.round(y * 100)}%`;
+}
+
+/**
+ * サムネイルのクリック位置から焦点を求める（object-fit: cover で切り抜かれた分を補正）
+ * @param {HTMLImageElement} img
+ * @param {MouseEvent} e
+ * @param {{x: number, y: number}} [current] - 現在の焦点
+ * @returns {{x: number, y: number}}
+ */
+function readFocusFromClick(img, e, current) {
+    const rect = img.getBoundingClientRect();
+    const scale = Math.max(rect.width / (img.naturalWidth || rect.width), rect.height / (img.naturalHeight || rect.height)) || 1;
+    const width = (img.naturalWidth || rect.width) * scale;
+    const height = (img.naturalHeight || rect.height) * scale;
+    const position = { x: ((current?.x ?? 0) + 1) / 2, y: (1 - (current?.y ?? 0)) / 2 };
+    const x = (e.clientX - rect.left + (width - rect.width) * position.x) / width;
+    const y = (e.clientY - rect.top + (height - rect.height) * position.y) / height;
+    return { x: x * 2 - 1, y: 1 - y * 2 };
+}
+
+/**
+ * 返信先セレクトを描画
+ */
+export function renderThreadParentOptions() {
+    const select = document.getElementById('edit-thread-parent');
+    const { post } = getEditingPost();
+    if (!select || !post) return;
+
+    const queue = window.AppState.postQueue;
+    const options = queue
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.id !== post.id && validateThreadParent(queue, post.id, item.id).valid)
+        .map(({ item, index }) => `<option value="${item.id}">${escapeHtml(getPostLabel(item, index))}</option>`);
+
+    select.innerHTML = `<option value="">-- なし（スレッドの先頭） --</option>${options.join('')}`;
+    select.value = post.threadParentId || '';
+}
+
+/**
+ * 選択中の返信先を取得（保存時に使用）
+ * @returns {{threadParentId: string|null, error?: string}}
+ */
+export function readThreadParentSelection() {
+    const select = document.getElementById('edit-thread-parent');
+    const { post } = getEditingPost();
+    if (!select || !post) return { threadParentId: post?.threadParentId || null };
+
+    const threadParentId = select.value || null;
+    const validation = validateThreadParent(window.AppState.postQueue, post.id, threadParentId);
+    if (!validation.valid) {
+        return { threadParentId: post.threadParentId || null, error: validation.error };
+    }
+    return { threadParentId };
+}
+
+/**
+ * キューアイテム用のバッジHTML（画像枚数・スレッド）
+ * @param {Object} post
+ * @param {Array<Object>} queue
+ * @returns {string}
+ */
+export function getCompositionBadgesHTML(post, queue) {
+    const badges = [];
+
+    const imageCount = getPostImages(post).length;
+    if (imageCount > 1) {
+        badges.push(`<span class="queue-badge queue-image-count" title="画像${imageCount}枚">🖼️×${imageCount}</span>`);
+    }
+
+    const parent = getThreadParent(queue, post);
+    if (parent) {
+        const parentIndex = queue.indexOf(parent);
+        badges.push(`<span class="queue-badge queue-thread" title="スレッド返信">↳ ${escapeHtml(getPostLabel(parent, parentIndex))}</span>`);
+    }
+
+    return badges.length > 0 ? `<div class="queue-badges">${badges.join('')}</div>` : '';
+}
+
+/**
+ * 編集中の投稿の画像を更新
+ * @param {Object} updates - { images, imageBase64 }
+ */
+function applyImageUpdates(updates) {
+    const { post } = getEditingPost();
+    if (!post) return;
+
+    Object.assign(post, updates);
+    renderEditImages();
+
+    const preview = document.getElementById('edit-image-preview');
+    if (preview) {
+        preview.innerHTML = updates.imageBase64
+            ? `<img src="${updates.imageBase64}" alt="Preview">`
+            : `<span class="photo-placeholder">📷 写真をドロップ</span>`;
+    }
+}
+
+/**
+ * ファイルを data URL として読み込む
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * イベントリスナーを初期化
+ * @param {Object} [options]
+ * @param {Function} [options.compressImage] - 画像圧縮関数
+ */
+export function initCompositionUI({ compressImage } = {}) {
+    if (typeof compressImage === 'function') {
+        compressImageFn = compressImage;
+    }
+
+    const addBtn = document.getElementById('edit-add-image-btn');
+    const addInput = document.getElementById('edit-add-image-input');
+    if (addBtn && addInput) {
+        addBtn.addEventListener('click', () => addInput.click());
+        addInput.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files || []).filter(file => file.type.startsWith('image/'));
+            e.target.value = '';
+
+            for (const file of files) {
+                const { post } = getEditingPost();
+                if (!post) return;
+                try {
+                    const compressed = await compressImageFn(await readFileAsDataUrl(file));
+                    applyImageUpdates(addPostImage(post, compressed));
+                } catch (error) {
+                    if (typeof window.showToast === 'function') {
+                        window.showToast(error.message, 'error');
+                    }
+                    break;
+                }
+            }
+        });
+    }
+
+    const list = document.getElementById('edit-image-list');
+    if (list) {
+        list.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('edit-image-alt')) return;
+            const { post } = getEditingPost();
+            if (!post) return;
+            // 入力中は再描画せずにデータだけ更新
+            Object.assign(post, setPostImageAlt(post, Number(e.target.dataset.imageIndex), e.target.value));
+        });
+
+        list.addEventListener('click', (e) => {
+            const { post } = getEditingPost();
+            if (!post) return;
+
+            if (e.target.classList.contains('edit-image-thumb')) {
+                const index = Number(e.target.dataset.imageIndex);
+                const focus = readFocusFromClick(e.target, e, getPostImages(post)[index]?.focus);
+                Object.assign(post, setPostImageFocus(post, index, focus));
+                e.target.style.objectPosition = toObjectPosition(getPostImages(post)[index].focus);
+                return;
+            }
+            if (!e.target.classList.contains('edit-image-remove')) return;
+            applyImageUpdates(removePostImage(post, Number(e.target.dataset.imageIndex)));
+        });
+    }
+
+    console.log('[CompositionUI] Initialized');
+}
@@ -0,0 +1,192 @@
+/**
+ * Consent Guard
+ * 人物ごとの掲載の同意（人物データベースの PersonRecord.consent）で投稿の送信を止める・警告する
+ *
+ * - 掲載NGの人物を含む投稿は送信しない
+ * - 要確認の人物を含む投稿は、承認の内容を入力して確認を省いたときだけ送信する（post.consentOverride）
+ * - 確認を省いた送信と同意の変更は監査ログに残す（audit-log.js）
+ */
+
+import { PersonDatabase, CONSENT_STATUSES, normalizeNameKey, normalizePersonConsent } from './person-database.js';
+import { getPostPeople } from './post-layout.js';
+import { auditLog } from './audit-log.js';
+
+// 同意の重さ（投稿の状態は含まれる人物のうち最も重いもの）
+const CONSENT_SEVERITY = {
+    allowed: 0,
+    ask: 1,
+    never: 2
+};
+
+/**
+ * 同意の確認が必要なときのエラー
+ */
+class ConsentError extends Error {
+    /**
+     * @param {ConsentCheck} check
+     */
+    constructor(check) {
+        const names = check.persons.filter(person => person.consent.status === check.status).map(person => person.name);
+        super(check.status === 'never'
+            ? `掲載NGの人物が含まれています: ${names.join('、')}`
+            : `掲載に承認が必要な人物が含まれています: ${names.join('、')}`);
+        this.name = 'ConsentError';
+        this.status = check.status;
+        this.persons = check.persons;
+        this.check = check;
+    }
+}
+
+/**
+ * 投稿の同意の検査結果
+ * @typedef {Object} ConsentCheck
+ * @property {string} status - 'allowed' | 'ask' | 'never'
+ * @property {Array<{id: string, name: string, consent: Object}>} persons - 人物データベースで見つかった人物
+ */
+
+/**
+ * 投稿に登場する人物を人物データベースから探す（アカウント、なければ名前・別名で一致）
+ * @param {Object} post
+ * @param {Array<Object>} persons - PersonRecord の配列
+ * @returns {Array<Object>}
+ */
+function findPostPersons(post, persons) {
+    const found = new Map();
+
+    getPostPeople(post).forEach(({ name, account }) => {
+        const handle = String(account || '').normalize('NFKC').trim().replace(/^@/, '').toLowerCase();
+        const nameKey = normalizeNameKey(name);
+        const record = (handle && persons.find(person =>
+            Object.values(person.accounts || {}).some(value => value && value.replace(/^@/, '').toLowerCase() === handle)
+        )) || (nameKey && persons.find(person =>
+            [person.name, ...(person.aliases || [])].some(value => normalizeNameKey(value) === nameKey)
+        ));
+        if (record) found.set(record.id, record);
+    });
+
+    return [...found.values()];
+}
+
+/**
+ * 投稿の同意を検査
+ * @param {Object} post
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.persons] - 省略時は保存済みの人物データベース
+ * @returns {ConsentCheck}
+ */
+function checkPostConsent(post, { persons = new PersonDatabase().getAll() } = {}) {
+    const matched = findPostPersons(post, persons).map(person => ({
+        id: person.id,
+        name: person.name,
+        consent: normalizePersonConsent(person.consent)
+    }));
+    const status = matched.reduce(
+        (worst, person) => (CONSENT_SEVERITY[person.consent.status] > CONSENT_SEVERITY[worst] ? person.consent.status : worst),
+        'allowed'
+    );
+    return { status, persons: matched };
+}
+
+/**
+ * 要確認の人物がすべて確認を省いた対象に含まれているか
+ * @param {Object} post
+ * @param {ConsentCheck} check
+ * @returns {boolean}
+ */
+function isConsentOverridden(post, check) {
+    const overridden = new Set(post.consentOverride?.personIds || []);
+    return check.persons
+        .filter(person => person.consent.status === 'ask')
+        .every(person => overridden.has(person.id));
+}
+
+/**
+ * 送信前の確認（掲載NG、または確認を省いていない要確認の人物がいれば ConsentError）
+ * @param {Object} post
+ * @param {Object} [options] - checkPostConsent と同じ
+ * @returns {ConsentCheck}
+ * @throws {ConsentError}
+ */
+function ensurePostConsent(post, options = {}) {
+    const check = checkPostConsent(post, options);
+    if (check.status === 'never' || (check.status === 'ask' && !isConsentOverridden(post, check))) {
+        throw new ConsentError(check);
+    }
+    return check;
+}
+
+/**
+ * 要確認の人物の確認を省いて送信できるようにし、監査ログに残す
+ * 掲載NGの人物は対象にしない
+ * @param {Object} post
+ * @param {ConsentCheck} check
+ * @param {Object} options
+ * @param {string} options.reason - 承認の内容（誰から・いつ）
+ * @param {string} [options.source] - 'send' | 'batch' | 'schedule'
+ * @returns {{personIds: Array<string>, reason: string, createdAt: number}} - post.consentOverride に保存する値
+ */
+function overridePostConsent(post, check, { reason, source = 'send' }) {
+    const persons = check.persons.filter(person => person.consent.status === 'ask');
+    const entry = auditLog.record('consent_override', {
+        postId: post.id,
+        persons: persons.map(person => ({ id: person.id, name: person.name, status: person.consent.status })),
+        reason: String(reason || '').trim(),
+        source
+    });
+
+    return {
+        personIds: [...new Set([...(post.consentOverride?.personIds || []), ...persons.map(person => person.id)])],
+        reason: entry.reason,
+        createdAt: entry.createdAt
+    };
+}
+
+/**
+ * 人物の同意を記録し、監査ログに残す
+ * @param {PersonDatabase} personDb
+ * @param {string} id - 人物のレコードID
+ * @param {Object} consent - { status, note }
+ * @param {Object} [options]
+ * @param {string} [options.source]
+ * @returns {Object|null} - 更新した PersonRecord
+ */
+function recordPersonConsent(personDb, id, consent, { source = 'edit' } = {}) {
+    const previous = personDb.getById(id)?.consent;
+    const record = personDb.setConsent(id, consent);
+    if (!record) return null;
+
+    auditLog.record('consent_changed', {
+        persons: [{ id: record.id, name: record.name, status: record.consent.status }],
+        previousStatus: normalizePersonConsent(previous).status,
+        reason: record.consent.note,
+        source
+    });
+    return record;
+}
+
+/**
+ * 同意の表示（例: 要確認（事務所の承認が必要・2025/09/01 記録））
+ * @param {Object} consent
+ * @returns {string}
+ */
+function describeConsent(consent) {
+    const { status, note, recordedAt } = normalizePersonConsent(consent);
+    const details = [
+        note,
+        recordedAt ? `${new Date(recordedAt).toLocaleDateString('ja-JP')} 記録` : ''
+    ].filter(Boolean);
+    return `${CONSENT_STATUSES[status]}${details.length > 0 ? `（${details.join('・')}）` : ''}`;
+}
+
+// Export for use in other modules
+export {
+    ConsentError,
+    CONSENT_STATUSES,
+    findPostPersons,
+    checkPostConsent,
+    isConsentOverridden,
+    ensurePostConsent,
+    overridePostConsent,
+    recordPersonConsent,
+    describeConsent
+};
@@ -0,0 +1,193 @@
+/**
+ * Consent Guard Tests
+ * 人物ごとの掲載の同意の記録・投稿の検査・確認を省いた送信と監査ログ
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    ConsentError,
+    findPostPersons,
+    checkPostConsent,
+    ensurePostConsent,
+    overridePostConsent,
+    recordPersonConsent,
+    describeConsent
+} from './consent-guard.js';
+import { PersonDatabase, normalizePersonConsent } from './person-database.js';
+import { AuditLog } from './audit-log.js';
+import { BatchProcessor, batchProcessor } from './batch-processor.js';
+import { retryAllFailed, confirmSend } from './batch-ui.js';
+
+describe('ConsentGuard', () => {
+    let personDb;
+    let hibiki;
+    let mio;
+
+    beforeEach(() => {
+        localStorage.clear();
+        personDb = new PersonDatabase();
+        hibiki = personDb.add({ name: '世森 響', account: 'hibikiyomori', role: 'RQ', aliases: ['ひびき'] });
+        mio = personDb.add({ name: '水瀬 澪', account: 'mio_minase', role: 'モデル' });
+    });
+
+    describe('PersonDatabase consent', () => {
+        it('should default to allowed and record status, note and date', () => {
+            expect(hibiki.consent).toEqual({ status: 'allowed', note: '', recordedAt: null });
+
+            personDb.setConsent(hibiki.id, { status: 'ask', note: ' 事務所の承認が必要 ' }, 1750000000000);
+
+            expect(new PersonDatabase().getById(hibiki.id).consent).toEqual({
+                status: 'ask',
+                note: '事務所の承認が必要',
+                recordedAt: 1750000000000
+            });
+            expect(normalizePersonConsent({ status: 'maybe', recordedAt: 'x' })).toEqual({ status: 'allowed', note: '', recordedAt: null });
+        });
+    });
+
+    describe('checkPostConsent', () => {
+        it('should find people by account, then by name or alias', () => {
+            const persons = new PersonDatabase().getAll();
+
+            expect(findPostPersons({ personName: '別名', personAccount: '＠HibikiYomori' }, persons).map(p => p.id)).toEqual([hibiki.id]);
+            expect(findPostPersons({ personName: 'ヒビキ、水瀬澪' }, persons).map(p => p.id)).toEqual([hibiki.id, mio.id]);
+            expect(findPostPersons({ personName: '知らない人', personAccount: '@someone' }, persons)).toEqual([]);
+        });
+
+        it('should use the strictest status of everyone in the post', () => {
+            personDb.setConsent(hibiki.id, { status: 'ask' });
+            personDb.setConsent(mio.id, { status: 'never' });
+            const post = { id: 'p1', personName: '世森 響、水瀬 澪', personAccount: '@hibikiyomori @mio_minase' };
+
+            expect(checkPostConsent(post).status).toBe('never');
+            expect(checkPostConsent({ ...post, personName: '世森 響', personAccount: '@hibikiyomori' }).status).toBe('ask');
+            expect(checkPostConsent({ personName: '知らない人' })).toEqual({ status: 'allowed', persons: [] });
+        });
+    });
+
+    describe('overrides', () => {
+        it('should require an override for ask-first people and log it', () => {
+            personDb.setConsent(hibiki.id, { status: 'ask', note: '事務所の承認が必要' });
+            const post = { id: 'p1', personName: '世森 響', personAccount: '@hibikiyomori' };
+
+            const error = (() => {
+                try {
+                    ensurePostConsent(post);
+                } catch (e) {
+                    return e;
+                }
+            })();
+            expect(error).toBeInstanceOf(ConsentError);
+            expect(error.status).toBe('ask');
+            expect(error.message).toContain('世森 響');
+
+            const consentOverride = overridePostConsent(post, error.check, { reason: ' 9/1 事務所の田中さんから承認 ', source: 'send' });
+            expect(consentOverride.personIds).toEqual([hibiki.id]);
+            expect(ensurePostConsent({ ...post, consentOverride }).status).toBe('ask');
+
+            const [entry] = new AuditLog().getAll({ action: 'consent_override' });
+            expect(entry).toMatchObject({
+                postId: 'p1',
+                persons: [{ id: hibiki.id, name: '世森 響', status: 'ask' }],
+                reason: '9/1 事務所の田中さんから承認',
+                source: 'send'
+            });
+        });
+
+        it('should ask again when another ask-first person is added', () => {
+            personDb.setConsent(hibiki.id, { status: 'ask' });
+            personDb.setConsent(mio.id, { status: 'ask' });
+            const post = { id: 'p1', personName: '世森 響', consentOverride: { personIds: [hibiki.id] } };
+
+            expect(() => ensurePostConsent(post)).not.toThrow();
+            expect(() => ensurePostConsent({ ...post, personName: '世森 響、水瀬 澪' })).toThrow(ConsentError);
+        });
+
+        it('should never send posts with people who declined, even with an override', async () => {
+            personDb.setConsent(mio.id, { status: 'never' });
+            const queue = [{ id: 'p1', personName: '水瀬 澪', status: 'ready', aiComment: '', consentOverride: { personIds: [mio.id] } }];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const publisher = { publish: vi.fn() };
+
+            await expect(new BatchProcessor().sendSinglePost(0, publisher)).rejects.toThrow('掲載NG');
+            expect(publisher.publish).not.toHaveBeenCalled();
+            expect(queue[0].status).toBe('ready');
+        });
+
+        it('should ask for approval before retrying failed posts', () => {
+            personDb.setConsent(hibiki.id, { status: 'ask' });
+            const queue = [{ id: 'p1', personName: '世森 響', status: 'failed', aiComment: '' }];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const sendPosts = vi.spyOn(batchProcessor, 'sendPosts').mockResolvedValue({ success: 1, failed: 0, errors: [] });
+            const confirm = vi.fn(() => true);
+            const prompt = vi.fn(() => '');
+            vi.stubGlobal('confirm', confirm);
+            vi.stubGlobal('prompt', prompt);
+
+            try {
+                retryAllFailed();
+                expect(confirm.mock.calls[0][0]).toContain('掲載に承認が必要な人物を含む投稿');
+                expect(sendPosts).not.toHaveBeenCalled();
+
+                prompt.mockReturnValue('事務所の承認（9/1）');
+                retryAllFailed();
+                expect(sendPosts).toHaveBeenCalledWith([0], expect.any(Function));
+                expect(queue[0].consentOverride).toMatchObject({ personIds: [hibiki.id] });
+            } finally {
+                sendPosts.mockRestore();
+                vi.unstubAllGlobals();
+            }
+        });
+
+        it('should not record content warnings when the approval is cancelled', () => {
+            personDb.setConsent(hibiki.id, { status: 'ask' });
+            const queue = [{ id: 'p1', personName: '世森 響', status: 'failed', aiComment: '〒100-0001 の会場でした✨' }];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            vi.stubGlobal('confirm', vi.fn(() => true));
+            const prompt = vi.fn(() => null);
+            vi.stubGlobal('prompt', prompt);
+
+            try {
+                expect(confirmSend([0], { getMessage: count => `${count}件の投稿を送信しますか？` })).toEqual([]);
+                expect(queue[0].contentAcknowledged).toBeUndefined();
+                expect(queue[0].consentOverride).toBeUndefined();
+
+                prompt.mockReturnValue('事務所の承認（9/1）');
+                expect(confirmSend([0], { getMessage: count => `${count}件の投稿を送信しますか？` })).toEqual([0]);
+                expect(queue[0].contentAcknowledged).toEqual(['postal-code:〒100-0001']);
+            } finally {
+                vi.unstubAllGlobals();
+            }
+        });
+    });
+
+    describe('recordPersonConsent', () => {
+        it('should log consent changes with the previous status', () => {
+            recordPersonConsent(personDb, hibiki.id, { status: 'never', note: '本人の希望' });
+
+            expect(new PersonDatabase().getById(hibiki.id).consent.status).toBe('never');
+            expect(new AuditLog().getAll({ action: 'consent_changed' })[0]).toMatchObject({
+                persons: [{ id: hibiki.id, status: 'never' }],
+                previousStatus: 'allowed',
+                reason: '本人の希望',
+                source: 'edit'
+            });
+            expect(recordPersonConsent(personDb, 'missing', { status: 'never' })).toBeNull();
+        });
+
+        it('should describe the consent with its note and date', () => {
+            expect(describeConsent({ status: 'never' })).toBe('掲載NG');
+            expect(describeConsent({ status: 'ask', note: '事務所経由', recordedAt: new Date(2025, 8, 1).getTime() }))
+                .toBe('要確認（事務所経由・2025/9/1 記録）');
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Consent UI
+ * 編集モーダルの掲載の同意のバッジと、人物ごとの同意の記録
+ */
+
+import { PersonDatabase } from './person-database.js';
+import { CONSENT_STATUSES, findPostPersons, describeConsent, recordPersonConsent } from './consent-guard.js';
+
+/**
+ * HTMLエスケープ
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * 編集中の入力欄の人物
+ * @returns {{personName: string, personAccount: string}}
+ */
+function readPersonInputs() {
+    return {
+        personName: document.getElementById('edit-person-name')?.value || '',
+        personAccount: document.getElementById('edit-person-account')?.value || ''
+    };
+}
+
+/**
+ * トースト表示（app.js の showToast があれば使う）
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type = 'info') {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * 編集モーダルの同意のバッジを描画（モーダルを開いたとき・人物を変更したとき）
+ */
+export function renderEditConsent() {
+    const container = document.getElementById('edit-consent-status');
+    if (!container) return;
+
+    const persons = findPostPersons(readPersonInputs(), new PersonDatabase().getAll());
+    const options = status => Object.entries(CONSENT_STATUSES)
+        .map(([value, label]) => `<option value="${value}" ${value === status ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    container.innerHTML = persons.map(person => `
+        <div class="consent-person" data-person-id="${escapeHtml(person.id)}">
+            <span class="consent-badge consent-${person.consent.status}" title="${escapeHtml(describeConsent(person.consent))}">${CONSENT_STATUSES[person.consent.status]}</span>
+            <span class="consent-person-name">${escapeHtml(person.name)}</span>
+            ${person.consent.note ? `<span class="consent-note">${escapeHtml(person.consent.note)}</span>` : ''}
+            <details class="consent-editor">
+                <summary>変更</summary>
+                <select data-consent-field="status">${options(person.consent.status)}</select>
+                <input type="text" data-consent-field="note" value="${escapeHtml(person.consent.note)}" placeholder="メモ（事務所の承認が必要など）">
+                <button type="button" class="btn btn-ghost btn-small" data-consent-save>記録</button>
+            </details>
+        </div>`).join('');
+    container.hidden = persons.length === 0;
+}
+
+/**
+ * イベントリスナーを初期化
+ */
+export function initConsentUI() {
+    ['edit-person-name', 'edit-person-account'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', renderEditConsent);
+    });
+
+    document.getElementById('edit-consent-status')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-consent-save]');
+        if (!button) return;
+
+        const row = button.closest('.consent-person');
+        const status = row.querySelector('[data-consent-field="status"]').value;
+        const note = row.querySelector('[data-consent-field="note"]').value;
+        const record = recordPersonConsent(new PersonDatabase(), row.dataset.personId, { status, note });
+        if (!record) {
+            notify('人物が見つかりませんでした', 'error');
+            return;
+        }
+        notify(`${record.name} さんの掲載の同意を「${CONSENT_STATUSES[record.consent.status]}」で記録しました`, 'success');
+        renderEditConsent();
+    });
+
+    console.log('[ConsentUI] Initialized');
+}
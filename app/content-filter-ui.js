@@ -0,0 +1,230 @@
+/**
+ * Content Filter UI
+ * NGワード・個人情報のフィルタの管理モーダル（ルールの追加・編集・無効化・試す・書き出し/取り込み）
+ */
+
+import {
+    contentFilter,
+    matchRule,
+    RULE_TYPES,
+    FILTER_SEVERITIES,
+    FILTER_TARGETS
+} from './content-filter.js';
+
+/**
+ * トーストを表示
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type) {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * HTMLエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * 重大度の選択肢
+ * @param {string} selected
+ * @returns {string}
+ */
+function renderSeverityOptions(selected) {
+    return Object.entries(FILTER_SEVERITIES)
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+}
+
+/**
+ * ルール一覧を描画
+ */
+function renderRuleList() {
+    const tbody = document.getElementById('content-filter-list');
+    if (!tbody) return;
+
+    tbody.innerHTML = contentFilter.getAll().map(rule => `
+        <tr class="${rule.disabled ? 'is-disabled' : ''}" data-rule-id="${escapeHtml(rule.id)}">
+            <td><input type="checkbox" data-action="toggle" ${rule.disabled ? '' : 'checked'} title="使う"></td>
+            <td><input type="text" data-action="name" value="${escapeHtml(rule.name)}"><br><small>${RULE_TYPES[rule.type]}</small></td>
+            <td>${rule.type === 'regex'
+                ? `<input type="text" data-action="pattern" value="${escapeHtml(rule.pattern)}" spellcheck="false">`
+                : `<textarea data-action="words" rows="2" placeholder="1行に1語（カンマ区切りも可）">${escapeHtml(rule.words.join('\n'))}</textarea>`}</td>
+            <td><select data-action="severity">${renderSeverityOptions(rule.severity)}</select></td>
+            <td class="content-filter-targets">${Object.entries(FILTER_TARGETS).map(([target, label]) => `
+                <label><input type="checkbox" data-action="target" value="${target}" ${rule.targets.includes(target) ? 'checked' : ''}>${label}</label>`).join('')}
+            </td>
+            <td>
+                ${rule.builtin
+                    ? (contentFilter.isCustomized(rule.id)
+                        ? '<button class="btn btn-ghost btn-small" data-action="remove" type="button" title="標準に戻す">↩️</button>'
+                        : '')
+                    : '<button class="btn btn-ghost btn-small" data-action="remove" type="button" title="削除">🗑️</button>'}
+            </td>
+        </tr>
+    `).join('');
+    renderTestResult();
+}
+
+/**
+ * 試し入力の一致を描画
+ */
+function renderTestResult() {
+    const input = document.getElementById('content-filter-test-input');
+    const output = document.getElementById('content-filter-test-result');
+    if (!input || !output) return;
+
+    const results = contentFilter.getActive()
+        .map(rule => ({ rule, matches: matchRule(rule, input.value) }))
+        .filter(({ matches }) => matches.length > 0);
+
+    output.innerHTML = results.map(({ rule, matches }) => `
+        <span class="content-filter-hit content-filter-${rule.severity}">${escapeHtml(rule.name)}: ${matches.map(escapeHtml).join('、')}</span>
+    `).join('') || (input.value.trim() ? '<span class="content-filter-hit">一致するルールはありません</span>' : '');
+}
+
+/**
+ * 一覧の操作
+ * @param {Event} e
+ */
+function handleListChange(e) {
+    const row = e.target.closest('tr[data-rule-id]');
+    const action = e.target.dataset.action;
+    if (!row || !action) return;
+
+    const id = row.dataset.ruleId;
+    let updated = true;
+    if (action === 'toggle') {
+        contentFilter.setDisabled(id, !e.target.checked);
+    } else if (action === 'name' || action === 'pattern' || action === 'words' || action === 'severity') {
+        updated = !!contentFilter.update(id, { [action]: e.target.value });
+    } else if (action === 'target') {
+        const targets = [...row.querySelectorAll('[data-action="target"]:checked')].map(input => input.value);
+        updated = targets.length > 0 && !!contentFilter.update(id, { targets });
+    }
+    if (!updated) {
+        notify(action === 'pattern' ? '正規表現が正しくありません' : 'ルールを保存できませんでした', 'error');
+    }
+    renderRuleList();
+}
+
+/**
+ * 一覧のボタン操作
+ * @param {Event} e
+ */
+function handleListClick(e) {
+    const button = e.target.closest('button[data-action="remove"]');
+    const row = button?.closest('tr[data-rule-id]');
+    if (!row) return;
+
+    contentFilter.remove(row.dataset.ruleId);
+    renderRuleList();
+}
+
+/**
+ * ルールを追加
+ */
+function addRule() {
+    const nameInput = document.getElementById('content-filter-new-name');
+    const valueInput = document.getElementById('content-filter-new-value');
+    const type = document.getElementById('content-filter-new-type')?.value || 'words';
+
+    try {
+        contentFilter.add({
+            name: nameInput?.value,
+            type,
+            pattern: valueInput?.value,
+            words: valueInput?.value,
+            severity: document.getElementById('content-filter-new-severity')?.value || 'warn'
+        });
+    } catch (error) {
+        notify(type === 'regex' ? '名前と正しい正規表現を入力してください' : '名前と語を入力してください', 'error');
+        return;
+    }
+
+    if (nameInput) nameInput.value = '';
+    if (valueInput) valueInput.value = '';
+    renderRuleList();
+    notify('ルールを追加しました', 'success');
+}
+
+/**
+ * ルール集を書き出す
+ */
+function exportRules() {
+    const content = JSON.stringify(contentFilter.export(), null, 2);
+    const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `content-filter-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 書き出したルール集を取り込む
+ * @param {File} file
+ */
+async function importRules(file) {
+    try {
+        const result = contentFilter.import(JSON.parse(await file.text()));
+        renderRuleList();
+        notify(`ルールを取り込みました（追加${result.added}件 / 更新${result.updated}件 / スキップ${result.skipped}件）`, 'success');
+    } catch (error) {
+        console.error('[ContentFilterUI] Import failed:', error);
+        notify('ルール集を読み込めませんでした', 'error');
+    }
+}
+
+/**
+ * 管理モーダルを開く
+ */
+function openFilterModal() {
+    const modal = document.getElementById('content-filter-modal');
+    if (!modal) return;
+
+    renderRuleList();
+    modal.classList.add('active');
+}
+
+/**
+ * 管理モーダルを閉じる
+ */
+function closeFilterModal() {
+    document.getElementById('content-filter-modal')?.classList.remove('active');
+}
+
+/**
+ * フィルタ管理UIを初期化
+ */
+export function initContentFilterUI() {
+    document.getElementById('content-filter-open-btn')?.addEventListener('click', openFilterModal);
+    document.getElementById('close-content-filter')?.addEventListener('click', closeFilterModal);
+    document.getElementById('close-content-filter-btn')?.addEventListener('click', closeFilterModal);
+    document.getElementById('content-filter-add-btn')?.addEventListener('click', addRule);
+    document.getElementById('content-filter-export-btn')?.addEventListener('click', exportRules);
+    document.getElementById('content-filter-test-input')?.addEventListener('input', renderTestResult);
+
+    const tbody = document.getElementById('content-filter-list');
+    tbody?.addEventListener('change', handleListChange);
+    tbody?.addEventListener('click', handleListClick);
+
+    const fileInput = document.getElementById('content-filter-import-input');
+    document.getElementById('content-filter-import-btn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (file) importRules(file);
+    });
+}
@@ -0,0 +1,615 @@
+/**
+ * Content Filter
+ * 送信前に投稿文・一言コメント・画像の ALT テキストを検査する（NGワード・作品名やキャラクター名・電話番号やメールアドレス）
+ *
+ * - ルールは正規表現か語の一覧で、重大度は block（送信しない）か warn（確認して送信）
+ * - 標準のルールは DEFAULT_FILTER_RULES、変更と追加したルールはローカルに保存して標準のルールに重ねる
+ * - ルール集は書き出し・取り込みでき、バックアップにも含める（backup-manager.js）
+ * - 確認して送信した warn は投稿に記録し（post.contentAcknowledged）、確認ダイアログを出せない
+ *   予約投稿のディスパッチャーは記録のない warn を block と同じく送信しない
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+import { getPostImages } from './post-composition.js';
+
+const CONTENT_FILTER_KEY = 'autopost_content_filter';
+const FILTER_EXPORT_FORMAT = 'autopost-content-filter';
+const MAX_CUSTOM_RULES = 200;
+
+// 1つのルールで同じ文から報告する一致の数
+const MAX_MATCHES_PER_TEXT = 5;
+
+const RULE_TYPES = {
+    regex: '正規表現',
+    words: '語の一覧'
+};
+
+const FILTER_SEVERITIES = {
+    block: '送信しない',
+    warn: '確認して送信'
+};
+
+const FILTER_TARGETS = {
+    text: '投稿文',
+    comment: '一言コメント',
+    alt: 'ALTテキスト'
+};
+
+/**
+ * フィルタのルール
+ * @typedef {Object} FilterRule
+ * @property {string} id - 'phone' / 'custom_...'
+ * @property {string} name - 表示名
+ * @property {string} type - 'regex' | 'words'
+ * @property {string} pattern - 正規表現（type: 'regex'）
+ * @property {string} flags - 正規表現のフラグ（'g' は常に付ける）
+ * @property {Array<string>} words - 語の一覧（type: 'words'、大文字小文字・全角半角を区別しない）
+ * @property {string} severity - 'block' | 'warn'
+ * @property {Array<string>} targets - FILTER_TARGETS のキー
+ * @property {boolean} disabled
+ * @property {boolean} builtin - DEFAULT_FILTER_RULES のルールか
+ * @property {number} [updatedAt]
+ */
+
+/**
+ * 検査で見つかった箇所
+ * @typedef {Object} FilterFinding
+ * @property {string} ruleId
+ * @property {string} ruleName
+ * @property {string} severity - 'block' | 'warn'
+ * @property {string} target - 'text' | 'comment' | 'alt'
+ * @property {string} location - 'x1' / 'replies.x1.0' / 'localized.en' / 'images.1' など
+ * @property {string} match - 一致した文字列
+ */
+
+const DEFAULT_FILTER_RULES = [
+    {
+        id: 'phone',
+        name: '電話番号',
+        type: 'regex',
+        pattern: '(?<!\\d)(?:0[5789]0[-\\s]?\\d{4}[-\\s]?\\d{4}|0\\d{1,4}-\\d{1,4}-\\d{4})(?!\\d)',
+        severity: 'block',
+        targets: ['text', 'comment', 'alt']
+    },
+    {
+        id: 'email',
+        name: 'メールアドレス',
+        type: 'regex',
+        // @user@mastodon.social のような Fediverse のアカウントは除く
+        pattern: '(?<![@\\w.+-])[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)*\\.[a-z]{2,}',
+        flags: 'i',
+        severity: 'block',
+        targets: ['text', 'comment', 'alt']
+    },
+    {
+        id: 'postal-code',
+        name: '郵便番号',
+        type: 'regex',
+        pattern: '〒\\s?\\d{3}-?\\d{4}',
+        severity: 'warn',
+        targets: ['text', 'comment', 'alt']
+    },
+    {
+        id: 'ng-words',
+        name: 'NGワード',
+        type: 'words',
+        words: ['盗撮', 'パンチラ', '死ね', '殺す'],
+        severity: 'block',
+        targets: ['text', 'comment', 'alt']
+    },
+    {
+        id: 'proper-nouns',
+        name: '作品名・キャラクター名',
+        type: 'words',
+        // コメント生成のプロンプトで固有名詞を禁止しているため、一言コメントと ALT テキストだけを検査する
+        words: [],
+        severity: 'warn',
+        targets: ['comment', 'alt']
+    }
+];
+
+/**
+ * Generate unique ID
+ * @returns {string}
+ */
+function generateRuleId() {
+    return `custom_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * 比較用に文字列を揃える（全角英数・半角カナを NFKC でまとめる）
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeFilterText(text) {
+    return String(text || '').normalize('NFKC');
+}
+
+/**
+ * 語の一覧を整える（改行・カンマ・読点区切りの文字列も受け付ける）
+ * @param {Array<string>|string} words
+ * @returns {Array<string>}
+ */
+function normalizeWords(words) {
+    const list = Array.isArray(words) ? words : String(words || '').split(/[\n,、]/);
+    return [...new Set(list.map(word => String(word).trim()).filter(Boolean))];
+}
+
+/**
+ * ルールの正規表現を作る（不正なものは null）
+ * @param {string} pattern
+ * @param {string} flags
+ * @returns {RegExp|null}
+ */
+function compileRulePattern(pattern, flags = '') {
+    try {
+        return new RegExp(pattern, `${String(flags).replace(/[gy]/g, '')}g`);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * ルールを検証して整える（不正なものは null）
+ * @param {Object} raw
+ * @param {Object} [defaults]
+ * @returns {FilterRule|null}
+ */
+function normalizeFilterRule(raw, defaults = {}) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const rule = { ...defaults, ...raw };
+    const name = String(rule.name || '').trim();
+    if (!rule.id || !name || !(rule.type in RULE_TYPES)) return null;
+
+    const pattern = rule.type === 'regex' ? String(rule.pattern || '') : '';
+    const flags = rule.type === 'regex' ? String(rule.flags || '').replace(/[^imsu]/g, '') : '';
+    if (rule.type === 'regex' && (!pattern || !compileRulePattern(pattern, flags))) return null;
+
+    const targets = (Array.isArray(rule.targets) ? rule.targets : Object.keys(FILTER_TARGETS))
+        .filter(target => target in FILTER_TARGETS);
+
+    return {
+        id: String(rule.id),
+        name,
+        type: rule.type,
+        pattern,
+        flags,
+        words: rule.type === 'words' ? normalizeWords(rule.words) : [],
+        severity: rule.severity in FILTER_SEVERITIES ? rule.severity : 'warn',
+        targets: targets.length > 0 ? [...new Set(targets)] : Object.keys(FILTER_TARGETS),
+        disabled: !!rule.disabled,
+        builtin: !!rule.builtin,
+        ...(rule.updatedAt ? { updatedAt: rule.updatedAt } : {})
+    };
+}
+
+// 標準のルール（ID → ルール）
+const BUILTIN_RULES = new Map(
+    DEFAULT_FILTER_RULES
+        .map(raw => normalizeFilterRule({ ...raw, builtin: true }))
+        .map(rule => [rule.id, rule])
+);
+
+/**
+ * 文字列の中でルールに一致する箇所
+ * @param {FilterRule} rule
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function matchRule(rule, text) {
+    const source = normalizeFilterText(text);
+    const matches = [];
+
+    if (rule.type === 'regex') {
+        const regex = compileRulePattern(rule.pattern, rule.flags);
+        for (const match of source.matchAll(regex || /$^/g)) {
+            if (match[0]) matches.push(match[0]);
+            if (matches.length >= MAX_MATCHES_PER_TEXT) break;
+        }
+    } else {
+        const lower = source.toLowerCase();
+        rule.words.forEach(word => {
+            const start = lower.indexOf(normalizeFilterText(word).toLowerCase());
+            if (start >= 0 && matches.length < MAX_MATCHES_PER_TEXT) {
+                matches.push(source.slice(start, start + normalizeFilterText(word).length));
+            }
+        });
+    }
+
+    return [...new Set(matches)];
+}
+
+/**
+ * 投稿文の文字列を場所ごとに集める（生成した投稿文・スレッドの続き・多言語の投稿文）
+ * @param {Object} templates - generatePostTemplatesForItem / fitPostTemplates の結果
+ * @returns {Array<{location: string, text: string}>}
+ */
+function collectTemplateTexts(templates) {
+    const texts = [];
+    const walk = (value, path) => {
+        if (typeof value === 'string') {
+            if (value.trim()) texts.push({ location: path.join('.'), text: value });
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, [...path, String(index)]));
+        } else if (value && typeof value === 'object') {
+            Object.entries(value)
+                .filter(([key]) => path.length > 0 || key !== 'overflow')
+                .forEach(([key, item]) => walk(item, [...path, key]));
+        }
+    };
+    walk(templates || {}, []);
+
+    // draft と x1 など同じ文面は1回だけ検査する
+    const seen = new Set();
+    return texts.filter(({ text }) => !seen.has(text) && seen.add(text));
+}
+
+/**
+ * 検査する文字列（投稿文・一言コメント・ALT テキスト）
+ * @param {Object} post
+ * @param {Object} [templates]
+ * @returns {Array<{target: string, location: string, text: string}>}
+ */
+function collectFilterTexts(post, templates = {}) {
+    const comments = [
+        { location: 'aiComment', text: post.aiComment },
+        ...Object.entries(post.localizedComments || {}).map(([language, text]) => ({ location: `localized.${language}`, text }))
+    ];
+    const alts = getPostImages(post).map((image, index) => ({ location: `images.${index}`, text: image.alt }));
+
+    return [
+        ...collectTemplateTexts(templates).map(entry => ({ target: 'text', ...entry })),
+        ...comments.map(entry => ({ target: 'comment', ...entry })),
+        ...alts.map(entry => ({ target: 'alt', ...entry }))
+    ].filter(({ text }) => typeof text === 'string' && text.trim());
+}
+
+class ContentFilter {
+    constructor() {
+        // 標準のルールの変更と追加したルール
+        this.entries = this._load();
+    }
+
+    /**
+     * @private
+     * @returns {Array<FilterRule>}
+     */
+    _load() {
+        const entries = storageGet(CONTENT_FILTER_KEY, []);
+        if (!Array.isArray(entries)) {
+            console.warn('[ContentFilter] Invalid rule format, resetting to empty array');
+            return [];
+        }
+        return entries
+            .map(entry => normalizeFilterRule(entry, BUILTIN_RULES.get(entry?.id)))
+            .filter(Boolean);
+    }
+
+    /**
+     * @private
+     * @returns {boolean}
+     */
+    _save() {
+        return storageSet(CONTENT_FILTER_KEY, this.entries);
+    }
+
+    /**
+     * 標準のルールに変更を重ねた全ルール（標準 → 追加の順）
+     * @returns {Array<FilterRule>}
+     */
+    getAll() {
+        const overrides = new Map(this.entries.map(entry => [entry.id, entry]));
+        const builtins = [...BUILTIN_RULES.values()].map(rule => overrides.get(rule.id) || rule);
+        const custom = this.entries.filter(entry => !BUILTIN_RULES.has(entry.id));
+        return [...builtins, ...custom];
+    }
+
+    /**
+     * 有効なルール
+     * @returns {Array<FilterRule>}
+     */
+    getActive() {
+        return this.getAll().filter(rule => !rule.disabled);
+    }
+
+    /**
+     * IDでルールを取得
+     * @param {string} id
+     * @returns {FilterRule|null}
+     */
+    getById(id) {
+        return this.entries.find(entry => entry.id === id) || BUILTIN_RULES.get(id) || null;
+    }
+
+    /**
+     * 標準のルールを変更したか（追加したルールは常に true）
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isCustomized(id) {
+        return this.entries.some(entry => entry.id === id);
+    }
+
+    /**
+     * ルールを追加
+     * @param {Object} data - name / type / pattern / flags / words / severity / targets
+     * @returns {FilterRule}
+     */
+    add(data) {
+        const rule = normalizeFilterRule({ ...data, id: generateRuleId(), builtin: false, updatedAt: Date.now() });
+        if (!rule) {
+            throw new Error('name and a valid pattern or word list are required');
+        }
+        if (this.entries.filter(entry => !entry.builtin).length >= MAX_CUSTOM_RULES) {
+            throw new Error(`Cannot add more than ${MAX_CUSTOM_RULES} rules`);
+        }
+
+        this.entries.push(rule);
+        this._save();
+        return rule;
+    }
+
+    /**
+     * ルールを更新（種類は変えない）
+     * @param {string} id
+     * @param {Object} updates
+     * @returns {FilterRule|null}
+     */
+    update(id, updates) {
+        const current = this.getById(id);
+        if (!current) return null;
+
+        const updated = normalizeFilterRule({
+            ...current,
+            ...updates,
+            id: current.id,
+            type: current.type,
+            builtin: current.builtin,
+            updatedAt: Date.now()
+        });
+        if (!updated) return null;
+
+        this.entries = [...this.entries.filter(entry => entry.id !== id), updated];
+        this._save();
+        return updated;
+    }
+
+    /**
+     * 有効/無効を切り替え
+     * @param {string} id
+     * @param {boolean} disabled
+     * @returns {FilterRule|null}
+     */
+    setDisabled(id, disabled) {
+        return this.update(id, { disabled });
+    }
+
+    /**
+     * ルールを削除（標準のルールは変更を取り消す）
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        const initialLength = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.entries.length === initialLength) return false;
+        this._save();
+        return true;
+    }
+
+    /**
+     * 書き出し用のデータ
+     * @returns {Object}
+     */
+    export() {
+        return {
+            format: FILTER_EXPORT_FORMAT,
+            exportedAt: new Date().toISOString(),
+            rules: this.getAll().map(({ updatedAt, ...rule }) => rule)
+        };
+    }
+
+    /**
+     * 書き出したデータを取り込む
+     * 同じIDは内容が違う場合だけ置き換え、IDのないものは追加する
+     * @param {Object|Array} data - export() の結果またはルールの配列
+     * @returns {{ added: number, updated: number, skipped: number }}
+     */
+    import(data) {
+        const rules = Array.isArray(data) ? data : data?.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error('Invalid content filter format');
+        }
+
+        const comparable = ({ updatedAt, ...rule }) => JSON.stringify(rule);
+        const result = { added: 0, updated: 0, skipped: 0 };
+        rules.forEach(raw => {
+            const current = raw?.id ? this.getById(raw.id) : null;
+            const rule = normalizeFilterRule({
+                ...raw,
+                id: raw?.id || generateRuleId(),
+                builtin: BUILTIN_RULES.has(raw?.id)
+            }, current || {});
+            if (!rule) {
+                result.skipped++;
+                return;
+            }
+
+            if (!current) {
+                if (this.entries.filter(entry => !entry.builtin).length >= MAX_CUSTOM_RULES) {
+                    result.skipped++;
+                    return;
+                }
+                this.entries.push({ ...rule, updatedAt: Date.now() });
+                result.added++;
+            } else if (comparable(rule) !== comparable(current)) {
+                this.entries = [...this.entries.filter(entry => entry.id !== rule.id), { ...rule, updatedAt: Date.now() }];
+                result.updated++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        this._save();
+        return result;
+    }
+
+    /**
+     * 変更と追加したルールを全て削除
+     * @returns {boolean}
+     */
+    reset() {
+        this.entries = [];
+        return this._save();
+    }
+}
+
+/**
+ * 投稿を検査
+ * @param {Object} post
+ * @param {Object} [templates] - 送信する投稿文（generatePostTemplatesForItem / fitPostTemplates の結果）
+ * @param {Object} [options]
+ * @param {Array<FilterRule>} [options.rules] - 省略時は保存済みの有効なルール
+ * @returns {Array<FilterFinding>} - block を先に並べる
+ */
+function scanPost(post, templates = {}, { rules = new ContentFilter().getActive() } = {}) {
+    const texts = collectFilterTexts(post, templates);
+    const findings = rules
+        .filter(rule => !rule.disabled)
+        .flatMap(rule => texts
+            .filter(({ target }) => rule.targets.includes(target))
+            .flatMap(({ target, location, text }) => matchRule(rule, text).map(match => ({
+                ruleId: rule.id,
+                ruleName: rule.name,
+                severity: rule.severity,
+                target,
+                location,
+                match
+            }))));
+
+    return [
+        ...findings.filter(finding => finding.severity === 'block'),
+        ...findings.filter(finding => finding.severity !== 'block')
+    ];
+}
+
+/**
+ * 検査結果の重大度（最も重いもの、なければ null）
+ * @param {Array<FilterFinding>} findings
+ * @returns {string|null}
+ */
+function getFilterSeverity(findings) {
+    if (findings.some(finding => finding.severity === 'block')) return 'block';
+    return findings.length > 0 ? 'warn' : null;
+}
+
+/**
+ * 検査結果の表示（例: 電話番号「090-1234-5678」（投稿文 x1））
+ * 同じルール・同じ文字列は1行にまとめる
+ * @param {Array<FilterFinding>} findings
+ * @returns {Array<string>}
+ */
+function describeFindings(findings) {
+    const lines = new Map();
+    findings.forEach(finding => {
+        const key = `${finding.ruleId}:${finding.match}`;
+        const entry = lines.get(key) || { finding, places: new Set() };
+        entry.places.add(finding.target === 'text' ? `${FILTER_TARGETS.text} ${finding.location}` : FILTER_TARGETS[finding.target]);
+        lines.set(key, entry);
+    });
+    return [...lines.values()].map(({ finding, places }) => `${finding.ruleName}「${finding.match}」（${[...places].join('・')}）`);
+}
+
+/**
+ * 送信しない表現が含まれているときのエラー
+ */
+class ContentFilterError extends Error {
+    /**
+     * @param {Array<FilterFinding>} findings
+     */
+    constructor(findings) {
+        const blocked = findings.filter(finding => finding.severity === 'block');
+        super(`送信できない表現が含まれています: ${describeFindings(blocked).join('、')}`);
+        this.name = 'ContentFilterError';
+        this.findings = findings;
+    }
+}
+
+/**
+ * 送信前の検査（block のルールに一致すれば ContentFilterError）
+ * @param {Object} post
+ * @param {Object} [templates]
+ * @param {Object} [options] - scanPost と同じ
+ * @returns {Array<FilterFinding>} - warn の検査結果
+ * @throws {ContentFilterError}
+ */
+function ensureContentAllowed(post, templates = {}, options = {}) {
+    const findings = scanPost(post, templates, options);
+    if (getFilterSeverity(findings) === 'block') {
+        throw new ContentFilterError(findings);
+    }
+    return findings;
+}
+
+/**
+ * 確認済みの記録に使うキー（同じルール・同じ文字列は場所が違っても同じキー）
+ * @param {FilterFinding} finding
+ * @returns {string}
+ */
+function getFindingKey(finding) {
+    return `${finding.ruleId}:${finding.match}`;
+}
+
+/**
+ * 確認済みでない warn の検査結果
+ * @param {Array<FilterFinding>} findings
+ * @param {Array<string>} [acknowledged] - post.contentAcknowledged
+ * @returns {Array<FilterFinding>}
+ */
+function getUnacknowledgedFindings(findings, acknowledged = []) {
+    const keys = new Set(acknowledged || []);
+    return findings.filter(finding => finding.severity === 'warn' && !keys.has(getFindingKey(finding)));
+}
+
+/**
+ * 検査結果を確認済みにした記録
+ * @param {Object} post
+ * @param {Array<FilterFinding>} findings
+ * @returns {Array<string>} - post.contentAcknowledged に保存する値
+ */
+function acknowledgeFindings(post, findings) {
+    return [...new Set([...(post.contentAcknowledged || []), ...findings.map(getFindingKey)])];
+}
+
+// シングルトンインスタンス
+const contentFilter = new ContentFilter();
+
+// Export for use in other modules
+export {
+    ContentFilter,
+    contentFilter,
+    ContentFilterError,
+    normalizeFilterRule,
+    normalizeWords,
+    matchRule,
+    collectFilterTexts,
+    scanPost,
+    getFilterSeverity,
+    describeFindings,
+    ensureContentAllowed,
+    getUnacknowledgedFindings,
+    acknowledgeFindings,
+    DEFAULT_FILTER_RULES,
+    BUILTIN_RULES,
+    RULE_TYPES,
+    FILTER_SEVERITIES,
+    FILTER_TARGETS,
+    CONTENT_FILTER_KEY,
+    FILTER_EXPORT_FORMAT
+};
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.contentFilter = contentFilter;
+}
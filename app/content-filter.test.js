@@ -0,0 +1,246 @@
+/**
+ * Content Filter Tests
+ * 送信前の NGワード・固有名詞・個人情報の検査、ルールの編集と書き出し/取り込み、送信の停止
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    ContentFilter,
+    ContentFilterError,
+    BUILTIN_RULES,
+    matchRule,
+    scanPost,
+    getFilterSeverity,
+    describeFindings,
+    ensureContentAllowed,
+    getUnacknowledgedFindings,
+    acknowledgeFindings
+} from './content-filter.js';
+import { BatchProcessor, batchProcessor } from './batch-processor.js';
+import { retryAllFailed, confirmSend } from './batch-ui.js';
+
+const rule = id => BUILTIN_RULES.get(id);
+
+describe('ContentFilter', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('built-in rules', () => {
+        it('should find phone numbers, including full-width digits', () => {
+            expect(matchRule(rule('phone'), '連絡は090-1234-5678まで')).toEqual(['090-1234-5678']);
+            expect(matchRule(rule('phone'), '０３－１２３４－５６７８')).toEqual(['03-1234-5678']);
+            expect(matchRule(rule('phone'), '08012345678')).toEqual(['08012345678']);
+            expect(matchRule(rule('phone'), '2025-09-21 12:00 ホール3 #TGS2025')).toEqual([]);
+        });
+
+        it('should find email addresses but not fediverse accounts', () => {
+            expect(matchRule(rule('email'), 'お問い合わせ: Info.Booth@example.co.jp')).toEqual(['Info.Booth@example.co.jp']);
+            expect(matchRule(rule('email'), '@mio@mastodon.social さん')).toEqual([]);
+            expect(matchRule(rule('email'), '@hibikiyomori.bsky.social')).toEqual([]);
+        });
+
+        it('should match words regardless of width and case', () => {
+            const words = { ...rule('proper-nouns'), words: ['ミク', 'Zelda'] };
+            expect(matchRule(words, 'ﾐｸ のコスプレ、ZELDA も')).toEqual(['ミク', 'ZELDA']);
+        });
+
+        it('Property: phone numbers with any separators are found', () => {
+            fc.assert(
+                fc.property(
+                    fc.constantFrom('090', '080', '070'),
+                    fc.stringMatching(/^\d{4}$/),
+                    fc.stringMatching(/^\d{4}$/),
+                    fc.constantFrom('-', ' ', ''),
+                    (prefix, middle, last, separator) => {
+                        const phone = `${prefix}${separator}${middle}${separator}${last}`;
+                        expect(matchRule(rule('phone'), `TEL ${phone} まで`)).toEqual([phone]);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('scanPost', () => {
+        const post = {
+            aiComment: 'ミクの衣装が素敵でした',
+            localizedComments: { en: 'Contact: model@example.com' },
+            images: [{ base64: 'data:image/jpeg;base64,xxx', alt: 'ブースのパネル 〒135-0063' }]
+        };
+        const templates = {
+            x1: '東京ゲームショウ\n090-1234-5678',
+            draft: '東京ゲームショウ\n090-1234-5678',
+            replies: { x1: ['続き'] },
+            overflow: [{ target: 'x1', text: '090-0000-0000' }]
+        };
+
+        it('should check the rendered text, comments and alt text with their targets', () => {
+            const filter = new ContentFilter();
+            filter.update('proper-nouns', { words: 'ミク' });
+
+            const findings = scanPost(post, templates);
+
+            expect(findings.map(f => [f.ruleId, f.severity, f.target, f.location, f.match])).toEqual([
+                ['phone', 'block', 'text', 'x1', '090-1234-5678'],
+                ['email', 'block', 'comment', 'localized.en', 'model@example.com'],
+                ['postal-code', 'warn', 'alt', 'images.0', '〒135-0063'],
+                ['proper-nouns', 'warn', 'comment', 'aiComment', 'ミク']
+            ]);
+            expect(getFilterSeverity(findings)).toBe('block');
+            expect(describeFindings(findings)[0]).toBe('電話番号「090-1234-5678」（投稿文 x1）');
+        });
+
+        it('should skip disabled rules and rules that do not target the text', () => {
+            const filter = new ContentFilter();
+            filter.setDisabled('phone', true);
+            filter.setDisabled('email', true);
+            filter.update('postal-code', { targets: ['text'] });
+
+            expect(scanPost(post, templates)).toEqual([]);
+            expect(getFilterSeverity([])).toBeNull();
+        });
+    });
+
+    describe('rules', () => {
+        it('should keep edits to built-in rules and restore them on remove', () => {
+            const filter = new ContentFilter();
+            filter.update('ng-words', { words: '盗撮\n転売', severity: 'warn' });
+
+            const reloaded = new ContentFilter();
+            expect(reloaded.getById('ng-words')).toMatchObject({ words: ['盗撮', '転売'], severity: 'warn', builtin: true });
+            expect(reloaded.isCustomized('ng-words')).toBe(true);
+
+            reloaded.remove('ng-words');
+            expect(new ContentFilter().getById('ng-words')).toEqual(rule('ng-words'));
+        });
+
+        it('should reject invalid regular expressions', () => {
+            const filter = new ContentFilter();
+
+            expect(() => filter.add({ name: '壊れた', type: 'regex', pattern: '([' })).toThrow();
+            expect(filter.update('phone', { pattern: '([' })).toBeNull();
+            expect(filter.add({ name: 'ID', type: 'regex', pattern: 'ID:\\d+', severity: 'block' }))
+                .toMatchObject({ type: 'regex', flags: '', targets: ['text', 'comment', 'alt'], builtin: false });
+        });
+
+        it('should round-trip rules through export and import', () => {
+            const source = new ContentFilter();
+            source.add({ name: '作品名', type: 'words', words: 'ゼルダ, ミク', severity: 'warn' });
+            source.setDisabled('postal-code', true);
+            const exported = JSON.parse(JSON.stringify(source.export()));
+
+            localStorage.clear();
+            const target = new ContentFilter();
+            expect(target.import(exported)).toEqual({ added: 1, updated: 1, skipped: 4 });
+            expect(target.getAll().map(({ updatedAt, ...r }) => r)).toEqual(exported.rules);
+            expect(target.import(exported)).toEqual({ added: 0, updated: 0, skipped: 6 });
+            expect(target.import([{ name: '', type: 'words' }, { name: 'X', type: 'regex', pattern: '(' }]))
+                .toEqual({ added: 0, updated: 0, skipped: 2 });
+            expect(() => target.import({ format: 'other' })).toThrow('Invalid content filter format');
+        });
+    });
+
+    describe('sending', () => {
+        it('should throw for blocked content and return warnings otherwise', () => {
+            const error = (() => {
+                try {
+                    ensureContentAllowed({ aiComment: '' }, { x1: '連絡先 080-1111-2222' });
+                } catch (e) {
+                    return e;
+                }
+            })();
+            expect(error).toBeInstanceOf(ContentFilterError);
+            expect(error.message).toContain('080-1111-2222');
+
+            expect(ensureContentAllowed({ aiComment: '' }, { x1: '〒100-0001' }).map(f => f.ruleId)).toEqual(['postal-code']);
+        });
+
+        it('should report only warnings that were not acknowledged', () => {
+            const post = { aiComment: '', contentAcknowledged: [] };
+            const warnings = ensureContentAllowed(post, { x1: '〒100-0001 の会場' });
+            expect(getUnacknowledgedFindings(warnings, post.contentAcknowledged)).toHaveLength(1);
+
+            post.contentAcknowledged = acknowledgeFindings(post, warnings);
+            expect(post.contentAcknowledged).toEqual(['postal-code:〒100-0001']);
+            expect(getUnacknowledgedFindings(warnings, post.contentAcknowledged)).toEqual([]);
+
+            // 投稿文を変えて別の表現が一致したら、もう一度確認が必要
+            const changed = ensureContentAllowed(post, { x1: '〒150-0002 の会場' });
+            expect(getUnacknowledgedFindings(changed, post.contentAcknowledged).map(f => f.match)).toEqual(['〒150-0002']);
+        });
+
+        it('should record confirmed warnings when scheduling so the dispatcher can send without a dialog', () => {
+            const queue = [
+                { id: 'p1', personName: 'A', status: 'ready', aiComment: '〒100-0001 の会場でした✨' },
+                { id: 'p2', personName: 'B', status: 'ready', aiComment: '連絡は model@example.com まで' }
+            ];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const confirm = vi.fn(() => false);
+            vi.stubGlobal('confirm', confirm);
+
+            try {
+                expect(confirmSend([0, 1], { getMessage: count => `${count}件の投稿を予約しますか？`, source: 'schedule' })).toEqual([]);
+                expect(queue[0].contentAcknowledged).toBeUndefined();
+
+                confirm.mockReturnValue(true);
+                expect(confirmSend([0, 1], { getMessage: count => `${count}件の投稿を予約しますか？`, source: 'schedule' })).toEqual([0]);
+                expect(confirm.mock.calls[1][0]).toContain('1件の投稿を予約しますか？');
+                expect(queue[0].contentAcknowledged).toEqual(['postal-code:〒100-0001']);
+                expect(queue[1].contentAcknowledged).toBeUndefined();
+            } finally {
+                vi.unstubAllGlobals();
+            }
+        });
+
+        it('should stop a batch send before publishing', async () => {
+            const queue = [{ id: 'p1', personName: 'A', status: 'ready', aiComment: '連絡は model@example.com まで' }];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const publisher = { publish: vi.fn().mockResolvedValue({ platform: 'make', postId: null, url: null }) };
+
+            await expect(new BatchProcessor().sendSinglePost(0, publisher)).rejects.toThrow(ContentFilterError);
+            expect(publisher.publish).not.toHaveBeenCalled();
+            expect(queue[0].status).toBe('ready');
+
+            new ContentFilter().update('email', { severity: 'warn' });
+            await new BatchProcessor().sendSinglePost(0, publisher);
+            expect(publisher.publish).toHaveBeenCalledTimes(1);
+        });
+
+        it('should confirm warnings and skip blocked posts before retrying failed posts', () => {
+            const queue = [
+                { id: 'p1', personName: 'A', status: 'failed', aiComment: '〒100-0001 の会場でした✨' },
+                { id: 'p2', personName: 'B', status: 'failed', aiComment: '連絡は model@example.com まで' }
+            ];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const sendPosts = vi.spyOn(batchProcessor, 'sendPosts').mockResolvedValue({ success: 1, failed: 0, errors: [] });
+            const confirm = vi.fn(() => false);
+            vi.stubGlobal('confirm', confirm);
+
+            try {
+                retryAllFailed();
+                expect(confirm.mock.calls[0][0]).toContain('1件の失敗した投稿を再送信しますか？');
+                expect(confirm.mock.calls[0][0]).toContain('確認が必要な表現を含む投稿');
+                expect(confirm.mock.calls[0][0]).toContain('送信できない表現を含むため送信しない投稿');
+                expect(sendPosts).not.toHaveBeenCalled();
+
+                confirm.mockReturnValue(true);
+                retryAllFailed();
+                expect(sendPosts).toHaveBeenCalledWith([0], expect.any(Function));
+            } finally {
+                sendPosts.mockRestore();
+                vi.unstubAllGlobals();
+            }
+        });
+    });
+});
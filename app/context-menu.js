@@ -4,6 +4,9 @@
  * Requirements: 20.1, 20.2, 20.3, 20.4
  */
 
+import { renderPostTemplates } from './post-layout.js';
+import { postLayoutDatabase } from './post-layout-database.js';
+
 class ContextMenuManager {
     constructor() {
         this.menu = null;
@@ -216,11 +219,6 @@ class ContextMenuManager {
      * @param {Object} post
      */
     handleDuplicate(index, post) {
-        if (window.AppState.postQueue.length >= 10) {
-            window.showToast('投稿キューは最大10件です', 'error');
-            return;
-        }
-
         // Create a copy with "(copy)" suffix on booth name
         const copy = {
             ...post,
@@ -326,21 +324,8 @@ class ContextMenuManager {
      * @returns {string}
      */
     generatePostText(post, event) {
-        const hashtags = event.hashtags || '';
-
-        return `📸 ${event.eventEn} – ${event.eventJp}
-${event.date}｜${event.venue}
-
-◼︎ ${event.category}
-${post.boothName}${post.boothAccount ? `（${post.boothAccount}）` : ''}
-
-◼︎ ${post.personRole}
-${post.personName ? `${post.personName} さん` : '※お名前調査中'}
-${post.personAccount}
-
-${post.aiComment}
-
-${hashtags}`.trim();
+        // プレビュー・送信と同じレイアウト（post-layout.js）
+        return renderPostTemplates(post, event, { layout: postLayoutDatabase.resolve(event) }).x1;
     }
 
     /**
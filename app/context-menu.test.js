@@ -147,8 +147,7 @@ describe('Context Menu Module', () => {
             expect(window.renderPostQueue).toHaveBeenCalled();
         });
 
-        it('should not duplicate when queue is full', () => {
-            // Fill queue to max
+        it('should duplicate beyond 10 items (no queue cap)', () => {
             window.AppState.postQueue = new Array(10).fill({
                 id: 'test',
                 boothName: 'Test',
@@ -158,8 +157,8 @@ describe('Context Menu Module', () => {
             contextMenu.currentIndex = 0;
             contextMenu.handleAction('duplicate');
             
-            expect(window.showToast).toHaveBeenCalledWith('投稿キューは最大10件です', 'error');
-            expect(window.AppState.postQueue.length).toBe(10);
+            expect(window.showToast).toHaveBeenCalledWith('投稿を複製しました', 'success');
+            expect(window.AppState.postQueue.length).toBe(11);
         });
 
         it('should call sendQueueItem when send action is triggered', () => {
@@ -0,0 +1,138 @@
+/**
+ * Dead Letter Queue
+ * 再試行しても送信できなかった投稿の記録
+ *
+ * 1投稿につき1件（最新の失敗で上書き）。送信に成功したら削除する。
+ * 画像は保存しない（投稿本体はキューに残っているため）
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+
+// Storage key
+const DEAD_LETTER_KEY = 'autopost_dead_letters';
+const MAX_DEAD_LETTERS = 100;
+const MAX_BODY_LENGTH = 2000;
+
+/**
+ * DeadLetter の型定義
+ * @typedef {Object} DeadLetter
+ * @property {string} postId - 投稿ID
+ * @property {string} label - 表示用ラベル（名前 / ブース）
+ * @property {string} platform - 送信先パブリッシャーID
+ * @property {number|null} status - 最後のHTTPステータス（ネットワークエラー時はnull）
+ * @property {string} body - 最後のレスポンス本文
+ * @property {string} error - エラーメッセージ
+ * @property {number} attempts - 試行回数
+ * @property {number} failedAt - 失敗タイムスタンプ
+ */
+
+/**
+ * DeadLetterQueue クラス
+ */
+class DeadLetterQueue {
+    constructor() {
+        this.entries = this._load();
+    }
+
+    /**
+     * Load entries from storage
+     * @private
+     * @returns {Array<DeadLetter>}
+     */
+    _load() {
+        const entries = storageGet(DEAD_LETTER_KEY, []);
+        if (!Array.isArray(entries)) {
+            console.warn('[DeadLetterQueue] Invalid data format, resetting to empty array');
+            return [];
+        }
+        return entries;
+    }
+
+    /**
+     * Save entries to storage
+     * @private
+     * @returns {boolean}
+     */
+    _save() {
+        return storageSet(DEAD_LETTER_KEY, this.entries);
+    }
+
+    /**
+     * 送信失敗を記録
+     * @param {Object} post - 投稿データ
+     * @param {Error} error - 最後のエラー（PublishError なら status/body を保存）
+     * @returns {DeadLetter}
+     */
+    add(post, error) {
+        if (!post || !post.id) {
+            throw new Error('post.id is required');
+        }
+
+        const entry = {
+            postId: post.id,
+            label: [post.personName, post.boothName].filter(Boolean).join(' / '),
+            platform: error?.platform || '',
+            status: Number.isFinite(error?.status) ? error.status : null,
+            body: String(error?.body || '').slice(0, MAX_BODY_LENGTH),
+            error: error?.message || '送信に失敗しました',
+            attempts: error?.attempts || 1,
+            failedAt: Date.now()
+        };
+
+        this.entries = [entry, ...this.entries.filter(e => e.postId !== post.id)]
+            .slice(0, MAX_DEAD_LETTERS);
+        this._save();
+
+        console.log(`[DeadLetterQueue] Recorded failure for ${post.id} (status: ${entry.status})`);
+        return entry;
+    }
+
+    /**
+     * 投稿の記録を削除（送信成功時）
+     * @param {string} postId
+     * @returns {boolean} - 削除したか
+     */
+    remove(postId) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(e => e.postId !== postId);
+        if (this.entries.length === before) return false;
+        this._save();
+        return true;
+    }
+
+    /**
+     * 投稿の記録を取得
+     * @param {string} postId
+     * @returns {DeadLetter|null}
+     */
+    get(postId) {
+        return this.entries.find(e => e.postId === postId) || null;
+    }
+
+    /**
+     * 全ての記録を取得（新しい順）
+     * @returns {Array<DeadLetter>}
+     */
+    getAll() {
+        return [...this.entries];
+    }
+
+    /**
+     * 全ての記録を削除
+     */
+    clear() {
+        this.entries = [];
+        this._save();
+    }
+}
+
+// シングルトンインスタンス
+const deadLetterQueue = new DeadLetterQueue();
+
+// Export for use in other modules
+export { DeadLetterQueue, deadLetterQueue, DEAD_LETTER_KEY };
+
+// グローバルに公開
+if (typeof window !== 'undefined') {
+    window.deadLetterQueue = deadLetterQueue;
+}
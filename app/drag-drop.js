@@ -17,9 +17,11 @@ export class DragDropManager {
     initializeQueue(queueContainer) {
         if (!queueContainer) return;
 
+        // 仮想スクロール時は先頭以外から描画されるため data-index を優先する
         const items = queueContainer.querySelectorAll('.queue-item');
-        items.forEach((item, index) => {
-            this.makeItemDraggable(item, index);
+        items.forEach((item, position) => {
+            const index = parseInt(item.dataset.index);
+            this.makeItemDraggable(item, isNaN(index) ? position : index);
         });
     }
 
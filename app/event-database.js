@@ -291,4 +291,4 @@ class EventDatabase {
 }
 
 // Export for use in other modules
-export { EventDatabase };
+export { EventDatabase, MAX_RECENT_EVENTS };
@@ -0,0 +1,440 @@
+/**
+ * Hashtag Recommender
+ * シリーズ・会場・履歴・人物・カテゴリからハッシュタグの候補を集めて順位を付け、投稿ごとの上限まで付ける
+ *
+ * - 出どころごとの重みを合計するため、複数の出どころに出てくるタグほど上位になる
+ * - 編集画面で選んだタグ・外したタグを記録し、次からの順位に反映する
+ */
+
+import UniversalEventParser from './event-patterns.js';
+import { HistoryDatabase, HISTORY_KEY } from './history-database.js';
+import { PersonDatabase, PERSONS_KEY } from './person-database.js';
+import { getEventKey } from './comment-ledger.js';
+import { storageGet, storageGetRaw, storageSet } from './storage-adapter.js';
+
+const HASHTAG_STATS_KEY = 'autopost_hashtag_stats';
+
+// 投稿ごとのタグの上限
+const DEFAULT_HASHTAG_BUDGET = 5;
+const MAX_HASHTAG_BUDGET = 10;
+
+// 記録するシリーズ数・1シリーズあたりのタグ数（最終使用の新しい順）
+const MAX_STATS_SCOPES = 50;
+const MAX_TAGS_PER_SCOPE = 100;
+
+// シリーズに当てはまらない投稿・全体の記録
+const GLOBAL_SCOPE = '*';
+
+// 出どころごとの重み
+const SOURCE_WEIGHTS = {
+    event: 10,
+    series: 6,
+    person: 5,
+    history: 3,
+    venue: 2,
+    category: 1,
+    chosen: 0
+};
+
+const SOURCE_LABELS = {
+    event: 'イベント',
+    series: 'シリーズ',
+    person: '人物',
+    history: '履歴',
+    venue: '会場',
+    category: 'カテゴリ',
+    chosen: '選択履歴'
+};
+
+// カテゴリの定番タグ
+const CATEGORY_DEFAULT_TAGS = {
+    サーキット: ['#レースクイーン', '#RQ'],
+    ブース: ['#イベントコンパニオン'],
+    撮影会: ['#ポートレート', '#portrait']
+};
+
+/**
+ * ハッシュタグを # 付きの形に揃える（タグにできない場合は空文字）
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeHashtag(value) {
+    const tag = String(value || '')
+        .trim()
+        .replace(/^[#＃]+/, '')
+        .replace(/\p{P}+$/u, '');
+    if (!tag || /\s|[#＃]/.test(tag) || /^\d+$/.test(tag)) return '';
+    return `#${tag}`;
+}
+
+/**
+ * 重複判定用のキー（全角半角・大文字小文字を区別しない）
+ * @param {string} tag
+ * @returns {string}
+ */
+function getHashtagKey(tag) {
+    return normalizeHashtag(tag).normalize('NFKC').toLowerCase();
+}
+
+/**
+ * 文字列または配列からハッシュタグの重複なし配列を作る
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+function parseHashtags(value) {
+    const values = Array.isArray(value) ? value : String(value || '').split(/\s+/);
+    const seen = new Set();
+    const tags = [];
+    for (const tag of values.map(normalizeHashtag)) {
+        const key = getHashtagKey(tag);
+        if (!tag || seen.has(key)) continue;
+        seen.add(key);
+        tags.push(tag);
+    }
+    return tags;
+}
+
+/**
+ * 投稿ごとのタグの上限を正規化
+ * @param {number|string} value
+ * @returns {number}
+ */
+function normalizeHashtagBudget(value) {
+    const budget = Math.round(Number(value));
+    if (!Number.isFinite(budget) || budget < 1) return DEFAULT_HASHTAG_BUDGET;
+    return Math.min(budget, MAX_HASHTAG_BUDGET);
+}
+
+/**
+ * 正規表現用にエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * イベント名からシリーズを探す（event-patterns.js のシリーズデータベース）
+ * 略称は単語として一致した場合だけ（「C」などの短い略称の誤検出を防ぐ）
+ * @param {Object} event - { eventEn, eventJp }
+ * @returns {{ id: string, tags: Array<string> }|null} - id は英語名に揃えたシリーズID
+ */
+function findSeries(event = {}) {
+    const text = `${event.eventEn || ''} ${event.eventJp || ''}`.trim();
+    if (!text) return null;
+    const lower = text.toLowerCase();
+
+    for (const [key, data] of Object.entries(UniversalEventParser.EventPatterns.series)) {
+        const hit = lower.includes(key.toLowerCase()) ||
+            (data.jp && text.includes(data.jp)) ||
+            (data.abbr && new RegExp(`(^|[^A-Za-z])${escapeRegExp(data.abbr)}(?![A-Za-z])`, 'i').test(text));
+        if (hit) {
+            return { id: data.en || key, tags: parseHashtags(data.tags) };
+        }
+    }
+    return null;
+}
+
+/**
+ * 会場名から会場を探し、会場のタグを返す（event-patterns.js の会場データベース）
+ * @param {string} venue
+ * @returns {Array<string>}
+ */
+function findVenueTags(venue) {
+    const text = String(venue || '');
+    if (!text) return [];
+
+    for (const [key, data] of Object.entries(UniversalEventParser.EventPatterns.venues)) {
+        if (text.includes(key) || text.includes(data.name)) {
+            return parseHashtags(data.tags || data.name.replace(/\s+/g, ''));
+        }
+    }
+    return [];
+}
+
+// 投稿文の描画のたびに候補を作るため、データベースは保存値が変わったときだけ読み直す
+const databaseCache = new Map();
+
+// 履歴のイベント名 → シリーズID（履歴のレコードごとに1回だけ判定する）
+const recordSeriesCache = new WeakMap();
+
+/**
+ * 保存値が変わっていなければ前回のデータベースを返す
+ * @param {string} key - データベースの保存キー
+ * @param {Function} create - () => データベース
+ * @returns {Object}
+ */
+function getCachedDatabase(key, create) {
+    const raw = storageGetRaw(key);
+    const cached = databaseCache.get(key);
+    if (cached && cached.raw === raw) return cached.database;
+
+    const database = create();
+    databaseCache.set(key, { raw, database });
+    return database;
+}
+
+/**
+ * 履歴のレコードのシリーズID
+ * @param {Object} record - HistoryRecord
+ * @returns {string|null}
+ */
+function getRecordSeriesId(record) {
+    if (!recordSeriesCache.has(record)) {
+        recordSeriesCache.set(record, findSeries({ eventJp: record.eventName })?.id || null);
+    }
+    return recordSeriesCache.get(record);
+}
+
+/**
+ * イベント情報に書かれたタグか（上限に数えず、常に付ける）
+ * @param {string} tag
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isEventHashtag(tag, event = {}) {
+    const key = getHashtagKey(tag);
+    return parseHashtags(event.hashtags).some(own => getHashtagKey(own) === key);
+}
+
+/**
+ * タグを上限に収める（イベント情報のタグは残し、追加したタグだけを上限まで）
+ * @param {Array<string>} tags
+ * @param {Object} event
+ * @param {number} limit
+ * @returns {Array<string>}
+ */
+function fitHashtagBudget(tags, event, limit) {
+    let added = 0;
+    return tags.filter(tag => isEventHashtag(tag, event) || added++ < limit);
+}
+
+/**
+ * 投稿の人物レコードを探す（アカウント、なければ名前で一致）
+ * @param {Object} post
+ * @param {PersonDatabase} personDatabase
+ * @returns {import('./person-database.js').PersonRecord|null}
+ */
+function findPersonRecord(post, personDatabase) {
+    if (post.personAccount) {
+        const record = personDatabase.findByHandle(post.personAccount);
+        if (record) return record;
+    }
+    const name = String(post.personName || '').trim();
+    return name ? personDatabase.getAll().find(record => record.name === name) || null : null;
+}
+
+/**
+ * 候補の型定義
+ * @typedef {Object} HashtagCandidate
+ * @property {string} tag - # 付きのタグ
+ * @property {number} score - 順位付けの点数
+ * @property {Array<string>} sources - 出どころ（SOURCE_WEIGHTS のキー）
+ */
+
+/**
+ * 選んだ・外した回数の記録
+ * @typedef {Object} HashtagStat
+ * @property {string} tag
+ * @property {number} chosen
+ * @property {number} rejected
+ * @property {number} lastUsed
+ */
+
+class HashtagRecommender {
+    constructor() {
+        this.stats = this._load();
+    }
+
+    /**
+     * @private
+     * @returns {Object<string, Object<string, HashtagStat>>} - シリーズID → タグのキー → 記録
+     */
+    _load() {
+        const stats = storageGet(HASHTAG_STATS_KEY, {});
+        if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+            console.warn('[HashtagRecommender] Invalid stats format, resetting');
+            return {};
+        }
+        return stats;
+    }
+
+    /**
+     * @private
+     * @returns {boolean}
+     */
+    _save() {
+        return storageSet(HASHTAG_STATS_KEY, this.stats);
+    }
+
+    /**
+     * 選んだ・外したタグの順位の補正
+     * @private
+     * @param {HashtagStat} [stat]
+     * @returns {number}
+     */
+    _feedbackScore(stat) {
+        if (!stat) return 0;
+        return 1.5 * Math.log2(1 + (stat.chosen || 0)) - Math.log2(1 + (stat.rejected || 0));
+    }
+
+    /**
+     * 投稿のハッシュタグ候補を順位の高い順に返す
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {Object} event - 投稿のイベント情報
+     * @param {Object} [options]
+     * @param {HistoryDatabase} [options.historyDatabase] - 省略時は保存済みの履歴（変わるまで使い回す）
+     * @param {PersonDatabase} [options.personDatabase] - 省略時は保存済みの人物データベース（同上）
+     * @returns {Array<HashtagCandidate>}
+     */
+    recommend(post = {}, event = {}, {
+        historyDatabase = getCachedDatabase(HISTORY_KEY, () => new HistoryDatabase()),
+        personDatabase = getCachedDatabase(PERSONS_KEY, () => new PersonDatabase())
+    } = {}) {
+        const candidates = new Map();
+        const add = (tags, source, weight = SOURCE_WEIGHTS[source]) => {
+            tags.forEach((tag, index) => {
+                const key = getHashtagKey(tag);
+                if (!key) return;
+                const candidate = candidates.get(key) || { tag, score: 0, sources: [] };
+                if (candidate.sources.includes(source)) return;
+                // 同じ出どころの中では先に書かれたタグを上にする
+                candidate.score += weight - index * 0.01;
+                candidate.sources.push(source);
+                candidates.set(key, candidate);
+            });
+        };
+
+        const series = findSeries(event);
+        add(parseHashtags(event.hashtags), 'event');
+        if (series) add(series.tags, 'series');
+
+        const person = findPersonRecord(post, personDatabase);
+        if (person) add(parseHashtags(person.tags), 'person');
+
+        // 同じシリーズ（シリーズ外は同じイベント）の過去の投稿で使ったタグ
+        const eventKey = getEventKey(event);
+        const related = historyDatabase.getAll().filter(record => series
+            ? getRecordSeriesId(record) === series.id
+            : record.eventId === eventKey);
+        if (related.length > 0) {
+            const counts = new Map();
+            related.forEach(record => parseHashtags(record.postData?.hashtags).forEach(tag => {
+                const key = getHashtagKey(tag);
+                counts.set(key, { tag, count: (counts.get(key)?.count || 0) + 1 });
+            }));
+            [...counts.values()]
+                .sort((a, b) => b.count - a.count)
+                .forEach(({ tag, count }) => add([tag], 'history', SOURCE_WEIGHTS.history * count / related.length));
+        }
+
+        add(findVenueTags(event.venue), 'venue');
+        add(CATEGORY_DEFAULT_TAGS[event.category] || [], 'category');
+
+        // 選んだことのあるタグは候補に加え、選んだ・外した回数で順位を補正
+        const scoped = this.stats[series?.id || GLOBAL_SCOPE] || {};
+        const global = this.stats[GLOBAL_SCOPE] || {};
+        add(Object.values(scoped).filter(stat => stat.chosen > stat.rejected).map(stat => stat.tag), 'chosen');
+        for (const [key, candidate] of candidates) {
+            candidate.score += this._feedbackScore(scoped[key]) + (series ? this._feedbackScore(global[key]) / 2 : 0);
+        }
+
+        return [...candidates.values()]
+            .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 投稿に付けるハッシュタグ（編集画面で選んだタグ、なければイベント情報のタグと順位の高い順の候補）
+     * 上限はイベント情報のタグ以外に数える（ユーザーが入力したイベントのタグは削らない）
+     * @param {Object} post
+     * @param {Object} event
+     * @param {Object} [options]
+     * @param {number} [options.budget] - 投稿ごとに追加するタグの上限
+     * @returns {Array<string>}
+     */
+    pickForPost(post = {}, event = {}, { budget = DEFAULT_HASHTAG_BUDGET, ...options } = {}) {
+        const limit = normalizeHashtagBudget(budget);
+        if (Array.isArray(post.hashtags)) {
+            return fitHashtagBudget(parseHashtags(post.hashtags), event, limit);
+        }
+        const added = this.recommend(post, event, options)
+            .map(candidate => candidate.tag)
+            .filter(tag => !isEventHashtag(tag, event));
+        return [...parseHashtags(event.hashtags), ...added.slice(0, limit)];
+    }
+
+    /**
+     * 編集画面で選んだタグ・外したタグを記録
+     * @param {Object} event - 投稿のイベント情報
+     * @param {Array<string>} chosen - 選んだタグ
+     * @param {Array<string>} [rejected] - 候補から外したタグ
+     */
+    recordChoice(event, chosen, rejected = []) {
+        const scopes = [...new Set([findSeries(event)?.id || GLOBAL_SCOPE, GLOBAL_SCOPE])];
+        const now = Date.now();
+
+        for (const scope of scopes) {
+            const stats = this.stats[scope] || {};
+            const update = (tags, field) => parseHashtags(tags).forEach(tag => {
+                const key = getHashtagKey(tag);
+                const stat = stats[key] || { tag, chosen: 0, rejected: 0, lastUsed: 0 };
+                stat[field] += 1;
+                stat.lastUsed = now;
+                stats[key] = stat;
+            });
+            update(chosen, 'chosen');
+            update(rejected, 'rejected');
+
+            this.stats[scope] = Object.fromEntries(Object.entries(stats)
+                .sort(([, a], [, b]) => b.lastUsed - a.lastUsed)
+                .slice(0, MAX_TAGS_PER_SCOPE));
+        }
+
+        const lastUsed = scope => Math.max(0, ...Object.values(this.stats[scope]).map(stat => stat.lastUsed));
+        this.stats = Object.fromEntries(Object.keys(this.stats)
+            .sort((a, b) => lastUsed(b) - lastUsed(a))
+            .slice(0, MAX_STATS_SCOPES)
+            .map(scope => [scope, this.stats[scope]]));
+        this._save();
+    }
+
+    /**
+     * 記録を消去
+     */
+    clear() {
+        this.stats = {};
+        this._save();
+    }
+}
+
+/**
+ * 投稿に付けるハッシュタグでイベント情報の hashtags を置き換える（レイアウト・Webhook 用）
+ * @param {Object} event
+ * @param {Object} post
+ * @param {Object} [options] - pickForPost と同じ
+ * @returns {Object}
+ */
+function withPostHashtags(event = {}, post = {}, options = {}) {
+    return { ...event, hashtags: hashtagRecommender.pickForPost(post, event, options).join(' ') };
+}
+
+const hashtagRecommender = new HashtagRecommender();
+
+// Export for use in other modules
+export {
+    HashtagRecommender,
+    hashtagRecommender,
+    HASHTAG_STATS_KEY,
+    DEFAULT_HASHTAG_BUDGET,
+    MAX_HASHTAG_BUDGET,
+    SOURCE_LABELS,
+    CATEGORY_DEFAULT_TAGS,
+    normalizeHashtag,
+    parseHashtags,
+    normalizeHashtagBudget,
+    findSeries,
+    isEventHashtag,
+    withPostHashtags
+};
@@ -0,0 +1,185 @@
+/**
+ * Hashtag Recommender Tests
+ * 出どころごとの候補の集め方・順位・投稿ごとの上限・選んだタグの記録
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    HashtagRecommender,
+    normalizeHashtag,
+    parseHashtags,
+    normalizeHashtagBudget,
+    findSeries,
+    withPostHashtags
+} from './hashtag-recommender.js';
+import { HistoryDatabase, recordSentPost } from './history-database.js';
+import { PersonDatabase } from './person-database.js';
+import { renderPostTemplates } from './post-layout.js';
+
+const event = {
+    eventEn: 'Tokyo Game Show 2025',
+    eventJp: '東京ゲームショウ2025',
+    date: '2025.09.25',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#TGS2025'
+};
+
+const post = {
+    boothName: 'SEGA',
+    boothAccount: '@sega',
+    personRole: 'モデル',
+    personName: '世森 響',
+    personAccount: '@hibiki',
+    aiComment: '笑顔が素敵でした✨'
+};
+
+describe('HashtagRecommender', () => {
+    let recommender;
+
+    beforeEach(() => {
+        localStorage.clear();
+        recommender = new HashtagRecommender();
+    });
+
+    describe('sources', () => {
+        it('should rank tags from the event, series, person, venue and category', () => {
+            new PersonDatabase().add({ name: '世森 響', account: 'hibiki', role: 'モデル', tags: ['世森響', '#TGS'] });
+
+            const candidates = recommender.recommend(post, event);
+
+            expect(candidates.map(candidate => candidate.tag)).toEqual([
+                '#TGS',
+                '#TGS2025',
+                '#イベントコンパニオン',
+                '#東京ゲームショウ',
+                '#世森響',
+                '#幕張メッセ'
+            ]);
+            // シリーズと人物の両方に出てくるタグが一番上
+            expect(candidates[0]).toMatchObject({ tag: '#TGS', sources: ['series', 'person'] });
+            expect(candidates[1]).toMatchObject({ tag: '#TGS2025', sources: ['event'] });
+            expect(candidates.find(c => c.tag === '#幕張メッセ').sources).toEqual(['venue']);
+            expect(candidates.find(c => c.tag === '#イベントコンパニオン').sources).toEqual(['series', 'category']);
+        });
+
+        it('should use tags from past posts of the same series', () => {
+            const history = new HistoryDatabase();
+            const lastYear = { ...event, eventEn: 'Tokyo Game Show 2024', eventJp: '東京ゲームショウ2024', hashtags: '#TGS2024 #ゲームショウ' };
+            recordSentPost(post, lastYear, history);
+            recordSentPost(post, { ...lastYear, hashtags: '#ゲームショウ' }, history);
+            recordSentPost(post, { eventEn: 'SUPER GT', eventJp: 'スーパーGT', hashtags: '#SUPERGT #ゲームショウ' }, history);
+
+            const candidates = recommender.recommend(post, event);
+            const fromHistory = candidates.filter(candidate => candidate.sources.includes('history'));
+
+            expect(fromHistory.map(c => c.tag)).toEqual(['#ゲームショウ', '#TGS2024']);
+            expect(candidates.find(c => c.tag === '#SUPERGT')).toBeUndefined();
+        });
+
+        it('should use tags from past posts of the same event when the series is unknown', () => {
+            const localEvent = { eventEn: 'Local Photo Meetup', eventJp: '', date: '2025.05.01', category: '撮影会', hashtags: '' };
+            recordSentPost(post, { ...localEvent, hashtags: '#撮影会' });
+            recordSentPost(post, { ...localEvent, date: '2025.06.01', hashtags: '#別の日' });
+
+            const tags = recommender.recommend(post, localEvent).map(candidate => candidate.tag);
+
+            expect(tags).toEqual(['#撮影会', '#ポートレート', '#portrait']);
+        });
+    });
+
+    describe('budget', () => {
+        it('should add the top tags within the budget unless the post has its own selection', () => {
+            expect(recommender.pickForPost(post, event, { budget: 2 })).toEqual(['#TGS2025', '#イベントコンパニオン', '#TGS']);
+            expect(recommender.pickForPost({ ...post, hashtags: ['#a', 'b', '#c'] }, event, { budget: 2 })).toEqual(['#a', '#b']);
+            expect(recommender.pickForPost({ ...post, hashtags: [] }, event)).toEqual([]);
+        });
+
+        it('should keep every tag of the event and only count added tags against the budget', () => {
+            const ownTags = ['#TGS2025', '#東京ゲームショウ2025', '#TGS', '#ゲームショウ', '#幕張', '#コンパニオン', '#推し'];
+            const busyEvent = { ...event, hashtags: ownTags.join(' ') };
+
+            const picked = recommender.pickForPost(post, busyEvent);
+            expect(picked.slice(0, ownTags.length)).toEqual(ownTags);
+            expect(picked.length).toBeLessThanOrEqual(ownTags.length + 5);
+            expect(recommender.pickForPost(post, busyEvent, { budget: 1 })).toEqual([...ownTags, '#イベントコンパニオン']);
+
+            const selected = { ...post, hashtags: ['#a', ...ownTags, '#b'] };
+            expect(recommender.pickForPost(selected, busyEvent, { budget: 1 })).toEqual(['#a', ...ownTags]);
+            expect(withPostHashtags(busyEvent, post, { budget: 1 }).hashtags).toBe([...ownTags, '#イベントコンパニオン'].join(' '));
+        });
+
+        it('should read the databases again only after they change', () => {
+            const first = recommender.recommend(post, event);
+            expect(first.some(c => c.sources.includes('person'))).toBe(false);
+
+            new PersonDatabase().add({ name: '世森 響', account: 'hibiki', role: 'モデル', tags: ['#世森響'] });
+
+            expect(recommender.recommend(post, event).find(c => c.tag === '#世森響').sources).toEqual(['person']);
+        });
+
+        it('should render the picked tags in the post text', () => {
+            const picked = withPostHashtags(event, { ...post, hashtags: ['#TGS2025', '#推し'] });
+            const { x1 } = renderPostTemplates(post, picked);
+
+            expect(picked.hashtags).toBe('#TGS2025 #推し');
+            expect(x1.endsWith('#TGS2025 #推し')).toBe(true);
+        });
+
+        it('should normalize the budget', () => {
+            expect(normalizeHashtagBudget('3')).toBe(3);
+            expect(normalizeHashtagBudget(0)).toBe(5);
+            expect(normalizeHashtagBudget('abc')).toBe(5);
+            expect(normalizeHashtagBudget(50)).toBe(10);
+        });
+    });
+
+    describe('feedback', () => {
+        it('should rank chosen tags higher and rejected tags lower for the same series', () => {
+            const before = recommender.recommend(post, event).map(c => c.tag);
+            expect(before.indexOf('#幕張メッセ')).toBeGreaterThan(before.indexOf('#イベントコンパニオン'));
+
+            for (let i = 0; i < 3; i++) {
+                recommender.recordChoice(event, ['#幕張メッセ', '#推し'], ['#イベントコンパニオン']);
+            }
+            const after = new HashtagRecommender().recommend(post, event);
+            const tags = after.map(c => c.tag);
+
+            expect(tags.indexOf('#幕張メッセ')).toBeLessThan(tags.indexOf('#イベントコンパニオン'));
+            // 選んだことのある手入力のタグも候補になる
+            expect(after.find(c => c.tag === '#推し').sources).toEqual(['chosen']);
+            // 別のシリーズには候補として出さない
+            const otherSeries = { eventEn: 'SUPER GT Rd.3', eventJp: '', category: 'サーキット', hashtags: '' };
+            expect(recommender.recommend(post, otherSeries).map(c => c.tag)).not.toContain('#推し');
+        });
+    });
+
+    describe('helpers', () => {
+        it('should find the series with whole-word abbreviations only', () => {
+            expect(findSeries({ eventEn: 'CP+ 2025' })?.id).toBe('CP+');
+            expect(findSeries({ eventJp: '東京ゲームショウ2025' })?.id).toBe('Tokyo Game Show');
+            expect(findSeries({ eventEn: 'TGS 2025' })?.id).toBe('Tokyo Game Show');
+            expect(findSeries({ eventEn: 'Local Photo Meetup' })).toBeNull();
+        });
+
+        it('should normalize hashtags', () => {
+            expect(normalizeHashtag('＃東京ゲームショウ。')).toBe('#東京ゲームショウ');
+            expect(normalizeHashtag('TGS')).toBe('#TGS');
+            expect(normalizeHashtag('#2025')).toBe('');
+            expect(normalizeHashtag('# ')).toBe('');
+            expect(parseHashtags('#TGS #tgs  #ＴＧＳ #RQ')).toEqual(['#TGS', '#RQ']);
+        });
+
+        it('Property: parseHashtags is idempotent and returns # tags without whitespace', () => {
+            fc.assert(
+                fc.property(fc.array(fc.string({ maxLength: 12 }), { maxLength: 10 }), (values) => {
+                    const tags = parseHashtags(values);
+                    expect(parseHashtags(tags)).toEqual(tags);
+                    tags.forEach(tag => expect(tag).toMatch(/^#\S+$/));
+                }),
+                { numRuns: 100 }
+            );
+        });
+    });
+});
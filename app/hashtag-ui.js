@@ -0,0 +1,233 @@
+/**
+ * Hashtag UI
+ * 編集モーダルのハッシュタグのチップ選択（hashtag-recommender.js の候補から投稿ごとの上限まで選ぶ）
+ */
+
+import {
+    hashtagRecommender,
+    normalizeHashtagBudget,
+    parseHashtags,
+    isEventHashtag,
+    SOURCE_LABELS
+} from './hashtag-recommender.js';
+
+// 表示する候補の数
+const MAX_CHIPS = 15;
+
+// app.js から注入
+let getEventFn = () => ({});
+let getBudgetFn = () => undefined;
+let onChangeFn = () => {};
+
+// 編集中の選択
+const editState = {
+    postId: null,
+    event: {},
+    candidates: [],
+    selected: [],
+    // おすすめのまま（保存時は post.hashtags を null にして、送信時の候補から選び直す）
+    auto: true,
+    // 開いたとき（または前回保存したとき）の選択。選んだ・外したタグの記録に使う
+    baseline: []
+};
+
+/**
+ * HTMLエスケープ
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * 編集中の投稿を取得
+ * @returns {Object|null}
+ */
+function getEditingPost() {
+    const index = window.AppState?.currentEditIndex;
+    if (index === null || index === undefined || index < 0) return null;
+    return window.AppState.postQueue[index] || null;
+}
+
+/**
+ * 投稿ごとのタグの上限
+ * @returns {number}
+ */
+function getBudget() {
+    return normalizeHashtagBudget(getBudgetFn());
+}
+
+/**
+ * 上限に数えるタグの数（イベント情報のタグは数えない）
+ * @returns {number}
+ */
+function countAddedTags() {
+    return editState.selected.filter(tag => !isEventHashtag(tag, editState.event)).length;
+}
+
+/**
+ * トースト表示（app.js の showToast があれば使う）
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type = 'info') {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * チップを描画
+ */
+function renderChips() {
+    const container = document.getElementById('edit-hashtag-chips');
+    const count = document.getElementById('edit-hashtag-count');
+    if (!container) return;
+
+    const selectedKeys = new Set(editState.selected.map(tag => tag.toLowerCase()));
+    const candidateKeys = new Set(editState.candidates.map(({ tag }) => tag.toLowerCase()));
+    // 候補にない手入力のタグも表示する
+    const chips = [
+        ...editState.candidates,
+        ...editState.selected.filter(tag => !candidateKeys.has(tag.toLowerCase())).map(tag => ({ tag, sources: [] }))
+    ];
+
+    container.innerHTML = chips.map(({ tag, sources }) => {
+        const title = sources.length > 0 ? sources.map(source => SOURCE_LABELS[source] || source).join('・') : '手入力';
+        return `<button type="button" class="hashtag-chip ${selectedKeys.has(tag.toLowerCase()) ? 'is-selected' : ''}"
+            data-tag="${escapeHtml(tag)}" title="${escapeHtml(title)}">${escapeHtml(tag)}</button>`;
+    }).join('') || '<span class="hashtag-empty">候補がありません</span>';
+
+    if (count) {
+        count.textContent = `${countAddedTags()} / ${getBudget()}${editState.auto ? '（おすすめ）' : ''}`;
+    }
+}
+
+/**
+ * タグを選択に加える（上限を超える場合は加えない。イベント情報のタグはいつでも加えられる）
+ * @param {string} tag
+ * @returns {boolean}
+ */
+function selectTag(tag) {
+    if (editState.selected.some(selected => selected.toLowerCase() === tag.toLowerCase())) return true;
+    if (!isEventHashtag(tag, editState.event) && countAddedTags() >= getBudget()) {
+        notify(`追加するハッシュタグは1投稿${getBudget()}個までです`, 'warning');
+        return false;
+    }
+    editState.selected = [...editState.selected, tag];
+    return true;
+}
+
+/**
+ * 選択を変更したあとの更新
+ */
+function handleSelectionChange() {
+    editState.auto = false;
+    renderChips();
+    onChangeFn();
+}
+
+/**
+ * 編集モーダルのハッシュタグ選択を描画（モーダルを開いたとき）
+ */
+export function renderEditHashtags() {
+    const post = getEditingPost();
+    if (!post) return;
+
+    const event = getEventFn(post) || {};
+    editState.postId = post.id;
+    editState.event = event;
+    editState.candidates = hashtagRecommender.recommend(post, event).slice(0, MAX_CHIPS);
+    editState.selected = hashtagRecommender.pickForPost(post, event, { budget: getBudget() });
+    editState.auto = !Array.isArray(post.hashtags);
+    editState.baseline = [...editState.selected];
+    renderChips();
+}
+
+/**
+ * 編集中のハッシュタグ（プレビュー用）
+ * @returns {string}
+ */
+export function getEditHashtagsText() {
+    return editState.selected.join(' ');
+}
+
+/**
+ * 保存する値を取得し、選んだ・外したタグを記録する（保存時に使用）
+ * @returns {{hashtags: Array<string>|null}|{}}
+ */
+export function readEditHashtags() {
+    const post = getEditingPost();
+    if (!post || post.id !== editState.postId) return {};
+    if (editState.auto) return { hashtags: null };
+
+    const keys = tags => new Set(tags.map(tag => tag.toLowerCase()));
+    const baseline = keys(editState.baseline);
+    const selected = keys(editState.selected);
+    const chosen = editState.selected.filter(tag => !baseline.has(tag.toLowerCase()));
+    const rejected = editState.baseline.filter(tag => !selected.has(tag.toLowerCase()));
+    if (chosen.length > 0 || rejected.length > 0) {
+        hashtagRecommender.recordChoice(editState.event, chosen, rejected);
+    }
+    editState.baseline = [...editState.selected];
+
+    return { hashtags: [...editState.selected] };
+}
+
+/**
+ * イベントリスナーを初期化
+ * @param {Object} [options]
+ * @param {Function} [options.getEventForPost] - (post) => イベント情報
+ * @param {Function} [options.getBudget] - () => 投稿ごとのタグの上限
+ * @param {Function} [options.onChange] - 選択を変更したとき（プレビューの更新）
+ */
+export function initHashtagUI({ getEventForPost, getBudget: getBudgetOption, onChange } = {}) {
+    if (typeof getEventForPost === 'function') getEventFn = getEventForPost;
+    if (typeof getBudgetOption === 'function') getBudgetFn = getBudgetOption;
+    if (typeof onChange === 'function') onChangeFn = onChange;
+
+    document.getElementById('edit-hashtag-chips')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('.hashtag-chip');
+        if (!chip) return;
+
+        const tag = chip.dataset.tag;
+        const index = editState.selected.findIndex(selected => selected.toLowerCase() === tag.toLowerCase());
+        if (index >= 0) {
+            editState.selected = editState.selected.filter((_, i) => i !== index);
+        } else if (!selectTag(tag)) {
+            return;
+        }
+        handleSelectionChange();
+    });
+
+    const input = document.getElementById('edit-hashtag-input');
+    input?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || e.isComposing) return;
+        e.preventDefault();
+
+        const tags = parseHashtags(input.value);
+        if (tags.length === 0) {
+            notify('ハッシュタグにできない文字列です', 'warning');
+            return;
+        }
+        const added = tags.filter(tag => selectTag(tag));
+        if (added.length > 0) {
+            input.value = '';
+            handleSelectionChange();
+        }
+    });
+
+    document.getElementById('edit-hashtag-reset')?.addEventListener('click', () => {
+        const post = getEditingPost();
+        if (!post) return;
+        editState.selected = hashtagRecommender.pickForPost({ ...post, hashtags: null }, editState.event, { budget: getBudget() });
+        editState.auto = true;
+        renderChips();
+        onChangeFn();
+    });
+
+    console.log('[HashtagUI] Initialized');
+}
@@ -5,6 +5,8 @@
  */
 
 import { storageGet, storageSet } from './storage-adapter.js';
+import { commentTemplateLibrary } from './comment-template-library.js';
+import { commentLedger, getEventKey } from './comment-ledger.js';
 
 // Storage key
 const HISTORY_KEY = 'autopost_history';
@@ -17,6 +19,12 @@ const MAX_HISTORY_RECORDS = 100;
  * @property {string} eventId - イベントID
  * @property {string} eventName - イベント名
  * @property {Object} postData - 投稿データ（imageFileを除く）
+ * @property {{id: string, version: number}|null} [postData.commentTemplate] - コメントの元になったテンプレート
+ * @property {string|null} [postData.publishedPlatform] - 送信先パブリッシャーID
+ * @property {string|null} [postData.publishedId] - 投稿先で発行されたID
+ * @property {string|null} [postData.publishedUrl] - 投稿のURL
+ * @property {string|null} [postData.publishedVisibility] - 投稿の公開範囲（Mastodon / Misskey）
+ * @property {string} [postData.hashtags] - 投稿に付けたハッシュタグ（hashtag-recommender.js の履歴の候補）
  * @property {number} sentAt - 送信タイムスタンプ
  */
 
@@ -211,5 +219,42 @@ class HistoryDatabase {
     }
 }
 
+/**
+ * 送信した投稿を履歴に保存
+ * 画像はキュー表示用のサムネイルだけを残し、コメントの元になったテンプレートのIDとバージョンを記録する
+ * コメントは使用済みとしてコメント台帳（comment-ledger.js）にも記録する
+ * @param {Object} post - キューの投稿
+ * @param {Object} event - 投稿のイベント情報
+ * @param {HistoryDatabase} [database]
+ * @returns {HistoryRecord|null}
+ */
+function recordSentPost(post, event = {}, database = new HistoryDatabase()) {
+    commentLedger.recordPost(getEventKey(event), post);
+    try {
+        return database.add({
+            eventId: getEventKey(event),
+            eventName: event.eventJp || event.eventEn || '未設定のイベント',
+            postData: {
+                imageBase64: post.thumbnail || null,
+                boothName: post.boothName || '',
+                boothAccount: post.boothAccount || '',
+                personRole: post.personRole || '',
+                personName: post.personName || '',
+                personAccount: post.personAccount || '',
+                aiComment: post.aiComment || '',
+                hashtags: event.hashtags || '',
+                commentTemplate: commentTemplateLibrary.identify(post.aiComment),
+                publishedPlatform: post.publishedPlatform || null,
+                publishedId: post.publishedId || null,
+                publishedUrl: post.publishedUrl || null,
+                publishedVisibility: post.publishedVisibility || null
+            }
+        });
+    } catch (error) {
+        console.warn('[HistoryDatabase] Failed to record sent post:', error);
+        return null;
+    }
+}
+
 // Export for use in other modules
-export { HistoryDatabase };
+export { HistoryDatabase, HISTORY_KEY, MAX_HISTORY_RECORDS, recordSentPost };
@@ -5,6 +5,9 @@
  */
 
 import { HistoryDatabase } from './history-database.js';
+import { publisherRegistry } from './publishers.js';
+import { MASTODON_VISIBILITIES } from './mastodon-publisher.js';
+import { MISSKEY_VISIBILITIES } from './misskey-publisher.js';
 
 /**
  * Initialize History UI
@@ -122,6 +125,10 @@ function renderHistoryList(historyDb) {
                         </div>
                         <div class="history-item-meta">
                             <span class="history-date">${dateStr}</span>
+                            ${postData.commentTemplate
+                                ? `<span class="history-template" title="コメントのテンプレート">📝 ${escapeHtml(postData.commentTemplate.id)} v${postData.commentTemplate.version}</span>`
+                                : ''}
+                            ${getPublishedLinkHTML(postData)}
                         </div>
                     </div>
                     <div class="history-item-actions">
@@ -237,6 +244,27 @@ function deleteHistoryItem(historyDb, historyId) {
     }
 }
 
+/**
+ * 送信先の表示（投稿のURLがあればリンクにし、公開範囲を添える）
+ * @param {Object} postData - 履歴の投稿データ
+ * @returns {string}
+ */
+function getPublishedLinkHTML(postData) {
+    if (!postData.publishedPlatform) return '';
+
+    const publisher = publisherRegistry.list().find(p => p.id === postData.publishedPlatform);
+    const visibilities = { mastodon: MASTODON_VISIBILITIES, misskey: MISSKEY_VISIBILITIES }[postData.publishedPlatform] || {};
+    const visibility = postData.publishedVisibility
+        ? `（${visibilities[postData.publishedVisibility] || postData.publishedVisibility}）`
+        : '';
+    const label = escapeHtml(`🔗 ${publisher?.label || postData.publishedPlatform}${visibility}`);
+
+    if (!/^https?:\/\//.test(postData.publishedUrl || '')) {
+        return `<span class="history-published">${label}</span>`;
+    }
+    return `<a class="history-published" href="${escapeHtml(postData.publishedUrl).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${label}</a>`;
+}
+
 /**
  * Format date for display
  * @param {Date} date
@@ -0,0 +1,125 @@
+/**
+ * Image Analysis
+ * workers/image-analyzer.js（Cloudflare Workers AI）で写真の特徴を取得し、投稿に保存する形に整える
+ *
+ * 特徴はルールベースのテンプレート選択（comment-rules.js の selectTemplate）と
+ * コメント生成のプロンプトに使う
+ */
+
+// 解析結果として受け付ける値（comment-rules.js のテンプレートのキーと同じ）
+const FEATURE_OPTIONS = {
+    expression: ['笑顔', 'クール', '柔らか', '華やか', '自然', '力強い'],
+    pose: ['正面', '斜め', '見上げ', '見下ろし'],
+    lighting: ['明るい', 'ドラマチック', 'ソフト'],
+    outfit: ['カラフル', 'エレガント', 'スポーティ', 'シンプル']
+};
+
+const FEATURE_LABELS = {
+    expression: '表情',
+    pose: 'ポーズ',
+    lighting: 'ライティング',
+    outfit: '衣装'
+};
+
+const DEFAULT_ANALYSIS_TIMEOUT_MS = 30000;
+
+/**
+ * 画像の特徴
+ * @typedef {Object} ImageFeatures
+ * @property {string|null} expression
+ * @property {string|null} pose
+ * @property {string|null} lighting
+ * @property {string|null} outfit
+ * @property {string} impression - 一言印象
+ * @property {number} confidence - 0〜1
+ * @property {string} source - 'analyzer' | 'manual'
+ */
+
+/**
+ * 特徴を検証して整える（未知の値は null）
+ * @param {Object} [raw]
+ * @param {string} [source]
+ * @returns {ImageFeatures|null}
+ */
+function normalizeImageFeatures(raw, source = raw?.source || 'analyzer') {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const features = {};
+    Object.entries(FEATURE_OPTIONS).forEach(([name, options]) => {
+        const value = typeof raw[name] === 'string' ? raw[name].trim() : '';
+        features[name] = options.includes(value) ? value : null;
+    });
+    if (Object.values(features).every(value => value === null)) return null;
+
+    const confidence = Number(raw.confidence);
+    return {
+        ...features,
+        impression: typeof raw.impression === 'string' ? raw.impression.trim().slice(0, 40) : '',
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+        source
+    };
+}
+
+/**
+ * 画像を解析して特徴を取得
+ * Worker が解析に失敗した場合（success: false の既定値）は null
+ * @param {string} imageBase64 - data URL または base64
+ * @param {Object} options
+ * @param {string} options.url - image-analyzer Worker のURL
+ * @param {string} [options.category] - カテゴリ（ブース/サーキット/撮影会）
+ * @param {Function} [options.fetchImpl]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<ImageFeatures|null>}
+ */
+async function analyzeImage(imageBase64, {
+    url,
+    category = 'ブース',
+    fetchImpl = (...args) => fetch(...args),
+    timeoutMs = DEFAULT_ANALYSIS_TIMEOUT_MS
+} = {}) {
+    if (!url || !imageBase64) return null;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetchImpl(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ image_base64: imageBase64, category }),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Image analyzer error: ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!result?.success) {
+            console.warn('[ImageAnalysis] Analyzer returned no features:', result?.error);
+            return null;
+        }
+        return normalizeImageFeatures(result.features, 'analyzer');
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 特徴を selectTemplate / generateRuleBasedComment の引数に変換
+ * @param {ImageFeatures|null} features
+ * @returns {{ pose: string|null, lighting: string|null, outfit: string|null }}
+ */
+function toTemplateFeatures(features) {
+    return {
+        pose: features?.pose || null,
+        lighting: features?.lighting || null,
+        outfit: features?.outfit || null
+    };
+}
+
+export {
+    FEATURE_OPTIONS,
+    FEATURE_LABELS,
+    normalizeImageFeatures,
+    analyzeImage,
+    toTemplateFeatures
+};
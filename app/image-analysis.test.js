@@ -0,0 +1,145 @@
+/**
+ * Image Analysis Tests
+ * 画像解析の結果の検証と、テンプレート選択・コメント生成への反映
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { FEATURE_OPTIONS, normalizeImageFeatures, analyzeImage, toTemplateFeatures } from './image-analysis.js';
+import { CommentRules, generateRuleBasedComment } from './comment-rules.js';
+import { commentLedger } from './comment-ledger.js';
+import { BatchProcessor } from './batch-processor.js';
+import { buildPrompt } from '../netlify/shared/comment-providers.js';
+
+describe('Image Analysis', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        commentLedger.clearAll();
+    });
+
+    describe('normalizeImageFeatures', () => {
+        it('should drop unknown values and clamp the confidence', () => {
+            expect(normalizeImageFeatures({
+                expression: ' クール ',
+                pose: '逆立ち',
+                lighting: 'ソフト',
+                outfit: 42,
+                impression: '凛とした佇まい',
+                confidence: 3
+            })).toEqual({
+                expression: 'クール',
+                pose: null,
+                lighting: 'ソフト',
+                outfit: null,
+                impression: '凛とした佇まい',
+                confidence: 1,
+                source: 'analyzer'
+            });
+        });
+
+        it('should return null when no feature is recognized', () => {
+            expect(normalizeImageFeatures(null)).toBeNull();
+            expect(normalizeImageFeatures({ expression: '不明', impression: 'x' })).toBeNull();
+        });
+
+        it('should only ever keep known values', () => {
+            fc.assert(
+                fc.property(fc.dictionary(fc.constantFrom(...Object.keys(FEATURE_OPTIONS)), fc.string()), (raw) => {
+                    const features = normalizeImageFeatures(raw);
+                    if (!features) return;
+                    Object.entries(FEATURE_OPTIONS).forEach(([name, options]) => {
+                        expect(features[name] === null || options.includes(features[name])).toBe(true);
+                    });
+                }),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('analyzeImage', () => {
+        it('should post the image to the analyzer and normalize the features', async () => {
+            const fetchImpl = vi.fn(async () => ({
+                ok: true,
+                json: async () => ({ success: true, features: { expression: '笑顔', pose: '見上げ', confidence: 0.7 } })
+            }));
+
+            const features = await analyzeImage('data:image/jpeg;base64,AAAA', { url: 'https://analyzer.example', category: 'サーキット', fetchImpl });
+
+            expect(features).toMatchObject({ expression: '笑顔', pose: '見上げ', confidence: 0.7, source: 'analyzer' });
+            const [url, init] = fetchImpl.mock.calls[0];
+            expect(url).toBe('https://analyzer.example');
+            expect(JSON.parse(init.body)).toEqual({ image_base64: 'data:image/jpeg;base64,AAAA', category: 'サーキット' });
+        });
+
+        it('should return null when the analyzer falls back or no URL is set', async () => {
+            const fetchImpl = vi.fn(async () => ({
+                ok: true,
+                json: async () => ({ success: false, error: 'model error', features: { expression: '笑顔' } })
+            }));
+
+            expect(await analyzeImage('AAAA', { url: 'https://analyzer.example', fetchImpl })).toBeNull();
+            expect(await analyzeImage('AAAA', { url: '', fetchImpl })).toBeNull();
+            expect(fetchImpl).toHaveBeenCalledTimes(1);
+        });
+
+        it('should throw on HTTP errors', async () => {
+            const fetchImpl = async () => ({ ok: false, status: 500 });
+            await expect(analyzeImage('AAAA', { url: 'https://analyzer.example', fetchImpl })).rejects.toThrow('500');
+        });
+    });
+
+    describe('template selection', () => {
+        it('should use pose and lighting templates from the features', () => {
+            // 1回目: 表情/カテゴリ以外の枠、2回目以降: ポーズ
+            const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.8).mockReturnValue(0.1);
+            try {
+                const comment = generateRuleBasedComment({
+                    expressionType: '笑顔',
+                    ...toTemplateFeatures({ pose: '見上げ', lighting: 'ドラマチック' })
+                });
+                expect(CommentRules.poseTemplates['見上げ']).toContain(comment);
+            } finally {
+                random.mockRestore();
+            }
+        });
+    });
+
+    describe('comment generation', () => {
+        it('should send the stored features and use the analyzed expression in batch generation', async () => {
+            const features = normalizeImageFeatures({ expression: 'クール', lighting: 'ドラマチック', impression: '凛とした佇まい' });
+            const AppState = {
+                eventInfo: { eventEn: 'Feature Expo', category: 'ブース' },
+                settings: { rateLimits: { gemini: 0 } },
+                postQueue: [{ id: 'p0', personRole: 'モデル', aiComment: '', imageFeatures: features }]
+            };
+            global.window = {
+                AppState,
+                generateRuleBasedComment,
+                updateQueueItem: (index, updates) => Object.assign(AppState.postQueue[index], updates)
+            };
+            global.fetch = vi.fn(async () => ({
+                ok: true,
+                json: async () => ({ comment: '凛とした表情がライティングに映えていました✨', source: 'gemini' })
+            }));
+
+            await new BatchProcessor().generateComments([0], () => {}, { concurrency: 1 });
+
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.expression_type).toBe('クール');
+            expect(body.image_features).toEqual(features);
+        });
+
+        it('should describe the features in the prompt', () => {
+            const prompt = buildPrompt({
+                expression_type: 'クール',
+                image_features: { expression: 'クール', pose: '斜め', lighting: null, impression: '凛とした佇まい' }
+            }, true);
+
+            expect(prompt).toContain('【画像解析で判定した特徴');
+            expect(prompt).toContain('- ポーズ: 斜め');
+            expect(prompt).toContain('- 印象: 凛とした佇まい');
+            expect(prompt).not.toContain('- ライティング:');
+            expect(buildPrompt({ expression_type: '笑顔' }, false)).not.toContain('画像解析で判定した特徴');
+        });
+    });
+});
@@ -3,6 +3,8 @@
  * プロフェッショナル画像編集 - Cropper.js統合 + CSSフィルター
  */
 
+import { replacePrimaryImage } from './post-composition.js';
+
 class ImageEditor {
     constructor() {
         this.cropper = null;
@@ -436,7 +438,7 @@ class ImageEditor {
         if (window.previewEditor && window.previewEditor.currentPostIndex !== null) {
             const post = window.AppState?.postQueue[window.previewEditor.currentPostIndex];
             if (post) {
-                post.imageBase64 = processedImage;
+                Object.assign(post, replacePrimaryImage(post, processedImage));
                 if (window.renderPostQueue) {
                     window.renderPostQueue();
                 }
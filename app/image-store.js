@@ -0,0 +1,362 @@
+/**
+ * Image Store
+ * 投稿画像（data URL）を IndexedDB に保存し、キューのメモリ使用量を抑える
+ *
+ * - 退避済みの投稿は imageBase64 / images[].base64 の代わりに images[].ref を持つ
+ * - キュー表示用に小さなサムネイル（post.thumbnail）だけをメモリに残す
+ * - 送信・編集時に loadPostImages / hydratePostImages で元画像を読み込む
+ * - IndexedDB が使えない環境（テスト・プライベートモード）ではメモリに保存する
+ */
+
+import { getPostImages } from './post-composition.js';
+
+const DB_NAME = 'autopost_images';
+const DB_VERSION = 1;
+const STORE_NAME = 'images';
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * IDBRequest を Promise に変換
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 画像キーを生成
+ * 投稿IDに依存させない（複製した投稿が同じ画像を共有できるように）
+ * @returns {string}
+ */
+function generateImageKey() {
+    return `img_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+}
+
+/**
+ * サムネイルを作成（canvas が使えない環境では null）
+ * @param {string} dataUrl
+ * @param {number} [size] - 長辺のピクセル数
+ * @returns {Promise<string|null>}
+ */
+function createThumbnail(dataUrl, size = THUMBNAIL_SIZE) {
+    if (typeof document === 'undefined' || typeof Image === 'undefined' || !dataUrl) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+            try {
+                const ratio = Math.min(1, size / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.width * ratio));
+                canvas.height = Math.max(1, Math.round(img.height * ratio));
+                const ctx = canvas.getContext('2d');
+                if (!ctx) {
+                    resolve(null);
+                    return;
+                }
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.7));
+            } catch (error) {
+                resolve(null);
+            }
+        };
+        img.onerror = () => resolve(null);
+        img.src = dataUrl;
+    });
+}
+
+/**
+ * ImageStore クラス
+ */
+class ImageStore {
+    /**
+     * @param {Object} [options]
+     * @param {IDBFactory|null} [options.indexedDB] - IndexedDB 実装（null でメモリのみ）
+     * @param {Function} [options.createThumbnail] - サムネイル作成関数（テスト用）
+     */
+    constructor({
+        indexedDB = typeof globalThis !== 'undefined' ? globalThis.indexedDB : undefined,
+        createThumbnail: thumbnailer = createThumbnail
+    } = {}) {
+        this.idb = indexedDB || null;
+        this.createThumbnail = thumbnailer;
+        this.dbPromise = null;
+
+        // IndexedDB が使えない場合の保存先
+        this.memory = new Map();
+    }
+
+    /**
+     * データベースを開く（使えない場合は null）
+     * @private
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (!this.idb) return Promise.resolve(null);
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                let request;
+                try {
+                    request = this.idb.open(DB_NAME, DB_VERSION);
+                } catch (error) {
+                    console.warn('[ImageStore] IndexedDB unavailable, using memory:', error);
+                    resolve(null);
+                    return;
+                }
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('[ImageStore] Failed to open IndexedDB, using memory:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * オブジェクトストアで処理を実行
+     * @private
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} fn - (store) => IDBRequest
+     * @returns {Promise<*>}
+     */
+    async _withStore(mode, fn) {
+        const db = await this._open();
+        if (!db) return undefined;
+
+        const tx = db.transaction(STORE_NAME, mode);
+        const result = await promisifyRequest(fn(tx.objectStore(STORE_NAME)));
+        if (mode === 'readwrite') {
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * IndexedDB に保存しているか
+     * @returns {Promise<boolean>}
+     */
+    async isPersistent() {
+        return (await this._open()) !== null;
+    }
+
+    /**
+     * 画像を保存
+     * @param {string} key
+     * @param {string} dataUrl
+     * @returns {Promise<void>}
+     */
+    async put(key, dataUrl) {
+        if (await this.isPersistent()) {
+            await this._withStore('readwrite', store => store.put(dataUrl, key));
+        } else {
+            this.memory.set(key, dataUrl);
+        }
+    }
+
+    /**
+     * 画像を取得
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    async get(key) {
+        if (!key) return null;
+        if (await this.isPersistent()) {
+            return (await this._withStore('readonly', store => store.get(key))) || null;
+        }
+        return this.memory.get(key) || null;
+    }
+
+    /**
+     * 画像を削除
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        if (await this.isPersistent()) {
+            await this._withStore('readwrite', store => store.delete(key));
+        } else {
+            this.memory.delete(key);
+        }
+    }
+
+    /**
+     * 保存されている全てのキー
+     * @returns {Promise<Array<string>>}
+     */
+    async keys() {
+        if (await this.isPersistent()) {
+            return (await this._withStore('readonly', store => store.getAllKeys())) || [];
+        }
+        return [...this.memory.keys()];
+    }
+
+    /**
+     * 投稿の画像を退避（base64 → ref）
+     * ref を持つ画像は保存済みなので base64 を外すだけ
+     * 退避中に画像が差し替えられた場合はその画像を退避しない
+     * @param {Object} post - 投稿（直接更新される）
+     * @returns {Promise<boolean>} - 退避した画像があるか
+     */
+    async offloadPostImages(post) {
+        const images = getPostImages(post);
+        if (!images.some(image => image.base64)) return false;
+
+        // 先頭画像が新しい場合はサムネイルを作り直す
+        if (!post.thumbnail || !images[0].ref) {
+            post.thumbnail = await this.createThumbnail(images[0].base64);
+        }
+
+        const stored = new Map();
+        for (const image of images) {
+            if (image.base64 && !image.ref && !stored.has(image.base64)) {
+                const key = generateImageKey();
+                await this.put(key, image.base64);
+                stored.set(image.base64, key);
+            }
+        }
+
+        // 退避中に編集された場合に備えて最新の画像一覧に適用する
+        const nextImages = getPostImages(post).map(image => {
+            const ref = image.ref || stored.get(image.base64);
+            return ref ? { ref, alt: image.alt, ...(image.focus ? { focus: image.focus } : {}) } : image;
+        });
+
+        post.images = nextImages;
+        post.imageBase64 = nextImages[0]?.ref ? null : (nextImages[0]?.base64 || null);
+        return true;
+    }
+
+    /**
+     * 投稿の画像を読み込む（ref → base64、投稿を直接更新）
+     * @param {Object} post
+     * @returns {Promise<Object>} - 同じ投稿
+     */
+    async loadPostImages(post) {
+        if (!post || !Array.isArray(post.images)) return post;
+
+        const loaded = await Promise.all(post.images.map(async (image) => {
+            if (!image || image.base64 || !image.ref) return image;
+            const base64 = await this.get(image.ref);
+            return base64 ? { ...image, base64 } : image;
+        }));
+
+        post.images = loaded;
+        if (!post.imageBase64 && loaded[0]?.base64) {
+            post.imageBase64 = loaded[0].base64;
+        }
+        return post;
+    }
+
+    /**
+     * 画像を読み込んだ投稿のコピーを返す（送信用、元の投稿は変更しない）
+     * @param {Object} post
+     * @returns {Promise<Object>}
+     */
+    async hydratePostImages(post) {
+        if (!post || !hasImageRefs(post)) return post;
+        return this.loadPostImages({
+            ...post,
+            images: post.images.map(image => ({ ...image }))
+        });
+    }
+
+    /**
+     * サムネイルが無い退避済みの投稿にサムネイルを作る（復元後など）
+     * @param {Object} post
+     * @returns {Promise<boolean>} - 作成したか
+     */
+    async ensureThumbnail(post) {
+        const first = post?.images?.[0];
+        if (post?.thumbnail || !first?.ref) return false;
+
+        const base64 = first.base64 || await this.get(first.ref);
+        post.thumbnail = base64 ? await this.createThumbnail(base64) : null;
+        return !!post.thumbnail;
+    }
+
+    /**
+     * キューから参照されていない画像を削除
+     * @param {Array<Object>} queue
+     * @returns {Promise<number>} - 削除した件数
+     */
+    async prune(queue) {
+        const referenced = new Set();
+        (queue || []).forEach(post => {
+            (post.images || []).forEach(image => image?.ref && referenced.add(image.ref));
+        });
+
+        const orphans = (await this.keys()).filter(key => !referenced.has(key));
+        for (const key of orphans) {
+            await this.delete(key);
+        }
+        if (orphans.length > 0) {
+            console.log(`[ImageStore] Pruned ${orphans.length} unused images`);
+        }
+        return orphans.length;
+    }
+}
+
+/**
+ * 退避済み（ref のみ）の画像を持つか
+ * @param {Object} post
+ * @returns {boolean}
+ */
+function hasImageRefs(post) {
+    return Array.isArray(post?.images) && post.images.some(image => image && image.ref && !image.base64);
+}
+
+/**
+ * 状態保存用の投稿を作成
+ * IndexedDB に保存済みの画像の base64 とサムネイル（復元時に作り直す）を除く
+ * @param {Object} post
+ * @returns {Object}
+ */
+function toPersistedPost(post) {
+    if (!Array.isArray(post?.images) || !post.images.some(image => image?.ref)) {
+        return post;
+    }
+    const images = post.images.map(image => (image?.ref
+        ? { ref: image.ref, alt: image.alt || '', ...(image.focus ? { focus: image.focus } : {}) }
+        : image));
+    return {
+        ...post,
+        images,
+        imageBase64: images[0]?.ref ? null : post.imageBase64,
+        thumbnail: null
+    };
+}
+
+// シングルトンインスタンス
+const imageStore = new ImageStore();
+
+// Export for use in other modules
+export {
+    ImageStore,
+    imageStore,
+    hasImageRefs,
+    toPersistedPost,
+    createThumbnail
+};
+
+// グローバルに公開
+if (typeof window !== 'undefined') {
+    window.imageStore = imageStore;
+}
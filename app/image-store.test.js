@@ -0,0 +1,141 @@
+/**
+ * Image Store Tests
+ * 投稿画像の IndexedDB 退避（テストではメモリ保存）
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import { ImageStore, hasImageRefs, toPersistedPost } from './image-store.js';
+import { getPostImages, replacePrimaryImage } from './post-composition.js';
+
+const img = (n) => `data:image/jpeg;base64,IMG${n}`;
+
+describe('ImageStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new ImageStore({ indexedDB: null, createThumbnail: async (src) => `thumb:${src}` });
+    });
+
+    it('should fall back to memory when IndexedDB is unavailable', async () => {
+        expect(await store.isPersistent()).toBe(false);
+        await store.put('a', img(1));
+        expect(await store.get('a')).toBe(img(1));
+        await store.delete('a');
+        expect(await store.get('a')).toBeNull();
+    });
+
+    it('should replace base64 with refs and keep a thumbnail', async () => {
+        const post = { id: 'p1', images: [{ base64: img(1), alt: 'first' }, { base64: img(2), alt: '' }], imageBase64: img(1) };
+
+        expect(await store.offloadPostImages(post)).toBe(true);
+
+        expect(post.imageBase64).toBeNull();
+        expect(post.thumbnail).toBe(`thumb:${img(1)}`);
+        expect(post.images.every(image => image.ref && !image.base64)).toBe(true);
+        expect(post.images[0].alt).toBe('first');
+        expect(hasImageRefs(post)).toBe(true);
+
+        // 2回目は何もしない
+        expect(await store.offloadPostImages(post)).toBe(false);
+    });
+
+    it('should offload legacy posts that only have imageBase64', async () => {
+        const post = { id: 'p1', imageBase64: img(1) };
+        await store.offloadPostImages(post);
+
+        expect(post.images).toHaveLength(1);
+        expect(await store.get(post.images[0].ref)).toBe(img(1));
+    });
+
+    it('should load images in place and hydrate a copy for sending', async () => {
+        const post = { id: 'p1', images: [{ base64: img(1), alt: 'a' }], imageBase64: img(1) };
+        await store.offloadPostImages(post);
+
+        const sendable = await store.hydratePostImages(post);
+        expect(sendable).not.toBe(post);
+        expect(sendable.imageBase64).toBe(img(1));
+        expect(getPostImages(sendable)[0]).toMatchObject({ base64: img(1), alt: 'a' });
+        expect(post.imageBase64).toBeNull();
+
+        await store.loadPostImages(post);
+        expect(post.imageBase64).toBe(img(1));
+        expect(post.images[0].base64).toBe(img(1));
+    });
+
+    it('should keep an image replaced while offloading', async () => {
+        const post = { id: 'p1', images: [{ base64: img(1), alt: 'a' }], imageBase64: img(1) };
+        const pending = store.offloadPostImages(post);
+        Object.assign(post, replacePrimaryImage(post, img(9)));
+        await pending;
+
+        expect(post.imageBase64).toBe(img(9));
+        expect(post.images[0]).toEqual({ base64: img(9), alt: 'a' });
+    });
+
+    it('should prune images no longer referenced by the queue', async () => {
+        const kept = { id: 'p1', imageBase64: img(1) };
+        const removed = { id: 'p2', imageBase64: img(2) };
+        await store.offloadPostImages(kept);
+        await store.offloadPostImages(removed);
+
+        // 複製した投稿は同じ画像を参照する
+        const duplicate = { ...kept, id: 'p3', images: kept.images.map(image => ({ ...image })) };
+
+        expect(await store.prune([duplicate])).toBe(1);
+        expect(await store.get(kept.images[0].ref)).toBe(img(1));
+        expect(await store.get(removed.images[0].ref)).toBeNull();
+    });
+
+    it('should regenerate a missing thumbnail after restore', async () => {
+        const post = { id: 'p1', imageBase64: img(1) };
+        await store.offloadPostImages(post);
+        const restored = JSON.parse(JSON.stringify(toPersistedPost(post)));
+
+        expect(restored.thumbnail).toBeNull();
+        expect(await store.ensureThumbnail(restored)).toBe(true);
+        expect(restored.thumbnail).toBe(`thumb:${img(1)}`);
+    });
+
+    it('Property: offload then hydrate returns the original images', async () => {
+        await fc.assert(
+            fc.asyncProperty(
+                fc.array(fc.record({ n: fc.integer({ min: 0, max: 5 }), alt: fc.string({ maxLength: 10 }) }), { minLength: 1, maxLength: 4 }),
+                async (specs) => {
+                    const images = specs.map(({ n, alt }) => ({ base64: img(n), alt }));
+                    const post = { id: 'p', images: images.map(image => ({ ...image })), imageBase64: images[0].base64 };
+
+                    await store.offloadPostImages(post);
+                    const sendable = await store.hydratePostImages(post);
+
+                    expect(getPostImages(sendable).map(({ base64, alt }) => ({ base64, alt }))).toEqual(images);
+                    expect(sendable.imageBase64).toBe(images[0].base64);
+                }
+            ),
+            { numRuns: 50 }
+        );
+    });
+});
+
+describe('toPersistedPost', () => {
+    it('should leave posts without refs untouched', () => {
+        const post = { id: 'p1', imageBase64: img(1) };
+        expect(toPersistedPost(post)).toBe(post);
+    });
+
+    it('should drop base64 and thumbnails of stored images', () => {
+        const post = {
+            id: 'p1',
+            images: [{ ref: 'k1', base64: img(1), alt: 'a' }, { base64: img(2), alt: '' }],
+            imageBase64: img(1),
+            thumbnail: 'thumb'
+        };
+
+        const persisted = toPersistedPost(post);
+
+        expect(persisted.images).toEqual([{ ref: 'k1', alt: 'a' }, { base64: img(2), alt: '' }]);
+        expect(persisted.imageBase64).toBeNull();
+        expect(persisted.thumbnail).toBeNull();
+        expect(post.images[0].base64).toBe(img(1));
+    });
+});
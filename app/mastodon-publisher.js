@@ -0,0 +1,236 @@
+/**
+ * Mastodon Publisher
+ * Mastodon のインスタンスに直接投稿するパブリッシャー
+ *
+ * 1. POST /api/v2/media で写真（最大4枚）を説明文・焦点付きでアップロード
+ *    処理中（202）の場合は GET /api/v1/media/:id で完了を待つ
+ * 2. POST /api/v1/statuses で公開範囲・閲覧注意（CW）を付けて投稿（スレッドの場合は親投稿への返信）
+ *    Idempotency-Key を付けるため、投稿の作成も同じキーで再試行できる（インスタンスが重複を返さない）
+ */
+
+import {
+    PublishError,
+    publisherRegistry,
+    dataUrlToBlob,
+    readResponseText,
+    runOnce,
+    createIdempotencyKey
+} from './publishers.js';
+import { getPostImages } from './post-composition.js';
+
+// 公開範囲
+const MASTODON_VISIBILITIES = {
+    public: '公開',
+    unlisted: '未収載',
+    private: 'フォロワー限定',
+    direct: 'ダイレクト'
+};
+const DEFAULT_MASTODON_VISIBILITY = 'public';
+
+// 本文の上限（インスタンスの既定値）
+const MASTODON_MAX_CHARACTERS = 500;
+
+// fediverse の投稿文だけを投稿し、スレッドの続きは投稿しない
+const MASTODON_TEXT_LIMIT = Object.freeze({
+    label: 'Mastodon',
+    targets: ['fediverse'],
+    max: MASTODON_MAX_CHARACTERS,
+    count: text => Array.from(String(text)).length,
+    replies: false,
+    localized: false
+});
+
+// 画像の説明文の上限
+const MAX_DESCRIPTION_LENGTH = 1500;
+
+// 画像の処理待ち
+const MEDIA_POLL_INTERVAL = 1000;
+const MEDIA_POLL_ATTEMPTS = 10;
+
+class MastodonPublisher {
+    /**
+     * @param {Object} options
+     * @param {string} options.instanceUrl - インスタンスのURL（https://mastodon.social など）
+     * @param {string} options.accessToken - アクセストークン（write:media, write:statuses）
+     * @param {string} [options.visibility] - 公開範囲（MASTODON_VISIBILITIES のキー）
+     * @param {string} [options.spoilerText] - 閲覧注意の文言（空欄は付けない）
+     * @param {number} [options.pollInterval] - 画像の処理待ちの間隔（テスト用）
+     * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+     */
+    constructor({
+        instanceUrl = '',
+        accessToken = '',
+        visibility = DEFAULT_MASTODON_VISIBILITY,
+        spoilerText = '',
+        pollInterval = MEDIA_POLL_INTERVAL,
+        fetchImpl = null
+    } = {}) {
+        this.id = 'mastodon';
+        this.label = 'Mastodon';
+        this.textLimit = MASTODON_TEXT_LIMIT;
+        this.instanceUrl = instanceUrl.trim().replace(/\/+$/, '');
+        this.accessToken = accessToken;
+        this.visibility = Object.hasOwn(MASTODON_VISIBILITIES, visibility) ? visibility : DEFAULT_MASTODON_VISIBILITY;
+        this.spoilerText = spoilerText.trim();
+        this.pollInterval = pollInterval;
+        this.fetchImpl = fetchImpl;
+        this.notConfiguredMessage = 'Mastodon のインスタンスURLとアクセストークンが設定されていません';
+    }
+
+    isConfigured() {
+        return !!this.instanceUrl && !!this.accessToken;
+    }
+
+    /**
+     * Mastodon API にリクエストを送り JSON とステータスを返す
+     * @param {string} path - APIパス
+     * @param {Object} init - fetchのオプション
+     * @returns {Promise<{ status: number, data: Object }>}
+     */
+    async _request(path, init) {
+        const fetchFn = this.fetchImpl || globalThis.fetch;
+        const headers = {
+            'Authorization': `Bearer ${this.accessToken}`,
+            ...(init.headers || {})
+        };
+
+        let response;
+        try {
+            response = await fetchFn(`${this.instanceUrl}${path}`, { ...init, headers });
+        } catch (error) {
+            throw new PublishError(error.message || 'Network error', { platform: this.id, network: true });
+        }
+
+        const body = await readResponseText(response);
+
+        if (!response.ok) {
+            throw new PublishError(`Mastodon request failed: ${response.status} ${path}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+
+        try {
+            return { status: response.status, data: body ? JSON.parse(body) : {} };
+        } catch (error) {
+            throw new PublishError(`Mastodon returned invalid JSON: ${path}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+    }
+
+    /**
+     * 画像をアップロードして添付ファイルIDを取得
+     * @param {import('./post-composition.js').PostImage} image
+     * @returns {Promise<string>} - 添付ファイルID
+     */
+    async uploadMedia(image) {
+        const form = new FormData();
+        form.append('file', dataUrlToBlob(image.base64), 'photo');
+        if (image.alt) {
+            form.append('description', image.alt.slice(0, MAX_DESCRIPTION_LENGTH));
+        }
+        if (image.focus) {
+            form.append('focus', `${image.focus.x},${image.focus.y}`);
+        }
+
+        const { status, data } = await this._request('/api/v2/media', { method: 'POST', body: form });
+        if (!data?.id) {
+            throw new PublishError('Mastodon did not return a media id', { platform: this.id });
+        }
+        if (status === 202 || !data.url) {
+            await this.waitForMedia(data.id);
+        }
+        return data.id;
+    }
+
+    /**
+     * 画像の処理が終わるまで待つ（処理中は 206 が返る）
+     * @param {string} mediaId
+     * @returns {Promise<void>}
+     */
+    async waitForMedia(mediaId) {
+        for (let attempt = 0; attempt < MEDIA_POLL_ATTEMPTS; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+            const { status, data } = await this._request(`/api/v1/media/${encodeURIComponent(mediaId)}`, { method: 'GET' });
+            if (status === 200 && data?.url) return;
+        }
+        throw new PublishError('Mastodon did not finish processing the media', { platform: this.id });
+    }
+
+    /**
+     * 投稿を送信
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {import('./publishers.js').PublishContext} context
+     * @returns {Promise<import('./publishers.js').PublishResult>}
+     */
+    async publish(post, { templates, parent = null, retry = runOnce }) {
+        if (!this.isConfigured()) {
+            throw new PublishError(this.notConfiguredMessage, { platform: this.id });
+        }
+
+        // Mastodon / Misskey 用のアカウントで描画した本文（generatePostTemplatesForItem）
+        const text = templates.fediverse ?? templates.x1;
+        if (Array.from(text).length > MASTODON_MAX_CHARACTERS) {
+            throw new PublishError(`Mastodon の投稿は${MASTODON_MAX_CHARACTERS}文字までです`, { platform: this.id });
+        }
+        if (parent && (parent.publishedPlatform !== this.id || !parent.publishedId)) {
+            throw new PublishError('返信先の投稿がMastodonに投稿されていないためスレッドにできません', { platform: this.id });
+        }
+
+        const mediaIds = [];
+        for (const image of getPostImages(post)) {
+            mediaIds.push(await retry(() => this.uploadMedia(image)));
+        }
+
+        const status = {
+            status: text,
+            visibility: this.visibility,
+            language: 'ja'
+        };
+        if (mediaIds.length > 0) {
+            status.media_ids = mediaIds;
+        }
+        if (this.spoilerText) {
+            status.spoiler_text = this.spoilerText;
+            status.sensitive = true;
+        }
+        if (parent) {
+            status.in_reply_to_id = parent.publishedId;
+        }
+
+        const idempotencyKey = createIdempotencyKey();
+        const { data } = await retry(() => this._request('/api/v1/statuses', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+            body: JSON.stringify(status)
+        }));
+
+        if (!data?.id) {
+            throw new PublishError('Mastodon did not return a status id', { platform: this.id });
+        }
+
+        return {
+            platform: this.id,
+            postId: data.id,
+            url: data.url || null,
+            visibility: this.visibility
+        };
+    }
+}
+
+publisherRegistry.register('mastodon', {
+    label: 'Mastodon',
+    create: (settings) => new MastodonPublisher({
+        instanceUrl: settings.mastodonInstanceUrl || '',
+        accessToken: settings.mastodonAccessToken || '',
+        visibility: settings.mastodonVisibility || DEFAULT_MASTODON_VISIBILITY,
+        spoilerText: settings.mastodonSpoilerText || ''
+    })
+});
+
+// Export for use in other modules
+export { MastodonPublisher, MASTODON_VISIBILITIES, DEFAULT_MASTODON_VISIBILITY, MASTODON_MAX_CHARACTERS };
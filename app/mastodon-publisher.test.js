@@ -0,0 +1,168 @@
+// @vitest-environment node
+/**
+ * Tests for Mastodon Publisher
+ * ローカルのモックインスタンスに対して送信フローを検証
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequestRetry } from './retry-policy.js';
+import { MastodonPublisher } from './mastodon-publisher.js';
+import { PublishError, createPublisher } from './publishers.js';
+import { renderPostTemplates } from './post-layout.js';
+import { startMockMastodonServer } from '../test/mock-mastodon-server.js';
+
+const imageBase64 = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+
+const samplePost = {
+    imageBase64,
+    boothName: 'SEGA',
+    boothAccount: '@sega',
+    personRole: 'モデル',
+    personName: '世森 響',
+    personAccount: '@hibiki',
+    personAccounts: { x: 'hibiki', fediverse: 'hibiki@mastodon.social' },
+    aiComment: '笑顔が素敵でした✨'
+};
+
+const event = {
+    eventEn: 'Tokyo Game Show 2025',
+    eventJp: '東京ゲームショウ2025',
+    date: '2025.09.25',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#TGS2025 #東京ゲームショウ'
+};
+
+const sampleContext = {
+    event,
+    templates: { x1: 'X の本文', fediverse: '📸 東京ゲームショウ\n世森 響 さん @hibiki@mastodon.social' }
+};
+
+describe('MastodonPublisher', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startMockMastodonServer();
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('should upload the image with description and focus and post with visibility and content warning', async () => {
+        const publisher = new MastodonPublisher({
+            instanceUrl: `${server.baseUrl}/`,
+            accessToken: 'test-token',
+            visibility: 'unlisted',
+            spoilerText: '写真あり'
+        });
+        const post = { ...samplePost, images: [{ base64: imageBase64, alt: 'ブースの全景', focus: { x: 0.25, y: -0.5 } }] };
+
+        const result = await publisher.publish(post, sampleContext);
+
+        expect(server.media).toEqual([
+            expect.objectContaining({ description: 'ブースの全景', focus: { x: 0.25, y: -0.5 } })
+        ]);
+        expect(server.statuses).toEqual([{
+            id: result.postId,
+            status: sampleContext.templates.fediverse,
+            visibility: 'unlisted',
+            language: 'ja',
+            media_ids: [server.media[0].id],
+            spoiler_text: '写真あり',
+            sensitive: true
+        }]);
+        expect(result).toEqual({
+            platform: 'mastodon',
+            postId: result.postId,
+            url: `${server.baseUrl}/@photographer/${result.postId}`,
+            visibility: 'unlisted'
+        });
+    });
+
+    it('should wait for media that is still processing', async () => {
+        await server.close();
+        server = await startMockMastodonServer({ processingPolls: 2 });
+        const publisher = new MastodonPublisher({ instanceUrl: server.baseUrl, accessToken: 'test-token', pollInterval: 1 });
+
+        await publisher.publish(samplePost, sampleContext);
+
+        const polls = server.requests.filter(r => r.method === 'GET');
+        expect(polls).toHaveLength(3);
+        expect(server.statuses[0].media_ids).toEqual([server.media[0].id]);
+        expect(server.statuses[0]).not.toHaveProperty('spoiler_text');
+    });
+
+    it('should reply to a parent posted on Mastodon and refuse other parents', async () => {
+        const publisher = new MastodonPublisher({ instanceUrl: server.baseUrl, accessToken: 'test-token' });
+
+        const root = await publisher.publish({}, sampleContext);
+        await publisher.publish({}, { ...sampleContext, parent: { publishedPlatform: 'mastodon', publishedId: root.postId } });
+        expect(server.statuses[1].in_reply_to_id).toBe(root.postId);
+
+        const parent = { publishedPlatform: 'misskey', publishedId: 'abc' };
+        await expect(publisher.publish({}, { ...sampleContext, parent })).rejects.toThrow(PublishError);
+        expect(server.statuses).toHaveLength(2);
+    });
+
+    it('should retry the status with the same Idempotency-Key after a server error', async () => {
+        const statusRequests = [];
+        const fetchImpl = async (url, init) => {
+            if (url.endsWith('/api/v1/statuses')) {
+                statusRequests.push(init.headers['Idempotency-Key']);
+                if (statusRequests.length === 1) {
+                    return new Response('busy', { status: 503 });
+                }
+            }
+            return fetch(url, init);
+        };
+        const publisher = new MastodonPublisher({ instanceUrl: server.baseUrl, accessToken: 'test-token', fetchImpl });
+        const retry = createRequestRetry({ policy: { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 0, factor: 1, jitter: 0 } });
+
+        const result = await publisher.publish({ ...samplePost, imageBase64: null }, { ...sampleContext, retry });
+
+        expect(statusRequests).toHaveLength(2);
+        expect(statusRequests[0]).toBeTruthy();
+        expect(statusRequests[1]).toBe(statusRequests[0]);
+        expect(server.statuses).toHaveLength(1);
+        expect(result.postId).toBe(server.statuses[0].id);
+    });
+
+    it('should surface authentication errors as PublishError', async () => {
+        const publisher = new MastodonPublisher({ instanceUrl: server.baseUrl, accessToken: 'wrong' });
+
+        const error = await publisher.publish(samplePost, sampleContext).catch(e => e);
+
+        expect(error).toBeInstanceOf(PublishError);
+        expect(error.status).toBe(401);
+        expect(server.statuses).toHaveLength(0);
+    });
+
+    it('should refuse to publish without settings or over the length limit', async () => {
+        await expect(new MastodonPublisher({ instanceUrl: server.baseUrl }).publish(samplePost, sampleContext))
+            .rejects.toThrow('Mastodon のインスタンスURLとアクセストークンが設定されていません');
+
+        const publisher = new MastodonPublisher({ instanceUrl: server.baseUrl, accessToken: 'test-token' });
+        await expect(publisher.publish(samplePost, { event, templates: { fediverse: 'あ'.repeat(501) } })).rejects.toThrow(/500/);
+        expect(server.requests).toHaveLength(0);
+    });
+
+    it('should be created from the settings and fall back to public visibility', () => {
+        const publisher = createPublisher({
+            publisher: 'mastodon',
+            mastodonInstanceUrl: 'https://mastodon.social',
+            mastodonAccessToken: 'token',
+            mastodonVisibility: 'everyone'
+        });
+        expect(publisher).toBeInstanceOf(MastodonPublisher);
+        expect(publisher.isConfigured()).toBe(true);
+        expect(publisher.visibility).toBe('public');
+    });
+
+    it('should render the post text with the Fediverse account from the person record', () => {
+        const text = renderPostTemplates(samplePost, event, { platform: 'fediverse' }).x1;
+
+        expect(text).toContain('@hibiki@mastodon.social');
+        expect(text).not.toContain('@sega');
+    });
+});
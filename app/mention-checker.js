@@ -0,0 +1,411 @@
+/**
+ * Mention Checker
+ * 投稿でメンションする X アカウント（ブース公式・人物）の表記を揃え、
+ * 人物データベース・テンプレートにないアカウントを似たアカウントの候補付きで警告する
+ *
+ * - 表記: 全角の＠、@なし、x.com/foo のようなURLを @foo に揃える
+ * - 警告は編集画面で確認済みにするまで送信しない（post.mentionAcknowledged）
+ * - アカウントの存在確認（オンライン）は lookup として差し替えられる
+ */
+
+import { validateAccount } from './bulk-text-parser.js';
+import { PersonDatabase } from './person-database.js';
+import { BoothTemplateDatabase, FieldTemplateDatabase } from './template-database.js';
+import { DEFAULT_X_API_BASE_URL } from './x-publisher.js';
+
+// 投稿文の「、」「,」や空白で区切った複数アカウント（post-layout.js と同じ）
+const ACCOUNT_SEPARATOR = /[\s,、]+/;
+
+// 検査する投稿の項目
+const MENTION_FIELDS = {
+    boothAccount: 'ブース公式',
+    personAccount: '人物'
+};
+
+// x.com/〜 のうちアカウントではないパス
+const RESERVED_PATHS = new Set(['home', 'i', 'intent', 'search', 'hashtag', 'explore', 'share', 'messages', 'notifications', 'settings']);
+
+// users/by で一度に問い合わせるアカウント数（X API の上限）
+const LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * 警告
+ * @typedef {Object} MentionWarning
+ * @property {string} key - 確認済みの記録に使うキー
+ * @property {string} field - 'boothAccount' | 'personAccount'
+ * @property {string} raw - 入力されたままの値
+ * @property {string} handle - アカウント名（@なし、読み取れない場合は空文字）
+ * @property {string} type - 'invalid' | 'unknown' | 'not_found'
+ * @property {string} message - 表示用のメッセージ
+ * @property {Array<{handle: string, name: string, source: string, distance: number}>} suggestions - 似たアカウント
+ */
+
+/**
+ * メンションの確認が必要なときのエラー
+ */
+class MentionCheckError extends Error {
+    /**
+     * @param {Array<MentionWarning>} warnings - 確認済みでない警告
+     */
+    constructor(warnings) {
+        const targets = warnings.map(warning => warning.handle ? `@${warning.handle}` : warning.raw);
+        super(`メンションするアカウントを確認してください: ${targets.join(', ')}`);
+        this.name = 'MentionCheckError';
+        this.warnings = warnings;
+    }
+}
+
+/**
+ * 入力をアカウント名（@なし）にする
+ * 全角の＠・@なし・x.com / twitter.com のURLを受け付ける
+ * @param {string} value
+ * @returns {string} - アカウント名、読み取れない場合は空文字
+ */
+function normalizeHandle(value) {
+    let text = String(value || '')
+        .normalize('NFKC')
+        .trim()
+        .replace(/^[「『(<]+|[」』)>。、,.!?:]+$/g, '');
+
+    const url = /^(?:https?:\/\/)?(?:(?:www|mobile)\.)?(?:x|twitter)\.com\/(?:#!\/)?@?([^/?#\s]+)/i.exec(text);
+    if (url) {
+        text = RESERVED_PATHS.has(url[1].toLowerCase()) ? '' : url[1];
+    }
+
+    const handle = text.replace(/^@+/, '');
+    return validateAccount(handle) ? handle : '';
+}
+
+/**
+ * アカウント欄の値を分ける
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitAccounts(value) {
+    return String(value || '').split(ACCOUNT_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * アカウント欄の値の表記を @foo に揃える（読み取れない値はそのまま残す）
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeAccountField(value) {
+    return splitAccounts(value)
+        .map(raw => {
+            const handle = normalizeHandle(raw);
+            return handle ? `@${handle}` : raw;
+        })
+        .join(' ');
+}
+
+/**
+ * アカウント欄の表記を揃えた投稿のコピー
+ * @param {Object} post
+ * @returns {Object}
+ */
+function withNormalizedMentions(post) {
+    const updates = {};
+    Object.keys(MENTION_FIELDS).forEach(field => {
+        if (post[field]) updates[field] = normalizeAccountField(post[field]);
+    });
+    return { ...post, ...updates };
+}
+
+/**
+ * 投稿でメンションするアカウントの一覧
+ * @param {Object} post
+ * @returns {Array<{field: string, raw: string, handle: string}>}
+ */
+function getMentionTargets(post) {
+    return Object.keys(MENTION_FIELDS).flatMap(field =>
+        splitAccounts(post?.[field]).map(raw => ({ field, raw, handle: normalizeHandle(raw) }))
+    );
+}
+
+/**
+ * 既知のアカウント（人物データベースの X アカウント、ブース・フィールドテンプレートのブース公式）
+ * @param {Object} sources
+ * @param {Array<Object>} [sources.persons]
+ * @param {Array<Object>} [sources.boothTemplates]
+ * @param {Array<Object>} [sources.fieldTemplates]
+ * @returns {Map<string, {handle: string, name: string, source: string}>} - 小文字のアカウント名 => 情報
+ */
+function collectKnownHandles({ persons = [], boothTemplates = [], fieldTemplates = [] } = {}) {
+    const known = new Map();
+    const add = (value, name, source) => {
+        splitAccounts(value).forEach(raw => {
+            const handle = normalizeHandle(raw);
+            const key = handle.toLowerCase();
+            if (handle && !known.has(key)) known.set(key, { handle, name: name || '', source });
+        });
+    };
+
+    persons.forEach(person => add(person.accounts?.x || person.account, person.name, 'person'));
+    boothTemplates.forEach(template => add(template.boothAccount, template.boothName || template.name, 'booth'));
+    fieldTemplates.forEach(template => add(template.fields?.boothAccount, template.fields?.boothName || template.name, 'booth'));
+    return known;
+}
+
+/**
+ * 保存済みのデータベースから既知のアカウントを読み込む
+ * @returns {Map<string, {handle: string, name: string, source: string}>}
+ */
+function loadKnownHandles() {
+    return collectKnownHandles({
+        persons: new PersonDatabase().getAll(),
+        boothTemplates: new BoothTemplateDatabase().getAll(),
+        fieldTemplates: new FieldTemplateDatabase().getAll()
+    });
+}
+
+/**
+ * 編集距離（隣り合う文字の入れ替えも1として数える）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * 既知のアカウントから似たものを探す（短いアカウントほど近いものだけ）
+ * @param {string} handle
+ * @param {Map<string, Object>} known - collectKnownHandles の戻り値
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {string} [options.exclude] - 候補にしないアカウント（X に見つからなかったアカウント自身）
+ * @returns {Array<{handle: string, name: string, source: string, distance: number}>}
+ */
+function suggestHandles(handle, known, { limit = 3, exclude = '' } = {}) {
+    const key = String(handle || '').replace(/^@/, '').toLowerCase();
+    if (!key) return [];
+    const maxDistance = key.length <= 4 ? 1 : 2;
+
+    return [...known.entries()]
+        .map(([knownKey, entry]) => ({ ...entry, distance: editDistance(key, knownKey) }))
+        .filter(entry => entry.distance <= maxDistance && entry.handle.toLowerCase() !== exclude.toLowerCase())
+        .sort((a, b) => a.distance - b.distance || a.handle.localeCompare(b.handle))
+        .slice(0, limit);
+}
+
+/**
+ * 警告を組み立てる
+ * @param {Object} post
+ * @param {Map<string, Object>} known
+ * @param {Map<string, boolean>|null} existence - 小文字のアカウント名 => X に存在するか（確認できなかったものは含まない）
+ * @returns {Array<MentionWarning>}
+ */
+function buildWarnings(post, known, existence) {
+    const seen = new Set();
+    const warnings = [];
+
+    getMentionTargets(post).forEach(({ field, raw, handle }) => {
+        const key = handle.toLowerCase();
+        const label = MENTION_FIELDS[field];
+        let type = null;
+        let message = '';
+
+        if (!handle) {
+            type = 'invalid';
+            message = `${label}「${raw}」は X のアカウントとして読み取れません`;
+        } else if (existence?.get(key) === false) {
+            type = 'not_found';
+            message = `${label} @${handle} は X に見つかりません`;
+        } else if (!known.has(key)) {
+            type = 'unknown';
+            message = `${label} @${handle} は人物データベース・テンプレートにありません`;
+        }
+        if (!type) return;
+
+        const warningKey = `${field}:${type}:${(handle || raw).toLowerCase()}`;
+        if (seen.has(warningKey)) return;
+        seen.add(warningKey);
+
+        warnings.push({
+            key: warningKey,
+            field,
+            raw,
+            handle,
+            type,
+            message,
+            // 読み取れない値は使えない文字を除いて探す
+            suggestions: handle
+                ? suggestHandles(handle, known, { exclude: handle })
+                : suggestHandles(raw.normalize('NFKC').replace(/[^A-Za-z0-9_]/g, ''), known)
+        });
+    });
+    return warnings;
+}
+
+/**
+ * メンションするアカウントを検査（オフライン）
+ * @param {Object} post
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.known] - 省略時は保存済みのデータベースから読み込む
+ * @returns {Array<MentionWarning>}
+ */
+function checkMentions(post, { known = loadKnownHandles() } = {}) {
+    return buildWarnings(post, known, null);
+}
+
+/**
+ * メンションするアカウントを検査（lookup があれば X に存在するかも確かめる）
+ * lookup が失敗した場合はオフラインの検査結果を返す
+ * @param {Object} post
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.known]
+ * @param {Function|null} [options.lookup] - (handles) => Promise<Map<string, boolean>>
+ * @returns {Promise<Array<MentionWarning>>}
+ */
+async function verifyMentions(post, { known = loadKnownHandles(), lookup = null } = {}) {
+    const handles = [...new Set(getMentionTargets(post).map(target => target.handle).filter(Boolean))];
+    if (!lookup || handles.length === 0) {
+        return buildWarnings(post, known, null);
+    }
+
+    try {
+        return buildWarnings(post, known, await lookup(handles));
+    } catch (error) {
+        console.warn('[MentionChecker] Account lookup failed:', error);
+        return buildWarnings(post, known, null);
+    }
+}
+
+/**
+ * 確認済みでない警告
+ * @param {Array<MentionWarning>} warnings
+ * @param {Array<string>} [acknowledged] - post.mentionAcknowledged
+ * @returns {Array<MentionWarning>}
+ */
+function getUnacknowledgedWarnings(warnings, acknowledged = []) {
+    const keys = new Set(acknowledged || []);
+    return warnings.filter(warning => !keys.has(warning.key));
+}
+
+/**
+ * 確認済みの記録のうち、今のアカウント欄に残っているものだけを返す
+ * @param {Object} post
+ * @param {Array<string>} acknowledged
+ * @returns {string[]}
+ */
+function pruneAcknowledged(post, acknowledged = []) {
+    const targets = getMentionTargets(post);
+    return [...new Set(acknowledged || [])].filter(key =>
+        targets.some(({ field, raw, handle }) =>
+            key.startsWith(`${field}:`) && key.endsWith(`:${(handle || raw).toLowerCase()}`)
+        )
+    );
+}
+
+/**
+ * 送信前の確認（確認済みでない警告があれば MentionCheckError）
+ * @param {Object} post
+ * @param {Object} [options] - verifyMentions と同じ
+ * @returns {Promise<Array<MentionWarning>>} - 確認済みを含む警告
+ * @throws {MentionCheckError}
+ */
+async function ensureMentionsAcknowledged(post, options = {}) {
+    const warnings = await verifyMentions(post, options);
+    const pending = getUnacknowledgedWarnings(warnings, post.mentionAcknowledged);
+    if (pending.length > 0) {
+        throw new MentionCheckError(pending);
+    }
+    return warnings;
+}
+
+/**
+ * X API v2 の users/by でアカウントの存在を確かめる lookup
+ * 同じ lookup で確かめたアカウントは覚えておく
+ * @param {Object} options
+ * @param {string} options.accessToken
+ * @param {string} [options.apiBaseUrl] - APIのベースURL（テスト時はモックサーバー）
+ * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+ * @returns {Function} - (handles) => Promise<Map<string, boolean>>
+ */
+function createXAccountLookup({ accessToken, apiBaseUrl = DEFAULT_X_API_BASE_URL, fetchImpl = null }) {
+    const baseUrl = (apiBaseUrl || DEFAULT_X_API_BASE_URL).replace(/\/+$/, '');
+    const cache = new Map();
+
+    return async (handles) => {
+        const pending = [...new Set(handles.map(handle => handle.toLowerCase()))].filter(key => !cache.has(key));
+        const fetchFn = fetchImpl || globalThis.fetch;
+
+        for (let i = 0; i < pending.length; i += LOOKUP_BATCH_SIZE) {
+            const batch = pending.slice(i, i + LOOKUP_BATCH_SIZE);
+            const response = await fetchFn(`${baseUrl}/2/users/by?usernames=${batch.map(encodeURIComponent).join(',')}`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`X API user lookup failed: ${response.status}`);
+            }
+
+            const body = await response.json();
+            (body.data || []).forEach(user => cache.set(String(user.username).toLowerCase(), true));
+            // 存在しない・凍結されたアカウントは errors に入る
+            (body.errors || []).forEach(error => {
+                if (error.value) cache.set(String(error.value).toLowerCase(), false);
+            });
+        }
+
+        return new Map(handles.map(handle => handle.toLowerCase()).filter(key => cache.has(key)).map(key => [key, cache.get(key)]));
+    };
+}
+
+// 設定ごとの lookup（同じ設定なら確かめた結果を使い回す）
+let settingsLookup = { key: null, lookup: null };
+
+/**
+ * 設定からオンラインの lookup を作成（無効な場合は null）
+ * @param {Object} settings - AppState.settings
+ * @returns {Function|null}
+ */
+function createMentionLookup(settings = {}) {
+    if (!settings.mentionLookup || !settings.xAccessToken) return null;
+
+    const key = `${settings.xApiBaseUrl || ''}\n${settings.xAccessToken}`;
+    if (settingsLookup.key !== key) {
+        settingsLookup = {
+            key,
+            lookup: createXAccountLookup({
+                accessToken: settings.xAccessToken,
+                apiBaseUrl: settings.xApiBaseUrl || DEFAULT_X_API_BASE_URL
+            })
+        };
+    }
+    return settingsLookup.lookup;
+}
+
+// Export for use in other modules
+export {
+    MentionCheckError,
+    MENTION_FIELDS,
+    normalizeHandle,
+    normalizeAccountField,
+    withNormalizedMentions,
+    getMentionTargets,
+    collectKnownHandles,
+    loadKnownHandles,
+    editDistance,
+    suggestHandles,
+    checkMentions,
+    verifyMentions,
+    getUnacknowledgedWarnings,
+    pruneAcknowledged,
+    ensureMentionsAcknowledged,
+    createXAccountLookup,
+    createMentionLookup
+};
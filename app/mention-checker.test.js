@@ -0,0 +1,224 @@
+/**
+ * Mention Checker Tests
+ * アカウントの表記の揃え方・既知でないアカウントの警告と候補・確認済みにするまでの送信の停止・オンラインの確認
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    MentionCheckError,
+    normalizeHandle,
+    normalizeAccountField,
+    collectKnownHandles,
+    editDistance,
+    checkMentions,
+    verifyMentions,
+    pruneAcknowledged,
+    ensureMentionsAcknowledged,
+    createXAccountLookup
+} from './mention-checker.js';
+import { PersonDatabase } from './person-database.js';
+import { BoothTemplateDatabase } from './template-database.js';
+import { BatchProcessor } from './batch-processor.js';
+import { startMockXServer } from '../test/mock-x-server.js';
+
+const known = collectKnownHandles({
+    persons: [{ name: '世森 響', accounts: { x: 'hibikiyomori' } }, { name: 'A', account: 'model_a' }],
+    boothTemplates: [{ name: 'SEGA', boothName: 'SEGA', boothAccount: '@SEGA_OFFICIAL' }]
+});
+
+describe('MentionChecker', () => {
+    describe('normalizeHandle', () => {
+        it('should read full-width @, missing @ and profile URLs', () => {
+            expect(normalizeHandle('＠hibikiyomori')).toBe('hibikiyomori');
+            expect(normalizeHandle('ｈｉｂｉｋｉ')).toBe('hibiki');
+            expect(normalizeHandle('hibikiyomori')).toBe('hibikiyomori');
+            expect(normalizeHandle('https://x.com/hibikiyomori?s=20')).toBe('hibikiyomori');
+            expect(normalizeHandle('twitter.com/SEGA_OFFICIAL/status/1')).toBe('SEGA_OFFICIAL');
+            expect(normalizeHandle('（@sega）')).toBe('sega');
+        });
+
+        it('should reject values that are not X accounts', () => {
+            expect(normalizeHandle('x.com/home')).toBe('');
+            expect(normalizeHandle('@hibiki-yomori')).toBe('');
+            expect(normalizeHandle('@abcdefghijklmnop')).toBe('');
+            expect(normalizeHandle('')).toBe('');
+        });
+
+        it('should normalize every account in a field and keep unreadable values', () => {
+            expect(normalizeAccountField('＠a、x.com/b  c')).toBe('@a @b @c');
+            expect(normalizeAccountField('@a-b')).toBe('@a-b');
+            expect(normalizeAccountField('')).toBe('');
+        });
+
+        it('Property: normalizeAccountField is idempotent', () => {
+            fc.assert(
+                fc.property(fc.array(fc.string({ maxLength: 20 }), { maxLength: 5 }), (values) => {
+                    const once = normalizeAccountField(values.join(' '));
+                    expect(normalizeAccountField(once)).toBe(once);
+                }),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('checkMentions', () => {
+        it('should flag unknown accounts with close matches', () => {
+            const warnings = checkMentions({ boothAccount: '@SEGA_OFFICIAL', personAccount: '@hibikiyomroi @stranger' }, { known });
+
+            expect(warnings.map(w => [w.type, w.handle])).toEqual([
+                ['unknown', 'hibikiyomroi'],
+                ['unknown', 'stranger']
+            ]);
+            expect(warnings[0].suggestions).toEqual([
+                { handle: 'hibikiyomori', name: '世森 響', source: 'person', distance: 1 }
+            ]);
+            expect(warnings[1].suggestions).toEqual([]);
+        });
+
+        it('should suggest accounts for values that cannot be read', () => {
+            const [warning] = checkMentions({ personAccount: '@model-a' }, { known });
+
+            expect(warning).toMatchObject({ type: 'invalid', raw: '@model-a', handle: '' });
+            expect(warning.suggestions.map(s => s.handle)).toEqual(['model_a']);
+        });
+
+        it('should read known accounts from the person database and booth templates', () => {
+            new PersonDatabase().add({ name: '世森 響', account: 'hibikiyomori', role: 'モデル' });
+            new BoothTemplateDatabase().save({ name: 'SEGA', boothName: 'SEGA', boothAccount: 'https://x.com/sega_official' });
+
+            expect(checkMentions({ boothAccount: '＠sega_official', personAccount: 'hibikiyomori' })).toEqual([]);
+        });
+
+        it('should only suggest very close matches for short accounts', () => {
+            const shortKnown = collectKnownHandles({ persons: [{ account: 'abcd' }] });
+
+            expect(checkMentions({ personAccount: '@abce' }, { known: shortKnown })[0].suggestions).toHaveLength(1);
+            expect(checkMentions({ personAccount: '@abxy' }, { known: shortKnown })[0].suggestions).toHaveLength(0);
+            expect(editDistance('hibikiyomori', 'hibikiyomroi')).toBe(1);
+        });
+    });
+
+    describe('acknowledgement', () => {
+        beforeEach(() => {
+            localStorage.clear();
+        });
+
+        it('should block sending until every warning is acknowledged', async () => {
+            const post = { boothAccount: '@SEGA_OFFICIAL', personAccount: '@hibikiyomroi', mentionAcknowledged: [] };
+
+            const error = await ensureMentionsAcknowledged(post, { known }).catch(e => e);
+            expect(error).toBeInstanceOf(MentionCheckError);
+            expect(error.message).toContain('@hibikiyomroi');
+
+            const [warning] = error.warnings;
+            const warnings = await ensureMentionsAcknowledged({ ...post, mentionAcknowledged: [warning.key] }, { known });
+            expect(warnings).toHaveLength(1);
+        });
+
+        it('should drop acknowledgements for accounts that are no longer in the post', () => {
+            const [warning] = checkMentions({ personAccount: '@stranger' }, { known });
+
+            expect(pruneAcknowledged({ personAccount: '＠Stranger' }, [warning.key])).toEqual([warning.key]);
+            expect(pruneAcknowledged({ personAccount: '@hibikiyomori' }, [warning.key])).toEqual([]);
+            expect(pruneAcknowledged({ boothAccount: '@stranger' }, [warning.key])).toEqual([]);
+        });
+
+        it('should stop a batch send before publishing', async () => {
+            const queue = [{ id: 'p1', personName: 'A', personAccount: '@stranger', status: 'ready', aiComment: '' }];
+            global.window = {
+                AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const publisher = { publish: vi.fn().mockResolvedValue({ platform: 'make', postId: null, url: null }) };
+
+            await expect(new BatchProcessor().sendSinglePost(0, publisher)).rejects.toThrow(MentionCheckError);
+            expect(publisher.publish).not.toHaveBeenCalled();
+            expect(queue[0].status).toBe('ready');
+
+            queue[0].mentionAcknowledged = ['personAccount:unknown:stranger'];
+            await new BatchProcessor().sendSinglePost(0, publisher);
+            expect(publisher.publish).toHaveBeenCalledTimes(1);
+            expect(queue[0].status).toBe('sent');
+        });
+    });
+
+    describe('online lookup', () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await startMockXServer({ accessToken: 'token', users: ['hibikiyomori', 'SEGA_OFFICIAL', 'stranger'] });
+        });
+
+        afterEach(async () => {
+            await server.close();
+        });
+
+        it('should flag accounts that do not exist on X and remember results', async () => {
+            const lookup = createXAccountLookup({ accessToken: 'token', apiBaseUrl: server.baseUrl });
+            const post = { boothAccount: '@sega_official', personAccount: '@hibikiyomroi @stranger' };
+
+            const warnings = await verifyMentions(post, { known, lookup });
+
+            expect(warnings.map(w => [w.type, w.handle])).toEqual([
+                ['not_found', 'hibikiyomroi'],
+                ['unknown', 'stranger']
+            ]);
+            expect(warnings[0].suggestions.map(s => s.handle)).toEqual(['hibikiyomori']);
+            expect(server.requests).toHaveLength(1);
+            expect(server.requests[0].query.usernames.split(',')).toEqual(['sega_official', 'hibikiyomroi', 'stranger']);
+
+            await verifyMentions(post, { known, lookup });
+            expect(server.requests).toHaveLength(1);
+        });
+
+        it('should fall back to the offline check when the lookup fails', async () => {
+            const lookup = createXAccountLookup({ accessToken: 'wrong', apiBaseUrl: server.baseUrl });
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const warnings = await verifyMentions({ personAccount: '@hibikiyomroi' }, { known, lookup });
+
+            expect(warnings.map(w => w.type)).toEqual(['unknown']);
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+
+        it('should accept any stub as the lookup', async () => {
+            const lookup = vi.fn(async handles => new Map(handles.map(handle => [handle.toLowerCase(), false])));
+
+            const warnings = await verifyMentions({ personAccount: '@hibikiyomori' }, { known, lookup });
+
+            expect(lookup).toHaveBeenCalledWith(['hibikiyomori']);
+            expect(warnings).toMatchObject([{ type: 'not_found', handle: 'hibikiyomori', suggestions: [] }]);
+        });
+
+        it('should mark a batch send as sending while the lookup is pending', async () => {
+            const queue = [{
+                id: 'p1',
+                personName: 'A',
+                personAccount: '@hibikiyomori',
+                mentionAcknowledged: ['personAccount:unknown:hibikiyomori'],
+                status: 'ready',
+                aiComment: ''
+            }];
+            global.window = {
+                AppState: {
+                    postQueue: queue,
+                    eventInfo: {},
+                    settings: { mentionLookup: true, xAccessToken: 'token', xApiBaseUrl: server.baseUrl }
+                },
+                updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+            };
+            const publisher = { publish: vi.fn().mockResolvedValue({ platform: 'make', postId: null, url: null }) };
+
+            const sending = new BatchProcessor().sendSinglePost(0, publisher);
+            // 照会の待機中に予約のディスパッチが同じ投稿を送らない
+            expect(queue[0].status).toBe('sending');
+            await sending;
+
+            expect(server.requests).toHaveLength(1);
+            expect(publisher.publish).toHaveBeenCalledTimes(1);
+            expect(queue[0].status).toBe('sent');
+        });
+    });
+});
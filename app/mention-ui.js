@@ -0,0 +1,182 @@
+/**
+ * Mention UI
+ * 編集モーダルのメンションの警告（似たアカウントの候補・確認済みにするチェック）
+ */
+
+import {
+    MENTION_FIELDS,
+    loadKnownHandles,
+    checkMentions,
+    verifyMentions,
+    pruneAcknowledged
+} from './mention-checker.js';
+
+// オンラインの確認を入力が止まってから行うまでの時間
+const LOOKUP_DELAY_MS = 600;
+
+// 項目ごとの入力欄
+const FIELD_INPUTS = {
+    boothAccount: 'edit-booth-account',
+    personAccount: 'edit-person-account'
+};
+
+// app.js から注入
+let getLookupFn = () => null;
+
+// 編集中の状態
+const editState = {
+    postId: null,
+    known: new Map(),
+    warnings: [],
+    acknowledged: new Set(),
+    lookupTimer: null,
+    // 古いオンラインの確認結果で上書きしないための番号
+    requestId: 0
+};
+
+/**
+ * HTMLエスケープ
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * 編集中の投稿を取得
+ * @returns {Object|null}
+ */
+function getEditingPost() {
+    const index = window.AppState?.currentEditIndex;
+    if (index === null || index === undefined || index < 0) return null;
+    return window.AppState.postQueue[index] || null;
+}
+
+/**
+ * 入力欄のアカウント
+ * @returns {{boothAccount: string, personAccount: string}}
+ */
+function readAccountInputs() {
+    return Object.fromEntries(Object.entries(FIELD_INPUTS).map(([field, id]) => [field, document.getElementById(id)?.value || '']));
+}
+
+/**
+ * 警告を描画
+ */
+function renderWarnings() {
+    const list = document.getElementById('edit-mention-warnings');
+    if (!list) return;
+
+    list.innerHTML = editState.warnings.map(warning => {
+        const acknowledged = editState.acknowledged.has(warning.key);
+        const suggestions = warning.suggestions.map(suggestion => `
+            <button type="button" class="mention-suggestion" data-field="${warning.field}" data-raw="${escapeHtml(warning.raw)}"
+                data-handle="${escapeHtml(suggestion.handle)}" title="${escapeHtml(suggestion.name)}">@${escapeHtml(suggestion.handle)}</button>`).join('');
+
+        return `<li class="mention-warning ${acknowledged ? 'is-acknowledged' : ''}">
+            <span class="mention-warning-message">${escapeHtml(warning.message)}</span>
+            ${suggestions ? `<span class="mention-suggestions">候補: ${suggestions}</span>` : ''}
+            <label class="mention-ack"><input type="checkbox" data-key="${escapeHtml(warning.key)}" ${acknowledged ? 'checked' : ''}> このまま送信する</label>
+        </li>`;
+    }).join('');
+    list.hidden = editState.warnings.length === 0;
+}
+
+/**
+ * 入力欄から警告を作り直す（オンラインの確認は入力が止まってから）
+ */
+export function updateEditMentionWarnings() {
+    const accounts = readAccountInputs();
+    editState.warnings = checkMentions(accounts, { known: editState.known });
+    renderWarnings();
+
+    clearTimeout(editState.lookupTimer);
+    const lookup = getLookupFn();
+    if (!lookup) return;
+
+    const requestId = ++editState.requestId;
+    editState.lookupTimer = setTimeout(async () => {
+        const warnings = await verifyMentions(accounts, { known: editState.known, lookup });
+        if (requestId !== editState.requestId) return;
+        editState.warnings = warnings;
+        renderWarnings();
+    }, LOOKUP_DELAY_MS);
+}
+
+/**
+ * 編集モーダルのメンションの警告を描画（モーダルを開いたとき）
+ */
+export function renderEditMentions() {
+    const post = getEditingPost();
+    if (!post) return;
+
+    editState.postId = post.id;
+    editState.known = loadKnownHandles();
+    editState.acknowledged = new Set(post.mentionAcknowledged || []);
+    updateEditMentionWarnings();
+}
+
+/**
+ * 保存する確認済みの記録（今のアカウント欄に残っているものだけ）
+ * @returns {{mentionAcknowledged: Array<string>}|{}}
+ */
+export function readEditMentions() {
+    const post = getEditingPost();
+    if (!post || post.id !== editState.postId) return {};
+    return { mentionAcknowledged: pruneAcknowledged(readAccountInputs(), [...editState.acknowledged]) };
+}
+
+/**
+ * 候補のアカウントで入力欄の値を置き換える
+ * @param {string} field
+ * @param {string} raw - 置き換える値
+ * @param {string} handle
+ */
+function applySuggestion(field, raw, handle) {
+    const input = document.getElementById(FIELD_INPUTS[field]);
+    if (!input || !MENTION_FIELDS[field]) return;
+
+    input.value = input.value
+        .split(/([\s,、]+)/)
+        .map(part => (part === raw ? `@${handle}` : part))
+        .join('');
+    // プレビューと警告を更新
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * イベントリスナーを初期化
+ * @param {Object} [options]
+ * @param {Function} [options.getLookup] - () => オンラインの lookup（無効な場合は null）
+ */
+export function initMentionUI({ getLookup } = {}) {
+    if (typeof getLookup === 'function') getLookupFn = getLookup;
+
+    Object.values(FIELD_INPUTS).forEach(id => {
+        document.getElementById(id)?.addEventListener('input', () => {
+            if (getEditingPost()?.id === editState.postId) updateEditMentionWarnings();
+        });
+    });
+
+    const list = document.getElementById('edit-mention-warnings');
+    list?.addEventListener('click', (e) => {
+        const suggestion = e.target.closest('.mention-suggestion');
+        if (!suggestion) return;
+        applySuggestion(suggestion.dataset.field, suggestion.dataset.raw, suggestion.dataset.handle);
+    });
+    list?.addEventListener('change', (e) => {
+        const key = e.target.dataset?.key;
+        if (!key) return;
+        if (e.target.checked) {
+            editState.acknowledged.add(key);
+        } else {
+            editState.acknowledged.delete(key);
+        }
+        renderWarnings();
+    });
+
+    console.log('[MentionUI] Initialized');
+}
@@ -0,0 +1,205 @@
+/**
+ * Misskey Publisher
+ * Misskey のインスタンスに直接投稿するパブリッシャー
+ *
+ * 1. POST /api/drive/files/create で写真（最大4枚）を説明文付きでドライブにアップロード
+ *    Misskey には焦点の指定がないため、画像の焦点は使わない
+ * 2. POST /api/notes/create で公開範囲・注釈（CW）を付けてノートを作成（スレッドの場合は親ノートへの返信）
+ * 再試行（context.retry）はアップロードだけに使い、ノートの作成は再試行しない（重複を防ぐ仕組みがないため）
+ */
+
+import {
+    PublishError,
+    publisherRegistry,
+    dataUrlToBlob,
+    readResponseText,
+    runOnce
+} from './publishers.js';
+import { getPostImages } from './post-composition.js';
+
+// 公開範囲
+const MISSKEY_VISIBILITIES = {
+    public: 'パブリック',
+    home: 'ホーム',
+    followers: 'フォロワー'
+};
+const DEFAULT_MISSKEY_VISIBILITY = 'public';
+
+// 本文の上限（インスタンスの既定値）
+const MISSKEY_MAX_CHARACTERS = 3000;
+
+// fediverse の投稿文だけを投稿し、スレッドの続きは投稿しない
+const MISSKEY_TEXT_LIMIT = Object.freeze({
+    label: 'Misskey',
+    targets: ['fediverse'],
+    max: MISSKEY_MAX_CHARACTERS,
+    count: text => Array.from(String(text)).length,
+    replies: false,
+    localized: false
+});
+
+// 画像の説明文の上限
+const MAX_COMMENT_LENGTH = 512;
+
+class MisskeyPublisher {
+    /**
+     * @param {Object} options
+     * @param {string} options.instanceUrl - インスタンスのURL（https://misskey.io など）
+     * @param {string} options.accessToken - アクセストークン（ドライブの操作・ノートの作成）
+     * @param {string} [options.visibility] - 公開範囲（MISSKEY_VISIBILITIES のキー）
+     * @param {string} [options.cw] - 注釈（空欄は付けない）
+     * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+     */
+    constructor({
+        instanceUrl = '',
+        accessToken = '',
+        visibility = DEFAULT_MISSKEY_VISIBILITY,
+        cw = '',
+        fetchImpl = null
+    } = {}) {
+        this.id = 'misskey';
+        this.label = 'Misskey';
+        this.textLimit = MISSKEY_TEXT_LIMIT;
+        this.instanceUrl = instanceUrl.trim().replace(/\/+$/, '');
+        this.accessToken = accessToken;
+        this.visibility = Object.hasOwn(MISSKEY_VISIBILITIES, visibility) ? visibility : DEFAULT_MISSKEY_VISIBILITY;
+        this.cw = cw.trim();
+        this.fetchImpl = fetchImpl;
+        this.notConfiguredMessage = 'Misskey のインスタンスURLとアクセストークンが設定されていません';
+    }
+
+    isConfigured() {
+        return !!this.instanceUrl && !!this.accessToken;
+    }
+
+    /**
+     * Misskey API にリクエストを送り JSON を返す（トークンはボディの i で渡す）
+     * @param {string} endpoint - エンドポイント（notes/create など）
+     * @param {Object|FormData} payload - JSON のボディまたはフォーム
+     * @returns {Promise<Object>}
+     */
+    async _request(endpoint, payload) {
+        const fetchFn = this.fetchImpl || globalThis.fetch;
+        const init = { method: 'POST' };
+        if (payload instanceof FormData) {
+            payload.append('i', this.accessToken);
+            init.body = payload;
+        } else {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify({ ...payload, i: this.accessToken });
+        }
+
+        let response;
+        try {
+            response = await fetchFn(`${this.instanceUrl}/api/${endpoint}`, init);
+        } catch (error) {
+            throw new PublishError(error.message || 'Network error', { platform: this.id, network: true });
+        }
+
+        const body = await readResponseText(response);
+
+        if (!response.ok) {
+            throw new PublishError(`Misskey request failed: ${response.status} ${endpoint}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+
+        try {
+            return body ? JSON.parse(body) : {};
+        } catch (error) {
+            throw new PublishError(`Misskey returned invalid JSON: ${endpoint}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+    }
+
+    /**
+     * 画像をドライブにアップロードしてファイルIDを取得
+     * @param {import('./post-composition.js').PostImage} image
+     * @returns {Promise<string>} - ドライブのファイルID
+     */
+    async uploadFile(image) {
+        const form = new FormData();
+        form.append('file', dataUrlToBlob(image.base64), 'photo');
+        if (image.alt) {
+            form.append('comment', image.alt.slice(0, MAX_COMMENT_LENGTH));
+        }
+
+        const data = await this._request('drive/files/create', form);
+        if (!data?.id) {
+            throw new PublishError('Misskey did not return a file id', { platform: this.id });
+        }
+        return data.id;
+    }
+
+    /**
+     * 投稿を送信
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {import('./publishers.js').PublishContext} context
+     * @returns {Promise<import('./publishers.js').PublishResult>}
+     */
+    async publish(post, { templates, parent = null, retry = runOnce }) {
+        if (!this.isConfigured()) {
+            throw new PublishError(this.notConfiguredMessage, { platform: this.id });
+        }
+
+        // Mastodon / Misskey 用のアカウントで描画した本文（generatePostTemplatesForItem）
+        const text = templates.fediverse ?? templates.x1;
+        if (Array.from(text).length > MISSKEY_MAX_CHARACTERS) {
+            throw new PublishError(`Misskey の投稿は${MISSKEY_MAX_CHARACTERS}文字までです`, { platform: this.id });
+        }
+        if (parent && (parent.publishedPlatform !== this.id || !parent.publishedId)) {
+            throw new PublishError('返信先の投稿がMisskeyに投稿されていないためスレッドにできません', { platform: this.id });
+        }
+
+        const fileIds = [];
+        for (const image of getPostImages(post)) {
+            fileIds.push(await retry(() => this.uploadFile(image)));
+        }
+
+        const note = {
+            text,
+            visibility: this.visibility
+        };
+        if (fileIds.length > 0) {
+            note.fileIds = fileIds;
+        }
+        if (this.cw) {
+            note.cw = this.cw;
+        }
+        if (parent) {
+            note.replyId = parent.publishedId;
+        }
+
+        const data = await this._request('notes/create', note);
+        const noteId = data?.createdNote?.id;
+
+        if (!noteId) {
+            throw new PublishError('Misskey did not return a note id', { platform: this.id });
+        }
+
+        return {
+            platform: this.id,
+            postId: noteId,
+            url: `${this.instanceUrl}/notes/${noteId}`,
+            visibility: this.visibility
+        };
+    }
+}
+
+publisherRegistry.register('misskey', {
+    label: 'Misskey',
+    create: (settings) => new MisskeyPublisher({
+        instanceUrl: settings.misskeyInstanceUrl || '',
+        accessToken: settings.misskeyAccessToken || '',
+        visibility: settings.misskeyVisibility || DEFAULT_MISSKEY_VISIBILITY,
+        cw: settings.misskeyCw || ''
+    })
+});
+
+// Export for use in other modules
+export { MisskeyPublisher, MISSKEY_VISIBILITIES, DEFAULT_MISSKEY_VISIBILITY, MISSKEY_MAX_CHARACTERS };
@@ -0,0 +1,93 @@
+// @vitest-environment node
+/**
+ * Tests for Misskey Publisher
+ * ローカルのモックインスタンスに対して送信フローを検証
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MisskeyPublisher } from './misskey-publisher.js';
+import { PublishError, createPublisher } from './publishers.js';
+import { startMockMisskeyServer } from '../test/mock-misskey-server.js';
+
+const imageBase64 = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+
+const sampleContext = {
+    event: { eventJp: '東京ゲームショウ2025', hashtags: '#TGS2025' },
+    templates: { x1: 'X の本文', fediverse: '📸 東京ゲームショウ\n世森 響 さん @hibiki@misskey.io' }
+};
+
+describe('MisskeyPublisher', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startMockMisskeyServer();
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('should upload the image with its description and create a note with visibility and cw', async () => {
+        const publisher = new MisskeyPublisher({
+            instanceUrl: server.baseUrl,
+            accessToken: 'test-token',
+            visibility: 'home',
+            cw: '写真あり'
+        });
+        const post = { images: [{ base64: imageBase64, alt: 'ブースの全景', focus: { x: 0.5, y: 0.5 } }] };
+
+        const result = await publisher.publish(post, sampleContext);
+
+        expect(server.files).toEqual([{ id: expect.any(String), comment: 'ブースの全景' }]);
+        expect(server.notes).toEqual([{
+            id: result.postId,
+            text: sampleContext.templates.fediverse,
+            visibility: 'home',
+            fileIds: [server.files[0].id],
+            cw: '写真あり'
+        }]);
+        expect(result).toEqual({
+            platform: 'misskey',
+            postId: result.postId,
+            url: `${server.baseUrl}/notes/${result.postId}`,
+            visibility: 'home'
+        });
+    });
+
+    it('should reply to a parent posted on Misskey and refuse other parents', async () => {
+        const publisher = new MisskeyPublisher({ instanceUrl: server.baseUrl, accessToken: 'test-token' });
+
+        const root = await publisher.publish({}, sampleContext);
+        await publisher.publish({}, { ...sampleContext, parent: { publishedPlatform: 'misskey', publishedId: root.postId } });
+        expect(server.notes[1]).toEqual(expect.objectContaining({ replyId: root.postId, visibility: 'public' }));
+        expect(server.notes[1]).not.toHaveProperty('cw');
+
+        const parent = { publishedPlatform: 'mastodon', publishedId: '1' };
+        await expect(publisher.publish({}, { ...sampleContext, parent })).rejects.toThrow(PublishError);
+        expect(server.notes).toHaveLength(2);
+    });
+
+    it('should surface authentication errors as PublishError', async () => {
+        const publisher = new MisskeyPublisher({ instanceUrl: server.baseUrl, accessToken: 'wrong' });
+
+        const error = await publisher.publish({ imageBase64 }, sampleContext).catch(e => e);
+
+        expect(error).toBeInstanceOf(PublishError);
+        expect(error.status).toBe(401);
+        expect(error.body).toContain('CREDENTIAL_REQUIRED');
+        expect(server.notes).toHaveLength(0);
+    });
+
+    it('should be created from the settings', () => {
+        const publisher = createPublisher({
+            publisher: 'misskey',
+            misskeyInstanceUrl: 'https://misskey.io',
+            misskeyAccessToken: 'token',
+            misskeyVisibility: 'followers'
+        });
+        expect(publisher).toBeInstanceOf(MisskeyPublisher);
+        expect(publisher.isConfigured()).toBe(true);
+        expect(publisher.visibility).toBe('followers');
+        expect(new MisskeyPublisher().isConfigured()).toBe(false);
+    });
+});
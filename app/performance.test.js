@@ -7,6 +7,9 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { VirtualList, computeVisibleRange } from './virtual-list.js';
+import { ImageStore, toPersistedPost } from './image-store.js';
+import { formatQueueNumber } from './queue-number.js';
 
 describe('Performance Tests', () => {
     let mockLocalStorage;
@@ -336,3 +339,92 @@ ${['①', '②', '③', '④', '⑤', '⑥', '⑦', '⑧', '⑨', '⑩'][i]}
         expect(state.postQueue.length).toBeLessThanOrEqual(10);
     });
 });
+
+describe('Large Queue Performance (500 items)', () => {
+    const QUEUE_SIZE = 500;
+
+    const createPosts = (count, withImages = false) => Array.from({ length: count }, (_, i) => ({
+        id: `post-${i}`,
+        imageBase64: withImages ? `data:image/jpeg;base64,${'A'.repeat(1000)}${i}` : null,
+        boothName: `Booth ${i}`,
+        personName: `Person ${i}`,
+        aiComment: `Comment ${i}`,
+        status: 'draft'
+    }));
+
+    it('should number every item (emoji up to ⑩, plain numbers after)', () => {
+        const startTime = performance.now();
+        const numbers = Array.from({ length: QUEUE_SIZE }, (_, i) => formatQueueNumber(i));
+        const duration = performance.now() - startTime;
+
+        expect(numbers[0]).toBe('①');
+        expect(numbers[9]).toBe('⑩');
+        expect(numbers[10]).toBe('11');
+        expect(numbers[QUEUE_SIZE - 1]).toBe('500');
+        expect(duration).toBeLessThan(50);
+    });
+
+    it('should calculate visible ranges for every scroll position quickly', () => {
+        const startTime = performance.now();
+        for (let scrollTop = 0; scrollTop < QUEUE_SIZE * 120; scrollTop += 60) {
+            computeVisibleRange({ itemCount: QUEUE_SIZE, itemHeight: 120, scrollTop, viewportHeight: 800 });
+        }
+        const duration = performance.now() - startTime;
+
+        expect(duration).toBeLessThan(100);
+    });
+
+    it('should render a 500 item queue with a bounded number of DOM nodes', () => {
+        const posts = createPosts(QUEUE_SIZE);
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+
+        const renderItem = (index) => {
+            const item = document.createElement('div');
+            item.className = 'queue-item';
+            item.dataset.index = index;
+            item.innerHTML = `<div class="queue-booth">${posts[index].boothName}</div>`;
+            return item;
+        };
+
+        // 全件描画（仮想化なし）と比較する
+        // キュー更新時の再描画にかかる時間を計測
+        const fullList = new VirtualList({ container, renderItem, threshold: Infinity });
+        fullList.render(posts.length);
+        let startTime = performance.now();
+        fullList.render(posts.length);
+        const fullDuration = performance.now() - startTime;
+        expect(container.querySelectorAll('.queue-item').length).toBe(QUEUE_SIZE);
+        fullList.destroy();
+        container.innerHTML = '';
+
+        const list = new VirtualList({ container, renderItem });
+        list.render(posts.length);
+        startTime = performance.now();
+        list.render(posts.length);
+        const duration = performance.now() - startTime;
+
+        expect(container.querySelectorAll('.queue-item').length).toBeLessThan(30);
+        expect(duration).toBeLessThan(fullDuration / 5);
+
+        list.destroy();
+        container.remove();
+    });
+
+    it('should offload and persist 500 posts without keeping base64 in the saved state', async () => {
+        const store = new ImageStore({ indexedDB: null, createThumbnail: async () => 'data:image/jpeg;base64,T' });
+        const posts = createPosts(QUEUE_SIZE, true);
+        const before = JSON.stringify(posts).length;
+
+        const startTime = performance.now();
+        for (const post of posts) {
+            await store.offloadPostImages(post);
+        }
+        const saved = JSON.stringify(posts.map(toPersistedPost));
+        const duration = performance.now() - startTime;
+
+        expect(saved.length).toBeLessThan(before / 3);
+        expect(saved).not.toContain('A'.repeat(1000));
+        expect(duration).toBeLessThan(1000);
+    });
+});
@@ -9,18 +9,167 @@ import { storageGet, storageSet } from './storage-adapter.js';
 const STORAGE_KEY = 'autopost_persons';
 const MAX_RECORDS = 500;
 
+// アカウントを持つプラットフォーム
+const PERSON_PLATFORMS = ['x', 'instagram', 'tiktok', 'bluesky', 'fediverse'];
+
+// 掲載の同意（consent-guard.js で送信を止める・警告する）
+const CONSENT_STATUSES = {
+    allowed: '掲載OK',
+    ask: '要確認',
+    never: '掲載NG'
+};
+
 /**
  * PersonRecord の型定義
  * @typedef {Object} PersonRecord
  * @property {string} id - 一意のID
  * @property {string} name - 人物名
- * @property {string} account - アカウント名（@なし）
+ * @property {string} account - X のアカウント名（@なし、accounts.x と同じ）
  * @property {string} role - 役割（モデル、RQ等）
+ * @property {string[]} aliases - 別名（芸名・旧芸名・ローマ字表記など）
+ * @property {string[]} readings - 読み（かな・ローマ字）
+ * @property {Object<string, string>} accounts - プラットフォームごとのアカウント（x, instagram, tiktok, bluesky, fediverse）
+ *   fediverse は Mastodon / Misskey のアカウント（user@host）
+ * @property {Affiliation[]} affiliations - 所属事務所の履歴（古い順）
+ * @property {string[]} tags - 人物のハッシュタグ（# 付き、hashtag-recommender.js の候補になる）
+ * @property {PersonConsent} consent - 掲載の同意
  * @property {number} lastUsed - 最終使用タイムスタンプ
  * @property {number} useCount - 使用回数
  * @property {string[]} events - 登場したイベントIDの配列
  */
 
+/**
+ * Affiliation の型定義
+ * @typedef {Object} Affiliation
+ * @property {string} name - 事務所名
+ * @property {number|null} since - 所属開始
+ * @property {number|null} until - 所属終了（現在の所属は null）
+ */
+
+/**
+ * PersonConsent の型定義
+ * @typedef {Object} PersonConsent
+ * @property {string} status - 'allowed'（掲載OK）| 'ask'（事務所などの承認を得てから）| 'never'（掲載NG）
+ * @property {string} note - メモ（誰から・どの範囲で）
+ * @property {number|null} recordedAt - 記録した日時（未記録は null）
+ */
+
+/**
+ * 表記ゆれを吸収した比較用キー
+ * 全角英数→半角、カタカナ→ひらがな、空白・中黒の除去、小文字化
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeNameKey(value) {
+    return String(value || '')
+        .normalize('NFKC')
+        .replace(/[\s・･]/g, '')
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+        .toLowerCase();
+}
+
+/**
+ * 空でない文字列の重複なし配列にする
+ * @param {Array<string>} values
+ * @returns {string[]}
+ */
+function uniqueStrings(values) {
+    return [...new Set((values || []).map(value => String(value || '').trim()).filter(Boolean))];
+}
+
+/**
+ * ハッシュタグを # 付きの重複なし配列にする
+ * @param {Array<string>} tags
+ * @returns {string[]}
+ */
+function normalizePersonTags(tags) {
+    return uniqueStrings((tags || []).map(tag => String(tag || '').trim().replace(/^[#＃]*/, '#')))
+        .filter(tag => tag.length > 1 && !/\s/.test(tag));
+}
+
+/**
+ * 掲載の同意を PersonConsent の形に揃える（未記録は掲載OK）
+ * @param {Object} [consent]
+ * @returns {PersonConsent}
+ */
+function normalizePersonConsent(consent) {
+    const value = consent && typeof consent === 'object' ? consent : {};
+    const recordedAt = Number(value.recordedAt);
+    return {
+        status: Object.hasOwn(CONSENT_STATUSES, value.status) ? value.status : 'allowed',
+        note: String(value.note || '').trim(),
+        recordedAt: Number.isFinite(recordedAt) && recordedAt > 0 ? recordedAt : null
+    };
+}
+
+/**
+ * 旧形式のレコードを含めて PersonRecord の形に揃える
+ * @param {Object} record
+ * @returns {PersonRecord}
+ */
+function normalizePersonRecord(record) {
+    const { reading, ...rest } = record;
+    const accounts = Object.fromEntries(PERSON_PLATFORMS.map(platform => [platform, '']));
+    Object.assign(accounts, record.accounts || {});
+    if (!accounts.x && record.account) accounts.x = record.account;
+
+    return {
+        ...rest,
+        account: accounts.x || record.account || '',
+        role: record.role || '',
+        aliases: uniqueStrings(record.aliases),
+        readings: uniqueStrings([...(record.readings || []), reading]),
+        accounts,
+        affiliations: Array.isArray(record.affiliations) ? record.affiliations : [],
+        tags: normalizePersonTags(record.tags),
+        consent: normalizePersonConsent(record.consent),
+        events: Array.isArray(record.events) ? record.events : []
+    };
+}
+
+/**
+ * 人物の検索対象の文字列（名前・別名・読み・各アカウント）
+ * @param {PersonRecord} record
+ * @returns {string[]}
+ */
+function getPersonSearchTerms(record) {
+    return uniqueStrings([
+        record.name,
+        ...(record.aliases || []),
+        ...(record.readings || []),
+        record.account,
+        ...Object.values(record.accounts || {})
+    ]);
+}
+
+/**
+ * クエリに一致した検索対象の文字列を返す
+ * @param {PersonRecord} record
+ * @param {string} query
+ * @returns {string|null}
+ */
+function findMatchedTerm(record, query) {
+    const lowerQuery = String(query || '').toLowerCase().trim();
+    const keyQuery = normalizeNameKey(query);
+    if (!lowerQuery && !keyQuery) return null;
+
+    return getPersonSearchTerms(record).find(term =>
+        (lowerQuery && term.toLowerCase().includes(lowerQuery)) ||
+        (keyQuery && normalizeNameKey(term).includes(keyQuery))
+    ) || null;
+}
+
+/**
+ * 投稿先のプラットフォームに合わせたアカウントを返す
+ * @param {PersonRecord} record
+ * @param {string} platform - 'x' | 'instagram' | 'tiktok' | 'bluesky' | 'fediverse'
+ * @returns {string} - アカウント名（@なし）、ない場合は空文字
+ */
+function getPersonHandle(record, platform) {
+    if (!record) return '';
+    return record.accounts?.[platform] || (platform === 'x' ? record.account || '' : '');
+}
+
 /**
  * PersonDatabase クラス
  * CRUD操作、検索、最近使用順ソートを提供
@@ -44,7 +193,9 @@ class PersonDatabase {
             return [];
         }
         
-        return records;
+        return records
+            .filter(record => record && typeof record === 'object')
+            .map(normalizePersonRecord);
     }
 
     /**
@@ -67,7 +218,7 @@ class PersonDatabase {
 
     /**
      * クエリに基づいて人物を検索
-     * @param {string} query - 検索クエリ（名前またはアカウント）
+     * @param {string} query - 検索クエリ（名前・別名・読み・アカウント）
      * @param {number} [limit=10] - 返す結果の最大数
      * @returns {PersonRecord[]} - マッチした人物レコードの配列（最近使用順）
      */
@@ -76,14 +227,8 @@ class PersonDatabase {
             return [];
         }
 
-        const normalizedQuery = query.toLowerCase().trim();
-        
-        // 名前またはアカウントに部分一致する人物を検索
-        const matches = this.records.filter(record => {
-            const nameMatch = record.name.toLowerCase().includes(normalizedQuery);
-            const accountMatch = record.account.toLowerCase().includes(normalizedQuery);
-            return nameMatch || accountMatch;
-        });
+        // 名前・別名・読み・各アカウントのいずれかに部分一致する人物を検索
+        const matches = this.records.filter(record => findMatchedTerm(record, query) !== null);
 
         // 最近使用順にソート（lastUsed降順）
         matches.sort((a, b) => b.lastUsed - a.lastUsed);
@@ -97,23 +242,33 @@ class PersonDatabase {
      * @param {string} person.name - 人物名
      * @param {string} person.account - アカウント名
      * @param {string} person.role - 役割
+     * @param {string[]} [person.aliases] - 別名
+     * @param {string[]} [person.readings] - 読み
+     * @param {Object<string, string>} [person.accounts] - プラットフォームごとのアカウント
+     * @param {string} [person.affiliation] - 現在の所属事務所
+     * @param {string[]} [person.tags] - 人物のハッシュタグ
+     * @param {PersonConsent} [person.consent] - 掲載の同意
      * @param {string[]} [person.events=[]] - イベントID配列
      * @returns {PersonRecord} - 追加された人物レコード
      */
     add(person) {
-        // 必須フィールドの検証
-        if (!person.name || !person.account) {
+        const incoming = normalizePersonRecord(person);
+        person = { ...person, account: incoming.account };
+
+        // 必須フィールドの検証（X 以外のアカウントだけでもよい）
+        if (!person.name || !Object.values(incoming.accounts).some(Boolean)) {
             throw new Error('Name and account are required');
         }
 
-        // 既存の同一人物をチェック（名前とアカウントが完全一致）
-        const existing = this.records.find(
-            r => r.name === person.name && r.account === person.account
-        );
+        // 既存の同一人物をチェック（名前とアカウントが完全一致、X がなければ他のアカウント）
+        const existing = this.records.find(r => r.name === person.name && (person.account
+            ? r.account === person.account
+            : !r.account && PERSON_PLATFORMS.some(platform => incoming.accounts[platform] && r.accounts[platform] === incoming.accounts[platform])));
 
         if (existing) {
             // 既存レコードを更新
             existing.role = person.role || existing.role;
+            this._mergeDetails(existing, incoming);
             existing.lastUsed = Date.now();
             existing.useCount += 1;
             
@@ -136,6 +291,14 @@ class PersonDatabase {
             name: person.name,
             account: person.account,
             role: person.role || '',
+            aliases: incoming.aliases,
+            readings: incoming.readings,
+            accounts: { ...incoming.accounts, x: person.account },
+            affiliations: person.affiliation
+                ? [{ name: person.affiliation, since: Date.now(), until: null }]
+                : incoming.affiliations,
+            tags: incoming.tags,
+            consent: incoming.consent,
             lastUsed: Date.now(),
             useCount: 1,
             events: person.events || []
@@ -176,8 +339,20 @@ class PersonDatabase {
 
         // 更新可能なフィールドのみ更新
         if (updates.name !== undefined) record.name = updates.name;
-        if (updates.account !== undefined) record.account = updates.account;
+        if (updates.account !== undefined) {
+            record.account = updates.account;
+            record.accounts = { ...record.accounts, x: updates.account };
+        }
+        if (updates.accounts !== undefined) {
+            record.accounts = { ...record.accounts, ...updates.accounts };
+            record.account = record.accounts.x || '';
+        }
         if (updates.role !== undefined) record.role = updates.role;
+        if (updates.aliases !== undefined) record.aliases = uniqueStrings(updates.aliases);
+        if (updates.readings !== undefined) record.readings = uniqueStrings(updates.readings);
+        if (updates.affiliations !== undefined) record.affiliations = updates.affiliations;
+        if (updates.tags !== undefined) record.tags = normalizePersonTags(updates.tags);
+        if (updates.consent !== undefined) record.consent = normalizePersonConsent(updates.consent);
         if (updates.lastUsed !== undefined) record.lastUsed = updates.lastUsed;
         if (updates.useCount !== undefined) record.useCount = updates.useCount;
         if (updates.events !== undefined) record.events = updates.events;
@@ -186,6 +361,126 @@ class PersonDatabase {
         return record;
     }
 
+    /**
+     * 取り込んだ人物を既存レコードに統合
+     * @param {string} id - 統合先のレコードID
+     * @param {Object} person - 取り込んだ人物情報
+     * @param {Object} [options]
+     * @param {boolean} [options.preferIncoming=false] - true で名前・アカウント等を取り込んだ値に置き換える
+     *   （採用しなかった名前は別名に残る）
+     * @returns {PersonRecord|null} - 統合されたレコード、見つからない場合null
+     */
+    merge(id, person, { preferIncoming = false } = {}) {
+        const record = this.records.find(r => r.id === id);
+
+        if (!record) {
+            console.warn(`[PersonDatabase] Record with id "${id}" not found`);
+            return null;
+        }
+
+        const incoming = normalizePersonRecord(person);
+        const previousName = record.name;
+
+        if (incoming.name && (preferIncoming || !record.name)) record.name = incoming.name;
+        if (incoming.role && (preferIncoming || !record.role)) record.role = incoming.role;
+        PERSON_PLATFORMS.forEach(platform => {
+            if (incoming.accounts[platform] && (preferIncoming || !record.accounts[platform])) {
+                record.accounts[platform] = incoming.accounts[platform];
+            }
+        });
+        record.account = record.accounts.x || record.account;
+
+        // 採用しなかった表記は別名として残す
+        this._mergeDetails(record, {
+            ...incoming,
+            aliases: [...incoming.aliases, previousName, incoming.name].filter(name => name !== record.name)
+        });
+        if (person.affiliation) this.setAffiliation(id, person.affiliation);
+
+        this._saveRecords();
+        return record;
+    }
+
+    /**
+     * 別名・読み・アカウント・ハッシュタグ・イベントを既存レコードに追加（既存の値は変えない）
+     * @private
+     * @param {PersonRecord} record
+     * @param {PersonRecord} incoming - normalizePersonRecord 済みの人物情報
+     */
+    _mergeDetails(record, incoming) {
+        record.aliases = uniqueStrings([...record.aliases, ...incoming.aliases]).filter(alias => alias !== record.name);
+        record.readings = uniqueStrings([...record.readings, ...incoming.readings]);
+        PERSON_PLATFORMS.forEach(platform => {
+            if (!record.accounts[platform] && incoming.accounts[platform]) {
+                record.accounts[platform] = incoming.accounts[platform];
+            }
+        });
+        record.tags = normalizePersonTags([...(record.tags || []), ...(incoming.tags || [])]);
+        record.events = [...new Set([...(record.events || []), ...(incoming.events || [])])];
+    }
+
+    /**
+     * 所属事務所を変更（現在の所属を終了して新しい所属を追加）
+     * @param {string} id - レコードID
+     * @param {string} affiliation - 事務所名（空文字でフリー）
+     * @param {number} [since=Date.now()] - 移籍日
+     * @returns {PersonRecord|null}
+     */
+    setAffiliation(id, affiliation, since = Date.now()) {
+        const record = this.records.find(r => r.id === id);
+        if (!record) return null;
+
+        const current = record.affiliations.find(entry => entry.until === null);
+        if (current?.name === affiliation) return record;
+        if (current) current.until = since;
+        if (affiliation) {
+            record.affiliations.push({ name: affiliation, since, until: null });
+        }
+
+        this._saveRecords();
+        return record;
+    }
+
+    /**
+     * 掲載の同意を記録
+     * @param {string} id - レコードID
+     * @param {Object} consent
+     * @param {string} consent.status - 'allowed' | 'ask' | 'never'
+     * @param {string} [consent.note]
+     * @param {number} [recordedAt=Date.now()]
+     * @returns {PersonRecord|null}
+     */
+    setConsent(id, { status, note = '' }, recordedAt = Date.now()) {
+        const record = this.records.find(r => r.id === id);
+        if (!record) return null;
+
+        record.consent = normalizePersonConsent({ status, note, recordedAt });
+        this._saveRecords();
+        return record;
+    }
+
+    /**
+     * 現在の所属事務所
+     * @param {PersonRecord} record
+     * @returns {string}
+     */
+    static getCurrentAffiliation(record) {
+        return record?.affiliations?.find(entry => entry.until === null)?.name || '';
+    }
+
+    /**
+     * アカウントで人物を検索（どのプラットフォームのアカウントでも一致）
+     * @param {string} handle - アカウント名（@あり/なし）
+     * @returns {PersonRecord|null}
+     */
+    findByHandle(handle) {
+        const key = String(handle || '').trim().replace(/^@/, '').toLowerCase();
+        if (!key) return null;
+        return this.records.find(record =>
+            Object.values(record.accounts).some(value => value && value.replace(/^@/, '').toLowerCase() === key)
+        ) || null;
+    }
+
     /**
      * 人物レコードを削除
      * @param {string} id - レコードID
@@ -249,4 +544,15 @@ class PersonDatabase {
 }
 
 // Export for use in other modules
-export { PersonDatabase };
+export {
+    PersonDatabase,
+    MAX_RECORDS as MAX_PERSON_RECORDS,
+    STORAGE_KEY as PERSONS_KEY,
+    PERSON_PLATFORMS,
+    CONSENT_STATUSES,
+    normalizeNameKey,
+    normalizePersonRecord,
+    normalizePersonConsent,
+    findMatchedTerm,
+    getPersonHandle
+};
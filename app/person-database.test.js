@@ -10,7 +10,8 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import * as fc from 'fast-check';
-import { PersonDatabase } from './person-database.js';
+import { PersonDatabase, getPersonHandle } from './person-database.js';
+import { AutoCompleteEngine } from './autocomplete-engine.js';
 
 describe('PersonDatabase - Property-Based Tests', () => {
     beforeEach(() => {
@@ -340,4 +341,112 @@ describe('PersonDatabase - Property-Based Tests', () => {
             );
         });
     });
+
+    /**
+     * Aliases, readings and multiple accounts
+     *
+     * A person SHALL be found by any of their names, readings or handles,
+     * and records saved before aliases existed SHALL load with the new fields.
+     */
+    describe('Aliases and Multiple Accounts', () => {
+        it('should find a person by any alias, reading or handle', () => {
+            fc.assert(
+                fc.property(
+                    fc.constantFrom('世森', 'ヨモリ', 'yomori', 'hibi', 'ig_hibiki', 'tt.hibiki', 'Hibiki Y'),
+                    (query) => {
+                        localStorage.clear();
+                        const db = new PersonDatabase();
+                        db.add({
+                            name: '世森 響',
+                            account: 'hibikiyomori',
+                            role: 'RQ',
+                            aliases: ['Hibiki Y'],
+                            readings: ['よもり ひびき', 'Yomori Hibiki'],
+                            accounts: { instagram: 'ig_hibiki', tiktok: 'tt.hibiki' }
+                        });
+                        db.add({ name: '別人', account: 'someone', role: 'モデル' });
+
+                        const results = db.search(query, 10);
+                        expect(results.map(person => person.name)).toEqual(['世森 響']);
+                    }
+                ),
+                { numRuns: 20 }
+            );
+        });
+
+        it('should load legacy records with the new fields', () => {
+            localStorage.setItem('autopost_persons', JSON.stringify([
+                { id: 'p1', name: '世森 響', account: 'hibikiyomori', role: 'RQ', reading: 'よもりひびき', lastUsed: 1, useCount: 1, events: [] }
+            ]));
+
+            const person = new PersonDatabase().getById('p1');
+
+            expect(person).toMatchObject({
+                account: 'hibikiyomori',
+                aliases: [],
+                readings: ['よもりひびき'],
+                accounts: { x: 'hibikiyomori', instagram: '', tiktok: '' },
+                affiliations: []
+            });
+            expect(person).not.toHaveProperty('reading');
+        });
+
+        it('should keep the X account in sync with accounts.x', () => {
+            const db = new PersonDatabase();
+            const person = db.add({ name: 'A', account: 'old_x', role: 'モデル' });
+
+            db.update(person.id, { accounts: { x: 'new_x', instagram: 'a_ig' } });
+            expect(db.getById(person.id)).toMatchObject({ account: 'new_x', accounts: { x: 'new_x', instagram: 'a_ig' } });
+
+            db.update(person.id, { account: 'newer_x' });
+            expect(db.getById(person.id).accounts.x).toBe('newer_x');
+        });
+
+        it('should allow a person with only an Instagram account', () => {
+            const db = new PersonDatabase();
+            const person = db.add({ name: 'IG only', accounts: { instagram: 'ig_only' } });
+
+            expect(person.account).toBe('');
+            expect(db.findByHandle('@IG_ONLY')?.id).toBe(person.id);
+            expect(getPersonHandle(person, 'instagram')).toBe('ig_only');
+            expect(getPersonHandle(person, 'x')).toBe('');
+            expect(() => db.add({ name: 'No account' })).toThrow();
+        });
+
+        it('should record affiliation history when a person changes agencies', () => {
+            const db = new PersonDatabase();
+            const person = db.add({ name: 'A', account: 'a', affiliation: 'Agency A' });
+
+            db.setAffiliation(person.id, 'Agency B', 2000);
+            const record = new PersonDatabase().getById(person.id);
+
+            expect(record.affiliations).toHaveLength(2);
+            expect(record.affiliations[0]).toMatchObject({ name: 'Agency A', until: 2000 });
+            expect(record.affiliations[1]).toEqual({ name: 'Agency B', since: 2000, until: null });
+            expect(PersonDatabase.getCurrentAffiliation(record)).toBe('Agency B');
+        });
+
+        it('should suggest by alias and return all accounts on select', () => {
+            const db = new PersonDatabase();
+            db.add({
+                name: '世森 響',
+                account: 'hibikiyomori',
+                aliases: ['Hibiki Y'],
+                accounts: { instagram: 'ig_hibiki' }
+            });
+            const engine = new AutoCompleteEngine(db);
+
+            const [byAlias] = engine.getSuggestions('personName', 'hibiki y');
+            expect(byAlias).toMatchObject({ value: '世森 響', secondary: 'Hibiki Y · @hibikiyomori' });
+            expect(byAlias.confidence).toBeGreaterThan(0);
+
+            const [byInstagram] = engine.getSuggestions('account', '@ig_hib');
+            expect(byInstagram.value).toBe('hibikiyomori');
+
+            expect(engine.onSelect(byInstagram)).toMatchObject({
+                personName: '世森 響',
+                personAccounts: { x: 'hibikiyomori', instagram: 'ig_hibiki', tiktok: '' }
+            });
+        });
+    });
 });
@@ -0,0 +1,329 @@
+/**
+ * Person Import UI
+ * 名簿（CSV/TSV/vCard）の取り込みモーダルと書き出し
+ */
+
+import { PersonDatabase } from './person-database.js';
+import {
+    PERSON_FIELDS,
+    detectFormat,
+    parseDelimited,
+    parseVCards,
+    detectColumnMapping,
+    rowsToPersons,
+    buildImportPlan,
+    applyImportPlan,
+    exportPersonsDelimited,
+    exportPersonsVCard
+} from './person-import.js';
+
+const FIELD_LABELS = {
+    name: '名前',
+    account: 'アカウント',
+    role: '役割',
+    reading: '読み',
+    aliases: '別名',
+    instagram: 'Instagram',
+    tiktok: 'TikTok',
+    bluesky: 'Bluesky',
+    fediverse: 'Mastodon / Misskey',
+    affiliation: '所属',
+    tags: 'ハッシュタグ',
+    events: 'イベント'
+};
+
+const MATCH_LABELS = {
+    account: '同じアカウント',
+    name: '同じ名前（要確認）'
+};
+
+const ACTION_LABELS = {
+    add: '追加',
+    merge: '統合（既存の表記を残す）',
+    replace: '統合（取り込んだ表記にする）',
+    skip: 'スキップ'
+};
+
+// 取り込み中の状態
+const state = {
+    text: '',
+    rows: [],
+    mapping: null,
+    hasHeader: true,
+    plan: [],
+    invalid: []
+};
+
+/**
+ * トーストを表示
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type) {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * HTMLエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * プラットフォームごとのアカウントを表示用に整形
+ * @param {Object<string, string>} accounts
+ * @returns {string} - HTML
+ */
+function formatAccounts(accounts) {
+    const labels = { x: '', instagram: 'IG ', tiktok: 'TikTok ', bluesky: 'Bluesky ', fediverse: 'Fedi ' };
+    return Object.entries(accounts || {})
+        .filter(([, handle]) => handle)
+        .map(([platform, handle]) => `${labels[platform] || ''}@${escapeHtml(handle)}`)
+        .join('<br>');
+}
+
+/**
+ * ファイルをテキストとして読み込む（UTF-8 で読めない場合は Shift_JIS）
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+async function readTextFile(file) {
+    const buffer = await file.arrayBuffer();
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+}
+
+/**
+ * テキストを読み込んで列の割り当てを推定
+ * @param {string} text
+ */
+function loadText(text) {
+    state.text = text;
+    if (detectFormat(text) === 'vcard') {
+        state.rows = [];
+        state.mapping = null;
+    } else {
+        const delimiterValue = document.getElementById('person-import-delimiter')?.value || 'auto';
+        state.rows = delimiterValue === 'auto' ? parseDelimited(text) : parseDelimited(text, delimiterValue);
+        const detected = detectColumnMapping(state.rows[0]);
+        state.mapping = detected.mapping;
+        state.hasHeader = detected.hasHeader;
+
+        const headerCheckbox = document.getElementById('person-import-has-header');
+        if (headerCheckbox) headerCheckbox.checked = state.hasHeader;
+    }
+    renderMapping();
+    updatePlan();
+}
+
+/**
+ * 列の割り当てと重複判定をやり直す
+ */
+function updatePlan() {
+    const database = new PersonDatabase();
+    const { persons, invalid } = state.mapping
+        ? rowsToPersons(state.rows, state.mapping, { hasHeader: state.hasHeader })
+        : parseVCards(state.text);
+
+    state.plan = buildImportPlan(persons, database.getAll());
+    state.invalid = invalid;
+    renderPreview();
+}
+
+/**
+ * 列の割り当てUIを描画
+ */
+function renderMapping() {
+    const container = document.getElementById('person-import-mapping');
+    if (!container) return;
+
+    if (!state.mapping) {
+        container.innerHTML = state.text
+            ? '<small style="color: var(--text-muted);">vCard 形式として読み込みました</small>'
+            : '';
+        return;
+    }
+
+    const header = state.rows[0] || [];
+    const columnOptions = header.map((cell, index) => {
+        const label = state.hasHeader ? cell : `${index + 1}列目（${cell}）`;
+        return `<option value="${index}">${escapeHtml(label)}</option>`;
+    }).join('');
+
+    container.innerHTML = PERSON_FIELDS.map(field => `
+        <label for="person-import-column-${field}">${FIELD_LABELS[field]}</label>
+        <select id="person-import-column-${field}" data-field="${field}">
+            <option value="-1">（使わない）</option>
+            ${columnOptions}
+        </select>
+    `).join('');
+
+    container.querySelectorAll('select').forEach(select => {
+        select.value = String(state.mapping[select.dataset.field]);
+        select.addEventListener('change', () => {
+            state.mapping[select.dataset.field] = Number(select.value);
+            updatePlan();
+        });
+    });
+}
+
+/**
+ * プレビューを描画
+ */
+function renderPreview() {
+    const summary = document.getElementById('person-import-summary');
+    const tbody = document.getElementById('person-import-preview');
+    const confirmBtn = document.getElementById('confirm-person-import-btn');
+    if (!tbody) return;
+
+    const duplicates = state.plan.filter(entry => entry.match).length;
+    if (summary) {
+        summary.textContent = state.text
+            ? `${state.plan.length}件（重複の可能性 ${duplicates}件${state.invalid.length ? ` / 読み込めない行 ${state.invalid.length}件` : ''}）`
+            : '';
+    }
+    if (confirmBtn) confirmBtn.disabled = state.plan.length === 0;
+
+    tbody.innerHTML = state.plan.map((entry, index) => {
+        const { person, match, reason, action } = entry;
+        const actions = match ? ['add', 'merge', 'replace', 'skip'] : ['add', 'skip'];
+        const matchCell = match
+            ? `<span class="person-import-match ${reason}">${MATCH_LABELS[reason]}</span><br>${escapeHtml(match.name)} ${formatAccounts(match.accounts)}`
+            : '';
+        return `
+            <tr class="${match ? 'has-match' : ''}">
+                <td>${person.line}</td>
+                <td>${escapeHtml(person.name)}</td>
+                <td>${formatAccounts(person.accounts)}</td>
+                <td>${escapeHtml(person.role)}</td>
+                <td>${escapeHtml([...person.readings, ...person.aliases].join(', '))}</td>
+                <td>${matchCell}</td>
+                <td>
+                    <select data-plan-index="${index}">
+                        ${actions.map(value => `<option value="${value}" ${value === action ? 'selected' : ''}>${ACTION_LABELS[value]}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    }).join('') + state.invalid.map(({ line, reason }) => `
+        <tr class="invalid">
+            <td>${line}</td>
+            <td colspan="6">${reason}</td>
+        </tr>
+    `).join('');
+
+    tbody.querySelectorAll('select[data-plan-index]').forEach(select => {
+        select.addEventListener('change', () => {
+            state.plan[Number(select.dataset.planIndex)].action = select.value;
+        });
+    });
+}
+
+/**
+ * 取り込みモーダルを開く
+ */
+function openImportModal() {
+    const modal = document.getElementById('person-import-modal');
+    if (!modal) return;
+
+    Object.assign(state, { text: '', rows: [], mapping: null, hasHeader: true, plan: [], invalid: [] });
+    const textarea = document.getElementById('person-import-text');
+    if (textarea) textarea.value = '';
+    renderMapping();
+    renderPreview();
+    modal.classList.add('active');
+}
+
+/**
+ * 取り込みモーダルを閉じる
+ */
+function closeImportModal() {
+    document.getElementById('person-import-modal')?.classList.remove('active');
+}
+
+/**
+ * 取り込みを実行
+ */
+function confirmImport() {
+    const result = applyImportPlan(new PersonDatabase(), state.plan);
+    closeImportModal();
+    notify(`人物を取り込みました（追加${result.added}件 / 統合${result.merged}件 / スキップ${result.skipped}件）`, 'success');
+}
+
+/**
+ * 人物データベースを書き出す
+ * @param {string} format - 'csv' | 'tsv' | 'vcard'
+ */
+function exportPersons(format) {
+    const records = new PersonDatabase().getAll();
+    if (records.length === 0) {
+        notify('書き出す人物がありません', 'error');
+        return;
+    }
+
+    const content = format === 'vcard'
+        ? exportPersonsVCard(records)
+        : exportPersonsDelimited(records, { delimiter: format === 'tsv' ? '\t' : ',' });
+    const extension = format === 'vcard' ? 'vcf' : format;
+    const type = format === 'vcard' ? 'text/vcard' : 'text/plain';
+
+    // Excel で文字化けしないよう BOM を付ける
+    const blob = new Blob([format === 'vcard' ? '' : '\uFEFF', content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `persons.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 名簿の取り込み/書き出しUIを初期化
+ */
+export function initPersonImportUI() {
+    document.getElementById('person-import-open-btn')?.addEventListener('click', openImportModal);
+    document.getElementById('close-person-import')?.addEventListener('click', closeImportModal);
+    document.getElementById('cancel-person-import-btn')?.addEventListener('click', closeImportModal);
+    document.getElementById('confirm-person-import-btn')?.addEventListener('click', confirmImport);
+
+    document.querySelectorAll('[data-person-export]').forEach(button => {
+        button.addEventListener('click', () => exportPersons(button.dataset.personExport));
+    });
+
+    const fileInput = document.getElementById('person-import-file');
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        const text = await readTextFile(file);
+        const textarea = document.getElementById('person-import-text');
+        if (textarea) textarea.value = text;
+        loadText(text);
+    });
+
+    const textarea = document.getElementById('person-import-text');
+    textarea?.addEventListener('input', () => loadText(textarea.value));
+
+    document.getElementById('person-import-delimiter')?.addEventListener('change', () => {
+        if (state.text) loadText(state.text);
+    });
+
+    document.getElementById('person-import-has-header')?.addEventListener('change', (e) => {
+        state.hasHeader = e.target.checked;
+        renderMapping();
+        updatePlan();
+    });
+}
@@ -0,0 +1,559 @@
+/**
+ * Person Import / Export
+ * 事務所が公開しているモデル・RQ名簿（CSV/TSV/vCard）を人物データベースに取り込む
+ *
+ * - 列は見出しから自動で割り当て、UIで変更できる
+ * - 重複は表記ゆれを吸収して判定する（全角/半角・カタカナ/ひらがな・空白、読み仮名と漢字名）
+ * - 書き出しは取り込みと同じ形式
+ */
+
+import { normalizeNameKey, normalizePersonRecord, PersonDatabase } from './person-database.js';
+
+// 取り込み・書き出しの列（この順で書き出す）。account は X のアカウント
+const PERSON_FIELDS = ['name', 'account', 'role', 'reading', 'aliases', 'instagram', 'tiktok', 'bluesky', 'fediverse', 'affiliation', 'tags', 'events'];
+
+// 複数の値を持つ列（; 区切り）
+const LIST_FIELDS = ['reading', 'aliases', 'tags', 'events'];
+
+// 見出しの別名（正規化後の値で比較）
+const HEADER_ALIASES = {
+    name: ['name', '名前', '氏名', '人物名', 'モデル名', '芸名'],
+    account: ['account', 'handle', 'x', 'twitter', 'xアカウント', 'アカウント', 'ツイッター'],
+    role: ['role', '役割', '職種', '肩書き', '区分'],
+    reading: ['reading', 'readings', 'kana', 'yomi', 'romaji', '読み', 'よみ', 'ふりがな', 'よみがな', '読み仮名', 'ローマ字'],
+    aliases: ['aliases', 'alias', '別名', '旧芸名', '愛称'],
+    instagram: ['instagram', 'insta', 'インスタ', 'インスタグラム'],
+    tiktok: ['tiktok', 'ティックトック'],
+    bluesky: ['bluesky', 'bsky', 'ブルースカイ'],
+    fediverse: ['fediverse', 'mastodon', 'misskey', 'マストドン', 'ミスキー'],
+    affiliation: ['affiliation', 'agency', '所属', '事務所', '所属事務所'],
+    tags: ['tags', 'hashtags', 'タグ', 'ハッシュタグ'],
+    events: ['events', 'event', 'イベント', '出演イベント']
+};
+
+// 書き出し時の複数値の区切り
+const LIST_SEPARATOR = ';';
+
+/**
+ * 区切り文字を推定（1行目のタブとカンマの数で判定）
+ * @param {string} text
+ * @returns {string} - '\t' | ','
+ */
+function detectDelimiter(text) {
+    const firstLine = String(text).split(/\r?\n/, 1)[0] || '';
+    const tabs = (firstLine.match(/\t/g) || []).length;
+    const commas = (firstLine.match(/,/g) || []).length;
+    return tabs > commas ? '\t' : ',';
+}
+
+/**
+ * CSV/TSV をパース（ダブルクォート・改行入りセルに対応）
+ * @param {string} text
+ * @param {string} [delimiter] - 省略時は自動判定
+ * @returns {string[][]} - 空行を除いた行
+ */
+function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * アカウント名を正規化（@なし、全角→半角）
+ * Mastodon / Misskey のプロフィールURL（https://host/@user）は user@host にする
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeAccount(value) {
+    return String(value || '')
+        .normalize('NFKC')
+        .trim()
+        .replace(/^https?:\/\/(www\.)?(twitter|x|instagram|tiktok)\.com\//i, '')
+        .replace(/^https?:\/\/bsky\.app\/profile\//i, '')
+        .replace(/^https?:\/\/([^/]+)\/@([^/?@]+).*$/i, '$2@$1')
+        .replace(/^@/, '')
+        .replace(/[/?].*$/, '');
+}
+
+/**
+ * 見出し行から列の割り当てを推定
+ * @param {string[]} headerRow
+ * @returns {{mapping: Object<string, number>, hasHeader: boolean}} - 割り当てのない列は -1
+ */
+function detectColumnMapping(headerRow) {
+    const mapping = Object.fromEntries(PERSON_FIELDS.map(field => [field, -1]));
+    const headers = (headerRow || []).map(normalizeNameKey);
+
+    PERSON_FIELDS.forEach(field => {
+        const aliases = HEADER_ALIASES[field].map(normalizeNameKey);
+        mapping[field] = headers.findIndex(header => aliases.includes(header));
+    });
+
+    const hasHeader = mapping.name !== -1 || mapping.account !== -1;
+    if (!hasHeader) {
+        // 見出しがない場合は 名前, アカウント, 役割 の順とみなす
+        const columns = (headerRow || []).length;
+        mapping.name = columns > 0 ? 0 : -1;
+        mapping.account = columns > 1 ? 1 : -1;
+        mapping.role = columns > 2 ? 2 : -1;
+    }
+
+    return { mapping, hasHeader };
+}
+
+/**
+ * 行を人物データに変換
+ * @param {string[][]} rows
+ * @param {Object<string, number>} mapping - 列の割り当て
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeader] - 1行目が見出しか
+ * @returns {{persons: Array<Object>, invalid: Array<{line: number, reason: string}>}}
+ */
+function rowsToPersons(rows, mapping, { hasHeader = true } = {}) {
+    const persons = [];
+    const invalid = [];
+    const cellOf = (cells, field) => (mapping[field] >= 0 ? String(cells[mapping[field]] || '').trim() : '');
+    const listOf = (cells, field) => cellOf(cells, field).split(/[;；]/).map(value => value.trim()).filter(Boolean);
+
+    rows.forEach((cells, index) => {
+        if (hasHeader && index === 0) return;
+        const line = index + 1;
+
+        const person = createImportedPerson(line, {
+            name: cellOf(cells, 'name').normalize('NFKC'),
+            role: cellOf(cells, 'role'),
+            readings: listOf(cells, 'reading'),
+            aliases: listOf(cells, 'aliases'),
+            accounts: {
+                x: normalizeAccount(cellOf(cells, 'account')),
+                instagram: normalizeAccount(cellOf(cells, 'instagram')),
+                tiktok: normalizeAccount(cellOf(cells, 'tiktok')),
+                bluesky: normalizeAccount(cellOf(cells, 'bluesky')),
+                fediverse: normalizeAccount(cellOf(cells, 'fediverse'))
+            },
+            affiliation: cellOf(cells, 'affiliation'),
+            tags: listOf(cells, 'tags'),
+            events: listOf(cells, 'events')
+        });
+
+        const reason = validateImportedPerson(person);
+        if (reason) {
+            invalid.push({ line, reason });
+            return;
+        }
+        persons.push(person);
+    });
+
+    return { persons, invalid };
+}
+
+/**
+ * 取り込んだ人物データを作成
+ * @param {number} line - 行番号
+ * @param {Object} fields
+ * @returns {Object} - account は X のアカウント
+ */
+function createImportedPerson(line, { name = '', role = '', readings = [], aliases = [], accounts = {}, affiliation = '', tags = [], events = [] }) {
+    const normalizedAccounts = { x: '', instagram: '', tiktok: '', bluesky: '', fediverse: '', ...accounts };
+    return {
+        line,
+        name,
+        account: normalizedAccounts.x,
+        role,
+        readings,
+        aliases,
+        accounts: normalizedAccounts,
+        affiliation,
+        tags,
+        events
+    };
+}
+
+/**
+ * 必須項目（名前と、いずれかのアカウント）の確認
+ * @param {Object} person
+ * @returns {string|null} - 不足している場合は理由
+ */
+function validateImportedPerson(person) {
+    if (!person.name) return '名前がありません';
+    if (!Object.values(person.accounts).some(Boolean)) return 'アカウントがありません';
+    return null;
+}
+
+/**
+ * vCard の値をエスケープを考慮して区切る
+ * @param {string} raw - エスケープされたままの値
+ * @param {string} separator - ',' | ';'
+ * @returns {string[]} - エスケープされたままの値
+ */
+function splitVCardRaw(raw, separator) {
+    const parts = [''];
+    for (let i = 0; i < raw.length; i++) {
+        if (raw[i] === '\\' && i + 1 < raw.length) {
+            parts[parts.length - 1] += raw[i] + raw[i + 1];
+            i++;
+        } else if (raw[i] === separator) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += raw[i];
+        }
+    }
+    return parts;
+}
+
+/**
+ * vCard のリスト値（カンマ区切り）を分割
+ * @param {string} raw - エスケープされたままの値
+ * @returns {string[]}
+ */
+function splitVCardList(raw) {
+    return splitVCardRaw(raw, ',').map(unescapeVCardValue).map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * vCard の値のエスケープを戻す
+ * @param {string} raw
+ * @returns {string}
+ */
+function unescapeVCardValue(raw) {
+    return raw.replace(/\\([,;\\nN])/g, (match, char) => (char === 'n' || char === 'N' ? ' ' : char));
+}
+
+/**
+ * vCard をパース（FN・ROLE・NICKNAME・ORG・読み・各SNSのアカウント）
+ * @param {string} text
+ * @returns {{persons: Array<Object>, invalid: Array<{line: number, reason: string}>}}
+ */
+function parseVCards(text) {
+    const persons = [];
+    const invalid = [];
+    // 折り返し行を連結
+    const lines = String(text).replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    let current = null;
+
+    lines.forEach((rawLine, index) => {
+        const separator = rawLine.indexOf(':');
+        if (separator === -1) return;
+        const [property, ...params] = rawLine.slice(0, separator).split(';');
+        const name = property.toUpperCase().replace(/^ITEM\d+\./, '');
+        const rawValue = rawLine.slice(separator + 1);
+        const value = unescapeVCardValue(rawValue).trim();
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+            current = { line: index + 1, fields: { accounts: {}, readings: [], aliases: [], tags: [], events: [] }, phonetic: ['', ''] };
+        } else if (name === 'END' && current) {
+            const { fields, phonetic } = current;
+            if (phonetic.join('')) fields.readings.push(phonetic.join(''));
+            const person = createImportedPerson(current.line, fields);
+            const reason = validateImportedPerson(person);
+            if (reason) {
+                invalid.push({ line: current.line, reason });
+            } else {
+                persons.push(person);
+            }
+            current = null;
+        } else if (current) {
+            const { fields } = current;
+            const type = params.join(';').toLowerCase();
+            const platform = detectSocialPlatform(name, type, value);
+
+            if (name === 'FN') fields.name = value.normalize('NFKC');
+            else if (name === 'ROLE' || name === 'TITLE') fields.role = fields.role || value;
+            else if (name === 'NICKNAME') fields.aliases.push(...splitVCardList(rawValue));
+            else if (name === 'ORG') fields.affiliation = unescapeVCardValue(splitVCardRaw(rawValue, ';')[0]).trim();
+            else if (name === 'SORT-STRING') fields.readings.push(...splitVCardList(rawValue));
+            else if (name === 'X-PHONETIC-LAST-NAME') current.phonetic[0] = value;
+            else if (name === 'X-PHONETIC-FIRST-NAME') current.phonetic[1] = value;
+            else if (name === 'CATEGORIES') fields.events = splitVCardList(rawValue);
+            else if (name === 'X-HASHTAGS') fields.tags = splitVCardList(rawValue);
+            else if (platform) fields.accounts[platform] = normalizeAccount(value);
+        }
+    });
+
+    return { persons, invalid };
+}
+
+/**
+ * vCard の SNS プロパティのプラットフォームを判定
+ * @param {string} name - プロパティ名
+ * @param {string} type - パラメータ（小文字）
+ * @param {string} value
+ * @returns {string|null} - 'x' | 'instagram' | 'tiktok' | 'bluesky' | 'fediverse' | null
+ */
+function detectSocialPlatform(name, type, value) {
+    if (name === 'X-TWITTER') return 'x';
+    if (name === 'X-INSTAGRAM') return 'instagram';
+    if (name === 'X-TIKTOK') return 'tiktok';
+    if (name === 'X-BLUESKY') return 'bluesky';
+    if (name === 'X-MASTODON' || name === 'X-MISSKEY') return 'fediverse';
+    if (name === 'X-SOCIALPROFILE') {
+        if (/twitter|type=x\b/.test(type)) return 'x';
+        if (/instagram/.test(type)) return 'instagram';
+        if (/tiktok/.test(type)) return 'tiktok';
+        if (/bluesky|bsky/.test(type)) return 'bluesky';
+        if (/fediverse|mastodon|misskey/.test(type)) return 'fediverse';
+    }
+    if (name === 'URL' || name === 'X-SOCIALPROFILE') {
+        if (/\/\/(www\.)?(twitter|x)\.com\//i.test(value)) return 'x';
+        if (/\/\/(www\.)?instagram\.com\//i.test(value)) return 'instagram';
+        if (/\/\/(www\.)?tiktok\.com\//i.test(value)) return 'tiktok';
+        if (/\/\/bsky\.app\/profile\//i.test(value)) return 'bluesky';
+    }
+    return null;
+}
+
+/**
+ * 取り込むテキストの形式を判定
+ * @param {string} text
+ * @returns {string} - 'vcard' | 'delimited'
+ */
+function detectFormat(text) {
+    return /^\uFEFF?\s*BEGIN:VCARD/i.test(String(text)) ? 'vcard' : 'delimited';
+}
+
+/**
+ * 2人が同一人物の可能性があるか
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string|null} - 'account' | 'name' | null
+ */
+function matchPerson(a, b) {
+    const personA = normalizePersonRecord(a);
+    const personB = normalizePersonRecord(b);
+
+    // 同じプラットフォームのアカウントが一致
+    const sameAccount = Object.entries(personA.accounts).some(([platform, handle]) =>
+        handle && personB.accounts[platform] &&
+        normalizeAccount(handle).toLowerCase() === normalizeAccount(personB.accounts[platform]).toLowerCase());
+    if (sameAccount) return 'account';
+
+    // 漢字名と読み仮名は、名前・別名・読みを互いに突き合わせる
+    const keysOf = (person) => [person.name, ...person.aliases, ...person.readings].map(normalizeNameKey).filter(Boolean);
+    const keysB = keysOf(personB);
+    return keysOf(personA).some(key => keysB.includes(key)) ? 'name' : null;
+}
+
+/**
+ * 取り込み計画を作成（既存レコード・同じファイル内の重複を判定）
+ * アカウントが一致する場合は統合、名前だけ一致する場合は要確認として追加にする
+ * @param {Array<Object>} persons - rowsToPersons / parseVCards の結果
+ * @param {Array<Object>} existing - 既存の人物レコード
+ * @returns {Array<{person: Object, match: Object|null, reason: string|null, action: string}>}
+ */
+function buildImportPlan(persons, existing) {
+    const plan = [];
+
+    persons.forEach(person => {
+        const previous = plan.find(entry => matchPerson(entry.person, person) === 'account');
+        if (previous) {
+            // 同じファイル内の重複はまとめる
+            const merged = previous.person;
+            previous.person = {
+                ...merged,
+                role: merged.role || person.role,
+                readings: [...new Set([...merged.readings, ...person.readings])],
+                aliases: [...new Set([...merged.aliases, ...person.aliases, person.name])].filter(alias => alias !== merged.name),
+                accounts: Object.fromEntries(Object.entries(merged.accounts).map(([platform, handle]) => [platform, handle || person.accounts[platform] || ''])),
+                affiliation: merged.affiliation || person.affiliation,
+                tags: [...new Set([...merged.tags, ...person.tags])],
+                events: [...new Set([...merged.events, ...person.events])]
+            };
+            previous.person.account = previous.person.accounts.x;
+            return;
+        }
+
+        let match = null;
+        let reason = null;
+        for (const record of existing) {
+            const result = matchPerson(person, record);
+            if (result === 'account') {
+                match = record;
+                reason = result;
+                break;
+            }
+            if (result === 'name' && !match) {
+                match = record;
+                reason = result;
+            }
+        }
+
+        plan.push({ person, match, reason, action: reason === 'account' ? 'merge' : 'add' });
+    });
+
+    return plan;
+}
+
+/**
+ * 取り込み計画を人物データベースに反映
+ * @param {import('./person-database.js').PersonDatabase} database
+ * @param {Array<Object>} plan - buildImportPlan の結果（action は 'add' | 'merge' | 'replace' | 'skip'）
+ * @returns {{added: number, merged: number, skipped: number}}
+ */
+function applyImportPlan(database, plan) {
+    const result = { added: 0, merged: 0, skipped: 0 };
+
+    plan.forEach(({ person, match, action }) => {
+        const { line, ...fields } = person;
+        if ((action === 'merge' || action === 'replace') && match && database.merge(match.id, fields, { preferIncoming: action === 'replace' })) {
+            result.merged++;
+        } else if (action === 'skip') {
+            result.skipped++;
+        } else {
+            database.add(fields);
+            result.added++;
+        }
+    });
+
+    console.log('[PersonImport] Imported persons', result);
+    return result;
+}
+
+/**
+ * 書き出し用の値（PERSON_FIELDS の列ごと）
+ * @param {Object} record - 人物レコード
+ * @returns {Object}
+ */
+function toExportValues(record) {
+    const person = normalizePersonRecord(record);
+    return {
+        name: person.name,
+        account: person.accounts.x,
+        role: person.role,
+        reading: person.readings,
+        aliases: person.aliases,
+        instagram: person.accounts.instagram,
+        tiktok: person.accounts.tiktok,
+        bluesky: person.accounts.bluesky,
+        fediverse: person.accounts.fediverse,
+        affiliation: record.affiliation ?? PersonDatabase.getCurrentAffiliation(person),
+        tags: person.tags,
+        events: person.events
+    };
+}
+
+/**
+ * CSV/TSV のセルをエスケープ
+ * @param {string} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function escapeCell(value, delimiter) {
+    const text = String(value ?? '');
+    return text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+/**
+ * 人物レコードを CSV/TSV に書き出す（取り込みと同じ形式）
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - ',' | '\t'
+ * @returns {string}
+ */
+function exportPersonsDelimited(records, { delimiter = ',' } = {}) {
+    const lines = [PERSON_FIELDS.join(delimiter)];
+    records.forEach(record => {
+        const values = toExportValues(record);
+        lines.push(PERSON_FIELDS.map(field => {
+            const value = LIST_FIELDS.includes(field) ? values[field].join(LIST_SEPARATOR) : values[field];
+            return escapeCell(value, delimiter);
+        }).join(delimiter));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * vCard の値をエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCardValue(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 人物レコードを vCard 3.0 に書き出す
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+function exportPersonsVCard(records) {
+    const profileUrls = { x: 'https://x.com/', instagram: 'https://www.instagram.com/', tiktok: 'https://www.tiktok.com/@', bluesky: 'https://bsky.app/profile/' };
+
+    return records.map(record => {
+        const values = toExportValues(record);
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escapeVCardValue(values.name)}`,
+            `N:${escapeVCardValue(values.name)};;;;`
+        ];
+        if (values.reading.length) lines.push(`SORT-STRING:${values.reading.map(escapeVCardValue).join(',')}`);
+        if (values.aliases.length) lines.push(`NICKNAME:${values.aliases.map(escapeVCardValue).join(',')}`);
+        if (values.role) lines.push(`ROLE:${escapeVCardValue(values.role)}`);
+        if (values.affiliation) lines.push(`ORG:${escapeVCardValue(values.affiliation)}`);
+        ['x', 'instagram', 'tiktok', 'bluesky'].forEach(platform => {
+            const handle = platform === 'x' ? values.account : values[platform];
+            if (handle) lines.push(`X-SOCIALPROFILE;type=${platform}:${profileUrls[platform]}${handle}`);
+        });
+        // Mastodon / Misskey は user@host をサーバーごとのプロフィールURLにする
+        const [fediverseUser, fediverseHost] = values.fediverse.split('@');
+        if (fediverseHost) lines.push(`X-SOCIALPROFILE;type=fediverse:https://${fediverseHost}/@${fediverseUser}`);
+        if (values.tags.length) lines.push(`X-HASHTAGS:${values.tags.map(escapeVCardValue).join(',')}`);
+        if (values.events.length) lines.push(`CATEGORIES:${values.events.map(escapeVCardValue).join(',')}`);
+        lines.push('END:VCARD');
+        return lines.join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+// Export for use in other modules
+export {
+    PERSON_FIELDS,
+    detectDelimiter,
+    detectFormat,
+    parseDelimited,
+    parseVCards,
+    detectColumnMapping,
+    rowsToPersons,
+    normalizeNameKey,
+    normalizeAccount,
+    matchPerson,
+    buildImportPlan,
+    applyImportPlan,
+    exportPersonsDelimited,
+    exportPersonsVCard
+};
@@ -0,0 +1,202 @@
+/**
+ * Person Import Tests
+ * 名簿の CSV/TSV/vCard 取り込み・表記ゆれの重複判定・書き出し
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import { PersonDatabase } from './person-database.js';
+import {
+    detectDelimiter,
+    detectFormat,
+    parseDelimited,
+    parseVCards,
+    detectColumnMapping,
+    rowsToPersons,
+    normalizeNameKey,
+    normalizeAccount,
+    matchPerson,
+    buildImportPlan,
+    applyImportPlan,
+    exportPersonsDelimited,
+    exportPersonsVCard
+} from './person-import.js';
+
+/**
+ * テキストから人物データを読み込む（UIと同じ流れ）
+ * @param {string} text
+ */
+function readPersons(text) {
+    if (detectFormat(text) === 'vcard') return parseVCards(text).persons;
+    const rows = parseDelimited(text);
+    const { mapping, hasHeader } = detectColumnMapping(rows[0]);
+    return rowsToPersons(rows, mapping, { hasHeader }).persons;
+}
+
+describe('PersonImport', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('parseDelimited', () => {
+        it('should handle quotes, escaped quotes, newlines in cells and BOM', () => {
+            const text = '\uFEFFname,account\r\n"山田, 花子","@hanako"\r\n"改行\nあり","say ""hi"""\r\n\r\n';
+            expect(parseDelimited(text)).toEqual([
+                ['name', 'account'],
+                ['山田, 花子', '@hanako'],
+                ['改行\nあり', 'say "hi"']
+            ]);
+        });
+
+        it('should detect tab-separated input', () => {
+            expect(detectDelimiter('名前\tアカウント\n')).toBe('\t');
+            expect(detectDelimiter('名前,アカウント\n')).toBe(',');
+        });
+    });
+
+    describe('detectColumnMapping', () => {
+        it('should map Japanese headers in any order', () => {
+            const { mapping, hasHeader } = detectColumnMapping(['アカウント', '読み', '氏名', '役割']);
+            expect(hasHeader).toBe(true);
+            expect(mapping).toMatchObject({ name: 2, account: 0, role: 3, reading: 1, events: -1 });
+        });
+
+        it('should assume name, account, role without a header', () => {
+            const { mapping, hasHeader } = detectColumnMapping(['世森 響', '@hibikiyomori', 'モデル']);
+            expect(hasHeader).toBe(false);
+            expect(mapping).toMatchObject({ name: 0, account: 1, role: 2 });
+        });
+    });
+
+    describe('rowsToPersons', () => {
+        it('should normalize accounts and report rows without required fields', () => {
+            const rows = parseDelimited('名前,X\n世森 響,https://x.com/hibikiyomori\n,@nobody\n名無し,\n');
+            const { mapping } = detectColumnMapping(rows[0]);
+            const { persons, invalid } = rowsToPersons(rows, mapping);
+
+            expect(persons).toHaveLength(1);
+            expect(persons[0]).toMatchObject({ line: 2, name: '世森 響', account: 'hibikiyomori' });
+            expect(invalid.map(entry => entry.line)).toEqual([3, 4]);
+        });
+    });
+
+    describe('fuzzy matching', () => {
+        it('should treat full-width and half-width, katakana and hiragana as the same name', () => {
+            expect(normalizeNameKey('ＡＩＫＯ　ミナミ')).toBe(normalizeNameKey('aiko みなみ'));
+            expect(normalizeAccount('＠Ｈｉｂｉｋｉ')).toBe('Hibiki');
+        });
+
+        it('should match the same account with a different name spelling', () => {
+            expect(matchPerson({ name: '世森響', account: 'Hibiki' }, { name: '世森 ひびき', account: '@hibiki' })).toBe('account');
+        });
+
+        it('should match a kanji name against a kana reading', () => {
+            const kanji = { name: '世森 響', account: 'a', reading: 'よもりひびき' };
+            const kana = { name: 'ヨモリ ヒビキ', account: 'b' };
+            expect(matchPerson(kana, kanji)).toBe('name');
+            expect(matchPerson(kanji, { name: '別人', account: 'c' })).toBeNull();
+        });
+    });
+
+    describe('buildImportPlan', () => {
+        it('should merge same-account rows and flag name-only matches for review', () => {
+            const existing = [
+                { id: 'p1', name: '世森 響', account: 'hibikiyomori', reading: 'よもりひびき' },
+                { id: 'p2', name: '南 あいこ', account: 'aiko_m', reading: 'みなみ あいこ' }
+            ];
+            const persons = readPersons([
+                '名前,アカウント,役割',
+                '世森響,@HibikiYomori,RQ',
+                'ミナミ アイコ,aiko_new,モデル',
+                '新人,rookie,モデル',
+                '新人（再掲）,@rookie,'
+            ].join('\n'));
+
+            const plan = buildImportPlan(persons, existing);
+
+            expect(plan).toHaveLength(3);
+            expect(plan[0]).toMatchObject({ reason: 'account', action: 'merge' });
+            expect(plan[0].match.id).toBe('p1');
+            expect(plan[1]).toMatchObject({ reason: 'name', action: 'add' });
+            expect(plan[1].match.id).toBe('p2');
+            expect(plan[2]).toMatchObject({ match: null, action: 'add' });
+        });
+    });
+
+    describe('applyImportPlan', () => {
+        it('should add, merge, replace and skip according to the plan', () => {
+            const database = new PersonDatabase();
+            const keep = database.add({ name: '世森 響', account: 'hibikiyomori', role: '', events: ['tgs'] });
+            const rename = database.add({ name: '旧表記', account: 'renamed', role: 'モデル' });
+
+            const plan = buildImportPlan(readPersons([
+                'name,account,role,reading,events',
+                '世森響,hibikiyomori,RQ,よもりひびき,autosalon',
+                '新表記,renamed,RQ,,',
+                '新人,rookie,モデル,,',
+                '見送り,skipme,,,'
+            ].join('\n')), database.getAll());
+            plan[1].action = 'replace';
+            plan[3].action = 'skip';
+
+            const result = applyImportPlan(database, plan);
+            const reloaded = new PersonDatabase();
+
+            expect(result).toEqual({ added: 1, merged: 2, skipped: 1 });
+            expect(reloaded.count()).toBe(3);
+            expect(reloaded.getById(keep.id)).toMatchObject({
+                name: '世森 響',
+                role: 'RQ',
+                aliases: ['世森響'],
+                readings: ['よもりひびき'],
+                events: ['tgs', 'autosalon']
+            });
+            expect(reloaded.getById(rename.id)).toMatchObject({ name: '新表記', role: 'RQ', aliases: ['旧表記'] });
+        });
+    });
+
+    describe('export', () => {
+        it('should round-trip through CSV, TSV and vCard', () => {
+            fc.assert(
+                fc.property(
+                    fc.uniqueArray(
+                        fc.record({
+                            name: fc.string({ minLength: 1, maxLength: 20 }).filter(s => s.trim() === s && s.trim().length > 0 && s.normalize('NFKC') === s),
+                            x: fc.stringMatching(/^[A-Za-z0-9_]{1,15}$/),
+                            instagram: fc.constantFrom('', 'ig.user'),
+                            tiktok: fc.constantFrom('', 'tt_user'),
+                            bluesky: fc.constantFrom('', 'user.bsky.social'),
+                            fediverse: fc.constantFrom('', 'user@mastodon.social'),
+                            role: fc.constantFrom('', 'モデル', 'RQ'),
+                            readings: fc.subarray(['よみ', 'yomi']),
+                            aliases: fc.subarray(['別名, その1', '旧芸名;']),
+                            affiliation: fc.constantFrom('', 'Agency, Inc.'),
+                            tags: fc.subarray(['#世森響', '#RQ']),
+                            events: fc.array(fc.constantFrom('tgs', 'autosalon'), { maxLength: 2 })
+                        }).map(({ x, instagram, tiktok, bluesky, fediverse, ...person }) => ({
+                            ...person,
+                            account: x,
+                            accounts: { x, instagram, tiktok, bluesky, fediverse }
+                        })),
+                        { selector: person => person.account.toLowerCase(), minLength: 1, maxLength: 10 }
+                    ),
+                    fc.constantFrom('csv', 'tsv', 'vcard'),
+                    (records, format) => {
+                        const text = format === 'vcard'
+                            ? exportPersonsVCard(records)
+                            : exportPersonsDelimited(records, { delimiter: format === 'tsv' ? '\t' : ',' });
+                        const persons = readPersons(text);
+                        // ; は CSV の複数値の区切りのため、別名の ; は往復しない
+                        const expected = format === 'vcard' ? records : records.map(record => ({
+                            ...record,
+                            aliases: record.aliases.flatMap(alias => alias.split(';')).map(alias => alias.trim()).filter(Boolean)
+                        }));
+
+                        expect(persons.map(({ line, ...person }) => person)).toEqual(expected);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Post Composition
+ * 複数画像（最大4枚・ALTテキスト付き）とスレッド（返信チェーン）の構成を扱うモジュール
+ *
+ * - post.images: [{ base64, alt }]（先頭の画像は post.imageBase64 と同期し、サムネイル等の既存処理と互換）
+ *   IndexedDB に退避済みの画像は base64 の代わりに ref を持つ（image-store.js）
+ * - post.threadParentId: 返信先の投稿ID（null ならスレッドの先頭）
+ * - post.personAccounts: 人物データベースから取得したプラットフォームごとのアカウント（{ x, instagram, tiktok, bluesky, fediverse }）
+ */
+
+/**
+ * X の1投稿あたりの画像上限
+ */
+const MAX_IMAGES_PER_POST = 4;
+
+/**
+ * 投稿画像の型定義
+ * @typedef {Object} PostImage
+ * @property {string} base64 - data URL 形式の画像（退避済みで未読み込みの場合はなし）
+ * @property {string} alt - ALTテキスト
+ * @property {string} [ref] - IndexedDB の画像キー
+ * @property {{x: number, y: number}} [focus] - 焦点（-1〜1、中央が 0,0・上が y=1。Mastodon のトリミングに使う）
+ */
+
+/**
+ * 投稿の画像一覧を取得
+ * images が未設定の古い投稿は imageBase64 を1枚目として扱う
+ * @param {Object} post - 投稿
+ * @returns {Array<PostImage>}
+ */
+function getPostImages(post) {
+    if (!post) return [];
+    if (Array.isArray(post.images) && post.images.length > 0) {
+        return post.images
+            .filter(image => image && (image.base64 || image.ref))
+            .slice(0, MAX_IMAGES_PER_POST)
+            .map(image => {
+                const normalized = { base64: image.base64, alt: image.alt || '' };
+                if (image.ref) normalized.ref = image.ref;
+                if (image.focus) normalized.focus = image.focus;
+                return normalized;
+            });
+    }
+    if (post.imageBase64) {
+        return [{ base64: post.imageBase64, alt: '' }];
+    }
+    return [];
+}
+
+/**
+ * 画像一覧から投稿の更新内容を作成（imageBase64 を先頭画像に同期）
+ * @param {Array<PostImage>} images
+ * @returns {{images: Array<PostImage>, imageBase64: string|null}}
+ */
+function toImageUpdates(images) {
+    return {
+        images,
+        imageBase64: images[0]?.base64 || null
+    };
+}
+
+/**
+ * 画像を追加
+ * @param {Object} post - 投稿
+ * @param {string} base64 - data URL 形式の画像
+ * @param {string} [alt] - ALTテキスト
+ * @returns {{images: Array<PostImage>, imageBase64: string|null}} - 投稿の更新内容
+ */
+function addPostImage(post, base64, alt = '') {
+    const images = getPostImages(post);
+    if (images.length >= MAX_IMAGES_PER_POST) {
+        throw new Error(`画像は1投稿あたり最大${MAX_IMAGES_PER_POST}枚です`);
+    }
+    return toImageUpdates([...images, { base64, alt }]);
+}
+
+/**
+ * 画像を削除
+ * @param {Object} post - 投稿
+ * @param {number} imageIndex - 画像のインデックス
+ * @returns {{images: Array<PostImage>, imageBase64: string|null}}
+ */
+function removePostImage(post, imageIndex) {
+    const images = getPostImages(post).filter((_, i) => i !== imageIndex);
+    return toImageUpdates(images);
+}
+
+/**
+ * 先頭画像を差し替え（写真の変更）
+ * @param {Object} post - 投稿
+ * @param {string} base64 - data URL 形式の画像
+ * @returns {{images: Array<PostImage>, imageBase64: string|null}}
+ */
+function replacePrimaryImage(post, base64) {
+    const images = getPostImages(post);
+    if (images.length === 0) {
+        return toImageUpdates([{ base64, alt: '' }]);
+    }
+    // 差し替えた画像は未保存なので ref を外す
+    images[0] = { base64, alt: images[0].alt };
+    return toImageUpdates(images);
+}
+
+/**
+ * ALTテキストを設定
+ * @param {Object} post - 投稿
+ * @param {number} imageIndex - 画像のインデックス
+ * @param {string} alt - ALTテキスト
+ * @returns {{images: Array<PostImage>, imageBase64: string|null}}
+ */
+function setPostImageAlt(post, imageIndex, alt) {
+    const images = getPostImages(post);
+    if (!images[imageIndex]) {
+        throw new Error(`Image at index ${imageIndex} not found`);
+    }
+    images[imageIndex] = { ...images[imageIndex], alt };
+    return toImageUpdates(images);
+}
+
+/**
+ * 焦点を設定（-1〜1 に収め、小数第2位まで）
+ * @param {Object} post - 投稿
+ * @param {number} imageIndex - 画像のインデックス
+ * @param {{x: number, y: number}|null} focus - null で解除
+ * @returns {{images: Array<PostImage>, imageBase64: string|null}}
+ */
+function setPostImageFocus(post, imageIndex, focus) {
+    const images = getPostImages(post);
+    if (!images[imageIndex]) {
+        throw new Error(`Image at index ${imageIndex} not found`);
+    }
+    const clamp = value => Math.round(Math.min(1, Math.max(-1, Number(value) || 0)) * 100) / 100;
+    const image = { ...images[imageIndex] };
+    delete image.focus;
+    if (focus) image.focus = { x: clamp(focus.x), y: clamp(focus.y) };
+    images[imageIndex] = image;
+    return toImageUpdates(images);
+}
+
+/**
+ * 返信先の投稿を取得
+ * @param {Array<Object>} queue - 投稿キュー
+ * @param {Object} post - 投稿
+ * @returns {Object|null} - 親投稿（存在しない場合は null）
+ */
+function getThreadParent(queue, post) {
+    if (!post || !post.threadParentId) return null;
+    return queue.find(item => item.id === post.threadParentId) || null;
+}
+
+/**
+ * 送信前に返信先を解決する
+ * 返信先が未送信の場合はスレッドを組めないためエラーにする
+ * @param {Array<Object>} queue - 投稿キュー
+ * @param {Object} post - 送信する投稿
+ * @returns {Object|null} - 送信済みの親投稿（スレッドの先頭なら null）
+ */
+function resolveThreadParentForSend(queue, post) {
+    const parent = getThreadParent(queue, post);
+    if (parent && parent.status !== 'sent') {
+        throw new Error('返信先の投稿がまだ送信されていません');
+    }
+    return parent;
+}
+
+/**
+ * 返信先に設定できるかチェック（自己参照・循環を防ぐ）
+ * @param {Array<Object>} queue - 投稿キュー
+ * @param {string} postId - 返信する投稿のID
+ * @param {string|null} parentId - 返信先の投稿ID（null で解除）
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateThreadParent(queue, postId, parentId) {
+    if (!parentId) return { valid: true };
+    if (postId === parentId) {
+        return { valid: false, error: '自分自身には返信できません' };
+    }
+
+    const byId = new Map(queue.map(item => [item.id, item]));
+    if (!byId.has(parentId)) {
+        return { valid: false, error: '返信先の投稿が見つかりません' };
+    }
+
+    // 親をたどって自分に戻ってくる場合は循環
+    const visited = new Set();
+    let current = byId.get(parentId);
+    while (current && current.threadParentId) {
+        if (current.threadParentId === postId || visited.has(current.id)) {
+            return { valid: false, error: 'スレッドが循環しています' };
+        }
+        visited.add(current.id);
+        current = byId.get(current.threadParentId);
+    }
+
+    return { valid: true };
+}
+
+/**
+ * スレッドの親が子より先に来るようにインデックスを並べ替える
+ * 親が対象外（送信済みなど）の場合は元の順序を維持する
+ * @param {Array<Object>} queue - 投稿キュー
+ * @param {Array<number>} indices - 対象インデックス
+ * @returns {Array<number>}
+ */
+function orderForThreads(queue, indices) {
+    const indexById = new Map(indices.map(index => [queue[index]?.id, index]));
+    const ordered = [];
+    const placed = new Set();
+    const visiting = new Set();
+
+    const place = (index) => {
+        if (placed.has(index) || visiting.has(index)) return;
+        visiting.add(index);
+
+        const parentIndex = indexById.get(queue[index]?.threadParentId);
+        if (parentIndex !== undefined) {
+            place(parentIndex);
+        }
+
+        visiting.delete(index);
+        placed.add(index);
+        ordered.push(index);
+    };
+
+    indices.forEach(place);
+    return ordered;
+}
+
+/**
+ * 削除された投稿を返信先にしている投稿の参照を外す
+ * @param {Array<Object>} queue - 投稿キュー
+ * @param {string} removedId - 削除された投稿のID
+ * @returns {number} - 更新した件数
+ */
+function detachThreadChildren(queue, removedId) {
+    let count = 0;
+    queue.forEach(item => {
+        if (item.threadParentId === removedId) {
+            item.threadParentId = null;
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * 投稿先のプラットフォームに合わせた人物のアカウント
+ * X は入力された post.personAccount をそのまま使う
+ * @param {Object} post - 投稿
+ * @param {string} platform - 'x' | 'instagram' | 'tiktok' | 'bluesky' | 'fediverse'
+ * @returns {string} - @付きのアカウント、ない場合は空文字
+ */
+function getPersonHandleForPlatform(post, platform) {
+    if (!post) return '';
+    if (platform === 'x' && post.personAccount) return post.personAccount;
+
+    const handle = post.personAccounts?.[platform] || '';
+    if (!handle) return '';
+    return handle.startsWith('@') ? handle : `@${handle}`;
+}
+
+// Export for use in other modules
+export {
+    MAX_IMAGES_PER_POST,
+    getPersonHandleForPlatform,
+    getPostImages,
+    addPostImage,
+    removePostImage,
+    replacePrimaryImage,
+    setPostImageAlt,
+    setPostImageFocus,
+    getThreadParent,
+    resolveThreadParentForSend,
+    validateThreadParent,
+    orderForThreads,
+    detachThreadChildren
+};
+
+// グローバルに公開
+if (typeof window !== 'undefined') {
+    window.postComposition = {
+        MAX_IMAGES_PER_POST,
+        getPersonHandleForPlatform,
+        getPostImages,
+        getThreadParent,
+        validateThreadParent
+    };
+}
@@ -0,0 +1,167 @@
+/**
+ * Post Composition Tests
+ * 複数画像（ALTテキスト）とスレッド構成
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    MAX_IMAGES_PER_POST,
+    getPostImages,
+    addPostImage,
+    removePostImage,
+    replacePrimaryImage,
+    setPostImageAlt,
+    setPostImageFocus,
+    resolveThreadParentForSend,
+    validateThreadParent,
+    orderForThreads,
+    detachThreadChildren,
+    getPersonHandleForPlatform
+} from './post-composition.js';
+
+const img = (n) => `data:image/jpeg;base64,IMG${n}`;
+
+describe('Post Composition', () => {
+    describe('images', () => {
+        it('should treat legacy imageBase64 as the first image', () => {
+            expect(getPostImages({ imageBase64: img(1) })).toEqual([{ base64: img(1), alt: '' }]);
+            expect(getPostImages({ imageBase64: null })).toEqual([]);
+        });
+
+        it('should keep imageBase64 in sync with the first image', () => {
+            let post = { imageBase64: img(1), images: [] };
+            post = { ...post, ...addPostImage(post, img(2), 'second') };
+            expect(post.images).toHaveLength(2);
+            expect(post.imageBase64).toBe(img(1));
+
+            post = { ...post, ...removePostImage(post, 0) };
+            expect(post.imageBase64).toBe(img(2));
+            expect(post.images[0].alt).toBe('second');
+
+            post = { ...post, ...removePostImage(post, 0) };
+            expect(post.imageBase64).toBeNull();
+        });
+
+        it('should reject more than 4 images', () => {
+            let post = { images: [] };
+            for (let i = 0; i < MAX_IMAGES_PER_POST; i++) {
+                post = { ...post, ...addPostImage(post, img(i)) };
+            }
+            expect(() => addPostImage(post, img(5))).toThrow('最大4枚');
+        });
+
+        it('should set alt text and replace the primary image', () => {
+            let post = { images: [{ base64: img(1), alt: '' }, { base64: img(2), alt: '' }] };
+            post = { ...post, ...setPostImageAlt(post, 1, 'ブースの全景') };
+            expect(post.images[1].alt).toBe('ブースの全景');
+
+            post = { ...post, ...replacePrimaryImage(post, img(9)) };
+            expect(post.images.map(i => i.base64)).toEqual([img(9), img(2)]);
+            expect(post.imageBase64).toBe(img(9));
+        });
+
+        it('should set a clamped focal point and keep it with the image', () => {
+            let post = { images: [{ base64: img(1), alt: '' }, { base64: img(2), alt: 'second' }] };
+            post = { ...post, ...setPostImageFocus(post, 1, { x: 0.333, y: -1.5 }) };
+            expect(post.images[1]).toEqual({ base64: img(2), alt: 'second', focus: { x: 0.33, y: -1 } });
+
+            post = { ...post, ...removePostImage(post, 0) };
+            expect(getPostImages(post)[0].focus).toEqual({ x: 0.33, y: -1 });
+
+            post = { ...post, ...setPostImageFocus(post, 0, null) };
+            expect(post.images[0]).not.toHaveProperty('focus');
+            expect(() => setPostImageFocus(post, 3, { x: 0, y: 0 })).toThrow();
+        });
+
+        it('Property: getPostImages never returns more than 4 images', () => {
+            fc.assert(
+                fc.property(
+                    fc.array(fc.record({ base64: fc.string({ minLength: 1 }), alt: fc.string() }), { maxLength: 10 }),
+                    (images) => {
+                        const result = getPostImages({ images });
+                        expect(result.length).toBe(Math.min(images.length, MAX_IMAGES_PER_POST));
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('threads', () => {
+        const queue = [
+            { id: 'a', threadParentId: null, status: 'ready' },
+            { id: 'b', threadParentId: 'a', status: 'ready' },
+            { id: 'c', threadParentId: 'b', status: 'ready' }
+        ];
+
+        it('should reject self replies and cycles', () => {
+            expect(validateThreadParent(queue, 'a', 'a').valid).toBe(false);
+            expect(validateThreadParent(queue, 'a', 'c')).toEqual({ valid: false, error: 'スレッドが循環しています' });
+            expect(validateThreadParent(queue, 'a', 'missing').valid).toBe(false);
+            expect(validateThreadParent(queue, 'c', 'a').valid).toBe(true);
+            expect(validateThreadParent(queue, 'c', null).valid).toBe(true);
+        });
+
+        it('should require the parent to be sent before replying', () => {
+            expect(() => resolveThreadParentForSend(queue, queue[1])).toThrow('返信先の投稿がまだ送信されていません');
+
+            const sentQueue = [{ ...queue[0], status: 'sent' }, queue[1]];
+            expect(resolveThreadParentForSend(sentQueue, sentQueue[1])).toBe(sentQueue[0]);
+            expect(resolveThreadParentForSend(queue, queue[0])).toBeNull();
+        });
+
+        it('should order parents before children', () => {
+            expect(orderForThreads(queue, [2, 1, 0])).toEqual([0, 1, 2]);
+            expect(orderForThreads(queue, [2, 1])).toEqual([1, 2]);
+        });
+
+        it('should detach replies to a removed post', () => {
+            const copy = queue.map(p => ({ ...p }));
+            expect(detachThreadChildren(copy, 'a')).toBe(1);
+            expect(copy[1].threadParentId).toBeNull();
+        });
+
+        it('Property: orderForThreads is a permutation with parents first', () => {
+            fc.assert(
+                fc.property(
+                    fc.integer({ min: 1, max: 12 }).chain(n => fc.tuple(
+                        // 親は自分より前のインデックスのみ（循環なし）
+                        fc.array(fc.integer({ min: -1, max: n - 1 }), { minLength: n, maxLength: n }),
+                        fc.shuffledSubarray([...Array(n).keys()])
+                    )),
+                    ([parents, indices]) => {
+                        const q = parents.map((p, i) => ({
+                            id: `p${i}`,
+                            threadParentId: p >= 0 && p < i ? `p${p}` : null
+                        }));
+
+                        const ordered = orderForThreads(q, indices);
+                        expect([...ordered].sort((a, b) => a - b)).toEqual([...indices].sort((a, b) => a - b));
+
+                        ordered.forEach((index, position) => {
+                            const parentId = q[index].threadParentId;
+                            const parentIndex = q.findIndex(p => p.id === parentId);
+                            if (parentId && indices.includes(parentIndex)) {
+                                expect(ordered.indexOf(parentIndex)).toBeLessThan(position);
+                            }
+                        });
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('person handles', () => {
+        it('should pick the handle for each platform', () => {
+            const post = { personAccount: '@hibikiyomori', personAccounts: { x: 'hibikiyomori', instagram: 'ig_hibiki', tiktok: '' } };
+
+            expect(getPersonHandleForPlatform(post, 'x')).toBe('@hibikiyomori');
+            expect(getPersonHandleForPlatform(post, 'instagram')).toBe('@ig_hibiki');
+            expect(getPersonHandleForPlatform(post, 'tiktok')).toBe('');
+            expect(getPersonHandleForPlatform({ personAccount: '', personAccounts: { x: 'fallback' } }, 'x')).toBe('@fallback');
+            expect(getPersonHandleForPlatform({ personAccount: 'typed' }, 'instagram')).toBe('');
+        });
+    });
+});
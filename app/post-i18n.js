@@ -0,0 +1,170 @@
+/**
+ * Post i18n
+ * 投稿文の多言語化（日本語・英語・中国語・韓国語）
+ *
+ * - 日本語は従来の投稿文（post.aiComment）。翻訳先は投稿ごとに post.targetLanguages で選ぶ
+ * - 言語ごとのコメントは post.localizedComments[language] に持つ
+ * - 役割・カテゴリの表記を翻訳し、名前は人物データベースの別名・読みからその言語で読める表記を選ぶ
+ */
+
+import { PersonDatabase } from './person-database.js';
+import { renderPostTemplates, getPostPeople } from './post-layout.js';
+
+const PRIMARY_LANGUAGE = 'ja';
+
+// 対応する言語（翻訳先に選べるのは ja 以外）
+const LANGUAGES = {
+    ja: { label: '日本語', promptName: '日本語' },
+    en: { label: 'English', promptName: 'English' },
+    zh: { label: '中文', promptName: '简体中文' },
+    ko: { label: '한국어', promptName: '한국어' }
+};
+
+const TARGET_LANGUAGES = Object.keys(LANGUAGES).filter(language => language !== PRIMARY_LANGUAGE);
+
+// 役割の表記（edit-person-role の選択肢）
+const ROLE_LABELS = {
+    'モデル': { en: 'Model', zh: '模特', ko: '모델' },
+    'コスプレイヤー': { en: 'Cosplayer', zh: 'Coser', ko: '코스플레이어' },
+    'イベントコンパニオン': { en: 'Event Companion', zh: '展会模特', ko: '이벤트 컴패니언' },
+    'RQ': { en: 'Race Queen', zh: '赛车女郎', ko: '레이스퀸' },
+    'レースクイーン': { en: 'Race Queen', zh: '赛车女郎', ko: '레이스퀸' },
+    'アンバサダー': { en: 'Ambassador', zh: '形象大使', ko: '앰배서더' }
+};
+
+// カテゴリの表記
+const CATEGORY_LABELS = {
+    'ブース': { en: 'Booth', zh: '展位', ko: '부스' },
+    'サーキット': { en: 'Circuit', zh: '赛道', ko: '서킷' },
+    '撮影会': { en: 'Photo Session', zh: '摄影会', ko: '촬영회' }
+};
+
+const LATIN_NAME_PATTERN = /^[A-Za-z][A-Za-z .'-]*$/;
+const HANGUL_PATTERN = /[가-힣]/;
+const KANA_PATTERN = /[぀-ヿ]/;
+
+/**
+ * 翻訳先の言語を整える（未対応・重複・日本語を除く）
+ * @param {Array<string>} languages
+ * @returns {Array<string>}
+ */
+function normalizeTargetLanguages(languages) {
+    if (!Array.isArray(languages)) return [];
+    return TARGET_LANGUAGES.filter(language => languages.includes(language));
+}
+
+/**
+ * 役割を翻訳（未登録の役割はそのまま）
+ * @param {string} role
+ * @param {string} language
+ * @returns {string}
+ */
+function localizeRole(role, language) {
+    return ROLE_LABELS[role]?.[language] || role || '';
+}
+
+/**
+ * カテゴリを翻訳（未登録のカテゴリはそのまま）
+ * @param {string} category
+ * @param {string} language
+ * @returns {string}
+ */
+function localizeCategory(category, language) {
+    return CATEGORY_LABELS[category]?.[language] || category || '';
+}
+
+/**
+ * 投稿の人物（1人目）を人物データベースから探す（アカウント → 名前の順）
+ * @param {Object} post
+ * @param {PersonDatabase} [database]
+ * @returns {Object|null}
+ */
+function findPostPerson(post, database = new PersonDatabase()) {
+    const [first] = getPostPeople(post);
+    const byHandle = database.findByHandle(first.account);
+    if (byHandle) return byHandle;
+    return first.name ? database.getAll().find(record => record.name === first.name) || null : null;
+}
+
+/**
+ * 言語に合わせた名前の表記
+ * - en: ローマ字の別名・読み
+ * - ko: ハングルの別名 → ローマ字
+ * - zh: 漢字の名前はそのまま、かなを含む場合はローマ字
+ * 見つからない場合は元の名前
+ * @param {string} name
+ * @param {string} language
+ * @param {Object|null} person - 人物データベースのレコード
+ * @returns {string}
+ */
+function localizeName(name, language, person) {
+    if (!name || language === PRIMARY_LANGUAGE) return name || '';
+
+    const candidates = [...(person?.aliases || []), ...(person?.readings || [])];
+    const latin = candidates.find(candidate => LATIN_NAME_PATTERN.test(candidate));
+    const hangul = candidates.find(candidate => HANGUL_PATTERN.test(candidate));
+
+    if (language === 'ko') return hangul || latin || name;
+    if (language === 'zh' && !KANA_PATTERN.test(name)) return name;
+    return latin || name;
+}
+
+/**
+ * 言語ごとの投稿文（x1 / x2 / ig）を作る
+ * レイアウトは日本語と共通（post-layout.js）で、役割・カテゴリ・名前をその言語の表記にする
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {Object} event - 正規化済みイベント情報
+ * @param {string} language
+ * @param {Object} [options]
+ * @param {string} [options.comment] - 省略時は post.localizedComments[language]
+ * @param {Object|null} [options.person] - 1人目の人物データベースのレコード
+ * @param {Object|null} [options.layout] - ユーザーのレイアウト（post-layout-database.js）
+ * @returns {{ x1: string, x2: string, ig: string }}
+ */
+function buildLocalizedTemplates(post, event, language, { comment, person = null, layout = null } = {}) {
+    return renderPostTemplates(post, event, {
+        language,
+        layout,
+        comment: comment ?? (language === PRIMARY_LANGUAGE ? post.aiComment : post.localizedComments?.[language]) ?? '',
+        translate: {
+            role: role => localizeRole(role, language),
+            category: category => localizeCategory(category, language),
+            // 2人目以降はその人のアカウント・名前で人物データベースを探す
+            name: (name, index, entry) => localizeName(name, language,
+                index === 0 ? person : findPostPerson({ personName: name, personAccount: entry.account }))
+        }
+    });
+}
+
+/**
+ * 投稿の翻訳先すべての投稿文
+ * @param {Object} post
+ * @param {Object} event
+ * @param {Object} [options] - buildLocalizedTemplates と同じ（comment 以外）
+ * @returns {Object<string, { x1: string, x2: string, ig: string }>}
+ */
+function buildAllLocalizedTemplates(post, event, options = {}) {
+    const languages = normalizeTargetLanguages(post.targetLanguages);
+    if (languages.length === 0) return {};
+
+    const person = options.person !== undefined ? options.person : findPostPerson(post);
+    return Object.fromEntries(languages.map(language => [
+        language,
+        buildLocalizedTemplates(post, event, language, { ...options, person })
+    ]));
+}
+
+export {
+    PRIMARY_LANGUAGE,
+    LANGUAGES,
+    TARGET_LANGUAGES,
+    ROLE_LABELS,
+    CATEGORY_LABELS,
+    normalizeTargetLanguages,
+    localizeRole,
+    localizeCategory,
+    localizeName,
+    findPostPerson,
+    buildLocalizedTemplates,
+    buildAllLocalizedTemplates
+};
@@ -0,0 +1,151 @@
+/**
+ * Post i18n Tests
+ * 翻訳先の言語ごとの投稿文・コメント生成・Webhook への送信
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TARGET_LANGUAGES,
+    normalizeTargetLanguages,
+    localizeRole,
+    localizeName,
+    buildLocalizedTemplates,
+    buildAllLocalizedTemplates
+} from './post-i18n.js';
+import { PersonDatabase } from './person-database.js';
+import { buildWebhookPayload } from './publishers.js';
+import { generateRuleBasedComment } from './comment-rules.js';
+import { getLanguageRules, validateComment } from './comment-validator.js';
+import { BatchProcessor } from './batch-processor.js';
+import { buildPrompt, generateComment, TEMPLATES_BY_LANGUAGE } from '../netlify/shared/comment-providers.js';
+
+const event = {
+    eventEn: 'Tokyo Auto Salon 2026',
+    eventJp: '東京オートサロン2026',
+    date: '2026.01.10',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#TAS2026 #東京オートサロン'
+};
+
+describe('PostI18n', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('labels and names', () => {
+        it('should keep only supported target languages in a fixed order', () => {
+            fc.assert(
+                fc.property(fc.array(fc.constantFrom('ja', 'en', 'zh', 'ko', 'fr', '')), (languages) => {
+                    const normalized = normalizeTargetLanguages(languages);
+                    expect(normalized).toEqual(TARGET_LANGUAGES.filter(language => languages.includes(language)));
+                })
+            );
+            expect(normalizeTargetLanguages('en')).toEqual([]);
+        });
+
+        it('should translate roles and leave unknown roles as they are', () => {
+            expect(localizeRole('モデル', 'en')).toBe('Model');
+            expect(localizeRole('RQ', 'ko')).toBe('레이스퀸');
+            expect(localizeRole('ダンサー', 'en')).toBe('ダンサー');
+        });
+
+        it('should pick a readable name from the person aliases and readings', () => {
+            const person = { aliases: ['Hana Sato'], readings: ['さとうはな', '사토 하나'] };
+            expect(localizeName('佐藤はな', 'en', person)).toBe('Hana Sato');
+            expect(localizeName('佐藤はな', 'ko', person)).toBe('사토 하나');
+            expect(localizeName('佐藤はな', 'zh', person)).toBe('Hana Sato');
+            expect(localizeName('佐藤花', 'zh', person)).toBe('佐藤花');
+            expect(localizeName('佐藤はな', 'en', null)).toBe('佐藤はな');
+        });
+    });
+
+    describe('localized templates', () => {
+        it('should build English post text from the person database and the English comment', () => {
+            const database = new PersonDatabase();
+            database.add({ name: '佐藤はな', aliases: ['Hana Sato'], accounts: { x: '@hana' } });
+            const post = {
+                boothName: 'SEGA',
+                personRole: 'モデル',
+                personName: '佐藤はな',
+                personAccount: '@hana',
+                personAccounts: { instagram: 'hana.ig' },
+                aiComment: '笑顔が素敵でした✨',
+                targetLanguages: ['en', 'fr'],
+                localizedComments: { en: 'Such a bright smile✨' }
+            };
+
+            const localized = buildAllLocalizedTemplates(post, event);
+
+            expect(Object.keys(localized)).toEqual(['en']);
+            expect(localized.en.x1).toContain('◼︎ Model\nHana Sato\n@hana');
+            expect(localized.en.x1).toContain('Such a bright smile✨');
+            expect(localized.en.x1).not.toContain('さん');
+            expect(localized.en.x1.startsWith('📸 Tokyo Auto Salon 2026\n')).toBe(true);
+            expect(localized.en.ig).toContain('Hana Sato @hana.ig');
+            expect(buildLocalizedTemplates({ ...post, personName: '' }, event, 'ko').x1).toContain('이름 확인 중');
+        });
+
+        it('should send each language as its own posts entry', () => {
+            const post = { personRole: 'モデル', targetLanguages: ['zh'], localizedComments: { zh: '笑容很灿烂✨' } };
+            const localized = buildAllLocalizedTemplates(post, event, { person: null });
+            const payload = buildWebhookPayload(post, { event, templates: { x1: 'JA1', x2: 'JA2', ig: 'JAIG', localized } });
+
+            expect(payload.languages).toEqual(['ja', 'zh']);
+            expect(payload.posts).toMatchObject({ x1: 'JA1', x2: 'JA2', instagram: 'JAIG' });
+            expect(payload.posts.zh).toEqual({ x1: localized.zh.x1, x2: localized.zh.x2, instagram: localized.zh.ig });
+            expect(buildWebhookPayload(post, { event, templates: { x1: 'JA1', x2: 'JA2', ig: 'JAIG' } }).languages).toEqual(['ja']);
+        });
+    });
+
+    describe('localized comments', () => {
+        it('should pick rule-based templates that pass the rules of each language', () => {
+            TARGET_LANGUAGES.forEach(language => {
+                ['笑顔', 'クール', '華やか'].forEach(expressionType => {
+                    const comment = generateRuleBasedComment({ expressionType, language });
+                    expect(TEMPLATES_BY_LANGUAGE[language].expressions[expressionType]).toContain(comment);
+                    expect(validateComment(comment, getLanguageRules({}, language), { language }).valid).toBe(true);
+                });
+            });
+        });
+
+        it('should ask the model for the target language on the server', async () => {
+            const prompt = buildPrompt({ expression_type: '笑顔', language: 'ko' }, false);
+            expect(prompt).toContain('한국어');
+            expect(prompt).toMatch(/15〜50/);
+
+            const result = await generateComment({ provider: 'rule_based', expression_type: 'クール', language: 'en' }, { env: {} });
+            expect(TEMPLATES_BY_LANGUAGE.en.expressions['クール']).toContain(result.comment);
+        });
+
+        it('should generate a comment for every target language in a batch', async () => {
+            const AppState = {
+                eventInfo: { eventEn: 'I18n Expo', date: '2026.02.01', category: 'ブース' },
+                settings: { rateLimits: { gemini: 0 } },
+                postQueue: [{ id: 'p0', boothName: 'SEGA', personRole: 'モデル', aiComment: '既存のコメントでした✨', targetLanguages: ['en', 'ko'], localizedComments: { ko: '기존 코멘트✨' } }]
+            };
+            global.window = {
+                AppState,
+                generateRuleBasedComment,
+                updateQueueItem: (index, updates) => Object.assign(AppState.postQueue[index], updates)
+            };
+            global.fetch = vi.fn(async (url, init) => ({
+                ok: true,
+                json: async () => ({ comment: JSON.parse(init.body).templates[0], source: 'gemini' })
+            }));
+
+            await new BatchProcessor().generateComments([0], () => {});
+
+            // 日本語と既にある韓国語はそのまま、英語だけ作る
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.language).toBe('en');
+            expect(body.templates).toEqual(TEMPLATES_BY_LANGUAGE.en.expressions['笑顔']);
+            expect(AppState.postQueue[0]).toMatchObject({
+                aiComment: '既存のコメントでした✨',
+                localizedComments: { en: body.templates[0], ko: '기존 코멘트✨' }
+            });
+        });
+    });
+});
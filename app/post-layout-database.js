@@ -0,0 +1,212 @@
+/**
+ * Post Layout Database
+ * ユーザーが作った投稿文のレイアウトと、イベント・カテゴリごとの使い分け
+ *
+ * - 使うレイアウトは イベント指定 → カテゴリ指定 → 既定 → 標準（post-layout.js の DEFAULT_LAYOUTS）の順に選ぶ
+ * - レイアウトの x1 / x2 / ig のうち空の項目は標準のレイアウトを使う
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+import { getEventKey } from './comment-ledger.js';
+import { LAYOUT_TARGETS, validateLayout } from './post-layout.js';
+
+const POST_LAYOUTS_KEY = 'autopost_post_layouts';
+const MAX_LAYOUTS = 50;
+
+/**
+ * レイアウト
+ * @typedef {Object} PostLayout
+ * @property {string} id
+ * @property {string} name
+ * @property {string} x1 - X（1枚目）のテンプレート（空は標準）
+ * @property {string} x2 - X（2枚目以降）のテンプレート（空は標準）
+ * @property {string} ig - Instagram のテンプレート（空は標準）
+ * @property {Array<string>} categories - このカテゴリのイベントで使う
+ * @property {Array<string>} eventKeys - このイベントで使う（getLayoutEventKey）
+ * @property {boolean} isDefault - どれにも当てはまらないときに使う
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * Generate unique ID
+ * @returns {string}
+ */
+function generateLayoutId() {
+    return `layout_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * 文字列の一覧を整える（カンマ・読点区切りの文字列も受け付ける）
+ * @param {Array<string>|string} values
+ * @returns {Array<string>}
+ */
+function normalizeList(values) {
+    const list = Array.isArray(values) ? values : String(values || '').split(/[,、]/);
+    return [...new Set(list.map(value => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * レイアウトを使うイベントのキー
+ * 投稿文の生成では正規化済み（ID なし）のイベント情報を使うため、名前と日付だけで判定する
+ * @param {Object} event
+ * @returns {string}
+ */
+function getLayoutEventKey(event = {}) {
+    return getEventKey({ eventEn: event?.eventEn, eventJp: event?.eventJp, date: event?.date });
+}
+
+/**
+ * レイアウトを検証して整える
+ * @param {Object} raw
+ * @returns {PostLayout}
+ * @throws {Error} 名前がない・テンプレートの記法に誤りがある場合
+ */
+function normalizeLayout(raw) {
+    const name = String(raw?.name || '').trim();
+    if (!name) {
+        throw new Error('Layout name is required');
+    }
+
+    const templates = {};
+    Object.keys(LAYOUT_TARGETS).forEach(target => {
+        const template = String(raw[target] || '');
+        const { valid, error } = validateLayout(template);
+        if (!valid) {
+            throw new Error(`${LAYOUT_TARGETS[target]}: ${error}`);
+        }
+        templates[target] = template.trim() ? template : '';
+    });
+
+    const now = Date.now();
+    return {
+        id: raw.id || generateLayoutId(),
+        name,
+        ...templates,
+        categories: normalizeList(raw.categories),
+        eventKeys: normalizeList(raw.eventKeys),
+        isDefault: !!raw.isDefault,
+        createdAt: raw.createdAt || now,
+        updatedAt: now
+    };
+}
+
+class PostLayoutDatabase {
+    constructor() {
+        this.layouts = this._load();
+    }
+
+    /**
+     * @private
+     * @returns {Array<PostLayout>}
+     */
+    _load() {
+        const layouts = storageGet(POST_LAYOUTS_KEY, []);
+        if (!Array.isArray(layouts)) {
+            console.warn('[PostLayoutDatabase] Invalid data format, resetting to empty array');
+            return [];
+        }
+        return layouts;
+    }
+
+    /**
+     * @private
+     * @returns {boolean}
+     */
+    _save() {
+        return storageSet(POST_LAYOUTS_KEY, this.layouts);
+    }
+
+    /**
+     * 全てのレイアウト
+     * @returns {Array<PostLayout>}
+     */
+    getAll() {
+        return [...this.layouts];
+    }
+
+    /**
+     * IDでレイアウトを取得
+     * @param {string} id
+     * @returns {PostLayout|null}
+     */
+    getById(id) {
+        return this.layouts.find(layout => layout.id === id) || null;
+    }
+
+    /**
+     * レイアウトを追加・更新（既定にしたレイアウトは1つだけ）
+     * @param {Object} data - PostLayout（id がなければ追加）
+     * @returns {PostLayout}
+     * @throws {Error} 名前がない・記法の誤り・上限を超える場合
+     */
+    save(data) {
+        const current = data.id ? this.getById(data.id) : null;
+        if (!current && this.layouts.length >= MAX_LAYOUTS) {
+            throw new Error(`Cannot add more than ${MAX_LAYOUTS} layouts`);
+        }
+
+        const layout = normalizeLayout({ ...current, ...data, createdAt: current?.createdAt });
+        this.layouts = [
+            ...this.layouts
+                .filter(item => item.id !== layout.id)
+                .map(item => (layout.isDefault && item.isDefault ? { ...item, isDefault: false, updatedAt: layout.updatedAt } : item)),
+            layout
+        ];
+        this._save();
+        return layout;
+    }
+
+    /**
+     * レイアウトを削除
+     * @param {string} id
+     * @returns {boolean}
+     */
+    delete(id) {
+        const initialLength = this.layouts.length;
+        this.layouts = this.layouts.filter(layout => layout.id !== id);
+        if (this.layouts.length === initialLength) return false;
+        this._save();
+        return true;
+    }
+
+    /**
+     * イベントで使うレイアウト（イベント指定 → カテゴリ指定 → 既定）
+     * @param {Object} event - イベント情報
+     * @returns {PostLayout|null} - null なら標準のレイアウト
+     */
+    resolve(event = {}) {
+        const eventKey = getLayoutEventKey(event);
+        const category = event?.category || '';
+        return this.layouts.find(layout => layout.eventKeys?.includes(eventKey))
+            || (category && this.layouts.find(layout => layout.categories?.includes(category)))
+            || this.layouts.find(layout => layout.isDefault)
+            || null;
+    }
+
+    /**
+     * 全てのレイアウトを削除
+     * @returns {boolean}
+     */
+    clear() {
+        this.layouts = [];
+        return this._save();
+    }
+}
+
+// シングルトンインスタンス
+const postLayoutDatabase = new PostLayoutDatabase();
+
+export {
+    PostLayoutDatabase,
+    postLayoutDatabase,
+    normalizeLayout,
+    getLayoutEventKey,
+    POST_LAYOUTS_KEY,
+    MAX_LAYOUTS
+};
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.postLayoutDatabase = postLayoutDatabase;
+}
@@ -0,0 +1,277 @@
+/**
+ * Post Layout UI
+ * 投稿文のレイアウトの管理モーダル（編集・イベント/カテゴリの割り当て・ライブプレビュー）
+ */
+
+import { LAYOUT_TARGETS, DEFAULT_LAYOUTS, LAYOUT_PLACEHOLDERS, renderPostTemplates } from './post-layout.js';
+import { postLayoutDatabase, getLayoutEventKey } from './post-layout-database.js';
+
+// プレビューに使う投稿（キューが空の場合）
+const SAMPLE_POST = {
+    boothName: 'サンプルブース',
+    boothAccount: '@sample_booth',
+    personRole: 'モデル',
+    personName: 'サンプル',
+    personAccount: '@sample',
+    aiComment: '笑顔がブースの雰囲気にぴったりでした✨'
+};
+
+const SAMPLE_EVENT = {
+    eventEn: 'Sample Expo 2026',
+    eventJp: 'サンプル展示会2026',
+    date: '2026.01.01',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#サンプル展示会 #SampleExpo'
+};
+
+// 編集中のレイアウト
+let draft = null;
+let activeTarget = 'x1';
+
+/**
+ * トーストを表示
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type) {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * HTMLエスケープ
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * 現在のイベント情報（設定されていなければ null）
+ * @returns {Object|null}
+ */
+function getCurrentEvent() {
+    const event = window.AppState?.eventInfo;
+    return event && (event.eventEn || event.eventJp) ? event : null;
+}
+
+/**
+ * プレビューに使う投稿とイベント（編集中の投稿 → キューの先頭 → サンプル）
+ * @returns {{ post: Object, event: Object, label: string }}
+ */
+function getPreviewSource() {
+    const queue = window.AppState?.postQueue || [];
+    const index = window.AppState?.currentEditIndex ?? 0;
+    const post = queue[index] || queue[0];
+    if (!post) {
+        return { post: SAMPLE_POST, event: SAMPLE_EVENT, label: '（サンプル）' };
+    }
+
+    const source = post.eventInfo?.eventEn || post.eventInfo?.eventJp ? post.eventInfo : getCurrentEvent() || SAMPLE_EVENT;
+    const event = {
+        eventEn: source.eventEn || '',
+        eventJp: source.eventJp || '',
+        date: source.date || '',
+        venue: source.venue || '',
+        category: source.category || 'ブース',
+        hashtags: source.hashtags || ''
+    };
+    return { post, event, label: `（${post.boothName || post.personName || 'キューの投稿'}）` };
+}
+
+/**
+ * 新しいレイアウトの下書き
+ * @returns {Object}
+ */
+function createDraft() {
+    return { id: null, name: '', x1: '', x2: '', ig: '', categories: [], eventKeys: [], isDefault: false };
+}
+
+/**
+ * レイアウトの選択肢を描画
+ */
+function renderLayoutOptions() {
+    const select = document.getElementById('post-layout-select');
+    if (!select) return;
+
+    const layouts = postLayoutDatabase.getAll();
+    select.innerHTML = '<option value="">＋ 新しいレイアウト</option>' + layouts.map(layout => {
+        const scopes = [
+            layout.isDefault ? '既定' : '',
+            layout.eventKeys.length ? `イベント${layout.eventKeys.length}件` : '',
+            ...layout.categories
+        ].filter(Boolean);
+        return `<option value="${escapeHtml(layout.id)}">${escapeHtml(layout.name)}${scopes.length ? `（${escapeHtml(scopes.join(' / '))}）` : ''}</option>`;
+    }).join('');
+    select.value = draft?.id || '';
+}
+
+/**
+ * 下書きを入力欄に表示
+ */
+function renderDraft() {
+    const event = getCurrentEvent();
+    const eventToggle = document.getElementById('post-layout-current-event');
+    const eventLabel = document.getElementById('post-layout-current-event-label');
+
+    document.getElementById('post-layout-name').value = draft.name;
+    document.getElementById('post-layout-categories').value = draft.categories.join(', ');
+    document.getElementById('post-layout-default').checked = draft.isDefault;
+    if (eventToggle) {
+        eventToggle.disabled = !event;
+        eventToggle.checked = !!event && draft.eventKeys.includes(getLayoutEventKey(event));
+    }
+    if (eventLabel) {
+        eventLabel.textContent = event ? `${event.eventJp || event.eventEn} で使う` : '現在のイベントで使う（イベント未設定）';
+    }
+    document.getElementById('post-layout-delete-btn').disabled = !draft.id;
+    renderTemplateEditor();
+}
+
+/**
+ * 選択中の投稿文の種類のテンプレートを表示
+ */
+function renderTemplateEditor() {
+    document.querySelectorAll('#post-layout-tabs [data-target]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.target === activeTarget);
+    });
+    document.getElementById('post-layout-template').value = draft[activeTarget];
+    renderPreview();
+}
+
+/**
+ * ライブプレビューを描画（記法の誤りは表示して直前のプレビューを残す）
+ */
+function renderPreview() {
+    const preview = document.getElementById('post-layout-preview');
+    const errorElement = document.getElementById('post-layout-error');
+    const sourceLabel = document.getElementById('post-layout-preview-source');
+    const { post, event, label } = getPreviewSource();
+    if (sourceLabel) sourceLabel.textContent = label;
+
+    try {
+        const templates = renderPostTemplates(post, event, { layout: draft });
+        if (preview) preview.textContent = templates[activeTarget];
+        if (errorElement) errorElement.hidden = true;
+    } catch (error) {
+        if (errorElement) {
+            errorElement.textContent = `⚠️ ${error.message}`;
+            errorElement.hidden = false;
+        }
+    }
+}
+
+/**
+ * レイアウトを選ぶ
+ * @param {string} id - 空なら新しいレイアウト
+ */
+function selectLayout(id) {
+    const layout = id ? postLayoutDatabase.getById(id) : null;
+    draft = layout ? { ...layout, categories: [...layout.categories], eventKeys: [...layout.eventKeys] } : createDraft();
+    renderDraft();
+}
+
+/**
+ * レイアウトを保存
+ */
+function saveLayout() {
+    const event = getCurrentEvent();
+    const eventKey = event ? getLayoutEventKey(event) : null;
+    const useForEvent = document.getElementById('post-layout-current-event')?.checked;
+    const eventKeys = draft.eventKeys.filter(key => key !== eventKey);
+    if (eventKey && useForEvent) eventKeys.push(eventKey);
+
+    try {
+        draft = postLayoutDatabase.save({
+            ...draft,
+            id: draft.id || undefined,
+            name: document.getElementById('post-layout-name')?.value,
+            categories: document.getElementById('post-layout-categories')?.value,
+            isDefault: document.getElementById('post-layout-default')?.checked,
+            eventKeys
+        });
+    } catch (error) {
+        notify(error.message === 'Layout name is required' ? 'レイアウトの名前を入力してください' : `レイアウトを保存できませんでした: ${error.message}`, 'error');
+        return;
+    }
+
+    renderLayoutOptions();
+    renderDraft();
+    notify('レイアウトを保存しました', 'success');
+}
+
+/**
+ * レイアウトを削除
+ */
+function deleteLayout() {
+    if (!draft?.id || !confirm(`レイアウト「${draft.name}」を削除しますか？`)) return;
+
+    postLayoutDatabase.delete(draft.id);
+    draft = createDraft();
+    renderLayoutOptions();
+    renderDraft();
+    notify('レイアウトを削除しました', 'success');
+}
+
+/**
+ * 管理モーダルを開く
+ */
+function openLayoutModal() {
+    const modal = document.getElementById('post-layout-modal');
+    if (!modal) return;
+
+    // 現在のイベントで使われているレイアウトから開く
+    const current = getCurrentEvent();
+    const layout = current ? postLayoutDatabase.resolve(current) : null;
+    draft = null;
+    selectLayout(layout?.id || '');
+    renderLayoutOptions();
+    modal.classList.add('active');
+}
+
+/**
+ * 管理モーダルを閉じる
+ */
+function closeLayoutModal() {
+    document.getElementById('post-layout-modal')?.classList.remove('active');
+}
+
+/**
+ * 投稿文のレイアウト管理UIを初期化
+ */
+export function initPostLayoutUI() {
+    document.getElementById('post-layout-open-btn')?.addEventListener('click', openLayoutModal);
+    document.getElementById('close-post-layout')?.addEventListener('click', closeLayoutModal);
+    document.getElementById('post-layout-save-btn')?.addEventListener('click', saveLayout);
+    document.getElementById('post-layout-delete-btn')?.addEventListener('click', deleteLayout);
+    document.getElementById('post-layout-select')?.addEventListener('change', (e) => selectLayout(e.target.value));
+
+    document.getElementById('post-layout-reset-btn')?.addEventListener('click', () => {
+        draft[activeTarget] = DEFAULT_LAYOUTS[activeTarget];
+        renderTemplateEditor();
+    });
+
+    document.getElementById('post-layout-template')?.addEventListener('input', (e) => {
+        draft[activeTarget] = e.target.value;
+        renderPreview();
+    });
+
+    document.getElementById('post-layout-tabs')?.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-target]')?.dataset.target;
+        if (!target || !(target in LAYOUT_TARGETS)) return;
+        activeTarget = target;
+        renderTemplateEditor();
+    });
+
+    const placeholders = document.getElementById('post-layout-placeholders');
+    if (placeholders) {
+        placeholders.innerHTML = LAYOUT_PLACEHOLDERS
+            .map(([path, label]) => `<li><code>{{${escapeHtml(path)}}}</code> ${escapeHtml(label)}</li>`)
+            .join('');
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * Post Layout
+ * 投稿文のレイアウト（テンプレート）を描画する共通のレンダラー
+ *
+ * app（プレビュー・送信・コピー）と next-app（webhook.ts）が同じレンダラーを使う
+ * そのため DOM や保存先には依存しない（ユーザーのレイアウトは post-layout-database.js）
+ *
+ * 記法:
+ * - {{event.eventJp}} / {{person.account}} : 値の差し込み（空の値は空文字）
+ * - {{#if person.name}}…{{else}}…{{/if}} : 値が空でなければ前半、空なら後半
+ * - {{#each people}}…{{/each}} : 人物ごとに繰り返す（中では {{name}} / {{account}} / {{@index}} / {{@first}} / {{@last}}）
+ */
+
+import { getPersonHandleForPlatform } from './post-composition.js';
+
+// 投稿文の定型部分（言語ごと）
+const POST_LABELS = {
+    ja: { honorific: ' さん', unknownName: '※お名前調査中', extraHashtags: '#portrait #ポートレート #eventphoto' },
+    en: { honorific: '', unknownName: 'Name TBA', extraHashtags: '#portrait #eventphoto' },
+    zh: { honorific: '', unknownName: '姓名确认中', extraHashtags: '#portrait #人像摄影 #eventphoto' },
+    ko: { honorific: ' 님', unknownName: '이름 확인 중', extraHashtags: '#portrait #인물사진 #eventphoto' }
+};
+
+// 投稿文の種類（X 1枚目・X 2枚目・Instagram）
+const LAYOUT_TARGETS = {
+    x1: 'X（1枚目）',
+    x2: 'X（2枚目以降）',
+    ig: 'Instagram'
+};
+
+// 標準のレイアウト
+const DEFAULT_LAYOUTS = {
+    x1: `📸 {{event.title}}
+{{event.date}}｜{{event.venue}}
+
+◼︎ {{event.category}}
+{{booth.name}}{{#if booth.account}}（{{booth.account}}）{{/if}}
+
+{{#each people}}◼︎ {{role}}
+{{#if name}}{{displayName}}{{else}}{{labels.unknownName}}{{/if}}
+{{account}}
+{{/each}}
+{{comment}}
+
+{{hashtags}}`,
+    x2: `📸 {{event.eventEn}}
+{{event.date}}｜{{event.venue}}
+
+{{booth.name}}
+{{#each people}}{{displayName}} {{account}}
+{{/each}}
+{{comment}}
+
+{{mainHashtag}}`,
+    ig: `📸 {{event.title}}
+
+{{booth.name}}
+{{#each people}}{{displayName}} {{instagram}}
+{{/each}}
+{{comment}}
+
+{{hashtags}} {{labels.extraHashtags}}`
+};
+
+// レイアウトで使える値（管理画面の一覧）
+const LAYOUT_PLACEHOLDERS = [
+    ['event.title', 'イベント名（英語 – 日本語）'],
+    ['event.eventEn', 'イベント名（英語）'],
+    ['event.eventJp', 'イベント名（日本語）'],
+    ['event.date', '日付'],
+    ['event.venue', '会場'],
+    ['event.category', 'カテゴリ'],
+    ['booth.name', 'ブース名'],
+    ['booth.account', 'ブースのアカウント'],
+    ['person.name', '人物名（1人目）'],
+    ['person.displayName', '敬称付きの人物名（1人目）'],
+    ['person.role', '役割（1人目）'],
+    ['person.account', '人物のアカウント（1人目）'],
+    ['person.instagram', 'Instagram のアカウント（1人目）'],
+    ['people', '人物の一覧（{{#each people}}…{{/each}}）'],
+    ['comment', '一言コメント'],
+    ['hashtags', 'ハッシュタグ'],
+    ['mainHashtag', '先頭のハッシュタグ'],
+    ['labels.unknownName', '名前が未確認のときの表記']
+];
+
+// 複数人の名前・アカウントの区切り
+const NAME_SEPARATOR = /\s*[、,，/／&＆]\s*/;
+const ACCOUNT_SEPARATOR = /[\s,、]+/;
+
+// 解析済みのレイアウト（同じテンプレートを何度も解析しない）
+const MAX_PARSED_LAYOUTS = 50;
+const parsedLayouts = new Map();
+
+/**
+ * レイアウトの記法の誤り
+ */
+class LayoutSyntaxError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} position - テンプレート内の位置
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'LayoutSyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * レイアウトを構文木に変換
+ * @param {string} template
+ * @returns {Array<Object>}
+ * @throws {LayoutSyntaxError} ブロックの対応が取れていない場合
+ */
+function parseLayout(template) {
+    const source = String(template ?? '');
+    if (parsedLayouts.has(source)) return parsedLayouts.get(source);
+
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    // if は else の前後で入れる先を切り替える
+    const push = (node) => {
+        const parent = current();
+        (parent.type === 'if' ? parent[parent.branch] : parent.children).push(node);
+    };
+    const tagPattern = /\{\{\s*([#/]?)([\w.@]*)\s*([\w.@]*)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        if (match.index > lastIndex) {
+            push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        const [tag, marker, name, argument] = match;
+        const parent = current();
+        if (marker === '#') {
+            if (!argument || (name !== 'if' && name !== 'each')) {
+                throw new LayoutSyntaxError(`Unknown block: ${tag}`, match.index);
+            }
+            const block = name === 'if'
+                ? { type: 'if', path: argument, consequent: [], alternate: [], branch: 'consequent', position: match.index }
+                : { type: 'each', path: argument, children: [], position: match.index };
+            push(block);
+            stack.push(block);
+        } else if (marker === '/') {
+            if (parent.type !== name) {
+                throw new LayoutSyntaxError(`Unexpected ${tag}`, match.index);
+            }
+            stack.pop();
+        } else if (name === 'else' && !argument) {
+            if (parent.type !== 'if' || parent.branch === 'alternate') {
+                throw new LayoutSyntaxError('{{else}} outside of {{#if}}', match.index);
+            }
+            parent.branch = 'alternate';
+        } else if (name && !argument) {
+            push({ type: 'value', path: name });
+        } else {
+            throw new LayoutSyntaxError(`Invalid tag: ${tag}`, match.index);
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = current();
+        throw new LayoutSyntaxError(`Unclosed {{#${open.type} ${open.path}}}`, open.position);
+    }
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    if (parsedLayouts.size >= MAX_PARSED_LAYOUTS) {
+        parsedLayouts.delete(parsedLayouts.keys().next().value);
+    }
+    parsedLayouts.set(source, root.children);
+    return root.children;
+}
+
+/**
+ * レイアウトの記法を検査
+ * @param {string} template
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+function validateLayout(template) {
+    try {
+        parseLayout(template);
+        return { valid: true, error: null };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+/**
+ * スコープ（内側 → 外側）から値を探す
+ * @param {string} path
+ * @param {Array<{ data: *, meta: Object }>} scopes
+ * @returns {*}
+ */
+function lookup(path, scopes) {
+    if (path.startsWith('@')) {
+        return scopes[0].meta[path.slice(1)];
+    }
+    if (path === 'this') return scopes[0].data;
+
+    // this.xxx は今のスコープだけを見る
+    const [head, ...rest] = path.startsWith('this.') ? path.slice(5).split('.') : path.split('.');
+    const candidates = path.startsWith('this.') ? scopes.slice(0, 1) : scopes;
+    for (const scope of candidates) {
+        if (scope.data && typeof scope.data === 'object' && Object.hasOwn(scope.data, head)) {
+            return rest.reduce((value, key) => (value && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined), scope.data[head]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * 値があるか（空文字・空の配列・null は空）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPresent(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return value !== null && value !== undefined && value !== false;
+}
+
+/**
+ * 差し込む文字列
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(stringify).filter(Boolean).join(' ');
+    if (typeof value === 'object') return '';
+    return String(value);
+}
+
+/**
+ * 構文木を描画
+ * @param {Array<Object>} nodes
+ * @param {Array<{ data: *, meta: Object }>} scopes
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'value') return stringify(lookup(node.path, scopes));
+        if (node.type === 'if') {
+            return renderNodes(isPresent(lookup(node.path, scopes)) ? node.consequent : node.alternate, scopes);
+        }
+        // each
+        const items = lookup(node.path, scopes);
+        if (!Array.isArray(items)) return '';
+        return items.map((item, index) => renderNodes(node.children, [
+            { data: item, meta: { index, number: index + 1, first: index === 0, last: index === items.length - 1 } },
+            ...scopes
+        ])).join('');
+    }).join('');
+}
+
+/**
+ * レイアウトを描画
+ * 行末の空白は取り除き、空の項目で3行以上続く改行は空行1つにまとめる
+ * @param {string} template
+ * @param {Object} context - buildLayoutContext の結果
+ * @returns {string}
+ * @throws {LayoutSyntaxError}
+ */
+function renderLayout(template, context) {
+    return renderNodes(parseLayout(template), [{ data: context, meta: {} }])
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * 投稿の人物の一覧
+ * post.people があればそれを使い、なければ「、」「/」などで区切った名前とアカウントを順に組にする
+ * @param {Object} post
+ * @returns {Array<{ role: string, name: string, account: string, instagram: string }>}
+ */
+function getPostPeople(post) {
+    if (Array.isArray(post.people) && post.people.length > 0) {
+        return post.people.map(person => ({
+            role: person.role || post.personRole || '',
+            name: person.name || '',
+            account: person.account || '',
+            instagram: person.instagram || ''
+        }));
+    }
+
+    const names = String(post.personName || '').split(NAME_SEPARATOR).filter(Boolean);
+    const accounts = String(post.personAccount || '').split(ACCOUNT_SEPARATOR).filter(Boolean);
+    const count = Math.max(names.length, accounts.length, 1);
+    return Array.from({ length: count }, (_, index) => ({
+        role: post.personRole || '',
+        name: names[index] || '',
+        account: accounts[index] || '',
+        // Instagram のアカウントは人物データベースから取れる1人目だけ
+        instagram: index === 0 ? getPersonHandleForPlatform(post, 'instagram') : ''
+    }));
+}
+
+/**
+ * レイアウトに渡す値を組み立てる
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {Object} event - 正規化済みイベント情報
+ * @param {Object} [options]
+ * @param {string} [options.language] - 'ja' | 'en' | 'zh' | 'ko'
+ * @param {string} [options.comment] - 省略時は post.aiComment
+ * @param {Object} [options.translate] - 言語ごとの表記（post-i18n.js）
+ * @param {Function} [options.translate.role]
+ * @param {Function} [options.translate.category]
+ * @param {Function} [options.translate.name] - (name, index, person) => string
+ * @param {string} [options.platform] - X 以外の投稿先（'bluesky' など）ではアカウントを人物データベースのものにする
+ * @returns {Object}
+ */
+function buildLayoutContext(post, event = {}, { language = 'ja', comment, translate = {}, platform = 'x' } = {}) {
+    const labels = POST_LABELS[language] || POST_LABELS.ja;
+    const translateRole = translate.role || (role => role);
+    const translateName = translate.name || (name => name);
+    const hashtags = event.hashtags || '';
+
+    const people = getPostPeople(post).map((person, index) => {
+        const name = translateName(person.name, index, person);
+        return {
+            ...person,
+            // X 以外のアカウントは人物データベースから取れる1人目だけ
+            account: platform === 'x' ? person.account : (index === 0 ? getPersonHandleForPlatform(post, platform) : ''),
+            role: translateRole(person.role),
+            name,
+            displayName: name ? `${name}${labels.honorific}` : ''
+        };
+    });
+
+    return {
+        language,
+        labels,
+        event: {
+            eventEn: event.eventEn || '',
+            eventJp: event.eventJp || '',
+            date: event.date || '',
+            venue: event.venue || '',
+            category: (translate.category || (category => category))(event.category || ''),
+            hashtags,
+            // 日本語以外では英語のイベント名だけ
+            title: language === 'ja' ? `${event.eventEn || ''} – ${event.eventJp || ''}` : event.eventEn || event.eventJp || ''
+        },
+        booth: {
+            name: post.boothName || '',
+            account: platform === 'x' ? post.boothAccount || '' : ''
+        },
+        person: people[0],
+        people,
+        comment: comment ?? post.aiComment ?? '',
+        hashtags,
+        mainHashtag: hashtags.split(' ').filter(tag => tag.startsWith('#'))[0] || ''
+    };
+}
+
+/**
+ * 投稿文（x1 / x2 / ig）を描画
+ * @param {Object} post
+ * @param {Object} event
+ * @param {Object} [options] - buildLayoutContext と同じ
+ * @param {Object} [options.layout] - { x1, x2, ig }（空の項目は標準のレイアウト）
+ * @returns {{ x1: string, x2: string, ig: string }}
+ */
+function renderPostTemplates(post, event, { layout = null, ...options } = {}) {
+    const context = buildLayoutContext(post, event, options);
+    return Object.fromEntries(Object.keys(LAYOUT_TARGETS).map(target => [
+        target,
+        renderLayout(layout?.[target] || DEFAULT_LAYOUTS[target], context)
+    ]));
+}
+
+export {
+    POST_LABELS,
+    LAYOUT_TARGETS,
+    DEFAULT_LAYOUTS,
+    LAYOUT_PLACEHOLDERS,
+    LayoutSyntaxError,
+    parseLayout,
+    validateLayout,
+    renderLayout,
+    getPostPeople,
+    buildLayoutContext,
+    renderPostTemplates
+};
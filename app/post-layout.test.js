@@ -0,0 +1,170 @@
+/**
+ * Post Layout Tests
+ * 投稿文のレイアウトの記法・標準のレイアウト・イベント/カテゴリごとの使い分け
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    DEFAULT_LAYOUTS,
+    LayoutSyntaxError,
+    renderLayout,
+    validateLayout,
+    getPostPeople,
+    renderPostTemplates
+} from './post-layout.js';
+import { PostLayoutDatabase, getLayoutEventKey } from './post-layout-database.js';
+import { buildLocalizedTemplates } from './post-i18n.js';
+import { resolvePublishEvent, buildPostTemplates } from './post-templates.js';
+import { BatchProcessor } from './batch-processor.js';
+
+const event = {
+    eventEn: 'Tokyo Auto Salon 2026',
+    eventJp: '東京オートサロン2026',
+    date: '2026.01.10',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#TAS2026 #東京オートサロン'
+};
+
+const post = {
+    boothName: 'SEGA',
+    boothAccount: '@sega',
+    personRole: 'モデル',
+    personName: '佐藤はな',
+    personAccount: '@hana',
+    personAccounts: { instagram: 'hana.ig' },
+    aiComment: '笑顔が素敵でした✨'
+};
+
+describe('PostLayout', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('template language', () => {
+        it('should insert values, switch on empty fields and loop over people', () => {
+            const context = { person: { name: '' }, people: [{ name: 'A' }, { name: 'B' }], event: { eventJp: '展示会' } };
+
+            expect(renderLayout('{{event.eventJp}} {{missing.value}}', context)).toBe('展示会');
+            expect(renderLayout('{{#if person.name}}{{person.name}}{{else}}未定{{/if}}', context)).toBe('未定');
+            expect(renderLayout('{{#each people}}{{@index}}:{{name}}{{#if @last}}.{{else}}, {{/if}}{{/each}}', context)).toBe('0:A, 1:B.');
+            expect(renderLayout('{{#each people}}{{event.eventJp}}{{/each}}', context)).toBe('展示会展示会');
+            expect(renderLayout('{{constructor}}{{event.toString}}', context)).toBe('');
+        });
+
+        it('should reject unbalanced blocks with their position', () => {
+            expect(validateLayout('{{#if person.name}}x')).toMatchObject({ valid: false });
+            expect(validateLayout('{{/each}}').valid).toBe(false);
+            expect(validateLayout('{{else}}').valid).toBe(false);
+            expect(validateLayout('{{#unless a}}{{/unless}}').valid).toBe(false);
+            expect(() => renderLayout('ok {{#each people}}', {})).toThrow(LayoutSyntaxError);
+            try {
+                renderLayout('ok {{#each people}}', {});
+            } catch (error) {
+                expect(error.position).toBe(3);
+            }
+        });
+
+        it('should never leave more than one blank line or trailing spaces', () => {
+            fc.assert(
+                fc.property(
+                    fc.record({ boothName: fc.constantFrom('', 'SEGA'), boothAccount: fc.constantFrom('', '@sega'), personName: fc.constantFrom('', 'A'), personAccount: fc.constantFrom('', '@a'), aiComment: fc.constantFrom('', 'c') }),
+                    (fields) => {
+                        const templates = renderPostTemplates({ personRole: 'モデル', ...fields }, event);
+                        Object.values(templates).forEach(text => {
+                            expect(text).not.toMatch(/\n{3,}/);
+                            expect(text).not.toMatch(/[ \t]$/m);
+                        });
+                    }
+                ),
+                { numRuns: 50 }
+            );
+        });
+    });
+
+    describe('default layouts', () => {
+        it('should render the same post text as before the layouts were shared', () => {
+            const { x1, x2, ig } = renderPostTemplates(post, event);
+
+            expect(x1).toBe(`📸 Tokyo Auto Salon 2026 – 東京オートサロン2026
+2026.01.10｜幕張メッセ
+
+◼︎ ブース
+SEGA（@sega）
+
+◼︎ モデル
+佐藤はな さん
+@hana
+
+笑顔が素敵でした✨
+
+#TAS2026 #東京オートサロン`);
+            expect(x2).toBe('📸 Tokyo Auto Salon 2026\n2026.01.10｜幕張メッセ\n\nSEGA\n佐藤はな さん @hana\n\n笑顔が素敵でした✨\n\n#TAS2026');
+            expect(ig).toContain('佐藤はな さん @hana.ig');
+            expect(ig.endsWith('#TAS2026 #東京オートサロン #portrait #ポートレート #eventphoto')).toBe(true);
+            expect(renderPostTemplates({ ...post, personName: '' }, event).x1).toContain('◼︎ モデル\n※お名前調査中\n@hana');
+        });
+
+        it('should list every person when names and accounts are separated', () => {
+            expect(getPostPeople({ personRole: 'RQ', personName: '佐藤はな、鈴木あい', personAccount: '@hana @ai' }))
+                .toEqual([
+                    { role: 'RQ', name: '佐藤はな', account: '@hana', instagram: '' },
+                    { role: 'RQ', name: '鈴木あい', account: '@ai', instagram: '' }
+                ]);
+
+            const { x1 } = renderPostTemplates({ ...post, personName: '佐藤はな / 鈴木あい', personAccount: '@hana, @ai' }, event);
+            expect(x1).toContain('◼︎ モデル\n佐藤はな さん\n@hana\n◼︎ モデル\n鈴木あい さん\n@ai');
+        });
+
+        it('should render localized posts with the same layout', () => {
+            const layout = { x1: '{{person.role}} {{#if person.name}}{{person.displayName}}{{else}}{{labels.unknownName}}{{/if}} / {{event.category}}' };
+            expect(buildLocalizedTemplates({ ...post, personName: '' }, event, 'en', { layout }).x1).toBe('Model Name TBA / Booth');
+            expect(buildLocalizedTemplates(post, event, 'ja', { layout }).x1).toBe('モデル 佐藤はな さん / ブース');
+        });
+    });
+
+    describe('PostLayoutDatabase', () => {
+        it('should pick the layout for the event, then the category, then the default', () => {
+            const database = new PostLayoutDatabase();
+            const fallback = database.save({ name: '既定', x1: '既定 {{comment}}', isDefault: true });
+            const circuit = database.save({ name: 'サーキット', x1: 'サーキット {{comment}}', categories: 'サーキット, 撮影会' });
+            const salon = database.save({ name: 'オートサロン', x1: 'TAS {{comment}}', eventKeys: [getLayoutEventKey({ ...event, id: 'evt_1' })] });
+
+            expect(database.resolve(event)).toEqual(salon);
+            expect(database.resolve({ ...event, eventEn: 'Other', category: '撮影会' })).toEqual(circuit);
+            expect(database.resolve({ eventEn: 'Other', category: 'ブース' })).toEqual(fallback);
+            expect(renderPostTemplates(post, event, { layout: database.resolve(event) })).toMatchObject({
+                x1: 'TAS 笑顔が素敵でした✨',
+                x2: renderPostTemplates(post, event).x2
+            });
+
+            const next = database.save({ name: '新しい既定', isDefault: true });
+            expect(new PostLayoutDatabase().getById(fallback.id).isDefault).toBe(false);
+            expect(database.resolve({ eventEn: 'Other' })).toEqual(next);
+        });
+
+        it('should refuse layouts without a name or with broken templates', () => {
+            const database = new PostLayoutDatabase();
+            expect(() => database.save({ name: '', x1: '{{comment}}' })).toThrow('Layout name is required');
+            expect(() => database.save({ name: '壊れた', ig: '{{#each people}}' })).toThrow(/Instagram/);
+            expect(database.getAll()).toHaveLength(0);
+            expect(database.resolve(event)).toBeNull();
+        });
+    });
+
+    describe('buildPostTemplates', () => {
+        it('should render the same templates for a single send and the batch processor', () => {
+            const options = { defaultEvent: { eventEn: 'Other Expo', category: 'ブース' }, budget: 0 };
+            const queued = { ...post, personAccount: 'hana', eventInfo: event };
+            global.window = { AppState: { eventInfo: options.defaultEvent, settings: { hashtagBudget: 0 } } };
+
+            const templates = buildPostTemplates(queued, options);
+
+            expect(templates.x1).toBe(renderPostTemplates({ ...queued, personAccount: '@hana' }, resolvePublishEvent(queued, options)).x1);
+            expect(templates.x1).toContain('Tokyo Auto Salon 2026');
+            expect(templates.draft).toBe(templates.x1);
+            expect(new BatchProcessor().generatePostTemplatesForItem(queued)).toEqual(templates);
+        });
+    });
+});
@@ -0,0 +1,327 @@
+/**
+ * Post Scheduler
+ * 投稿キューの予約投稿を管理するモジュール
+ *
+ * - 各投稿に scheduledAt（ミリ秒タイムスタンプ）を持たせ、status を 'scheduled' にする
+ * - 自動分散モードで一定間隔ごとに送信時刻を割り当てる
+ * - ディスパッチャーが定期的に期限の来た投稿を sendQueueItem で送信する
+ *   （sendQueueItem が送信中の投稿を 'sending' にするため、手動の送信や次の tick と重ならない）
+ * - 予約中の投稿は storage-adapter 経由で保存し、リロード後も復元する
+ */
+
+import { storageGet, storageSet } from './storage-adapter.js';
+import { getThreadParent, orderForThreads } from './post-composition.js';
+import { toPersistedPost } from './image-store.js';
+
+const SCHEDULE_STORAGE_KEY = 'autopost_schedule';
+const DEFAULT_INTERVAL_MINUTES = 20;
+const DEFAULT_TICK_INTERVAL = 30 * 1000; // 30秒
+const MINUTE = 60 * 1000;
+
+/**
+ * 予約エントリの型定義
+ * @typedef {Object} ScheduleEntry
+ * @property {string} postId - 投稿ID
+ * @property {number} scheduledAt - 送信予定時刻（ミリ秒）
+ * @property {Object} post - 投稿のスナップショット（キュー復元用）
+ */
+
+/**
+ * 送信時刻を一定間隔で割り当てる
+ * endAt を指定した場合は startAt〜endAt の範囲に均等に分散する
+ * @param {number} count - 投稿数
+ * @param {Object} options
+ * @param {number} options.startAt - 最初の送信時刻（ミリ秒）
+ * @param {number} [options.intervalMinutes] - 送信間隔（分）
+ * @param {number} [options.endAt] - 最後の送信時刻（ミリ秒）
+ * @returns {Array<number>} - 送信時刻の配列（昇順）
+ */
+function spreadSchedule(count, { startAt, intervalMinutes = DEFAULT_INTERVAL_MINUTES, endAt = null } = {}) {
+    if (!Number.isFinite(startAt)) {
+        throw new Error('startAt is required');
+    }
+    if (count <= 0) return [];
+
+    let interval = Math.max(0, intervalMinutes) * MINUTE;
+    if (endAt !== null && count > 1) {
+        interval = Math.max(0, Math.floor((endAt - startAt) / (count - 1)));
+    }
+
+    return Array.from({ length: count }, (_, i) => startAt + interval * i);
+}
+
+/**
+ * 予約時刻を表示用にフォーマット（例: 11/3 19:20）
+ * @param {number} timestamp - ミリ秒タイムスタンプ
+ * @returns {string}
+ */
+function formatScheduledAt(timestamp) {
+    const date = new Date(timestamp);
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${date.getMonth() + 1}/${date.getDate()} ${hours}:${minutes}`;
+}
+
+class PostScheduler {
+    constructor() {
+        // ディスパッチタイマー
+        this.timer = null;
+
+        // 送信中フラグ（tickの多重実行防止）
+        this.dispatching = false;
+
+        // 1回のtickで送信する最大件数（タイムラインへの連投を防ぐ）
+        this.maxPerTick = 1;
+    }
+
+    /**
+     * 投稿キューを取得
+     * @returns {Array<Object>}
+     */
+    _getQueue() {
+        return window.AppState?.postQueue || [];
+    }
+
+    /**
+     * 投稿を更新
+     * @param {number} index - 投稿インデックス
+     * @param {Object} updates - 更新内容
+     */
+    _update(index, updates) {
+        if (typeof window.updateQueueItem === 'function') {
+            window.updateQueueItem(index, updates);
+        } else {
+            Object.assign(this._getQueue()[index], updates);
+        }
+    }
+
+    /**
+     * 予約中の投稿を保存
+     * キューの変更後に呼び出し、送信中・送信済み・削除済みの投稿を予約から外す
+     * IndexedDB に退避済みの画像は参照だけを保存する（toPersistedPost）
+     */
+    persist() {
+        const entries = this._getQueue()
+            .filter(post => post.status === 'scheduled' && post.scheduledAt)
+            .map(post => ({ postId: post.id, scheduledAt: post.scheduledAt, post: { ...toPersistedPost(post) } }));
+        storageSet(SCHEDULE_STORAGE_KEY, entries);
+    }
+
+    /**
+     * 保存された予約エントリを取得
+     * @returns {Array<ScheduleEntry>}
+     */
+    getEntries() {
+        return storageGet(SCHEDULE_STORAGE_KEY, []);
+    }
+
+    /**
+     * 投稿を予約
+     * @param {number} index - 投稿インデックス
+     * @param {number} scheduledAt - 送信予定時刻（ミリ秒）
+     */
+    schedule(index, scheduledAt) {
+        const post = this._getQueue()[index];
+        if (!post) {
+            throw new Error(`Post at index ${index} not found`);
+        }
+        if (post.status === 'sent') {
+            throw new Error('送信済みの投稿は予約できません');
+        }
+
+        this._update(index, { status: 'scheduled', scheduledAt });
+        this.persist();
+    }
+
+    /**
+     * 複数の投稿を一定間隔で自動分散して予約
+     * @param {Array<number>} indices - 対象インデックス（この順に送信、スレッドは親が先）
+     * @param {Object} options - spreadSchedule のオプション
+     * @returns {Array<{index: number, scheduledAt: number}>}
+     */
+    autoSpread(indices, options) {
+        const queue = this._getQueue();
+        // スレッドの親が子より早い時刻になるように並べ替え
+        const targets = orderForThreads(queue, indices.filter(index => {
+            const post = queue[index];
+            return post && post.status !== 'sent';
+        }));
+        const times = spreadSchedule(targets.length, options);
+
+        const scheduled = targets.map((index, i) => {
+            this._update(index, { status: 'scheduled', scheduledAt: times[i] });
+            return { index, scheduledAt: times[i] };
+        });
+
+        this.persist();
+        console.log(`[PostScheduler] Scheduled ${scheduled.length} posts`);
+        return scheduled;
+    }
+
+    /**
+     * 予約を解除
+     * @param {number} index - 投稿インデックス
+     */
+    unschedule(index) {
+        const post = this._getQueue()[index];
+        if (!post || post.status !== 'scheduled') return;
+
+        this._update(index, { status: 'ready', scheduledAt: null });
+        this.persist();
+    }
+
+    /**
+     * 全ての予約を解除
+     * @returns {number} - 解除した件数
+     */
+    unscheduleAll() {
+        let count = 0;
+        this._getQueue().forEach((post, index) => {
+            if (post.status === 'scheduled') {
+                this._update(index, { status: 'ready', scheduledAt: null });
+                count++;
+            }
+        });
+        this.persist();
+        return count;
+    }
+
+    /**
+     * 送信時刻を過ぎた予約投稿を取得
+     * 返信先が未送信のスレッド返信は含めない
+     * @param {number} [now] - 現在時刻（ミリ秒）
+     * @returns {Array<number>} - インデックスの配列（送信予定時刻順）
+     */
+    getDueIndices(now = Date.now()) {
+        const queue = this._getQueue();
+        return queue
+            .map((post, index) => ({ post, index }))
+            .filter(({ post }) => post.status === 'scheduled' && post.scheduledAt && post.scheduledAt <= now)
+            // スレッドの返信は親の送信後まで待つ
+            .filter(({ post }) => {
+                const parent = getThreadParent(queue, post);
+                return !parent || parent.status === 'sent';
+            })
+            .sort((a, b) => a.post.scheduledAt - b.post.scheduledAt)
+            .map(({ index }) => index);
+    }
+
+    /**
+     * 次の予約投稿を取得
+     * @returns {Object|null} - 投稿、または null
+     */
+    getNext() {
+        const scheduled = this._getQueue()
+            .filter(post => post.status === 'scheduled' && post.scheduledAt)
+            .sort((a, b) => a.scheduledAt - b.scheduledAt);
+        return scheduled[0] || null;
+    }
+
+    /**
+     * 期限の来た投稿を送信
+     * 既存の送信経路（window.sendQueueItem）を確認ダイアログなしで使用する
+     * @param {number} [now] - 現在時刻（ミリ秒）
+     * @returns {Promise<number>} - 送信を試みた件数
+     */
+    async tick(now = Date.now()) {
+        if (this.dispatching) return 0;
+        if (typeof window.sendQueueItem !== 'function') return 0;
+
+        this.dispatching = true;
+        let dispatched = 0;
+
+        try {
+            const due = this.getDueIndices(now).slice(0, this.maxPerTick);
+            for (const index of due) {
+                const postId = this._getQueue()[index]?.id;
+                await window.sendQueueItem(index, { interactive: false });
+                dispatched++;
+
+                // 送信されずに予約状態のまま残った場合（設定不足など）は失敗扱い
+                const currentIndex = this._getQueue().findIndex(post => post.id === postId);
+                if (currentIndex >= 0 && this._getQueue()[currentIndex].status === 'scheduled') {
+                    this._update(currentIndex, { status: 'failed' });
+                }
+            }
+        } catch (error) {
+            console.error('[PostScheduler] Dispatch error:', error);
+        } finally {
+            this.persist();
+            this.dispatching = false;
+        }
+
+        return dispatched;
+    }
+
+    /**
+     * 保存された予約を投稿キューに復元
+     * キューに存在しない投稿はスナップショットから追加する
+     * @returns {number} - 復元した件数
+     */
+    restore() {
+        const entries = this.getEntries();
+        if (!Array.isArray(entries) || entries.length === 0) return 0;
+
+        const queue = window.AppState?.postQueue;
+        if (!queue) return 0;
+
+        let restored = 0;
+        entries.forEach(entry => {
+            const existing = queue.find(post => post.id === entry.postId);
+            if (existing) {
+                // 送信中の投稿は送信済みか分からないため予約に戻さない
+                if (existing.status !== 'sent' && existing.status !== 'sending') {
+                    existing.status = 'scheduled';
+                    existing.scheduledAt = entry.scheduledAt;
+                    restored++;
+                }
+            } else if (entry.post) {
+                queue.push({ ...entry.post, status: 'scheduled', scheduledAt: entry.scheduledAt });
+                restored++;
+            }
+        });
+
+        this.persist();
+        console.log(`[PostScheduler] Restored ${restored} scheduled posts`);
+        return restored;
+    }
+
+    /**
+     * ディスパッチャーを開始
+     * @param {number} [interval] - チェック間隔（ミリ秒）
+     */
+    start(interval = DEFAULT_TICK_INTERVAL) {
+        this.stop();
+        this.timer = setInterval(() => this.tick(), interval);
+        this.tick();
+        console.log('[PostScheduler] Dispatcher started');
+    }
+
+    /**
+     * ディスパッチャーを停止
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// シングルトンインスタンスをエクスポート
+const postScheduler = new PostScheduler();
+
+// Export for use in other modules
+export {
+    PostScheduler,
+    postScheduler,
+    spreadSchedule,
+    formatScheduledAt,
+    SCHEDULE_STORAGE_KEY,
+    DEFAULT_INTERVAL_MINUTES
+};
+
+// グローバルに公開
+if (typeof window !== 'undefined') {
+    window.postScheduler = postScheduler;
+}
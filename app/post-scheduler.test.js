@@ -0,0 +1,246 @@
+/**
+ * Post Scheduler Tests
+ * 予約投稿（時刻の自動分散・ディスパッチ・リロード後の復元）
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { PostScheduler, spreadSchedule, SCHEDULE_STORAGE_KEY } from './post-scheduler.js';
+
+const MINUTE = 60 * 1000;
+const START = new Date('2025-09-27T18:00:00').getTime();
+
+function createPost(id, overrides = {}) {
+    return {
+        id,
+        boothName: 'SEGA',
+        personName: `person ${id}`,
+        aiComment: 'comment',
+        status: 'ready',
+        scheduledAt: null,
+        ...overrides
+    };
+}
+
+describe('Post Scheduler', () => {
+    let scheduler;
+    let mockAppState;
+
+    beforeEach(() => {
+        localStorage.clear();
+        scheduler = new PostScheduler();
+
+        mockAppState = {
+            postQueue: [createPost('a'), createPost('b'), createPost('c')]
+        };
+
+        global.window = {
+            AppState: mockAppState,
+            updateQueueItem: vi.fn((index, updates) => {
+                Object.assign(mockAppState.postQueue[index], updates);
+            }),
+            sendQueueItem: vi.fn(async (index) => {
+                mockAppState.postQueue[index].status = 'sent';
+                return true;
+            })
+        };
+    });
+
+    describe('spreadSchedule', () => {
+        it('should space posts by the interval', () => {
+            const times = spreadSchedule(3, { startAt: START, intervalMinutes: 20 });
+            expect(times).toEqual([START, START + 20 * MINUTE, START + 40 * MINUTE]);
+        });
+
+        it('should distribute evenly between start and end', () => {
+            const endAt = START + 60 * MINUTE;
+            const times = spreadSchedule(4, { startAt: START, endAt });
+            expect(times).toEqual([START, START + 20 * MINUTE, START + 40 * MINUTE, endAt]);
+        });
+
+        it('should require a start time', () => {
+            expect(() => spreadSchedule(2, {})).toThrow('startAt is required');
+        });
+
+        it('Property: times are ascending, start at startAt and keep a constant gap', () => {
+            fc.assert(
+                fc.property(
+                    fc.integer({ min: 1, max: 100 }),
+                    fc.integer({ min: 0, max: 180 }),
+                    (count, intervalMinutes) => {
+                        const times = spreadSchedule(count, { startAt: START, intervalMinutes });
+                        expect(times).toHaveLength(count);
+                        expect(times[0]).toBe(START);
+                        for (let i = 1; i < times.length; i++) {
+                            expect(times[i] - times[i - 1]).toBe(intervalMinutes * MINUTE);
+                        }
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        it('Property: range mode never schedules past endAt', () => {
+            fc.assert(
+                fc.property(
+                    fc.integer({ min: 1, max: 100 }),
+                    fc.integer({ min: 0, max: 24 * 60 }),
+                    (count, rangeMinutes) => {
+                        const endAt = START + rangeMinutes * MINUTE;
+                        const times = spreadSchedule(count, { startAt: START, endAt });
+                        times.forEach(t => {
+                            expect(t).toBeGreaterThanOrEqual(START);
+                            expect(t).toBeLessThanOrEqual(endAt);
+                        });
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('autoSpread', () => {
+        it('should mark posts as scheduled and persist them', () => {
+            scheduler.autoSpread([0, 1, 2], { startAt: START, intervalMinutes: 20 });
+
+            expect(mockAppState.postQueue.map(p => p.status)).toEqual(['scheduled', 'scheduled', 'scheduled']);
+            expect(mockAppState.postQueue[2].scheduledAt).toBe(START + 40 * MINUTE);
+
+            const stored = JSON.parse(localStorage.getItem(SCHEDULE_STORAGE_KEY));
+            expect(stored.map(e => e.postId)).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should skip posts that were already sent', () => {
+            mockAppState.postQueue[1].status = 'sent';
+            const scheduled = scheduler.autoSpread([0, 1, 2], { startAt: START, intervalMinutes: 20 });
+
+            expect(scheduled.map(s => s.index)).toEqual([0, 2]);
+            expect(mockAppState.postQueue[2].scheduledAt).toBe(START + 20 * MINUTE);
+        });
+    });
+
+    describe('tick', () => {
+        it('should send only due posts, earliest first', async () => {
+            scheduler.maxPerTick = 10;
+            scheduler.schedule(0, START + 10 * MINUTE);
+            scheduler.schedule(1, START);
+            scheduler.schedule(2, START + 60 * MINUTE);
+
+            const dispatched = await scheduler.tick(START + 15 * MINUTE);
+
+            expect(dispatched).toBe(2);
+            expect(window.sendQueueItem.mock.calls.map(c => c[0])).toEqual([1, 0]);
+            expect(mockAppState.postQueue[2].status).toBe('scheduled');
+        });
+
+        it('should send at most maxPerTick posts per tick', async () => {
+            scheduler.autoSpread([0, 1, 2], { startAt: START, intervalMinutes: 0 });
+
+            await scheduler.tick(START);
+            expect(window.sendQueueItem).toHaveBeenCalledTimes(1);
+
+            await scheduler.tick(START);
+            expect(window.sendQueueItem).toHaveBeenCalledTimes(2);
+        });
+
+        it('should mark a post failed if sending left it scheduled', async () => {
+            window.sendQueueItem = vi.fn(async () => false);
+            scheduler.schedule(0, START);
+
+            await scheduler.tick(START);
+
+            expect(mockAppState.postQueue[0].status).toBe('failed');
+            expect(scheduler.getDueIndices(START + MINUTE)).toEqual([]);
+        });
+
+        it('should skip posts that another send already marked as sending', async () => {
+            scheduler.schedule(0, START);
+            scheduler.schedule(1, START + MINUTE);
+            mockAppState.postQueue[0].status = 'sending';
+
+            await scheduler.tick(START + MINUTE);
+
+            expect(window.sendQueueItem.mock.calls.map(c => c[0])).toEqual([1]);
+            expect(mockAppState.postQueue[0].status).toBe('sending');
+        });
+
+        it('should drop sent posts from the persisted schedule', async () => {
+            scheduler.autoSpread([0, 1], { startAt: START, intervalMinutes: 20 });
+            await scheduler.tick(START);
+
+            const stored = JSON.parse(localStorage.getItem(SCHEDULE_STORAGE_KEY));
+            expect(stored.map(e => e.postId)).toEqual(['b']);
+        });
+    });
+
+    describe('restore', () => {
+        it('should re-apply schedules to posts restored by the state manager', () => {
+            scheduler.autoSpread([0, 1], { startAt: START, intervalMinutes: 20 });
+
+            // リロード後: キューは復元されたが予約情報は失われている
+            mockAppState.postQueue = [createPost('a'), createPost('b')];
+            window.AppState = mockAppState;
+
+            const restored = new PostScheduler().restore();
+
+            expect(restored).toBe(2);
+            expect(mockAppState.postQueue[1].status).toBe('scheduled');
+            expect(mockAppState.postQueue[1].scheduledAt).toBe(START + 20 * MINUTE);
+        });
+
+        it('should bring back scheduled posts when the queue itself was lost', () => {
+            scheduler.autoSpread([0, 2], { startAt: START, intervalMinutes: 20 });
+
+            mockAppState.postQueue = [];
+            window.AppState = mockAppState;
+
+            new PostScheduler().restore();
+
+            expect(mockAppState.postQueue.map(p => p.id)).toEqual(['a', 'c']);
+            expect(mockAppState.postQueue.every(p => p.status === 'scheduled')).toBe(true);
+        });
+
+        it('should not reschedule posts that were already sent', () => {
+            scheduler.schedule(0, START);
+            mockAppState.postQueue[0].status = 'sent';
+
+            expect(new PostScheduler().restore()).toBe(0);
+            expect(mockAppState.postQueue[0].status).toBe('sent');
+        });
+
+        it('should not reschedule posts that were being sent', () => {
+            scheduler.schedule(0, START);
+            mockAppState.postQueue[0].status = 'sending';
+
+            expect(new PostScheduler().restore()).toBe(0);
+            expect(mockAppState.postQueue[0].status).toBe('sending');
+        });
+    });
+
+    describe('persist', () => {
+        it('should store image references instead of image data', () => {
+            Object.assign(mockAppState.postQueue[0], {
+                imageBase64: 'data:image/jpeg;base64,AAAA',
+                thumbnail: 'data:image/jpeg;base64,BBBB',
+                images: [{ ref: 'img_a', base64: 'data:image/jpeg;base64,AAAA', alt: 'alt' }]
+            });
+            scheduler.schedule(0, START);
+
+            const [entry] = JSON.parse(localStorage.getItem(SCHEDULE_STORAGE_KEY));
+            expect(entry.post.images).toEqual([{ ref: 'img_a', alt: 'alt' }]);
+            expect(entry.post.imageBase64).toBeNull();
+            expect(entry.post.thumbnail).toBeNull();
+        });
+    });
+
+    describe('unschedule', () => {
+        it('should return posts to ready', () => {
+            scheduler.autoSpread([0, 1], { startAt: START, intervalMinutes: 20 });
+            scheduler.unschedule(0);
+
+            expect(mockAppState.postQueue[0]).toMatchObject({ status: 'ready', scheduledAt: null });
+            expect(scheduler.unscheduleAll()).toBe(1);
+            expect(JSON.parse(localStorage.getItem(SCHEDULE_STORAGE_KEY))).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Post Templates
+ * キューの投稿から送信先ごとの投稿文を作る（app.js の送信・プレビューと batch-processor.js の一括送信で共通）
+ *
+ * - イベントは投稿ごとのイベント（名前があるもの）を優先し、なければ全体のイベントを使う
+ * - ハッシュタグは投稿に付けるもの（hashtag-recommender.js）、レイアウトはイベント・カテゴリに合わせたもの（post-layout-database.js）
+ */
+
+import { withPostHashtags } from './hashtag-recommender.js';
+import { withNormalizedMentions } from './mention-checker.js';
+import { renderPostTemplates } from './post-layout.js';
+import { postLayoutDatabase } from './post-layout-database.js';
+import { buildAllLocalizedTemplates } from './post-i18n.js';
+
+/**
+ * イベント情報を投稿文の描画に使う形に揃える
+ * @param {Object} [raw]
+ * @returns {Object}
+ */
+function normalizeEventInfo(raw = {}) {
+    return {
+        eventEn: raw.eventEn || '',
+        eventJp: raw.eventJp || '',
+        date: raw.date || '',
+        venue: raw.venue || '',
+        category: raw.category || 'ブース',
+        hashtags: raw.hashtags || ''
+    };
+}
+
+/**
+ * 投稿のイベント情報
+ * @param {Object|null} post
+ * @param {Object} [defaultEvent] - 投稿にイベントがない場合（AppState.eventInfo）
+ * @returns {Object}
+ */
+function resolvePostEvent(post, defaultEvent = {}) {
+    if (post && post.eventInfo && (post.eventInfo.eventEn || post.eventInfo.eventJp)) {
+        return normalizeEventInfo(post.eventInfo);
+    }
+    return normalizeEventInfo(defaultEvent || {});
+}
+
+/**
+ * 送信に使うイベント情報（hashtags は投稿に付けるハッシュタグ）
+ * @param {Object} post
+ * @param {Object} [options]
+ * @param {Object} [options.defaultEvent]
+ * @param {number} [options.budget] - 追加するハッシュタグの上限（settings.hashtagBudget）
+ * @returns {Object}
+ */
+function resolvePublishEvent(post, { defaultEvent = {}, budget } = {}) {
+    return withPostHashtags(resolvePostEvent(post, defaultEvent), post, { budget });
+}
+
+/**
+ * 投稿の送信先ごとの投稿文
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {Object} [options] - resolvePublishEvent と同じ
+ * @returns {{ x1: string, x2: string, ig: string, draft: string, bluesky: string, fediverse: string, localized: Object }}
+ */
+function buildPostTemplates(post, options = {}) {
+    // アカウントの表記を @foo に揃えて描画する（mention-checker.js）
+    post = withNormalizedMentions(post);
+    const event = resolvePublishEvent(post, options);
+    // イベント・カテゴリに合わせたレイアウト（post-layout-database.js）
+    const layout = postLayoutDatabase.resolve(event);
+    const { x1, x2, ig } = renderPostTemplates(post, event, { layout });
+
+    // Bluesky は人物データベースの Bluesky アカウントで描画する（bluesky-publisher.js）
+    const bluesky = renderPostTemplates(post, event, { layout, platform: 'bluesky' }).x1;
+    // Mastodon / Misskey は人物データベースの Fediverse アカウントで描画する
+    const fediverse = renderPostTemplates(post, event, { layout, platform: 'fediverse' }).x1;
+
+    // 翻訳先の言語ごとの投稿文
+    const localized = buildAllLocalizedTemplates(post, event, { layout });
+
+    return { x1, x2, ig, draft: x1, bluesky, fediverse, localized };
+}
+
+// Export for use in other modules
+export {
+    normalizeEventInfo,
+    resolvePostEvent,
+    resolvePublishEvent,
+    buildPostTemplates
+};
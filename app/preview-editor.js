@@ -3,6 +3,10 @@
  * SNSプレビューエディター - 画像編集とXスタイルテキスト編集
  */
 
+import { replacePrimaryImage } from './post-composition.js';
+import { imageStore, hasImageRefs } from './image-store.js';
+import { X_MAX_WEIGHTED_LENGTH, getWeightedLength } from './x-text-counter.js';
+
 class PreviewEditor {
     constructor() {
         this.modal = null;
@@ -16,7 +20,7 @@ class PreviewEditor {
             contrast: 0,
             saturation: 0
         };
-        this.maxChars = 280;
+        this.maxChars = X_MAX_WEIGHTED_LENGTH;
 
         this.init();
     }
@@ -145,6 +149,16 @@ class PreviewEditor {
         // Load image
         if (post.imageBase64) {
             this.setImage(post.imageBase64);
+        } else if (hasImageRefs(post)) {
+            // IndexedDB に退避済みの画像を読み込む
+            const postIndex = this.currentPostIndex;
+            imageStore.loadPostImages(post).then(() => {
+                if (this.currentPostIndex === postIndex && post.imageBase64) {
+                    this.setImage(post.imageBase64);
+                }
+            }).catch(error => {
+                console.warn('[PreviewEditor] Failed to load images:', error);
+            });
         }
 
         // Load text - generate template
@@ -175,8 +189,8 @@ class PreviewEditor {
         }
 
         // Save edited image
-        if (this.editedImage) {
-            post.imageBase64 = this.editedImage;
+        if (this.editedImage && this.editedImage !== post.imageBase64) {
+            Object.assign(post, replacePrimaryImage(post, this.editedImage));
         }
 
         // Note: Text updates would need additional logic to parse back into fields
@@ -387,7 +401,7 @@ class PreviewEditor {
             if (this.currentPostIndex !== null) {
                 const post = window.AppState?.postQueue[this.currentPostIndex];
                 if (post) {
-                    post.imageBase64 = this.editedImage;
+                    Object.assign(post, replacePrimaryImage(post, this.editedImage));
                 }
             }
 
@@ -463,7 +477,8 @@ class PreviewEditor {
         const charWarning = document.getElementById('char-warning');
 
         if (textEditor && charCount) {
-            const length = textEditor.textContent.length;
+            // X と同じ重み付きの文字数（全角・絵文字は2、URLは23）
+            const length = getWeightedLength(textEditor.textContent);
             charCount.textContent = length;
 
             // Update warning
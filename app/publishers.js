@@ -0,0 +1,371 @@
+/**
+ * Publishers
+ * 投稿先（Make.com Webhook / X API など）を差し替え可能にする送信レイヤー
+ *
+ * 各パブリッシャーは同じインターフェースを持つ:
+ *   id            - パブリッシャーID（'make', 'x' など）
+ *   label         - 表示名
+ *   isConfigured()- 送信に必要な設定が揃っているか
+ *   textLimit     - 投稿文の文字数の上限と数え方（x-text-counter.js の TextLimit、送信前に fitPostTemplates で収める）
+ *   publish(post, context) - 送信し PublishResult を返す（失敗時は PublishError を投げる）
+ *
+ * 再試行は送信全体ではなく、context.retry で1リクエストずつ行う。
+ * 投稿を作成するリクエストは、曖昧な失敗（5xx・タイムアウト）で作成済みのことがあるため、
+ * 重複を防ぐ仕組み（Mastodon の Idempotency-Key）がある場合を除いて再試行しない
+ */
+
+import { getPostImages, getPersonHandleForPlatform } from './post-composition.js';
+import { X_TEXT_LIMIT } from './x-text-counter.js';
+
+/**
+ * 送信結果の型定義
+ * @typedef {Object} PublishResult
+ * @property {string} platform - 送信先パブリッシャーID
+ * @property {string|null} postId - 投稿先で発行されたID（Webhookの場合はnull）
+ * @property {string|null} url - 投稿のURL（取得できない場合はnull）
+ * @property {string} [visibility] - 投稿の公開範囲（Mastodon / Misskey）
+ */
+
+/**
+ * 送信コンテキストの型定義
+ * @typedef {Object} PublishContext
+ * @property {Object} event - 正規化済みイベント情報
+ * @property {Object} templates - generatePostTemplatesForItem の結果（x1, x2, ig と言語ごとの localized）
+ *   文字数の上限を超えてスレッドに分けた場合は replies.x1 / replies.x2 に続きが入る（x-text-counter.js）
+ * @property {Object|null} [parent] - スレッドの返信先（送信済みの親投稿）
+ * @property {Function} [retry] - (request) => Promise。1リクエストを再試行ポリシーに従って実行する（retry-policy.js の createRequestRetry、省略時は再試行しない）
+ */
+
+/**
+ * 本体の投稿後に失敗したスレッドの続き（投稿の pendingReplies に保存し、再送信では続きだけを投稿する）
+ * @typedef {Object} PendingReplies
+ * @property {string} platform - 送信先パブリッシャーID
+ * @property {string} postId - 投稿済みの本体のID
+ * @property {string|null} url - 本体のURL
+ * @property {string} replyToId - 次の続きの返信先（最後に投稿できたID）
+ * @property {Array<string>} replies - まだ投稿していない続き
+ */
+
+/**
+ * 送信エラー
+ * HTTPステータスとレスポンス本文を保持する
+ */
+class PublishError extends Error {
+    /**
+     * @param {string} message - エラーメッセージ
+     * @param {Object} [details]
+     * @param {number|null} [details.status] - HTTPステータス（ネットワークエラー時はnull）
+     * @param {string} [details.body] - レスポンス本文
+     * @param {string} [details.platform] - パブリッシャーID
+     * @param {boolean} [details.network] - ネットワークエラー（応答なし）か
+     * @param {PendingReplies|null} [details.partial] - 本体の投稿後に続きの投稿で失敗した場合の途中結果
+     */
+    constructor(message, { status = null, body = '', platform = '', network = false, partial = null } = {}) {
+        super(message);
+        this.name = 'PublishError';
+        this.status = status;
+        this.body = body;
+        this.platform = platform;
+        this.network = network;
+        this.partial = partial;
+    }
+}
+
+/**
+ * 再試行せずに1回だけ実行（PublishContext.retry を省略した場合）
+ * @param {Function} request - () => Promise
+ * @returns {Promise<*>}
+ */
+function runOnce(request) {
+    return request();
+}
+
+/**
+ * 投稿の作成リクエストの重複を防ぐキー（送信ごとに作り、再試行では同じキーを送る）
+ * @returns {string}
+ */
+function createIdempotencyKey() {
+    if (typeof globalThis.crypto?.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * レスポンス本文を安全にテキストとして読み出す
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function readResponseText(response) {
+    if (!response || typeof response.text !== 'function') {
+        return '';
+    }
+    try {
+        return await response.text();
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * data URL を Blob に変換
+ * @param {string} dataUrl - data:image/jpeg;base64,... 形式の文字列
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]+)?(;base64)?,([\s\S]*)$/.exec(dataUrl || '');
+    if (!match) {
+        throw new Error('Invalid data URL');
+    }
+
+    const mimeType = match[1] || 'application/octet-stream';
+    const isBase64 = !!match[2];
+    const data = match[3];
+
+    if (!isBase64) {
+        return new Blob([decodeURIComponent(data)], { type: mimeType });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Webhook用のペイロードを構築
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {PublishContext} context
+ * @returns {Object}
+ */
+function buildWebhookPayload(post, { event, templates, parent = null }) {
+    return {
+        timestamp: new Date().toISOString(),
+        event: event,
+        photo: {
+            base64: post.imageBase64
+        },
+        images: getPostImages(post),
+        threadParentId: post.threadParentId || null,
+        threadParent: parent ? {
+            id: parent.id,
+            platform: parent.publishedPlatform || null,
+            postId: parent.publishedId || null,
+            url: parent.publishedUrl || null
+        } : null,
+        person: {
+            name: post.personName,
+            role: post.personRole,
+            account: post.personAccount
+        },
+        // プラットフォームごとの人物のアカウント（@付き、ない場合は空文字）
+        personAccounts: {
+            x: getPersonHandleForPlatform(post, 'x'),
+            instagram: getPersonHandleForPlatform(post, 'instagram'),
+            tiktok: getPersonHandleForPlatform(post, 'tiktok')
+        },
+        booth: {
+            name: post.boothName,
+            account: post.boothAccount
+        },
+        // 日本語以外の投稿文は posts.en / posts.zh / posts.ko に入れる
+        languages: ['ja', ...Object.keys(templates.localized || {})],
+        posts: {
+            x1: templates.x1,
+            x2: templates.x2,
+            instagram: templates.ig,
+            ...getReplies(templates),
+            ...Object.fromEntries(Object.entries(templates.localized || {}).map(([language, localized]) => [
+                language,
+                { x1: localized.x1, x2: localized.x2, instagram: localized.ig, ...getReplies(localized) }
+            ]))
+        }
+    };
+}
+
+/**
+ * スレッドに分けた投稿文の続き（ある場合だけ x1Replies / x2Replies を付ける）
+ * @param {Object} templates
+ * @returns {Object}
+ */
+function getReplies(templates) {
+    const replies = {};
+    if (templates.replies?.x1?.length) replies.x1Replies = templates.replies.x1;
+    if (templates.replies?.x2?.length) replies.x2Replies = templates.replies.x2;
+    return replies;
+}
+
+/**
+ * Make.com Webhook パブリッシャー
+ * 従来通り JSON ペイロードを Webhook に POST する
+ */
+class MakeWebhookPublisher {
+    /**
+     * @param {Object} options
+     * @param {string} options.webhookUrl - Make.com Webhook URL
+     * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+     */
+    constructor({ webhookUrl = '', fetchImpl = null } = {}) {
+        this.id = 'make';
+        this.label = 'Make.com Webhook';
+        // Make.com のシナリオは X に投稿する（スレッドの続きも x1Replies / x2Replies で受け取る）
+        this.textLimit = X_TEXT_LIMIT;
+        this.webhookUrl = webhookUrl;
+        this.fetchImpl = fetchImpl;
+        this.notConfiguredMessage = 'Make.com Webhook URLが設定されていません';
+    }
+
+    isConfigured() {
+        return !!this.webhookUrl;
+    }
+
+    /**
+     * @param {Object} post
+     * @param {PublishContext} context
+     * @returns {Promise<PublishResult>}
+     */
+    async publish(post, context) {
+        if (!this.isConfigured()) {
+            throw new PublishError(this.notConfiguredMessage, { platform: this.id });
+        }
+
+        const fetchFn = this.fetchImpl || globalThis.fetch;
+        const payload = buildWebhookPayload(post, context);
+        const retry = context.retry || runOnce;
+
+        // Webhook は1リクエストだけのため、同じペイロードで送り直す
+        await retry(async () => {
+            let response;
+            try {
+                response = await fetchFn(this.webhookUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+            } catch (error) {
+                throw new PublishError(error.message || 'Network error', { platform: this.id, network: true });
+            }
+
+            if (!response.ok) {
+                const body = await readResponseText(response);
+                throw new PublishError(`Webhook request failed: ${response.status}`, {
+                    status: response.status,
+                    body,
+                    platform: this.id
+                });
+            }
+        });
+
+        return { platform: this.id, postId: null, url: null };
+    }
+}
+
+/**
+ * PublisherRegistry クラス
+ * パブリッシャーIDと生成関数を管理
+ */
+class PublisherRegistry {
+    constructor() {
+        this.factories = new Map();
+    }
+
+    /**
+     * パブリッシャーを登録
+     * @param {string} id - パブリッシャーID
+     * @param {Object} definition
+     * @param {string} definition.label - 表示名
+     * @param {Function} definition.create - (settings) => publisher
+     */
+    register(id, { label, create }) {
+        if (!id || typeof create !== 'function') {
+            throw new Error('Publisher id and create function are required');
+        }
+        this.factories.set(id, { id, label: label || id, create });
+    }
+
+    /**
+     * 登録済みかチェック
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.factories.has(id);
+    }
+
+    /**
+     * 設定からパブリッシャーを生成
+     * @param {string} id - パブリッシャーID
+     * @param {Object} settings - AppState.settings
+     * @returns {Object} - パブリッシャー
+     */
+    create(id, settings = {}) {
+        const definition = this.factories.get(id);
+        if (!definition) {
+            throw new Error(`Unknown publisher: ${id}`);
+        }
+        return definition.create(settings);
+    }
+
+    /**
+     * 登録済みパブリッシャーの一覧
+     * @returns {Array<{id: string, label: string}>}
+     */
+    list() {
+        return Array.from(this.factories.values()).map(({ id, label }) => ({ id, label }));
+    }
+}
+
+const DEFAULT_PUBLISHER_ID = 'make';
+
+const publisherRegistry = new PublisherRegistry();
+
+publisherRegistry.register(DEFAULT_PUBLISHER_ID, {
+    label: 'Make.com Webhook',
+    create: (settings) => new MakeWebhookPublisher({ webhookUrl: settings.makeWebhookUrl || '' })
+});
+
+/**
+ * パブリッシャーの文字数の上限（textLimit がない場合は X の上限）
+ * @param {Object|null} publisher
+ * @returns {import('./x-text-counter.js').TextLimit}
+ */
+function getTextLimit(publisher) {
+    return publisher?.textLimit || X_TEXT_LIMIT;
+}
+
+/**
+ * 設定で選択されたパブリッシャーを生成
+ * 未登録のIDが指定されている場合は Make.com Webhook にフォールバック
+ * @param {Object} settings - AppState.settings
+ * @returns {Object} - パブリッシャー
+ */
+function createPublisher(settings = {}) {
+    const id = settings.publisher && publisherRegistry.has(settings.publisher)
+        ? settings.publisher
+        : DEFAULT_PUBLISHER_ID;
+    return publisherRegistry.create(id, settings);
+}
+
+// Export for use in other modules
+export {
+    PublishError,
+    MakeWebhookPublisher,
+    PublisherRegistry,
+    publisherRegistry,
+    createPublisher,
+    getTextLimit,
+    buildWebhookPayload,
+    dataUrlToBlob,
+    readResponseText,
+    runOnce,
+    createIdempotencyKey,
+    DEFAULT_PUBLISHER_ID
+};
+
+// Browser global
+if (typeof window !== 'undefined') {
+    window.publisherRegistry = publisherRegistry;
+    window.createPublisher = createPublisher;
+}
@@ -0,0 +1,165 @@
+/**
+ * Tests for Publishers
+ * パブリッシャーの登録・選択と Make.com Webhook パブリッシャー
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import fc from 'fast-check';
+import {
+    PublishError,
+    MakeWebhookPublisher,
+    PublisherRegistry,
+    publisherRegistry,
+    createPublisher,
+    buildWebhookPayload,
+    dataUrlToBlob
+} from './publishers.js';
+import { XApiPublisher } from './x-publisher.js';
+
+const samplePost = {
+    imageBase64: 'data:image/jpeg;base64,/9j/4AAQ',
+    personName: '世森 響',
+    personRole: 'モデル',
+    personAccount: '@hibiki',
+    boothName: 'SEGA',
+    boothAccount: '@sega'
+};
+
+const sampleContext = {
+    event: { eventEn: 'Tokyo Game Show 2025', eventJp: '東京ゲームショウ2025' },
+    templates: { x1: 'x1 text', x2: 'x2 text', ig: 'ig text' }
+};
+
+describe('Publishers', () => {
+    describe('createPublisher', () => {
+        it('should default to the Make.com webhook publisher', () => {
+            const publisher = createPublisher({ makeWebhookUrl: 'https://hook.example.com' });
+            expect(publisher).toBeInstanceOf(MakeWebhookPublisher);
+            expect(publisher.isConfigured()).toBe(true);
+        });
+
+        it('should create the X publisher when selected', () => {
+            const publisher = createPublisher({ publisher: 'x', xAccessToken: 'token' });
+            expect(publisher).toBeInstanceOf(XApiPublisher);
+            expect(publisher.isConfigured()).toBe(true);
+        });
+
+        it('should fall back to Make.com for unknown publisher ids', () => {
+            const publisher = createPublisher({ publisher: 'unknown' });
+            expect(publisher.id).toBe('make');
+        });
+
+        it('should list registered publishers', () => {
+            const ids = publisherRegistry.list().map(p => p.id);
+            expect(ids).toContain('make');
+            expect(ids).toContain('x');
+        });
+    });
+
+    describe('PublisherRegistry', () => {
+        it('should reject definitions without a create function', () => {
+            const registry = new PublisherRegistry();
+            expect(() => registry.register('bad', {})).toThrow();
+        });
+
+        it('should throw for unknown ids', () => {
+            const registry = new PublisherRegistry();
+            expect(() => registry.create('missing')).toThrow('Unknown publisher: missing');
+        });
+    });
+
+    describe('MakeWebhookPublisher', () => {
+        it('should POST the legacy payload to the webhook', async () => {
+            const fetchImpl = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+            const publisher = new MakeWebhookPublisher({ webhookUrl: 'https://hook.example.com', fetchImpl });
+
+            const result = await publisher.publish(samplePost, sampleContext);
+
+            expect(result).toEqual({ platform: 'make', postId: null, url: null });
+            const [url, init] = fetchImpl.mock.calls[0];
+            expect(url).toBe('https://hook.example.com');
+            const body = JSON.parse(init.body);
+            expect(body.posts).toEqual({ x1: 'x1 text', x2: 'x2 text', instagram: 'ig text' });
+            expect(body.person.account).toBe('@hibiki');
+            expect(body.booth.name).toBe('SEGA');
+        });
+
+        it('should include images and the thread parent in the payload', async () => {
+            const fetchImpl = vi.fn().mockResolvedValue({ ok: true, status: 200 });
+            const publisher = new MakeWebhookPublisher({ webhookUrl: 'https://hook.example.com', fetchImpl });
+            const post = {
+                ...samplePost,
+                images: [{ base64: samplePost.imageBase64, alt: 'alt 1' }, { base64: 'data:image/jpeg;base64,AAAA', alt: '' }],
+                threadParentId: 'parent-1'
+            };
+            const parent = { id: 'parent-1', publishedPlatform: 'make', publishedId: null, publishedUrl: null };
+
+            await publisher.publish(post, { ...sampleContext, parent });
+
+            const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+            expect(body.images).toHaveLength(2);
+            expect(body.images[0]).toEqual({ base64: samplePost.imageBase64, alt: 'alt 1' });
+            expect(body.threadParentId).toBe('parent-1');
+            expect(body.threadParent).toEqual({ id: 'parent-1', platform: 'make', postId: null, url: null });
+        });
+
+        it('should throw PublishError with status on HTTP errors', async () => {
+            const fetchImpl = vi.fn().mockResolvedValue({
+                ok: false,
+                status: 500,
+                text: () => Promise.resolve('boom')
+            });
+            const publisher = new MakeWebhookPublisher({ webhookUrl: 'https://hook.example.com', fetchImpl });
+
+            const error = await publisher.publish(samplePost, sampleContext).catch(e => e);
+            expect(error).toBeInstanceOf(PublishError);
+            expect(error.status).toBe(500);
+            expect(error.body).toBe('boom');
+        });
+
+        it('should throw when the webhook URL is missing', async () => {
+            const publisher = new MakeWebhookPublisher({ webhookUrl: '' });
+            await expect(publisher.publish(samplePost, sampleContext))
+                .rejects.toThrow('Make.com Webhook URLが設定されていません');
+        });
+    });
+
+    describe('buildWebhookPayload', () => {
+        it('Property: payload always mirrors the post fields', () => {
+            fc.assert(
+                fc.property(
+                    fc.record({
+                        personName: fc.string(),
+                        personRole: fc.string(),
+                        personAccount: fc.string(),
+                        boothName: fc.string(),
+                        boothAccount: fc.string()
+                    }),
+                    (post) => {
+                        const payload = buildWebhookPayload(post, sampleContext);
+                        expect(payload.person).toEqual({
+                            name: post.personName,
+                            role: post.personRole,
+                            account: post.personAccount
+                        });
+                        expect(payload.booth).toEqual({ name: post.boothName, account: post.boothAccount });
+                        expect(payload.posts.instagram).toBe(sampleContext.templates.ig);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('dataUrlToBlob', () => {
+        it('should decode base64 data URLs', async () => {
+            const blob = dataUrlToBlob('data:image/png;base64,AQID');
+            expect(blob.type).toBe('image/png');
+            expect(blob.size).toBe(3);
+        });
+
+        it('should reject non data URLs', () => {
+            expect(() => dataUrlToBlob('https://example.com/a.jpg')).toThrow('Invalid data URL');
+        });
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * Queue Number
+ * キュー番号の表示（①〜⑩、11件目以降は数字）
+ */
+
+const QUEUE_NUMBER_EMOJIS = ['①', '②', '③', '④', '⑤', '⑥', '⑦', '⑧', '⑨', '⑩'];
+
+/**
+ * キュー番号を表示用にフォーマット
+ * @param {number} index - 0始まりのインデックス
+ * @returns {string} - ①〜⑩ または "11" 以降の数字
+ */
+function formatQueueNumber(index) {
+    return QUEUE_NUMBER_EMOJIS[index] || String(index + 1);
+}
+
+// Export for use in other modules
+export { QUEUE_NUMBER_EMOJIS, formatQueueNumber };
+
+// グローバルに公開
+if (typeof window !== 'undefined') {
+    window.formatQueueNumber = formatQueueNumber;
+}
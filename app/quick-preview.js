@@ -4,6 +4,8 @@
  * Requirements: 9.1, 9.2, 9.3, 9.4
  */
 
+import { formatQueueNumber } from './queue-number.js';
+
 class QuickPreview {
     constructor() {
         this.hoverTimeout = null;
@@ -18,9 +20,11 @@ class QuickPreview {
     initializeQueue(queueContainer) {
         if (!queueContainer) return;
 
+        // 仮想スクロール時は先頭以外から描画されるため data-index を優先する
         const items = queueContainer.querySelectorAll('.queue-item');
-        items.forEach((item, index) => {
-            this.attachHoverListeners(item, index);
+        items.forEach((item, position) => {
+            const index = parseInt(item.dataset.index);
+            this.attachHoverListeners(item, isNaN(index) ? position : index);
         });
     }
 
@@ -128,19 +132,18 @@ class QuickPreview {
     populatePreview(post, index) {
         if (!this.currentPreview) return;
 
-        const QUEUE_NUMBER_EMOJIS = ['①', '②', '③', '④', '⑤', '⑥', '⑦', '⑧', '⑨', '⑩'];
-
         // Thumbnail
         const thumbnailEl = this.currentPreview.querySelector('.quick-preview-thumbnail');
-        if (post.imageBase64) {
-            thumbnailEl.innerHTML = `<img src="${post.imageBase64}" alt="Preview">`;
+        const imageSrc = post.imageBase64 || post.thumbnail;
+        if (imageSrc) {
+            thumbnailEl.innerHTML = `<img src="${imageSrc}" alt="Preview">`;
         } else {
             thumbnailEl.innerHTML = `<span class="preview-placeholder">📷</span>`;
         }
 
         // Booth name
         const boothEl = this.currentPreview.querySelector('.quick-preview-booth');
-        boothEl.innerHTML = `<strong>${QUEUE_NUMBER_EMOJIS[index]} ${post.boothName || '未設定'}</strong>`;
+        boothEl.innerHTML = `<strong>${formatQueueNumber(index)} ${post.boothName || '未設定'}</strong>`;
 
         // Person name
         const personEl = this.currentPreview.querySelector('.quick-preview-person');
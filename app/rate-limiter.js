@@ -0,0 +1,192 @@
+/**
+ * Rate Limiter
+ * バックエンドごとのトークンバケット（Gemini のRPM、Webhook の送信数/分など）
+ *
+ * perMinute が 0 の場合は無制限
+ * サーバーがレート制限（429）を返した場合は pause で一定時間トークンを出さない（無制限でも待つ）
+ */
+
+/**
+ * バックエンドごとのデフォルト（1分あたりのリクエスト数 / 連続実行できる数）
+ * キーは 'gemini' とパブリッシャーID（'make', 'x' など）
+ */
+const DEFAULT_RATE_LIMITS = Object.freeze({
+    gemini: { perMinute: 15, burst: 3 },
+    make: { perMinute: 30, burst: 3 },
+    x: { perMinute: 30, burst: 1 }
+});
+
+const FALLBACK_RATE_LIMIT = Object.freeze({ perMinute: 30, burst: 1 });
+const MINUTE = 60 * 1000;
+
+// 待機中にキャンセルを確認する間隔
+const MAX_WAIT_SLICE = 1000;
+
+/**
+ * TokenBucket クラス
+ * 1分あたり perMinute 個のトークンを補充し、最大 burst 個まで貯める
+ */
+class TokenBucket {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.perMinute] - 1分あたりのトークン数（0で無制限）
+     * @param {number} [options.burst] - バケットの容量
+     * @param {Function} [options.now] - 現在時刻関数（テスト用）
+     * @param {Function} [options.sleep] - 待機関数（テスト用）
+     */
+    constructor({
+        perMinute = FALLBACK_RATE_LIMIT.perMinute,
+        burst = FALLBACK_RATE_LIMIT.burst,
+        now = () => Date.now(),
+        sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+    } = {}) {
+        this.now = now;
+        this.sleep = sleep;
+        this.configure({ perMinute, burst });
+        this.tokens = this.burst;
+        this.lastRefill = this.now();
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * レートを変更（貯まっているトークンは容量内で維持）
+     * @param {Object} options
+     * @param {number} [options.perMinute]
+     * @param {number} [options.burst]
+     */
+    configure({ perMinute = this.perMinute, burst = this.burst } = {}) {
+        this.perMinute = Math.max(0, Number(perMinute) || 0);
+        this.burst = Math.max(1, Math.floor(Number(burst) || 1));
+        if (this.tokens !== undefined) {
+            this.tokens = Math.min(this.tokens, this.burst);
+        }
+    }
+
+    /**
+     * 無制限か
+     * @returns {boolean}
+     */
+    isUnlimited() {
+        return this.perMinute === 0;
+    }
+
+    /**
+     * 経過時間に応じてトークンを補充
+     * @private
+     */
+    _refill() {
+        const now = this.now();
+        const elapsed = Math.max(0, now - this.lastRefill);
+        this.tokens = Math.min(this.burst, this.tokens + (elapsed * this.perMinute) / MINUTE);
+        this.lastRefill = now;
+    }
+
+    /**
+     * トークンを1つ取得（待機しない）
+     * @returns {boolean} - 取得できたか
+     */
+    tryRemove() {
+        if (this.now() < this.pausedUntil) return false;
+        if (this.isUnlimited()) return true;
+
+        this._refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 次のトークンが貯まるまでの時間
+     * @returns {number} - ミリ秒
+     */
+    getWaitTime() {
+        const paused = this.pausedUntil - this.now();
+        if (paused > 0) return paused;
+        if (this.isUnlimited()) return 0;
+
+        this._refill();
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) * MINUTE) / this.perMinute);
+    }
+
+    /**
+     * 取得済みのトークンとは別に count 個使う（1回の取得で複数のリクエストを送った場合）
+     * 足りない分は負になり、次の取得はその分だけ待つ
+     * @param {number} count
+     */
+    consume(count) {
+        if (this.isUnlimited() || !(count > 0)) return;
+
+        this._refill();
+        this.tokens -= count;
+    }
+
+    /**
+     * ms のあいだトークンを出さない（サーバーのレート制限の Retry-After）
+     * @param {number} ms
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, this.now() + Math.max(0, ms));
+    }
+
+    /**
+     * トークンを1つ取得するまで待機
+     * @param {Function} [isCancelled] - true を返すと待機を中断
+     * @returns {Promise<boolean>} - 取得できたか（キャンセル時は false）
+     */
+    async acquire(isCancelled = () => false) {
+        while (true) {
+            if (isCancelled()) return false;
+            if (this.tryRemove()) return true;
+            await this.sleep(Math.min(this.getWaitTime(), MAX_WAIT_SLICE));
+        }
+    }
+}
+
+/**
+ * RateLimiterRegistry クラス
+ * バックエンドごとに1つの TokenBucket を共有する（バッチをまたいでレートを守る）
+ */
+class RateLimiterRegistry {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    /**
+     * バックエンドのリミッターを取得（設定値で更新）
+     * @param {string} key - 'gemini' やパブリッシャーID
+     * @param {Object} [settings] - AppState.settings.rateLimits（{ [key]: perMinute }）
+     * @returns {TokenBucket}
+     */
+    get(key, settings = {}) {
+        const defaults = DEFAULT_RATE_LIMITS[key] || FALLBACK_RATE_LIMIT;
+        const configured = settings?.[key];
+        const perMinute = configured === undefined || configured === null || configured === ''
+            ? defaults.perMinute
+            : configured;
+
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket({ perMinute, burst: defaults.burst });
+            this.buckets.set(key, bucket);
+        } else {
+            bucket.configure({ perMinute });
+        }
+        return bucket;
+    }
+
+    /**
+     * 全てのリミッターを破棄
+     */
+    reset() {
+        this.buckets.clear();
+    }
+}
+
+// シングルトンインスタンス
+const rateLimiters = new RateLimiterRegistry();
+
+// Export for use in other modules
+export { TokenBucket, RateLimiterRegistry, rateLimiters, DEFAULT_RATE_LIMITS };
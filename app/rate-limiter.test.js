@@ -0,0 +1,293 @@
+/**
+ * Rate Limiter / Worker Pool Tests
+ * トークンバケットと BatchProcessor の並列処理
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { TokenBucket, RateLimiterRegistry, rateLimiters, DEFAULT_RATE_LIMITS } from './rate-limiter.js';
+import { BatchProcessor } from './batch-processor.js';
+
+/**
+ * 仮想時計（sleep すると時間が進む）
+ */
+function createClock() {
+    const clock = { time: 0 };
+    clock.now = () => clock.time;
+    clock.sleep = (ms) => {
+        clock.time += ms;
+        return Promise.resolve();
+    };
+    return clock;
+}
+
+describe('TokenBucket', () => {
+    it('should allow a burst and then refill at the configured rate', () => {
+        const clock = createClock();
+        const bucket = new TokenBucket({ perMinute: 60, burst: 2, now: clock.now });
+
+        expect(bucket.tryRemove()).toBe(true);
+        expect(bucket.tryRemove()).toBe(true);
+        expect(bucket.tryRemove()).toBe(false);
+        expect(bucket.getWaitTime()).toBe(1000);
+
+        clock.time += 1000;
+        expect(bucket.tryRemove()).toBe(true);
+    });
+
+    it('should treat 0 per minute as unlimited', () => {
+        const bucket = new TokenBucket({ perMinute: 0 });
+        for (let i = 0; i < 100; i++) {
+            expect(bucket.tryRemove()).toBe(true);
+        }
+    });
+
+    it('should stop waiting when cancelled', async () => {
+        const clock = createClock();
+        const bucket = new TokenBucket({ perMinute: 1, burst: 1, now: clock.now, sleep: clock.sleep });
+        await bucket.acquire();
+
+        let cancelled = false;
+        const sleep = vi.fn((ms) => {
+            cancelled = true;
+            return clock.sleep(ms);
+        });
+        bucket.sleep = sleep;
+
+        await expect(bucket.acquire(() => cancelled)).resolves.toBe(false);
+        expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    it('should make the next acquire wait for consumed tokens', async () => {
+        const clock = createClock();
+        const bucket = new TokenBucket({ perMinute: 60, burst: 3, now: clock.now, sleep: clock.sleep });
+
+        await bucket.acquire();
+        bucket.consume(3);
+
+        expect(bucket.getWaitTime()).toBe(2000);
+        await bucket.acquire();
+        expect(clock.time).toBe(2000);
+    });
+
+    it('should hold every token while paused, even when unlimited', async () => {
+        const clock = createClock();
+        const bucket = new TokenBucket({ perMinute: 0, now: clock.now, sleep: clock.sleep });
+
+        bucket.pause(5000);
+        expect(bucket.tryRemove()).toBe(false);
+        expect(bucket.getWaitTime()).toBe(5000);
+
+        await bucket.acquire();
+        expect(clock.time).toBe(5000);
+    });
+
+    it('Property: acquired tokens never exceed burst + rate × elapsed', async () => {
+        await fc.assert(
+            fc.asyncProperty(
+                fc.integer({ min: 1, max: 120 }),
+                fc.integer({ min: 1, max: 5 }),
+                fc.integer({ min: 1, max: 30 }),
+                async (perMinute, burst, count) => {
+                    const clock = createClock();
+                    const bucket = new TokenBucket({ perMinute, burst, now: clock.now, sleep: clock.sleep });
+
+                    for (let i = 0; i < count; i++) {
+                        await bucket.acquire();
+                    }
+
+                    const allowed = burst + Math.floor((clock.time * perMinute) / 60000);
+                    expect(count).toBeLessThanOrEqual(allowed);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});
+
+describe('RateLimiterRegistry', () => {
+    it('should share one bucket per backend and apply settings', () => {
+        const registry = new RateLimiterRegistry();
+
+        const gemini = registry.get('gemini');
+        expect(gemini.perMinute).toBe(DEFAULT_RATE_LIMITS.gemini.perMinute);
+        expect(registry.get('gemini', { gemini: 5 })).toBe(gemini);
+        expect(gemini.perMinute).toBe(5);
+
+        expect(registry.get('make', { make: 0 }).isUnlimited()).toBe(true);
+        expect(registry.get('unknown-backend').perMinute).toBeGreaterThan(0);
+    });
+});
+
+describe('BatchProcessor worker pool', () => {
+    let processor;
+
+    beforeEach(() => {
+        processor = new BatchProcessor();
+        global.window = { AppState: { postQueue: [], settings: {} } };
+    });
+
+    it('should never run more tasks than the concurrency limit', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const task = async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+        };
+
+        const result = await processor.runPool([0, 1, 2, 3, 4, 5, 6], task, { concurrency: 3 });
+
+        expect(result.success).toBe(7);
+        expect(maxRunning).toBe(3);
+    });
+
+    it('should keep the onProgress contract', async () => {
+        const progress = [];
+        const task = async (index) => {
+            if (index === 2) throw new Error('boom');
+        };
+
+        const result = await processor.runPool([0, 1, 2, 3], task, {
+            concurrency: 2,
+            onProgress: (p) => progress.push(p)
+        });
+
+        expect(result).toMatchObject({ success: 3, failed: 1 });
+        expect(progress.filter(p => p.current >= 0).map(p => p.current).sort()).toEqual([0, 1, 2, 3]);
+        expect(progress[progress.length - 1]).toEqual({ total: 4, completed: 4, failed: 1, current: -1 });
+        progress.forEach(p => expect(p.completed).toBeLessThanOrEqual(p.total));
+    });
+
+    it('should stop picking up work after cancel', async () => {
+        const started = [];
+        const task = async (index) => {
+            started.push(index);
+            if (index === 1) processor.cancel();
+            await new Promise(resolve => setTimeout(resolve, 1));
+        };
+
+        const result = await processor.runPool([0, 1, 2, 3, 4, 5], task, { concurrency: 2 });
+
+        expect(started).toEqual([0, 1]);
+        expect(result.success).toBe(2);
+    });
+
+    it('should take a limiter token before each task', async () => {
+        const clock = createClock();
+        const limiter = new TokenBucket({ perMinute: 60, burst: 1, now: clock.now, sleep: clock.sleep });
+
+        const started = [];
+        await processor.runPool([0, 1, 2, 3], async () => started.push(clock.time), { concurrency: 1, limiter });
+
+        // 1件目はバースト、残り3件は1秒ずつ待つ
+        expect(started).toEqual([0, 1000, 2000, 3000]);
+    });
+
+    it('should not take a token when no work is left', async () => {
+        const clock = createClock();
+        const limiter = new TokenBucket({ perMinute: 60, burst: 2, now: clock.now, sleep: clock.sleep });
+        const acquire = vi.spyOn(limiter, 'acquire');
+
+        await processor.runPool([0, 1, 2], async () => {}, { concurrency: 2, limiter });
+
+        // 両方のワーカーが3件目を待っても、トークンを取るのは3件目を確保したワーカーだけ
+        expect(acquire).toHaveBeenCalledTimes(3);
+    });
+
+    it('should send thread replies only after the parent has been sent', async () => {
+        const queue = [
+            { id: 'root', status: 'ready', aiComment: '' },
+            { id: 'reply', status: 'ready', aiComment: '', threadParentId: 'root' }
+        ];
+        const order = [];
+        global.window = {
+            AppState: {
+                postQueue: queue,
+                eventInfo: {},
+                settings: { makeWebhookUrl: 'https://hook.example.com', rateLimits: { make: 0 } }
+            },
+            updateQueueItem: (index, updates) => Object.assign(queue[index], updates)
+        };
+        global.fetch = vi.fn(async (url, init) => {
+            const name = JSON.parse(init.body).threadParentId ? 'reply' : 'root';
+            order.push(`start:${name}`);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            order.push(`end:${name}`);
+            return { ok: true, status: 200 };
+        });
+
+        const result = await processor.sendPosts([1, 0], null, { concurrency: 2 });
+
+        expect(result.success).toBe(2);
+        expect(order).toEqual(['start:root', 'end:root', 'start:reply', 'end:reply']);
+        expect(queue.map(p => p.status)).toEqual(['sent', 'sent']);
+    });
+});
+
+describe('BatchProcessor comment requests', () => {
+    const COMMENT = '爽やかな笑顔がブースの雰囲気にぴったりでした✨';
+    let clock;
+    let queue;
+
+    /**
+     * 仮想時計で動く Gemini のリミッター
+     * @param {number} perMinute
+     */
+    function useGeminiLimiter(perMinute) {
+        rateLimiters.reset();
+        const bucket = rateLimiters.get('gemini', { gemini: perMinute });
+        bucket.now = clock.now;
+        bucket.sleep = clock.sleep;
+        bucket.lastRefill = clock.now();
+        global.window.AppState.settings.rateLimits = { gemini: perMinute };
+        return bucket;
+    }
+
+    beforeEach(() => {
+        clock = createClock();
+        queue = [
+            { id: 'p1', personRole: 'モデル', aiComment: '', targetLanguages: ['en'] },
+            { id: 'p2', personRole: 'モデル', aiComment: '', targetLanguages: ['en'] }
+        ];
+        global.window = {
+            AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+            updateQueueItem: (index, updates) => Object.assign(queue[index], updates)
+        };
+    });
+
+    it('should take a gemini token for every request, including the server retries', async () => {
+        useGeminiLimiter(60);
+        const started = [];
+        global.fetch = vi.fn(async () => {
+            started.push(clock.time);
+            // 1回目はサーバーがルール違反で2回作り直した
+            return { ok: true, status: 200, json: async () => ({ comment: COMMENT, source: 'gemini', requests: started.length === 1 ? 3 : 1 }) };
+        });
+
+        await new BatchProcessor().generateComments([0, 1], () => {}, { concurrency: 1 });
+
+        // 日本語と英語で2回ずつ、バースト3のうち3件を1回目で使い切ったため以降は1秒ずつ待つ
+        expect(started).toEqual([0, 1000, 2000, 3000]);
+    });
+
+    it('should wait for Retry-After when the comment API is rate limited', async () => {
+        useGeminiLimiter(0);
+        queue.splice(1);
+        queue[0].targetLanguages = [];
+        const started = [];
+        global.fetch = vi.fn(async () => {
+            started.push(clock.time);
+            if (started.length === 1) {
+                return { ok: false, status: 429, json: async () => ({ error: 'rate limited', retry_after_ms: 5000, requests: 1 }) };
+            }
+            return { ok: true, status: 200, json: async () => ({ comment: COMMENT, source: 'gemini', requests: 1 }) };
+        });
+
+        await new BatchProcessor().generateComments([0], () => {}, { concurrency: 1 });
+
+        expect(started).toEqual([0, 5000]);
+        expect(queue[0].aiComment).toBe(COMMENT);
+    });
+});
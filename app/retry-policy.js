@@ -0,0 +1,149 @@
+/**
+ * Retry Policy
+ * 送信失敗時の再試行（指数バックオフ + ジッター）
+ *
+ * 再試行するのは一時的な失敗のみ:
+ *   - ネットワークエラー（fetch 自体の失敗、PublishError.network）
+ *   - 5xx（サーバー側エラー）
+ * 4xx や設定不足などはすぐに失敗とする
+ * パブリッシャーは createRequestRetry で作った関数を受け取り、投稿を作成する前のリクエストを1つずつ再試行する
+ */
+
+/**
+ * 再試行ポリシーの型定義
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxRetries - 最大再試行回数（初回送信は含まない）
+ * @property {number} baseDelayMs - 1回目の再試行までの待機時間（ミリ秒）
+ * @property {number} maxDelayMs - 待機時間の上限（ミリ秒）
+ * @property {number} factor - バックオフの倍率
+ * @property {number} jitter - 待機時間のゆらぎ（0〜1、0.2なら±20%）
+ */
+
+/** @type {RetryPolicy} */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxRetries: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 30000,
+    factor: 2,
+    jitter: 0.2
+});
+
+/**
+ * 設定値から再試行ポリシーを作成（不正な値はデフォルトに戻す）
+ * @param {Object} [settings] - AppState.settings.retry など
+ * @returns {RetryPolicy}
+ */
+function normalizeRetryPolicy(settings = {}) {
+    const pick = (key, min, max) => {
+        const raw = settings?.[key];
+        const value = Number(raw);
+        if (raw === undefined || raw === null || raw === '' || !Number.isFinite(value)) {
+            return DEFAULT_RETRY_POLICY[key];
+        }
+        return Math.min(max, Math.max(min, value));
+    };
+
+    return {
+        maxRetries: Math.floor(pick('maxRetries', 0, 10)),
+        baseDelayMs: pick('baseDelayMs', 0, 10 * 60 * 1000),
+        maxDelayMs: pick('maxDelayMs', 0, 60 * 60 * 1000),
+        factor: pick('factor', 1, 10),
+        jitter: pick('jitter', 0, 1)
+    };
+}
+
+/**
+ * 再試行すべきエラーか判定
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    // パブリッシャー以外のエラー（実装の不具合など）は再試行しない
+    if (!error || error.name !== 'PublishError') return false;
+    // 本体は投稿済み（続きだけ失敗）のため、再試行すると本体を二重に投稿してしまう
+    if (error.partial) return false;
+
+    if (error.network) return true;
+    return Number.isFinite(error.status) && error.status >= 500;
+}
+
+/**
+ * n回目の再試行までの待機時間を計算
+ * @param {number} attempt - 再試行回数（1始まり）
+ * @param {RetryPolicy} policy
+ * @param {Function} [random] - 0〜1の乱数（テスト用）
+ * @returns {number} - 待機時間（ミリ秒）
+ */
+function computeBackoffDelay(attempt, policy = DEFAULT_RETRY_POLICY, random = Math.random) {
+    const exponential = policy.baseDelayMs * Math.pow(policy.factor, Math.max(0, attempt - 1));
+    const capped = Math.min(policy.maxDelayMs, exponential);
+    const spread = capped * policy.jitter;
+    const delay = capped - spread + random() * spread * 2;
+    return Math.max(0, Math.round(delay));
+}
+
+/**
+ * 関数を再試行ポリシーに従って実行
+ * 最終的に失敗した場合は試行回数（attempts）を付けたエラーを投げる
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} [options]
+ * @param {RetryPolicy} [options.policy]
+ * @param {Function} [options.onRetry] - ({attempt, delay, error}) => void
+ * @param {Function} [options.shouldContinue] - false を返すと再試行を中断（キャンセル用）
+ * @param {Function} [options.sleep] - 待機関数（テスト用）
+ * @param {Function} [options.random] - 乱数関数（テスト用）
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, {
+    policy = DEFAULT_RETRY_POLICY,
+    onRetry = null,
+    shouldContinue = null,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random
+} = {}) {
+    let attempt = 0;
+
+    while (true) {
+        attempt++;
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const retriesUsed = attempt - 1;
+            const canRetry = retriesUsed < policy.maxRetries &&
+                isRetryableError(error) &&
+                (!shouldContinue || shouldContinue());
+
+            if (!canRetry) {
+                error.attempts = attempt;
+                throw error;
+            }
+
+            const delay = computeBackoffDelay(attempt, policy, random);
+            console.warn(`[RetryPolicy] Attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
+            if (onRetry) {
+                onRetry({ attempt, delay, error });
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * パブリッシャーに渡す再試行関数を作成（PublishContext.retry）
+ * 送信全体ではなく1リクエストずつ再試行する（作成済みの投稿を再送信しないため、publishers.js を参照）
+ * @param {Object} [options] - withRetry のオプション
+ * @returns {Function} - (request) => Promise
+ */
+function createRequestRetry(options = {}) {
+    return (request) => withRetry(request, options);
+}
+
+// Export for use in other modules
+export {
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    isRetryableError,
+    computeBackoffDelay,
+    withRetry,
+    createRequestRetry
+};
@@ -0,0 +1,351 @@
+/**
+ * Retry Policy / Dead Letter Queue Tests
+ * 指数バックオフでの再試行と、最終的に失敗した送信の記録
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    isRetryableError,
+    computeBackoffDelay,
+    withRetry
+} from './retry-policy.js';
+import { DeadLetterQueue, deadLetterQueue, DEAD_LETTER_KEY } from './dead-letter-queue.js';
+import { PublishError } from './publishers.js';
+import { BatchProcessor, batchProcessor } from './batch-processor.js';
+import { initBatchUI, openDeadLetterModal } from './batch-ui.js';
+
+const noSleep = () => Promise.resolve();
+
+describe('Retry Policy', () => {
+    describe('isRetryableError', () => {
+        it('should retry only 5xx and network errors', () => {
+            expect(isRetryableError(new PublishError('x', { status: 500 }))).toBe(true);
+            expect(isRetryableError(new PublishError('x', { status: 503 }))).toBe(true);
+            expect(isRetryableError(new PublishError('x', { network: true }))).toBe(true);
+
+            expect(isRetryableError(new PublishError('x', { status: 400 }))).toBe(false);
+            expect(isRetryableError(new PublishError('x', { status: 401 }))).toBe(false);
+            expect(isRetryableError(new PublishError('設定がありません'))).toBe(false);
+            expect(isRetryableError(new Error('boom'))).toBe(false);
+            expect(isRetryableError(new TypeError('Cannot read properties of undefined'))).toBe(false);
+        });
+
+        it('should not retry once the main post has been published', () => {
+            const partial = { platform: 'x', postId: '1', url: null, replyToId: '1', replies: ['続き'] };
+            expect(isRetryableError(new PublishError('x', { status: 503, partial }))).toBe(false);
+        });
+    });
+
+    describe('normalizeRetryPolicy', () => {
+        it('should fall back to defaults for missing or invalid values', () => {
+            expect(normalizeRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+            expect(normalizeRetryPolicy({ maxRetries: 'abc', jitter: '' })).toEqual(DEFAULT_RETRY_POLICY);
+        });
+
+        it('should clamp values into range', () => {
+            const policy = normalizeRetryPolicy({ maxRetries: 99, baseDelayMs: -5, jitter: 3 });
+            expect(policy.maxRetries).toBe(10);
+            expect(policy.baseDelayMs).toBe(0);
+            expect(policy.jitter).toBe(1);
+        });
+    });
+
+    describe('computeBackoffDelay', () => {
+        it('should double the delay on each attempt up to the cap', () => {
+            const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0 };
+            expect([1, 2, 3, 4].map(n => computeBackoffDelay(n, policy))).toEqual([1000, 2000, 4000, 5000]);
+        });
+
+        it('Property: jitter keeps the delay within ±jitter of the base', () => {
+            fc.assert(
+                fc.property(
+                    fc.integer({ min: 1, max: 8 }),
+                    fc.double({ min: 0, max: 1, noNaN: true }),
+                    fc.double({ min: 0, max: 0.999, noNaN: true }),
+                    (attempt, jitter, r) => {
+                        const policy = { ...DEFAULT_RETRY_POLICY, jitter };
+                        const base = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(policy.factor, attempt - 1));
+                        const delay = computeBackoffDelay(attempt, policy, () => r);
+                        expect(delay).toBeGreaterThanOrEqual(Math.floor(base * (1 - jitter)));
+                        expect(delay).toBeLessThanOrEqual(Math.ceil(base * (1 + jitter)));
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('withRetry', () => {
+        it('should retry 5xx errors until success', async () => {
+            const fn = vi.fn()
+                .mockRejectedValueOnce(new PublishError('x', { status: 502 }))
+                .mockRejectedValueOnce(new PublishError('x', { network: true }))
+                .mockResolvedValue('ok');
+            const sleep = vi.fn(noSleep);
+            const policy = { ...DEFAULT_RETRY_POLICY, jitter: 0 };
+
+            await expect(withRetry(fn, { policy, sleep })).resolves.toBe('ok');
+            expect(fn).toHaveBeenCalledTimes(3);
+            expect(sleep.mock.calls.map(c => c[0])).toEqual([2000, 4000]);
+        });
+
+        it('should not retry client errors', async () => {
+            const fn = vi.fn().mockRejectedValue(new PublishError('bad', { status: 400 }));
+
+            const error = await withRetry(fn, { sleep: noSleep }).catch(e => e);
+
+            expect(fn).toHaveBeenCalledTimes(1);
+            expect(error.status).toBe(400);
+            expect(error.attempts).toBe(1);
+        });
+
+        it('should give up after maxRetries and report attempts', async () => {
+            const fn = vi.fn().mockRejectedValue(new PublishError('down', { status: 503 }));
+            const onRetry = vi.fn();
+
+            const error = await withRetry(fn, {
+                policy: normalizeRetryPolicy({ maxRetries: 2 }),
+                sleep: noSleep,
+                onRetry
+            }).catch(e => e);
+
+            expect(fn).toHaveBeenCalledTimes(3);
+            expect(onRetry).toHaveBeenCalledTimes(2);
+            expect(error.attempts).toBe(3);
+        });
+
+        it('should stop retrying when cancelled', async () => {
+            const fn = vi.fn().mockRejectedValue(new PublishError('down', { status: 503 }));
+
+            await withRetry(fn, { sleep: noSleep, shouldContinue: () => false }).catch(() => {});
+
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+    });
+});
+
+describe('Dead Letter Queue', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should persist the last error status and body per post', () => {
+        const queue = new DeadLetterQueue();
+        const post = { id: 'post-1', personName: '世森 響', boothName: 'SEGA' };
+
+        queue.add(post, Object.assign(new PublishError('first', { status: 500, body: 'a', platform: 'make' }), { attempts: 4 }));
+        queue.add(post, new PublishError('second', { status: 502, body: 'Bad Gateway', platform: 'make' }));
+
+        const reloaded = new DeadLetterQueue();
+        expect(reloaded.getAll()).toHaveLength(1);
+        expect(reloaded.get('post-1')).toMatchObject({
+            label: '世森 響 / SEGA',
+            platform: 'make',
+            status: 502,
+            body: 'Bad Gateway',
+            error: 'second'
+        });
+        expect(JSON.parse(localStorage.getItem(DEAD_LETTER_KEY))).toHaveLength(1);
+    });
+
+    it('should remove entries and ignore unknown ids', () => {
+        const queue = new DeadLetterQueue();
+        queue.add({ id: 'a' }, new PublishError('x', { network: true }));
+
+        expect(queue.get('a').status).toBeNull();
+        expect(queue.remove('missing')).toBe(false);
+        expect(queue.remove('a')).toBe(true);
+        expect(new DeadLetterQueue().getAll()).toEqual([]);
+    });
+});
+
+describe('BatchProcessor retry', () => {
+    let processor;
+    let queue;
+
+    beforeEach(() => {
+        localStorage.clear();
+        processor = new BatchProcessor();
+        queue = [{ id: 'p1', personName: 'A', status: 'ready', aiComment: '' }];
+        global.window = {
+            AppState: { postQueue: queue, eventInfo: {}, settings: {} },
+            updateQueueItem: vi.fn((index, updates) => Object.assign(queue[index], updates))
+        };
+    });
+
+    it('should retry a 5xx request inside the publisher and mark the post sent', async () => {
+        const request = vi.fn()
+            .mockRejectedValueOnce(new PublishError('down', { status: 503, platform: 'make' }))
+            .mockResolvedValue('media-1');
+        const publisher = {
+            publish: vi.fn(async (post, { retry }) => {
+                await retry(request);
+                return { platform: 'make', postId: null, url: null };
+            })
+        };
+
+        await processor.sendSinglePost(0, publisher, normalizeRetryPolicy({ baseDelayMs: 0 }));
+
+        expect(publisher.publish).toHaveBeenCalledTimes(1);
+        expect(request).toHaveBeenCalledTimes(2);
+        expect(queue[0].status).toBe('sent');
+    });
+
+    it('should not publish the whole post again after an ambiguous failure', async () => {
+        const publisher = {
+            publish: vi.fn().mockRejectedValue(new PublishError('timeout', { network: true, platform: 'x' }))
+        };
+
+        await expect(processor.sendSinglePost(0, publisher, normalizeRetryPolicy({ baseDelayMs: 0 })))
+            .rejects.toThrow('timeout');
+
+        expect(publisher.publish).toHaveBeenCalledTimes(1);
+        expect(queue[0].status).toBe('failed');
+    });
+
+    it('should record permanent failures in the dead-letter list', async () => {
+        deadLetterQueue.clear();
+        const publisher = {
+            publish: vi.fn().mockRejectedValue(new PublishError('bad', { status: 422, body: '{"error":"invalid"}', platform: 'x' }))
+        };
+
+        await expect(processor.sendSinglePost(0, publisher, normalizeRetryPolicy({ baseDelayMs: 0 })))
+            .rejects.toThrow('bad');
+
+        expect(publisher.publish).toHaveBeenCalledTimes(1);
+        expect(queue[0].status).toBe('failed');
+        expect(deadLetterQueue.get('p1')).toMatchObject({ status: 422, body: '{"error":"invalid"}', attempts: 1 });
+    });
+
+    it('should not publish a post that another send marked as sending', async () => {
+        queue[0].status = 'sending';
+        const publisher = { publish: vi.fn() };
+
+        await processor.sendSinglePost(0, publisher, normalizeRetryPolicy({ baseDelayMs: 0 }));
+
+        expect(publisher.publish).not.toHaveBeenCalled();
+        expect(queue[0].status).toBe('sending');
+    });
+
+    it('should update the post that was sent after the queue is reordered during publishing', async () => {
+        const other = { id: 'p2', personName: 'B', status: 'ready', aiComment: '' };
+        const publisher = {
+            publish: vi.fn(async () => {
+                // 送信中にドラッグで先頭に別の投稿が入る
+                queue.unshift(other);
+                return { platform: 'x', postId: 't1', url: 'https://x.com/i/status/t1' };
+            })
+        };
+
+        await processor.sendSinglePost(0, publisher, normalizeRetryPolicy({ baseDelayMs: 0 }));
+
+        expect(queue[1]).toMatchObject({ id: 'p1', status: 'sent', publishedId: 't1' });
+        expect(other).toEqual({ id: 'p2', personName: 'B', status: 'ready', aiComment: '' });
+    });
+
+    it('should not update another post when the sent post was deleted during publishing', async () => {
+        const other = { id: 'p2', personName: 'B', status: 'ready', aiComment: '' };
+        const publisher = {
+            publish: vi.fn(async () => {
+                queue.splice(0, 1, other);
+                throw new PublishError('bad', { status: 422, platform: 'x' });
+            })
+        };
+
+        await expect(processor.sendSinglePost(0, publisher, normalizeRetryPolicy({ baseDelayMs: 0 })))
+            .rejects.toThrow('bad');
+
+        expect(other.status).toBe('ready');
+        expect(window.updateQueueItem).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Dead letter view', () => {
+    let queue;
+
+    beforeEach(() => {
+        localStorage.clear();
+        deadLetterQueue.clear();
+        document.body.innerHTML = `
+            <div class="modal" id="dead-letter-modal">
+                <p id="dead-letter-empty"></p>
+                <table><tbody id="dead-letter-list"></tbody></table>
+            </div>`;
+        queue = [
+            { id: 'p1', personName: 'A', boothName: 'SEGA', status: 'failed', aiComment: '笑顔が素敵でした✨' },
+            { id: 'p2', personName: 'B', status: 'failed', aiComment: '笑顔が素敵でした✨' }
+        ];
+        global.window.AppState = { postQueue: queue, eventInfo: {}, settings: {} };
+        initBatchUI();
+        deadLetterQueue.add(queue[0], Object.assign(
+            new PublishError('bad', { status: 422, body: '{"error":"<invalid>"}', platform: 'x' }),
+            { attempts: 1 }
+        ));
+        deadLetterQueue.add(queue[1], Object.assign(new PublishError('down', { network: true, platform: 'x' }), { attempts: 4 }));
+    });
+
+    it('should list the status, response body and attempts of every failure', () => {
+        openDeadLetterModal();
+
+        const rows = document.querySelectorAll('#dead-letter-list tr');
+        expect(document.getElementById('dead-letter-modal').classList.contains('active')).toBe(true);
+        expect(rows).toHaveLength(2);
+        expect(rows[0].dataset.postId).toBe('p2');
+        expect(rows[0].textContent).toContain('ネットワークエラー');
+        expect(rows[0].textContent).toContain('4');
+        expect(rows[1].textContent).toContain('HTTP 422');
+        expect(rows[1].querySelector('pre').textContent).toBe('{"error":"<invalid>"}');
+    });
+
+    it('should discard one entry without touching the post', () => {
+        openDeadLetterModal();
+
+        document.querySelector('tr[data-post-id="p1"] button[data-action="discard"]').click();
+
+        expect(deadLetterQueue.get('p1')).toBeNull();
+        expect(deadLetterQueue.get('p2')).not.toBeNull();
+        expect(queue[0].status).toBe('failed');
+        expect(document.querySelectorAll('#dead-letter-list tr')).toHaveLength(1);
+    });
+
+    it('should retry one entry after confirming with its last error', () => {
+        const sendPosts = vi.spyOn(batchProcessor, 'sendPosts').mockResolvedValue({ success: 1, failed: 0, errors: [] });
+        const confirm = vi.fn(() => true);
+        vi.stubGlobal('confirm', confirm);
+
+        try {
+            openDeadLetterModal();
+            document.querySelector('tr[data-post-id="p1"] button[data-action="retry"]').click();
+
+            expect(confirm.mock.calls[0][0]).toContain('HTTP 422（1回試行）');
+            expect(confirm.mock.calls[0][0]).toContain('{"error":"<invalid>"}');
+            expect(sendPosts).toHaveBeenCalledWith([0], expect.any(Function));
+        } finally {
+            sendPosts.mockRestore();
+            vi.unstubAllGlobals();
+        }
+    });
+
+    it('should escape error messages in the send result', async () => {
+        document.body.insertAdjacentHTML('beforeend', '<div id="batch-errors"><ul id="batch-error-list"></ul></div>');
+        const error = '送信できない表現が含まれています: <img src=x onerror=alert(1)>';
+        const sendPosts = vi.spyOn(batchProcessor, 'sendPosts').mockResolvedValue({ success: 0, failed: 1, errors: [{ index: 0, error, status: null }] });
+        vi.stubGlobal('confirm', vi.fn(() => true));
+
+        try {
+            openDeadLetterModal();
+            document.querySelector('tr[data-post-id="p1"] button[data-action="retry"]').click();
+
+            await vi.waitFor(() => expect(document.querySelector('#batch-error-list li')).not.toBeNull());
+            const item = document.querySelector('#batch-error-list li');
+            expect(item.querySelector('img')).toBeNull();
+            expect(item.textContent).toContain(error);
+        } finally {
+            sendPosts.mockRestore();
+            vi.unstubAllGlobals();
+        }
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Schedule UI
+ * 予約投稿モーダルのUI統合
+ */
+
+import { postScheduler, spreadSchedule, formatScheduledAt, DEFAULT_INTERVAL_MINUTES } from './post-scheduler.js';
+import { confirmSend } from './batch-ui.js';
+
+/**
+ * 予約対象のインデックスを取得
+ * 選択モードで選択中の投稿があればそれを、なければ未送信・未予約の全投稿を対象にする
+ * @returns {Array<number>}
+ */
+function getScheduleTargetIndices() {
+    const isSchedulable = (post) => post && post.status !== 'sent' && post.status !== 'scheduled';
+
+    const selectionManager = window.selectionModeManager;
+    if (selectionManager && selectionManager.isSelectionMode) {
+        const selected = selectionManager.getSelectedIndices()
+            .filter(index => isSchedulable(window.AppState.postQueue[index]));
+        if (selected.length > 0) {
+            return selected.sort((a, b) => a - b);
+        }
+    }
+
+    return window.AppState.postQueue
+        .map((post, index) => ({ post, index }))
+        .filter(({ post }) => isSchedulable(post))
+        .map(({ index }) => index);
+}
+
+/**
+ * datetime-local 用の値に変換
+ * @param {number} timestamp - ミリ秒タイムスタンプ
+ * @returns {string} - YYYY-MM-DDTHH:mm
+ */
+function toDateTimeLocalValue(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * モーダルの入力値から予約オプションを取得
+ * @returns {Object|null} - spreadSchedule のオプション、入力が不正な場合は null
+ */
+function readScheduleOptions() {
+    const startInput = document.getElementById('schedule-start');
+    const intervalInput = document.getElementById('schedule-interval');
+    const endInput = document.getElementById('schedule-end');
+
+    const startAt = startInput && startInput.value ? new Date(startInput.value).getTime() : NaN;
+    if (!Number.isFinite(startAt)) return null;
+
+    const intervalMinutes = parseInt(intervalInput?.value, 10);
+    const endAt = endInput && endInput.value ? new Date(endInput.value).getTime() : null;
+
+    if (endAt !== null && endAt < startAt) return null;
+
+    return {
+        startAt,
+        intervalMinutes: Number.isFinite(intervalMinutes) && intervalMinutes >= 0 ? intervalMinutes : DEFAULT_INTERVAL_MINUTES,
+        endAt
+    };
+}
+
+/**
+ * 予約内容のサマリーを更新
+ */
+function updateScheduleSummary() {
+    const summary = document.getElementById('schedule-summary');
+    if (!summary) return;
+
+    const count = getScheduleTargetIndices().length;
+    const options = readScheduleOptions();
+
+    if (count === 0) {
+        summary.textContent = '予約できる投稿がありません';
+        return;
+    }
+    if (!options) {
+        summary.textContent = '開始時刻（と終了時刻）を正しく入力してください';
+        return;
+    }
+
+    const times = spreadSchedule(count, options);
+    summary.textContent = `${count}件を ${formatScheduledAt(times[0])} 〜 ${formatScheduledAt(times[times.length - 1])} に予約します`;
+}
+
+/**
+ * 予約投稿モーダルを開く
+ */
+export function openScheduleModal() {
+    const modal = document.getElementById('schedule-modal');
+    if (!modal) return;
+
+    const startInput = document.getElementById('schedule-start');
+    const intervalInput = document.getElementById('schedule-interval');
+    const endInput = document.getElementById('schedule-end');
+
+    // デフォルトは5分後から
+    if (startInput) startInput.value = toDateTimeLocalValue(Date.now() + 5 * 60 * 1000);
+    if (intervalInput && !intervalInput.value) intervalInput.value = String(DEFAULT_INTERVAL_MINUTES);
+    if (endInput) endInput.value = '';
+
+    updateScheduleSummary();
+    modal.classList.add('active');
+}
+
+/**
+ * 予約投稿モーダルを閉じる
+ */
+function closeScheduleModal() {
+    const modal = document.getElementById('schedule-modal');
+    if (modal) {
+        modal.classList.remove('active');
+    }
+}
+
+/**
+ * 入力内容で予約を確定
+ * 予約時刻の送信では確認ダイアログを出せないため、一括送信と同じ確認（掲載の同意・NGワードと個人情報）を予約時に行う
+ */
+function confirmSchedule() {
+    const targets = getScheduleTargetIndices();
+    if (targets.length === 0) {
+        if (typeof window.showToast === 'function') {
+            window.showToast('予約できる投稿がありません', 'info');
+        }
+        return;
+    }
+
+    const options = readScheduleOptions();
+    if (!options) {
+        if (typeof window.showToast === 'function') {
+            window.showToast('開始時刻を正しく入力してください', 'error');
+        }
+        return;
+    }
+
+    const indices = confirmSend(targets, {
+        getMessage: count => `${count}件の投稿を予約しますか？`,
+        source: 'schedule'
+    });
+    if (indices.length === 0) return;
+
+    try {
+        const scheduled = postScheduler.autoSpread(indices, options);
+        closeScheduleModal();
+        if (typeof window.showToast === 'function') {
+            window.showToast(`${scheduled.length}件の投稿を予約しました`, 'success');
+        }
+    } catch (error) {
+        console.error('[ScheduleUI] Schedule error:', error);
+        if (typeof window.showToast === 'function') {
+            window.showToast('予約に失敗しました', 'error');
+        }
+    }
+}
+
+/**
+ * 全ての予約を解除
+ */
+function cancelAllSchedules() {
+    const count = postScheduler.unscheduleAll();
+    closeScheduleModal();
+    if (typeof window.showToast === 'function') {
+        window.showToast(count > 0 ? `${count}件の予約を解除しました` : '予約中の投稿はありません', 'info');
+    }
+}
+
+/**
+ * イベントリスナーを初期化
+ */
+export function initScheduleUI() {
+    const openBtn = document.getElementById('schedule-btn');
+    if (openBtn) {
+        openBtn.addEventListener('click', openScheduleModal);
+    }
+
+    const closeBtn = document.getElementById('close-schedule-modal');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeScheduleModal);
+    }
+
+    const confirmBtn = document.getElementById('schedule-confirm-btn');
+    if (confirmBtn) {
+        confirmBtn.addEventListener('click', confirmSchedule);
+    }
+
+    const cancelAllBtn = document.getElementById('schedule-cancel-all-btn');
+    if (cancelAllBtn) {
+        cancelAllBtn.addEventListener('click', cancelAllSchedules);
+    }
+
+    ['schedule-start', 'schedule-interval', 'schedule-end'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', updateScheduleSummary);
+        }
+    });
+
+    // モーダル背景クリック
+    const modal = document.getElementById('schedule-modal');
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeScheduleModal();
+            }
+        });
+    }
+
+    console.log('[ScheduleUI] Initialized');
+}
+
+// グローバルに公開
+if (typeof window !== 'undefined') {
+    window.openScheduleModal = openScheduleModal;
+}
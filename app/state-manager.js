@@ -4,6 +4,9 @@
  * Requirements: 22.1, 22.2, 22.3, 22.4, 22.5, 22.6
  */
 
+import { toPersistedPost } from './image-store.js';
+import { storageGet, storageSet, storageRemove } from './storage-adapter.js';
+
 /**
  * アンドゥアクションの型定義
  * @typedef {Object} UndoAction
@@ -221,7 +224,7 @@ class StateManager {
     }
 
     /**
-     * 状態をlocalStorageに保存
+     * 状態をストレージに保存
      * @returns {boolean} - 成功時true
      */
     save() {
@@ -234,14 +237,18 @@ class StateManager {
             const stateToSave = {
                 currentStep: this.currentState.currentStep,
                 eventInfo: this.currentState.eventInfo,
-                postQueue: this.currentState.postQueue,
+                // IndexedDB に退避済みの画像は参照だけを保存する
+                postQueue: Array.isArray(this.currentState.postQueue)
+                    ? this.currentState.postQueue.map(toPersistedPost)
+                    : this.currentState.postQueue,
                 selectedIndices: this.currentState.selectedIndices || [],
                 editingIndex: this.currentState.editingIndex,
                 timestamp: Date.now()
             };
 
-            const serialized = JSON.stringify(stateToSave);
-            localStorage.setItem('autopost_app_state', serialized);
+            if (!storageSet('autopost_app_state', stateToSave)) {
+                return false;
+            }
 
             this.lastSaveTime = Date.now();
             console.log('[StateManager] State saved');
@@ -257,20 +264,18 @@ class StateManager {
     }
 
     /**
-     * localStorageから状態を復元
+     * ストレージから状態を復元
      * @returns {Object|null} - 復元された状態、または null
      */
     restore() {
         try {
-            const item = localStorage.getItem('autopost_app_state');
+            const state = storageGet('autopost_app_state', null);
 
-            if (!item) {
+            if (!state) {
                 console.log('[StateManager] No saved state found');
                 return null;
             }
 
-            const state = JSON.parse(item);
-
             // タイムスタンプをチェック（24時間以上古い場合は無視）
             const age = Date.now() - (state.timestamp || 0);
             const maxAge = 24 * 60 * 60 * 1000; // 24時間
@@ -293,7 +298,7 @@ class StateManager {
      */
     clearSaved() {
         try {
-            localStorage.removeItem('autopost_app_state');
+            storageRemove('autopost_app_state');
             console.log('[StateManager] Saved state cleared');
         } catch (error) {
             console.error('[StateManager] Failed to clear saved state:', error);
@@ -6,7 +6,7 @@
 
 /**
  * Status badge color mapping
- * draft → gray, ready → blue, sent → green, failed → red
+ * draft → gray, ready → blue, sending → amber, sent → green, failed → red, scheduled → purple
  */
 const STATUS_CONFIG = {
     draft: {
@@ -19,6 +19,11 @@ const STATUS_CONFIG = {
         text: '準備完了',
         class: 'ready'
     },
+    sending: {
+        color: 'amber',
+        text: '送信中',
+        class: 'sending'
+    },
     sent: {
         color: 'green',
         text: '送信済',
@@ -28,6 +33,11 @@ const STATUS_CONFIG = {
         color: 'red',
         text: '失敗',
         class: 'failed'
+    },
+    scheduled: {
+        color: 'purple',
+        text: '予約済',
+        class: 'scheduled'
     }
 };
 
@@ -65,7 +75,7 @@ function isStaleDraft(post) {
 
 /**
  * Get status badge HTML
- * @param {string} status - Status value (draft, ready, sent, failed)
+ * @param {string} status - Status value (draft, ready, sending, sent, failed, scheduled)
  * @returns {string} - HTML string for status badge
  */
 function getStatusBadgeHTML(status) {
@@ -137,7 +147,7 @@ function updateCompletionBar(postQueue) {
  */
 function applyStatusStyling(itemElement, post) {
     // Remove all status classes
-    itemElement.classList.remove('draft', 'ready', 'sent', 'failed', 'stale-draft');
+    itemElement.classList.remove('draft', 'ready', 'sending', 'sent', 'failed', 'scheduled', 'stale-draft');
 
     // Add current status class
     if (post.status) {
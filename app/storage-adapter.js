@@ -1,11 +1,348 @@
 /**
- * LocalStorage Adapter
- * localStorage操作のラッパー関数を提供
+ * Storage Adapter
+ * 永続化のラッパー関数を提供（IndexedDB、使えない場合は localStorage）
  * JSON シリアライズ/デシリアライズ、エラーハンドリングを含む
+ *
+ * - IndexedDB 使用時も storageGet / storageSet は同期 API のまま（メモリキャッシュから読み、書き込みは非同期で反映）
+ * - IndexedDB には画像（data URL）を Blob として保存する
+ * - 初回起動時に localStorage の autopost_* キーを IndexedDB に移行する
  */
 
+const IDB_NAME = 'autopost_storage';
+const IDB_VERSION = 1;
+const IDB_STORE = 'kv';
+const MIGRATION_PREFIX = 'autopost_';
+const OPEN_TIMEOUT_MS = 3000;
+const DEFAULT_IDB_QUOTA = 50 * 1024 * 1024; // 50MB
+const DATA_URL_IMAGE_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,/i;
+
+// 現在のバックエンド（initStorage で IndexedDB に切り替わる）
+const backend = {
+    type: 'localStorage',
+    db: null,
+    cache: new Map(),       // key -> JSON 文字列
+    pending: new Map(),     // key -> JSON 文字列 | null（削除）
+    flushPromise: null,
+    quota: DEFAULT_IDB_QUOTA
+};
+
 /**
- * localStorageにデータを保存
+ * IDBRequest を Promise に変換
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * トランザクションの完了を待つ
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function waitForTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * data URL（base64 画像）を Blob に変換
+ * @param {string} dataUrl
+ * @returns {Blob|null}
+ */
+function dataUrlToBlob(dataUrl) {
+    const match = DATA_URL_IMAGE_PATTERN.exec(dataUrl);
+    if (!match || typeof Blob === 'undefined' || typeof atob !== 'function') return null;
+
+    try {
+        const binary = atob(dataUrl.slice(match[0].length));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: match[1] });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Blob を data URL に変換
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function blobToDataUrl(blob) {
+    if (typeof FileReader === 'function') {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+/**
+ * 値の中の画像（data URL）を Blob に置き換える
+ * @param {any} value
+ * @returns {any}
+ */
+function encodeImages(value) {
+    if (typeof value === 'string') {
+        return DATA_URL_IMAGE_PATTERN.test(value) ? (dataUrlToBlob(value) || value) : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeImages);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = encodeImages(value[key]);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * encodeImages で置き換えた Blob を data URL に戻す
+ * @param {any} value
+ * @returns {Promise<any>}
+ */
+async function decodeImages(value) {
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+        return blobToDataUrl(value);
+    }
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(decodeImages));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value)) {
+            result[key] = await decodeImages(value[key]);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * IndexedDB を開く（タイムアウト・失敗時は null）
+ * @param {IDBFactory} idb
+ * @param {number} timeoutMs
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase(idb, timeoutMs) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            console.warn('[StorageAdapter] IndexedDB open timed out, using localStorage');
+            resolve(null);
+        }, timeoutMs);
+        const finish = (db) => {
+            clearTimeout(timer);
+            resolve(db);
+        };
+
+        let request;
+        try {
+            request = idb.open(IDB_NAME, IDB_VERSION);
+        } catch (error) {
+            console.warn('[StorageAdapter] IndexedDB unavailable, using localStorage:', error);
+            finish(null);
+            return;
+        }
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IDB_STORE)) {
+                db.createObjectStore(IDB_STORE);
+            }
+        };
+        request.onsuccess = () => finish(request.result);
+        request.onerror = () => {
+            console.warn('[StorageAdapter] Failed to open IndexedDB, using localStorage:', request.error);
+            finish(null);
+        };
+    });
+}
+
+/**
+ * localStorage の autopost_* キーを IndexedDB に移行（移行後は localStorage から削除）
+ * @param {IDBDatabase} db
+ * @returns {Promise<number>} - 移行した件数
+ */
+async function migrateFromLocalStorage(db) {
+    const entries = [];
+    for (const key of localStorageKeys()) {
+        if (!key.startsWith(MIGRATION_PREFIX)) continue;
+        const item = localStorage.getItem(key);
+        try {
+            JSON.parse(item);
+            entries.push([key, item]);
+        } catch (error) {
+            console.warn(`[StorageAdapter] Skipping invalid JSON for "${key}" during migration`);
+        }
+    }
+    if (entries.length === 0) return 0;
+
+    const tx = db.transaction(IDB_STORE, 'readwrite');
+    const store = tx.objectStore(IDB_STORE);
+    entries.forEach(([key, item]) => store.put(encodeImages(JSON.parse(item)), key));
+    await waitForTransaction(tx);
+
+    // IndexedDB への書き込みが完了してから削除する
+    entries.forEach(([key, item]) => {
+        backend.cache.set(key, item);
+        localStorage.removeItem(key);
+    });
+    console.log(`[StorageAdapter] Migrated ${entries.length} keys from localStorage to IndexedDB`);
+    return entries.length;
+}
+
+/**
+ * IndexedDB の内容をキャッシュに読み込む
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+async function loadCache(db) {
+    const tx = db.transaction(IDB_STORE, 'readonly');
+    const store = tx.objectStore(IDB_STORE);
+    const [keys, values] = await Promise.all([
+        promisifyRequest(store.getAllKeys()),
+        promisifyRequest(store.getAll())
+    ]);
+
+    for (let i = 0; i < keys.length; i++) {
+        try {
+            backend.cache.set(String(keys[i]), JSON.stringify(await decodeImages(values[i])));
+        } catch (error) {
+            console.error(`[StorageAdapter] Failed to load key "${keys[i]}":`, error);
+        }
+    }
+}
+
+/**
+ * IndexedDB バックエンドを初期化
+ * 使えない場合は localStorage のまま（同じ API で動作する）
+ * @param {Object} [options]
+ * @param {IDBFactory|null} [options.indexedDB] - IndexedDB 実装
+ * @param {number} [options.timeoutMs] - 開く際のタイムアウト
+ * @returns {Promise<string>} - 'indexedDB' | 'localStorage'
+ */
+async function initStorage({
+    indexedDB = typeof globalThis !== 'undefined' ? globalThis.indexedDB : undefined,
+    timeoutMs = OPEN_TIMEOUT_MS
+} = {}) {
+    if (backend.type === 'indexedDB') return backend.type;
+    if (!indexedDB) return backend.type;
+
+    const db = await openDatabase(indexedDB, timeoutMs);
+    if (!db) return backend.type;
+
+    try {
+        backend.cache.clear();
+        await loadCache(db);
+        await migrateFromLocalStorage(db);
+    } catch (error) {
+        console.error('[StorageAdapter] Failed to initialize IndexedDB, using localStorage:', error);
+        backend.cache.clear();
+        return backend.type;
+    }
+
+    backend.db = db;
+    backend.type = 'indexedDB';
+
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+        navigator.storage.estimate()
+            .then(({ quota }) => { if (quota) backend.quota = quota; })
+            .catch(() => {});
+    }
+
+    return backend.type;
+}
+
+/**
+ * 現在のバックエンド
+ * @returns {string} - 'indexedDB' | 'localStorage'
+ */
+function getStorageBackend() {
+    return backend.type;
+}
+
+/**
+ * 未反映の書き込みを IndexedDB に反映
+ * @returns {Promise<void>}
+ */
+function storageFlush() {
+    if (backend.type !== 'indexedDB') return Promise.resolve();
+    if (backend.flushPromise) return backend.flushPromise;
+
+    backend.flushPromise = Promise.resolve().then(async () => {
+        const writes = [...backend.pending.entries()];
+        backend.pending.clear();
+        if (writes.length === 0) return;
+
+        const tx = backend.db.transaction(IDB_STORE, 'readwrite');
+        const store = tx.objectStore(IDB_STORE);
+        writes.forEach(([key, serialized]) => {
+            if (serialized === null) {
+                store.delete(key);
+            } else {
+                store.put(encodeImages(JSON.parse(serialized)), key);
+            }
+        });
+        await waitForTransaction(tx);
+    }).catch((error) => {
+        console.error('[StorageAdapter] Failed to write to IndexedDB:', error);
+    }).finally(() => {
+        backend.flushPromise = null;
+        // 書き込み中に追加された変更を反映
+        if (backend.pending.size > 0) storageFlush();
+    });
+
+    return backend.flushPromise;
+}
+
+/**
+ * 書き込みを予約（同じキーの連続した書き込みはまとめる）
+ * @param {string} key
+ * @param {string|null} serialized - null で削除
+ */
+function queueWrite(key, serialized) {
+    backend.pending.set(key, serialized);
+    if (!backend.flushPromise) storageFlush();
+}
+
+/**
+ * localStorage のキー一覧
+ * @returns {string[]}
+ */
+function localStorageKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key !== null) {
+            keys.push(key);
+        }
+    }
+    return keys;
+}
+
+/**
+ * データを保存
  * @param {string} key - 保存キー
  * @param {any} value - 保存する値（自動的にJSONシリアライズされる）
  * @returns {boolean} - 成功時true、失敗時false
@@ -13,34 +350,42 @@
 function storageSet(key, value) {
     try {
         const serialized = JSON.stringify(value);
-        localStorage.setItem(key, serialized);
+        if (backend.type === 'indexedDB') {
+            backend.cache.set(key, serialized);
+            queueWrite(key, serialized);
+        } else {
+            localStorage.setItem(key, serialized);
+        }
         return true;
     } catch (error) {
         console.error(`[StorageAdapter] Failed to set key "${key}":`, error);
-        
+
         // QuotaExceededError の場合は特別な処理
         if (error.name === 'QuotaExceededError') {
             console.warn('[StorageAdapter] localStorage quota exceeded');
         }
-        
+
         return false;
     }
 }
 
 /**
- * localStorageからデータを取得
+ * データを取得
+ * IndexedDB 使用時も移行対象外のキーは localStorage から読む
  * @param {string} key - 取得キー
  * @param {any} defaultValue - キーが存在しない場合のデフォルト値
  * @returns {any} - デシリアライズされた値、またはデフォルト値
  */
 function storageGet(key, defaultValue = null) {
     try {
-        const item = localStorage.getItem(key);
-        
+        const item = backend.type === 'indexedDB' && backend.cache.has(key)
+            ? backend.cache.get(key)
+            : localStorage.getItem(key);
+
         if (item === null) {
             return defaultValue;
         }
-        
+
         return JSON.parse(item);
     } catch (error) {
         console.error(`[StorageAdapter] Failed to get key "${key}":`, error);
@@ -49,12 +394,32 @@ function storageGet(key, defaultValue = null) {
 }
 
 /**
- * localStorageからデータを削除
+ * 保存されている文字列をそのまま取得（JSON は解析しない。保存値が変わったかの判定に使う）
+ * @param {string} key - 取得キー
+ * @returns {string|null}
+ */
+function storageGetRaw(key) {
+    try {
+        return backend.type === 'indexedDB' && backend.cache.has(key)
+            ? backend.cache.get(key)
+            : localStorage.getItem(key);
+    } catch (error) {
+        console.error(`[StorageAdapter] Failed to get key "${key}":`, error);
+        return null;
+    }
+}
+
+/**
+ * データを削除
  * @param {string} key - 削除キー
  * @returns {boolean} - 成功時true、失敗時false
  */
 function storageRemove(key) {
     try {
+        if (backend.type === 'indexedDB') {
+            backend.cache.delete(key);
+            queueWrite(key, null);
+        }
         localStorage.removeItem(key);
         return true;
     } catch (error) {
@@ -64,11 +429,15 @@ function storageRemove(key) {
 }
 
 /**
- * localStorageをクリア
+ * ストレージをクリア
  * @returns {boolean} - 成功時true、失敗時false
  */
 function storageClear() {
     try {
+        if (backend.type === 'indexedDB') {
+            [...backend.cache.keys()].forEach(key => queueWrite(key, null));
+            backend.cache.clear();
+        }
         localStorage.clear();
         return true;
     } catch (error) {
@@ -84,6 +453,9 @@ function storageClear() {
  */
 function storageHas(key) {
     try {
+        if (backend.type === 'indexedDB' && backend.cache.has(key)) {
+            return true;
+        }
         return localStorage.getItem(key) !== null;
     } catch (error) {
         console.error(`[StorageAdapter] Failed to check key "${key}":`, error);
@@ -97,14 +469,11 @@ function storageHas(key) {
  */
 function storageKeys() {
     try {
-        const keys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key !== null) {
-                keys.push(key);
-            }
+        const keys = new Set(localStorageKeys());
+        if (backend.type === 'indexedDB') {
+            backend.cache.forEach((_, key) => keys.add(key));
         }
-        return keys;
+        return [...keys];
     } catch (error) {
         console.error('[StorageAdapter] Failed to get keys:', error);
         return [];
@@ -112,8 +481,8 @@ function storageKeys() {
 }
 
 /**
- * localStorage の使用可能容量をチェック
- * @returns {Object} - { available: boolean, used: number, total: number }
+ * ストレージの使用可能容量をチェック
+ * @returns {Object} - { available: boolean, used: number, total: number, percentage: string, backend: string }
  */
 function storageCheckQuota() {
     try {
@@ -124,16 +493,24 @@ function storageCheckQuota() {
                 used += localStorage[key].length + key.length;
             }
         }
-        
-        // 一般的なlocalStorageの制限は5MB
-        const total = 5 * 1024 * 1024; // 5MB in bytes
+
+        // IndexedDB は画像を Blob で保存するため実際の使用量はこれより小さい
+        if (backend.type === 'indexedDB') {
+            backend.cache.forEach((item, key) => {
+                used += item.length + key.length;
+            });
+        }
+
+        // 一般的なlocalStorageの制限は5MB、IndexedDB はブラウザの見積もり
+        const total = backend.type === 'indexedDB' ? backend.quota : 5 * 1024 * 1024;
         const available = used < total * 0.9; // 90%以下なら利用可能
-        
+
         return {
             available,
             used,
             total,
-            percentage: (used / total * 100).toFixed(2)
+            percentage: (used / total * 100).toFixed(2),
+            backend: backend.type
         };
     } catch (error) {
         console.error('[StorageAdapter] Failed to check quota:', error);
@@ -141,18 +518,28 @@ function storageCheckQuota() {
             available: false,
             used: 0,
             total: 0,
-            percentage: 0
+            percentage: 0,
+            backend: backend.type
         };
     }
 }
 
+// 依存モジュールが読み込む前に IndexedDB へ切り替える（top-level await）
+if (typeof window !== 'undefined') {
+    await initStorage();
+}
+
 // Export functions for use in other modules
 export {
     storageSet,
     storageGet,
+    storageGetRaw,
     storageRemove,
     storageClear,
     storageHas,
     storageKeys,
-    storageCheckQuota
+    storageCheckQuota,
+    storageFlush,
+    initStorage,
+    getStorageBackend
 };
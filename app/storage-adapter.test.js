@@ -5,7 +5,7 @@
  * Tests the round-trip consistency of storage operations
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import {
   storageSet,
@@ -270,3 +270,164 @@ describe('LocalStorage Adapter', () => {
     });
   });
 });
+
+/**
+ * テスト用の最小限の IndexedDB（非同期コールバックと structured clone を再現）
+ */
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  // jsdom の Blob は structuredClone できないためそのまま保持する
+  const clone = (value) => {
+    if (value instanceof Blob) return value;
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+    }
+    return value;
+  };
+
+  const request = (fn) => {
+    const req = {};
+    setTimeout(() => {
+      try {
+        req.result = fn();
+        req.onsuccess?.();
+      } catch (error) {
+        req.error = error;
+        req.onerror?.();
+      }
+    }, 0);
+    return req;
+  };
+
+  const createDb = (stores) => ({
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (name) => {
+      const data = stores.get(name);
+      const tx = {};
+      let open = 0;
+      const track = (fn) => {
+        open++;
+        return request(() => {
+          const result = fn();
+          if (--open === 0) setTimeout(() => tx.oncomplete?.(), 0);
+          return result;
+        });
+      };
+      tx.objectStore = () => ({
+        put: (value, key) => track(() => data.set(key, clone(value))),
+        delete: (key) => track(() => data.delete(key)),
+        getAll: () => track(() => [...data.keys()].sort().map(key => clone(data.get(key)))),
+        getAllKeys: () => track(() => [...data.keys()].sort())
+      });
+      return tx;
+    }
+  });
+
+  return {
+    databases,
+    open: (name) => {
+      const req = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        req.result = createDb(databases.get(name));
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      }, 0);
+      return req;
+    }
+  };
+}
+
+describe('IndexedDB Backend', () => {
+  let adapter;
+  let fakeIDB;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    vi.resetModules();
+    adapter = await import('./storage-adapter.js');
+    fakeIDB = createFakeIndexedDB();
+  });
+
+  const storedValue = (key) => fakeIDB.databases.get('autopost_storage').get('kv').get(key);
+
+  it('should stay on localStorage when IndexedDB is unavailable', async () => {
+    expect(await adapter.initStorage({ indexedDB: null })).toBe('localStorage');
+    expect(adapter.getStorageBackend()).toBe('localStorage');
+  });
+
+  it('should migrate autopost_* keys once and keep other keys in localStorage', async () => {
+    localStorage.setItem('autopost_person_database', JSON.stringify([{ id: 'p1', name: 'Alice' }]));
+    localStorage.setItem('autoPostSettings', JSON.stringify({ theme: 'dark' }));
+
+    expect(await adapter.initStorage({ indexedDB: fakeIDB })).toBe('indexedDB');
+
+    expect(localStorage.getItem('autopost_person_database')).toBeNull();
+    expect(storedValue('autopost_person_database')).toEqual([{ id: 'p1', name: 'Alice' }]);
+    expect(adapter.storageGet('autopost_person_database')).toEqual([{ id: 'p1', name: 'Alice' }]);
+    expect(adapter.storageGet('autoPostSettings')).toEqual({ theme: 'dark' });
+  });
+
+  it('should keep the sync API and write through to IndexedDB', async () => {
+    await adapter.initStorage({ indexedDB: fakeIDB });
+
+    const records = [{ id: 'h1' }];
+    expect(adapter.storageSet('autopost_history', records)).toBe(true);
+    records.push({ id: 'h2' }); // 保存後の変更は反映されない
+    expect(adapter.storageGet('autopost_history')).toEqual([{ id: 'h1' }]);
+    expect(localStorage.getItem('autopost_history')).toBeNull();
+
+    await adapter.storageFlush();
+    expect(storedValue('autopost_history')).toEqual([{ id: 'h1' }]);
+
+    adapter.storageRemove('autopost_history');
+    await adapter.storageFlush();
+    expect(storedValue('autopost_history')).toBeUndefined();
+    expect(adapter.storageHas('autopost_history')).toBe(false);
+  });
+
+  it('should store images as Blobs and restore them as data URLs', async () => {
+    const image = `data:image/png;base64,${btoa('PNGDATA')}`;
+    await adapter.initStorage({ indexedDB: fakeIDB });
+
+    adapter.storageSet('autopost_history', [{ postData: { imageBase64: image, boothName: 'A' } }]);
+    await adapter.storageFlush();
+
+    const stored = storedValue('autopost_history');
+    expect(stored[0].postData.imageBase64).toBeInstanceOf(Blob);
+    expect(stored[0].postData.imageBase64.type).toBe('image/png');
+
+    // 再起動（同じ IndexedDB を読み直す）
+    vi.resetModules();
+    const reloaded = await import('./storage-adapter.js');
+    await reloaded.initStorage({ indexedDB: fakeIDB });
+    expect(reloaded.storageGet('autopost_history')).toEqual([{ postData: { imageBase64: image, boothName: 'A' } }]);
+  });
+
+  it('Property: round-trip through IndexedDB after restart', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.jsonValue(),
+        async (value) => {
+          localStorage.clear();
+          vi.resetModules();
+          const idb = createFakeIndexedDB();
+          const first = await import('./storage-adapter.js');
+          await first.initStorage({ indexedDB: idb });
+          first.storageSet('autopost_value', value);
+          await first.storageFlush();
+
+          vi.resetModules();
+          const second = await import('./storage-adapter.js');
+          await second.initStorage({ indexedDB: idb });
+          expect(second.storageGet('autopost_value')).toEqual(JSON.parse(JSON.stringify(value)));
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+});
@@ -317,10 +317,15 @@ class TemplateUIController {
 }
 
 // Initialize when DOM is ready
+// ストレージ初期化（IndexedDB）を待つ間に DOMContentLoaded が発火済みの場合もある
 if (typeof document !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', () => {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            window.templateUI = new TemplateUIController();
+        });
+    } else {
         window.templateUI = new TemplateUIController();
-    });
+    }
 }
 
 // Export for testing
@@ -0,0 +1,256 @@
+/**
+ * Virtual List
+ * 投稿キューの仮想スクロール描画（表示範囲のアイテムだけDOMに置く）
+ *
+ * - ページ全体のスクロール（window）に追従する
+ * - アイテムの高さは描画済みのアイテムから計測した固定値として扱う
+ * - 件数が threshold 以下の場合は全件を描画する（ドラッグ&ドロップ等の既存動作を維持）
+ */
+
+const DEFAULT_ITEM_HEIGHT = 120;
+const DEFAULT_OVERSCAN = 5;
+const DEFAULT_THRESHOLD = 50;
+
+/**
+ * 表示するアイテムの範囲を計算
+ * @param {Object} params
+ * @param {number} params.itemCount - アイテム数
+ * @param {number} params.itemHeight - 1アイテムの高さ（間隔を含む）
+ * @param {number} params.scrollTop - リスト先頭からのスクロール量
+ * @param {number} params.viewportHeight - 表示領域の高さ
+ * @param {number} [params.overscan] - 前後に余分に描画する件数
+ * @returns {{start: number, end: number}} - 描画範囲（end は含まない）
+ */
+function computeVisibleRange({ itemCount, itemHeight, scrollTop, viewportHeight, overscan = DEFAULT_OVERSCAN }) {
+    if (itemCount <= 0) return { start: 0, end: 0 };
+
+    const height = Math.max(1, itemHeight);
+    const first = Math.floor(Math.max(0, scrollTop) / height);
+    const visibleCount = Math.ceil(Math.max(0, viewportHeight) / height) + 1;
+
+    const start = Math.min(itemCount - 1, Math.max(0, first - overscan));
+    const end = Math.min(itemCount, Math.max(start + 1, first + visibleCount + overscan));
+    return { start, end };
+}
+
+/**
+ * VirtualList クラス
+ */
+class VirtualList {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - アイテムを置くコンテナ
+     * @param {Function} options.renderItem - (index) => HTMLElement
+     * @param {Function} [options.onRendered] - 描画後のコールバック（container, range）
+     * @param {string} [options.itemSelector] - アイテムのセレクタ
+     * @param {number} [options.threshold] - 仮想化する件数のしきい値
+     * @param {number} [options.overscan] - 前後に余分に描画する件数
+     * @param {number} [options.estimatedItemHeight] - 計測前のアイテムの高さ
+     */
+    constructor({
+        container,
+        renderItem,
+        onRendered = null,
+        itemSelector = '.queue-item',
+        threshold = DEFAULT_THRESHOLD,
+        overscan = DEFAULT_OVERSCAN,
+        estimatedItemHeight = DEFAULT_ITEM_HEIGHT
+    }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.onRendered = onRendered;
+        this.itemSelector = itemSelector;
+        this.threshold = threshold;
+        this.overscan = overscan;
+        this.itemHeight = estimatedItemHeight;
+        this.gap = null;
+
+        this.itemCount = 0;
+        this.range = { start: 0, end: 0 };
+        this.frameRequested = false;
+
+        this.topSpacer = this._createSpacer('top');
+        this.bottomSpacer = this._createSpacer('bottom');
+
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('scroll', this.handleScroll, { passive: true });
+            window.addEventListener('resize', this.handleResize);
+        }
+    }
+
+    /**
+     * スペーサー要素を作成
+     * @private
+     * @param {string} position
+     * @returns {HTMLElement}
+     */
+    _createSpacer(position) {
+        const spacer = document.createElement('div');
+        spacer.className = `virtual-list-spacer virtual-list-spacer-${position}`;
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    /**
+     * 仮想化しているか
+     * @returns {boolean}
+     */
+    isVirtualized() {
+        return this.itemCount > this.threshold;
+    }
+
+    /**
+     * コンテナの gap を取得（getComputedStyle は重いのでリサイズまでキャッシュ）
+     * @private
+     * @returns {number}
+     */
+    _getGap() {
+        if (this.gap === null) {
+            const gap = typeof getComputedStyle === 'function'
+                ? parseFloat(getComputedStyle(this.container).rowGap)
+                : NaN;
+            this.gap = Number.isFinite(gap) ? gap : 0;
+        }
+        return this.gap;
+    }
+
+    /**
+     * 現在のスクロール位置から描画範囲を計算
+     * @private
+     * @returns {{start: number, end: number}}
+     */
+    _computeRange() {
+        if (!this.isVirtualized()) {
+            return { start: 0, end: this.itemCount };
+        }
+
+        const rect = this.container.getBoundingClientRect();
+        return computeVisibleRange({
+            itemCount: this.itemCount,
+            itemHeight: this.itemHeight,
+            scrollTop: -rect.top,
+            viewportHeight: window.innerHeight || document.documentElement.clientHeight || 0,
+            overscan: this.overscan
+        });
+    }
+
+    /**
+     * 全体を描画し直す（キューの内容が変わったとき）
+     * @param {number} itemCount - アイテム数
+     */
+    render(itemCount) {
+        this.itemCount = Math.max(0, itemCount);
+        this._renderRange(this._computeRange());
+    }
+
+    /**
+     * 指定範囲のアイテムを描画
+     * @private
+     * @param {{start: number, end: number}} range
+     */
+    _renderRange(range) {
+        this.range = range;
+
+        // 既存のアイテムとスペーサーを削除
+        this.container.querySelectorAll(this.itemSelector).forEach(el => el.remove());
+        this.topSpacer.remove();
+        this.bottomSpacer.remove();
+
+        if (this.itemCount === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        const items = [];
+        for (let index = range.start; index < range.end; index++) {
+            const item = this.renderItem(index);
+            items.push(item);
+            fragment.appendChild(item);
+        }
+
+        if (this.isVirtualized()) {
+            this.container.appendChild(this.topSpacer);
+            this.container.appendChild(fragment);
+            this.container.appendChild(this.bottomSpacer);
+            const gap = this._getGap();
+            this._measure(items[0], gap);
+            this._updateSpacers(gap);
+        } else {
+            this.container.appendChild(fragment);
+        }
+
+        if (this.onRendered) {
+            this.onRendered(this.container, range);
+        }
+    }
+
+    /**
+     * アイテムの高さを計測（gap を含む）
+     * @private
+     * @param {HTMLElement} item
+     * @param {number} gap - アイテム間の間隔
+     */
+    _measure(item, gap) {
+        const height = item?.offsetHeight || 0;
+        if (height > 0) {
+            this.itemHeight = height + gap;
+        }
+    }
+
+    /**
+     * スペーサーの高さを更新
+     * スペーサー自身の後ろにも gap が入るため、その分を差し引く
+     * @private
+     * @param {number} gap - アイテム間の間隔
+     */
+    _updateSpacers(gap) {
+        const before = this.range.start;
+        const after = this.itemCount - this.range.end;
+
+        this.topSpacer.style.height = `${Math.max(0, before * this.itemHeight - gap)}px`;
+        this.bottomSpacer.style.height = `${Math.max(0, after * this.itemHeight - gap)}px`;
+        this.topSpacer.style.display = before > 0 ? 'block' : 'none';
+        this.bottomSpacer.style.display = after > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * スクロール時に表示範囲が変わっていれば描画し直す
+     */
+    handleScroll() {
+        if (!this.isVirtualized() || this.frameRequested) return;
+
+        this.frameRequested = true;
+        const schedule = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame
+            : (fn) => setTimeout(fn, 16);
+
+        schedule(() => {
+            this.frameRequested = false;
+            const range = this._computeRange();
+            if (range.start !== this.range.start || range.end !== this.range.end) {
+                this._renderRange(range);
+            }
+        });
+    }
+
+    /**
+     * リサイズ時は gap を計測し直す
+     */
+    handleResize() {
+        this.gap = null;
+        this.handleScroll();
+    }
+
+    /**
+     * イベントリスナーを解除
+     */
+    destroy() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('scroll', this.handleScroll);
+            window.removeEventListener('resize', this.handleResize);
+        }
+    }
+}
+
+// Export for use in other modules
+export { VirtualList, computeVisibleRange, DEFAULT_THRESHOLD as VIRTUALIZE_THRESHOLD };
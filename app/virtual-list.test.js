@@ -0,0 +1,117 @@
+/**
+ * Virtual List Tests
+ * 投稿キューの仮想スクロール描画
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { VirtualList, computeVisibleRange, VIRTUALIZE_THRESHOLD } from './virtual-list.js';
+
+describe('computeVisibleRange', () => {
+    it('should cover the viewport plus overscan', () => {
+        const range = computeVisibleRange({ itemCount: 500, itemHeight: 100, scrollTop: 1000, viewportHeight: 500, overscan: 2 });
+        expect(range).toEqual({ start: 8, end: 18 });
+    });
+
+    it('should return an empty range for an empty list', () => {
+        expect(computeVisibleRange({ itemCount: 0, itemHeight: 100, scrollTop: 0, viewportHeight: 500 })).toEqual({ start: 0, end: 0 });
+    });
+
+    it('Property: range is within bounds and contains the first visible item', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 1, max: 2000 }),
+                fc.integer({ min: 1, max: 500 }),
+                fc.integer({ min: -1000, max: 500000 }),
+                fc.integer({ min: 0, max: 2000 }),
+                fc.integer({ min: 0, max: 10 }),
+                (itemCount, itemHeight, scrollTop, viewportHeight, overscan) => {
+                    const { start, end } = computeVisibleRange({ itemCount, itemHeight, scrollTop, viewportHeight, overscan });
+
+                    expect(start).toBeGreaterThanOrEqual(0);
+                    expect(end).toBeLessThanOrEqual(itemCount);
+                    expect(start).toBeLessThan(end);
+                    expect(end - start).toBeLessThanOrEqual(Math.ceil(viewportHeight / itemHeight) + 1 + overscan * 2);
+
+                    const first = Math.floor(Math.max(0, scrollTop) / itemHeight);
+                    if (first < itemCount) {
+                        expect(start).toBeLessThanOrEqual(first);
+                        expect(end).toBeGreaterThan(first);
+                    }
+                }
+            ),
+            { numRuns: 200 }
+        );
+    });
+});
+
+describe('VirtualList', () => {
+    let container;
+    let list;
+    let containerTop;
+
+    const createList = () => new VirtualList({
+        container,
+        renderItem: (index) => {
+            const item = document.createElement('div');
+            item.className = 'queue-item';
+            item.dataset.index = index;
+            return item;
+        },
+        estimatedItemHeight: 100,
+        overscan: 2
+    });
+
+    const renderedIndices = () => [...container.querySelectorAll('.queue-item')].map(el => Number(el.dataset.index));
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        containerTop = 0;
+        container.getBoundingClientRect = () => ({ top: containerTop });
+        vi.stubGlobal('innerHeight', 500);
+        vi.stubGlobal('requestAnimationFrame', (fn) => fn());
+        list = createList();
+    });
+
+    afterEach(() => {
+        list.destroy();
+        container.remove();
+        vi.unstubAllGlobals();
+    });
+
+    it('should render every item up to the threshold', () => {
+        list.render(VIRTUALIZE_THRESHOLD);
+
+        expect(renderedIndices()).toHaveLength(VIRTUALIZE_THRESHOLD);
+        expect(container.querySelector('.virtual-list-spacer')).toBeNull();
+    });
+
+    it('should only render the visible window of a 500 item queue', () => {
+        list.render(500);
+
+        expect(renderedIndices()).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+        expect(container.querySelector('.virtual-list-spacer-bottom').style.height).toBe(`${(500 - 8) * 100}px`);
+        expect(container.querySelector('.virtual-list-spacer-top').style.display).toBe('none');
+    });
+
+    it('should move the window when the page scrolls', () => {
+        list.render(500);
+
+        containerTop = -20000;
+        list.handleScroll();
+
+        const indices = renderedIndices();
+        expect(indices[0]).toBe(198);
+        expect(indices).toContain(200);
+        expect(indices.length).toBeLessThanOrEqual(12);
+        expect(container.querySelector('.virtual-list-spacer-top').style.height).toBe(`${198 * 100}px`);
+    });
+
+    it('should clear items when the queue becomes empty', () => {
+        list.render(500);
+        list.render(0);
+
+        expect(container.children).toHaveLength(0);
+    });
+});
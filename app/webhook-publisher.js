@@ -0,0 +1,269 @@
+/**
+ * Webhook Publisher
+ * 任意の URL（n8n / Zapier / 自前のサーバーなど）に JSON を POST する汎用の Webhook パブリッシャー
+ *
+ * - ボディは対応表のテンプレート（JSON）から組み立てる
+ *   値が "{{posts.x1}}" だけの文字列はその値をそのまま（オブジェクト・配列・数値も）入れ、
+ *   "📸 {{event.eventJp}}" のように文字列の一部に書いた場合は文字列として埋め込む
+ * - 参照できる値は Make.com Webhook と同じペイロード（buildWebhookPayload）と postId
+ * - 任意のヘッダーを付けられ、シークレットを設定すると HMAC-SHA256 の署名を付ける
+ *   署名は `${タイムスタンプ}.${ボディ}` に対して計算し、受信側はタイムスタンプが古いものを拒否して再送を防ぐ
+ */
+
+import { PublishError, publisherRegistry, buildWebhookPayload, readResponseText, runOnce } from './publishers.js';
+import { X_TEXT_LIMIT } from './x-text-counter.js';
+
+const WEBHOOK_SIGNATURE_HEADER = 'X-AutoPost-Signature';
+const WEBHOOK_TIMESTAMP_HEADER = 'X-AutoPost-Timestamp';
+
+// 既定の対応表（投稿文・イベント・人物・ブース・画像）
+const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify({
+    timestamp: '{{timestamp}}',
+    postId: '{{postId}}',
+    text: '{{posts.x1}}',
+    replies: '{{posts.x1Replies}}',
+    event: '{{event}}',
+    person: '{{person}}',
+    booth: '{{booth}}',
+    images: '{{images}}'
+}, null, 2);
+
+// 値が1つのプレースホルダーだけの文字列
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * 対応表・ヘッダーの設定の誤り
+ */
+class WebhookTemplateError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookTemplateError';
+    }
+}
+
+/**
+ * 対応表のテンプレートを読む
+ * @param {string|Object} template - JSON の文字列または解析済みのオブジェクト（空欄は既定の対応表）
+ * @returns {Object|Array}
+ * @throws {WebhookTemplateError}
+ */
+function parseWebhookTemplate(template) {
+    if (template && typeof template === 'object') return template;
+
+    const source = String(template || '').trim() || DEFAULT_WEBHOOK_TEMPLATE;
+    let parsed;
+    try {
+        parsed = JSON.parse(source);
+    } catch (error) {
+        throw new WebhookTemplateError(`対応表が JSON として読めません: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object') {
+        throw new WebhookTemplateError('対応表は JSON のオブジェクトか配列で書いてください');
+    }
+    return parsed;
+}
+
+/**
+ * ヘッダーの設定を読む（1行に「名前: 値」）
+ * @param {string} text
+ * @returns {Object<string, string>}
+ * @throws {WebhookTemplateError}
+ */
+function parseWebhookHeaders(text) {
+    const headers = {};
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        const match = /^\s*([!#$%&'*+.^`|~\w-]+)\s*:\s*(.*?)\s*$/.exec(line);
+        if (!match) {
+            throw new WebhookTemplateError(`ヘッダーの${index + 1}行目が「名前: 値」の形式ではありません`);
+        }
+        headers[match[1]] = match[2];
+    });
+    return headers;
+}
+
+/**
+ * ドット区切りのパスで値を取り出す（images.0.alt など）
+ * @param {Object} data
+ * @param {string} path
+ * @returns {*}
+ */
+function resolvePath(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * 対応表に値を埋め込む
+ * @param {*} template - parseWebhookTemplate の結果
+ * @param {Object} data - 参照できる値
+ * @returns {*}
+ */
+function renderWebhookTemplate(template, data) {
+    if (Array.isArray(template)) {
+        return template.map(item => renderWebhookTemplate(item, data));
+    }
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderWebhookTemplate(value, data)]));
+    }
+    if (typeof template !== 'string') return template;
+
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    if (whole) {
+        return resolvePath(data, whole[1]) ?? null;
+    }
+    return template.replace(PLACEHOLDER, (_, path) => {
+        const value = resolvePath(data, path);
+        if (value == null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+}
+
+/**
+ * HMAC-SHA256 の署名（sha256=16進数）
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix 時間（秒）
+ * @param {string} body
+ * @returns {Promise<string>}
+ */
+async function signWebhookBody(secret, timestamp, body) {
+    const encoder = new TextEncoder();
+    const key = await globalThis.crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `sha256=${hex}`;
+}
+
+class WebhookPublisher {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - 送信先の URL
+     * @param {string|Object} [options.template] - 対応表（空欄は DEFAULT_WEBHOOK_TEMPLATE）
+     * @param {string} [options.headers] - 追加のヘッダー（1行に「名前: 値」）
+     * @param {string} [options.secret] - 署名のシークレット（空欄は署名しない）
+     * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+     */
+    constructor({ url = '', template = '', headers = '', secret = '', fetchImpl = null } = {}) {
+        this.id = 'webhook';
+        this.label = '汎用 Webhook';
+        // 既定の対応表は X の投稿文（posts.x1 と続きの posts.x1Replies）を送る
+        this.textLimit = X_TEXT_LIMIT;
+        this.url = url.trim();
+        this.template = template;
+        this.headers = headers;
+        this.secret = secret;
+        this.fetchImpl = fetchImpl;
+        this.notConfiguredMessage = 'Webhook の送信先 URL が設定されていません';
+    }
+
+    isConfigured() {
+        return !!this.url;
+    }
+
+    /**
+     * 送信するリクエストを組み立てる（送信内容の確認にも使う）
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {import('./publishers.js').PublishContext} context
+     * @param {Object} [options]
+     * @param {number} [options.now] - 送信日時（ミリ秒）
+     * @returns {Promise<{url: string, method: string, headers: Object<string, string>, body: string}>}
+     * @throws {WebhookTemplateError}
+     */
+    async buildRequest(post, context, { now = Date.now() } = {}) {
+        const timestamp = Math.floor(now / 1000);
+        const data = {
+            ...buildWebhookPayload(post, context),
+            timestamp: new Date(now).toISOString(),
+            postId: post.id || null
+        };
+        const body = JSON.stringify(renderWebhookTemplate(parseWebhookTemplate(this.template), data));
+
+        const headers = {
+            'Content-Type': 'application/json',
+            ...parseWebhookHeaders(this.headers),
+            [WEBHOOK_TIMESTAMP_HEADER]: String(timestamp)
+        };
+        if (this.secret) {
+            headers[WEBHOOK_SIGNATURE_HEADER] = await signWebhookBody(this.secret, timestamp, body);
+        }
+
+        return { url: this.url, method: 'POST', headers, body };
+    }
+
+    /**
+     * @param {Object} post
+     * @param {import('./publishers.js').PublishContext} context
+     * @returns {Promise<import('./publishers.js').PublishResult>}
+     */
+    async publish(post, context) {
+        if (!this.isConfigured()) {
+            throw new PublishError(this.notConfiguredMessage, { platform: this.id });
+        }
+
+        let request;
+        try {
+            request = await this.buildRequest(post, context);
+        } catch (error) {
+            throw new PublishError(error.message, { platform: this.id });
+        }
+
+        const fetchFn = this.fetchImpl || globalThis.fetch;
+        const retry = context.retry || runOnce;
+        // 1リクエストだけのため、同じ本文と署名で送り直す（受信側は postId で重複を判定できる）
+        await retry(async () => {
+            let response;
+            try {
+                response = await fetchFn(request.url, {
+                    method: request.method,
+                    headers: request.headers,
+                    body: request.body
+                });
+            } catch (error) {
+                throw new PublishError(error.message || 'Network error', { platform: this.id, network: true });
+            }
+
+            if (!response.ok) {
+                const body = await readResponseText(response);
+                throw new PublishError(`Webhook request failed: ${response.status}`, {
+                    status: response.status,
+                    body,
+                    platform: this.id
+                });
+            }
+        });
+
+        return { platform: this.id, postId: null, url: null };
+    }
+}
+
+publisherRegistry.register('webhook', {
+    label: '汎用 Webhook',
+    create: (settings) => new WebhookPublisher({
+        url: settings.webhookUrl || '',
+        template: settings.webhookTemplate || '',
+        headers: settings.webhookHeaders || '',
+        secret: settings.webhookSecret || ''
+    })
+});
+
+// Export for use in other modules
+export {
+    WebhookPublisher,
+    WebhookTemplateError,
+    parseWebhookTemplate,
+    parseWebhookHeaders,
+    renderWebhookTemplate,
+    signWebhookBody,
+    DEFAULT_WEBHOOK_TEMPLATE,
+    WEBHOOK_SIGNATURE_HEADER,
+    WEBHOOK_TIMESTAMP_HEADER
+};
@@ -0,0 +1,164 @@
+// @vitest-environment node
+/**
+ * Tests for Webhook Publisher
+ * 対応表からのボディの組み立て・ヘッダー・署名と、ローカルのモック受信サーバーへの送信
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'node:crypto';
+import {
+    WebhookPublisher,
+    WebhookTemplateError,
+    parseWebhookTemplate,
+    parseWebhookHeaders,
+    renderWebhookTemplate,
+    signWebhookBody
+} from './webhook-publisher.js';
+import { PublishError, createPublisher } from './publishers.js';
+import { startMockWebhookServer } from '../test/mock-webhook-server.js';
+
+const imageBase64 = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+
+const samplePost = {
+    id: 'post-1',
+    personName: '世森 響',
+    personRole: 'RQ',
+    personAccount: '@hibikiyomori',
+    boothName: 'SEGA',
+    boothAccount: '@SEGA_OFFICIAL',
+    images: [{ base64: imageBase64, alt: 'ブースの全景' }]
+};
+
+const sampleContext = {
+    event: { eventJp: '東京ゲームショウ2025', hashtags: '#TGS2025' },
+    templates: { x1: 'X の本文', x2: '2枚目', ig: 'Instagram の本文', replies: { x1: ['続き'] } }
+};
+
+describe('WebhookPublisher', () => {
+    describe('templates', () => {
+        it('should keep the type of whole placeholders and embed the rest as text', () => {
+            const data = { posts: { x1: '本文' }, images: [{ alt: 'A' }], count: 2, event: { eventJp: 'TGS' } };
+            const template = {
+                text: '{{posts.x1}}',
+                images: '{{ images }}',
+                count: '{{count}}',
+                title: '📸 {{event.eventJp}} ({{count}}) {{event}}',
+                alt: '{{images.0.alt}}',
+                missing: '{{posts.none}}',
+                list: ['{{event.eventJp}}', 1, true, null]
+            };
+
+            expect(renderWebhookTemplate(template, data)).toEqual({
+                text: '本文',
+                images: [{ alt: 'A' }],
+                count: 2,
+                title: '📸 TGS (2) {"eventJp":"TGS"}',
+                alt: 'A',
+                missing: null,
+                list: ['TGS', 1, true, null]
+            });
+        });
+
+        it('should report unreadable templates and headers', () => {
+            expect(() => parseWebhookTemplate('{"text": ')).toThrow(WebhookTemplateError);
+            expect(() => parseWebhookTemplate('"text"')).toThrow('JSON のオブジェクトか配列');
+            expect(parseWebhookTemplate('')).toHaveProperty('text', '{{posts.x1}}');
+
+            expect(parseWebhookHeaders('Authorization: Bearer abc\n\nX-Source :  autopost ')).toEqual({
+                Authorization: 'Bearer abc',
+                'X-Source': 'autopost'
+            });
+            expect(() => parseWebhookHeaders('Authorization Bearer abc')).toThrow('1行目');
+        });
+
+        it('should sign the timestamp and body with HMAC-SHA256', async () => {
+            const signature = await signWebhookBody('secret', 1750000000, '{"a":1}');
+            const expected = crypto.createHmac('sha256', 'secret').update('1750000000.{"a":1}').digest('hex');
+
+            expect(signature).toBe(`sha256=${expected}`);
+        });
+    });
+
+    describe('buildRequest', () => {
+        it('should build the exact request without sending it', async () => {
+            const publisher = new WebhookPublisher({
+                url: 'https://n8n.example.com/webhook/1',
+                template: '{"id": "{{postId}}", "at": "{{timestamp}}", "text": "{{posts.x1}}", "replies": "{{posts.x1Replies}}", "person": "{{person.name}} {{personAccounts.x}}"}',
+                headers: 'Authorization: Bearer abc',
+                secret: 'secret'
+            });
+            const now = Date.UTC(2025, 8, 25, 1, 2, 3);
+
+            const request = await publisher.buildRequest(samplePost, sampleContext, { now });
+
+            expect(JSON.parse(request.body)).toEqual({
+                id: 'post-1',
+                at: '2025-09-25T01:02:03.000Z',
+                text: 'X の本文',
+                replies: ['続き'],
+                person: '世森 響 @hibikiyomori'
+            });
+            expect(request.headers).toEqual({
+                'Content-Type': 'application/json',
+                Authorization: 'Bearer abc',
+                'X-AutoPost-Timestamp': String(now / 1000),
+                'X-AutoPost-Signature': await signWebhookBody('secret', now / 1000, request.body)
+            });
+        });
+    });
+
+    describe('publish', () => {
+        let server;
+
+        beforeEach(async () => {
+            server = await startMockWebhookServer({ secret: 'secret' });
+        });
+
+        afterEach(async () => {
+            await server.close();
+        });
+
+        it('should deliver a signed payload the receiver can verify', async () => {
+            const publisher = createPublisher({
+                publisher: 'webhook',
+                webhookUrl: server.url,
+                webhookSecret: 'secret',
+                webhookHeaders: 'X-Source: autopost'
+            });
+
+            const result = await publisher.publish(samplePost, sampleContext);
+
+            expect(result).toEqual({ platform: 'webhook', postId: null, url: null });
+            expect(server.deliveries).toHaveLength(1);
+            expect(server.deliveries[0].headers['x-source']).toBe('autopost');
+            expect(server.deliveries[0].body).toMatchObject({
+                postId: 'post-1',
+                text: 'X の本文',
+                replies: ['続き'],
+                person: { name: '世森 響', account: '@hibikiyomori' },
+                images: [{ base64: imageBase64, alt: 'ブースの全景' }]
+            });
+        });
+
+        it('should fail with the status when the receiver rejects the signature', async () => {
+            const publisher = new WebhookPublisher({ url: server.url, secret: 'wrong' });
+
+            const error = await publisher.publish(samplePost, sampleContext).catch(e => e);
+
+            expect(error).toBeInstanceOf(PublishError);
+            expect(error.status).toBe(401);
+            expect(error.body).toContain('invalid signature');
+            expect(server.deliveries).toHaveLength(0);
+        });
+
+        it('should not send when the template or URL is invalid', async () => {
+            const broken = new WebhookPublisher({ url: server.url, template: '{' });
+            const error = await broken.publish(samplePost, sampleContext).catch(e => e);
+
+            expect(error).toBeInstanceOf(PublishError);
+            expect(error.message).toContain('対応表');
+            expect(server.requests).toHaveLength(0);
+            await expect(new WebhookPublisher().publish(samplePost, sampleContext)).rejects.toThrow('送信先 URL');
+        });
+    });
+});
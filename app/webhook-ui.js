@@ -0,0 +1,119 @@
+/**
+ * Webhook UI
+ * 汎用 Webhook の設定欄（対応表を既定に戻す）と送信内容の確認（実際に送るリクエストを送信せずに表示）
+ */
+
+import { WebhookPublisher, DEFAULT_WEBHOOK_TEMPLATE } from './webhook-publisher.js';
+
+// 表示で省略する data URL の長さ
+const MAX_PREVIEW_DATA_URL = 64;
+
+// 最後に確認したボディ（コピー用）
+let previewBody = '';
+
+/**
+ * トーストを表示
+ * @param {string} message
+ * @param {string} type
+ */
+function notify(message, type) {
+    if (typeof window.showToast === 'function') {
+        window.showToast(message, type);
+    }
+}
+
+/**
+ * 設定欄の入力値からパブリッシャーを作る（保存前の値で確認できるようにする）
+ * @returns {WebhookPublisher}
+ */
+function createPreviewPublisher() {
+    const value = id => document.getElementById(id)?.value || '';
+    return new WebhookPublisher({
+        url: value('webhook-url') || 'https://example.com/webhook',
+        template: value('webhook-template'),
+        headers: value('webhook-headers'),
+        secret: value('webhook-secret')
+    });
+}
+
+/**
+ * 表示用にボディを整える（画像の data URL は省略）
+ * @param {string} body
+ * @returns {string}
+ */
+function formatPreviewBody(body) {
+    const parsed = JSON.parse(body);
+    return JSON.stringify(parsed, (key, value) => (
+        typeof value === 'string' && value.startsWith('data:') && value.length > MAX_PREVIEW_DATA_URL
+            ? `${value.slice(0, MAX_PREVIEW_DATA_URL)}…（${Math.round(value.length / 1024)}KB）`
+            : value
+    ), 2);
+}
+
+/**
+ * 送信内容の確認を開く
+ * @param {Function} getPreviewPost - () => Promise<{post, context}|null>
+ */
+async function openPreview(getPreviewPost) {
+    const modal = document.getElementById('webhook-preview-modal');
+    const output = document.getElementById('webhook-preview-output');
+    const note = document.getElementById('webhook-preview-note');
+    if (!modal || !output) return;
+
+    let request;
+    let target;
+    try {
+        target = await getPreviewPost();
+        if (!target) {
+            notify('確認に使う投稿がありません。投稿をキューに追加してください', 'info');
+            return;
+        }
+        request = await createPreviewPublisher().buildRequest(target.post, target.context);
+    } catch (error) {
+        console.error('[WebhookUI] Preview failed:', error);
+        notify(error.message, 'error');
+        return;
+    }
+
+    previewBody = request.body;
+    output.textContent = [
+        `${request.method} ${request.url}`,
+        ...Object.entries(request.headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        formatPreviewBody(request.body)
+    ].join('\n');
+    if (note) {
+        note.textContent = `${target.label} を送信した場合の内容です（送信はしていません）。タイムスタンプと署名は送信時に計算し直し、署名は整形前のボディ（コピーできます）に対して計算します。画像のデータは省略して表示しています`;
+    }
+    modal.classList.add('active');
+}
+
+/**
+ * 確認したボディをコピー
+ */
+async function copyPreviewBody() {
+    try {
+        await navigator.clipboard.writeText(previewBody);
+        notify('ボディをコピーしました', 'success');
+    } catch (error) {
+        notify('コピーできませんでした', 'error');
+    }
+}
+
+/**
+ * Webhook の設定UIを初期化
+ * @param {Object} options
+ * @param {Function} options.getPreviewPost - 確認に使う投稿と送信コンテキスト（{ post, context, label }）を返す
+ */
+export function initWebhookUI({ getPreviewPost }) {
+    const closePreview = () => document.getElementById('webhook-preview-modal')?.classList.remove('active');
+
+    document.getElementById('webhook-template-reset-btn')?.addEventListener('click', () => {
+        const textarea = document.getElementById('webhook-template');
+        if (textarea) textarea.value = DEFAULT_WEBHOOK_TEMPLATE;
+    });
+    document.getElementById('webhook-preview-btn')?.addEventListener('click', () => openPreview(getPreviewPost));
+    document.getElementById('webhook-preview-copy-btn')?.addEventListener('click', copyPreviewBody);
+    document.getElementById('close-webhook-preview')?.addEventListener('click', closePreview);
+    document.getElementById('close-webhook-preview-btn')?.addEventListener('click', closePreview);
+}
@@ -0,0 +1,257 @@
+/**
+ * X API v2 Publisher
+ * Make.com を経由せず X API v2 に直接投稿するパブリッシャー
+ *
+ * 1. POST /2/media/upload で写真（最大4枚）をアップロード
+ * 2. POST /2/media/metadata で ALT テキストを設定
+ * 3. POST /2/tweets で x1 テキストと media_id を投稿（スレッドの場合は親ツイートへの返信）
+ * 4. 文字数の上限で分けた続きを返信として投稿
+ *    続きで失敗した場合は投稿済みの本体のIDと残りの続きを PublishError の partial で返し、
+ *    その投稿（post.pendingReplies）を再送信すると本体は投稿せずに残りの続きだけを投稿する
+ * 再試行（context.retry）は画像のアップロードと ALT の設定だけに使い、ツイートの作成は再試行しない
+ * （タイムアウトや 5xx でも作成済みのことがあり、重複を防ぐ仕組みがないため）
+ */
+
+import {
+    PublishError,
+    publisherRegistry,
+    dataUrlToBlob,
+    readResponseText,
+    runOnce
+} from './publishers.js';
+import { getPostImages } from './post-composition.js';
+import { X_TEXT_LIMIT } from './x-text-counter.js';
+
+const DEFAULT_X_API_BASE_URL = 'https://api.x.com';
+
+// x1 と続き（replies.x1）だけを投稿する（x2 と言語ごとの投稿文は送らない）
+const X_API_TEXT_LIMIT = Object.freeze({ ...X_TEXT_LIMIT, targets: ['x1'], localized: false });
+
+class XApiPublisher {
+    /**
+     * @param {Object} options
+     * @param {string} options.accessToken - OAuth 2.0 ユーザーアクセストークン（tweet.write, media.write）
+     * @param {string} [options.apiBaseUrl] - APIのベースURL（テスト時はモックサーバー）
+     * @param {Function} [options.fetchImpl] - fetch実装（テスト用）
+     */
+    constructor({ accessToken = '', apiBaseUrl = DEFAULT_X_API_BASE_URL, fetchImpl = null } = {}) {
+        this.id = 'x';
+        this.label = 'X API v2';
+        this.textLimit = X_API_TEXT_LIMIT;
+        this.accessToken = accessToken;
+        this.apiBaseUrl = (apiBaseUrl || DEFAULT_X_API_BASE_URL).replace(/\/+$/, '');
+        this.fetchImpl = fetchImpl;
+        this.notConfiguredMessage = 'X APIのアクセストークンが設定されていません';
+    }
+
+    isConfigured() {
+        return !!this.accessToken;
+    }
+
+    /**
+     * X API にリクエストを送り JSON を返す
+     * @param {string} path - APIパス
+     * @param {Object} init - fetchのオプション
+     * @returns {Promise<Object>}
+     */
+    async _request(path, init) {
+        const fetchFn = this.fetchImpl || globalThis.fetch;
+        const headers = {
+            'Authorization': `Bearer ${this.accessToken}`,
+            ...(init.headers || {})
+        };
+
+        let response;
+        try {
+            response = await fetchFn(`${this.apiBaseUrl}${path}`, { ...init, headers });
+        } catch (error) {
+            throw new PublishError(error.message || 'Network error', { platform: this.id, network: true });
+        }
+
+        const body = await readResponseText(response);
+
+        if (!response.ok) {
+            throw new PublishError(`X API request failed: ${response.status} ${path}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+
+        try {
+            return body ? JSON.parse(body) : {};
+        } catch (error) {
+            throw new PublishError(`X API returned invalid JSON: ${path}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+    }
+
+    /**
+     * 画像をアップロードして media_id を取得
+     * @param {string} imageDataUrl - data URL 形式の画像
+     * @returns {Promise<string>} - media_id
+     */
+    async uploadMedia(imageDataUrl) {
+        const blob = dataUrlToBlob(imageDataUrl);
+        const form = new FormData();
+        form.append('media', blob, 'photo');
+        form.append('media_category', 'tweet_image');
+
+        const data = await this._request('/2/media/upload', {
+            method: 'POST',
+            body: form
+        });
+
+        const mediaId = data?.data?.id;
+        if (!mediaId) {
+            throw new PublishError('X API did not return a media id', { platform: this.id });
+        }
+        return mediaId;
+    }
+
+    /**
+     * 画像に ALT テキストを設定
+     * @param {string} mediaId - media_id
+     * @param {string} altText - ALTテキスト（1000文字まで）
+     * @returns {Promise<void>}
+     */
+    async setMediaAltText(mediaId, altText) {
+        await this._request('/2/media/metadata', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: mediaId,
+                metadata: { alt_text: { text: altText.slice(0, 1000) } }
+            })
+        });
+    }
+
+    /**
+     * ツイートを作成
+     * @param {string} text - 本文
+     * @param {Array<string>} mediaIds - media_id の配列
+     * @param {string|null} [inReplyToId] - 返信先のツイートID
+     * @returns {Promise<string>} - ツイートID
+     */
+    async createTweet(text, mediaIds = [], inReplyToId = null) {
+        const body = { text };
+        if (mediaIds.length > 0) {
+            body.media = { media_ids: mediaIds };
+        }
+        if (inReplyToId) {
+            body.reply = { in_reply_to_tweet_id: inReplyToId };
+        }
+
+        const data = await this._request('/2/tweets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const tweetId = data?.data?.id;
+        if (!tweetId) {
+            throw new PublishError('X API did not return a tweet id', { platform: this.id });
+        }
+        return tweetId;
+    }
+
+    /**
+     * 投稿を送信
+     * @param {Object} post - 投稿キューのアイテム
+     * @param {import('./publishers.js').PublishContext} context
+     * @returns {Promise<import('./publishers.js').PublishResult>}
+     */
+    async publish(post, { templates, parent = null, retry = runOnce }) {
+        if (!this.isConfigured()) {
+            throw new PublishError(this.notConfiguredMessage, { platform: this.id });
+        }
+
+        // 前回の送信で続きだけ失敗した投稿は、残りの続きだけを投稿する
+        const pending = post.pendingReplies;
+        if (pending?.platform === this.id && pending.postId) {
+            await this.postReplies(pending.postId, pending.replyToId || pending.postId, pending.replies || []);
+            return this._toResult(pending.postId);
+        }
+
+        let inReplyToId = null;
+        if (parent) {
+            if (parent.publishedPlatform !== this.id || !parent.publishedId) {
+                throw new PublishError('返信先の投稿がXに投稿されていないためスレッドにできません', { platform: this.id });
+            }
+            inReplyToId = parent.publishedId;
+        }
+
+        const mediaIds = [];
+        for (const image of getPostImages(post)) {
+            const mediaId = await retry(() => this.uploadMedia(image.base64));
+            if (image.alt) {
+                await retry(() => this.setMediaAltText(mediaId, image.alt));
+            }
+            mediaIds.push(mediaId);
+        }
+
+        const tweetId = await this.createTweet(templates.x1, mediaIds, inReplyToId);
+
+        // 文字数の上限でスレッドに分けた続きを返信として投稿する
+        await this.postReplies(tweetId, tweetId, templates.replies?.x1 || []);
+
+        return this._toResult(tweetId);
+    }
+
+    /**
+     * スレッドの続きを順に返信として投稿
+     * @param {string} tweetId - 投稿済みの本体のID
+     * @param {string} replyToId - 最初の続きの返信先
+     * @param {Array<string>} replies - 続きの本文
+     * @returns {Promise<void>}
+     * @throws {PublishError} - partial に本体のIDと残りの続きを入れる（本体は投稿済みのため再試行しない）
+     */
+    async postReplies(tweetId, replyToId, replies) {
+        for (let index = 0; index < replies.length; index++) {
+            try {
+                replyToId = await this.createTweet(replies[index], [], replyToId);
+            } catch (error) {
+                throw new PublishError(`スレッドの続きの投稿に失敗しました（${index + 1}/${replies.length}）: ${error.message}`, {
+                    status: error.status ?? null,
+                    body: error.body || '',
+                    platform: this.id,
+                    network: !!error.network,
+                    partial: {
+                        platform: this.id,
+                        postId: tweetId,
+                        url: this._toResult(tweetId).url,
+                        replyToId,
+                        replies: replies.slice(index)
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} tweetId
+     * @returns {import('./publishers.js').PublishResult}
+     */
+    _toResult(tweetId) {
+        return {
+            platform: this.id,
+            postId: tweetId,
+            url: `https://x.com/i/web/status/${tweetId}`
+        };
+    }
+}
+
+publisherRegistry.register('x', {
+    label: 'X API v2',
+    create: (settings) => new XApiPublisher({
+        accessToken: settings.xAccessToken || '',
+        apiBaseUrl: settings.xApiBaseUrl || DEFAULT_X_API_BASE_URL
+    })
+});
+
+// Export for use in other modules
+export { XApiPublisher, DEFAULT_X_API_BASE_URL };
@@ -0,0 +1,185 @@
+// @vitest-environment node
+/**
+ * Tests for X API v2 Publisher
+ * ローカルのモックXサーバーに対して送信フローを検証
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequestRetry } from './retry-policy.js';
+import { XApiPublisher } from './x-publisher.js';
+import { PublishError } from './publishers.js';
+import { startMockXServer } from '../test/mock-x-server.js';
+
+const samplePost = {
+    imageBase64: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==',
+    personName: '世森 響',
+    personAccount: '@hibiki'
+};
+
+const sampleContext = {
+    event: {},
+    templates: { x1: '📸 Tokyo Game Show 2025\n世森 響 さん @hibiki', x2: '', ig: '' }
+};
+
+describe('XApiPublisher', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startMockXServer({ accessToken: 'test-token' });
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('should upload media and create a tweet with the x1 text', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+
+        const result = await publisher.publish(samplePost, sampleContext);
+
+        expect(server.media).toHaveLength(1);
+        expect(server.media[0].category).toBe('tweet_image');
+        expect(server.tweets).toHaveLength(1);
+        expect(server.tweets[0].text).toBe(sampleContext.templates.x1);
+        expect(server.tweets[0].media.media_ids).toEqual([server.media[0].id]);
+
+        expect(result.platform).toBe('x');
+        expect(result.postId).toBe(server.tweets[0].id);
+        expect(result.url).toBe(`https://x.com/i/web/status/${server.tweets[0].id}`);
+    });
+
+    it('should send the bearer token on every request', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+        await publisher.publish(samplePost, sampleContext);
+
+        expect(server.requests.map(r => r.path)).toEqual(['/2/media/upload', '/2/tweets']);
+        server.requests.forEach(r => expect(r.headers.authorization).toBe('Bearer test-token'));
+    });
+
+    it('should create a text-only tweet when there is no image', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+        await publisher.publish({ ...samplePost, imageBase64: null }, sampleContext);
+
+        expect(server.media).toHaveLength(0);
+        expect(server.tweets[0].media).toBeUndefined();
+    });
+
+    it('should upload every image and attach alt text', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+        const post = {
+            ...samplePost,
+            images: [
+                { base64: samplePost.imageBase64, alt: 'ブースの全景' },
+                { base64: samplePost.imageBase64, alt: '' },
+                { base64: samplePost.imageBase64, alt: '笑顔のアップ' }
+            ]
+        };
+
+        await publisher.publish(post, sampleContext);
+
+        expect(server.media.map(m => m.altText)).toEqual(['ブースの全景', null, '笑顔のアップ']);
+        expect(server.tweets[0].media.media_ids).toEqual(server.media.map(m => m.id));
+    });
+
+    it('should reply to the parent tweet when the post is part of a thread', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+
+        const root = await publisher.publish(samplePost, sampleContext);
+        const parent = { id: 'root', publishedPlatform: 'x', publishedId: root.postId };
+        const reply = await publisher.publish({ ...samplePost, threadParentId: 'root' }, { ...sampleContext, parent });
+
+        expect(server.tweets[1].reply).toEqual({ in_reply_to_tweet_id: root.postId });
+        expect(reply.postId).toBe(server.tweets[1].id);
+    });
+
+    it('should post the rest of an over-length post as a reply chain', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+        const templates = { ...sampleContext.templates, replies: { x1: ['続き1', '続き2'] } };
+
+        const result = await publisher.publish(samplePost, { ...sampleContext, templates });
+
+        expect(server.tweets.map(tweet => tweet.text)).toEqual([templates.x1, '続き1', '続き2']);
+        expect(server.tweets[1].reply).toEqual({ in_reply_to_tweet_id: server.tweets[0].id });
+        expect(server.tweets[2].reply).toEqual({ in_reply_to_tweet_id: server.tweets[1].id });
+        expect(server.tweets[1].media).toBeUndefined();
+        expect(result.postId).toBe(server.tweets[0].id);
+    });
+
+    it('should report a failed reply with the posted tweet and resume with the remaining replies', async () => {
+        await server.close();
+        let unavailable = true;
+        server = await startMockXServer({ accessToken: 'test-token', rejectTweet: payload => unavailable && payload.text === '続き2' });
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+        const templates = { ...sampleContext.templates, replies: { x1: ['続き1', '続き2', '続き3'] } };
+
+        const error = await publisher.publish(samplePost, { ...sampleContext, templates }).catch(e => e);
+
+        expect(error).toBeInstanceOf(PublishError);
+        expect(error.status).toBe(503);
+        expect(error.partial).toEqual({
+            platform: 'x',
+            postId: server.tweets[0].id,
+            url: `https://x.com/i/web/status/${server.tweets[0].id}`,
+            replyToId: server.tweets[1].id,
+            replies: ['続き2', '続き3']
+        });
+
+        unavailable = false;
+        const result = await publisher.publish({ ...samplePost, pendingReplies: error.partial }, { ...sampleContext, templates });
+
+        expect(server.tweets.map(tweet => tweet.text)).toEqual([templates.x1, '続き1', '続き2', '続き3']);
+        expect(server.tweets[2].reply).toEqual({ in_reply_to_tweet_id: server.tweets[1].id });
+        expect(server.media).toHaveLength(1);
+        expect(result.postId).toBe(server.tweets[0].id);
+    });
+
+    it('should refuse to reply to a parent that was not posted on X', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl });
+        const parent = { id: 'root', publishedPlatform: 'make', publishedId: null };
+
+        await expect(publisher.publish(samplePost, { ...sampleContext, parent })).rejects.toThrow(PublishError);
+        expect(server.requests).toHaveLength(0);
+    });
+
+    it('should retry a failed media upload but never retry the tweet itself', async () => {
+        const failures = { '/2/media/upload': 1, '/2/tweets': 1 };
+        const calls = [];
+        const fetchImpl = async (url, init) => {
+            const path = new URL(url).pathname;
+            calls.push(path);
+            if (failures[path] > 0) {
+                failures[path]--;
+                return new Response('busy', { status: 503 });
+            }
+            return fetch(url, init);
+        };
+        const publisher = new XApiPublisher({ accessToken: 'test-token', apiBaseUrl: server.baseUrl, fetchImpl });
+        const retry = createRequestRetry({ policy: { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 0, factor: 1, jitter: 0 } });
+
+        const error = await publisher.publish(samplePost, { ...sampleContext, retry }).catch(e => e);
+
+        expect(calls).toEqual(['/2/media/upload', '/2/media/upload', '/2/tweets']);
+        expect(server.media).toHaveLength(1);
+        expect(error).toBeInstanceOf(PublishError);
+        expect(error.status).toBe(503);
+    });
+
+    it('should surface API errors as PublishError', async () => {
+        const publisher = new XApiPublisher({ accessToken: 'wrong-token', apiBaseUrl: server.baseUrl });
+
+        const error = await publisher.publish(samplePost, sampleContext).catch(e => e);
+
+        expect(error).toBeInstanceOf(PublishError);
+        expect(error.status).toBe(401);
+        expect(error.platform).toBe('x');
+        expect(server.tweets).toHaveLength(0);
+    });
+
+    it('should refuse to publish without an access token', async () => {
+        const publisher = new XApiPublisher({ apiBaseUrl: server.baseUrl });
+
+        expect(publisher.isConfigured()).toBe(false);
+        await expect(publisher.publish(samplePost, sampleContext)).rejects.toThrow(PublishError);
+        expect(server.requests).toHaveLength(0);
+    });
+});
@@ -0,0 +1,359 @@
+/**
+ * X Text Counter
+ * X の重み付き文字数（twitter-text v3 と同じ数え方）と、上限を超えた投稿文の調整
+ *
+ * - U+0000〜U+10FF などのラテン文字・記号は 1、それ以外（かな・漢字・ハングルなど）は 2
+ * - 絵文字は結合された並び（ZWJ・国旗・キーキャップ）ごとに 2
+ * - URL は長さに関係なく 23
+ * - 上限は 280（日本語だけなら 140 文字）
+ *
+ * 上限と数え方は送信先ごとに違うため、調整は TextLimit で行う（既定は X_TEXT_LIMIT）
+ * Mastodon / Misskey / Bluesky は各パブリッシャーの textLimit（スレッドの続きは投稿しないため分割もしない）
+ */
+
+const X_MAX_WEIGHTED_LENGTH = 280;
+const X_URL_LENGTH = 23;
+
+// 重み 1 の範囲（twitter-text の設定 v3）
+const LIGHT_RANGES = [
+    [0x0000, 0x10FF],
+    [0x2000, 0x200D],
+    [0x2010, 0x201F],
+    [0x2032, 0x2037]
+];
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u;
+const URL_PATTERN = /https?:\/\/[^\s　]+|(?<![\w@./-])(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|net|org|jp|io|co|me|app|dev|info|tv|ly|gl|be|us|uk|kr|cn|tw)(?:\/[^\s　]*)?(?![\w.-])/giu;
+const TRAILING_HASHTAG_PATTERN = /[ \t　]*\n?[ \t　]*#[^\s#　]+[ \t　]*$/u;
+const ELLIPSIS = '…';
+
+// 上限を超えたときの調整方法
+const OVERFLOW_STRATEGIES = {
+    hashtags: '末尾のハッシュタグから削る',
+    comment: '一言コメントを短くする',
+    thread: 'スレッドに分割する',
+    none: '送信しない'
+};
+const DEFAULT_OVERFLOW_STRATEGY = 'hashtags';
+
+// 調整の一覧での投稿文の表示名（それ以外は TextLimit の label）
+const TARGET_LABELS = {
+    x1: 'X（1枚目）',
+    x2: 'X（2枚目以降）'
+};
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * 書記素（見た目の1文字）に分ける
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitGraphemes(text) {
+    return segmenter ? Array.from(segmenter.segment(text), part => part.segment) : Array.from(text);
+}
+
+/**
+ * 書記素の重み
+ * @param {string} grapheme
+ * @returns {number}
+ */
+function getGraphemeWeight(grapheme) {
+    if (EMOJI_PATTERN.test(grapheme)) return 2;
+    let weight = 0;
+    for (const char of grapheme) {
+        const codePoint = char.codePointAt(0);
+        weight += LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+    }
+    return weight;
+}
+
+/**
+ * X の重み付き文字数
+ * @param {string} text
+ * @returns {number}
+ */
+function getWeightedLength(text) {
+    const normalized = String(text ?? '').normalize('NFC');
+    let length = 0;
+    let lastIndex = 0;
+    for (const match of normalized.matchAll(URL_PATTERN)) {
+        length += splitGraphemes(normalized.slice(lastIndex, match.index)).reduce((sum, g) => sum + getGraphemeWeight(g), 0);
+        length += X_URL_LENGTH;
+        lastIndex = match.index + match[0].length;
+    }
+    return length + splitGraphemes(normalized.slice(lastIndex)).reduce((sum, g) => sum + getGraphemeWeight(g), 0);
+}
+
+/**
+ * 送信先の文字数の上限
+ * @typedef {Object} TextLimit
+ * @property {string} label - 送信先の表示名（'X' / 'Mastodon' など）
+ * @property {Array<string>} targets - 上限に収める投稿文（'x1' / 'x2' / 'bluesky' / 'fediverse'、ig は対象外）
+ * @property {number} max - 上限
+ * @property {Function} count - (text) => 文字数
+ * @property {boolean} replies - スレッドの続きを返信として投稿するか（false ならスレッドに分割せず削って収める）
+ * @property {boolean} localized - 言語ごとの投稿文も送るか
+ */
+
+/**
+ * X（Make.com / 汎用 Webhook も X への投稿文として送る）の上限
+ * @type {TextLimit}
+ */
+const X_TEXT_LIMIT = Object.freeze({
+    label: 'X',
+    targets: ['x1', 'x2'],
+    max: X_MAX_WEIGHTED_LENGTH,
+    count: getWeightedLength,
+    replies: true,
+    localized: true
+});
+
+/**
+ * 文字数の状態
+ * @param {string} text
+ * @param {number} [max]
+ * @returns {{ weightedLength: number, remaining: number, valid: boolean }}
+ */
+function analyzeXText(text, max = X_MAX_WEIGHTED_LENGTH) {
+    const weightedLength = getWeightedLength(text);
+    return { weightedLength, remaining: max - weightedLength, valid: weightedLength <= max };
+}
+
+/**
+ * 重み付き文字数に収まるように末尾を切り詰める（切った場合は … を付ける）
+ * @param {string} text
+ * @param {number} max
+ * @param {Function} [count] - 数え方（既定は X の重み付き文字数）
+ * @returns {string}
+ */
+function truncateToWeightedLength(text, max, count = getWeightedLength) {
+    if (count(text) <= max) return text;
+    const graphemes = splitGraphemes(takeWeightedHead(String(text), max - count(ELLIPSIS), count).trimEnd());
+    // 「https://」の直後に … を付けると URL として数えられるため、収まるまで戻す
+    while (graphemes.length > 0 && count(`${graphemes.join('')}${ELLIPSIS}`) > max) {
+        graphemes.pop();
+    }
+    return graphemes.length > 0 ? `${graphemes.join('')}${ELLIPSIS}` : '';
+}
+
+/**
+ * 重み付き文字数に収まる先頭部分（書記素の途中では切らない）
+ * @param {string} text
+ * @param {number} max
+ * @param {Function} [count]
+ * @returns {string}
+ */
+function takeWeightedHead(text, max, count = getWeightedLength) {
+    const graphemes = [];
+    let length = 0;
+    for (const grapheme of splitGraphemes(text)) {
+        length += count(grapheme);
+        if (length > max) break;
+        graphemes.push(grapheme);
+    }
+    // 途中で切れた URL は 23 として数えられるため、収まるまで戻す
+    while (graphemes.length > 0 && count(graphemes.join('')) > max) {
+        graphemes.pop();
+    }
+    return graphemes.join('');
+}
+
+/**
+ * 末尾のハッシュタグを1つずつ削る
+ * @param {string} text
+ * @param {number} max
+ * @param {Function} count
+ * @returns {string}
+ */
+function dropTrailingHashtags(text, max, count) {
+    let result = text;
+    while (count(result) > max && TRAILING_HASHTAG_PATTERN.test(result)) {
+        result = result.replace(TRAILING_HASHTAG_PATTERN, '');
+    }
+    return result;
+}
+
+/**
+ * 投稿文の中の一言コメントを、上限に収まるまで短くする
+ * @param {string} text
+ * @param {string} comment
+ * @param {number} max
+ * @param {Function} count
+ * @returns {string}
+ */
+function shortenComment(text, comment, max, count) {
+    const index = comment ? text.lastIndexOf(comment) : -1;
+    if (index < 0) return text;
+
+    const overflow = count(text) - max;
+    if (overflow <= 0) return text;
+    const shortened = truncateToWeightedLength(comment, Math.max(0, count(comment) - overflow), count);
+    return `${text.slice(0, index)}${shortened}${text.slice(index + comment.length)}`;
+}
+
+/**
+ * 上限ごとに分割する（行の途中では分けず、長すぎる行だけ文字単位で分ける）
+ * @param {string} text
+ * @param {number} max
+ * @param {Function} [count]
+ * @returns {Array<string>}
+ */
+function splitIntoThread(text, max, count = getWeightedLength) {
+    const parts = [];
+    let current = '';
+    const flush = () => {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+    };
+
+    text.split('\n').forEach(line => {
+        const candidate = current ? `${current}\n${line}` : line;
+        if (count(candidate) <= max) {
+            current = candidate;
+            return;
+        }
+        flush();
+        let rest = line;
+        while (count(rest) > max) {
+            const head = takeWeightedHead(rest, max, count);
+            if (!head) break;
+            parts.push(head.trim());
+            rest = rest.slice(head.length);
+        }
+        current = rest;
+    });
+    flush();
+    return parts;
+}
+
+/**
+ * 投稿文を上限に収める
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - OVERFLOW_STRATEGIES のキー
+ * @param {string} [options.comment] - 一言コメント（comment で短くする部分）
+ * @param {number} [options.max]
+ * @param {Function} [options.count] - 数え方（既定は X の重み付き文字数）
+ * @returns {{ text: string, replies: Array<string>, weightedLength: number, applied: string|null, fitted: boolean }}
+ */
+function fitXText(text, { strategy = DEFAULT_OVERFLOW_STRATEGY, comment = '', max = X_MAX_WEIGHTED_LENGTH, count = getWeightedLength } = {}) {
+    const weightedLength = count(text);
+    if (weightedLength <= max) {
+        return { text, replies: [], weightedLength, applied: null, fitted: true };
+    }
+
+    if (strategy === 'thread') {
+        const [first = '', ...replies] = splitIntoThread(text, max, count);
+        return { text: first, replies, weightedLength, applied: 'thread', fitted: true };
+    }
+    if (strategy === 'hashtags' || strategy === 'comment') {
+        // 選んだ方法で収まらなければもう一方も使う
+        const steps = strategy === 'hashtags'
+            ? [value => dropTrailingHashtags(value, max, count), value => shortenComment(value, comment, max, count)]
+            : [value => shortenComment(value, comment, max, count), value => dropTrailingHashtags(value, max, count)];
+        const fitted = steps.reduce((value, step) => (count(value) > max ? step(value).trim() : value), text);
+        const ok = count(fitted) <= max;
+        return { text: ok ? fitted : text, replies: [], weightedLength, applied: ok ? strategy : null, fitted: ok };
+    }
+    return { text, replies: [], weightedLength, applied: null, fitted: false };
+}
+
+/**
+ * 送信先に投稿する投稿文（limit.targets と、送る場合は言語ごとの投稿文）の文字数
+ * @param {Object} templates - generatePostTemplatesForItem の結果
+ * @param {TextLimit} [limit]
+ * @returns {Array<{ target: string, language: string, weightedLength: number }>}
+ */
+function measurePostTemplates(templates, limit = X_TEXT_LIMIT) {
+    const sources = [['ja', templates], ...(limit.localized ? Object.entries(templates?.localized || {}) : [])];
+    return sources.flatMap(([language, source]) => limit.targets
+        .filter(target => typeof source?.[target] === 'string')
+        .map(target => ({ target, language, weightedLength: limit.count(source[target]) })));
+}
+
+/**
+ * 送信する投稿文（limit.targets と言語ごとの投稿文）を送信先の上限に収める
+ * スレッドに分割した続きは replies.x1 / replies.x2 に入れる（limit.replies の送信先だけ）
+ * @param {Object} templates - generatePostTemplatesForItem の結果
+ * @param {Object} post - 投稿キューのアイテム
+ * @param {string} [strategy]
+ * @param {TextLimit} [limit] - 送信先の上限（パブリッシャーの textLimit）
+ * @returns {Object} - templates に overflow（調整した・収まらなかった投稿文の一覧）を加えたもの
+ */
+function fitPostTemplates(templates, post, strategy = DEFAULT_OVERFLOW_STRATEGY, limit = X_TEXT_LIMIT) {
+    // 続きを投稿しない送信先はスレッドに分けず、ハッシュタグ・コメントを削って収める
+    const effective = strategy === 'thread' && !limit.replies ? DEFAULT_OVERFLOW_STRATEGY : strategy;
+    const overflow = [];
+    const fit = (source, comment, language) => {
+        const result = { ...source, replies: {} };
+        limit.targets.forEach(target => {
+            if (typeof source[target] !== 'string') return;
+            const fitted = fitXText(source[target], { strategy: effective, comment, max: limit.max, count: limit.count });
+            result[target] = fitted.text;
+            if (fitted.replies.length > 0) result.replies[target] = fitted.replies;
+            if (fitted.applied || !fitted.fitted) {
+                overflow.push({
+                    target,
+                    language,
+                    label: limit.label,
+                    max: limit.max,
+                    weightedLength: fitted.weightedLength,
+                    applied: fitted.applied,
+                    fitted: fitted.fitted
+                });
+            }
+        });
+        return result;
+    };
+
+    const result = fit(templates, post?.aiComment || '', 'ja');
+    if (templates.localized && limit.localized) {
+        result.localized = Object.fromEntries(Object.entries(templates.localized).map(([language, localized]) => [
+            language,
+            fit(localized, post?.localizedComments?.[language] || '', language)
+        ]));
+    }
+    result.overflow = overflow;
+    return result;
+}
+
+/**
+ * 調整の内容を説明する文
+ * @param {{ target: string, language: string, label: string, max: number, weightedLength: number, applied: string|null, fitted: boolean }} entry
+ * @returns {string}
+ */
+function describeOverflow(entry) {
+    const target = TARGET_LABELS[entry.target] || entry.label;
+    const language = entry.language && entry.language !== 'ja' ? `[${entry.language}] ` : '';
+    const result = entry.fitted ? OVERFLOW_STRATEGIES[entry.applied] : '上限を超えるため送信できません';
+    return `${language}${target} ${entry.weightedLength}/${entry.max ?? X_MAX_WEIGHTED_LENGTH} → ${result}`;
+}
+
+/**
+ * 調整方法を整える
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeOverflowStrategy(value) {
+    return Object.hasOwn(OVERFLOW_STRATEGIES, value ?? '') ? value : DEFAULT_OVERFLOW_STRATEGY;
+}
+
+export {
+    X_MAX_WEIGHTED_LENGTH,
+    X_URL_LENGTH,
+    X_TEXT_LIMIT,
+    OVERFLOW_STRATEGIES,
+    DEFAULT_OVERFLOW_STRATEGY,
+    getWeightedLength,
+    analyzeXText,
+    truncateToWeightedLength,
+    splitIntoThread,
+    fitXText,
+    measurePostTemplates,
+    fitPostTemplates,
+    describeOverflow,
+    normalizeOverflowStrategy
+};
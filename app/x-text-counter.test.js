@@ -0,0 +1,217 @@
+/**
+ * X Text Counter Tests
+ * X の重み付き文字数と、上限を超えた投稿文の調整（ハッシュタグ・コメント・スレッド）
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    X_MAX_WEIGHTED_LENGTH,
+    getWeightedLength,
+    analyzeXText,
+    truncateToWeightedLength,
+    fitXText,
+    fitPostTemplates,
+    measurePostTemplates,
+    describeOverflow,
+    normalizeOverflowStrategy
+} from './x-text-counter.js';
+import { renderPostTemplates } from './post-layout.js';
+import { buildWebhookPayload, getTextLimit } from './publishers.js';
+import { MastodonPublisher } from './mastodon-publisher.js';
+import { BlueskyPublisher } from './bluesky-publisher.js';
+import { XApiPublisher } from './x-publisher.js';
+
+const event = {
+    eventEn: 'Tokyo Auto Salon 2026',
+    eventJp: '東京オートサロン2026',
+    date: '2026.01.10',
+    venue: '幕張メッセ',
+    category: 'ブース',
+    hashtags: '#TAS2026 #東京オートサロン #カスタムカー #オートサロン2026'
+};
+
+const textArbitrary = fc.array(
+    fc.constantFrom('a', ' ', '\n', 'あ', '漢', '😀', '👨‍👩‍👧', '🇯🇵', 'é', '#tag', 'https://example.com/p'),
+    { maxLength: 400 }
+).map(parts => parts.join(''));
+
+describe('XTextCounter', () => {
+    describe('getWeightedLength', () => {
+        it('should weigh Latin as 1 and CJK as 2', () => {
+            expect(getWeightedLength('abc')).toBe(3);
+            expect(getWeightedLength('あいう')).toBe(6);
+            expect(getWeightedLength('한국어')).toBe(6);
+            expect(getWeightedLength('“quote”…')).toBe(9);
+            expect(analyzeXText('漢'.repeat(140))).toEqual({ weightedLength: 280, remaining: 0, valid: true });
+            expect(analyzeXText('漢'.repeat(141)).valid).toBe(false);
+        });
+
+        it('should count every emoji sequence as 2', () => {
+            expect(getWeightedLength('😀')).toBe(2);
+            expect(getWeightedLength('👨‍👩‍👧')).toBe(2);
+            expect(getWeightedLength('🇯🇵')).toBe(2);
+            expect(getWeightedLength('1️⃣')).toBe(2);
+            expect(getWeightedLength('✨')).toBe(2);
+        });
+
+        it('should count URLs as 23 regardless of their length', () => {
+            expect(getWeightedLength('https://example.com/a/very/long/path?query=1')).toBe(23);
+            expect(getWeightedLength('見て https://t.co/x')).toBe(4 + 1 + 23);
+            expect(getWeightedLength('example.com')).toBe(23);
+            expect(getWeightedLength('@user.name')).toBe(10);
+        });
+
+        it('should count composed and decomposed characters the same', () => {
+            expect(getWeightedLength('café')).toBe(getWeightedLength('café'));
+            expect(getWeightedLength('が')).toBe(2);
+        });
+    });
+
+    describe('fitXText', () => {
+        const comment = 'とても素敵な笑顔でした。'.repeat(8);
+        const text = `📸 ${'東京オートサロン'.repeat(4)}\n\n${comment}\n\n#TAS2026 #東京オートサロン #カスタムカー`;
+
+        it('should drop trailing hashtags first', () => {
+            const overflow = getWeightedLength(text) - X_MAX_WEIGHTED_LENGTH;
+            expect(overflow).toBeGreaterThan(0);
+            expect(overflow).toBeLessThanOrEqual(getWeightedLength(' #カスタムカー #東京オートサロン'));
+
+            const result = fitXText(text, { strategy: 'hashtags', comment });
+            expect(result).toMatchObject({ applied: 'hashtags', fitted: true, replies: [] });
+            expect(result.text).toContain(comment);
+            expect(result.text.endsWith('#TAS2026')).toBe(true);
+            expect(getWeightedLength(result.text)).toBeLessThanOrEqual(X_MAX_WEIGHTED_LENGTH);
+        });
+
+        it('should shorten the comment and keep the hashtags', () => {
+            const result = fitXText(text, { strategy: 'comment', comment });
+            expect(result).toMatchObject({ applied: 'comment', fitted: true });
+            expect(result.text).toContain('#カスタムカー');
+            expect(result.text).toContain('…');
+            expect(getWeightedLength(result.text)).toBeLessThanOrEqual(X_MAX_WEIGHTED_LENGTH);
+        });
+
+        it('should split into a thread without losing text', () => {
+            const result = fitXText(text, { strategy: 'thread' });
+            expect(result.applied).toBe('thread');
+            expect(result.replies.length).toBeGreaterThan(0);
+            [result.text, ...result.replies].forEach(part => {
+                expect(getWeightedLength(part)).toBeLessThanOrEqual(X_MAX_WEIGHTED_LENGTH);
+            });
+            expect([result.text, ...result.replies].join('').replace(/\s/g, '')).toBe(text.replace(/\s/g, ''));
+        });
+
+        it('should leave the text as it is when it fits or the strategy is none', () => {
+            expect(fitXText('short')).toEqual({ text: 'short', replies: [], weightedLength: 5, applied: null, fitted: true });
+            expect(fitXText(text, { strategy: 'none' })).toMatchObject({ text, fitted: false, applied: null });
+            expect(fitXText('漢'.repeat(200), { strategy: 'hashtags' }).fitted).toBe(false);
+            expect(normalizeOverflowStrategy('toString')).toBe('hashtags');
+            expect(normalizeOverflowStrategy('thread')).toBe('thread');
+        });
+
+        it('should always fit within the limit when a strategy succeeds', () => {
+            fc.assert(
+                fc.property(textArbitrary, textArbitrary, fc.constantFrom('hashtags', 'comment', 'thread'), (body, comment, strategy) => {
+                    const result = fitXText(`${body}\n${comment}\n#TAS2026 #東京オートサロン`, { strategy, comment });
+                    if (!result.fitted) return;
+                    [result.text, ...result.replies].forEach(part => {
+                        expect(getWeightedLength(part)).toBeLessThanOrEqual(X_MAX_WEIGHTED_LENGTH);
+                    });
+                }),
+                { numRuns: 100 }
+            );
+        });
+
+        it('should never cut an emoji sequence when truncating', () => {
+            fc.assert(
+                fc.property(textArbitrary, fc.integer({ min: 1, max: 300 }), (text, max) => {
+                    const truncated = truncateToWeightedLength(text, max);
+                    expect(getWeightedLength(truncated)).toBeLessThanOrEqual(Math.max(max, 0));
+                    expect(truncated).not.toMatch(/‍…$|\uD83C…$/);
+                }),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('fitPostTemplates', () => {
+        const post = {
+            boothName: 'SEGA',
+            boothAccount: '@sega',
+            personRole: 'モデル',
+            personName: '佐藤はな',
+            personAccount: '@hana',
+            aiComment: 'ブースの照明に映える笑顔が本当に素敵でした。'.repeat(4)
+        };
+
+        it('should report over-length posts and send thread replies to the webhook', () => {
+            const templates = renderPostTemplates(post, event);
+            const longest = Math.max(...measurePostTemplates(templates).map(entry => entry.weightedLength));
+            expect(longest).toBeGreaterThan(X_MAX_WEIGHTED_LENGTH);
+
+            const fitted = fitPostTemplates(templates, post, 'thread');
+            expect(fitted.overflow).toEqual([{ target: 'x1', language: 'ja', label: 'X', max: 280, weightedLength: longest, applied: 'thread', fitted: true }]);
+            expect(describeOverflow(fitted.overflow[0])).toBe(`X（1枚目） ${longest}/280 → スレッドに分割する`);
+            expect(fitted.ig).toBe(templates.ig);
+
+            const payload = buildWebhookPayload(post, { event, templates: fitted });
+            expect(payload.posts.x1).toBe(fitted.x1);
+            expect(payload.posts.x1Replies).toEqual(fitted.replies.x1);
+            expect(payload.posts.x2Replies).toBeUndefined();
+        });
+
+        it('should fit localized posts with their own comments', () => {
+            const localized = {
+                en: { x1: `Hello\n\n${'Such a bright smile. '.repeat(14)}\n\n#TAS2026 #TokyoAutoSalon`, x2: 'ok', ig: '' }
+            };
+            const fitted = fitPostTemplates({ x1: 'ja', x2: 'ja', ig: '', localized }, { localizedComments: { en: 'Such a bright smile. '.repeat(14).trim() } }, 'comment');
+
+            expect(fitted.overflow).toMatchObject([{ target: 'x1', language: 'en', applied: 'comment', fitted: true }]);
+            expect(fitted.localized.en.x1).toContain('#TokyoAutoSalon');
+            expect(getWeightedLength(fitted.localized.en.x1)).toBeLessThanOrEqual(X_MAX_WEIGHTED_LENGTH);
+            expect(describeOverflow(fitted.overflow[0])).toMatch(/^\[en\] X（1枚目）/);
+        });
+
+        it('should fit the Mastodon post to 500 characters without building thread replies', () => {
+            const limit = getTextLimit(new MastodonPublisher());
+            const fediverse = `${'あ'.repeat(300)}\n\n#TAS2026 #東京オートサロン`;
+            const fits = fitPostTemplates({ x1: fediverse, x2: fediverse, ig: '', fediverse }, post, 'thread', limit);
+            // X の上限（280）は超えるが Mastodon では収まる
+            expect(fits.overflow).toEqual([]);
+            expect(fits.fediverse).toBe(fediverse);
+            expect(fits.x1).toBe(fediverse);
+
+            const long = `${'あ'.repeat(490)}\n\n#TAS2026 #東京オートサロン`;
+            const fitted = fitPostTemplates({ x1: long, x2: long, ig: '', fediverse: long }, post, 'thread', limit);
+            expect(fitted.replies).toEqual({});
+            expect(fitted.fediverse).toBe(`${'あ'.repeat(490)}\n\n#TAS2026`);
+            expect(fitted.overflow).toMatchObject([{ target: 'fediverse', label: 'Mastodon', max: 500, applied: 'hashtags', fitted: true }]);
+            expect(describeOverflow(fitted.overflow[0])).toBe('Mastodon 510/500 → 末尾のハッシュタグから削る');
+        });
+
+        it('should count Bluesky posts in graphemes and skip localized posts', () => {
+            const limit = getTextLimit(new BlueskyPublisher());
+            const bluesky = `${'😀'.repeat(290)}\n\n#TAS2026`;
+            const localized = { en: { x1: 'a'.repeat(400), x2: '', ig: '' } };
+            const fitted = fitPostTemplates({ x1: bluesky, x2: bluesky, ig: '', bluesky, localized }, post, 'thread', limit);
+
+            // 絵文字は X では2として数えるが、Bluesky では1書記素
+            expect(fitted.bluesky).toBe(bluesky);
+            expect(fitted.localized.en.x1).toBe('a'.repeat(400));
+            expect(fitted.overflow).toEqual([]);
+            expect(measurePostTemplates({ x1: bluesky, bluesky, localized }, limit))
+                .toEqual([{ target: 'bluesky', language: 'ja', weightedLength: 300 }]);
+        });
+
+        it('should only split x1 for the X API publisher', () => {
+            const limit = getTextLimit(new XApiPublisher());
+            const templates = renderPostTemplates(post, event);
+            const fitted = fitPostTemplates({ ...templates, x2: templates.x1 }, post, 'thread', limit);
+
+            expect(fitted.replies.x1.length).toBeGreaterThan(0);
+            expect(fitted.replies.x2).toBeUndefined();
+            expect(fitted.overflow.map(entry => entry.target)).toEqual(['x1']);
+        });
+    });
+});
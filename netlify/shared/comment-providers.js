@@ -0,0 +1,471 @@
+/**
+ * Comment Providers
+ * 一言コメント生成のプロバイダー（Gemini / OpenAI互換 / ルールベース）と
+ * リクエストごとのフォールバック順の解決
+ * 写真の特徴の解析（workers/image-analyzer.js の LLaVA）はプロバイダーではなく、結果を image_features で受け取る
+ */
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+// ブラウザと同じ検査（app/comment-validator.js を共有）
+const { getLanguageRules, validateComment, formatViolationFeedback } = require("../../app/comment-validator.js");
+// 直近のコメントとの類似度（app/comment-similarity.js を app/comment-ledger.js と共有）
+const { DEFAULT_SIMILARITY_THRESHOLD, commentSimilarity } = require("../../app/comment-similarity.js");
+
+const DEFAULT_TIMEOUT_MS = 20000;
+// プロバイダーのレート制限（429）で待ってもらう時間の既定値
+const DEFAULT_RATE_LIMIT_RETRY_AFTER_MS = 30000;
+const DEFAULT_PROVIDER_ORDER = 'gemini,openai,rule_based';
+// ルール違反や似たコメントが返ってきたときに同じプロバイダーで作り直す回数
+const DEFAULT_MAX_RETRIES = 2;
+const MAX_RETRIES_LIMIT = 5;
+// プロンプトに含める「避けるコメント」の数
+const PROMPT_AVOID_LIMIT = 10;
+// コメントの言語（app/post-i18n.js の LANGUAGES と同期）
+const LANGUAGE_NAMES = {
+    ja: '日本語',
+    en: 'English',
+    zh: '简体中文',
+    ko: '한국어'
+};
+
+// 標準のテンプレート（app/comment-templates.json をブラウザと共有）
+const templateLibrary = require("../../app/comment-templates.json");
+
+/**
+ * テンプレートの文面を言語・グループ・分類ごとにまとめる
+ * 例: TEMPLATES_BY_LANGUAGE.en.expressions['笑顔']
+ */
+const TEMPLATES_BY_LANGUAGE = templateLibrary.templates.reduce((grouped, template) => {
+    const language = grouped[template.language || 'ja'] = grouped[template.language || 'ja'] || {};
+    const group = language[`${template.group}s`] = language[`${template.group}s`] || {};
+    (group[template.key] = group[template.key] || []).push(template.text);
+    return grouped;
+}, {});
+
+// 日本語のテンプレート（例: TEMPLATES.expressions['笑顔']）
+const TEMPLATES = TEMPLATES_BY_LANGUAGE.ja;
+
+/**
+ * 特徴に基づいてテンプレートを選択
+ * templates（クライアントのテンプレート集で有効なもの）があればそちらから選ぶ
+ * exclude（古い順）にあるものは避け、全て使用済みなら最も前に使ったものを選ぶ
+ */
+function selectTemplate(expressionType, exclude = [], requested = [], language = 'ja') {
+    const custom = Array.isArray(requested)
+        ? requested.filter(template => typeof template === 'string' && template.trim())
+        : [];
+    const expressions = (TEMPLATES_BY_LANGUAGE[language] || TEMPLATES).expressions;
+    const templates = custom.length > 0
+        ? custom
+        : expressions[expressionType] || expressions['笑顔'];
+    const used = new Set(exclude);
+    const candidates = templates.filter(template => !used.has(template));
+    if (candidates.length === 0) {
+        return [...templates].sort((a, b) => exclude.indexOf(a) - exclude.indexOf(b))[0];
+    }
+    return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+/**
+ * リクエストの直近コメント（古い順）を取得
+ */
+function getRecentComments(data) {
+    return Array.isArray(data.recent_comments)
+        ? data.recent_comments.filter(comment => typeof comment === 'string' && comment.trim())
+        : [];
+}
+
+/**
+ * Gemini用のプロンプトを構築（画像解析強化版）
+ */
+function buildPrompt(data, hasImage) {
+    const imageAnalysisSection = hasImage ? `
+【重要: 写真を詳細に分析してください】
+あなたはプロのイベントカメラマンです。この写真を見て以下を分析してください：
+- 人物の表情（笑顔の種類、目の輝き、口角の上がり具合）
+- 姿勢や佇まい（堂々としている、柔らかい、凛としている等）
+- 衣装やメイクの印象
+- ライティングや背景の雰囲気
+- 全体的な写真の印象
+
+分析結果を踏まえて、最適な一言コメントを生成してください。
+` : '';
+
+    const language = resolveLanguage(data.language);
+    const rules = getLanguageRules(data.rules, language);
+    const recentComments = getRecentComments(data).slice(-PROMPT_AVOID_LIMIT);
+    const feedback = Array.isArray(data.feedback) ? data.feedback : [];
+    const feedbackSection = feedback.length > 0 ? `
+【前回までの出力の問題点（必ず直す）】
+${feedback.map(line => `- ${line}`).join('\n')}
+` : '';
+    const features = data.image_features && typeof data.image_features === 'object' ? data.image_features : null;
+    const featureLines = features ? [
+        ['表情', features.expression],
+        ['ポーズ', features.pose],
+        ['ライティング', features.lighting],
+        ['衣装', features.outfit],
+        ['印象', features.impression]
+    ].filter(([, value]) => typeof value === 'string' && value.trim()) : [];
+    const featureSection = featureLines.length > 0 ? `
+【画像解析で判定した特徴（コメントに反映する）】
+${featureLines.map(([label, value]) => `- ${label}: ${value.trim()}`).join('\n')}
+` : '';
+    const languageSection = language !== 'ja' ? `
+【出力言語】
+- コメントは${LANGUAGE_NAMES[language]}で書く（日本語は使わない）
+- 文字数は${LANGUAGE_NAMES[language]}の文字数で数える
+` : '';
+    const avoidSection = recentComments.length > 0 ? `
+【このイベントで使用済みのコメント（同じ・似た表現は避ける）】
+${recentComments.map(comment => `- ${comment}`).join('\n')}
+` : '';
+
+    return `あなたはイベント写真の一言コメントを書くプロカメラマンです。
+${imageAnalysisSection}
+以下のルールで1行コメントを1つだけ生成してください：
+
+【絶対ルール】
+- 1行のみ（${rules.minLength}〜${rules.maxLength}文字）
+- ${language === 'ja' ? '「〇〇が△△にぴったり/合っていた/映えていた」形式' : '「〇〇が△△にぴったりだった」という意味の自然な一文'}
+- 最後に${rules.ending || '✨'}を付ける
+- 固有名詞・キャラ名・作品名は絶対に入れない
+- 主語を「俺」にしない
+- スラング禁止（${rules.bannedWords.length > 0 ? rules.bannedWords.join('、') : '神、優勝、バチバチ'}等）
+- 写真から読み取れる具体的な要素を含める
+
+【使える評価軸】
+笑顔、表情、視線、佇まい、雰囲気、存在感、衣装、ライティング、背景との調和
+
+【ユーザーが選択した雰囲気】
+- 表情・雰囲気: ${data.expression_type}
+- 注目ポイント: ${data.focus_point}
+- マッチ先: ${data.context_match}
+
+【情報】
+- カテゴリ: ${data.category}
+- ブース/チーム: ${data.booth_name}
+- 役割: ${data.role}
+${featureSection}
+${languageSection}${avoidSection}${feedbackSection}
+【出力形式】
+コメントのみを1行で出力（説明や理由は不要）`;
+}
+
+/**
+ * 画像データ（data URL または base64）を MIME タイプと base64 に分解
+ * @param {string} imageBase64
+ * @returns {{ mimeType: string, data: string }}
+ */
+function parseImageData(imageBase64) {
+    if (imageBase64.startsWith('data:')) {
+        const [header, data] = imageBase64.split(',');
+        return { mimeType: header.split(':')[1].split(';')[0], data };
+    }
+    return { mimeType: 'image/jpeg', data: imageBase64 };
+}
+
+/**
+ * モデルの出力から1行コメントを取り出す
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeComment(text) {
+    const line = String(text || '')
+        .split(/\r?\n/)
+        .map(value => value.trim())
+        .find(Boolean) || '';
+    return line.replace(/^["'「『]+|["'」』]+$/g, '').trim();
+}
+
+/**
+ * タイムアウト（ミリ秒）を環境変数から取得
+ * @param {Object} env
+ * @returns {number}
+ */
+function getTimeoutMs(env) {
+    const value = Number(env.COMMENT_PROVIDER_TIMEOUT_MS);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * プロバイダー定義
+ * isAvailable(env) が false のものはスキップし、generate が失敗したら次へ進む
+ */
+const PROVIDERS = {
+    gemini: {
+        id: 'gemini',
+        isAvailable: (env) => !!env.GEMINI_API_KEY,
+        async generate(data, { env }) {
+            const genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
+            const model = genAI.getGenerativeModel(
+                { model: env.GEMINI_MODEL || 'gemini-1.5-flash-latest' },
+                { timeout: getTimeoutMs(env) }
+            );
+
+            const hasImage = !!data.image_base64;
+            const prompt = buildPrompt(data, hasImage);
+            const response = hasImage
+                ? await model.generateContent([{ inlineData: parseImageData(data.image_base64) }, prompt])
+                : await model.generateContent(prompt);
+
+            return response.response.text();
+        }
+    },
+
+    // Ollama / llama.cpp / LM Studio など OpenAI 互換の /chat/completions
+    openai: {
+        id: 'openai',
+        isAvailable: (env) => !!env.OPENAI_COMPAT_BASE_URL,
+        async generate(data, { env, fetchImpl = fetch }) {
+            const url = `${env.OPENAI_COMPAT_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+            // テキストのみのローカルモデル向けに画像送信を無効化できる
+            const hasImage = !!data.image_base64 && env.OPENAI_COMPAT_VISION !== 'false';
+            const prompt = buildPrompt(data, hasImage);
+            const content = hasImage
+                ? [
+                    { type: 'text', text: prompt },
+                    { type: 'image_url', image_url: { url: toDataUrl(data.image_base64) } }
+                ]
+                : prompt;
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (env.OPENAI_COMPAT_API_KEY) {
+                headers.Authorization = `Bearer ${env.OPENAI_COMPAT_API_KEY}`;
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), getTimeoutMs(env));
+            try {
+                const response = await fetchImpl(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: env.OPENAI_COMPAT_MODEL || 'llama3.2',
+                        messages: [{ role: 'user', content }],
+                        temperature: 0.8,
+                        max_tokens: 120
+                    }),
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    const error = new Error(`OpenAI-compatible API error: ${response.status}`);
+                    error.status = response.status;
+                    const retryAfter = Number(response.headers?.get?.('retry-after'));
+                    if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+                        error.retryAfterMs = retryAfter * 1000;
+                    }
+                    throw error;
+                }
+                const result = await response.json();
+                return result.choices?.[0]?.message?.content;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    },
+
+    rule_based: {
+        id: 'rule_based',
+        isAvailable: () => true,
+        async generate(data) {
+            return selectTemplate(data.expression_type || '笑顔', getRecentComments(data), data.templates, resolveLanguage(data.language));
+        }
+    }
+};
+
+/**
+ * base64 を data URL に変換（既に data URL ならそのまま）
+ * @param {string} imageBase64
+ * @returns {string}
+ */
+function toDataUrl(imageBase64) {
+    const { mimeType, data } = parseImageData(imageBase64);
+    return `data:${mimeType};base64,${data}`;
+}
+
+/**
+ * プロバイダーの試行順を決める
+ * - requested が配列ならその順のみ、文字列なら既定の順の先頭に置く
+ * - 'auto' や未指定は既定の順（COMMENT_PROVIDERS）
+ * - 未知のIDは無視し、最後は必ず rule_based
+ * @param {string|string[]} [requested]
+ * @param {string} [defaultOrder]
+ * @param {Object} [providers]
+ * @returns {string[]}
+ */
+function resolveProviderOrder(requested, defaultOrder = DEFAULT_PROVIDER_ORDER, providers = PROVIDERS) {
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(id => String(id).trim())
+        .filter(id => id && id !== 'auto');
+
+    const base = toList(defaultOrder);
+    const order = Array.isArray(requested) ? toList(requested) : [...toList(requested), ...base];
+
+    const resolved = [...new Set(order)].filter(id => Object.prototype.hasOwnProperty.call(providers, id));
+    return [...resolved.filter(id => id !== 'rule_based'), 'rule_based'];
+}
+
+/**
+ * AIのプロバイダーがレート制限（429）で応答しなかったときのエラー
+ * ルールベースに進まずに 429 を返し、クライアントに待ってもらう
+ */
+class CommentRateLimitError extends Error {
+    /**
+     * @param {number} retryAfterMs - 待ってもらう時間
+     * @param {Object} details
+     * @param {number} details.requests - AIのプロバイダーに送ったリクエスト数
+     * @param {Array<{ provider: string, error: string }>} details.attempts
+     */
+    constructor(retryAfterMs, { requests, attempts }) {
+        super('Comment provider rate limit exceeded');
+        this.name = 'CommentRateLimitError';
+        this.retryAfterMs = retryAfterMs;
+        this.requests = requests;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * プロバイダーのエラーがレート制限か（Gemini SDK のエラーと OpenAI 互換の応答は status を持つ）
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+    return error?.status === 429;
+}
+
+/**
+ * レート制限のエラーから待つ時間を取り出す（Gemini は errorDetails の RetryInfo.retryDelay、例: "30s"）
+ * @param {Error} error
+ * @returns {number} - ミリ秒
+ */
+function getRetryAfterMs(error) {
+    if (Number.isFinite(error?.retryAfterMs)) return error.retryAfterMs;
+    const retryInfo = (error?.errorDetails || []).find(detail => String(detail?.['@type'] || '').endsWith('RetryInfo'));
+    const seconds = parseFloat(retryInfo?.retryDelay);
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : DEFAULT_RATE_LIMIT_RETRY_AFTER_MS;
+}
+
+/**
+ * 順にプロバイダーを試してコメントを生成
+ * AIの出力がルールに違反しているか recent_comments のいずれかと似ていれば、指摘を添えて作り直す
+ * 作り直しても直らなければ次のプロバイダーへ進む
+ * @param {Object} data - リクエストボディ
+ * @param {string|string[]} [data.provider] - 試行順
+ * @param {Array<string>} [data.recent_comments] - 避けるコメント（古い順）
+ * @param {Object} [data.rules] - 文字数・禁止ワード（comment-validator.js）
+ * @param {Array<string>} [data.proper_nouns] - 含めてはいけない固有名詞
+ * @param {number} [data.max_retries] - 作り直す回数
+ * @param {string} [data.language] - コメントの言語（'ja' / 'en' / 'zh' / 'ko'）
+ * @param {Object} [options]
+ * @param {Object} [options.env] - 環境変数
+ * @param {Function} [options.fetchImpl]
+ * @param {Object} [options.providers] - テスト用の差し替え
+ * @returns {Promise<{ comment: string, source: string, attempts: Array<{ provider: string, error: string }>, requests: number }>}
+ *   requests は AIのプロバイダーに送ったリクエスト数（作り直しを含む、クライアントのレート制限で使う）
+ * @throws {CommentRateLimitError} - AIのプロバイダーがレート制限で応答せず、ルールベースに進むところだった場合
+ */
+async function generateComment(data, options = {}) {
+    const env = options.env || process.env;
+    const providers = options.providers || PROVIDERS;
+    const order = resolveProviderOrder(data.provider, env.COMMENT_PROVIDERS || DEFAULT_PROVIDER_ORDER, providers);
+    const recentComments = getRecentComments(data);
+    const threshold = Number(data.similarity_threshold) || DEFAULT_SIMILARITY_THRESHOLD;
+    const maxRetries = resolveMaxRetries(data.max_retries ?? env.COMMENT_MAX_RETRIES);
+    const language = resolveLanguage(data.language);
+    const rules = getLanguageRules(data.rules, language);
+    // booth_name は既定値（'ブース'）が入ることがあるため、固有名詞はクライアントが proper_nouns で渡す
+    const properNouns = Array.isArray(data.proper_nouns) ? data.proper_nouns : [];
+    // ユーザーが入力した語は大文字の英単語でも固有名詞とみなさない
+    const inputWords = [data.expression_type, data.focus_point, data.context_match, data.category, data.role].filter(Boolean);
+    const attempts = [];
+    let requests = 0;
+    let rateLimit = null;
+
+    const check = (comment) => {
+        const { violations } = validateComment(comment, rules, { properNouns, language, inputWords });
+        if (recentComments.some(recent => commentSimilarity(comment, recent) >= threshold)) {
+            violations.push({ rule: 'duplicate', message: 'このイベントで使用済みのコメントと似ています' });
+        }
+        return violations;
+    };
+
+    for (const id of order) {
+        const provider = providers[id];
+        if (!provider.isAvailable(env)) continue;
+        if (id === 'rule_based' && rateLimit) {
+            throw new CommentRateLimitError(getRetryAfterMs(rateLimit), { requests, attempts });
+        }
+
+        // ルールベースは使用済みテンプレートを除外済みのため作り直さない
+        const maxTries = id === 'rule_based' ? 1 : 1 + maxRetries;
+        const feedback = [];
+        try {
+            let violations = [];
+            for (let tries = 1; tries <= maxTries; tries++) {
+                const request = feedback.length > 0 ? { ...data, feedback } : data;
+                if (id !== 'rule_based') requests++;
+                const comment = sanitizeComment(await provider.generate(request, { env, fetchImpl: options.fetchImpl }));
+                if (!comment) {
+                    throw new Error('Empty response');
+                }
+                violations = id === 'rule_based' ? [] : check(comment);
+                if (violations.length === 0) {
+                    return { comment, source: id, attempts, requests };
+                }
+                console.log(`[CommentProviders] ${id} broke comment rules (try ${tries}/${maxTries}):`, violations.map(v => v.rule).join(', '));
+                feedback.push(formatViolationFeedback(comment, violations));
+            }
+            throw new Error(`Comment rejected: ${violations.map(v => v.message).join('／')}`);
+        } catch (error) {
+            console.error(`[CommentProviders] ${id} failed:`, error.message);
+            attempts.push({ provider: id, error: error.message });
+            if (isRateLimitError(error)) {
+                rateLimit = error;
+            }
+        }
+    }
+
+    // 差し替えたプロバイダーがすべて失敗した場合でもコメントは返す
+    return { comment: selectTemplate(data.expression_type || '笑顔', recentComments, data.templates, language), source: 'rule_based', attempts, requests };
+}
+
+/**
+ * コメントの言語（未対応の値は日本語）
+ * @param {string} value
+ * @returns {string}
+ */
+function resolveLanguage(value) {
+    return Object.hasOwn(LANGUAGE_NAMES, value) ? value : 'ja';
+}
+
+/**
+ * 作り直す回数を 0〜MAX_RETRIES_LIMIT に丸める
+ * @param {*} value
+ * @returns {number}
+ */
+function resolveMaxRetries(value) {
+    const number = Math.floor(Number(value));
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0) {
+        return DEFAULT_MAX_RETRIES;
+    }
+    return Math.min(MAX_RETRIES_LIMIT, number);
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER_ORDER,
+    TEMPLATES,
+    TEMPLATES_BY_LANGUAGE,
+    LANGUAGE_NAMES,
+    selectTemplate,
+    commentSimilarity,
+    buildPrompt,
+    parseImageData,
+    sanitizeComment,
+    resolveProviderOrder,
+    generateComment,
+    CommentRateLimitError,
+    getRetryAfterMs
+};
@@ -0,0 +1,274 @@
+/**
+ * Comment Providers Tests
+ * プロバイダーの試行順・フォールバック・OpenAI互換エンドポイント
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import providersModule from './comment-providers.js';
+import generateCommentFunction from '../functions/generate-comment.js';
+
+const {
+    TEMPLATES,
+    selectTemplate,
+    buildPrompt,
+    sanitizeComment,
+    resolveProviderOrder,
+    generateComment,
+    CommentRateLimitError,
+    getRetryAfterMs
+} = providersModule;
+
+const REQUEST = {
+    booth_name: 'SEGA',
+    role: 'モデル',
+    category: 'ブース',
+    expression_type: 'クール',
+    focus_point: '表情',
+    context_match: 'ブースの雰囲気'
+};
+
+/**
+ * テスト用プロバイダー
+ * @param {string} id
+ * @param {Function} generate
+ * @param {boolean} [available]
+ */
+function fakeProvider(id, generate, available = true) {
+    return { id, isAvailable: () => available, generate: vi.fn(generate) };
+}
+
+describe('CommentProviders', () => {
+    describe('resolveProviderOrder', () => {
+        it('should put the requested provider first and keep the default order as fallbacks', () => {
+            expect(resolveProviderOrder('openai')).toEqual(['openai', 'gemini', 'rule_based']);
+            expect(resolveProviderOrder('auto', 'openai,gemini')).toEqual(['openai', 'gemini', 'rule_based']);
+            expect(resolveProviderOrder(undefined)).toEqual(['gemini', 'openai', 'rule_based']);
+        });
+
+        it('should use only the listed providers when given an array', () => {
+            expect(resolveProviderOrder(['openai'])).toEqual(['openai', 'rule_based']);
+            expect(resolveProviderOrder(['rule_based', 'gemini'])).toEqual(['gemini', 'rule_based']);
+        });
+
+        it('should always end with rule_based and never repeat or include unknown ids', () => {
+            const ids = fc.constantFrom('gemini', 'openai', 'rule_based', 'auto', 'unknown', ' gemini ');
+            fc.assert(
+                fc.property(fc.oneof(ids, fc.array(ids)), fc.array(ids).map(list => list.join(',')), (requested, defaultOrder) => {
+                    const order = resolveProviderOrder(requested, defaultOrder);
+                    expect(order[order.length - 1]).toBe('rule_based');
+                    expect(new Set(order).size).toBe(order.length);
+                    order.forEach(id => expect(['gemini', 'openai', 'rule_based']).toContain(id));
+                }),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('sanitizeComment', () => {
+        it('should keep only the first non-empty line without wrapping quotes', () => {
+            expect(sanitizeComment('\n「凛とした表情が印象的でした✨」\n理由: ...')).toBe('凛とした表情が印象的でした✨');
+            expect(sanitizeComment('  \n ')).toBe('');
+        });
+    });
+
+    describe('recent comments', () => {
+        it('should avoid recently used templates and list them in the prompt', () => {
+            const templates = TEMPLATES.expressions['クール'];
+            const exclude = templates.slice(0, -1);
+
+            expect(selectTemplate('クール', exclude)).toBe(templates[templates.length - 1]);
+            expect(selectTemplate('クール', [...templates].reverse())).toBe(templates[templates.length - 1]);
+            expect(buildPrompt({ ...REQUEST, recent_comments: ['使用済みのコメント✨'] }, false)).toContain('- 使用済みのコメント✨');
+        });
+
+        it('should regenerate near-duplicates and move on when they keep coming back', async () => {
+            const recent = '爽やかな笑顔がとても印象的でした✨';
+            const providers = {
+                gemini: fakeProvider('gemini', async () => '爽やかな笑顔がとても印象的でした！'),
+                openai: fakeProvider('openai', vi.fn()
+                    .mockResolvedValueOnce(recent)
+                    .mockResolvedValueOnce('華やかな衣装がライティングに映えていました✨')),
+                rule_based: fakeProvider('rule_based', async () => 'テンプレート✨')
+            };
+
+            const result = await generateComment({ ...REQUEST, recent_comments: [recent] }, { env: {}, providers });
+
+            expect(providers.gemini.generate).toHaveBeenCalledTimes(3);
+            expect(providers.openai.generate).toHaveBeenCalledTimes(2);
+            expect(result).toMatchObject({ comment: '華やかな衣装がライティングに映えていました✨', source: 'openai' });
+            expect(result.attempts).toEqual([{ provider: 'gemini', error: expect.stringMatching(/^Comment rejected: /) }]);
+        });
+    });
+
+    describe('rule validation', () => {
+        it('should retry with violation feedback until the comment follows the rules', async () => {
+            const outputs = [
+                'SEGAブースで神がかった笑顔でした',
+                '爽やかな笑顔がブースの雰囲気にぴったりでした✨'
+            ];
+            const gemini = fakeProvider('gemini', async () => outputs.shift());
+            const providers = { gemini, rule_based: fakeProvider('rule_based', async () => 'テンプレート✨') };
+
+            const result = await generateComment({ ...REQUEST, proper_nouns: ['SEGA'] }, { env: {}, providers });
+
+            expect(result).toMatchObject({ comment: '爽やかな笑顔がブースの雰囲気にぴったりでした✨', source: 'gemini', attempts: [] });
+            const [retryRequest] = gemini.generate.mock.calls[1];
+            expect(retryRequest.feedback).toHaveLength(1);
+            expect(retryRequest.feedback[0]).toContain('「神」は使えません');
+            expect(retryRequest.feedback[0]).toContain('固有名詞「SEGA」');
+            expect(buildPrompt(retryRequest, false)).toContain(retryRequest.feedback[0]);
+        });
+
+        it('should apply per-request rules and the retry limit', async () => {
+            const gemini = fakeProvider('gemini', async () => '爽やかな笑顔がブースの雰囲気にとても素敵に映えていました✨');
+            const providers = { gemini, rule_based: fakeProvider('rule_based', async () => 'テンプレート✨') };
+
+            const strict = await generateComment(
+                { ...REQUEST, rules: { bannedWords: ['素敵'] }, max_retries: 1 },
+                { env: {}, providers }
+            );
+            expect(gemini.generate).toHaveBeenCalledTimes(2);
+            expect(strict.source).toBe('rule_based');
+
+            expect(strict.attempts[0].error).toContain('「素敵」は使えません');
+
+            const relaxed = await generateComment({ ...REQUEST, rules: { maxLength: 25 } }, { env: {}, providers });
+            expect(relaxed.source).toBe('rule_based');
+            expect(relaxed.attempts[0].error).toContain('29文字です（20〜25文字）');
+            expect((await generateComment(REQUEST, { env: {}, providers })).source).toBe('gemini');
+            expect(buildPrompt({ ...REQUEST, rules: { minLength: 10, maxLength: 40 } }, false)).toContain('1行のみ（10〜40文字）');
+        });
+    });
+
+    describe('generateComment', () => {
+        it('should report the provider that answered and fall back in order', async () => {
+            const providers = {
+                gemini: fakeProvider('gemini', async () => { throw new Error('quota exceeded'); }),
+                openai: fakeProvider('openai', async () => 'ローカルで生成した笑顔がとても印象的でした✨\n'),
+                rule_based: fakeProvider('rule_based', async () => 'テンプレート✨')
+            };
+
+            const result = await generateComment(REQUEST, { env: {}, providers });
+
+            expect(result).toEqual({
+                comment: 'ローカルで生成した笑顔がとても印象的でした✨',
+                source: 'openai',
+                attempts: [{ provider: 'gemini', error: 'quota exceeded' }],
+                requests: 2
+            });
+            expect(providers.rule_based.generate).not.toHaveBeenCalled();
+        });
+
+        it('should skip unavailable providers and treat empty output as a failure', async () => {
+            const providers = {
+                gemini: fakeProvider('gemini', async () => 'unused', false),
+                openai: fakeProvider('openai', async () => '   '),
+                rule_based: fakeProvider('rule_based', async () => 'テンプレート✨')
+            };
+
+            const result = await generateComment({ ...REQUEST, provider: 'openai' }, { env: {}, providers });
+
+            expect(providers.gemini.generate).not.toHaveBeenCalled();
+            expect(result.source).toBe('rule_based');
+            expect(result.attempts).toEqual([{ provider: 'openai', error: 'Empty response' }]);
+        });
+
+        it('should use rule-based templates when no provider is configured', async () => {
+            const result = await generateComment(REQUEST, { env: {} });
+
+            expect(result.source).toBe('rule_based');
+            expect(TEMPLATES.expressions['クール']).toContain(result.comment);
+        });
+
+        it('should call an OpenAI-compatible endpoint with the image as a data URL', async () => {
+            const fetchImpl = vi.fn(async () => ({
+                ok: true,
+                json: async () => ({ choices: [{ message: { content: 'シャープな視線がライティングに映えていました✨' } }] })
+            }));
+            const env = {
+                COMMENT_PROVIDERS: 'openai',
+                OPENAI_COMPAT_BASE_URL: 'http://localhost:11434/v1/',
+                OPENAI_COMPAT_MODEL: 'llava',
+                OPENAI_COMPAT_API_KEY: 'secret'
+            };
+
+            const result = await generateComment({ ...REQUEST, image_base64: 'AAAA' }, { env, fetchImpl });
+
+            expect(result).toMatchObject({ comment: 'シャープな視線がライティングに映えていました✨', source: 'openai' });
+            const [url, init] = fetchImpl.mock.calls[0];
+            const body = JSON.parse(init.body);
+            expect(url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(init.headers.Authorization).toBe('Bearer secret');
+            expect(body.model).toBe('llava');
+            expect(body.messages[0].content[1]).toEqual({ type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } });
+        });
+
+        it('should count every AI request, including rule retries', async () => {
+            const outputs = ['神がかった笑顔でした', '爽やかな笑顔がブースの雰囲気にぴったりでした✨'];
+            const providers = {
+                gemini: fakeProvider('gemini', async () => outputs.shift()),
+                rule_based: fakeProvider('rule_based', async () => 'テンプレート✨')
+            };
+
+            expect((await generateComment(REQUEST, { env: {}, providers })).requests).toBe(2);
+            expect((await generateComment({ ...REQUEST, provider: ['rule_based'] }, { env: {}, providers })).requests).toBe(0);
+        });
+
+        it('should throw a rate limit error instead of falling back to templates', async () => {
+            const limited = Object.assign(new Error('Resource has been exhausted'), {
+                status: 429,
+                errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }]
+            });
+            const providers = {
+                gemini: fakeProvider('gemini', async () => { throw limited; }),
+                rule_based: fakeProvider('rule_based', async () => 'テンプレート✨')
+            };
+
+            const error = await generateComment(REQUEST, { env: {}, providers }).catch(e => e);
+
+            expect(error).toBeInstanceOf(CommentRateLimitError);
+            expect(error.retryAfterMs).toBe(12000);
+            expect(error.requests).toBe(1);
+            expect(providers.rule_based.generate).not.toHaveBeenCalled();
+            expect(getRetryAfterMs({ status: 429 })).toBe(30000);
+        });
+
+        it('should send text only when vision is disabled and fall back on HTTP errors', async () => {
+            const fetchImpl = vi.fn(async () => ({ ok: false, status: 500 }));
+            const env = { OPENAI_COMPAT_BASE_URL: 'http://localhost:8080/v1', OPENAI_COMPAT_VISION: 'false' };
+
+            const result = await generateComment({ ...REQUEST, image_base64: 'data:image/png;base64,AAAA' }, { env, fetchImpl });
+
+            expect(typeof JSON.parse(fetchImpl.mock.calls[0][1].body).messages[0].content).toBe('string');
+            expect(result.source).toBe('rule_based');
+            expect(result.attempts).toEqual([{ provider: 'openai', error: 'OpenAI-compatible API error: 500' }]);
+        });
+    });
+
+    describe('handler', () => {
+        it('should return 429 with Retry-After when the provider is rate limited', async () => {
+            vi.stubEnv('COMMENT_PROVIDERS', 'openai');
+            vi.stubEnv('OPENAI_COMPAT_BASE_URL', 'http://localhost:11434/v1');
+            vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 429, headers: new Headers({ 'Retry-After': '7' }) })));
+
+            try {
+                const response = await generateCommentFunction.handler({ httpMethod: 'POST', body: JSON.stringify(REQUEST) });
+
+                expect(response.statusCode).toBe(429);
+                expect(response.headers['Retry-After']).toBe('7');
+                expect(JSON.parse(response.body)).toMatchObject({ retry_after_ms: 7000, requests: 1 });
+            } finally {
+                vi.unstubAllEnvs();
+                vi.unstubAllGlobals();
+            }
+        });
+
+        it('should reject a body that is not a JSON object', async () => {
+            for (const body of ['null', '[]', '"text"', '1', '{']) {
+                const response = await generateCommentFunction.handler({ httpMethod: 'POST', body });
+                expect(response.statusCode).toBe(400);
+            }
+        });
+    });
+});
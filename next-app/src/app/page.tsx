@@ -7,6 +7,7 @@ import { ImportModal } from "@/components/dashboard/ImportModal";
 import { SettingsPanel } from "@/components/dashboard/SettingsPanel";
 import EditorPage from "@/components/editor/EditorPage";
 import { useAppStore } from "@/store/useAppStore";
+import { createPublisher } from "@/utils/publisher";
 import { useHydration } from "@/hooks/useHydration";
 import { Upload, Loader2, Settings } from "lucide-react";
 
@@ -14,6 +15,7 @@ export default function Home() {
   // All hooks must be called before any conditional returns
   const hydrated = useHydration();
   const { currentStep, settings } = useAppStore();
+  const isPublisherConfigured = createPublisher(settings).isConfigured();
   const [isImportModalOpen, setIsImportModalOpen] = useState(false);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
 
@@ -46,12 +48,12 @@ export default function Home() {
           {/* Settings Button */}
           <button
             onClick={() => setIsSettingsOpen(true)}
-            className={`relative flex items-center gap-2 px-4 py-2 bg-[var(--bg-tertiary)] hover:bg-white/10 border border-white/10 rounded-lg transition-all text-sm font-medium ${!settings.makeWebhookUrl ? 'ring-2 ring-yellow-500/50' : ''}`}
+            className={`relative flex items-center gap-2 px-4 py-2 bg-[var(--bg-tertiary)] hover:bg-white/10 border border-white/10 rounded-lg transition-all text-sm font-medium ${!isPublisherConfigured ? 'ring-2 ring-yellow-500/50' : ''}`}
             title="設定"
           >
             <Settings className="w-4 h-4" />
             設定
-            {!settings.makeWebhookUrl && (
+            {!isPublisherConfigured && (
               <span className="absolute -top-1 -right-1 w-3 h-3 bg-yellow-500 rounded-full animate-pulse" />
             )}
           </button>
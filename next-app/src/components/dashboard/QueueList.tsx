@@ -4,7 +4,7 @@ import { useState } from "react";
 import { useAppStore } from "@/store/useAppStore";
 import { QueueItemCard } from "./QueueItemCard";
 import { Ghost, Send, Loader2, CheckCircle, AlertCircle, Trash2, Search } from "lucide-react";
-import { WebhookService } from "@/utils/webhook";
+import { createPublisher } from "@/utils/publisher";
 import { showToast, updateToast } from "@/components/ui/Toast";
 
 export function QueueList() {
@@ -104,8 +104,11 @@ export function QueueList() {
     };
 
     const handleSendAll = async () => {
-        if (!settings.makeWebhookUrl) {
-            alert("Please set the Webhook URL in Settings first.");
+        const publisher = createPublisher(settings);
+        if (!publisher.isConfigured()) {
+            alert(publisher.id === 'x'
+                ? "Please set the X access token in Settings first."
+                : "Please set the Webhook URL in Settings first.");
             return;
         }
 
@@ -115,8 +118,6 @@ export function QueueList() {
 
         setProgress({ current: 0, total: pendingPosts.length, success: 0, failed: 0 });
 
-        const webhook = new WebhookService(settings.makeWebhookUrl);
-
         for (let i = 0; i < pendingPosts.length; i++) {
             const post = pendingPosts[i];
             const realIndex = post.originalIndex;
@@ -124,12 +125,17 @@ export function QueueList() {
             updateQueueItem(realIndex, { status: 'sending' });
             setProgress(prev => ({ ...prev, current: i + 1 }));
 
-            const success = await webhook.sendPost(post);
-
-            if (success) {
-                updateQueueItem(realIndex, { status: 'sent' });
+            try {
+                const published = await publisher.publish(post);
+                updateQueueItem(realIndex, {
+                    status: 'sent',
+                    publishedPlatform: published.platform,
+                    publishedId: published.postId,
+                    publishedUrl: published.url
+                });
                 setProgress(prev => ({ ...prev, success: prev.success + 1 }));
-            } else {
+            } catch (error) {
+                console.error("Publish error:", error);
                 updateQueueItem(realIndex, { status: 'failed' });
                 setProgress(prev => ({ ...prev, failed: prev.failed + 1 }));
             }
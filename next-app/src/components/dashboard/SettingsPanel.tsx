@@ -1,8 +1,9 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useAppStore } from "@/store/useAppStore";
-import { Settings, X, Save, ExternalLink, CheckCircle, AlertCircle } from "lucide-react";
+import { createBackup, downloadBackup, parseBackup, restoreBackup, RestoreMode } from "@/utils/backup";
+import { Settings, X, Save, ExternalLink, CheckCircle, AlertCircle, Download, Upload } from "lucide-react";
 
 interface SettingsPanelProps {
     isOpen: boolean;
@@ -11,28 +12,49 @@ interface SettingsPanelProps {
 
 export function SettingsPanel({ isOpen, onClose }: SettingsPanelProps) {
     const { settings, setSettings } = useAppStore();
+    const [publisher, setPublisher] = useState(settings.publisher || 'make');
     const [webhookUrl, setWebhookUrl] = useState(settings.makeWebhookUrl);
+    const [xAccessToken, setXAccessToken] = useState(settings.xAccessToken || '');
+    const [xApiBaseUrl, setXApiBaseUrl] = useState(settings.xApiBaseUrl || '');
     const [testStatus, setTestStatus] = useState<'idle' | 'testing' | 'success' | 'error'>('idle');
     const [testMessage, setTestMessage] = useState('');
     const [hasChanges, setHasChanges] = useState(false);
+    const [restoreMode, setRestoreMode] = useState<RestoreMode>('merge');
+    const [backupMessage, setBackupMessage] = useState('');
+    const importInputRef = useRef<HTMLInputElement>(null);
 
     // Sync with store when modal opens
     useEffect(() => {
         if (isOpen) {
+            setPublisher(settings.publisher || 'make');
             setWebhookUrl(settings.makeWebhookUrl);
+            setXAccessToken(settings.xAccessToken || '');
+            setXApiBaseUrl(settings.xApiBaseUrl || '');
             setHasChanges(false);
             setTestStatus('idle');
             setTestMessage('');
         }
-    }, [isOpen, settings.makeWebhookUrl]);
+    }, [isOpen, settings.publisher, settings.makeWebhookUrl, settings.xAccessToken, settings.xApiBaseUrl]);
 
     // Track changes
     useEffect(() => {
-        setHasChanges(webhookUrl !== settings.makeWebhookUrl);
-    }, [webhookUrl, settings.makeWebhookUrl]);
+        setHasChanges(
+            publisher !== (settings.publisher || 'make') ||
+            webhookUrl !== settings.makeWebhookUrl ||
+            xAccessToken !== (settings.xAccessToken || '') ||
+            xApiBaseUrl !== (settings.xApiBaseUrl || '')
+        );
+    }, [publisher, webhookUrl, xAccessToken, xApiBaseUrl, settings.publisher, settings.makeWebhookUrl, settings.xAccessToken, settings.xApiBaseUrl]);
+
+    const isConfigured = (settings.publisher || 'make') === 'x' ? !!settings.xAccessToken : !!settings.makeWebhookUrl;
 
     const handleSave = () => {
-        setSettings({ makeWebhookUrl: webhookUrl.trim() });
+        setSettings({
+            publisher,
+            makeWebhookUrl: webhookUrl.trim(),
+            xAccessToken: xAccessToken.trim(),
+            xApiBaseUrl: xApiBaseUrl.trim()
+        });
         setHasChanges(false);
         onClose();
     };
@@ -78,6 +100,31 @@ export function SettingsPanel({ isOpen, onClose }: SettingsPanelProps) {
         }
     };
 
+    const handleExportBackup = async () => {
+        try {
+            downloadBackup(await createBackup(settings));
+            setBackupMessage('バックアップを書き出しました');
+        } catch (error) {
+            setBackupMessage(`書き出しエラー: ${error instanceof Error ? error.message : error}`);
+        }
+    };
+
+    const handleImportBackup = async (file: File) => {
+        try {
+            const archive = parseBackup(await file.text());
+            if (restoreMode === 'overwrite' && !confirm('現在の画像データベースはバックアップで置き換えられます。よろしいですか？')) {
+                return;
+            }
+            const result = await restoreBackup(archive, restoreMode, settings, setSettings);
+            const imported = result.vectorStore
+                ? `画像: 追加${result.vectorStore.added}件 / 更新${result.vectorStore.updated}件`
+                : '画像データなし';
+            setBackupMessage(`復元しました（${imported}）`);
+        } catch (error) {
+            setBackupMessage(`復元エラー: ${error instanceof Error ? error.message : error}`);
+        }
+    };
+
     if (!isOpen) return null;
 
     return (
@@ -108,69 +155,113 @@ export function SettingsPanel({ isOpen, onClose }: SettingsPanelProps) {
 
                 {/* Content */}
                 <div className="p-6 space-y-6">
-                    {/* Make.com Webhook URL Section */}
-                    <div className="space-y-4">
-                        <div className="flex items-center justify-between">
+                    {/* Publisher Selection */}
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-[var(--text-secondary)]">
+                            送信先
+                        </label>
+                        <select
+                            value={publisher}
+                            onChange={(e) => setPublisher(e.target.value as 'make' | 'x')}
+                            className="w-full px-4 py-3 bg-[var(--bg-tertiary)] border border-white/10 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-[var(--accent-primary)] focus:border-transparent transition-all"
+                        >
+                            <option value="make">Make.com Webhook</option>
+                            <option value="x">X API v2（直接投稿）</option>
+                        </select>
+                    </div>
+
+                    {/* X API Section */}
+                    {publisher === 'x' && (
+                        <div className="space-y-4">
                             <label className="text-sm font-medium text-[var(--text-secondary)]">
-                                Make.com Webhook URL
+                                X アクセストークン（OAuth 2.0）
                             </label>
-                            <a
-                                href="https://www.make.com/"
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-xs text-[var(--accent-primary)] hover:underline flex items-center gap-1"
-                            >
-                                Make.comを開く
-                                <ExternalLink className="w-3 h-3" />
-                            </a>
+                            <input
+                                type="password"
+                                value={xAccessToken}
+                                onChange={(e) => setXAccessToken(e.target.value)}
+                                placeholder="tweet.write / media.write スコープ"
+                                autoComplete="off"
+                                className="w-full px-4 py-3 bg-[var(--bg-tertiary)] border border-white/10 rounded-xl text-white placeholder-[var(--text-muted)] focus:outline-none focus:ring-2 focus:ring-[var(--accent-primary)] focus:border-transparent transition-all"
+                            />
+                            <label className="text-sm font-medium text-[var(--text-secondary)]">
+                                X API ベースURL（任意）
+                            </label>
+                            <input
+                                type="url"
+                                value={xApiBaseUrl}
+                                onChange={(e) => setXApiBaseUrl(e.target.value)}
+                                placeholder="https://api.x.com"
+                                className="w-full px-4 py-3 bg-[var(--bg-tertiary)] border border-white/10 rounded-xl text-white placeholder-[var(--text-muted)] focus:outline-none focus:ring-2 focus:ring-[var(--accent-primary)] focus:border-transparent transition-all"
+                            />
                         </div>
+                    )}
 
-                        <input
-                            type="url"
-                            value={webhookUrl}
-                            onChange={(e) => setWebhookUrl(e.target.value)}
-                            placeholder="https://hook.us1.make.com/..."
-                            className="w-full px-4 py-3 bg-[var(--bg-tertiary)] border border-white/10 rounded-xl text-white placeholder-[var(--text-muted)] focus:outline-none focus:ring-2 focus:ring-[var(--accent-primary)] focus:border-transparent transition-all"
-                        />
+                    {/* Make.com Webhook URL Section */}
+                    {publisher === 'make' && (
+                        <div className="space-y-4">
+                            <div className="flex items-center justify-between">
+                                <label className="text-sm font-medium text-[var(--text-secondary)]">
+                                    Make.com Webhook URL
+                                </label>
+                                <a
+                                    href="https://www.make.com/"
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="text-xs text-[var(--accent-primary)] hover:underline flex items-center gap-1"
+                                >
+                                    Make.comを開く
+                                    <ExternalLink className="w-3 h-3" />
+                                </a>
+                            </div>
 
-                        <p className="text-xs text-[var(--text-muted)]">
-                            Make.comでWebhookモジュールを作成し、URLをここに貼り付けてください。
-                            <br />
-                            詳しくは「Make.com連携設定ガイド.md」を参照してください。
-                        </p>
+                            <input
+                                type="url"
+                                value={webhookUrl}
+                                onChange={(e) => setWebhookUrl(e.target.value)}
+                                placeholder="https://hook.us1.make.com/..."
+                                className="w-full px-4 py-3 bg-[var(--bg-tertiary)] border border-white/10 rounded-xl text-white placeholder-[var(--text-muted)] focus:outline-none focus:ring-2 focus:ring-[var(--accent-primary)] focus:border-transparent transition-all"
+                            />
 
-                        {/* Test Connection Button */}
-                        <div className="flex items-center gap-3">
-                            <button
-                                onClick={handleTest}
-                                disabled={!webhookUrl.trim() || testStatus === 'testing'}
-                                className="px-4 py-2 bg-[var(--bg-tertiary)] hover:bg-white/10 disabled:opacity-50 disabled:cursor-not-allowed border border-white/10 rounded-lg text-sm font-medium transition-all flex items-center gap-2"
-                            >
-                                {testStatus === 'testing' ? (
-                                    <>
-                                        <span className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                                        テスト中...
-                                    </>
-                                ) : (
-                                    'テスト送信'
-                                )}
-                            </button>
+                            <p className="text-xs text-[var(--text-muted)]">
+                                Make.comでWebhookモジュールを作成し、URLをここに貼り付けてください。
+                                <br />
+                                詳しくは「Make.com連携設定ガイド.md」を参照してください。
+                            </p>
 
-                            {/* Test Status */}
-                            {testStatus === 'success' && (
-                                <div className="flex items-center gap-2 text-sm text-green-400">
-                                    <CheckCircle className="w-4 h-4" />
-                                    {testMessage}
-                                </div>
-                            )}
-                            {testStatus === 'error' && (
-                                <div className="flex items-center gap-2 text-sm text-red-400">
-                                    <AlertCircle className="w-4 h-4" />
-                                    {testMessage}
-                                </div>
-                            )}
+                            {/* Test Connection Button */}
+                            <div className="flex items-center gap-3">
+                                <button
+                                    onClick={handleTest}
+                                    disabled={!webhookUrl.trim() || testStatus === 'testing'}
+                                    className="px-4 py-2 bg-[var(--bg-tertiary)] hover:bg-white/10 disabled:opacity-50 disabled:cursor-not-allowed border border-white/10 rounded-lg text-sm font-medium transition-all flex items-center gap-2"
+                                >
+                                    {testStatus === 'testing' ? (
+                                        <>
+                                            <span className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                                            テスト中...
+                                        </>
+                                    ) : (
+                                        'テスト送信'
+                                    )}
+                                </button>
+
+                                {/* Test Status */}
+                                {testStatus === 'success' && (
+                                    <div className="flex items-center gap-2 text-sm text-green-400">
+                                        <CheckCircle className="w-4 h-4" />
+                                        {testMessage}
+                                    </div>
+                                )}
+                                {testStatus === 'error' && (
+                                    <div className="flex items-center gap-2 text-sm text-red-400">
+                                        <AlertCircle className="w-4 h-4" />
+                                        {testMessage}
+                                    </div>
+                                )}
+                            </div>
                         </div>
-                    </div>
+                    )}
 
                     {/* Divider */}
                     <div className="border-t border-white/10" />
@@ -179,12 +270,14 @@ export function SettingsPanel({ isOpen, onClose }: SettingsPanelProps) {
                     <div className="p-4 bg-[var(--bg-tertiary)] rounded-xl">
                         <h3 className="text-sm font-medium mb-2">接続状態</h3>
                         <div className="flex items-center gap-2">
-                            {settings.makeWebhookUrl ? (
+                            {isConfigured ? (
                                 <>
                                     <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse" />
                                     <span className="text-sm text-green-400">設定済み</span>
                                     <span className="text-xs text-[var(--text-muted)] truncate max-w-[200px]">
-                                        ({settings.makeWebhookUrl.substring(0, 40)}...)
+                                        {settings.publisher === 'x'
+                                            ? '(X API v2)'
+                                            : `(${settings.makeWebhookUrl.substring(0, 40)}...)`}
                                     </span>
                                 </>
                             ) : (
@@ -195,6 +288,52 @@ export function SettingsPanel({ isOpen, onClose }: SettingsPanelProps) {
                             )}
                         </div>
                     </div>
+
+                    {/* Backup */}
+                    <div className="p-4 bg-[var(--bg-tertiary)] rounded-xl space-y-3">
+                        <h3 className="text-sm font-medium">バックアップ</h3>
+                        <p className="text-xs text-[var(--text-muted)]">
+                            画像データベースと設定を書き出します（アクセストークン・Webhook URLは含みません）
+                        </p>
+                        <div className="flex items-center gap-3">
+                            <button
+                                onClick={handleExportBackup}
+                                className="px-4 py-2 bg-[var(--bg-secondary)] hover:bg-white/10 border border-white/10 rounded-lg text-sm font-medium transition-all flex items-center gap-2"
+                            >
+                                <Download className="w-4 h-4" />
+                                書き出し
+                            </button>
+                            <button
+                                onClick={() => importInputRef.current?.click()}
+                                className="px-4 py-2 bg-[var(--bg-secondary)] hover:bg-white/10 border border-white/10 rounded-lg text-sm font-medium transition-all flex items-center gap-2"
+                            >
+                                <Upload className="w-4 h-4" />
+                                復元
+                            </button>
+                            <select
+                                value={restoreMode}
+                                onChange={(e) => setRestoreMode(e.target.value as RestoreMode)}
+                                className="px-3 py-2 bg-[var(--bg-secondary)] border border-white/10 rounded-lg text-sm"
+                            >
+                                <option value="merge">統合</option>
+                                <option value="overwrite">上書き</option>
+                            </select>
+                            <input
+                                ref={importInputRef}
+                                type="file"
+                                accept="application/json,.json"
+                                className="hidden"
+                                onChange={(e) => {
+                                    const file = e.target.files?.[0];
+                                    e.target.value = '';
+                                    if (file) handleImportBackup(file);
+                                }}
+                            />
+                        </div>
+                        {backupMessage && (
+                            <p className="text-xs text-[var(--text-secondary)]">{backupMessage}</p>
+                        )}
+                    </div>
                 </div>
 
                 {/* Footer */}
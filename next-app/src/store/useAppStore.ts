@@ -42,13 +42,19 @@ export interface PostItem {
     status: 'draft' | 'ready' | 'sending' | 'sent' | 'failed';
     eventInfo: EventInfo;
     imageSettings?: ImageSettings;
+    publishedPlatform?: string;
+    publishedId?: string | null;
+    publishedUrl?: string | null;
     createdAt: number;
     updatedAt: number;
 }
 
 export interface AppSettings {
     defaultEventInfo: EventInfo;
+    publisher: 'make' | 'x';
     makeWebhookUrl: string;
+    xAccessToken: string;
+    xApiBaseUrl: string;
 }
 
 interface AppState {
@@ -82,7 +88,10 @@ export const useAppStore = create<AppState>()(
                     category: 'ブース',
                     hashtags: ''
                 },
-                makeWebhookUrl: ''
+                publisher: 'make',
+                makeWebhookUrl: '',
+                xAccessToken: '',
+                xApiBaseUrl: ''
             },
             eventInfo: {
                 eventEn: '',
@@ -0,0 +1,228 @@
+"use client";
+
+/**
+ * Backup - next-app のローカルデータ（vectorStore・設定）の書き出し/復元
+ * 形式は app/backup-manager.js と共通（autopost-backup）。人物・テンプレート・履歴は app 側で扱う
+ * 古いバージョンのバックアップは migrateBackup で現在の形式に変換してから復元する
+ */
+
+import { vectorStore, ImageRecord } from './vectorStore';
+import type { AppSettings } from '@/store/useAppStore';
+
+// --- Types ---
+
+export type RestoreMode = 'merge' | 'overwrite';
+
+export interface BackupArchive {
+    format: string;
+    version: number;
+    createdAt: string | null;
+    source: string;
+    data: Record<string, unknown>;
+}
+
+export interface RestoreResult {
+    vectorStore?: { added: number; updated: number };
+    settings: boolean;
+    skipped: string[];
+}
+
+// --- Constants ---
+
+export const BACKUP_FORMAT = 'autopost-backup';
+export const BACKUP_VERSION = 1;
+
+// バックアップに含めない設定（認証情報）
+const CREDENTIAL_SETTINGS: (keyof AppSettings)[] = ['xAccessToken', 'makeWebhookUrl'];
+
+// useAppStore が設定を保存している localStorage のキー（persist の name）
+const STORE_KEY = 'x-auto-post-storage';
+
+// --- Functions ---
+
+/**
+ * オブジェクト（配列・null 以外）か
+ */
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * バックアップを作成
+ */
+export async function createBackup(
+    settings: AppSettings,
+    { includeCredentials = false }: { includeCredentials?: boolean } = {}
+): Promise<BackupArchive> {
+    const exportedSettings: Partial<AppSettings> = { ...settings };
+    if (!includeCredentials) {
+        CREDENTIAL_SETTINGS.forEach(name => delete exportedSettings[name]);
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        source: 'next-app',
+        data: {
+            settings: exportedSettings,
+            vectorStore: await vectorStore.getAll()
+        }
+    };
+}
+
+/**
+ * 旧形式（バージョンなし）: ストレージのキーと値をそのまま並べたダンプ
+ * 設定は useAppStore の保存値（{ state: { settings } }、文字列のままの場合もある）から取り出す
+ */
+function migrateLegacyDump(dump: Record<string, unknown>): BackupArchive {
+    const data: Record<string, unknown> = {};
+
+    let stored = dump[STORE_KEY];
+    if (typeof stored === 'string') {
+        try {
+            stored = JSON.parse(stored);
+        } catch {
+            stored = null;
+        }
+    }
+    const settings = (stored as { state?: { settings?: unknown } } | null)?.state?.settings;
+    if (settings && typeof settings === 'object') data.settings = settings;
+    if (Array.isArray(dump.vectorStore)) data.vectorStore = dump.vectorStore;
+
+    return {
+        format: BACKUP_FORMAT,
+        version: 1,
+        createdAt: null,
+        source: 'legacy',
+        data
+    };
+}
+
+// バージョンごとの変換（version → version + 1）
+const MIGRATIONS: Record<number, (archive: Record<string, unknown>) => BackupArchive> = {
+    0: migrateLegacyDump
+};
+
+/**
+ * バックアップを現在の形式に変換
+ * @throws 形式が不正、または新しすぎるバージョンの場合
+ */
+export function migrateBackup(archive: unknown): BackupArchive {
+    if (!isPlainObject(archive)) {
+        throw new Error('バックアップの形式が正しくありません');
+    }
+
+    let current = archive;
+    let version = current.format === BACKUP_FORMAT ? Number(current.version) : 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error('バックアップのバージョンが不明です');
+    }
+    if (version > BACKUP_VERSION) {
+        throw new Error(`このバックアップ（v${version}）は新しいバージョンのアプリで作成されています`);
+    }
+
+    while (version < BACKUP_VERSION) {
+        const migrated = MIGRATIONS[version](current);
+        current = migrated as unknown as Record<string, unknown>;
+        version = migrated.version;
+    }
+
+    if (!isPlainObject(current.data)) {
+        throw new Error('バックアップにデータが含まれていません');
+    }
+    return current as unknown as BackupArchive;
+}
+
+/**
+ * バックアップファイルの内容を読み込む
+ * @throws 形式が不正、または新しすぎるバージョンの場合
+ */
+export function parseBackup(text: string): BackupArchive {
+    let archive: unknown;
+    try {
+        archive = JSON.parse(text);
+    } catch {
+        throw new Error('バックアップファイルを読み込めません（JSON ではありません）');
+    }
+    return migrateBackup(archive);
+}
+
+/**
+ * 空の値か（merge ではバックアップの値で埋める）
+ */
+function isEmptyValue(value: unknown): boolean {
+    return value === '' || value === null || value === undefined;
+}
+
+/**
+ * merge で反映する設定（入力済みの値を優先し、空の値と未設定のキーだけバックアップで埋める）
+ * defaultEventInfo のような入れ子の設定は項目ごとに統合する
+ */
+function mergeSettings(incoming: Record<string, unknown>, current: Record<string, unknown>): Record<string, unknown> {
+    const merged: Record<string, unknown> = {};
+    Object.entries(incoming).forEach(([key, value]) => {
+        const existing = current[key];
+        if (isPlainObject(value) && isPlainObject(existing)) {
+            merged[key] = { ...existing, ...mergeSettings(value, existing) };
+        } else if (isEmptyValue(existing)) {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+/**
+ * vectorStore のレコードとして正しいか
+ */
+function isImageRecord(value: unknown): value is ImageRecord {
+    const record = value as ImageRecord;
+    return !!record && typeof record.id === 'string' && Array.isArray(record.embedding) &&
+        typeof record.accountHandle === 'string' && typeof record.createdAt === 'number';
+}
+
+/**
+ * バックアップから復元
+ * @param applySettings - 設定を反映する関数（useAppStore の setSettings）
+ */
+export async function restoreBackup(
+    archive: BackupArchive,
+    mode: RestoreMode,
+    currentSettings: AppSettings,
+    applySettings: (settings: Partial<AppSettings>) => void
+): Promise<RestoreResult> {
+    const result: RestoreResult = { settings: false, skipped: [] };
+    const { data } = migrateBackup(archive);
+
+    for (const [name, value] of Object.entries(data)) {
+        if (name === 'vectorStore' && Array.isArray(value)) {
+            result.vectorStore = await vectorStore.importRecords(value.filter(isImageRecord), mode);
+        } else if (name === 'settings' && value && typeof value === 'object') {
+            const incoming = value as Partial<AppSettings>;
+            // merge では入力済みの設定を優先する（バックアップに含まれない認証情報は既存の値を残す）
+            const settings = mode === 'overwrite'
+                ? incoming
+                : mergeSettings(incoming, currentSettings as unknown as Record<string, unknown>) as Partial<AppSettings>;
+            applySettings(settings);
+            result.settings = true;
+        } else {
+            result.skipped.push(name);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * バックアップをファイルとしてダウンロード
+ */
+export function downloadBackup(archive: BackupArchive): void {
+    const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    link.href = url;
+    link.download = `autopost-backup-${stamp}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
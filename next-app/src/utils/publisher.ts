@@ -0,0 +1,132 @@
+import { AppSettings, PostItem } from '@/store/useAppStore';
+import { WebhookService, buildPostText } from '@/utils/webhook';
+
+export type PublisherId = 'make' | 'x';
+
+export interface PublishResult {
+    platform: string;
+    postId: string | null;
+    url: string | null;
+}
+
+/**
+ * A destination the queue can be sent to (Make.com webhook, X API, ...)
+ */
+export interface Publisher {
+    readonly id: string;
+    isConfigured(): boolean;
+    publish(post: PostItem): Promise<PublishResult>;
+}
+
+export class PublishError extends Error {
+    status: number | null;
+    body: string;
+    platform: string;
+
+    constructor(message: string, { status = null, body = '', platform = '' }: { status?: number | null; body?: string; platform?: string } = {}) {
+        super(message);
+        this.name = 'PublishError';
+        this.status = status;
+        this.body = body;
+        this.platform = platform;
+    }
+}
+
+export const DEFAULT_X_API_BASE_URL = 'https://api.x.com';
+
+function dataUrlToBlob(dataUrl: string): Blob {
+    const match = /^data:([^;,]+)?(;base64)?,([\s\S]*)$/.exec(dataUrl);
+    if (!match) throw new Error('Invalid data URL');
+
+    const mimeType = match[1] || 'application/octet-stream';
+    if (!match[2]) return new Blob([decodeURIComponent(match[3])], { type: mimeType });
+
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Publishes directly to X API v2: uploads the photo, then creates the tweet
+ */
+export class XApiPublisher implements Publisher {
+    readonly id = 'x';
+    private accessToken: string;
+    private apiBaseUrl: string;
+
+    constructor(accessToken: string, apiBaseUrl: string = DEFAULT_X_API_BASE_URL) {
+        this.accessToken = accessToken;
+        this.apiBaseUrl = (apiBaseUrl || DEFAULT_X_API_BASE_URL).replace(/\/+$/, '');
+    }
+
+    isConfigured(): boolean {
+        return !!this.accessToken;
+    }
+
+    private async request<T>(path: string, init: RequestInit): Promise<T> {
+        let response: Response;
+        try {
+            response = await fetch(`${this.apiBaseUrl}${path}`, {
+                ...init,
+                headers: { Authorization: `Bearer ${this.accessToken}`, ...(init.headers as Record<string, string> | undefined) }
+            });
+        } catch (error) {
+            throw new PublishError(error instanceof Error ? error.message : 'Network error', { platform: this.id });
+        }
+
+        const body = await response.text().catch(() => '');
+        if (!response.ok) {
+            throw new PublishError(`X API request failed: ${response.status} ${path}`, {
+                status: response.status,
+                body,
+                platform: this.id
+            });
+        }
+        return (body ? JSON.parse(body) : {}) as T;
+    }
+
+    async uploadMedia(imageDataUrl: string): Promise<string> {
+        const form = new FormData();
+        form.append('media', dataUrlToBlob(imageDataUrl), 'photo');
+        form.append('media_category', 'tweet_image');
+
+        const data = await this.request<{ data?: { id?: string } }>('/2/media/upload', { method: 'POST', body: form });
+        if (!data.data?.id) throw new PublishError('X API did not return a media id', { platform: this.id });
+        return data.data.id;
+    }
+
+    async createTweet(text: string, mediaIds: string[] = []): Promise<string> {
+        const body: { text: string; media?: { media_ids: string[] } } = { text };
+        if (mediaIds.length > 0) body.media = { media_ids: mediaIds };
+
+        const data = await this.request<{ data?: { id?: string } }>('/2/tweets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!data.data?.id) throw new PublishError('X API did not return a tweet id', { platform: this.id });
+        return data.data.id;
+    }
+
+    async publish(post: PostItem): Promise<PublishResult> {
+        if (!this.isConfigured()) throw new PublishError('X access token is not set', { platform: this.id });
+
+        const mediaIds = post.imageBase64 ? [await this.uploadMedia(post.imageBase64)] : [];
+        const tweetId = await this.createTweet(buildPostText(post), mediaIds);
+
+        return { platform: this.id, postId: tweetId, url: `https://x.com/i/web/status/${tweetId}` };
+    }
+}
+
+/**
+ * Build the publisher selected in settings (defaults to the Make.com webhook)
+ */
+export function createPublisher(settings: AppSettings): Publisher {
+    if (settings.publisher === 'x') {
+        return new XApiPublisher(settings.xAccessToken || '', settings.xApiBaseUrl);
+    }
+    return new WebhookService(settings.makeWebhookUrl);
+}
@@ -211,6 +211,46 @@ class VectorStore {
         });
     }
 
+    /**
+     * バックアップからレコードを取り込む
+     * @param records - 取り込むレコード
+     * @param mode - merge: 同じIDは新しい方を残す / overwrite: 全て置き換える
+     * @returns 追加・更新した件数
+     */
+    async importRecords(records: ImageRecord[], mode: 'merge' | 'overwrite'): Promise<{ added: number; updated: number }> {
+        if (mode === 'overwrite') {
+            await this.clear();
+        }
+
+        const existing = new Map((await this.getAll()).map(record => [record.id, record]));
+        let added = 0;
+        let updated = 0;
+
+        await new Promise<void>((resolve, reject) => {
+            const tx = this.db!.transaction(STORE_NAME, 'readwrite');
+            const store = tx.objectStore(STORE_NAME);
+
+            for (const record of records) {
+                const current = existing.get(record.id);
+                if (!current) {
+                    added++;
+                } else if (record.createdAt > current.createdAt) {
+                    updated++;
+                } else {
+                    continue;
+                }
+                store.put(record);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        console.log(`[VectorStore] Imported ${added} new / ${updated} updated records`);
+        return { added, updated };
+    }
+
     /**
      * ユニークなアカウント一覧を取得
      */
@@ -1,108 +1,72 @@
 import { PostItem } from '@/store/useAppStore';
+import { Publisher, PublishError, PublishResult } from '@/utils/publisher';
+// The vanilla app and this app render post text with the same layout engine
+import { renderPostTemplates } from '../../../app/post-layout.js';
+// Same payload as the vanilla app's Make.com webhook, so both apps send one shape
+import { buildWebhookPayload } from '../../../app/publishers.js';
 
-// Type definitions for the payload
-interface WebhookPayload {
-    timestamp: string;
-    event: {
-        eventEn: string;
-        eventJp: string;
-        date: string;
-        venue: string;
-        category: string;
-        hashtags: string;
-    };
-    photo: {
-        base64: string | null;
-        filename?: string;
-    };
-    person: {
-        name: string;
-        role: string;
-        account: string;
-    };
-    booth: {
-        name: string;
-        account: string;
-    };
-    posts: {
-        // These will be generated on the server side (Make.com) or here?
-        // Legacy code generated templates, let's keep it simple and just send raw data
-        // unless we want to replicate the 'x1', 'x2', 'instagram' text generation.
-        // For now, let's assume Make.com handles the text generation or we send a default.
-        x1: string; // Placeholder or generated text
-        x2: string;
-        instagram: string;
-    };
-    settings?: {
-        aiModel: string;
-    };
+/**
+ * Post texts for X (first and following posts) and Instagram, rendered with the default layout of app/post-layout.js
+ */
+export function buildPostTemplates(post: PostItem): { x1: string; x2: string; ig: string } {
+    return renderPostTemplates(post, post.eventInfo);
 }
 
-export class WebhookService {
+/**
+ * Post text shared by every publisher
+ */
+export function buildPostText(post: PostItem): string {
+    return buildPostTemplates(post).x1;
+}
+
+export class WebhookService implements Publisher {
+    readonly id = 'make';
     private webhookUrl: string;
 
     constructor(url: string) {
         this.webhookUrl = url;
     }
 
-    private generatePayload(post: PostItem): WebhookPayload {
-        // Simple template generation (port from legacy if needed, or keep simple)
-        const eventName = post.eventInfo.eventJp || post.eventInfo.eventEn || '';
-        const personName = post.personName;
-        const boothName = post.boothName;
-
-        // Basic template
-        const baseText = `${eventName}\n${boothName}ブース\n${personName}さん (@${post.personAccount})\n\n#${post.eventInfo.hashtags.trim().replace(/\s+/g, ' #')}`;
+    isConfigured(): boolean {
+        return !!this.webhookUrl;
+    }
 
-        return {
-            timestamp: new Date().toISOString(),
-            event: {
-                eventEn: post.eventInfo.eventEn,
-                eventJp: post.eventInfo.eventJp,
-                date: post.eventInfo.date,
-                venue: post.eventInfo.venue,
-                category: post.eventInfo.category,
-                hashtags: post.eventInfo.hashtags
-            },
-            photo: {
-                base64: post.imageBase64
-            },
-            person: {
-                name: post.personName,
-                role: post.personRole,
-                account: post.personAccount
-            },
-            booth: {
-                name: post.boothName,
-                account: post.boothAccount
-            },
-            posts: {
-                x1: post.aiComment || baseText,
-                x2: post.aiComment || baseText,
-                instagram: post.aiComment || baseText
-            },
-            settings: {
-                aiModel: 'gpt-4o' // Default or from store
-            }
-        };
+    private generatePayload(post: PostItem) {
+        return buildWebhookPayload(post, { event: post.eventInfo, templates: buildPostTemplates(post) });
     }
 
-    async sendPost(post: PostItem): Promise<boolean> {
-        if (!this.webhookUrl) throw new Error("Webhook URL is not set");
+    async publish(post: PostItem): Promise<PublishResult> {
+        if (!this.webhookUrl) throw new PublishError("Webhook URL is not set", { platform: this.id });
 
         const payload = this.generatePayload(post);
 
+        let response: Response;
         try {
-            const response = await fetch(this.webhookUrl, {
+            response = await fetch(this.webhookUrl, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
             });
+        } catch (error) {
+            throw new PublishError(error instanceof Error ? error.message : 'Network error', { platform: this.id });
+        }
 
-            if (!response.ok) {
-                console.error(`Webhook failed: ${response.status} ${response.statusText}`);
-                return false;
-            }
+        if (!response.ok) {
+            throw new PublishError(`Webhook failed: ${response.status} ${response.statusText}`, {
+                status: response.status,
+                body: await response.text().catch(() => ''),
+                platform: this.id
+            });
+        }
+
+        return { platform: this.id, postId: null, url: null };
+    }
+
+    async sendPost(post: PostItem): Promise<boolean> {
+        if (!this.webhookUrl) throw new Error("Webhook URL is not set");
+
+        try {
+            await this.publish(post);
             return true;
         } catch (error) {
             console.error("Webhook error:", error);
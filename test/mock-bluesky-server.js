@@ -0,0 +1,93 @@
+/**
+ * Mock Bluesky PDS
+ * Implements the subset of XRPC methods used by BlueskyPublisher
+ */
+
+import { startMockServer } from './mock-http-server.js';
+
+/**
+ * Start a mock PDS
+ * @param {Object} [options]
+ * @param {string} [options.handle] - Handle of the account
+ * @param {string} [options.appPassword] - App password the server accepts
+ * @param {Object<string, string>} [options.handles] - Other handles that resolve to a DID
+ * @returns {Promise<{baseUrl: string, did: string, requests: Array, posts: Array, blobs: Array, close: Function}>}
+ */
+export async function startMockBlueskyServer({
+    handle = 'photographer.bsky.social',
+    appPassword = 'app-pass-word-1234',
+    handles = {}
+} = {}) {
+    const did = 'did:plc:photographer';
+    const accessJwt = 'access-jwt';
+    const posts = [];
+    const blobs = [];
+    let nextId = 1;
+
+    const authorized = (req) => req.headers.authorization === `Bearer ${accessJwt}`;
+    const unauthorized = { status: 401, json: { error: 'AuthenticationRequired', message: 'Invalid token' } };
+
+    const server = await startMockServer({
+        'POST /xrpc/com.atproto.server.createSession': (req) => {
+            const payload = JSON.parse(req.body.toString('utf8'));
+            if (payload.identifier !== handle || payload.password !== appPassword) {
+                return { status: 401, json: { error: 'AuthenticationRequired', message: 'Invalid identifier or password' } };
+            }
+            return { json: { accessJwt, refreshJwt: 'refresh-jwt', did, handle } };
+        },
+        'POST /xrpc/com.atproto.repo.uploadBlob': (req) => {
+            if (!authorized(req)) return unauthorized;
+            if (req.body.length === 0) {
+                return { status: 400, json: { error: 'InvalidRequest', message: 'Empty blob' } };
+            }
+
+            const blob = {
+                $type: 'blob',
+                ref: { $link: `bafkrei${nextId++}` },
+                mimeType: req.headers['content-type'],
+                size: req.body.length
+            };
+            blobs.push(blob);
+            return { json: { blob } };
+        },
+        'GET /xrpc/com.atproto.identity.resolveHandle': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const resolved = req.query.handle === handle ? did : handles[req.query.handle];
+            if (!resolved) {
+                return { status: 400, json: { error: 'InvalidRequest', message: 'Unable to resolve handle' } };
+            }
+            return { json: { did: resolved } };
+        },
+        'GET /xrpc/com.atproto.repo.getRecord': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const uri = `at://${req.query.repo}/${req.query.collection}/${req.query.rkey}`;
+            const post = posts.find(p => p.uri === uri);
+            if (!post) {
+                return { status: 400, json: { error: 'RecordNotFound', message: `Could not locate record: ${uri}` } };
+            }
+            return { json: { uri: post.uri, cid: post.cid, value: post.record } };
+        },
+        'POST /xrpc/com.atproto.repo.createRecord': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const payload = JSON.parse(req.body.toString('utf8'));
+            if (payload.repo !== did || payload.collection !== 'app.bsky.feed.post') {
+                return { status: 400, json: { error: 'InvalidRequest', message: 'Invalid repo or collection' } };
+            }
+            const images = payload.record.embed?.images || [];
+            const unknown = images.filter(image => !blobs.some(blob => blob.ref.$link === image.image?.ref?.$link));
+            if (unknown.length > 0 || images.length > 4) {
+                return { status: 400, json: { error: 'InvalidRequest', message: 'Invalid images' } };
+            }
+
+            const rkey = `3k${String(nextId++).padStart(11, '0')}`;
+            const post = { uri: `at://${did}/app.bsky.feed.post/${rkey}`, cid: `bafyrei${rkey}`, record: payload.record };
+            posts.push(post);
+            return { json: { uri: post.uri, cid: post.cid } };
+        }
+    });
+
+    return { ...server, did, posts, blobs };
+}
@@ -0,0 +1,64 @@
+/**
+ * Mock HTTP server for publisher tests
+ * Starts a local server on a random port and records every request
+ */
+
+import http from 'node:http';
+
+/**
+ * @typedef {Object} RecordedRequest
+ * @property {string} method
+ * @property {string} path
+ * @property {Object} headers
+ * @property {Buffer} body
+ */
+
+/**
+ * Start a mock server
+ * @param {Object<string, Function>} routes - "METHOD /path" => (req) => ({ status, json, text, headers })
+ * @returns {Promise<{baseUrl: string, requests: Array<RecordedRequest>, close: Function}>}
+ */
+export async function startMockServer(routes) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const recorded = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: Buffer.concat(chunks)
+            };
+            requests.push(recorded);
+
+            const handler = routes[`${req.method} ${url.pathname}`];
+            if (!handler) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ title: 'Not Found' }));
+                return;
+            }
+
+            const { status = 200, json, text, headers = {} } = await handler(recorded);
+            if (json !== undefined) {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(json));
+            } else {
+                res.writeHead(status, headers);
+                res.end(text || '');
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Mock Mastodon server
+ * Implements the subset of endpoints used by MastodonPublisher
+ */
+
+import { startMockServer } from './mock-http-server.js';
+
+/**
+ * Read a text field from a multipart body
+ * @param {string} body
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readField(body, name) {
+    return new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`).exec(body)?.[1] ?? null;
+}
+
+/**
+ * Start a mock Mastodon instance
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Token the server accepts
+ * @param {number} [options.processingPolls] - Polls a media attachment stays in processing (0 returns it ready)
+ * @returns {Promise<{baseUrl: string, requests: Array, statuses: Array, media: Array, close: Function}>}
+ */
+export async function startMockMastodonServer({ accessToken = 'test-token', processingPolls = 0 } = {}) {
+    const statuses = [];
+    const media = [];
+    let nextId = 110000000000000000n;
+
+    const authorized = (req) => req.headers.authorization === `Bearer ${accessToken}`;
+    const unauthorized = { status: 401, json: { error: 'The access token is invalid' } };
+
+    const toAttachment = (item, baseUrl) => ({
+        id: item.id,
+        type: 'image',
+        url: item.pending > 0 ? null : `${baseUrl}/media/${item.id}.jpg`,
+        description: item.description,
+        meta: item.focus ? { focus: item.focus } : {}
+    });
+
+    const routes = {
+        'POST /api/v2/media': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const body = req.body.toString('utf8');
+            if (!body.includes('name="file"')) {
+                return { status: 422, json: { error: 'Validation failed: File can\'t be blank' } };
+            }
+
+            const focus = readField(body, 'focus');
+            const [x, y] = focus ? focus.split(',').map(Number) : [];
+            const item = {
+                id: String(nextId++),
+                description: readField(body, 'description'),
+                focus: focus ? { x, y } : null,
+                pending: processingPolls
+            };
+            media.push(item);
+
+            // 処理中の添付ファイルは GET /api/v1/media/:id で確認する
+            routes[`GET /api/v1/media/${item.id}`] = (pollReq) => {
+                if (!authorized(pollReq)) return unauthorized;
+                if (item.pending > 0) {
+                    item.pending--;
+                    return { status: 206, json: toAttachment({ ...item, pending: 1 }, server.baseUrl) };
+                }
+                return { json: toAttachment(item, server.baseUrl) };
+            };
+
+            return { status: item.pending > 0 ? 202 : 200, json: toAttachment(item, server.baseUrl) };
+        },
+        'POST /api/v1/statuses': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const payload = JSON.parse(req.body.toString('utf8'));
+            const mediaIds = payload.media_ids || [];
+            const unknown = mediaIds.filter(id => !media.some(m => m.id === id));
+            if (unknown.length > 0 || mediaIds.length > 4) {
+                return { status: 422, json: { error: 'Validation failed: Invalid media' } };
+            }
+            if (mediaIds.some(id => media.find(m => m.id === id).pending > 0)) {
+                return { status: 422, json: { error: 'Cannot attach files that have not finished processing' } };
+            }
+            if (payload.in_reply_to_id && !statuses.some(s => s.id === payload.in_reply_to_id)) {
+                return { status: 404, json: { error: 'Record not found' } };
+            }
+
+            const id = String(nextId++);
+            statuses.push({ id, ...payload });
+            return { json: { id, url: `${server.baseUrl}/@photographer/${id}`, visibility: payload.visibility } };
+        }
+    };
+
+    const server = await startMockServer(routes);
+
+    return { ...server, statuses, media };
+}
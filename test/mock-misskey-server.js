@@ -0,0 +1,66 @@
+/**
+ * Mock Misskey server
+ * Implements the subset of endpoints used by MisskeyPublisher
+ */
+
+import { startMockServer } from './mock-http-server.js';
+
+/**
+ * Read a text field from a multipart body
+ * @param {string} body
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readField(body, name) {
+    return new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`).exec(body)?.[1] ?? null;
+}
+
+/**
+ * Start a mock Misskey instance
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Token the server accepts
+ * @returns {Promise<{baseUrl: string, requests: Array, notes: Array, files: Array, close: Function}>}
+ */
+export async function startMockMisskeyServer({ accessToken = 'test-token' } = {}) {
+    const notes = [];
+    const files = [];
+    let nextId = 1;
+
+    const credentialRequired = {
+        status: 401,
+        json: { error: { code: 'CREDENTIAL_REQUIRED', message: 'Credential required.' } }
+    };
+
+    const server = await startMockServer({
+        'POST /api/drive/files/create': (req) => {
+            const body = req.body.toString('utf8');
+            if (readField(body, 'i') !== accessToken) return credentialRequired;
+            if (!body.includes('name="file"')) {
+                return { status: 400, json: { error: { code: 'INVALID_PARAM', message: 'file is required' } } };
+            }
+
+            const file = { id: `9f${String(nextId++).padStart(8, '0')}`, comment: readField(body, 'comment') };
+            files.push(file);
+            return { json: { id: file.id, type: 'image/jpeg', comment: file.comment } };
+        },
+        'POST /api/notes/create': (req) => {
+            const payload = JSON.parse(req.body.toString('utf8'));
+            if (payload.i !== accessToken) return credentialRequired;
+
+            const fileIds = payload.fileIds || [];
+            if (fileIds.some(id => !files.some(f => f.id === id)) || fileIds.length > 16) {
+                return { status: 400, json: { error: { code: 'NO_SUCH_FILE', message: 'Some files are not found.' } } };
+            }
+            if (payload.replyId && !notes.some(n => n.id === payload.replyId)) {
+                return { status: 400, json: { error: { code: 'NO_SUCH_REPLY_TARGET', message: 'No such reply target.' } } };
+            }
+
+            const { i, ...note } = payload;
+            const id = `9g${String(nextId++).padStart(8, '0')}`;
+            notes.push({ id, ...note });
+            return { json: { createdNote: { id, ...note } } };
+        }
+    });
+
+    return { ...server, notes, files };
+}
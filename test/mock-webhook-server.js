@@ -0,0 +1,45 @@
+/**
+ * Mock webhook receiver
+ * Verifies the HMAC-SHA256 signature and timestamp like a receiving server should
+ */
+
+import crypto from 'node:crypto';
+import { startMockServer } from './mock-http-server.js';
+
+/**
+ * Start a mock webhook receiver on POST /hook
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Shared secret (empty accepts unsigned requests)
+ * @param {number} [options.toleranceSeconds] - Maximum age of the timestamp
+ * @param {Function} [options.now] - Current time in milliseconds
+ * @returns {Promise<{baseUrl: string, url: string, requests: Array, deliveries: Array, close: Function}>}
+ */
+export async function startMockWebhookServer({ secret = '', toleranceSeconds = 300, now = Date.now } = {}) {
+    const deliveries = [];
+    const seen = new Set();
+
+    const server = await startMockServer({
+        'POST /hook': (req) => {
+            const body = req.body.toString('utf8');
+            const timestamp = req.headers['x-autopost-timestamp'];
+            const signature = req.headers['x-autopost-signature'] || '';
+
+            if (secret) {
+                const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+                const valid = signature.length === expected.length
+                    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+                if (!valid) return { status: 401, json: { error: 'invalid signature' } };
+                if (Math.abs(now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+                    return { status: 401, json: { error: 'stale timestamp' } };
+                }
+                if (seen.has(signature)) return { status: 409, json: { error: 'replayed' } };
+                seen.add(signature);
+            }
+
+            deliveries.push({ headers: req.headers, body: JSON.parse(body) });
+            return { json: { ok: true } };
+        }
+    });
+
+    return { ...server, url: `${server.baseUrl}/hook`, deliveries };
+}
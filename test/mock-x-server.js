@@ -0,0 +1,99 @@
+/**
+ * Mock X API v2 server
+ * Implements the subset of endpoints used by XApiPublisher
+ */
+
+import { startMockServer } from './mock-http-server.js';
+
+/**
+ * Start a mock X API server
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Token the server accepts
+ * @param {Array<string>} [options.users] - Usernames that exist (for GET /2/users/by)
+ * @param {Function} [options.rejectTweet] - (payload) => boolean; matching tweets fail with 503
+ * @returns {Promise<{baseUrl: string, requests: Array, tweets: Array, media: Array, close: Function}>}
+ */
+export async function startMockXServer({ accessToken = 'test-token', users = [], rejectTweet = null } = {}) {
+    const tweets = [];
+    const media = [];
+    let nextId = 1800000000000000000n;
+
+    const authorized = (req) => req.headers.authorization === `Bearer ${accessToken}`;
+    const unauthorized = { status: 401, json: { title: 'Unauthorized', status: 401 } };
+
+    const server = await startMockServer({
+        'POST /2/media/upload': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const body = req.body.toString('latin1');
+            if (!body.includes('name="media"')) {
+                return { status: 400, json: { title: 'Invalid Request', detail: 'media is required' } };
+            }
+
+            const id = String(nextId++);
+            const category = /name="media_category"\r\n\r\n([^\r]*)/.exec(body)?.[1] || null;
+            media.push({ id, category, size: req.body.length, altText: null });
+            return { json: { data: { id, media_key: `3_${id}` } } };
+        },
+        'POST /2/media/metadata': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const payload = JSON.parse(req.body.toString('utf8'));
+            const item = media.find(m => m.id === payload.id);
+            if (!item) {
+                return { status: 400, json: { title: 'Invalid Request', detail: `Unknown media id: ${payload.id}` } };
+            }
+
+            item.altText = payload.metadata?.alt_text?.text ?? null;
+            return { json: { data: { id: item.id, associated_metadata: true } } };
+        },
+        'POST /2/tweets': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const payload = JSON.parse(req.body.toString('utf8'));
+            const mediaIds = payload.media?.media_ids || [];
+            const unknown = mediaIds.filter(id => !media.some(m => m.id === id));
+            if (unknown.length > 0) {
+                return { status: 400, json: { title: 'Invalid Request', detail: `Unknown media ids: ${unknown.join(',')}` } };
+            }
+            if (mediaIds.length > 4) {
+                return { status: 400, json: { title: 'Invalid Request', detail: 'Too many media ids' } };
+            }
+
+            if (rejectTweet && rejectTweet(payload)) {
+                return { status: 503, json: { title: 'Service Unavailable', status: 503 } };
+            }
+
+            const replyTo = payload.reply?.in_reply_to_tweet_id;
+            if (replyTo && !tweets.some(t => t.id === replyTo)) {
+                return { status: 403, json: { title: 'Forbidden', detail: 'Reply target not found' } };
+            }
+
+            const id = String(nextId++);
+            tweets.push({ id, ...payload });
+            return { status: 201, json: { data: { id, text: payload.text } } };
+        },
+        'GET /2/users/by': (req) => {
+            if (!authorized(req)) return unauthorized;
+
+            const usernames = (req.query.usernames || '').split(',').filter(Boolean);
+            if (usernames.length === 0 || usernames.length > 100) {
+                return { status: 400, json: { title: 'Invalid Request', detail: 'usernames must have 1 to 100 items' } };
+            }
+
+            const data = [];
+            const errors = [];
+            usernames.forEach(value => {
+                const username = users.find(user => user.toLowerCase() === value.toLowerCase());
+                if (username) {
+                    data.push({ id: String(users.indexOf(username) + 1), name: username, username });
+                } else {
+                    errors.push({ value, detail: `Could not find user with usernames: [${value}].`, title: 'Not Found Error', resource_type: 'user', parameter: 'usernames' });
+                }
+            });
+            return { json: { ...(data.length > 0 ? { data } : {}), ...(errors.length > 0 ? { errors } : {}) } };
+        }
+    });
+
+    return { ...server, tweets, media };
+}
@@ -1,6 +1,11 @@
 /**
  * Cloudflare Workers AI - Image Analyzer
  * 画像から特徴を抽出してJSONで返す
+ *
+ * コメント生成のプロバイダー（netlify/shared/comment-providers.js）には含めない
+ * - 出力はコメントではなく特徴（表情・ポーズなど）で、コメントの検査や作り直しの対象にならない
+ * - Workers の AI バインディング（env.AI）で LLaVA を呼ぶため、Node の Netlify Functions からは使えない
+ * 結果は app/image-analysis.js が投稿に保存し、コメント生成のリクエスト（image_features）に渡す
  */
 
 export default {